@@ -0,0 +1,142 @@
+/**
+ * Blended Conversation Command for ChimpGPT (Admin Only)
+ *
+ * Switches a channel between per-user conversations and blended group
+ * conversations, where the bot follows everyone's recent messages in the
+ * channel with speaker attribution.
+ *
+ * @module BlendedCommand
+ */
+
+const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const { createLogger } = require('../../core/logger');
+const config = require('../../core/configValidator');
+const { getScopedSettings } = require('../../utils/scopedSettings');
+
+const logger = createLogger('commands:blended');
+
+const SETTING_KEY = 'blendedConversations';
+const ACTIONS = ['on', 'off', 'reset', 'status'];
+
+/**
+ * Describe the effective mode for a channel and where it comes from
+ * @param {string} guildId - Guild ID
+ * @param {string} channelId - Channel ID
+ * @returns {string} Status line
+ */
+function describeChannel(guildId, channelId) {
+  const settings = getScopedSettings();
+  const override = settings.get('channel', channelId, SETTING_KEY);
+  const enabled = settings.resolve(
+    { guildId, channelId },
+    SETTING_KEY,
+    config.BLENDED_CONVERSATION_CHANNELS.includes(channelId)
+  );
+  const source = override === undefined ? 'default' : 'set for this channel';
+
+  return `${enabled ? '👥 Blended group conversation is **on**' : '👤 Per-user conversation is **on**'} in <#${channelId}> (${source}). Up to ${config.MAX_MESSAGES_PER_USER_BLENDED} recent messages per person are shared.`;
+}
+
+/**
+ * Apply an action to a channel
+ * @param {string} action - on, off, reset or status
+ * @param {string} guildId - Guild ID
+ * @param {string} channelId - Channel ID
+ * @param {string} userId - User making the change (for logging)
+ * @returns {string} Reply text
+ */
+function applyAction(action, guildId, channelId, userId) {
+  const settings = getScopedSettings();
+
+  switch (action) {
+    case 'on':
+    case 'off':
+      settings.set('channel', channelId, SETTING_KEY, action === 'on');
+      break;
+    case 'reset':
+      settings.set('channel', channelId, SETTING_KEY, undefined);
+      break;
+    case 'status':
+      return describeChannel(guildId, channelId);
+    default:
+      return `Unknown option. Please use one of: ${ACTIONS.join(', ')}`;
+  }
+
+  logger.info({ action, guildId, channelId, userId }, 'Blended conversation mode changed');
+  return `✅ ${describeChannel(guildId, channelId)}`;
+}
+
+module.exports = {
+  name: 'blended',
+  description: 'Switch this channel between per-user and blended group conversations',
+  aliases: ['groupchat'],
+  usage: '!blended <on|off|reset|status>',
+  dmAllowed: false,
+  adminOnly: true,
+  ownerOnly: false,
+
+  slashCommand: new SlashCommandBuilder()
+    .setName('blended')
+    .setDescription('Switch this channel between per-user and blended group conversations')
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .addStringOption(option =>
+      option
+        .setName('mode')
+        .setDescription('Conversation mode for this channel')
+        .setRequired(true)
+        .addChoices(
+          { name: 'On (follow the whole channel)', value: 'on' },
+          { name: 'Off (per-user history)', value: 'off' },
+          { name: 'Reset to default', value: 'reset' },
+          { name: 'Status', value: 'status' }
+        )
+    ),
+
+  /**
+   * Execute the blended command (text command version)
+   *
+   * @param {import('discord.js').Message} message - Discord message object
+   * @param {string[]} args - Command arguments
+   * @returns {Promise<void>}
+   */
+  async execute(message, args) {
+    const action = (args[0] || 'status').toLowerCase();
+
+    try {
+      await message.reply(
+        applyAction(action, message.guild?.id, message.channelId, message.author.id)
+      );
+    } catch (error) {
+      logger.error({ error, action }, 'Error executing blended command');
+      await message.reply('❌ Failed to change the conversation mode for this channel.');
+    }
+  },
+
+  /**
+   * Execute the blended command (slash command version)
+   *
+   * @param {import('discord.js').ChatInputCommandInteraction} interaction - Discord interaction object
+   * @returns {Promise<void>}
+   */
+  async interactionExecute(interaction) {
+    const action = interaction.options.getString('mode');
+
+    try {
+      await interaction.reply({
+        content: applyAction(
+          action,
+          interaction.guildId,
+          interaction.channelId,
+          interaction.user.id
+        ),
+        ephemeral: action === 'status',
+      });
+    } catch (error) {
+      logger.error({ error, action }, 'Error executing blended slash command');
+      await interaction.reply({
+        content: '❌ Failed to change the conversation mode for this channel.',
+        ephemeral: true,
+      });
+    }
+  },
+};
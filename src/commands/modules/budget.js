@@ -0,0 +1,92 @@
+/**
+ * Budget Command for ChimpGPT
+ *
+ * Shows how much of the image budgets (IMAGE_BUDGETS) the user, their server
+ * and the bot as a whole have spent and have left this day and month.
+ *
+ * @module BudgetCommand
+ */
+
+const { SlashCommandBuilder } = require('discord.js');
+const { createLogger } = require('../../core/logger');
+const { getImageBudget } = require('../../services/imageBudget');
+
+const logger = createLogger('commands:budget');
+
+const SCOPE_NAMES = {
+  user: 'You',
+  guild: 'This server',
+  global: 'Everyone',
+};
+
+/**
+ * Describe the remaining image budgets for a user
+ * @param {Object} request
+ * @param {string} request.userId - User ID
+ * @param {string} [request.guildId] - Guild ID (server budget shown when set)
+ * @returns {Promise<string>} Reply text
+ */
+async function describeBudgets({ userId, guildId }) {
+  const budget = getImageBudget();
+  if (!budget.isEnabled()) {
+    return '💰 No image budgets are configured.';
+  }
+
+  const statuses = await budget.getStatus({ userId, guildId });
+  const lines = statuses.map(
+    status =>
+      `• **${SCOPE_NAMES[status.scope]}**, ${status.period}: $${status.spent.toFixed(2)} of $${status.limit.toFixed(2)} used, **$${status.remaining.toFixed(2)} left**`
+  );
+
+  return ['💰 **Image budgets** (days and months are UTC)', ...lines].join('\n');
+}
+
+module.exports = {
+  name: 'budget',
+  description: 'Show how much image generation budget you have left',
+  aliases: ['imagebudget'],
+  usage: '!budget',
+  dmAllowed: true,
+
+  slashCommand: new SlashCommandBuilder()
+    .setName('budget')
+    .setDescription('Show how much image generation budget you have left'),
+
+  /**
+   * Execute the budget command (text command version)
+   *
+   * @param {import('discord.js').Message} message - Discord message object
+   * @returns {Promise<void>}
+   */
+  async execute(message) {
+    try {
+      await message.reply(
+        await describeBudgets({ userId: message.author.id, guildId: message.guild?.id })
+      );
+    } catch (error) {
+      logger.error({ error }, 'Error executing budget command');
+      await message.reply('❌ Failed to look up image budgets.');
+    }
+  },
+
+  /**
+   * Execute the budget command (slash command version)
+   *
+   * @param {import('discord.js').ChatInputCommandInteraction} interaction - Discord interaction object
+   * @returns {Promise<void>}
+   */
+  async interactionExecute(interaction) {
+    try {
+      await interaction.reply({
+        content: await describeBudgets({
+          userId: interaction.user.id,
+          guildId: interaction.guildId,
+        }),
+        ephemeral: true,
+      });
+    } catch (error) {
+      logger.error({ error }, 'Error executing budget slash command');
+      await interaction.reply({ content: '❌ Failed to look up image budgets.', ephemeral: true });
+    }
+  },
+};
@@ -0,0 +1,230 @@
+/**
+ * Compare Command for ChimpGPT (Owner Only)
+ *
+ * Runs one prompt against two image models, or two quality settings of one
+ * model, and posts the images side by side with their cost and latency. Anyone
+ * can vote for the better image with 🅰️ or 🅱️; the totals are on the dashboard.
+ *
+ * @module CompareCommand
+ */
+
+const { SlashCommandBuilder } = require('discord.js');
+const { createLogger } = require('../../core/logger');
+const imageGeneration = require('../../services/imageGeneration');
+const { getImageComparisons, VOTE_EMOJIS } = require('../../services/imageComparison');
+const { imageAttachments } = require('../../utils/imageDownloader');
+
+const logger = createLogger('commands:compare');
+
+const { MODELS, QUALITY, SIZES } = imageGeneration;
+
+// Current models only; the deprecated DALL-E names are remapped to these anyway
+const COMPARE_MODELS = [
+  MODELS.GPT_IMAGE_1_MINI,
+  MODELS.GPT_IMAGE_1,
+  MODELS.GPT_IMAGE_1_5,
+  MODELS.CHATGPT_IMAGE_LATEST,
+];
+const DEFAULT_SIDES = [{ model: MODELS.GPT_IMAGE_1_MINI }, { model: MODELS.GPT_IMAGE_1_5 }];
+
+/**
+ * Read a "model[:quality]" argument
+ * @param {string} [arg] - e.g. gpt-image-1-mini or gpt-image-1.5:high
+ * @returns {{model: string, quality?: string}|null} Null when it isn't one
+ */
+function parseSide(arg) {
+  const [model, quality] = (arg || '').toLowerCase().split(':');
+  if (!COMPARE_MODELS.includes(model)) return null;
+  if (quality && !Object.values(QUALITY).includes(quality)) return null;
+  return quality ? { model, quality } : { model };
+}
+
+/**
+ * One line per side: model, quality, cost and latency, or why it failed
+ * @param {import('../../services/imageComparison').Comparison} comparison
+ * @returns {string[]}
+ */
+function describeVariants(comparison) {
+  return comparison.variants.map(variant => {
+    const heading = `${VOTE_EMOJIS[variant.label]} **${variant.model}** (${variant.quality})`;
+    return variant.success
+      ? `${heading} · $${variant.cost.toFixed(4)} · ${(variant.latencyMs / 1000).toFixed(1)}s`
+      : `${heading} · ❌ ${variant.error}`;
+  });
+}
+
+/**
+ * Make both images and build the reply
+ * @param {Object} request
+ * @param {string} request.prompt - Prompt for both images
+ * @param {Array<{model: string, quality?: string}>} request.sides - Settings for A and B
+ * @param {string} [request.size] - Size for both images
+ * @param {string} request.userId - Owner running it
+ * @param {string} [request.username] - Their display name
+ * @param {string} [request.guildId] - Guild it's run in
+ * @param {import('discord.js').Client} [request.client] - Discord client, for budget approvals
+ * @returns {Promise<{comparison: Object, content: string, files: Object[], votable: boolean}>}
+ */
+async function runComparison({ prompt, sides, size, userId, username, guildId, client }) {
+  const { comparison, results } = await getImageComparisons().run(prompt, sides, {
+    size,
+    userId,
+    username,
+    guildId,
+    client,
+  });
+
+  const files = [];
+  for (const [index, result] of results.entries()) {
+    if (!result.success) continue;
+    const label = comparison.variants[index].label;
+    files.push(...(await imageAttachments(result.images.slice(0, 1), `compare_${label}`)));
+  }
+
+  const votable = comparison.variants.every(variant => variant.success);
+  const content = [
+    `🆚 **Image comparison** — "${prompt.substring(0, 200)}"`,
+    ...describeVariants(comparison),
+    votable
+      ? `Vote for the better image with ${VOTE_EMOJIS.A} or ${VOTE_EMOJIS.B}.`
+      : 'One side failed, so this comparison is not open for votes.',
+  ].join('\n');
+
+  return { comparison, content, files, votable };
+}
+
+/**
+ * Link the posted comparison and add the vote reactions
+ * @param {Object} comparison - Comparison that was posted
+ * @param {import('discord.js').Message} message - The posted message
+ */
+async function openVoting(comparison, message) {
+  getImageComparisons().linkMessage(comparison.id, message);
+  for (const emoji of Object.values(VOTE_EMOJIS)) {
+    await message.react(emoji);
+  }
+}
+
+module.exports = {
+  name: 'compare',
+  description: 'Compare two image models or quality settings on the same prompt',
+  aliases: ['imagecompare', 'abtest'],
+  usage: '!compare [modelA[:quality]] [modelB[:quality]] <prompt>',
+  dmAllowed: true,
+  ownerOnly: true,
+
+  slashCommand: new SlashCommandBuilder()
+    .setName('compare')
+    .setDescription('Compare two image models or quality settings on the same prompt')
+    .addStringOption(option =>
+      option.setName('prompt').setDescription('Prompt for both images').setRequired(true)
+    )
+    .addStringOption(option =>
+      option
+        .setName('model_a')
+        .setDescription(`Model for image A (default ${DEFAULT_SIDES[0].model})`)
+        .addChoices(...COMPARE_MODELS.map(model => ({ name: model, value: model })))
+    )
+    .addStringOption(option =>
+      option
+        .setName('quality_a')
+        .setDescription("Quality for image A (default: the model's default)")
+        .addChoices(...Object.values(QUALITY).map(quality => ({ name: quality, value: quality })))
+    )
+    .addStringOption(option =>
+      option
+        .setName('model_b')
+        .setDescription(`Model for image B (default ${DEFAULT_SIDES[1].model})`)
+        .addChoices(...COMPARE_MODELS.map(model => ({ name: model, value: model })))
+    )
+    .addStringOption(option =>
+      option
+        .setName('quality_b')
+        .setDescription("Quality for image B (default: the model's default)")
+        .addChoices(...Object.values(QUALITY).map(quality => ({ name: quality, value: quality })))
+    )
+    .addStringOption(option =>
+      option
+        .setName('size')
+        .setDescription('Size for both images')
+        .addChoices(
+          { name: 'Square', value: SIZES.SQUARE },
+          { name: 'Portrait', value: SIZES.PORTRAIT },
+          { name: 'Landscape', value: SIZES.LANDSCAPE }
+        )
+    ),
+
+  parseSide,
+
+  /**
+   * Execute the compare command (text command version)
+   *
+   * @param {import('discord.js').Message} message - Discord message object
+   * @param {string[]} args - Up to two model[:quality] arguments, then the prompt
+   * @param {import('discord.js').Client} client - Discord client
+   * @returns {Promise<void>}
+   */
+  async execute(message, args = [], client) {
+    const sides = [...DEFAULT_SIDES];
+    for (let index = 0; index < sides.length && parseSide(args[0]); index++) {
+      sides[index] = parseSide(args.shift());
+    }
+    const prompt = args.join(' ').trim();
+    if (!prompt) {
+      await message.reply(`Usage: \`${module.exports.usage}\``);
+      return;
+    }
+
+    const progress = await message.reply(
+      `🆚 Comparing **${sides[0].model}** and **${sides[1].model}**...`
+    );
+    try {
+      const { comparison, content, files, votable } = await runComparison({
+        prompt,
+        sides,
+        userId: message.author.id,
+        username: message.author.username,
+        guildId: message.guild?.id,
+        client,
+      });
+      const posted = await progress.edit({ content, files });
+      if (votable) await openVoting(comparison, posted);
+    } catch (error) {
+      logger.error({ error }, 'Error executing compare command');
+      await progress.edit('❌ Failed to run the comparison.');
+    }
+  },
+
+  /**
+   * Execute the compare command (slash command version)
+   *
+   * @param {import('discord.js').ChatInputCommandInteraction} interaction - Discord interaction object
+   * @returns {Promise<void>}
+   */
+  async interactionExecute(interaction) {
+    const side = (label, fallback) => {
+      const model = interaction.options.getString(`model_${label}`) || fallback.model;
+      const quality = interaction.options.getString(`quality_${label}`);
+      return quality ? { model, quality } : { model };
+    };
+
+    try {
+      await interaction.deferReply();
+      const { comparison, content, files, votable } = await runComparison({
+        prompt: interaction.options.getString('prompt'),
+        sides: [side('a', DEFAULT_SIDES[0]), side('b', DEFAULT_SIDES[1])],
+        size: interaction.options.getString('size') || undefined,
+        userId: interaction.user.id,
+        username: interaction.user.username,
+        guildId: interaction.guildId,
+        client: interaction.client,
+      });
+      const posted = await interaction.editReply({ content, files });
+      if (votable) await openVoting(comparison, posted);
+    } catch (error) {
+      logger.error({ error }, 'Error executing compare slash command');
+      const reply = { content: '❌ Failed to run the comparison.' };
+      await (interaction.deferred ? interaction.editReply(reply) : interaction.reply(reply));
+    }
+  },
+};
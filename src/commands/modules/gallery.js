@@ -0,0 +1,137 @@
+/**
+ * Gallery Command for ChimpGPT
+ *
+ * Lets users page through the images they've generated or edited, kept by the
+ * image gallery with their prompt, model, cost and a link to where they were posted.
+ *
+ * @module GalleryCommand
+ */
+
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { createLogger } = require('../../core/logger');
+const { getImageGallery } = require('../../services/imageGallery');
+
+const logger = createLogger('commands:gallery');
+
+// One embed and attachment per image; kept small so pages stay well under upload limits
+const PAGE_SIZE = 5;
+
+/**
+ * Build one page of a user's gallery
+ * @param {Object} request
+ * @param {string} request.userId - Whose images to show
+ * @param {number} [request.page=1] - 1-based page
+ * @param {string} [request.search] - Only images whose prompt contains this
+ * @param {import('../../services/imageGallery').ImageGallery} [request.gallery] - Gallery to read
+ * @returns {{content: string, embeds: EmbedBuilder[], files: Object[]}} Reply payload
+ */
+function buildGalleryPage({ userId, page = 1, search, gallery = getImageGallery() }) {
+  if (!gallery.isEnabled()) {
+    return { content: '🖼️ The image gallery is turned off.', embeds: [], files: [] };
+  }
+
+  const result = gallery.list({ userId, search, page, pageSize: PAGE_SIZE });
+  if (result.total === 0) {
+    return {
+      content: search
+        ? `🖼️ None of your images match "${search}".`
+        : "🖼️ You haven't made any images yet. Try `/image`!",
+      embeds: [],
+      files: [],
+    };
+  }
+
+  const files = [];
+  const embeds = result.images.map(entry => {
+    const name = `gallery_${entry.file}`;
+    files.push({ attachment: gallery.getFilePath(entry), name });
+
+    const details = [
+      entry.model,
+      entry.size,
+      entry.cost !== undefined && `$${entry.cost.toFixed(4)}`,
+      entry.edited && 'edited',
+    ].filter(Boolean);
+    const embed = new EmbedBuilder()
+      .setDescription(entry.prompt.substring(0, 1000))
+      .setImage(`attachment://${name}`)
+      .setFooter({ text: details.join(' · ') || 'Image' })
+      .setTimestamp(new Date(entry.createdAt));
+    if (entry.messageLink) embed.setURL(entry.messageLink).setTitle('Jump to message');
+    return embed;
+  });
+
+  const header = [
+    `🖼️ **Your images**${search ? ` matching "${search}"` : ''}`,
+    `page ${result.page}/${result.totalPages} (${result.total} total)`,
+  ].join(' — ');
+  const hint = result.page < result.totalPages ? `\nUse \`page:${result.page + 1}\` for more.` : '';
+
+  return { content: header + hint, embeds, files };
+}
+
+module.exports = {
+  name: 'gallery',
+  description: 'Browse the images you have generated',
+  aliases: ['myimages'],
+  usage: '!gallery [page] [search words]',
+  dmAllowed: true,
+
+  slashCommand: new SlashCommandBuilder()
+    .setName('gallery')
+    .setDescription('Browse the images you have generated')
+    .addIntegerOption(option =>
+      option.setName('page').setDescription('Page to show').setMinValue(1)
+    )
+    .addStringOption(option =>
+      option.setName('search').setDescription('Only show images whose prompt contains this')
+    ),
+
+  buildGalleryPage,
+
+  /**
+   * Execute the gallery command (text command version)
+   *
+   * @param {import('discord.js').Message} message - Discord message object
+   * @param {string[]} args - Command arguments: optional page number, then search words
+   * @returns {Promise<void>}
+   */
+  async execute(message, args = []) {
+    const page = /^\d+$/.test(args[0] || '') ? parseInt(args.shift(), 10) : 1;
+    try {
+      await message.reply(
+        buildGalleryPage({
+          userId: message.author.id,
+          page,
+          search: args.join(' ') || undefined,
+        })
+      );
+    } catch (error) {
+      logger.error({ error }, 'Error executing gallery command');
+      await message.reply('❌ Failed to load your gallery.');
+    }
+  },
+
+  /**
+   * Execute the gallery command (slash command version)
+   *
+   * @param {import('discord.js').ChatInputCommandInteraction} interaction - Discord interaction object
+   * @returns {Promise<void>}
+   */
+  async interactionExecute(interaction) {
+    try {
+      await interaction.deferReply({ ephemeral: true });
+      await interaction.editReply(
+        buildGalleryPage({
+          userId: interaction.user.id,
+          page: interaction.options.getInteger('page') || 1,
+          search: interaction.options.getString('search') || undefined,
+        })
+      );
+    } catch (error) {
+      logger.error({ error }, 'Error executing gallery slash command');
+      const reply = { content: '❌ Failed to load your gallery.', ephemeral: true };
+      await (interaction.deferred ? interaction.editReply(reply) : interaction.reply(reply));
+    }
+  },
+};
@@ -2,14 +2,16 @@
  * Image Generation Command for ChimpGPT
  *
  * This command allows users to generate images using GPT Image-1 directly from Discord.
- * It supports various options for customizing the generated images.
+ * It supports various options for customizing the generated images, style presets
+ * (see services/imageStyles), and editing an attached image (or an earlier one, by
+ * message link) with an optional inpainting mask.
  *
  * @module ImageCommand
  * @author Brett
  * @version 1.0.0
  */
 
-const { SlashCommandBuilder } = require('discord.js');
+const { ActionRowBuilder, SlashCommandBuilder } = require('discord.js');
 
 // Import the module as a whole instead of destructuring to avoid circular dependency issues
 const imageGeneration = require('../../services/imageGeneration');
@@ -23,6 +25,19 @@ const logger = createLogger('commands:image');
 const axios = require('axios');
 const retryWithBreaker = require('../../utils/retryWithBreaker');
 const breakerManager = require('../../middleware/breakerManager');
+const { checkImageGenerationRateLimit } = require('../../middleware/rateLimiter');
+const {
+  downloadAttachment,
+  getImageAttachments,
+  resolveImageSource,
+} = require('../../utils/imageSourceResolver');
+const { downloadImage } = require('../../utils/imageDownloader');
+const { describeQueuePosition, trackImageJob } = require('../../utils/imageJobFeedback');
+const { getImageActionStore } = require('../../services/imageActionStore');
+const { buildImageActionButtons, buildImagePickRows } = require('../../utils/imageActions');
+const { getImageGallery } = require('../../services/imageGallery');
+const { BUILTIN_STYLES, getImageStyleRegistry } = require('../../services/imageStyles');
+const imageUsageTracker = require('../../services/imageUsageTracker');
 
 // Circuit breaker configuration for image downloads
 const IMAGE_DOWNLOAD_BREAKER_CONFIG = {
@@ -37,102 +52,336 @@ const IMAGE_DOWNLOAD_BREAKER_CONFIG = {
   },
 };
 
+/**
+ * Reply text for a failed image request
+ * @param {string} verb - generate or edit
+ * @param {import('../../services/imageGeneration').ImageErrorResult} result - Service result
+ * @returns {string}
+ */
+function failureMessage(verb, result) {
+  if (result.isBudgetExceeded) {
+    return `💸 ${result.error}`;
+  }
+  if (result.cancelled) {
+    return '🛑 Image request cancelled.';
+  }
+  if (result.isContentPolicyViolation) {
+    return `🚫 ${result.error}`;
+  }
+  return `❌ Failed to ${verb} image: ${result.error}`;
+}
+
+/**
+ * Image queue tracking for a slash command request: while it waits, the deferred
+ * reply shows its queue position and the user can react ❌ to cancel it
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - Deferred interaction
+ * @returns {Promise<{options: Object, stop: function(): void}>}
+ */
+async function trackInteraction(interaction) {
+  return trackImageJob({
+    jobId: interaction.id,
+    userId: interaction.user.id,
+    progressMessage: await interaction.fetchReply(),
+    onPosition: position => {
+      if (position > 0) {
+        interaction.editReply(describeQueuePosition(position)).catch(error => {
+          logger.debug({ error }, 'Could not show image queue position');
+        });
+      }
+    },
+  });
+}
+
+/**
+ * Budget warning line to append to a reply, if the user is close to a limit
+ * @param {import('../../services/imageGeneration').ImageResult} result - Service result
+ * @returns {string}
+ */
+function budgetNote(result) {
+  return result.budgetWarning ? `\n⚠️ ${result.budgetWarning}` : '';
+}
+
+/**
+ * Reply text listing the style presets and how often each has been used
+ * @returns {Promise<string>}
+ */
+async function describeStyles() {
+  const { styles: usage } = await imageUsageTracker.getUsageStats();
+  const lines = getImageStyleRegistry()
+    .list()
+    .map(
+      style =>
+        `• **${style.name}**${style.description ? ` — ${style.description}` : ''} (${style.size || 'any size'}, used ${usage[style.name] || 0}×)`
+    );
+  return [
+    '🎨 **Image styles** — use `/image generate style:<name>`, or ask me to draw something "in <name> style"',
+    ...lines,
+  ].join('\n');
+}
+
+/**
+ * Message ID from a message link or a bare ID
+ * @param {string} value - Link or ID
+ * @returns {string|null}
+ */
+function parseMessageId(value) {
+  const match = /(\d{17,20})\/?$/.exec(value.trim());
+  return match ? match[1] : null;
+}
+
+/**
+ * Find the image (and mask) for /image edit: the image option, or the image on
+ * the linked message, resolved like a reply.
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - Discord interaction
+ * @returns {Promise<import('../../utils/imageSourceResolver').ResolvedImageSource|null>}
+ */
+async function resolveInteractionSource(interaction) {
+  const attachment = interaction.options.getAttachment('image');
+  const link = interaction.options.getString('message');
+  const messageId = link ? parseMessageId(link) : null;
+
+  const source = await resolveImageSource({
+    attachments: new Map(attachment ? [[attachment.id, attachment]] : []),
+    channel: interaction.channel,
+    reference: messageId ? { messageId } : undefined,
+  });
+
+  const mask = interaction.options.getAttachment('mask');
+  if (source && mask && getImageAttachments({ attachments: new Map([[mask.id, mask]]) }).length) {
+    source.mask = await downloadAttachment(mask);
+  }
+  return source;
+}
+
+/**
+ * Edit an image for a user, with the same rate limit and usage tracking as generation
+ * @param {Object} request
+ * @param {string} request.prompt - What should change
+ * @param {import('../../utils/imageSourceResolver').ResolvedImageSource|null} request.source - Image to edit
+ * @param {string} request.userId - Requesting user ID
+ * @param {string} request.username - Requesting user name
+ * @param {string} [request.guildId] - Guild the request was made in (for budgets)
+ * @param {import('discord.js').Client} [request.client] - Discord client (for budget approvals)
+ * @param {{options: Object}} [request.imageJob] - Image queue tracking from trackInteraction
+ * @param {function(string|Object): Promise<import('discord.js').Message>} request.send - Sends the
+ *   reply
+ * @returns {Promise<import('discord.js').Message>} The reply
+ */
+async function runEdit({ prompt, source, userId, username, guildId, client, imageJob, send }) {
+  if (!source) {
+    return send('❌ Attach a PNG, JPEG or WebP image, or reply to (or link) a message with one.');
+  }
+
+  const rateLimit = await checkImageGenerationRateLimit(userId);
+  if (rateLimit.limited) {
+    return send(`⏱️ ${rateLimit.message}`);
+  }
+
+  logger.info(
+    { userId, prompt, origin: source.origin, hasMask: !!source.mask },
+    'Image edit requested'
+  );
+
+  const result = await imageGeneration.editImage(prompt, source.image, {
+    mask: source.mask,
+    userId,
+    username,
+    guildId,
+    client,
+    ...imageJob?.options,
+  });
+  if (!result.success) {
+    logger.error({ error: result.error }, 'Image edit failed');
+    return send(failureMessage('edit', result));
+  }
+
+  const [image] = result.images;
+  const buffer = image.b64_json
+    ? Buffer.from(image.b64_json, 'base64')
+    : await downloadImage(image.url);
+  const costInfo = result.estimatedCost
+    ? ` (Estimated cost: $${result.estimatedCost.toFixed(3)})`
+    : '';
+
+  const reply = await send({
+    content: `🖌️ Image edited${source.mask ? ' with mask' : ''}${costInfo}\n📝 Prompt: "${prompt}"${budgetNote(result)}`,
+    files: [{ attachment: buffer, name: 'gpt-image-edit.png' }],
+  });
+  getImageGallery().linkMessage(result.galleryIds, reply);
+  return reply;
+}
+
 module.exports = {
   name: 'image',
-  description: 'Generate an image using GPT Image-1 AI',
+  description: 'Generate an image using GPT Image-1 AI, or edit one',
   aliases: ['img', 'gptimage'],
+  usage: '!image <edit <what to change> (attach an image or reply to one)|styles>',
   dmAllowed: true,
 
   // Define slash command
   slashCommand: new SlashCommandBuilder()
     .setName('image')
-    .setDescription('Generate an image using GPT Image-1 AI')
-    .addStringOption(option =>
-      option
-        .setName('prompt')
-        .setDescription('What would you like to see in the image?')
-        .setRequired(true)
-    )
-    .addStringOption(option =>
-      option
-        .setName('model')
-        .setDescription('Which image model to use')
-        .setRequired(false)
-        .addChoices(
-          { name: 'GPT Image 1.5 (Best quality)', value: MODELS.GPT_IMAGE_1_5 },
-          { name: 'GPT Image 1 (Standard)', value: MODELS.GPT_IMAGE_1 },
-          { name: 'GPT Image 1 Mini (Fast & cheap)', value: MODELS.GPT_IMAGE_1_MINI }
+    .setDescription('Generate an image using GPT Image-1 AI, or edit one')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('generate')
+        .setDescription('Generate an image from a prompt')
+        .addStringOption(option =>
+          option
+            .setName('prompt')
+            .setDescription('What would you like to see in the image?')
+            .setRequired(true)
         )
-    )
-    .addStringOption(option =>
-      option
-        .setName('size')
-        .setDescription('Image size')
-        .setRequired(false)
-        .addChoices(
-          { name: 'Auto (Let AI choose best size)', value: SIZES.AUTO },
-          { name: 'Square (1024x1024)', value: SIZES.SQUARE },
-          { name: 'Portrait (1536x1024)', value: SIZES.PORTRAIT },
-          { name: 'Landscape (1024x1536)', value: SIZES.LANDSCAPE }
+        .addStringOption(option =>
+          option
+            .setName('model')
+            .setDescription('Which image model to use')
+            .setRequired(false)
+            .addChoices(
+              { name: 'GPT Image 1.5 (Best quality)', value: MODELS.GPT_IMAGE_1_5 },
+              { name: 'GPT Image 1 (Standard)', value: MODELS.GPT_IMAGE_1 },
+              { name: 'GPT Image 1 Mini (Fast & cheap)', value: MODELS.GPT_IMAGE_1_MINI }
+            )
         )
-    )
-    .addStringOption(option =>
-      option
-        .setName('quality')
-        .setDescription('Image quality')
-        .setRequired(false)
-        .addChoices(
-          { name: 'Auto (Default)', value: QUALITY.AUTO },
-          { name: 'Low', value: QUALITY.LOW },
-          { name: 'Medium', value: QUALITY.MEDIUM },
-          { name: 'High', value: QUALITY.HIGH }
+        .addStringOption(option =>
+          option
+            .setName('size')
+            .setDescription('Image size')
+            .setRequired(false)
+            .addChoices(
+              { name: 'Auto (Let AI choose best size)', value: SIZES.AUTO },
+              { name: 'Square (1024x1024)', value: SIZES.SQUARE },
+              { name: 'Portrait (1024x1536)', value: SIZES.PORTRAIT },
+              { name: 'Landscape (1536x1024)', value: SIZES.LANDSCAPE }
+            )
         )
-    )
-    .addStringOption(option =>
-      option
-        .setName('format')
-        .setDescription('Image format')
-        .setRequired(false)
-        .addChoices(
-          { name: 'PNG (Default)', value: FORMAT.PNG },
-          { name: 'JPEG', value: FORMAT.JPEG },
-          { name: 'WebP', value: FORMAT.WEBP }
+        .addStringOption(option =>
+          option
+            .setName('quality')
+            .setDescription('Image quality')
+            .setRequired(false)
+            .addChoices(
+              { name: 'Auto (Default)', value: QUALITY.AUTO },
+              { name: 'Low', value: QUALITY.LOW },
+              { name: 'Medium', value: QUALITY.MEDIUM },
+              { name: 'High', value: QUALITY.HIGH }
+            )
         )
-    )
-    .addStringOption(option =>
-      option
-        .setName('background')
-        .setDescription('Background type (transparent only works with PNG and WebP)')
-        .setRequired(false)
-        .addChoices(
-          { name: 'Opaque (Default)', value: BACKGROUND.OPAQUE },
-          { name: 'Transparent', value: BACKGROUND.TRANSPARENT }
+        .addStringOption(option =>
+          option
+            .setName('format')
+            .setDescription('Image format')
+            .setRequired(false)
+            .addChoices(
+              { name: 'PNG (Default)', value: FORMAT.PNG },
+              { name: 'JPEG', value: FORMAT.JPEG },
+              { name: 'WebP', value: FORMAT.WEBP }
+            )
+        )
+        .addStringOption(option =>
+          option
+            .setName('background')
+            .setDescription('Background type (transparent only works with PNG and WebP)')
+            .setRequired(false)
+            .addChoices(
+              { name: 'Opaque (Default)', value: BACKGROUND.OPAQUE },
+              { name: 'Transparent', value: BACKGROUND.TRANSPARENT }
+            )
+        )
+        .addIntegerOption(option =>
+          option
+            .setName('compression')
+            .setDescription('Compression level (0-100) for JPEG and WebP formats')
+            .setRequired(false)
+            .setMinValue(0)
+            .setMaxValue(100)
+        )
+        .addBooleanOption(option =>
+          option
+            .setName('enhance')
+            .setDescription('Enhance your prompt with AI for better results')
+            .setRequired(false)
+        )
+        .addStringOption(option =>
+          option
+            .setName('style')
+            .setDescription(
+              `Style preset: ${BUILTIN_STYLES.map(style => style.name).join(', ')} (see /image styles)`
+            )
+            .setRequired(false)
+        )
+        .addIntegerOption(option =>
+          option
+            .setName('count')
+            .setDescription('How many images to generate (each one is charged)')
+            .setRequired(false)
+            .setMinValue(1)
+            .setMaxValue(imageGeneration.MAX_IMAGES_PER_REQUEST)
         )
     )
-    .addIntegerOption(option =>
-      option
-        .setName('compression')
-        .setDescription('Compression level (0-100) for JPEG and WebP formats')
-        .setRequired(false)
-        .setMinValue(0)
-        .setMaxValue(100)
+    .addSubcommand(subcommand =>
+      subcommand.setName('styles').setDescription('List the image style presets')
     )
-    .addBooleanOption(option =>
-      option
-        .setName('enhance')
-        .setDescription('Enhance your prompt with AI for better results')
-        .setRequired(false)
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('edit')
+        .setDescription('Edit an image (attach one, or link a message with one)')
+        .addStringOption(option =>
+          option.setName('prompt').setDescription('What should change?').setRequired(true)
+        )
+        .addAttachmentOption(option =>
+          option.setName('image').setDescription('Image to edit').setRequired(false)
+        )
+        .addStringOption(option =>
+          option
+            .setName('message')
+            .setDescription('Link or ID of a message in this channel with the image to edit')
+            .setRequired(false)
+        )
+        .addAttachmentOption(option =>
+          option
+            .setName('mask')
+            .setDescription('PNG mask; transparent areas are repainted (inpainting)')
+            .setRequired(false)
+        )
     ),
 
   /**
-   * Execute the image generation command (for message commands)
+   * Execute the image command (for message commands). Only editing and listing
+   * styles are supported here, since editing works naturally with attachments
+   * and replies.
    *
    * @param {Object} message - Discord message object
+   * @param {string[]} args - Command arguments
    * @returns {Promise<void>}
    */
-  async execute(message) {
-    // Not implemented for message commands yet
-    return message.reply('Please use the slash command version of this command for now.');
+  async execute(message, args = []) {
+    if (args[0]?.toLowerCase() === 'styles') {
+      return message.reply(await describeStyles());
+    }
+    if (args[0]?.toLowerCase() !== 'edit') {
+      return message.reply('Please use the slash command version of this command for now.');
+    }
+
+    const prompt = args.slice(1).join(' ').trim();
+    if (!prompt) {
+      return message.reply(`Usage: ${module.exports.usage}`);
+    }
+
+    try {
+      return await runEdit({
+        prompt,
+        source: await resolveImageSource(message),
+        userId: message.author.id,
+        username: message.member?.displayName || message.author.username,
+        guildId: message.guild?.id,
+        client: message.client,
+        send: payload => message.reply(payload),
+      });
+    } catch (error) {
+      logger.error({ error }, 'Error executing image edit command');
+      return message.reply('❌ An error occurred while editing the image. Please try again later.');
+    }
   },
 
   /**
@@ -147,21 +396,56 @@ module.exports = {
       // Defer the reply to give us time to generate the image
       await interaction.deferReply();
 
+      if (interaction.options.getSubcommand(false) === 'edit') {
+        const imageJob = await trackInteraction(interaction);
+        try {
+          return await runEdit({
+            prompt: interaction.options.getString('prompt'),
+            source: await resolveInteractionSource(interaction),
+            userId: interaction.user.id,
+            username: interaction.member?.displayName || interaction.user.username,
+            guildId: interaction.guildId,
+            client: interaction.client,
+            imageJob,
+            send: payload => interaction.editReply(payload),
+          });
+        } finally {
+          imageJob.stop();
+        }
+      }
+
+      if (interaction.options.getSubcommand(false) === 'styles') {
+        return await interaction.editReply(await describeStyles());
+      }
+
       // Get command options
       const prompt = interaction.options.getString('prompt');
       const model = interaction.options.getString('model') || MODELS.GPT_IMAGE_1;
 
+      // Style presets supply size, quality and background unless they're set explicitly
+      const styleName = interaction.options.getString('style');
+      const style = styleName ? getImageStyleRegistry().get(styleName) : null;
+      if (styleName && !style) {
+        return await interaction.editReply(
+          `❌ Unknown style "${styleName}". Available styles: ${getImageStyleRegistry()
+            .list()
+            .map(entry => entry.name)
+            .join(', ')}`
+        );
+      }
+
       // Get size from options or use default
-      const size = interaction.options.getString('size') || SIZES.SQUARE;
+      const size = interaction.options.getString('size') || style?.size || SIZES.SQUARE;
 
       // Get quality from options or use default
-      const quality = interaction.options.getString('quality') || QUALITY.AUTO;
+      const quality = interaction.options.getString('quality') || style?.quality || QUALITY.AUTO;
 
       // Get format from options or use default
       const format = interaction.options.getString('format') || FORMAT.PNG;
 
       // Get background from options or use default
-      const background = interaction.options.getString('background') || BACKGROUND.OPAQUE;
+      const background =
+        interaction.options.getString('background') || style?.background || BACKGROUND.OPAQUE;
 
       // Get compression from options (if specified)
       const compression = interaction.options.getInteger('compression');
@@ -169,6 +453,16 @@ module.exports = {
       // Get enhance option
       const enhance = interaction.options.getBoolean('enhance') || false;
 
+      // Every image counts against the rate limit
+      const rateLimit = await checkImageGenerationRateLimit(
+        interaction.user.id,
+        interaction.options.getInteger('count') || 1
+      );
+      if (rateLimit.limited) {
+        return await interaction.editReply(`⏱️ ${rateLimit.message}`);
+      }
+      const count = rateLimit.imageCount;
+
       // Log the request
       logger.info(
         {
@@ -181,13 +475,15 @@ module.exports = {
           background,
           compression: compression || 'default',
           enhance,
+          style: style?.name,
+          count,
         },
         'Image generation requested'
       );
 
       // Send initial response with more details about the configuration
       await interaction.editReply(
-        `🎨 Generating ${size} image with ${quality} quality for: "${prompt}"${enhance ? ' (with enhanced prompt)' : ''}...`
+        `🎨 Generating ${count > 1 ? `${count} ` : ''}${size}${style ? ` ${style.name}` : ''} image${count > 1 ? 's' : ''} with ${quality} quality for: "${prompt}"${enhance ? ' (with enhanced prompt)' : ''}...${rateLimit.notice ? `\n⏱️ ${rateLimit.notice}` : ''}`
       );
 
       // Enhance the prompt if requested
@@ -202,19 +498,32 @@ module.exports = {
       }
 
       // Generate the image with all parameters
-      const result = await imageGeneration.generateImage(finalPrompt, {
-        model,
-        size,
-        quality,
-        format,
-        background,
-        compression,
-        enhance,
-      });
+      const imageJob = await trackInteraction(interaction);
+      let result;
+      try {
+        result = await imageGeneration.generateImage(finalPrompt, {
+          model,
+          size,
+          quality,
+          format,
+          background,
+          compression,
+          enhance,
+          style: style?.name,
+          count,
+          userId: interaction.user.id,
+          username: interaction.member?.displayName || interaction.user.username,
+          guildId: interaction.guildId,
+          client: interaction.client,
+          ...imageJob.options,
+        });
+      } finally {
+        imageJob.stop();
+      }
 
       if (!result.success) {
         logger.error({ error: result.error }, 'Image generation failed');
-        return interaction.editReply(`❌ Failed to generate image: ${result.error}`);
+        return interaction.editReply(failureMessage('generate', result));
       }
 
       // Format cost information for display
@@ -222,33 +531,56 @@ module.exports = {
         ? `(Estimated cost: $${result.estimatedCost.toFixed(3)})`
         : '';
 
-      // Get the first image URL
-      const imageUrl = result.images[0].url;
+      // The revised prompt of the first image stands in for the set
       const revisedPrompt = result.images[0].revisedPrompt || finalPrompt;
 
-      // Download the image using retryWithBreaker for better reliability
+      // Download the images using retryWithBreaker for better reliability
       logger.debug('Using retryWithBreaker for image download');
-      const response = await retryWithBreaker(async () => {
-        logger.debug(`Downloading image from ${imageUrl}`);
-        return await axios.get(imageUrl, { responseType: 'arraybuffer' });
-      }, IMAGE_DOWNLOAD_BREAKER_CONFIG);
-      const buffer = Buffer.from(response.data, 'binary');
-
-      // Create attachment
-      const attachment = { attachment: buffer, name: 'gpt-image.png' };
+      const files = await Promise.all(
+        result.images.map(async (image, index) => {
+          const response = await retryWithBreaker(async () => {
+            logger.debug(`Downloading image from ${image.url}`);
+            return await axios.get(image.url, { responseType: 'arraybuffer' });
+          }, IMAGE_DOWNLOAD_BREAKER_CONFIG);
+          return {
+            attachment: Buffer.from(response.data, 'binary'),
+            name: result.images.length > 1 ? `gpt-image_${index + 1}.png` : 'gpt-image.png',
+          };
+        })
+      );
 
       // Send the image with information about the prompt and cost
       const modelName = 'GPT Image-1';
 
-      await interaction.editReply({
-        content: `🖼️ Image generated by ${modelName} (${size}) ${costInfo}
-📝 ${enhance ? 'Enhanced prompt' : 'Prompt'}: "${revisedPrompt}"`,
-        files: [attachment],
+      // Re-roll / Variations / aspect buttons
+      const recordId = getImageActionStore().add({
+        prompt: finalPrompt,
+        model,
+        quality,
+        size,
+        style: style?.name,
+        galleryIds: result.galleryIds,
+        userId: interaction.user.id,
+        guildId: interaction.guildId,
+      });
+      const galleryIds = result.galleryIds || [];
+
+      const reply = await interaction.editReply({
+        content: `🖼️ ${files.length > 1 ? `${files.length} images` : 'Image'} generated by ${modelName} (${size}${style ? `, ${style.name} style` : ''}) ${costInfo}
+📝 ${enhance ? 'Enhanced prompt' : 'Prompt'}: "${revisedPrompt}"${budgetNote(result)}`,
+        files,
+        components: [
+          new ActionRowBuilder().addComponents(buildImageActionButtons(recordId, size)),
+          // Per-image Upscale / Save buttons need every image in the gallery
+          ...buildImagePickRows(recordId, galleryIds.length === files.length ? files.length : 0),
+        ],
       });
+      getImageGallery().linkMessage(galleryIds, reply);
 
       logger.info(
         {
           userId: interaction.user.id,
+          imageCount: files.length,
           success: true,
         },
         'Image generated and sent successfully'
@@ -0,0 +1,250 @@
+/**
+ * Memory Command for ChimpGPT
+ *
+ * Lets users see what the bot remembers about them (conversation history,
+ * long-term memory summary, saved location and knowledge-cache entries from
+ * their searches), download it as JSON, or have all of it forgotten.
+ *
+ * @module MemoryCommand
+ */
+
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { createLogger } = require('../../core/logger');
+const { collectUserMemory, forgetUserMemory } = require('../../conversation/userMemoryRegistry');
+
+const logger = createLogger('commands:memory');
+
+const SUBCOMMANDS = ['view', 'export', 'forget'];
+// Subcommands that show stored data, which the text command only sends by DM
+const PRIVATE_SUBCOMMANDS = ['view', 'export'];
+const PREVIEW_TURNS = 5;
+
+function truncate(text, length) {
+  if (!text) return '';
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+function formatDate(timestamp) {
+  return timestamp ? `<t:${Math.floor(timestamp / 1000)}:R>` : 'unknown';
+}
+
+/**
+ * Build the embed shown by `view`
+ * @param {Object} memory - Result of collectUserMemory
+ * @returns {EmbedBuilder}
+ */
+function buildMemoryEmbed(memory) {
+  const { conversations, location, knowledge } = memory.sources;
+  const embed = new EmbedBuilder()
+    .setTitle('🧠 What I remember about you')
+    .setColor(0x5865f2)
+    .setFooter({ text: 'Use /memory export to download it or /memory forget to erase it' })
+    .setTimestamp();
+
+  if (conversations?.turns?.length > 0) {
+    const { turns } = conversations;
+    const preview = turns
+      .slice(-PREVIEW_TURNS)
+      .map(turn => `**${turn.role === 'assistant' ? 'Me' : 'You'}:** ${truncate(turn.content, 80)}`)
+      .join('\n');
+    embed.addFields({
+      name: `💬 Conversation (${turns.length} messages, since ${formatDate(turns[0].timestamp)})`,
+      value: truncate(preview, 1024),
+    });
+  } else {
+    embed.addFields({ name: '💬 Conversation', value: 'Nothing stored' });
+  }
+
+  if (conversations?.summary) {
+    embed.addFields({
+      name: '📝 Long-term memory',
+      value: truncate(conversations.summary.text, 1024),
+    });
+  }
+
+  embed.addFields({
+    name: '📍 Location',
+    value: location
+      ? `${location.location}${location.timezone ? ` (${location.timezone})` : ''}`
+      : 'Nothing stored',
+    inline: true,
+  });
+
+  embed.addFields({
+    name: '📚 Knowledge cache',
+    value: knowledge
+      ? `${knowledge.entries.length} cached results, ${knowledge.searches.length} searches`
+      : 'Nothing stored',
+    inline: true,
+  });
+
+  if (Object.keys(memory.errors).length > 0) {
+    embed.addFields({
+      name: '⚠️ Unavailable',
+      value: Object.keys(memory.errors).join(', '),
+    });
+  }
+
+  return embed;
+}
+
+/**
+ * Build the JSON attachment for `export`
+ * @param {Object} memory - Result of collectUserMemory
+ * @returns {{attachment: Buffer, name: string, description: string}}
+ */
+function buildExportAttachment(memory) {
+  return {
+    attachment: Buffer.from(JSON.stringify(memory, null, 2), 'utf8'),
+    name: `chimpgpt-memory-${memory.userId}.json`,
+    description: 'Everything ChimpGPT remembers about you',
+  };
+}
+
+function formatForgetResult({ removed, errors }) {
+  const total = Object.values(removed).reduce((sum, count) => sum + count, 0);
+  const lines = [
+    total > 0
+      ? `🧹 Done — I've forgotten everything I had stored about you (${total} items).`
+      : "🧹 I didn't have anything stored about you.",
+  ];
+
+  if (Object.keys(errors).length > 0) {
+    lines.push(`⚠️ Some stores could not be cleared: ${Object.keys(errors).join(', ')}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Run a subcommand and build the reply payload
+ * @param {string} subcommand - view, export or forget
+ * @param {string} userId - Discord user ID
+ * @returns {Promise<Object>} Discord reply options
+ */
+async function runSubcommand(subcommand, userId) {
+  switch (subcommand) {
+    case 'view':
+      return { embeds: [buildMemoryEmbed(await collectUserMemory(userId))] };
+    case 'export':
+      return {
+        content: '📦 Here is everything I remember about you:',
+        files: [buildExportAttachment(await collectUserMemory(userId))],
+      };
+    case 'forget':
+      return { content: formatForgetResult(await forgetUserMemory(userId)) };
+    default:
+      return { content: `Unknown subcommand. Please use one of: ${SUBCOMMANDS.join(', ')}` };
+  }
+}
+
+module.exports = {
+  name: 'memory',
+  description: 'View, export or forget what the bot remembers about you',
+  aliases: ['mymemory', 'forgetme'],
+  usage: '!memory <view|export|forget confirm>',
+  dmAllowed: true,
+  adminOnly: false,
+  ownerOnly: false,
+
+  slashCommand: new SlashCommandBuilder()
+    .setName('memory')
+    .setDescription('View, export or forget what the bot remembers about you')
+    .addSubcommand(subcommand =>
+      subcommand.setName('view').setDescription('Show what the bot remembers about you')
+    )
+    .addSubcommand(subcommand =>
+      subcommand.setName('export').setDescription('Download everything stored about you as JSON')
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('forget')
+        .setDescription('Erase everything the bot remembers about you')
+        .addBooleanOption(option =>
+          option
+            .setName('confirm')
+            .setDescription('Set to true to confirm - this cannot be undone')
+            .setRequired(true)
+        )
+    ),
+
+  /**
+   * Execute the memory command (text command version). In a server, `view`
+   * and `export` are sent by DM rather than posted in the channel.
+   *
+   * @param {import('discord.js').Message} message - Discord message object
+   * @param {string[]} args - Command arguments
+   * @returns {Promise<void>}
+   */
+  async execute(message, args) {
+    const userId = message.author.id;
+    const subcommand = (args[0] || 'view').toLowerCase();
+
+    logger.info({ userId, subcommand }, 'Memory command used');
+
+    try {
+      if (subcommand === 'forget' && args[1]?.toLowerCase() !== 'confirm') {
+        await message.reply(
+          '⚠️ This erases everything I remember about you and cannot be undone. Run `!memory forget confirm` to proceed.'
+        );
+        return;
+      }
+
+      const reply = await runSubcommand(subcommand, userId);
+      if (!message.guildId || !PRIVATE_SUBCOMMANDS.includes(subcommand)) {
+        await message.reply(reply);
+        return;
+      }
+
+      // Stored data is only sent by DM; the channel just gets a pointer to it
+      try {
+        await message.author.send(reply);
+      } catch (error) {
+        logger.warn({ error, userId, subcommand }, 'Could not DM stored memory');
+        await message.reply(
+          "⚠️ I couldn't DM you. Allow DMs from server members, or use `/memory`, which only you can see."
+        );
+        return;
+      }
+      await message.reply("📬 I've sent it to you in a DM.");
+    } catch (error) {
+      logger.error({ error, userId, subcommand }, 'Error executing memory command');
+      await message.reply('❌ Something went wrong while accessing your stored data.');
+    }
+  },
+
+  /**
+   * Execute the memory command (slash command version). Replies are ephemeral
+   * so stored data is only visible to the user who asked for it.
+   *
+   * @param {import('discord.js').ChatInputCommandInteraction} interaction - Discord interaction object
+   * @returns {Promise<void>}
+   */
+  async interactionExecute(interaction) {
+    const userId = interaction.user.id;
+    const subcommand = interaction.options.getSubcommand();
+
+    logger.info({ userId, subcommand }, 'Memory slash command used');
+
+    if (subcommand === 'forget' && !interaction.options.getBoolean('confirm')) {
+      await interaction.reply({
+        content: 'Nothing was erased. Run `/memory forget confirm:True` to confirm.',
+        ephemeral: true,
+      });
+      return;
+    }
+
+    try {
+      await interaction.deferReply({ ephemeral: true });
+      await interaction.editReply(await runSubcommand(subcommand, userId));
+    } catch (error) {
+      logger.error({ error, userId, subcommand }, 'Error executing memory slash command');
+      const reply = { content: '❌ Something went wrong while accessing your stored data.' };
+      if (interaction.deferred || interaction.replied) {
+        await interaction.editReply(reply);
+      } else {
+        await interaction.reply({ ...reply, ephemeral: true });
+      }
+    }
+  },
+};
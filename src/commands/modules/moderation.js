@@ -0,0 +1,156 @@
+/**
+ * Moderation Command for ChimpGPT (Owner Only)
+ *
+ * Shows or changes how strictly image prompts are pre-screened in a server,
+ * and lists the prompts most recently blocked there.
+ *
+ * @module ModerationCommand
+ */
+
+const { SlashCommandBuilder } = require('discord.js');
+const { createLogger } = require('../../core/logger');
+const { getPromptModerator, LEVELS } = require('../../services/promptModeration');
+const { getBlockedPromptLog } = require('../../services/blockedPromptLog');
+
+const logger = createLogger('commands:moderation');
+
+const SUBCOMMANDS = ['status', 'set'];
+const RECENT_BLOCKS = 5;
+
+const LEVEL_DESCRIPTIONS = {
+  off: 'no pre-screen (the image API still refuses what it refuses)',
+  low: 'blocklist terms and severe moderation categories only',
+  medium: 'also suggestive terms and anything the moderation check flags',
+  high: 'also borderline moderation scores',
+};
+
+/**
+ * Run a subcommand
+ * @param {string} subcommand - status or set
+ * @param {Object} request
+ * @param {string} [request.level] - New level for set (or "default")
+ * @param {string} request.guildId - Guild ID
+ * @param {string} request.userId - User making the change (for logging)
+ * @returns {string} Reply text
+ */
+function runSubcommand(subcommand, { level, guildId, userId }) {
+  if (!guildId) {
+    return '❌ Moderation strictness is set per server. Run this in a server channel.';
+  }
+  const moderator = getPromptModerator();
+
+  switch (subcommand) {
+    case 'status': {
+      const current = moderator.getLevel(guildId);
+      const { entries, total } = getBlockedPromptLog().list({ guildId, limit: RECENT_BLOCKS });
+      const lines = entries.map(
+        entry =>
+          `• <t:${Math.floor(Date.parse(entry.timestamp) / 1000)}:R> <@${entry.userId}> (${entry.source}): "${entry.prompt.substring(0, 80)}"`
+      );
+      return [
+        `🛡️ Image prompt screening here: **${current}** — ${LEVEL_DESCRIPTIONS[current]}`,
+        total > 0 ? `\n**Recently blocked** (${total} total):` : '\nNo prompts blocked here yet.',
+        ...lines,
+      ].join('\n');
+    }
+
+    case 'set': {
+      const reset = level === 'default';
+      if (!reset && !LEVELS.includes(level)) {
+        return `Unknown level. Please use one of: ${[...LEVELS, 'default'].join(', ')}`;
+      }
+      moderator.setLevel(guildId, reset ? null : level);
+      const current = moderator.getLevel(guildId);
+      logger.info({ guildId, level: current, userId }, 'Image moderation level changed');
+      return `✅ Image prompt screening here is now **${current}**${reset ? ' (the default)' : ''} — ${LEVEL_DESCRIPTIONS[current]}`;
+    }
+
+    default:
+      return `Unknown option. Please use one of: ${SUBCOMMANDS.join(', ')}`;
+  }
+}
+
+module.exports = {
+  name: 'moderation',
+  description: 'Show or set how strictly image prompts are screened in this server',
+  aliases: ['imagemoderation'],
+  usage: '!moderation <status|set <off|low|medium|high|default>>',
+  dmAllowed: false,
+  adminOnly: false,
+  ownerOnly: true,
+
+  slashCommand: new SlashCommandBuilder()
+    .setName('moderation')
+    .setDescription('Show or set how strictly image prompts are screened in this server')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('status')
+        .setDescription('Show the current strictness and recently blocked prompts')
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('set')
+        .setDescription('Change the strictness for this server')
+        .addStringOption(option =>
+          option
+            .setName('level')
+            .setDescription('How strict to be')
+            .setRequired(true)
+            .addChoices(...LEVELS.map(name => ({ name, value: name })), {
+              name: 'default (IMAGE_MODERATION_LEVEL)',
+              value: 'default',
+            })
+        )
+    ),
+
+  /**
+   * Execute the moderation command (text command version)
+   *
+   * @param {import('discord.js').Message} message - Discord message object
+   * @param {string[]} args - Command arguments
+   * @returns {Promise<void>}
+   */
+  async execute(message, args) {
+    const subcommand = (args[0] || 'status').toLowerCase();
+
+    try {
+      await message.reply(
+        runSubcommand(subcommand, {
+          level: args[1]?.toLowerCase(),
+          guildId: message.guild?.id,
+          userId: message.author.id,
+        })
+      );
+    } catch (error) {
+      logger.error({ error, subcommand }, 'Error executing moderation command');
+      await message.reply('❌ Failed to run the moderation command.');
+    }
+  },
+
+  /**
+   * Execute the moderation command (slash command version)
+   *
+   * @param {import('discord.js').ChatInputCommandInteraction} interaction - Discord interaction object
+   * @returns {Promise<void>}
+   */
+  async interactionExecute(interaction) {
+    const subcommand = interaction.options.getSubcommand();
+
+    try {
+      await interaction.reply({
+        content: runSubcommand(subcommand, {
+          level: interaction.options.getString('level'),
+          guildId: interaction.guildId,
+          userId: interaction.user.id,
+        }),
+        ephemeral: true,
+      });
+    } catch (error) {
+      logger.error({ error, subcommand }, 'Error executing moderation slash command');
+      await interaction.reply({
+        content: '❌ Failed to run the moderation command.',
+        ephemeral: true,
+      });
+    }
+  },
+};
@@ -0,0 +1,214 @@
+/**
+ * Persona Command for ChimpGPT (Owner Only)
+ *
+ * Lists, previews and switches the persona profile the bot uses in a server
+ * or a single channel. A channel's persona wins over its server's.
+ *
+ * @module PersonaCommand
+ */
+
+const { SlashCommandBuilder } = require('discord.js');
+const { createLogger } = require('../../core/logger');
+const config = require('../../core/configValidator');
+const { getPersonaRegistry, DEFAULT_PERSONA } = require('../../services/personaRegistry');
+const { buildSystemPrompt } = require('../../utils/systemPromptBuilder');
+
+const logger = createLogger('commands:persona');
+
+const SUBCOMMANDS = ['set', 'list', 'preview'];
+const SCOPES = ['guild', 'channel'];
+const PREVIEW_PROMPT_LENGTH = 1500;
+
+/**
+ * Describe the persona active in a channel and where it comes from
+ * @param {string} guildId - Guild ID
+ * @param {string} channelId - Channel ID
+ * @returns {string} Status line
+ */
+function describeActive(guildId, channelId) {
+  const registry = getPersonaRegistry();
+  const persona = registry.resolve({ guildId, channelId });
+  let source = 'default';
+  if (registry.getStored('channel', channelId)) {
+    source = 'set for this channel';
+  } else if (guildId && registry.getStored('guild', guildId)) {
+    source = 'set for this server';
+  }
+
+  return `🎭 **${persona.name}** (\`${persona.id}\`) is active in <#${channelId}> (${source}).`;
+}
+
+/**
+ * @param {import('../../services/personaRegistry').PersonaProfile} persona
+ * @returns {string} Temperature, emoji style and intents on one line
+ */
+function describeSettings(persona) {
+  const intents = persona.allowedIntents ? persona.allowedIntents.join(', ') : 'all';
+  return `temperature ${persona.temperature ?? 'model default'} · emoji ${persona.emojiStyle || 'unset'} · intents ${intents}`;
+}
+
+/**
+ * Run a subcommand
+ * @param {string} subcommand - set, list or preview
+ * @param {Object} request
+ * @param {string} [request.personaId] - Persona for set/preview
+ * @param {string} [request.scope] - guild or channel (set)
+ * @param {string} request.guildId - Guild ID
+ * @param {string} request.channelId - Channel ID
+ * @param {string} request.userId - User making the change (for logging)
+ * @returns {string} Reply text
+ */
+function runSubcommand(subcommand, { personaId, scope = 'guild', guildId, channelId, userId }) {
+  const registry = getPersonaRegistry();
+
+  switch (subcommand) {
+    case 'list': {
+      const active = registry.resolve({ guildId, channelId });
+      const lines = registry
+        .list()
+        .map(
+          persona =>
+            `${persona.id === active.id ? '▶️' : '•'} **${persona.name}** (\`${persona.id}\`)${persona.description ? ` — ${persona.description}` : ''}`
+        );
+      return [describeActive(guildId, channelId), '', ...lines].join('\n');
+    }
+
+    case 'preview': {
+      const persona = registry.get(personaId);
+      if (!persona) {
+        return `❌ Unknown persona \`${personaId}\`. Use \`/persona list\` to see them.`;
+      }
+      let prompt = buildSystemPrompt(config.BOT_PERSONALITY, { persona });
+      if (prompt.length > PREVIEW_PROMPT_LENGTH) {
+        prompt = `${prompt.slice(0, PREVIEW_PROMPT_LENGTH)}…`;
+      }
+      return `🎭 **${persona.name}** (\`${persona.id}\`): ${describeSettings(persona)}\n\`\`\`\n${prompt}\n\`\`\``;
+    }
+
+    case 'set': {
+      if (!SCOPES.includes(scope)) {
+        return `Unknown scope. Please use one of: ${SCOPES.join(', ')}`;
+      }
+      if (!registry.get(personaId)) {
+        return `❌ Unknown persona \`${personaId}\`. Use \`/persona list\` to see them.`;
+      }
+      registry.setActive(scope, scope === 'guild' ? guildId : channelId, personaId);
+      logger.info({ personaId, scope, guildId, channelId, userId }, 'Persona changed');
+      return `✅ ${describeActive(guildId, channelId)}`;
+    }
+
+    default:
+      return `Unknown option. Please use one of: ${SUBCOMMANDS.join(', ')}`;
+  }
+}
+
+const personaChoices = () =>
+  getPersonaRegistry()
+    .list()
+    .slice(0, 25)
+    .map(persona => ({ name: persona.name, value: persona.id }));
+
+module.exports = {
+  name: 'persona',
+  description: "List, preview or switch the bot's persona for this server or channel",
+  aliases: ['personas'],
+  usage: '!persona <list|preview <id>|set <id> [guild|channel]>',
+  dmAllowed: false,
+  adminOnly: false,
+  ownerOnly: true,
+
+  slashCommand: new SlashCommandBuilder()
+    .setName('persona')
+    .setDescription("List, preview or switch the bot's persona for this server or channel")
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('set')
+        .setDescription(`Switch persona (${DEFAULT_PERSONA} clears the override)`)
+        .addStringOption(option =>
+          option
+            .setName('name')
+            .setDescription('Persona to use')
+            .setRequired(true)
+            .addChoices(...personaChoices())
+        )
+        .addStringOption(option =>
+          option
+            .setName('scope')
+            .setDescription('Apply to the whole server or just this channel (default: server)')
+            .addChoices(
+              { name: 'Server', value: 'guild' },
+              { name: 'This channel', value: 'channel' }
+            )
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand.setName('list').setDescription('List personas and show the active one')
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('preview')
+        .setDescription("Show a persona's settings and composed system prompt")
+        .addStringOption(option =>
+          option
+            .setName('name')
+            .setDescription('Persona to preview')
+            .setRequired(true)
+            .addChoices(...personaChoices())
+        )
+    ),
+
+  /**
+   * Execute the persona command (text command version)
+   *
+   * @param {import('discord.js').Message} message - Discord message object
+   * @param {string[]} args - Command arguments
+   * @returns {Promise<void>}
+   */
+  async execute(message, args) {
+    const subcommand = (args[0] || 'list').toLowerCase();
+
+    try {
+      await message.reply(
+        runSubcommand(subcommand, {
+          personaId: args[1]?.toLowerCase(),
+          scope: args[2]?.toLowerCase(),
+          guildId: message.guild?.id,
+          channelId: message.channelId,
+          userId: message.author.id,
+        })
+      );
+    } catch (error) {
+      logger.error({ error, subcommand }, 'Error executing persona command');
+      await message.reply('❌ Failed to run the persona command.');
+    }
+  },
+
+  /**
+   * Execute the persona command (slash command version)
+   *
+   * @param {import('discord.js').ChatInputCommandInteraction} interaction - Discord interaction object
+   * @returns {Promise<void>}
+   */
+  async interactionExecute(interaction) {
+    const subcommand = interaction.options.getSubcommand();
+
+    try {
+      await interaction.reply({
+        content: runSubcommand(subcommand, {
+          personaId: interaction.options.getString('name'),
+          scope: interaction.options.getString('scope') || undefined,
+          guildId: interaction.guildId,
+          channelId: interaction.channelId,
+          userId: interaction.user.id,
+        }),
+        ephemeral: subcommand !== 'set',
+      });
+    } catch (error) {
+      logger.error({ error, subcommand }, 'Error executing persona slash command');
+      await interaction.reply({
+        content: '❌ Failed to run the persona command.',
+        ephemeral: true,
+      });
+    }
+  },
+};
@@ -1,106 +1,348 @@
 /**
- * PFP Update Command for ChimpGPT (Owner Only)
+ * PFP Command for ChimpGPT (Owner Only)
  *
- * This command allows the bot owner to manually trigger an update
- * of the bot's profile picture.
+ * Curates the bot's avatar rotation: update the avatar now, review candidate
+ * images, give approved images a theme, set the schedules themes are used on,
+ * and go back to an earlier avatar.
  *
  * @module PFPCommand
  * @author Cascade
  * @version 1.0.0
  */
 
+const path = require('path');
+const { SlashCommandBuilder } = require('discord.js');
 const { createLogger } = require('../../core/logger');
+const { APPROVE_EMOJI, REJECT_EMOJI } = require('../../utils/pfpManager');
 const logger = createLogger('commands:pfp');
 
+const SUBCOMMANDS = ['rotate', 'pending', 'approve', 'reject', 'history', 'rollback', 'schedule'];
+const PENDING_SHOWN = 10; // Discord's attachment limit
+const HISTORY_SHOWN = 10;
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * @param {string} list - Comma-separated values
+ * @returns {string[]}
+ */
+function splitList(list) {
+  return (list || '')
+    .split(',')
+    .map(value => value.trim())
+    .filter(Boolean);
+}
+
+/**
+ * @param {import('../../utils/pfpManager').PfpSchedule} schedule
+ * @returns {string}
+ */
+function describeSchedule(schedule) {
+  const when = [...schedule.days.map(day => WEEKDAY_NAMES[day]), ...schedule.dates].join(', ');
+  return `**${schedule.name}** — ${when}`;
+}
+
+/**
+ * @param {{success: boolean, error?: string, ratelimited?: boolean}} result - Avatar update result
+ * @param {string} successMessage - Reply when it worked
+ * @returns {string}
+ */
+function describeUpdate(result, successMessage) {
+  if (result.success) return successMessage;
+  return `⚠️ Failed to update profile picture.${result.error ? ` Reason: ${result.error}` : ''}${result.ratelimited ? ' (Rate-limited by Discord)' : ''}`;
+}
+
+/**
+ * Run a subcommand
+ * @param {string} subcommand - One of SUBCOMMANDS
+ * @param {Object} request
+ * @param {import('../../utils/pfpManager')} request.pfpManager - The bot's PFP manager
+ * @param {string} [request.id] - Image ID for approve and reject
+ * @param {string} [request.theme] - Theme for approve
+ * @param {number} [request.steps] - Avatars to go back for rollback
+ * @param {string} [request.action] - list, add or remove for schedule
+ * @param {string} [request.name] - Schedule name
+ * @param {string} [request.days] - Comma-separated weekdays for a schedule
+ * @param {string} [request.dates] - Comma-separated MM-DD dates or ranges for a schedule
+ * @returns {Promise<string|{content: string, files?: Object[]}>} Reply
+ */
+async function runSubcommand(subcommand, request) {
+  const { pfpManager } = request;
+
+  switch (subcommand) {
+    case 'rotate': {
+      const result = await pfpManager.updateBotAvatar();
+      return describeUpdate(result, '✅ Profile picture updated successfully! Check my profile!');
+    }
+
+    case 'pending': {
+      const pending = await pfpManager.listImages('pending');
+      if (pending.length === 0) {
+        return 'No candidate images are waiting for review.';
+      }
+      const shown = pending.slice(0, PENDING_SHOWN);
+      return {
+        content: [
+          `🖼️ **${pending.length} candidate${pending.length === 1 ? '' : 's'}** waiting — approve or reject by ID (or react ${APPROVE_EMOJI} / ${REJECT_EMOJI} on the image's message):`,
+          ...shown.map(
+            (image, index) =>
+              `${index + 1}. \`${image.id}\`${image.prompt ? ` — "${image.prompt.substring(0, 80)}"` : ''}`
+          ),
+        ].join('\n'),
+        files: shown.map(image => ({
+          attachment: path.join(pfpManager.pfpDir, image.file),
+          name: image.file,
+        })),
+      };
+    }
+
+    case 'approve': {
+      const image = pfpManager.approve(request.id, request.theme || null);
+      if (!image) return `❌ No image with ID \`${request.id}\`. See \`/pfp pending\`.`;
+      return `✅ \`${image.id}\` is in the rotation${image.theme ? ` for the **${image.theme}** schedule` : ''}.`;
+    }
+
+    case 'reject': {
+      const image = await pfpManager.reject(request.id);
+      if (!image) return `❌ No image with ID \`${request.id}\`. See \`/pfp pending\`.`;
+      return `🚫 \`${image.id}\` rejected and deleted.`;
+    }
+
+    case 'history': {
+      const history = pfpManager.getHistory().slice(0, HISTORY_SHOWN);
+      if (history.length === 0) {
+        return 'No avatar changes recorded yet.';
+      }
+      return [
+        '🕘 **Recent avatars** (newest first):',
+        ...history.map(
+          (entry, index) =>
+            `${index === 0 ? '➡️ now:' : `${index}.`} ${entry.file} — <t:${Math.floor(Date.parse(entry.setAt) / 1000)}:R>`
+        ),
+        '\nUse `/pfp rollback steps:<n>` to go back to one of them.',
+      ].join('\n');
+    }
+
+    case 'rollback': {
+      const steps = request.steps || 1;
+      const result = await pfpManager.rollback(steps);
+      return describeUpdate(
+        result,
+        `⏪ Went back ${steps} avatar${steps === 1 ? '' : 's'} to ${path.basename(result.newAvatarURL || '')}.`
+      );
+    }
+
+    case 'schedule': {
+      if (request.action === 'add') {
+        if (!request.name) return '❌ Give the schedule a name (it is the theme it uses).';
+        try {
+          const schedule = pfpManager.setSchedule({
+            name: request.name,
+            days: splitList(request.days),
+            dates: splitList(request.dates),
+          });
+          logger.info({ schedule }, 'PFP schedule set');
+          return `📅 Schedule set: ${describeSchedule(schedule)}. Approve images with \`theme:${schedule.name}\` to use on those days.`;
+        } catch (error) {
+          return `❌ ${error.message}`;
+        }
+      }
+      if (request.action === 'remove') {
+        return pfpManager.removeSchedule(request.name || '')
+          ? `🗑️ Schedule **${request.name}** removed.`
+          : `❌ No schedule named **${request.name}**.`;
+      }
+
+      const schedules = pfpManager.getSchedules();
+      const active = pfpManager.getActiveSchedule();
+      if (schedules.length === 0) {
+        return 'No schedules yet. Add one with `/pfp schedule add`.';
+      }
+      return [
+        '📅 **Avatar schedules**:',
+        ...schedules.map(schedule => `• ${describeSchedule(schedule)}`),
+        active ? `\nActive now: **${active.name}**` : '\nNo schedule is active right now.',
+      ].join('\n');
+    }
+
+    default:
+      return `Unknown option. Please use one of: ${SUBCOMMANDS.join(', ')}`;
+  }
+}
+
 module.exports = {
   name: 'pfp',
-  description: "Manually updates the bot's profile picture (Owner Only).",
+  description: "Update and curate the bot's profile picture rotation (Owner Only).",
   aliases: ['setpfp', 'updatepfp', 'newpfp'],
+  usage:
+    '!pfp [rotate|pending|approve <id> [theme]|reject <id>|history|rollback [steps]|schedule [list|add <name> <weekdays and/or dates>|remove <name>]]',
   ownerOnly: true, // Ensures only the bot owner can use this command
   dmAllowed: true, // Allow this command in DMs
   cooldown: 300, // 5 minute cooldown to prevent spamming PFP updates
 
+  slashCommand: new SlashCommandBuilder()
+    .setName('pfp')
+    .setDescription("Update and curate the bot's profile picture rotation")
+    .addSubcommand(subcommand =>
+      subcommand.setName('rotate').setDescription('Switch to another approved avatar now')
+    )
+    .addSubcommand(subcommand =>
+      subcommand.setName('pending').setDescription('Show candidate images waiting for review')
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('approve')
+        .setDescription('Let a candidate image into the rotation')
+        .addStringOption(option =>
+          option.setName('id').setDescription('Image ID from /pfp pending').setRequired(true)
+        )
+        .addStringOption(option =>
+          option
+            .setName('theme')
+            .setDescription('Only use it while the schedule with this name is active')
+            .setRequired(false)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('reject')
+        .setDescription('Delete an image from the pool')
+        .addStringOption(option =>
+          option.setName('id').setDescription('Image ID from /pfp pending').setRequired(true)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand.setName('history').setDescription('Show the most recent avatars')
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('rollback')
+        .setDescription('Go back to an earlier avatar')
+        .addIntegerOption(option =>
+          option
+            .setName('steps')
+            .setDescription('How many avatars to go back (default 1)')
+            .setRequired(false)
+            .setMinValue(1)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('schedule')
+        .setDescription('List, add or remove the schedules themed avatars are used on')
+        .addStringOption(option =>
+          option
+            .setName('action')
+            .setDescription('What to do (default list)')
+            .setRequired(false)
+            .addChoices(
+              { name: 'list', value: 'list' },
+              { name: 'add', value: 'add' },
+              { name: 'remove', value: 'remove' }
+            )
+        )
+        .addStringOption(option =>
+          option.setName('name').setDescription('Schedule (and theme) name').setRequired(false)
+        )
+        .addStringOption(option =>
+          option
+            .setName('days')
+            .setDescription('Weekdays, comma-separated (e.g. sat,sun)')
+            .setRequired(false)
+        )
+        .addStringOption(option =>
+          option
+            .setName('dates')
+            .setDescription('Dates or ranges, comma-separated (e.g. 10-31, 12-20..12-31)')
+            .setRequired(false)
+        )
+    ),
+
   /**
-   * Execute the PFP update command
+   * Execute the PFP command (text command version). With no arguments it
+   * updates the avatar now.
    *
    * @param {import('discord.js').Message} message - Discord message object
-   * @param {string[]} args - Command arguments (not used in this command)
+   * @param {string[]} args - Command arguments
    * @param {import('discord.js').Client} client - The Discord client instance
-   * @param {Object} config - The bot's configuration object
    * @returns {Promise<void>}
    */
-  async execute(message, _args, client, _config) {
-    // Diagnostic log for pfpManager status at command execution
-    if (client.pfpManager) {
-      logger.info(
-        {
-          pfpManagerStatus: 'Exists on client at command execution',
-          typeof: typeof client.pfpManager,
-          constructorName: client.pfpManager.constructor
-            ? client.pfpManager.constructor.name
-            : 'N/A',
-          methods:
-            typeof client.pfpManager === 'object'
-              ? Object.getOwnPropertyNames(client.pfpManager.constructor.prototype)
-              : 'N/A',
-        },
-        'PFP Manager diagnostic in command execute'
-      );
-    } else {
-      logger.error(
-        {
-          pfpManagerStatus: 'MISSING on client at command execution',
-          clientKeys: Object.keys(client), // Log available keys on client to see what's there
-        },
-        'PFP Manager diagnostic in command execute - IT IS MISSING'
-      );
-    }
-
-    if (!client.pfpManager) {
+  async execute(message, args, client) {
+    const pfpManager = (client || message.client)?.pfpManager;
+    if (!pfpManager) {
       logger.error('PFPManager not found on client object during pfp command execution.');
       await message.reply('❌ An internal error occurred: PFPManager is not available.');
       return;
     }
 
-    try {
-      const reply = await message.reply(
-        '🔄 Attempting to update profile picture... This may take a moment.'
-      );
-
-      // Trigger the PFP update
-      const result = await client.pfpManager.updateBotAvatar();
+    const subcommand = (args[0] || 'rotate').toLowerCase();
+    const scheduleAction = args[1]?.toLowerCase();
+    // "!pfp schedule add xmas 12-24..12-26 sat" - dates are the parts with digits
+    const when = splitList(args.slice(3).join(','));
 
-      if (result.success) {
-        let successMessage = '✅ Profile picture updated successfully!';
-        if (result.newAvatarURL) {
-          // Note: Discord might take a bit to show the new PFP in the client.
-          // The URL provided by PFPManager might be a direct link to the image file, not necessarily the Discord CDN URL.
-          successMessage += ` Check my profile!`;
-        }
-        await reply.edit(successMessage);
-        logger.info({ userId: message.author.id }, 'PFP updated successfully by owner.');
-      } else {
-        let errorMessage = '⚠️ Failed to update profile picture.';
-        if (result.error) {
-          errorMessage += ` Reason: ${result.error}`;
-        }
-        if (result.ratelimited) {
-          errorMessage += ' (Rate-limited by Discord)';
-        }
-        await reply.edit(errorMessage);
-        logger.warn(
-          { userId: message.author.id, error: result.error, ratelimited: result.ratelimited },
-          'PFP update failed for owner.'
-        );
-      }
+    try {
+      const reply =
+        subcommand === 'rotate'
+          ? await message.reply(
+              '🔄 Attempting to update profile picture... This may take a moment.'
+            )
+          : null;
+      const response = await runSubcommand(subcommand, {
+        pfpManager,
+        id: args[1],
+        theme: args[2],
+        steps: parseInt(args[1], 10) || 1,
+        action: ['add', 'remove'].includes(scheduleAction) ? scheduleAction : 'list',
+        name: args[2],
+        days: when.filter(part => !/\d/.test(part)).join(','),
+        dates: when.filter(part => /\d/.test(part)).join(','),
+      });
+      await (reply ? reply.edit(response) : message.reply(response));
+      logger.info({ userId: message.author.id, subcommand }, 'PFP command run by owner');
     } catch (error) {
       logger.error(
-        { error, command: 'pfp', userId: message.author.id },
+        { error, command: 'pfp', subcommand, userId: message.author.id },
         'Error executing pfp command'
       );
-      await message.reply(
-        '❌ An unexpected error occurred while trying to update the profile picture.'
+      await message.reply('❌ An unexpected error occurred while running the pfp command.');
+    }
+  },
+
+  /**
+   * Execute the PFP command (slash command version)
+   *
+   * @param {import('discord.js').ChatInputCommandInteraction} interaction - Discord interaction object
+   * @returns {Promise<void>}
+   */
+  async interactionExecute(interaction) {
+    const { pfpManager } = interaction.client;
+    if (!pfpManager) {
+      await interaction.reply({
+        content: '❌ An internal error occurred: PFPManager is not available.',
+        ephemeral: true,
+      });
+      return;
+    }
+
+    const subcommand = interaction.options.getSubcommand();
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      await interaction.editReply(
+        await runSubcommand(subcommand, {
+          pfpManager,
+          id: interaction.options.getString('id'),
+          theme: interaction.options.getString('theme'),
+          steps: interaction.options.getInteger('steps'),
+          action: interaction.options.getString('action') || 'list',
+          name: interaction.options.getString('name'),
+          days: interaction.options.getString('days'),
+          dates: interaction.options.getString('dates'),
+        })
       );
+      logger.info({ userId: interaction.user.id, subcommand }, 'PFP command run by owner');
+    } catch (error) {
+      logger.error({ error, subcommand }, 'Error executing pfp slash command');
+      await interaction.editReply('❌ An unexpected error occurred while running the pfp command.');
     }
   },
 };
@@ -0,0 +1,512 @@
+/**
+ * Quake Command Module
+ *
+ * Population alerts for Quake Live servers: `notify` sets up a DM or role ping
+ * for when a server reaches a player count, `alerts` lists yours and `unnotify`
+ * removes one. `player` and `leaderboard` show what the match history has
+ * recorded. `settings` shows or changes the guild's defaults for /serverstats.
+ * Anything else given to the text command is passed on to serverstats, which
+ * `!quake` used to be an alias of.
+ *
+ * @module QuakeCommand
+ */
+
+const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const { createLogger } = require('../../core/logger');
+const { validateServerInput } = require('../../utils/inputValidator');
+const { getQuakeAlerts } = require('../../services/quakeAlerts');
+const { getQuakeHistory } = require('../../services/quakeHistory');
+const { getQuakeSettings } = require('../../services/quakeSettings');
+const { resolveDisplayOptions, QUAKE_REGIONS } = require('../../services/quakeLookup');
+const serverstats = require('./serverstats');
+const logger = createLogger('commands:quake');
+
+const SUBCOMMANDS = ['notify', 'alerts', 'unnotify', 'player', 'leaderboard', 'settings'];
+const ELO_MODES = ['Off', 'Categories', 'Values'];
+// Text command setting names, e.g. "!quake settings elomode 2 region north-america"
+const SETTING_NAMES = {
+  elomode: 'eloMode',
+  servers: 'maxServers',
+  region: 'region',
+  emojis: 'emojis',
+};
+const SWITCHES = { on: true, yes: true, true: true, off: false, no: false, false: false };
+const SPARKLINE = '▁▂▃▄▅▆▇█';
+const SPARKLINE_POINTS = 12;
+
+/**
+ * @param {number[]} values
+ * @returns {string} One bar per value, scaled between the smallest and largest
+ */
+function sparkline(values) {
+  const min = Math.min(...values);
+  const range = Math.max(...values) - min;
+  return values
+    .map(
+      value => SPARKLINE[range ? Math.round(((value - min) / range) * (SPARKLINE.length - 1)) : 0]
+    )
+    .join('');
+}
+
+/**
+ * @param {number} change - Rating change
+ * @returns {string}
+ */
+function signed(change) {
+  return change > 0 ? `+${change}` : String(change);
+}
+
+/**
+ * @param {ReturnType<import('../../services/quakeHistory').QuakeHistory['getPlayer']>} player
+ * @returns {string}
+ */
+function describePlayer(player) {
+  const lastSeen = Math.floor(Date.parse(player.lastSeenAt) / 1000);
+  const maps = player.favouriteMaps.map(({ map, matches }) => `${map} (${matches})`).join(', ');
+  const ratings = player.ratings.slice(-SPARKLINE_POINTS).map(entry => entry.rating);
+
+  return [
+    `🎮 **${player.name}**`,
+    `Last seen <t:${lastSeen}:R> on ${player.lastServer}`,
+    `Matches: ${player.matches}${maps ? ` · Favourite maps: ${maps}` : ''}`,
+    player.rating === null
+      ? 'Rating: not recorded'
+      : `Rating: ${player.rating}${player.weekChange === null ? '' : ` (${signed(player.weekChange)} this week)`}${ratings.length > 1 ? ` ${sparkline(ratings)}` : ''}`,
+  ].join('\n');
+}
+
+/**
+ * @param {import('../../services/quakeSettings').GuildQuakeSettings} settings - Stored settings
+ * @returns {string} Each setting, marking the ones left on the default
+ */
+function describeSettings(settings) {
+  const defaults = resolveDisplayOptions();
+  const show = (value, fallback, format = String) =>
+    value === undefined ? `${format(fallback)} (default)` : format(value);
+  const onOff = on => (on ? 'on' : 'off');
+
+  return [
+    '⚙️ **Quake settings for this server**',
+    `ELO mode: ${show(settings.eloMode, defaults.eloMode, mode => ELO_MODES[mode])}`,
+    `Servers listed: ${show(settings.maxServers, defaults.maxServers)}`,
+    `Region: ${show(settings.region, defaults.region)}`,
+    `Emojis: ${show(settings.emojis, defaults.showServerStatsEmojis, onOff)}`,
+  ].join('\n');
+}
+
+/**
+ * Settings changes from text command arguments given as name/value pairs.
+ * Values that don't parse are passed on as they are for QuakeSettings to reject.
+ *
+ * @param {string[]} args - Arguments after "settings"
+ * @returns {Object} Changes for QuakeSettings.update
+ */
+function parseSettingsArgs(args) {
+  const changes = {};
+  for (let index = 0; index < args.length; index += 2) {
+    const key = SETTING_NAMES[args[index].toLowerCase()] || args[index];
+    const value = args[index + 1] ?? '';
+    if (key === 'eloMode' || key === 'maxServers') {
+      changes[key] = /^\d+$/.test(value) ? parseInt(value, 10) : NaN;
+    } else if (key === 'emojis') {
+      changes[key] = SWITCHES[value.toLowerCase()] ?? value;
+    } else {
+      changes[key] = value;
+    }
+  }
+  return changes;
+}
+
+/**
+ * @param {import('../../services/quakeAlerts').AlertSubscription} subscription
+ * @returns {string}
+ */
+function describeSubscription(subscription) {
+  const { quietHours } = subscription;
+  return [
+    `\`${subscription.id}\` **${subscription.server}**${subscription.region ? ` (${subscription.region})` : ''} at ${subscription.minPlayers}+ players`,
+    subscription.roleId ? `pings <@&${subscription.roleId}>` : 'by DM',
+    `cooldown ${subscription.cooldownMinutes}m`,
+    quietHours
+      ? `quiet ${String(quietHours.start).padStart(2, '0')}:00–${String(quietHours.end).padStart(2, '0')}:00 ${quietHours.timeZone}`
+      : '',
+  ]
+    .filter(Boolean)
+    .join(' · ');
+}
+
+/**
+ * Run a subcommand
+ * @param {string} subcommand - One of SUBCOMMANDS
+ * @param {Object} request
+ * @param {import('../../services/quakeAlerts').QuakeAlerts} request.alerts - Alert subscriptions
+ * @param {string} request.userId - Who ran it
+ * @param {string|null} request.guildId - Guild it was run in
+ * @param {string} request.channelId - Channel it was run in
+ * @param {string} [request.server] - Server name or IP for notify
+ * @param {string} [request.region] - Region of the server for notify (default the guild's
+ *   region setting)
+ * @param {number} [request.minPlayers] - Player count for notify
+ * @param {string} [request.roleId] - Role to ping for notify
+ * @param {boolean} [request.canPingRoles] - Whether the user may set up role pings
+ * @param {number} [request.cooldownMinutes] - Cooldown for notify
+ * @param {number} [request.quietStart] - Hour quiet hours start for notify
+ * @param {number} [request.quietEnd] - Hour quiet hours end for notify
+ * @param {string} [request.timeZone] - Time zone of the quiet hours
+ * @param {string} [request.id] - Alert ID for unnotify
+ * @param {import('../../services/quakeHistory').QuakeHistory} [request.history] - Match history,
+ *   for player and leaderboard
+ * @param {string} [request.name] - Player name for player
+ * @param {import('../../services/quakeSettings').QuakeSettings} [request.settings] - Guild
+ *   settings, for settings
+ * @param {Object} [request.changes] - Settings to change (see QuakeSettings.update)
+ * @param {boolean} [request.reset] - Whether to put the settings back to the defaults
+ * @param {boolean} [request.canManageSettings] - Whether the user may change the settings
+ * @returns {Promise<string>} Reply
+ */
+async function runSubcommand(subcommand, request) {
+  const { alerts } = request;
+
+  switch (subcommand) {
+    case 'notify': {
+      const validatedServer = validateServerInput(request.server);
+      if (!request.server || !validatedServer.isValid) {
+        return '⚠️ Please give a valid server name or IP address.';
+      }
+      if (request.roleId && !request.canPingRoles) {
+        return '⚠️ You need the Manage Roles permission to set up role pings.';
+      }
+      const hasStart = Number.isInteger(request.quietStart);
+      if (hasStart !== Number.isInteger(request.quietEnd)) {
+        return '⚠️ Quiet hours need both a start and an end hour.';
+      }
+
+      const result = alerts.subscribe({
+        userId: request.userId,
+        guildId: request.guildId,
+        channelId: request.channelId,
+        server: validatedServer.value,
+        region: request.region || request.settings?.get(request.guildId).region,
+        minPlayers: request.minPlayers,
+        roleId: request.roleId,
+        cooldownMinutes: request.cooldownMinutes,
+        quietHours: hasStart
+          ? {
+              start: request.quietStart,
+              end: request.quietEnd,
+              timeZone: request.timeZone || 'UTC',
+            }
+          : null,
+      });
+      if (!result.success) {
+        return `⚠️ ${result.error}`;
+      }
+      return `🔔 Alert set: ${describeSubscription(result.subscription)}`;
+    }
+
+    case 'alerts': {
+      const subscriptions = alerts.list(request.userId);
+      if (subscriptions.length === 0) {
+        return 'You have no Quake alerts. Set one up with `/quake notify`.';
+      }
+      return [
+        '🔔 **Your Quake alerts**:',
+        ...subscriptions.map(subscription => `• ${describeSubscription(subscription)}`),
+      ].join('\n');
+    }
+
+    case 'unnotify': {
+      if (!request.id) {
+        return '⚠️ Please give the ID of the alert to remove (see `/quake alerts`).';
+      }
+      return alerts.unsubscribe(request.userId, request.id)
+        ? `🔕 Alert \`${request.id}\` removed.`
+        : `⚠️ You have no alert with ID \`${request.id}\`.`;
+    }
+
+    case 'player': {
+      if (!request.name?.trim()) {
+        return '⚠️ Please give a player name.';
+      }
+      const player = request.history.getPlayer(request.name);
+      return player
+        ? describePlayer(player)
+        : `No player matching "${request.name}" has been seen on the tracked servers.`;
+    }
+
+    case 'leaderboard': {
+      const { mostActive, ratingGains, matches } = request.history.leaderboard();
+      if (matches === 0) {
+        return 'No matches have been recorded in the last 7 days.';
+      }
+      return [
+        `🏆 **Quake leaderboard, last 7 days** (${matches} matches)`,
+        '**Most active**',
+        ...mostActive.map(
+          (entry, index) =>
+            `${index + 1}. ${entry.name}: ${entry.matches} match${entry.matches === 1 ? '' : 'es'}`
+        ),
+        '**Biggest rating gains**',
+        ...(ratingGains.length
+          ? ratingGains.map(
+              (entry, index) =>
+                `${index + 1}. ${entry.name}: ${signed(entry.gain)} (${entry.rating})`
+            )
+          : ['No rating gains recorded.']),
+      ].join('\n');
+    }
+
+    case 'settings': {
+      const { settings, guildId } = request;
+      if (!guildId) {
+        return '⚠️ Quake settings are per server, so they can only be used in one.';
+      }
+      const changes = request.changes || {};
+      const changing =
+        request.reset ||
+        Object.values(changes).some(value => value !== null && value !== undefined);
+      if (!changing) {
+        return describeSettings(settings.get(guildId));
+      }
+      if (!request.canManageSettings) {
+        return '⚠️ You need the Manage Server permission to change the Quake settings.';
+      }
+      if (request.reset) {
+        settings.reset(guildId);
+        return `♻️ Quake settings are back to the defaults.\n${describeSettings({})}`;
+      }
+
+      const result = settings.update(guildId, changes);
+      if (!result.success) {
+        return `⚠️ ${result.error}`;
+      }
+      return `✅ Quake settings updated.\n${describeSettings(result.settings)}`;
+    }
+
+    default:
+      return `Unknown option. Please use one of: ${SUBCOMMANDS.join(', ')}`;
+  }
+}
+
+module.exports = {
+  name: 'quake',
+  description: 'Quake Live alerts, player history, leaderboards and server settings',
+  usage:
+    '!quake [notify <server> <players> [@role]|alerts|unnotify <id>|player <name>|leaderboard|settings [elomode <0-2>] [servers <1-5>] [region <name>] [emojis on|off]|settings reset] (anything else: serverstats)',
+  dmAllowed: true,
+
+  slashCommand: new SlashCommandBuilder()
+    .setName('quake')
+    .setDescription('Quake Live alerts, player history, leaderboards and server settings')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('notify')
+        .setDescription('Get a DM or role ping when a server reaches a player count')
+        .addStringOption(option =>
+          option.setName('server').setDescription('Server name or IP address').setRequired(true)
+        )
+        .addIntegerOption(option =>
+          option
+            .setName('min')
+            .setDescription('Player count to alert at')
+            .setRequired(true)
+            .setMinValue(1)
+            .setMaxValue(64)
+        )
+        .addStringOption(option =>
+          option
+            .setName('region')
+            .setDescription("Region the server is in (default this server's Quake region)")
+            .setRequired(false)
+            .addChoices(...QUAKE_REGIONS.map(region => ({ name: region, value: region })))
+        )
+        .addRoleOption(option =>
+          option
+            .setName('role')
+            .setDescription('Ping this role here instead of sending you a DM')
+            .setRequired(false)
+        )
+        .addIntegerOption(option =>
+          option
+            .setName('cooldown')
+            .setDescription('Minutes before the alert can fire again (default 60)')
+            .setRequired(false)
+            .setMinValue(5)
+            .setMaxValue(1440)
+        )
+        .addIntegerOption(option =>
+          option
+            .setName('quiet_start')
+            .setDescription('Hour (0-23) quiet hours start')
+            .setRequired(false)
+            .setMinValue(0)
+            .setMaxValue(23)
+        )
+        .addIntegerOption(option =>
+          option
+            .setName('quiet_end')
+            .setDescription('Hour (0-23) quiet hours end')
+            .setRequired(false)
+            .setMinValue(0)
+            .setMaxValue(23)
+        )
+        .addStringOption(option =>
+          option
+            .setName('timezone')
+            .setDescription('Time zone of the quiet hours, e.g. Europe/London (default UTC)')
+            .setRequired(false)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand.setName('alerts').setDescription('List your population alerts')
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('unnotify')
+        .setDescription('Remove one of your population alerts')
+        .addStringOption(option =>
+          option.setName('id').setDescription('Alert ID from /quake alerts').setRequired(true)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('player')
+        .setDescription("A player's rating trend, favourite maps and when they were last seen")
+        .addStringOption(option =>
+          option.setName('name').setDescription('Player name').setRequired(true)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('leaderboard')
+        .setDescription('Most active players and biggest rating gains this week')
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('settings')
+        .setDescription("Show or change this server's defaults for /serverstats")
+        .addIntegerOption(option =>
+          option
+            .setName('elomode')
+            .setDescription('ELO display mode')
+            .setRequired(false)
+            .addChoices(...ELO_MODES.map((name, value) => ({ name, value })))
+        )
+        .addIntegerOption(option =>
+          option
+            .setName('servers')
+            .setDescription('How many servers to list')
+            .setRequired(false)
+            .setMinValue(1)
+            .setMaxValue(5)
+        )
+        .addStringOption(option =>
+          option
+            .setName('region')
+            .setDescription('Region to list servers from')
+            .setRequired(false)
+            .addChoices(...QUAKE_REGIONS.map(region => ({ name: region, value: region })))
+        )
+        .addBooleanOption(option =>
+          option.setName('emojis').setDescription('Use emojis in server stats').setRequired(false)
+        )
+        .addBooleanOption(option =>
+          option.setName('reset').setDescription('Go back to the defaults').setRequired(false)
+        )
+    ),
+
+  /**
+   * Execute the quake command (text command version)
+   *
+   * @param {import('discord.js').Message} message - Discord message object
+   * @param {string[]} args - Command arguments
+   * @param {import('discord.js').Client} client - The Discord client instance
+   * @returns {Promise<void>}
+   */
+  async execute(message, args, client) {
+    const subcommand = args[0]?.toLowerCase();
+    if (!SUBCOMMANDS.includes(subcommand)) {
+      await serverstats.execute(message, args, client);
+      return;
+    }
+
+    // "!quake notify sydney 6 @pickup"
+    const [server, count] = args.slice(1).filter(arg => !/^<@&\d+>$/.test(arg));
+    const role = message.mentions?.roles?.first();
+
+    try {
+      const response = await runSubcommand(subcommand, {
+        alerts: getQuakeAlerts(),
+        userId: message.author.id,
+        guildId: message.guildId,
+        channelId: message.channelId,
+        server,
+        minPlayers: /^\d+$/.test(count || '') ? parseInt(count, 10) : null,
+        roleId: role?.id,
+        canPingRoles: !!message.member?.permissions.has(PermissionFlagsBits.ManageRoles),
+        id: args[1],
+        history: getQuakeHistory(),
+        name: args.slice(1).join(' '),
+        settings: getQuakeSettings(),
+        reset: subcommand === 'settings' && args[1]?.toLowerCase() === 'reset',
+        changes: subcommand === 'settings' ? parseSettingsArgs(args.slice(1)) : {},
+        canManageSettings: !!message.member?.permissions.has(PermissionFlagsBits.ManageGuild),
+      });
+      await message.reply(response);
+      logger.info({ userId: message.author.id, subcommand }, 'Quake command used');
+    } catch (error) {
+      logger.error({ error, subcommand }, 'Error executing quake command');
+      await message.reply('❌ Failed to run the quake command.');
+    }
+  },
+
+  /**
+   * Execute the quake command (slash command version)
+   *
+   * @param {import('discord.js').ChatInputCommandInteraction} interaction - Discord interaction object
+   * @returns {Promise<void>}
+   */
+  async interactionExecute(interaction) {
+    const subcommand = interaction.options.getSubcommand();
+    // Alerts are personal; player stats and the leaderboard are for the channel
+    await interaction.deferReply({ ephemeral: !['player', 'leaderboard'].includes(subcommand) });
+
+    try {
+      await interaction.editReply(
+        await runSubcommand(subcommand, {
+          alerts: getQuakeAlerts(),
+          userId: interaction.user.id,
+          guildId: interaction.guildId,
+          channelId: interaction.channelId,
+          server: interaction.options.getString('server'),
+          region: interaction.options.getString('region'),
+          minPlayers: interaction.options.getInteger('min'),
+          roleId: interaction.options.getRole('role')?.id,
+          canPingRoles: !!interaction.memberPermissions?.has(PermissionFlagsBits.ManageRoles),
+          cooldownMinutes: interaction.options.getInteger('cooldown'),
+          quietStart: interaction.options.getInteger('quiet_start'),
+          quietEnd: interaction.options.getInteger('quiet_end'),
+          timeZone: interaction.options.getString('timezone'),
+          id: interaction.options.getString('id'),
+          history: getQuakeHistory(),
+          name: interaction.options.getString('name'),
+          settings: getQuakeSettings(),
+          reset: !!interaction.options.getBoolean('reset'),
+          changes: {
+            eloMode: interaction.options.getInteger('elomode'),
+            maxServers: interaction.options.getInteger('servers'),
+            region: interaction.options.getString('region'),
+            emojis: interaction.options.getBoolean('emojis'),
+          },
+          canManageSettings: !!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild),
+        })
+      );
+      logger.info({ userId: interaction.user.id, subcommand }, 'Quake slash command used');
+    } catch (error) {
+      logger.error({ error, subcommand }, 'Error executing quake slash command');
+      await interaction.editReply('❌ Failed to run the quake command.');
+    }
+  },
+
+  runSubcommand,
+};
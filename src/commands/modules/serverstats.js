@@ -4,6 +4,9 @@
  * This command provides statistics about Quake Live servers,
  * including player information, map details, and game status.
  * It implements the compact display format preferred by the user.
+ * `watch` posts a live scoreboard that keeps updating while the server has
+ * players; `stop` ends the channel's live scoreboard early.
+ * Stats are shown with the guild's defaults from `/quake settings`.
  *
  * @module ServerStatsCommand
  * @author Brett
@@ -13,6 +16,8 @@
 const lookupQuakeServer = require('../../services/quakeLookup');
 const { createLogger } = require('../../core/logger');
 const { trackApiCall } = require('../../core/healthCheck');
+const { getScoreboardWatcher } = require('../../services/quakeScoreboardWatcher');
+const { getQuakeSettings } = require('../../services/quakeSettings');
 const {
   validateServerInput,
   validateEloMode,
@@ -23,27 +28,56 @@ const { SlashCommandBuilder } = require('discord.js');
 
 module.exports = {
   name: 'serverstats',
-  aliases: ['server', 'ql', 'quake'],
+  // !quake is its own command now and passes anything it doesn't handle on to this one
+  aliases: ['server', 'ql'],
   description: 'Display Quake Live server statistics',
+  usage: 'serverstats [server] [elomode] | serverstats watch [server] [minutes] | serverstats stop',
   dmAllowed: true, // This command can be used in DMs
 
   // Define slash command
   slashCommand: new SlashCommandBuilder()
     .setName('serverstats')
     .setDescription('Display Quake Live server statistics')
-    .addStringOption(option =>
-      option.setName('server').setDescription('Server name or IP address').setRequired(false)
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('show')
+        .setDescription('Show the stats of active servers')
+        .addStringOption(option =>
+          option.setName('server').setDescription('Server name or IP address').setRequired(false)
+        )
+        .addIntegerOption(option =>
+          option
+            .setName('elomode')
+            .setDescription('ELO display mode (0=off, 1=categories, 2=values)')
+            .setRequired(false)
+            .addChoices(
+              { name: 'Off', value: 0 },
+              { name: 'Categories', value: 1 },
+              { name: 'Values', value: 2 }
+            )
+        )
     )
-    .addIntegerOption(option =>
-      option
-        .setName('elomode')
-        .setDescription('ELO display mode (0=off, 1=categories, 2=values)')
-        .setRequired(false)
-        .addChoices(
-          { name: 'Off', value: 0 },
-          { name: 'Categories', value: 1 },
-          { name: 'Values', value: 2 }
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('watch')
+        .setDescription('Post a scoreboard that keeps updating while the server has players')
+        .addStringOption(option =>
+          option
+            .setName('server')
+            .setDescription('Server name or IP address (defaults to the busiest server)')
+            .setRequired(false)
+        )
+        .addIntegerOption(option =>
+          option
+            .setName('minutes')
+            .setDescription('How long to keep updating it')
+            .setRequired(false)
+            .setMinValue(1)
+            .setMaxValue(240)
         )
+    )
+    .addSubcommand(subcommand =>
+      subcommand.setName('stop').setDescription("Stop this channel's live scoreboard")
     ),
 
   /**
@@ -64,6 +98,12 @@ module.exports = {
       'Server stats command used'
     );
 
+    const mode = args[0]?.toLowerCase();
+    if (mode === 'watch' || mode === 'stop') {
+      await this.executeWatch(message, mode, args.slice(1));
+      return;
+    }
+
     try {
       // Send initial feedback
       const feedbackMessage = await message.reply('🎯 Checking server stats...');
@@ -95,8 +135,12 @@ module.exports = {
       // Track API call in health check system
       trackApiCall('quake');
 
-      // Get server stats with optional server filter and ELO mode
-      const serverStats = await lookupQuakeServer(validatedServer.value, eloMode);
+      // Get server stats with optional server filter and ELO mode, on the guild's defaults
+      const serverStats = await lookupQuakeServer(
+        validatedServer.value,
+        eloMode,
+        getQuakeSettings().getDisplayOptions(message.guildId)
+      );
 
       // Send the sanitized server stats to the channel
       await feedbackMessage.edit(sanitizeDiscordMessage(serverStats));
@@ -106,6 +150,74 @@ module.exports = {
     }
   },
 
+  /**
+   * Start or stop a live scoreboard (text command version)
+   *
+   * @param {import('discord.js').Message} message - Discord message object
+   * @param {'watch'|'stop'} mode - Subcommand used
+   * @param {string[]} args - Arguments after the subcommand: [server] [minutes]
+   * @returns {Promise<void>}
+   */
+  async executeWatch(message, mode, args) {
+    try {
+      if (mode === 'stop') {
+        const stopped = await getScoreboardWatcher().stop(
+          message.channelId,
+          `stopped by ${message.author.username}`
+        );
+        await message.reply(
+          stopped
+            ? '⏹️ Live scoreboard stopped.'
+            : 'ℹ️ There is no live scoreboard in this channel.'
+        );
+        return;
+      }
+
+      // A trailing number is the duration; anything before it is the server
+      const minutes = /^\d+$/.test(args[args.length - 1] || '') ? parseInt(args.pop(), 10) : null;
+      const serverArg = args.length > 0 ? args.join(' ') : null;
+      const validatedServer = validateServerInput(serverArg);
+      if (serverArg && !validatedServer.isValid) {
+        await message.reply(
+          '⚠️ Invalid server name or IP address provided. Please try again with a valid input.'
+        );
+        return;
+      }
+
+      const scoreboard = await message.reply('🎯 Starting live scoreboard...');
+      await this.startWatch(scoreboard, validatedServer.value, minutes, message.author.id);
+    } catch (error) {
+      logger.error({ error }, 'Error executing server stats watch command');
+      await message.reply('❌ Failed to update the live scoreboard.');
+    }
+  },
+
+  /**
+   * Turn a posted message into a live scoreboard, or say why it couldn't be.
+   *
+   * @param {import('discord.js').Message} scoreboard - Bot message to keep editing
+   * @param {string|null} serverFilter - Validated server name or IP
+   * @param {number|null} minutes - How long to keep updating it
+   * @param {string} userId - Who asked for it
+   * @returns {Promise<void>}
+   */
+  async startWatch(scoreboard, serverFilter, minutes, userId) {
+    trackApiCall('quake');
+    const watch = await getScoreboardWatcher().watch(scoreboard, {
+      serverFilter,
+      minutes,
+      userId,
+      display: getQuakeSettings().getDisplayOptions(scoreboard.guildId),
+    });
+    if (!watch) {
+      await scoreboard.edit(
+        serverFilter
+          ? `🚫 No active servers found matching "${serverFilter}".`
+          : '🚫 No active servers found.'
+      );
+    }
+  },
+
   /**
    * Execute the serverstats command (slash command version)
    *
@@ -125,6 +237,13 @@ module.exports = {
    * @returns {Promise<void>}
    */
   async interactionExecute(interaction) {
+    // Registrations from before the subcommands were added have none
+    const subcommand = interaction.options.getSubcommand(false) || 'show';
+    if (subcommand !== 'show') {
+      await this.interactionWatch(interaction, subcommand);
+      return;
+    }
+
     logger.info(
       {
         userId: interaction.user.id,
@@ -166,8 +285,12 @@ module.exports = {
       // Track API call in health check system
       trackApiCall('quake');
 
-      // Get server stats with optional server filter and ELO mode
-      const serverStats = await lookupQuakeServer(validatedServer.value, validatedEloMode.value);
+      // Get server stats with optional server filter and ELO mode, on the guild's defaults
+      const serverStats = await lookupQuakeServer(
+        validatedServer.value,
+        validatedEloMode.value,
+        getQuakeSettings().getDisplayOptions(interaction.guildId)
+      );
 
       // Send the sanitized server stats as a reply
       await interaction.editReply(sanitizeDiscordMessage(serverStats));
@@ -184,4 +307,65 @@ module.exports = {
       }
     }
   },
+
+  /**
+   * Start or stop a live scoreboard (slash command version)
+   *
+   * @param {import('discord.js').ChatInputCommandInteraction} interaction - Discord interaction object
+   * @param {'watch'|'stop'} subcommand - Subcommand used
+   * @returns {Promise<void>}
+   */
+  async interactionWatch(interaction, subcommand) {
+    logger.info(
+      { userId: interaction.user.id, username: interaction.user.username, subcommand },
+      'Server stats watch slash command used'
+    );
+
+    try {
+      if (subcommand === 'stop') {
+        const stopped = await getScoreboardWatcher().stop(
+          interaction.channelId,
+          `stopped by ${interaction.user.username}`
+        );
+        await interaction.reply({
+          content: stopped
+            ? '⏹️ Live scoreboard stopped.'
+            : 'ℹ️ There is no live scoreboard in this channel.',
+          ephemeral: true,
+        });
+        return;
+      }
+
+      const serverArg = interaction.options.getString('server');
+      const validatedServer = validateServerInput(serverArg);
+      if (serverArg && !validatedServer.isValid) {
+        await interaction.reply({
+          content:
+            '⚠️ Invalid server name or IP address provided. Please try again with a valid input.',
+          ephemeral: true,
+        });
+        return;
+      }
+
+      await interaction.deferReply();
+      const scoreboard = await interaction.editReply('🎯 Starting live scoreboard...');
+      await this.startWatch(
+        scoreboard,
+        validatedServer.value,
+        interaction.options.getInteger('minutes'),
+        interaction.user.id
+      );
+    } catch (error) {
+      logger.error({ error }, 'Error executing server stats watch slash command');
+
+      if (!interaction.replied && !interaction.deferred) {
+        await interaction.reply({
+          content: '❌ Failed to update the live scoreboard.',
+          ephemeral: true,
+        });
+      } else {
+        await interaction.editReply('❌ Failed to update the live scoreboard.');
+      }
+    }
+  },
 };
@@ -18,6 +18,7 @@ const { createLogger } = require('../../core/logger');
 const logger = createLogger('commands:smoketest');
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
 const config = require('../../core/configValidator');
+const { resolveModel } = require('../../services/modelRouter');
 
 // Truncate helper for one-line detail snippets.
 function snip(value, max = 70) {
@@ -35,7 +36,7 @@ function buildChecks(includeImage) {
       async run() {
         const { client } = require('../../services/openaiConfig');
         const completion = await client.chat.completions.create({
-          model: 'gpt-4o-mini',
+          model: resolveModel('conversation').model,
           messages: [{ role: 'user', content: 'Reply with exactly: SMOKE_OK' }],
           max_tokens: 10,
         });
@@ -79,7 +80,7 @@ function buildChecks(includeImage) {
       async run() {
         const imageGen = require('../../services/imageGeneration');
         const res = await imageGen.generateImage('a small blue test icon', {
-          model: 'gpt-image-1-mini',
+          model: resolveModel('image').model,
           size: '1024x1024',
           quality: 'low',
         });
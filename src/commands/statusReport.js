@@ -11,6 +11,8 @@
 
 const { EmbedBuilder } = require('discord.js');
 const config = require('../core/configValidator');
+const { resolveModel } = require('../services/modelRouter');
+const { getProviderStatus } = require('../services/llmProviders');
 const { getDetailedVersionInfo, formatUptime } = require('../core/getBotVersion');
 const statsStorage = require('../core/statsStorage');
 const { createLogger } = require('../core/logger');
@@ -41,16 +43,23 @@ function getStatusEmoji(score) {
  * Detect LLM providers and models
  */
 function detectLLMProviders() {
+  const chatProviders = getProviderStatus();
+  const active = chatProviders?.active;
+
   const providers = {
     primary: {
-      provider: 'OpenAI',
-      model: 'gpt-4o-mini', // Current main model
-      configured: !!process.env.OPENAI_API_KEY,
+      provider: active?.label || 'OpenAI',
+      providerName: active?.name || 'openai',
+      model: active?.model || resolveModel('conversation').model,
+      baseURL: active?.baseURL,
+      // Local providers don't need an OpenAI key
+      configured: (active && active.name !== 'openai') || !!process.env.OPENAI_API_KEY,
       usage: ['Conversations', 'Knowledge', 'Weather', 'Time'],
     },
+    chatProviders: chatProviders?.providers || [],
     imageGeneration: {
       provider: 'OpenAI',
-      model: 'GPT Image 1.5',
+      model: resolveModel('image').model,
       configured: !!process.env.OPENAI_API_KEY && config.ENABLE_IMAGE_GENERATION,
       usage: ['Image Creation', 'Art Generation'],
     },
@@ -255,7 +264,7 @@ async function generateStatusEmbed(client) {
     let aiModelsText = '';
     aiModelsText += `💬 **Chat**: ${llmProviders.primary.model} (${llmProviders.primary.provider})\n`;
     aiModelsText += `🎨 **Images**: ${llmProviders.imageGeneration.model} (${llmProviders.imageGeneration.provider})\n`;
-    aiModelsText += `📚 **Knowledge**: ${llmProviders.primary.model}`;
+    aiModelsText += `📚 **Knowledge**: ${resolveModel('knowledge').model}`;
 
     embed.addFields({
       name: '🧠 **AI Models**',
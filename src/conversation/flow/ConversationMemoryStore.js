@@ -0,0 +1,441 @@
+/**
+ * ConversationMemoryStore - Persistent per-user conversation history
+ *
+ * Keeps every conversation turn (user, channel, role, content, timestamp) in
+ * memory and mirrors it to an append-only JSONL file so history survives a
+ * restart. Each line is one record:
+ *
+ *   {"type":"turn","userId":"1","channelId":"2","role":"user","content":"hi","timestamp":1700000000000}
+ *   {"type":"summary","userId":"1","text":"Alice likes cats","coveredUntil":1700000000000,"timestamp":1700000000000}
+ *   {"type":"forget","userId":"1","timestamp":1700000000000}
+ *
+ * A summary is the rolling long-term memory for a user: older turns condensed
+ * into a short note. Only the latest summary per user is kept.
+ * On load the file is replayed, retention is applied and the file is compacted
+ * (rewritten with only live turns) whenever it has accumulated dead records.
+ *
+ * @module ConversationMemoryStore
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('../../core/logger');
+const { JsonFileStore, replaceFile } = require('../../utils/jsonFileStore');
+
+const logger = createLogger('ConversationMemoryStore');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_MEMORY_FILE = path.join(
+  __dirname,
+  '..',
+  '..',
+  '..',
+  'data',
+  'conversation-memory.jsonl'
+);
+
+/**
+ * @typedef {Object} ConversationTurn
+ * @property {string} role - 'user' or 'assistant'
+ * @property {string} content - Message text
+ * @property {string|null} channelId - Channel the turn happened in
+ * @property {string} [userName] - Display name of the user, for group-chat attribution
+ * @property {number} timestamp - Epoch milliseconds
+ *
+ * @typedef {Object} MemorySummary
+ * @property {string} text - Condensed memory of earlier turns
+ * @property {number} coveredUntil - Timestamp of the newest turn folded into the summary
+ * @property {number} timestamp - When the summary was written
+ */
+
+class ConversationMemoryStore {
+  /**
+   * @param {Object} [options]
+   * @param {string|null} [options.filePath] - JSONL file path; null keeps history in memory only
+   * @param {number} [options.retentionDays=30] - Turns older than this are dropped
+   * @param {number} [options.maxTurnsPerUser=200] - Oldest turns beyond this are dropped
+   * @param {number} [options.compactAfter=1000] - Dead records tolerated before compacting
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath === undefined ? DEFAULT_MEMORY_FILE : options.filePath;
+    this.retentionMs = (options.retentionDays ?? 30) * DAY_MS;
+    this.maxTurnsPerUser = options.maxTurnsPerUser ?? 200;
+    this.compactAfter = options.compactAfter ?? 1000;
+
+    this.users = new Map();
+    this.deadRecords = 0;
+    this.file = new JsonFileStore(this.filePath, { logger, description: 'conversation memory' });
+
+    if (this.filePath) {
+      this.loadFromDisk();
+    }
+  }
+
+  /**
+   * Replay the JSONL file into memory. Runs synchronously so history is
+   * available before the first message is processed.
+   */
+  loadFromDisk() {
+    let raw;
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      raw = fs.readFileSync(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn({ error, filePath: this.filePath }, 'Could not read conversation memory');
+      } else {
+        logger.info('No conversation memory file found, starting fresh');
+      }
+      return;
+    }
+
+    let records = 0;
+    let malformed = 0;
+
+    for (const line of raw.split('\n')) {
+      if (!line.trim()) continue;
+      records++;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        malformed++;
+        continue;
+      }
+
+      if (record.type === 'forget') {
+        this.users.delete(record.userId);
+      } else if (record.type === 'turn' && record.userId) {
+        this.pushTurn(record.userId, record);
+      } else if (record.type === 'summary' && record.userId) {
+        this.storeSummary(record.userId, record);
+      }
+    }
+
+    this.applyRetention();
+    const { totalMessages, totalSummaries } = this.getStats();
+    this.deadRecords = records - totalMessages - totalSummaries;
+
+    logger.info(
+      {
+        users: this.users.size,
+        turns: this.getStats().totalMessages,
+        records,
+        malformed,
+      },
+      'Loaded conversation memory'
+    );
+
+    if (this.deadRecords > 0) {
+      this.compact();
+    }
+  }
+
+  pushTurn(userId, record) {
+    const conversation = this.users.get(userId) || { turns: [] };
+    conversation.turns.push({
+      role: record.role,
+      content: record.content,
+      channelId: record.channelId || null,
+      ...(record.userName && { userName: record.userName }),
+      timestamp: record.timestamp || Date.now(),
+    });
+
+    if (conversation.turns.length > this.maxTurnsPerUser) {
+      const dropped = conversation.turns.length - this.maxTurnsPerUser;
+      conversation.turns.splice(0, dropped);
+      this.deadRecords += dropped;
+    }
+
+    this.users.set(userId, conversation);
+  }
+
+  /**
+   * Record a conversation turn and append it to disk.
+   *
+   * @param {string} userId - Discord user ID
+   * @param {ConversationTurn} turn - The turn to store
+   */
+  appendTurn(userId, turn) {
+    const record = {
+      type: 'turn',
+      userId,
+      channelId: turn.channelId || null,
+      role: turn.role,
+      content: turn.content,
+      ...(turn.userName && { userName: turn.userName }),
+      timestamp: turn.timestamp || Date.now(),
+    };
+
+    this.pushTurn(userId, record);
+    this.appendRecord(record);
+
+    if (this.deadRecords >= this.compactAfter) {
+      this.compact();
+    }
+  }
+
+  /**
+   * Get the most recent turns for a user, oldest first.
+   *
+   * @param {string} userId - Discord user ID
+   * @param {number} [limit] - Maximum number of turns to return
+   * @returns {Array<ConversationTurn>} Copies of the stored turns
+   */
+  getRecentTurns(userId, limit) {
+    const conversation = this.users.get(userId);
+    if (!conversation) return [];
+
+    const turns = limit ? conversation.turns.slice(-limit) : conversation.turns;
+    return turns.map(turn => ({ ...turn }));
+  }
+
+  /**
+   * Get the recent turns of every user in a channel, interleaved oldest first.
+   * Each turn carries the `userId` of the conversation it belongs to.
+   *
+   * @param {string} channelId - Discord channel ID
+   * @param {Object} [options]
+   * @param {number} [options.limit=20] - Maximum number of turns to return
+   * @param {number} [options.maxPerUser] - Maximum user messages kept per participant
+   *   (their assistant replies are kept alongside them)
+   * @returns {Array<ConversationTurn & {userId: string}>} Copies of the stored turns
+   */
+  getChannelTurns(channelId, options = {}) {
+    const { limit = 20, maxPerUser = Infinity } = options;
+    const turns = [];
+
+    for (const [userId, conversation] of this.users) {
+      for (const turn of conversation.turns) {
+        if (turn.channelId === channelId) {
+          turns.push({ ...turn, userId });
+        }
+      }
+    }
+
+    turns.sort((a, b) => a.timestamp - b.timestamp);
+
+    // Walk newest to oldest so the per-user cap keeps each participant's latest messages
+    const userMessageCounts = new Map();
+    const selected = [];
+    for (let i = turns.length - 1; i >= 0 && selected.length < limit; i--) {
+      const turn = turns[i];
+      const count = userMessageCounts.get(turn.userId) || 0;
+      if (count >= maxPerUser) continue;
+
+      if (turn.role === 'user') {
+        userMessageCounts.set(turn.userId, count + 1);
+      }
+      selected.push(turn);
+    }
+
+    return selected.reverse();
+  }
+
+  /**
+   * Get the rolling memory summary for a user.
+   *
+   * @param {string} userId - Discord user ID
+   * @returns {MemorySummary|null} The latest summary, if any
+   */
+  getSummary(userId) {
+    const summary = this.users.get(userId)?.summary;
+    return summary ? { ...summary } : null;
+  }
+
+  /**
+   * Replace the rolling memory summary for a user and append it to disk.
+   *
+   * @param {string} userId - Discord user ID
+   * @param {{text: string, coveredUntil: number}} summary - The new summary
+   */
+  setSummary(userId, summary) {
+    const record = {
+      type: 'summary',
+      userId,
+      text: summary.text,
+      coveredUntil: summary.coveredUntil,
+      timestamp: Date.now(),
+    };
+
+    this.storeSummary(userId, record);
+    this.appendRecord(record);
+  }
+
+  storeSummary(userId, record) {
+    const conversation = this.users.get(userId) || { turns: [] };
+    if (conversation.summary) {
+      this.deadRecords++;
+    }
+
+    conversation.summary = {
+      text: record.text,
+      coveredUntil: record.coveredUntil || 0,
+      timestamp: record.timestamp || Date.now(),
+    };
+    this.users.set(userId, conversation);
+  }
+
+  /**
+   * Remove everything stored for a user.
+   *
+   * @param {string} userId - Discord user ID
+   * @returns {number} Number of turns removed
+   */
+  forgetUser(userId) {
+    const conversation = this.users.get(userId);
+    if (!conversation) return 0;
+
+    this.users.delete(userId);
+    this.deadRecords += conversation.turns.length + (conversation.summary ? 1 : 0);
+    this.appendRecord({ type: 'forget', userId, timestamp: Date.now() });
+    this.compact();
+
+    return conversation.turns.length;
+  }
+
+  /**
+   * Drop turns older than the retention window and users left with no turns
+   * (their summary goes with them).
+   *
+   * @param {number} [maxAge=this.retentionMs] - Maximum turn age in milliseconds
+   * @returns {number} Number of conversations removed entirely
+   */
+  applyRetention(maxAge = this.retentionMs) {
+    const cutoff = Date.now() - maxAge;
+    let removedConversations = 0;
+
+    for (const [userId, conversation] of this.users) {
+      const kept = conversation.turns.filter(turn => turn.timestamp >= cutoff);
+      this.deadRecords += conversation.turns.length - kept.length;
+
+      if (kept.length === 0) {
+        this.deadRecords += conversation.summary ? 1 : 0;
+        this.users.delete(userId);
+        removedConversations++;
+      } else {
+        conversation.turns = kept;
+      }
+    }
+
+    return removedConversations;
+  }
+
+  /**
+   * Apply retention and compact the file if anything was dropped.
+   *
+   * @param {number} [maxAge] - Maximum turn age in milliseconds
+   * @returns {number} Number of conversations removed entirely
+   */
+  prune(maxAge) {
+    const deadBefore = this.deadRecords;
+    const removed = this.applyRetention(maxAge);
+
+    if (this.deadRecords > deadBefore) {
+      this.compact();
+    }
+
+    return removed;
+  }
+
+  getStats() {
+    let totalMessages = 0;
+    let totalSummaries = 0;
+    for (const conversation of this.users.values()) {
+      totalMessages += conversation.turns.length;
+      totalSummaries += conversation.summary ? 1 : 0;
+    }
+
+    return {
+      totalConversations: this.users.size,
+      totalMessages,
+      totalSummaries,
+      persistent: !!this.filePath,
+      retentionDays: this.retentionMs / DAY_MS,
+    };
+  }
+
+  appendRecord(record) {
+    if (!this.filePath) return;
+
+    const line = JSON.stringify(record) + '\n';
+    this.file.enqueue(
+      () => fs.promises.appendFile(this.filePath, line, 'utf8'),
+      'Failed to append conversation memory'
+    );
+  }
+
+  /**
+   * Rewrite the file with only the live turns (temp file + rename).
+   * Queued behind pending appends so no record is lost or reordered.
+   */
+  compact() {
+    if (!this.filePath) {
+      this.deadRecords = 0;
+      return;
+    }
+
+    const lines = [];
+    for (const [userId, conversation] of this.users) {
+      for (const turn of conversation.turns) {
+        lines.push(JSON.stringify({ type: 'turn', userId, ...turn }));
+      }
+      if (conversation.summary) {
+        lines.push(JSON.stringify({ type: 'summary', userId, ...conversation.summary }));
+      }
+    }
+    const contents = lines.length > 0 ? lines.join('\n') + '\n' : '';
+    this.deadRecords = 0;
+
+    this.file.enqueue(async () => {
+      await replaceFile(this.filePath, contents);
+      logger.debug({ records: lines.length }, 'Compacted conversation memory');
+    }, 'Failed to compact conversation memory');
+  }
+
+  /**
+   * Wait for all queued writes to reach disk.
+   *
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.file.flush();
+  }
+}
+
+let defaultStore = null;
+
+/**
+ * Get the shared memory store configured from the environment. Created on
+ * first use so modules that never touch conversation memory don't read the file.
+ *
+ * @returns {ConversationMemoryStore}
+ */
+function getDefaultMemoryStore() {
+  if (!defaultStore) {
+    const config = require('../../core/configValidator');
+    defaultStore = new ConversationMemoryStore({
+      filePath: config.ENABLE_CONVERSATION_PERSISTENCE ? DEFAULT_MEMORY_FILE : null,
+      retentionDays: config.CONVERSATION_RETENTION_DAYS,
+      maxTurnsPerUser: config.CONVERSATION_MAX_TURNS_PER_USER,
+    });
+  }
+  return defaultStore;
+}
+
+/**
+ * Flush the shared store if it has been created.
+ *
+ * @returns {Promise<void>}
+ */
+async function flushDefaultMemoryStore() {
+  if (defaultStore) {
+    await defaultStore.flush();
+  }
+}
+
+module.exports = ConversationMemoryStore;
+module.exports.getDefaultMemoryStore = getDefaultMemoryStore;
+module.exports.flushDefaultMemoryStore = flushDefaultMemoryStore;
+module.exports.DEFAULT_MEMORY_FILE = DEFAULT_MEMORY_FILE;
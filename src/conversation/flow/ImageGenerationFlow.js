@@ -1,6 +1,9 @@
 const { Node, SharedStore, Flow } = require('./PocketFlow');
 const ImageGenerationAgentNode = require('./nodes/ImageGenerationAgentNode');
 const { createLogger } = require('../../core/logger');
+const { cancelImageJob } = require('../../services/imageGeneration');
+const { trackImageJob } = require('../../utils/imageJobFeedback');
+const { getImageGallery } = require('../../services/imageGallery');
 
 const _logger = createLogger('ImageGenerationFlow');
 
@@ -90,6 +93,18 @@ class ImageGenerationFlow {
       // Store interval ID for cleanup
       flowStore.set('updateInterval', updateInterval);
 
+      // Queue position goes into the progress the status updater renders; ❌ cancels
+      flowStore.set(
+        'imageJob',
+        trackImageJob({
+          jobId: originalMessage.id,
+          userId: originalMessage.author?.id,
+          progressMessage: feedbackMessage,
+          onPosition: position => imageAgent.setQueuePosition(flowStore, progressKey, position),
+          cancel: () => this.cancelGeneration(originalMessage.id),
+        })
+      );
+
       return data;
     });
 
@@ -100,6 +115,7 @@ class ImageGenerationFlow {
       if (updateInterval) {
         clearInterval(updateInterval);
       }
+      flowStore.get('imageJob')?.stop();
 
       // Remove from active generations
       if (this.activeGenerations.has(originalMessage.id)) {
@@ -182,14 +198,7 @@ class ImageGenerationFlow {
       this.logger.error({ error }, 'Error in image generation flow:');
 
       // Ensure cleanup
-      if (this.activeGenerations.has(message.id)) {
-        const generation = this.activeGenerations.get(message.id);
-        const updateInterval = generation.store.get('updateInterval');
-        if (updateInterval) {
-          clearInterval(updateInterval);
-        }
-        this.activeGenerations.delete(message.id);
-      }
+      this.stopTracking(message.id);
 
       // Send error message
       if (feedbackMessage && typeof feedbackMessage.edit === 'function') {
@@ -225,19 +234,23 @@ class ImageGenerationFlow {
   async sendSuccessfulResult(feedbackMessage, result) {
     try {
       if (result.imageData) {
-        // Send as attachment with base64 data
-        const imageBuffer = Buffer.from(result.imageData, 'base64');
-        const fileName = `ai_artwork_${Date.now()}.png`;
+        // Send as attachments with base64 data, one per image of the request
+        const timestamp = Date.now();
+        const images = (result.images || [{ b64_json: result.imageData }]).filter(
+          image => image.b64_json
+        );
 
         await feedbackMessage.edit({
           content: result.responseText,
-          files: [
-            {
-              attachment: imageBuffer,
-              name: fileName,
-            },
-          ],
+          files: images.map((image, index) => ({
+            attachment: Buffer.from(image.b64_json, 'base64'),
+            name:
+              images.length > 1
+                ? `ai_artwork_${timestamp}_${index + 1}.png`
+                : `ai_artwork_${timestamp}.png`,
+          })),
         });
+        getImageGallery().linkMessage(result.galleryIds, feedbackMessage);
       } else if (result.imageUrl && !result.imageUrl.startsWith('data:')) {
         // Send with URL
         await feedbackMessage.edit(`${result.responseText}\n\n${result.imageUrl}`);
@@ -333,34 +346,47 @@ class ImageGenerationFlow {
   }
 
   /**
-   * Cancel an active image generation
+   * Stop status updates and the ❌ watcher for a generation and forget it
+   * @returns {boolean} Whether the generation was being tracked
    */
-  cancelGeneration(messageId) {
-    if (this.activeGenerations.has(messageId)) {
-      const generation = this.activeGenerations.get(messageId);
+  stopTracking(messageId) {
+    const generation = this.activeGenerations.get(messageId);
+    if (!generation) {
+      return false;
+    }
 
-      // Clear status updates
-      const updateInterval = generation.store.get('updateInterval');
-      if (updateInterval) {
-        clearInterval(updateInterval);
-      }
+    const updateInterval = generation.store.get('updateInterval');
+    if (updateInterval) {
+      clearInterval(updateInterval);
+    }
+    generation.store.get('imageJob')?.stop();
+
+    this.activeGenerations.delete(messageId);
+    return true;
+  }
 
-      // Remove from tracking
-      this.activeGenerations.delete(messageId);
+  /**
+   * Cancel an active image generation. A request still waiting in the image queue
+   * is dropped; one already running has its result discarded. Either way the
+   * flow finishes with a cancelled error in the feedback message.
+   */
+  cancelGeneration(messageId) {
+    const cancelled = cancelImageJob(messageId);
+    const tracked = this.stopTracking(messageId);
 
+    if (cancelled || tracked) {
       this.logger.info(`Cancelled image generation for message ${messageId}`);
-      return true;
     }
-    return false;
+    return cancelled || tracked;
   }
 
   /**
    * Cleanup and shutdown
    */
   async shutdown() {
-    // Cancel all active generations
-    for (const messageId of this.activeGenerations.keys()) {
-      this.cancelGeneration(messageId);
+    // Queued jobs are left alone so they can be resumed after a restart
+    for (const messageId of [...this.activeGenerations.keys()]) {
+      this.stopTracking(messageId);
     }
 
     this.logger.info('Image generation flow shut down');
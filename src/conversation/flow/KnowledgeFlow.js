@@ -17,6 +17,8 @@ const { buildSystemPrompt } = require('../../utils/systemPromptBuilder');
 const { searchForFactCheck, formatSearchResults } = require('../../services/webSearch');
 const { fetchDocumentation } = require('../../services/webFetch');
 const config = require('../../core/configValidator');
+const { registerMemorySource } = require('../userMemoryRegistry');
+const { resolveModel } = require('../../services/modelRouter');
 
 const logger = createLogger('KnowledgeFlow');
 
@@ -49,6 +51,16 @@ class KnowledgeFlow {
     }
     this.store.set('codeTemplates', this.getCodeTemplates()); // PocketFlow code templates (always refresh)
 
+    // Expose knowledge derived from a user's requests to /memory view/export/forget
+    registerMemorySource('knowledge', {
+      description: 'Knowledge-cache entries from your searches',
+      collect: userId => {
+        const knowledge = this.store.getUserKnowledge(userId);
+        return knowledge.entries.length > 0 || knowledge.searches.length > 0 ? knowledge : null;
+      },
+      forget: userId => this.store.forgetUser(userId),
+    });
+
     // KISS Principle: Simplified 2-node PocketFlow architecture
     // Node 1: Process knowledge request (intent + info gathering + response generation)
     const knowledgeProcessorNode = new Node('knowledge_processor', async (store, data) => {
@@ -298,6 +310,8 @@ class KnowledgeFlow {
         needsCode,
         needsInformation,
         userId,
+        guildId: message.guild?.id,
+        channelId: message.channel?.id,
         isOwner: userId === config.OWNER_ID,
         timestamp: Date.now(),
       };
@@ -463,7 +477,8 @@ class KnowledgeFlow {
       );
       if (webSearchSource) {
         const confidence = webSearchSource.result.factCheck?.confidenceScore || 0;
-        store.cacheSearchResult(query, webSearchSource.result, confidence);
+        const userId = store.get('currentIntent')?.userId || null;
+        store.cacheSearchResult(query, webSearchSource.result, confidence, userId);
         logger.info(`Cached search result for: "${query}" with ${confidence}% confidence`);
       }
 
@@ -1285,8 +1300,12 @@ Please provide a natural, friendly, conversational response based on this inform
         "You are Solvis, a friendly AI assistant running in Chimp-GPT. Respond naturally and conversationally. Be helpful but casual and engaging, like you're having a chat with a friend. When you have search results, incorporate them naturally into your response rather than just listing them."
       );
 
+      const route = resolveModel('knowledge', {
+        guildId: intent.guildId,
+        channelId: intent.channelId,
+      });
       const completion = await this.openaiClient.chat.completions.create({
-        model: 'gpt-4o-mini',
+        model: route.model,
         messages: [
           {
             role: 'system',
@@ -1297,8 +1316,8 @@ Please provide a natural, friendly, conversational response based on this inform
             content: conversationalPrompt,
           },
         ],
-        max_tokens: 1500,
-        temperature: 0.7,
+        max_tokens: route.maxTokens,
+        temperature: route.temperature,
       });
 
       const naturalResponse = completion.choices[0].message.content;
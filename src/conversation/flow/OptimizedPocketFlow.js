@@ -15,6 +15,7 @@
 const { Node, SharedStore, Flow } = require('./PocketFlow');
 const { createLogger } = require('../../core/logger');
 const { buildSystemPrompt } = require('../../utils/systemPromptBuilder');
+const { resolveModel } = require('../../services/modelRouter');
 
 const logger = createLogger('OptimizedPocketFlow');
 
@@ -83,11 +84,12 @@ class OptimizedPocketFlow {
         'You are Solvis, a helpful AI assistant running in Chimp-GPT.'
       );
 
+      const route = resolveModel('conversation');
       const completion = await this.openaiClient.chat.completions.create({
-        model: 'gpt-4o-mini',
+        model: route.model,
         messages: [{ role: 'system', content: systemPrompt }, ...conversation.messages],
-        max_tokens: this.options.maxTokens,
-        temperature: 0.7,
+        max_tokens: route.maxTokens ?? this.options.maxTokens,
+        temperature: route.temperature,
       });
 
       const response = completion.choices[0].message.content;
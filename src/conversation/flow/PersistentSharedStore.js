@@ -164,18 +164,28 @@ class PersistentSharedStore extends SharedStore {
 
   /**
    * Add search result to knowledge cache with metadata
+   * @param {string} query - The search query
+   * @param {Object} searchResult - Result to cache
+   * @param {number} [confidence=0] - Confidence score (0-100)
+   * @param {string|null} [userId=null] - User whose request produced the entry
    */
-  cacheSearchResult(query, searchResult, confidence = 0) {
+  cacheSearchResult(query, searchResult, confidence = 0, userId = null) {
     const knowledgeCache = this.get('knowledgeCache') || new Map();
     const searchHistory = this.get('searchHistory') || [];
     const confidenceScores = this.get('confidenceScores') || new Map();
 
+    // Remember which users an entry was derived from so it can be forgotten
+    const existing = knowledgeCache.get(query.toLowerCase());
+    const userIds = new Set(existing?.userIds || []);
+    if (userId) userIds.add(userId);
+
     // Cache the search result with metadata
     knowledgeCache.set(query.toLowerCase(), {
       result: searchResult,
       timestamp: Date.now(),
       confidence,
-      accessCount: (knowledgeCache.get(query.toLowerCase())?.accessCount || 0) + 1,
+      accessCount: (existing?.accessCount || 0) + 1,
+      userIds: Array.from(userIds),
     });
 
     // Add to search history (keep last 100)
@@ -183,6 +193,7 @@ class PersistentSharedStore extends SharedStore {
       query,
       timestamp: Date.now(),
       confidence,
+      userId,
     });
     if (searchHistory.length > 100) {
       searchHistory.pop();
@@ -226,6 +237,59 @@ class PersistentSharedStore extends SharedStore {
     return knowledgeCache.has(query.toLowerCase());
   }
 
+  /**
+   * Get the knowledge cache entries and searches derived from a user's requests
+   * @param {string} userId - Discord user ID
+   * @returns {{entries: Array<Object>, searches: Array<Object>}}
+   */
+  getUserKnowledge(userId) {
+    const knowledgeCache = this.get('knowledgeCache') || new Map();
+    const searchHistory = this.get('searchHistory') || [];
+
+    const entries = [];
+    for (const [query, entry] of knowledgeCache) {
+      if (entry.userIds?.includes(userId)) {
+        entries.push({ query, timestamp: entry.timestamp, confidence: entry.confidence });
+      }
+    }
+
+    return { entries, searches: searchHistory.filter(search => search.userId === userId) };
+  }
+
+  /**
+   * Remove a user's searches and the cache entries only they produced. Entries
+   * other users also asked for stay cached, without this user's ID.
+   * @param {string} userId - Discord user ID
+   * @returns {Promise<number>} Number of cache entries and searches removed
+   */
+  async forgetUser(userId) {
+    const knowledgeCache = this.get('knowledgeCache') || new Map();
+    const searchHistory = this.get('searchHistory') || [];
+    const confidenceScores = this.get('confidenceScores') || new Map();
+    let removed = 0;
+
+    for (const [query, entry] of knowledgeCache) {
+      if (!entry.userIds?.includes(userId)) continue;
+
+      entry.userIds = entry.userIds.filter(id => id !== userId);
+      if (entry.userIds.length === 0) {
+        knowledgeCache.delete(query);
+        confidenceScores.delete(query);
+        removed++;
+      }
+    }
+
+    const keptHistory = searchHistory.filter(search => search.userId !== userId);
+    removed += searchHistory.length - keptHistory.length;
+
+    this.set('knowledgeCache', knowledgeCache);
+    this.set('searchHistory', keptHistory);
+    this.set('confidenceScores', confidenceScores);
+    await this.forceSave();
+
+    return removed;
+  }
+
   /**
    * Get knowledge statistics
    */
@@ -5,22 +5,39 @@
  * Single node that handles conversation with bot personality and memory.
  */
 
+const path = require('path');
 const { Node, SharedStore, Flow } = require('./PocketFlow');
 const config = require('../../core/configValidator');
 const { createLogger } = require('../../core/logger');
 const { isModerationError } = require('../../utils/errorHandler');
 const KnowledgeFlow = require('./KnowledgeFlow');
 const { buildSystemPrompt } = require('../../utils/systemPromptBuilder');
+const TokenManager = require('../../utils/tokenManager');
+const pluginManager = require('../../plugins/pluginManager');
+const IntentClassifier = require('./intents/IntentClassifier');
+const { createBuiltinIntents } = require('./intents/builtinIntents');
+const { createRuleScorer, createKeywordScorer } = require('./intents/scorers');
+const { getDefaultMemoryStore } = require('./ConversationMemoryStore');
+const { getScopedSettings } = require('../../utils/scopedSettings');
+const { getModelRouter } = require('../../services/modelRouter');
+const { getPersonaRegistry, PersonaRegistry } = require('../../services/personaRegistry');
+const { getImageStyleRegistry } = require('../../services/imageStyles');
+const FunctionExecutorNode = require('./nodes/FunctionExecutorNode');
 
 // Hoist service requires out of hot-path functions so Node's module cache is
 // hit on first use and subsequent calls skip the require() lookup entirely.
 const { downloadImage } = require('../../utils/imageDownloader');
+const { getImageAttachments, resolveImageSource } = require('../../utils/imageSourceResolver');
+const { trackImageJob } = require('../../utils/imageJobFeedback');
+const { checkImageGenerationRateLimit } = require('../../middleware/rateLimiter');
 // Services are loaded lazily on first import (Node caches them after that).
 // Capture references here so handleXxx functions don't re-resolve on every call.
 let _weatherService = null;
 let _timeLookup = null;
 let _quakeLookup = null;
+let _quakeSettings = null;
 let _imageGeneration = null;
+let _FunctionProcessor = null;
 function getWeatherService() {
   if (!_weatherService) _weatherService = require('../../services/simplified-weather');
   return _weatherService;
@@ -33,10 +50,32 @@ function getQuakeLookup() {
   if (!_quakeLookup) _quakeLookup = require('../../services/quakeLookup');
   return _quakeLookup;
 }
+function getQuakeSettings() {
+  if (!_quakeSettings) _quakeSettings = require('../../services/quakeSettings').getQuakeSettings();
+  return _quakeSettings;
+}
 function getImageGeneration() {
   if (!_imageGeneration) _imageGeneration = require('../../services/imageGeneration');
   return _imageGeneration;
 }
+function getFunctionProcessor() {
+  if (!_FunctionProcessor) {
+    _FunctionProcessor = require('../../core/processors/pocketFlowFunctionProcessor');
+  }
+  return _FunctionProcessor;
+}
+
+// Intents the model serves itself through tool calls when tool calling is enabled
+const TOOL_INTENTS = ['weather', 'time', 'quake'];
+
+// Tools that belong to an intent, withheld when the active persona does not allow it
+const INTENT_TOOLS = {
+  weather: ['lookupWeather', 'lookupExtendedForecast'],
+  time: ['lookupTime'],
+  quake: ['quakeLookup'],
+  image: ['generateImage'],
+  knowledge: ['getWolframShortAnswer', 'web_search'],
+};
 
 const logger = createLogger('SimpleChimpGPTFlow');
 
@@ -47,6 +86,15 @@ class SimpleChimpGPTFlow {
     this.options = {
       maxConversationLength: 10,
       maxTokens: 2000,
+      enableMemorySummary: config.ENABLE_MEMORY_SUMMARY,
+      summaryMaxTokens: config.MEMORY_SUMMARY_MAX_TOKENS,
+      // Evicted turns to collect before condensing them into the summary
+      summaryBatchSize: 4,
+      // Total turns shown to the model in a blended (group) channel
+      maxBlendedMessages: 20,
+      enableStreaming: config.ENABLE_STREAMING_RESPONSES,
+      enableToolCalling: config.ENABLE_TOOL_CALLING,
+      maxToolRounds: config.TOOL_CALL_MAX_ROUNDS,
       ...options,
     };
 
@@ -54,6 +102,22 @@ class SimpleChimpGPTFlow {
     // network calls). Defaults to the lazily-required service in production.
     this.imageService = this.options.imageService || null;
 
+    // Per-user conversation history. Defaults to the shared persistent store;
+    // tests inject an in-memory ConversationMemoryStore instead.
+    this.memory = this.options.memoryStore || getDefaultMemoryStore();
+    this.pendingSummaries = new Map();
+
+    // Per-guild/channel settings (blended mode toggle); injectable for tests
+    this.settings = this.options.settingsStore || getScopedSettings();
+
+    // Model, max tokens and temperature per intent/guild/channel (MODEL_ROUTES)
+    this.models = this.options.modelRouter || getModelRouter();
+
+    // Persona profiles selected per guild/channel (/persona)
+    this.personas = this.options.personaRegistry || getPersonaRegistry();
+
+    this.initializeFunctionExecutor();
+
     // Initialize knowledge system if enabled
     if (config.ENABLE_KNOWLEDGE_SYSTEM) {
       this.knowledgeFlow = new KnowledgeFlow(openaiClient, {
@@ -64,13 +128,14 @@ class SimpleChimpGPTFlow {
       logger.info('Knowledge system initialized with multi-agent PocketFlow');
     }
 
+    this.initializeIntents();
     this.initializeFlow();
   }
 
   initializeFlow() {
     // Create shared store with bot personality and features
     this.store = new SharedStore();
-    this.store.set('conversations', new Map());
+    this.store.set('conversationMemory', this.memory);
     this.store.set(
       'botPersonality',
       config.BOT_PERSONALITY || 'You are ChimpGPT, a helpful AI assistant.'
@@ -85,6 +150,123 @@ class SimpleChimpGPTFlow {
     this.flow = new Flow(unifiedNode, this.store);
   }
 
+  /**
+   * Single execution path for model tool calls. Quake stats and images use the
+   * same services as their intent handlers; the rest go through the function
+   * call processor (or plugins). `toolHandlers` lets tests replace functions.
+   */
+  initializeFunctionExecutor() {
+    const FunctionProcessor = getFunctionProcessor();
+    this.functionExecutor = new FunctionExecutorNode(
+      this.openaiClient,
+      this.options.functionCallProcessor || new FunctionProcessor(this.pfpManager),
+      {
+        config: { maxToolRounds: this.options.maxToolRounds },
+        toolHandlers: {
+          quakeLookup: async ({ serverFilter, eloMode }, { message }) => ({
+            success: true,
+            formatted: await getQuakeLookup()(
+              serverFilter || null,
+              eloMode ?? null,
+              getQuakeSettings().getDisplayOptions(message?.guildId)
+            ),
+          }),
+          generateImage: (args, { message, store }) =>
+            this.handleImageGeneration(store, { message }, args),
+          ...this.options.toolHandlers,
+        },
+      }
+    );
+  }
+
+  initializeIntents() {
+    this.intentClassifier = new IntentClassifier({
+      threshold: this.options.intentThreshold ?? config.INTENT_CONFIDENCE_THRESHOLD,
+      fallbackIntent: 'conversation',
+    });
+
+    const builtins = createBuiltinIntents({
+      knowledgeEnabled: !!(config.ENABLE_KNOWLEDGE_SYSTEM && this.knowledgeFlow),
+    });
+    for (const { name, scorers } of builtins) {
+      this.intentClassifier.register(name, { scorers });
+    }
+    // Names of plugin intents already reported as clashing, so each is logged once
+    this.warnedIntentClashes = new Set();
+
+    this.intentHandlers = {
+      image: (store, data) => this.handleImageGeneration(store, data),
+      imageEdit: (store, data) => this.handleImageEdit(store, data),
+      weather: (store, data) => this.handleWeatherRequest(store, data),
+      time: (store, data) => this.handleTimeRequest(store, data),
+      quake: (store, data) => this.handleQuakeStats(store, data),
+      knowledge: (store, data) => this.handleKnowledgeRequest(store, data),
+      conversation: (store, data) => this.handleConversation(store, data),
+    };
+  }
+
+  /**
+   * Sync the classifier with the intents plugins contribute. Plugins load after
+   * the flow is constructed and can be disabled or unloaded at runtime, so this
+   * runs before each classification: it adds new plugin intents and drops those
+   * whose plugin no longer provides them.
+   */
+  registerPluginIntents() {
+    const pluginIntents = pluginManager.getAllIntents();
+
+    for (const existing of this.intentClassifier.list()) {
+      if (existing.source === 'builtin') continue;
+
+      const stillProvided = pluginIntents.some(
+        intent => intent.name === existing.name && intent.pluginId === existing.source
+      );
+      if (!stillProvided) {
+        this.intentClassifier.unregister(existing.name);
+        logger.info(
+          { intent: existing.name, pluginId: existing.source },
+          'Removed intent of an unloaded plugin'
+        );
+      }
+    }
+
+    for (const intent of pluginIntents) {
+      if (this.intentClassifier.has(intent.name)) {
+        const existing = this.intentClassifier.get(intent.name);
+        if (existing.source !== intent.pluginId && !this.warnedIntentClashes.has(intent.name)) {
+          this.warnedIntentClashes.add(intent.name);
+          logger.warn(
+            { intent: intent.name, pluginId: intent.pluginId, existingSource: existing.source },
+            'Plugin intent clashes with an existing intent, ignoring'
+          );
+        }
+        continue;
+      }
+
+      const scorers = [];
+      if (Array.isArray(intent.patterns)) {
+        scorers.push(
+          createRuleScorer(
+            intent.patterns.map(rule =>
+              rule instanceof RegExp ? { pattern: rule, weight: 0.8 } : rule
+            )
+          )
+        );
+      }
+      if (Array.isArray(intent.keywords)) {
+        scorers.push(createKeywordScorer(intent.keywords));
+      }
+      if (typeof intent.score === 'function') {
+        scorers.push(intent.score);
+      }
+
+      this.intentClassifier.register(intent.name, {
+        scorers,
+        source: intent.pluginId,
+        handler: intent.handler,
+      });
+    }
+  }
+
   async handleUnifiedProcessing(store, data) {
     try {
       const { message } = data;
@@ -97,133 +279,27 @@ class SimpleChimpGPTFlow {
 
       logger.debug(`Processing unified request for user ${message.author?.id}`);
 
-      // Detect intent and process accordingly
-
-      // CHECK IMAGE PATTERNS FIRST — before knowledge system.
-      // This prevents "draw a python" from being intercepted as a programming question.
-      // Patterns kept simple to stay under SonarCloud regex complexity threshold (20).
-      const imagePatterns = [
-        // "draw a cat", "make me a landscape" — verb + filler/pronoun
-        /^(?:draw|create|generate|make)\s+(?:me|us)\s/i,
-        // Bare verb at start — "draw cat", "create something"
-        /^(?:draw|create|generate|make)\s/i,
-        // "create an image", "draw the picture" — verb + optional article + art noun
-        /(?:draw|create|generate|make)\s+(?:an?\s+)?(?:image|picture|photo|art)/i,
-        // "image of a cat", "picture of sunset"
-        /(?:image|picture|photo)\s+of/i,
-        // "show me an image", "give me a picture"
-        /(?:show|give)\s+me\s+(?:an?\s+)?(?:image|picture|photo)/i,
-        // "I want a", "I need an image", "I would like you to draw"
-        /^i\s+(?:want|need|would like)\s/i,
-      ];
-
-      if (imagePatterns.some(pattern => pattern.test(content))) {
-        logger.info('Processing as image generation request');
-        return await this.handleImageGeneration(store, data);
-      }
-
-      // Handle high-confidence built-in intents before the broad knowledge/search patterns.
-      if (/(?:weather|forecast|temperature)/i.test(content)) {
-        logger.info('Processing as weather request');
-        return await this.handleWeatherRequest(store, data);
-      }
-
-      const timePatterns = [
-        // "what's the time in X", "time in X", "time for X"
-        /(?:what'?s|what\s+is|tell me)?\s*(?:the\s+)?time\s+(?:in|for|at|of)\s+(.+)/i,
-        // "what time is it in X" — the "is it" breaks the pattern above
-        /what\s+time\s+is\s+it\s+(?:in|for|at|of)\s+(.+)/i,
-        // bare "what time is it"
-        /what\s+time\s+is\s+it/i,
-      ];
-
-      if (timePatterns.some(pattern => pattern.test(content))) {
-        logger.info('Processing as time request');
-        return await this.handleTimeRequest(store, data);
-      }
-
-      if (content.includes('quake') && (content.includes('stats') || content.includes('server'))) {
-        logger.info('Processing as quake stats request');
-        return await this.handleQuakeStats(store, data);
-      }
-
-      // Check for knowledge system patterns (if enabled)
-      if (config.ENABLE_KNOWLEDGE_SYSTEM && this.knowledgeFlow) {
-        // Skip knowledge system for natural conversation requests
-        if (
-          content.includes('natural') &&
-          (content.includes('response') || content.includes('conversation'))
-        ) {
-          logger.info('Bypassing knowledge system for natural conversation request');
-          return await this.handleConversation(store, data);
-        }
+      this.registerPluginIntents();
 
-        const knowledgePatterns = [
-          // Explicit search/lookup requests
-          /(?:search|lookup|look\s+up|find)\s+(?:for\s+)?(?:the\s+)?(?:top|best|latest|current|information|docs|documentation)/i,
-          /(?:search|lookup|look\s+up|find)\s+(?:for\s+)?(?:information\s+)?about/i,
-          /(?:search|lookup|look\s+up|find)/i, // More general search pattern
-          /can\s+you\s+(?:search|lookup|look\s+up|find)/i,
-          /(?:what\s+(?:are|is)|tell\s+me\s+about|information\s+about)\s+(?:the\s+)?(?:top|best|latest)/i,
-
-          // "Give me" requests - expanded patterns
-          /(?:give\s+me|show\s+me)\s+(?:the\s+)?(?:top|best|latest|current|information)/i,
-          /(?:give\s+me|show\s+me)\s+(?:some\s+)?(?:information|details|facts)/i,
-          /can\s+you\s+(?:give\s+me|show\s+me)\s+(?:the\s+)?(?:latest|current|top|best)/i,
-
-          // Question patterns that benefit from web search - more inclusive
-          /what\s+(?:are|is)\s+the\s+(?:top|best|latest|current)/i,
-          /what\s+(?:are|is)/i, // More general "what is" pattern
-          /(?:what's|whats)\s+the\s+(?:latest|current|top|best)/i,
-          /(?:what's|whats)/i, // More general "what's" pattern
-          /is\s+(?:it\s+)?true\s+that/i,
-          /can\s+you\s+(?:confirm|verify|tell\s+me)/i,
-          /do\s+you\s+know\s+(?:about|anything\s+about)/i,
-          /have\s+you\s+heard\s+(?:of|about)/i,
-
-          // Tech and documentation queries - expanded
-          /(?:top|best|latest)\s+(?:tech|technology|websites|sites|apps|tools|frameworks|libraries)/i,
-          /(?:what\s+are\s+the\s+)?(?:top|best|latest)\s+.*(?:sites|websites|platforms|tools|languages|frameworks)/i,
-          /(?:javascript|python|react|node|programming|coding|development)/i, // Tech keywords
-
-          // More natural language patterns
-          /tell\s+me\s+about/i,
-          /explain\s+(?:to\s+me\s+)?(?:what|how)/i,
-          /how\s+(?:does|do|can|to)/i,
-          /why\s+(?:is|are|does|do)/i,
-          /where\s+(?:is|are|can|to)/i,
-          /when\s+(?:is|are|was|were|did)/i,
-
-          // PocketFlow specific patterns
-          /give\s+me\s+(?:the\s+)?pocketflow\s+code/i,
-          /show\s+me\s+pocketflow\s+(?:implementation|code)/i,
-          /how\s+to\s+implement\s+pocketflow/i,
-          /pocketflow\s+(?:implementation|example|code|documentation)/i,
-          /(?:search|find|lookup)\s+pocketflow/i,
-
-          // Current events and trends
-          /(?:current|latest|recent|new)\s+(?:trends|news|updates|developments)/i,
-          /(?:price|cost|value)\s+of/i,
-          /(?:tutorial|guide|example)\s+(?:for|on|about)/i,
-        ];
-
-        // Test knowledge patterns and log which one matched
-        const matchedPattern = knowledgePatterns.find(pattern => pattern.test(content));
-        if (matchedPattern) {
-          logger.info(
-            `Processing as knowledge system request - matched pattern: ${matchedPattern.source}`
-          );
-          return await this.handleKnowledgeRequest(store, data);
-        }
-        logger.debug(`No knowledge patterns matched for: "${content.substring(0, 50)}..."`);
-      }
+      const classification = await this.intentClassifier.classify(content, {
+        userId: message.author?.id,
+        channelId: message.channel?.id,
+        isReply: !!message.reference,
+        hasImage: getImageAttachments(message).length > 0,
+      });
 
-      // Weather/time/quake intents are handled earlier (before the knowledge
-      // system) so search/knowledge routing can't intercept them.
+      logger.info(
+        {
+          intent: classification.intent,
+          confidence: classification.confidence,
+          reason: classification.reason,
+          fallback: classification.fallback,
+          runnerUp: classification.scores.find(s => s.intent !== classification.intent),
+        },
+        `Processing as ${classification.intent} request`
+      );
 
-      // Default to conversation
-      logger.info('Processing as conversation request');
-      return await this.handleConversation(store, data);
+      return await this.routeIntent(classification, store, data);
     } catch (error) {
       logger.error('Error in unified processing:', {
         error: error.message,
@@ -239,12 +315,76 @@ class SimpleChimpGPTFlow {
     }
   }
 
-  async handleImageGeneration(store, data) {
+  async routeIntent(classification, store, data) {
+    const persona = this.resolvePersona(data.message);
+    // Editing images is part of the image capability
+    const capability = classification.intent === 'imageEdit' ? 'image' : classification.intent;
+    if (!PersonaRegistry.allowsIntent(persona, capability)) {
+      logger.info(
+        { intent: classification.intent, persona: persona.id },
+        'Intent not allowed for persona, using conversation'
+      );
+      return await this.handleConversation(store, data);
+    }
+
+    if (this.options.enableToolCalling && TOOL_INTENTS.includes(classification.intent)) {
+      // The model picks and calls the lookup itself, with the conversation as context
+      return await this.handleConversation(store, data);
+    }
+
+    const builtinHandler = this.intentHandlers[classification.intent];
+    if (builtinHandler) {
+      return await builtinHandler(store, data);
+    }
+
+    const intent = this.intentClassifier.get(classification.intent);
+    if (!intent || typeof intent.handler !== 'function') {
+      logger.warn({ intent: classification.intent }, 'No handler for intent, using conversation');
+      return await this.handleConversation(store, data);
+    }
+
+    try {
+      const result = await intent.handler(data.message, { store, classification });
+      const response = typeof result === 'string' ? result : result?.response;
+
+      if (!response) {
+        return await this.handleConversation(store, data);
+      }
+
+      return {
+        success: true,
+        ...(typeof result === 'object' ? result : {}),
+        response,
+        type: classification.intent,
+        pluginId: intent.source,
+      };
+    } catch (error) {
+      logger.error(
+        { error: error.message, intent: classification.intent, pluginId: intent.source },
+        'Plugin intent handler failed'
+      );
+      return {
+        success: false,
+        error: error.message,
+        response: "I'm having trouble with that request right now. Please try again.",
+      };
+    }
+  }
+
+  /**
+   * @param {SharedStore} store - Flow store
+   * @param {{message: import('discord.js').Message}} data - Flow data
+   * @param {{prompt?: string, size?: string, quality?: string, style?: string, count?: number}}
+   *   [request] - Arguments from a generateImage tool call; the prompt is taken from the message
+   *   otherwise
+   */
+  async handleImageGeneration(store, data, request = {}) {
     try {
       const { message } = data;
 
       // Extract prompt from message content — strip Discord mentions and command phrases
-      const prompt =
+      const requestedPrompt =
+        request.prompt ||
         message.content
           .replace(/^<@\d+>\s*/i, '') // Strip leading Discord mention
           .replace(
@@ -258,119 +398,69 @@ class SimpleChimpGPTFlow {
           )
           .replace(/^(?:draw|create|generate|make)\s+(?:me\s+|us\s+)?/i, '') // "draw me a cat" -> "a cat" -> "cat"
           .replace(/^(?:a|an|the)\s+/i, '') // Strip leading article
-          .trim() || message.content;
+          .trim() ||
+        message.content;
+
+      // A style preset can come from the tool call or the wording ("... in pixel-art style");
+      // its size and quality apply unless the tool call set them
+      const styles = getImageStyleRegistry();
+      const detected = styles.detect(requestedPrompt);
+      const style = styles.get(request.style) || detected?.style || null;
+      const styledPrompt = detected ? detected.prompt : requestedPrompt;
+      const size = request.size || style?.size || '1024x1024';
+      const quality = request.quality || style?.quality || 'medium';
+
+      // "4 images of a castle" asks for several images; each one costs a rate limit point
+      const extracted = getImageGeneration().extractImageCount(styledPrompt);
+      const prompt = extracted.prompt;
+      const rateLimit = await checkImageGenerationRateLimit(
+        message.author?.id || 'unknown',
+        request.count || extracted.count
+      );
+      if (rateLimit.limited) {
+        return { success: false, error: 'rate limited', response: `⏱️ ${rateLimit.message}` };
+      }
+      const count = rateLimit.imageCount;
 
       logger.info(`Processing image generation request via service: ${prompt.substring(0, 50)}...`);
 
       // Use the proper imageGeneration service for model remapping, rate limiting, and cost tracking
       // (an injected service takes precedence so unit tests can avoid real network calls)
       const imageService = this.imageService || getImageGeneration();
+      const imageModel = this.routeModel('image', message).model;
       const imageGenStartTime = Date.now();
 
-      const result = await imageService.generateImage(prompt, {
-        model: 'gpt-image-1-mini',
-        size: '1024x1024',
-        quality: 'medium',
-      });
-
-      const imageGenElapsedMs = Date.now() - imageGenStartTime;
-
-      if (!result.success) {
-        logger.error('Image generation service returned failure:', {
-          error: result.error,
-          prompt: prompt.substring(0, 50),
+      const imageJob = this.trackImageRequest(message, data);
+      let result;
+      try {
+        result = await imageService.generateImage(prompt, {
+          model: imageModel,
+          size,
+          quality,
+          style: style?.name,
+          count,
+          userId: message.author?.id,
+          username: message.member?.displayName || message.author?.username,
+          guildId: message.guild?.id,
+          client: message.client,
+          ...imageJob.options,
         });
-
-        // Map service errors to user-friendly messages
-        let userMessage = "I'm having trouble generating that image right now. Please try again.";
-        if (result.error?.includes('disabled')) {
-          userMessage = '🎨 Image generation is currently disabled. Ask an admin to enable it!';
-        } else if (result.error?.includes('rate limit') || result.error?.includes('Rate limit')) {
-          userMessage =
-            "🐌 Whoa there, speed racer! I'm generating images too fast. Let me catch my breath for a moment and try again in a few seconds!";
-        }
-
-        return {
-          success: false,
-          error: result.error,
-          response: userMessage,
-        };
-      }
-
-      // result.images is an array of { url, revisedPrompt } objects
-      const imageResult = result.images[0];
-      const imageUrl = imageResult?.url || null;
-      const revisedPrompt = imageResult?.revisedPrompt || prompt;
-      const estimatedCost = result.estimatedCost;
-
-      // Download or decode the image from the service result
-      let imageBuffer;
-      const fileName = `generated_image_${Date.now()}.png`;
-
-      if (imageResult.b64_json) {
-        imageBuffer = Buffer.from(imageResult.b64_json, 'base64');
-      } else if (imageUrl) {
-        // Download image from URL
-        imageBuffer = await downloadImage(imageUrl);
+      } finally {
+        imageJob.stop();
       }
 
-      // Validate buffer
-      if (!imageBuffer || !Buffer.isBuffer(imageBuffer)) {
-        logger.error('Image buffer is invalid after service call:', {
-          hasBuffer: !!imageBuffer,
-          isBuffer: Buffer.isBuffer(imageBuffer),
-          hasUrl: !!imageUrl,
-        });
-
-        // Fallback: if we have a URL, return it as a link
-        if (imageUrl) {
-          return {
-            success: true,
-            response: `Your image has been generated! [Click to view](${imageUrl})`,
-            type: 'image',
-            imageUrl: imageUrl,
-            originalPrompt: prompt,
-            imageMetadata: {
-              model: 'gpt-image-1-mini',
-              quality: 'medium',
-              elapsedMs: imageGenElapsedMs,
-              estimatedCost,
-            },
-          };
-        }
-        throw new Error('Failed to process image — no buffer or URL available');
-      }
-
-      // Save image to PFP rotation if PFPManager is available
-      if (this.pfpManager) {
-        try {
-          const savedPath = await this.pfpManager.addImage(imageBuffer, fileName);
-          logger.info(`Image saved to PFP rotation: ${savedPath}`);
-        } catch (pfpError) {
-          logger.warn({ error: pfpError }, 'Failed to save image to PFP rotation:');
-        }
-      }
+      const imageGenElapsedMs = Date.now() - imageGenStartTime;
 
-      return {
-        success: true,
-        response: `Here's your generated image for: "${prompt.substring(0, 100)}${prompt.length > 100 ? '...' : ''}"`,
-        type: 'image',
-        imageUrl: imageUrl,
-        originalPrompt: prompt,
-        revisedPrompt,
-        attachment: {
-          buffer: imageBuffer,
-          name: fileName,
-        },
-        // Metadata for footer display
-        imageMetadata: {
-          model: 'gpt-image-1-mini',
-          quality: 'medium',
-          elapsedMs: imageGenElapsedMs,
-          estimatedCost,
-          usedService: true,
-        },
-      };
+      return await this.buildImageReply(result, {
+        prompt,
+        model: imageModel,
+        quality,
+        size,
+        style: style?.name,
+        elapsedMs: imageGenElapsedMs,
+        response: `Here's your generated ${count > 1 ? 'images' : 'image'} for: "${prompt.substring(0, 100)}${prompt.length > 100 ? '...' : ''}"${rateLimit.notice ? `\n⏱️ ${rateLimit.notice}` : ''}`,
+        saveToPfp: true,
+      });
     } catch (error) {
       logger.error('Error generating image:', {
         error: error.message,
@@ -408,6 +498,242 @@ class SimpleChimpGPTFlow {
     }
   }
 
+  /**
+   * Image queue options for a message's image request. While it waits, the queue
+   * position is shown in the reply's feedback message and the requester can ❌ it.
+   *
+   * @param {import('discord.js').Message} message - Requesting message
+   * @param {{stream?: Object}} data - Flow data
+   * @returns {{options: Object, stop: function(): void}}
+   */
+  trackImageRequest(message, data) {
+    return trackImageJob({
+      jobId: message.id,
+      userId: message.author?.id,
+      progressMessage: data.stream?.messages?.[0],
+    });
+  }
+
+  /**
+   * Turn an image service result into the flow's image reply: decode or
+   * download the images, optionally add the first to the PFP rotation, and map
+   * failures to friendly messages.
+   *
+   * @param {Object} result - generateImage/editImage result
+   * @param {Object} details
+   * @param {string} details.prompt - Prompt used
+   * @param {string} details.model - Image model
+   * @param {string} details.quality - Image quality
+   * @param {string} [details.size] - Image size (for the aspect buttons)
+   * @param {string} [details.style] - Style preset used (kept for the Re-roll buttons)
+   * @param {number} details.elapsedMs - Time the service call took
+   * @param {string} details.response - Reply text on success
+   * @param {boolean} [details.saveToPfp=false] - Add the first image to the PFP rotation
+   * @param {boolean} [details.edit=false] - Whether this was an edit
+   * @returns {Promise<Object>} Flow result; `attachment` is the first image and `attachments`
+   *   holds them all
+   */
+  async buildImageReply(
+    result,
+    { prompt, model, quality, size, style, elapsedMs, response, saveToPfp = false, edit = false }
+  ) {
+    if (!result.success) {
+      logger.error('Image service returned failure:', {
+        error: result.error,
+        prompt: prompt.substring(0, 50),
+      });
+
+      // Map service errors to user-friendly messages
+      let userMessage = `I'm having trouble ${edit ? 'editing' : 'generating'} that image right now. Please try again.`;
+      if (result.isBudgetExceeded) {
+        userMessage = `💸 ${result.error}`;
+      } else if (result.cancelled) {
+        userMessage = '🛑 Image request cancelled.';
+      } else if (result.isContentPolicyViolation) {
+        userMessage = `🚫 ${result.error}`;
+      } else if (result.error?.includes('disabled')) {
+        userMessage = '🎨 Image generation is currently disabled. Ask an admin to enable it!';
+      } else if (result.error?.includes('rate limit') || result.error?.includes('Rate limit')) {
+        userMessage =
+          "🐌 Whoa there, speed racer! I'm generating images too fast. Let me catch my breath for a moment and try again in a few seconds!";
+      }
+
+      return {
+        success: false,
+        error: result.error,
+        response: userMessage,
+      };
+    }
+
+    // result.images is an array of { url, revisedPrompt } objects
+    const imageResult = result.images[0];
+    const imageUrl = imageResult?.url || null;
+    const revisedPrompt = imageResult?.revisedPrompt || prompt;
+    const estimatedCost = result.estimatedCost;
+
+    // Download or decode the image from the service result
+    let imageBuffer;
+    const fileName = `${edit ? 'edited' : 'generated'}_image_${Date.now()}.png`;
+
+    if (imageResult.b64_json) {
+      imageBuffer = Buffer.from(imageResult.b64_json, 'base64');
+    } else if (imageUrl) {
+      // Download image from URL
+      imageBuffer = await downloadImage(imageUrl);
+    }
+
+    // Validate buffer
+    if (!imageBuffer || !Buffer.isBuffer(imageBuffer)) {
+      logger.error('Image buffer is invalid after service call:', {
+        hasBuffer: !!imageBuffer,
+        isBuffer: Buffer.isBuffer(imageBuffer),
+        hasUrl: !!imageUrl,
+      });
+
+      // Fallback: if we have a URL, return it as a link
+      if (imageUrl) {
+        return {
+          success: true,
+          response: `Your image has been ${edit ? 'edited' : 'generated'}! [Click to view](${imageUrl})`,
+          type: 'image',
+          imageUrl: imageUrl,
+          originalPrompt: prompt,
+          imageMetadata: {
+            model,
+            quality,
+            elapsedMs,
+            estimatedCost,
+          },
+        };
+      }
+      throw new Error('Failed to process image — no buffer or URL available');
+    }
+
+    // Multi-image requests: the rest follow the first, numbered in order
+    const attachments = [
+      { buffer: imageBuffer, name: fileName },
+      ...(await Promise.all(
+        result.images.slice(1).map(async (image, index) => ({
+          buffer: image.b64_json
+            ? Buffer.from(image.b64_json, 'base64')
+            : await downloadImage(image.url),
+          name: fileName.replace(/\.png$/, `_${index + 2}.png`),
+        }))
+      )),
+    ];
+
+    // Save image to PFP rotation if PFPManager is available (as a candidate the owner reviews)
+    let pfpFile;
+    if (saveToPfp && this.pfpManager) {
+      try {
+        const savedPath = await this.pfpManager.addImage(imageBuffer, fileName, { prompt });
+        pfpFile = path.basename(savedPath);
+        logger.info(`Image saved to PFP rotation: ${savedPath}`);
+      } catch (pfpError) {
+        if (pfpError.code === 'PFP_GUARD') {
+          logger.debug({ reason: pfpError.message }, 'Image not added to PFP rotation');
+        } else {
+          logger.warn({ error: pfpError }, 'Failed to save image to PFP rotation:');
+        }
+      }
+    }
+
+    return {
+      success: true,
+      response: result.budgetWarning ? `${response}\n⚠️ ${result.budgetWarning}` : response,
+      type: 'image',
+      imageUrl: imageUrl,
+      originalPrompt: prompt,
+      revisedPrompt,
+      attachment: attachments[0],
+      attachments,
+      // Metadata for footer display
+      imageMetadata: {
+        model,
+        quality,
+        size,
+        style,
+        elapsedMs,
+        estimatedCost,
+        galleryIds: result.galleryIds,
+        imageCount: attachments.length,
+        pfpFile,
+        usedService: true,
+        ...(edit ? { edited: true } : {}),
+      },
+    };
+  }
+
+  /**
+   * Edit an attached image, or the image on the message being replied to,
+   * following the message's instructions. Rate limited and cost-tracked like
+   * generation; replies that don't point at an image are answered as conversation.
+   *
+   * @param {SharedStore} store - Flow store
+   * @param {{message: import('discord.js').Message, stream?: Object}} data - Flow data
+   */
+  async handleImageEdit(store, data) {
+    const { message } = data;
+
+    try {
+      const source = await resolveImageSource(message);
+      if (!source) {
+        logger.info('No image found to edit, using conversation');
+        return await this.handleConversation(store, data);
+      }
+
+      const userId = message.author?.id || 'unknown';
+      const rateLimit = await checkImageGenerationRateLimit(userId);
+      if (rateLimit.limited) {
+        return { success: false, error: 'rate limited', response: `⏱️ ${rateLimit.message}` };
+      }
+
+      const prompt = message.content.replace(/^<@\d+>\s*/i, '').trim();
+      const quality = 'medium';
+      const imageService = this.imageService || getImageGeneration();
+      const imageModel = this.routeModel('image', message).model;
+      const startTime = Date.now();
+
+      logger.info(
+        { origin: source.origin, hasMask: !!source.mask, prompt: prompt.substring(0, 50) },
+        'Processing image edit request'
+      );
+
+      const imageJob = this.trackImageRequest(message, data);
+      let result;
+      try {
+        result = await imageService.editImage(prompt, source.image, {
+          mask: source.mask,
+          model: imageModel,
+          quality,
+          userId,
+          username: message.member?.displayName || message.author?.username,
+          guildId: message.guild?.id,
+          client: message.client,
+          ...imageJob.options,
+        });
+      } finally {
+        imageJob.stop();
+      }
+
+      return await this.buildImageReply(result, {
+        prompt,
+        model: imageModel,
+        quality,
+        elapsedMs: Date.now() - startTime,
+        response: `Here's your edited image: "${prompt.substring(0, 100)}${prompt.length > 100 ? '...' : ''}"`,
+        edit: true,
+      });
+    } catch (error) {
+      logger.error({ error: error.message, stack: error.stack }, 'Error editing image');
+      return {
+        success: false,
+        error: error.message,
+        response: "I'm having trouble editing that image right now. Please try again.",
+      };
+    }
+  }
+
   async handleKnowledgeRequest(store, data) {
     try {
       if (!this.knowledgeFlow) {
@@ -528,25 +854,29 @@ class SimpleChimpGPTFlow {
 
         try {
           // Generate response with bot personality and current date/time context
-          const systemPrompt = buildSystemPrompt(botPersonality);
-
-          const completion = await this.openaiClient.chat.completions.create({
-            model: 'gpt-4o-mini',
-            messages: [
-              {
-                role: 'system',
-                content: systemPrompt,
-              },
-              {
-                role: 'user',
-                content: weatherContext,
-              },
-            ],
-            max_tokens: 500,
-            temperature: 0.7,
+          const systemPrompt = buildSystemPrompt(botPersonality, {
+            persona: this.resolvePersona(message),
           });
+          const route = this.routeModel('weather', message);
 
-          const personalizedResponse = completion.choices[0].message.content;
+          const personalizedResponse = await this.completeChat(
+            {
+              model: route.model,
+              messages: [
+                {
+                  role: 'system',
+                  content: systemPrompt,
+                },
+                {
+                  role: 'user',
+                  content: weatherContext,
+                },
+              ],
+              max_tokens: route.maxTokens,
+              temperature: route.temperature,
+            },
+            data.stream
+          );
 
           return {
             success: true,
@@ -661,25 +991,29 @@ class SimpleChimpGPTFlow {
 
       try {
         // Generate response with bot personality and current date/time context
-        const systemPrompt = buildSystemPrompt(botPersonality);
-
-        const completion = await this.openaiClient.chat.completions.create({
-          model: 'gpt-4o-mini',
-          messages: [
-            {
-              role: 'system',
-              content: systemPrompt,
-            },
-            {
-              role: 'user',
-              content: timeContext,
-            },
-          ],
-          max_tokens: 300,
-          temperature: 0.7,
+        const systemPrompt = buildSystemPrompt(botPersonality, {
+          persona: this.resolvePersona(message),
         });
+        const route = this.routeModel('time', message);
 
-        const personalizedResponse = completion.choices[0].message.content;
+        const personalizedResponse = await this.completeChat(
+          {
+            model: route.model,
+            messages: [
+              {
+                role: 'system',
+                content: systemPrompt,
+              },
+              {
+                role: 'user',
+                content: timeContext,
+              },
+            ],
+            max_tokens: route.maxTokens,
+            temperature: route.temperature,
+          },
+          data.stream
+        );
 
         return {
           success: true,
@@ -768,65 +1102,108 @@ class SimpleChimpGPTFlow {
         return { success: false, error: 'No user ID provided' };
       }
 
-      // Get or create conversation history
-      const conversations = store.get('conversations');
-      const conversation = conversations.get(userId) || { messages: [] };
+      const channelId = message.channel?.id;
+      const blended = this.isBlendedChannel(message);
 
-      // Add user message to conversation
-      conversation.messages.push({
+      // Persist the user turn, then load the recent history (which includes it)
+      const memory = store.get('conversationMemory');
+      memory.appendTurn(userId, {
         role: 'user',
         content: message.content,
-        timestamp: Date.now(),
+        channelId,
+        userName: message.member?.displayName || message.author?.username,
       });
 
       // Keep conversation length manageable
-      if (conversation.messages.length > this.options.maxConversationLength) {
-        conversation.messages = conversation.messages.slice(-this.options.maxConversationLength);
-      }
-
-      // Build OpenAI conversation with personality and current date/time context
+      const history = blended
+        ? this.buildBlendedHistory(memory, channelId)
+        : memory
+            .getRecentTurns(userId, this.options.maxConversationLength)
+            .map(({ role, content }) => ({ role, content }));
+
+      // Build OpenAI conversation with personality, current date/time context and
+      // the long-term summary of turns that no longer fit in the window
       const botPersonality = store.get('botPersonality');
-      const systemPrompt = buildSystemPrompt(botPersonality);
+      const summary = this.options.enableMemorySummary ? memory.getSummary(userId) : null;
+      const persona = this.resolvePersona(message);
+      const systemPrompt = buildSystemPrompt(botPersonality, {
+        persona,
+        memorySummary: summary?.text,
+        groupChat: blended,
+      });
 
       const openaiMessages = [
         {
           role: 'system',
           content: systemPrompt,
         },
-        ...conversation.messages,
+        ...history,
       ];
 
       logger.debug(
         `Processing conversation for user ${userId} with ${openaiMessages.length} messages`
       );
 
-      // Call OpenAI
-      const completion = await this.openaiClient.chat.completions.create({
-        model: 'gpt-4o-mini',
-        messages: openaiMessages,
-        max_tokens: this.options.maxTokens,
-        temperature: 0.7,
-      });
+      // Call OpenAI (streamed into the Discord reply when the caller supports it)
+      const route = this.routeModel('conversation', message);
+      const params = {
+        model: route.model,
+        max_tokens: route.maxTokens ?? this.options.maxTokens,
+        temperature: route.temperature,
+      };
 
-      const response = completion.choices[0].message.content;
+      let response;
+      let toolCalls = [];
+      if (this.options.enableToolCalling) {
+        const outcome = await this.functionExecutor.runToolLoop({
+          messages: openaiMessages,
+          params,
+          store,
+          message,
+          complete: request => this.requestMessage(request, data.stream),
+          allowTool: name => {
+            const intent = Object.keys(INTENT_TOOLS).find(key => INTENT_TOOLS[key].includes(name));
+            return !intent || PersonaRegistry.allowsIntent(persona, intent);
+          },
+        });
+        response = outcome.response;
+        toolCalls = outcome.toolCalls;
+      } else {
+        response = await this.completeChat({ ...params, messages: openaiMessages }, data.stream);
+      }
 
       // Add bot response to conversation history
-      conversation.messages.push({
+      memory.appendTurn(userId, {
         role: 'assistant',
         content: response,
-        timestamp: Date.now(),
+        channelId,
       });
 
-      // Save updated conversation
-      conversations.set(userId, conversation);
+      this.scheduleMemorySummary(userId);
 
       logger.info(`Generated response for user ${userId}: ${response.substring(0, 50)}...`);
 
+      const conversationInfo = {
+        conversationLength: history.length + 1,
+        conversationMode: blended ? 'blended' : 'individual',
+        toolCalls: toolCalls.map(call => call.name),
+      };
+
+      // A generated image is sent as the reply, captioned with the model's answer
+      const image = toolCalls.find(call => call.name === 'generateImage' && call.result?.success);
+      if (image) {
+        return {
+          ...image.result,
+          ...conversationInfo,
+          response: response || image.result.response,
+        };
+      }
+
       return {
         success: true,
         response: response,
         type: 'conversation',
-        conversationLength: conversation.messages.length,
+        ...conversationInfo,
       };
     } catch (error) {
       logger.error(
@@ -868,7 +1245,257 @@ class SimpleChimpGPTFlow {
     }
   }
 
-  async processMessage(discordMessage) {
+  /**
+   * Model route for a request, taking the message's guild, channel and persona into account.
+   *
+   * @param {string} intent - Route intent (see modelRouter ROUTE_INTENTS)
+   * @param {import('discord.js').Message} message - Message being answered
+   * @returns {{model: string, maxTokens?: number, temperature?: number}}
+   */
+  routeModel(intent, message) {
+    const route = this.models.resolve(intent, {
+      guildId: message?.guild?.id,
+      channelId: message?.channel?.id,
+    });
+    // The persona's temperature wins over the route's for the replies it writes
+    const { temperature } = this.resolvePersona(message);
+    return temperature === undefined ? route : { ...route, temperature };
+  }
+
+  /**
+   * Persona active where the message was sent (channel, then guild, then default).
+   *
+   * @param {import('discord.js').Message} message - Message being answered
+   * @returns {import('../../services/personaRegistry').PersonaProfile}
+   */
+  resolvePersona(message) {
+    return this.personas.resolve({
+      guildId: message?.guild?.id,
+      channelId: message?.channel?.id,
+    });
+  }
+
+  /**
+   * Run a chat completion and return the assistant message. With a stream
+   * sink (a StreamingReply from the message handler) the completion is
+   * streamed: text deltas are passed on as they arrive and tool call deltas
+   * are reassembled. If streaming fails part-way, the partial text is
+   * discarded and the request is retried without streaming, so callers always
+   * get a complete message or the usual error.
+   *
+   * @param {Object} params - chat.completions.create parameters (without `stream`)
+   * @param {{append: function(string), reset: function()}} [stream] - Receives streamed text
+   * @returns {Promise<{role: string, content: string|null, tool_calls?: Array<Object>}>}
+   */
+  async requestMessage(params, stream) {
+    if (stream && this.options.enableStreaming) {
+      let text = '';
+      const toolCalls = [];
+      try {
+        const chunks = await this.openaiClient.chat.completions.create({ ...params, stream: true });
+        for await (const chunk of chunks) {
+          const delta = chunk.choices?.[0]?.delta;
+          if (delta?.content) {
+            text += delta.content;
+            stream.append(delta.content);
+          }
+          for (const part of delta?.tool_calls || []) {
+            const index = part.index ?? 0;
+            if (!toolCalls[index]) {
+              toolCalls[index] = {
+                id: '',
+                type: 'function',
+                function: { name: '', arguments: '' },
+              };
+            }
+            const call = toolCalls[index];
+            if (part.id) call.id = part.id;
+            if (part.function?.name) call.function.name += part.function.name;
+            if (part.function?.arguments) call.function.arguments += part.function.arguments;
+          }
+        }
+
+        const calls = toolCalls.filter(Boolean);
+        if (text || calls.length > 0) {
+          return {
+            role: 'assistant',
+            content: text || null,
+            ...(calls.length > 0 ? { tool_calls: calls } : {}),
+          };
+        }
+        logger.warn(
+          { model: params.model },
+          'Streamed completion was empty, retrying without streaming'
+        );
+      } catch (error) {
+        logger.warn(
+          { error: error.message, model: params.model, receivedChars: text.length },
+          'Streaming completion failed, retrying without streaming'
+        );
+      }
+      stream.reset();
+    }
+
+    const completion = await this.openaiClient.chat.completions.create(params);
+    return completion.choices[0].message;
+  }
+
+  /**
+   * Run a chat completion (streamed when a sink is given) and return its text.
+   *
+   * @param {Object} params - chat.completions.create parameters (without `stream`)
+   * @param {{append: function(string), reset: function()}} [stream] - Receives streamed text
+   * @returns {Promise<string>} The response text
+   */
+  async completeChat(params, stream) {
+    const reply = await this.requestMessage(params, stream);
+    return reply.content;
+  }
+
+  /**
+   * Whether a message's channel uses blended group conversations. DMs never do;
+   * otherwise a /blended override for the channel (or guild) wins over
+   * BLENDED_CONVERSATION_CHANNELS.
+   *
+   * @param {import('discord.js').Message} message - Discord message
+   * @returns {boolean}
+   */
+  isBlendedChannel(message) {
+    const channelId = message.channel?.id;
+    if (!channelId || message.channel?.isDMBased?.()) {
+      return false;
+    }
+
+    return !!this.settings.resolve(
+      { guildId: message.guild?.id, channelId },
+      'blendedConversations',
+      config.BLENDED_CONVERSATION_CHANNELS.includes(channelId)
+    );
+  }
+
+  /**
+   * Interleave recent turns from everyone in a channel, prefixing user messages
+   * with the speaker's name so the model can follow a multi-person thread.
+   *
+   * @param {ConversationMemoryStore} memory - Conversation memory store
+   * @param {string} channelId - Discord channel ID
+   * @returns {Array<{role: string, content: string}>} OpenAI chat messages
+   */
+  buildBlendedHistory(memory, channelId) {
+    return memory
+      .getChannelTurns(channelId, {
+        limit: this.options.maxBlendedMessages,
+        maxPerUser: config.MAX_MESSAGES_PER_USER_BLENDED,
+      })
+      .map(turn => ({
+        role: turn.role,
+        content:
+          turn.role === 'user'
+            ? `${turn.userName || `User ${turn.userId}`}: ${turn.content}`
+            : turn.content,
+      }));
+  }
+
+  /**
+   * Refresh the user's memory summary in the background so the reply isn't delayed.
+   * At most one summary update runs per user at a time.
+   *
+   * @param {string} userId - Discord user ID
+   */
+  scheduleMemorySummary(userId) {
+    if (!this.options.enableMemorySummary || this.pendingSummaries.has(userId)) {
+      return;
+    }
+
+    const update = this.updateMemorySummary(userId)
+      .catch(error => {
+        logger.warn({ error: error.message, userId }, 'Failed to update memory summary');
+      })
+      .finally(() => this.pendingSummaries.delete(userId));
+
+    this.pendingSummaries.set(userId, update);
+  }
+
+  /**
+   * Fold turns that have fallen out of the conversation window into the user's
+   * rolling memory summary. Waits until summaryBatchSize turns have been evicted
+   * so we don't call OpenAI on every message.
+   *
+   * @param {string} userId - Discord user ID
+   * @returns {Promise<string|null>} The new summary text, or null if nothing was summarized
+   */
+  async updateMemorySummary(userId) {
+    const turns = this.memory.getRecentTurns(userId);
+    const evicted = turns.slice(0, Math.max(0, turns.length - this.options.maxConversationLength));
+    const previous = this.memory.getSummary(userId);
+    const pending = evicted.filter(turn => turn.timestamp > (previous?.coveredUntil || 0));
+
+    if (pending.length < this.options.summaryBatchSize) {
+      return null;
+    }
+
+    const budget = this.options.summaryMaxTokens;
+    const transcript = pending
+      .map(turn => `${turn.role === 'assistant' ? 'Assistant' : 'User'}: ${turn.content}`)
+      .join('\n');
+
+    const route = this.models.resolve('memory');
+    const completion = await this.openaiClient.chat.completions.create({
+      model: route.model,
+      messages: [
+        {
+          role: 'system',
+          content: `You maintain a long-term memory note about one Discord user. Merge the existing note with the new conversation excerpt. Keep what the user said about themselves, their preferences, ongoing topics and anything they asked you to remember; drop small talk. Stay under ${Math.floor(budget * 0.75)} words. Reply with the note only.`,
+        },
+        {
+          role: 'user',
+          content: `Existing note:\n${previous?.text || '(none)'}\n\nConversation excerpt:\n${transcript}`,
+        },
+      ],
+      max_tokens: budget,
+      temperature: 0.3,
+    });
+
+    const text = completion.choices?.[0]?.message?.content?.trim();
+    if (!text) {
+      return null;
+    }
+
+    // The user may have used /memory forget while OpenAI was answering; their
+    // turns are gone then, and saving the summary would bring them back
+    const newest = pending[pending.length - 1];
+    const stillStored = this.memory
+      .getRecentTurns(userId)
+      .some(turn => turn.timestamp === newest.timestamp && turn.content === newest.content);
+    if (!stillStored) {
+      logger.info({ userId }, 'Dropped memory summary for turns forgotten while summarizing');
+      return null;
+    }
+
+    const summary = TokenManager.truncateToTokenBudget(text, budget);
+    this.memory.setSummary(userId, {
+      text: summary,
+      coveredUntil: newest.timestamp,
+    });
+
+    logger.info(
+      { userId, turnsSummarized: pending.length, tokens: TokenManager.estimateTextTokens(summary) },
+      'Updated memory summary'
+    );
+
+    return summary;
+  }
+
+  /**
+   * Process a Discord message through the flow.
+   *
+   * @param {import('discord.js').Message} discordMessage - Incoming message
+   * @param {Object} [options]
+   * @param {import('../../utils/streamingReply').StreamingReply} [options.stream] - Sink for
+   *   streamed response text; the caller still renders the final `response`
+   * @returns {Promise<Object>} Flow result
+   */
+  async processMessage(discordMessage, options = {}) {
     const startTime = Date.now();
 
     try {
@@ -879,7 +1506,7 @@ class SimpleChimpGPTFlow {
         architecture: 'simplified_single_node',
       });
 
-      const result = await this.flow.run({ message: discordMessage });
+      const result = await this.flow.run({ message: discordMessage, stream: options.stream });
 
       const duration = Date.now() - startTime;
 
@@ -913,13 +1540,8 @@ class SimpleChimpGPTFlow {
 
   // Get conversation stats for monitoring
   getStats() {
-    const conversations = this.store.get('conversations');
-    const totalConversations = conversations.size;
-    let totalMessages = 0;
-
-    for (const conversation of conversations.values()) {
-      totalMessages += conversation.messages.length;
-    }
+    const { totalConversations, totalMessages, totalSummaries, persistent, retentionDays } =
+      this.memory.getStats();
 
     return {
       architecture: 'simplified_pocketflow',
@@ -928,36 +1550,34 @@ class SimpleChimpGPTFlow {
       totalConversations,
       totalMessages,
       avgMessagesPerConversation: totalConversations > 0 ? totalMessages / totalConversations : 0,
+      conversationPersistence: persistent,
+      conversationRetentionDays: retentionDays,
+      memorySummaries: totalSummaries,
       knowledgeSystemEnabled: !!this.knowledgeFlow,
       uptime: Math.floor(process.uptime()),
     };
   }
 
-  // Cleanup old conversations
-  cleanup(maxAge = 24 * 60 * 60 * 1000) {
-    // 24 hours default
-    const conversations = this.store.get('conversations');
-    const now = Date.now();
-    let cleaned = 0;
-
-    for (const [userId, conversation] of conversations) {
-      const lastMessage = conversation.messages[conversation.messages.length - 1];
-      if (lastMessage && now - lastMessage.timestamp > maxAge) {
-        conversations.delete(userId);
-        cleaned++;
-      }
-    }
-
+  /**
+   * Drop conversation turns older than maxAge from the memory store.
+   *
+   * @param {number} [maxAge] - Maximum turn age in ms (defaults to the store's retention policy)
+   * @returns {number} Number of conversations removed entirely
+   */
+  cleanup(maxAge = this.memory.retentionMs) {
+    const cleaned = this.memory.prune(maxAge);
     logger.info(`Cleaned up ${cleaned} old conversations`);
     return cleaned;
   }
 
   /**
-   * Graceful shutdown - save knowledge before exit
+   * Graceful shutdown - save knowledge and pending conversation turns before exit
    */
   async shutdown() {
+    logger.info('Shutting down SimpleChimpGPTFlow...');
+    await Promise.all(this.pendingSummaries.values());
+    await this.memory.flush();
     if (this.knowledgeFlow) {
-      logger.info('Shutting down SimpleChimpGPTFlow...');
       await this.knowledgeFlow.shutdown();
     }
   }
@@ -0,0 +1,130 @@
+/**
+ * IntentClassifier - Scored intent routing
+ *
+ * Each intent registers one or more scorers (rule, keyword or LLM based, see
+ * ./scorers.js). Classification runs every scorer, keeps the best score per
+ * intent and picks the highest-confidence intent above the threshold. When
+ * nothing clears the threshold the fallback intent is returned. Ties go to the
+ * intent that was registered first.
+ *
+ * @module IntentClassifier
+ */
+
+const { createLogger } = require('../../../core/logger');
+
+const logger = createLogger('IntentClassifier');
+
+/**
+ * @typedef {Object} IntentDefinition
+ * @property {Array<Function>} scorers - Scorer functions returning `{ score, reason }`
+ * @property {string} [source='builtin'] - Where the intent came from (`builtin` or a plugin ID)
+ * @property {Function} [handler] - Optional handler carried along for the router
+ *
+ * @typedef {Object} IntentClassification
+ * @property {string} intent - Chosen intent name
+ * @property {number} confidence - Confidence of the chosen intent
+ * @property {string} reason - Why the intent was chosen
+ * @property {boolean} fallback - True when no intent cleared the threshold
+ * @property {Array<{intent: string, score: number, reason: string}>} scores - All scores, best first
+ */
+
+class IntentClassifier {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.threshold=0.5] - Minimum confidence required to pick an intent
+   * @param {string} [options.fallbackIntent='conversation'] - Intent used below the threshold
+   */
+  constructor(options = {}) {
+    this.threshold = options.threshold ?? 0.5;
+    this.fallbackIntent = options.fallbackIntent || 'conversation';
+    this.intents = new Map();
+  }
+
+  /**
+   * Register an intent. Registering an existing name replaces it.
+   *
+   * @param {string} name - Intent name
+   * @param {IntentDefinition} definition - Intent scorers and metadata
+   * @returns {IntentClassifier} this, for chaining
+   */
+  register(name, definition) {
+    if (!name || !Array.isArray(definition?.scorers) || definition.scorers.length === 0) {
+      throw new Error(`Intent '${name}' must provide at least one scorer`);
+    }
+
+    this.intents.set(name, { source: 'builtin', ...definition, name });
+    logger.debug({ intent: name, source: definition.source || 'builtin' }, 'Registered intent');
+    return this;
+  }
+
+  unregister(name) {
+    return this.intents.delete(name);
+  }
+
+  has(name) {
+    return this.intents.has(name);
+  }
+
+  get(name) {
+    return this.intents.get(name) || null;
+  }
+
+  list() {
+    return Array.from(this.intents.values());
+  }
+
+  /**
+   * Score a message against every registered intent.
+   *
+   * @param {string} content - Normalized (lower-cased, mention-stripped) message text
+   * @param {Object} [context={}] - Extra routing context passed to scorers
+   * @returns {Promise<IntentClassification>} The routing decision
+   */
+  async classify(content, context = {}) {
+    const scores = [];
+
+    for (const [name, intent] of this.intents) {
+      let best = { score: 0, reason: 'no scorer matched' };
+
+      for (const scorer of intent.scorers) {
+        try {
+          const result = await scorer(content, context);
+          if (result && result.score > best.score) {
+            best = result;
+          }
+        } catch (error) {
+          // A broken scorer (e.g. a plugin or LLM call failing) must not break routing
+          logger.warn({ error: error.message, intent: name }, 'Intent scorer failed');
+        }
+      }
+
+      scores.push({ intent: name, score: best.score, reason: best.reason });
+    }
+
+    // Array#sort is stable, so equal scores keep registration order
+    scores.sort((a, b) => b.score - a.score);
+
+    const top = scores[0];
+    if (top && top.score >= this.threshold) {
+      return {
+        intent: top.intent,
+        confidence: top.score,
+        reason: top.reason,
+        fallback: false,
+        scores,
+      };
+    }
+
+    return {
+      intent: this.fallbackIntent,
+      confidence: top ? top.score : 0,
+      reason: top
+        ? `no intent reached ${this.threshold} (best: ${top.intent} at ${top.score.toFixed(2)})`
+        : 'no intents registered',
+      fallback: true,
+      scores,
+    };
+  }
+}
+
+module.exports = IntentClassifier;
@@ -0,0 +1,220 @@
+/**
+ * Built-in Intents
+ *
+ * Scorer definitions for the intents SimpleChimpGPTFlow handles itself.
+ * Weights are confidences: anything at or above the classifier threshold
+ * (INTENT_CONFIDENCE_THRESHOLD, 0.5 by default) can win on its own, while
+ * weaker signals such as a bare "what is" only count when nothing else
+ * matches better.
+ *
+ * Patterns kept simple to stay under SonarCloud regex complexity threshold (20).
+ *
+ * @module BuiltinIntents
+ */
+
+const { createRuleScorer, createKeywordScorer } = require('./scorers');
+
+const IMAGE_NOUNS =
+  '(?:image|picture|photo|drawing|painting|artwork|art|portrait|wallpaper|avatar)';
+
+const imageRules = [
+  {
+    pattern: new RegExp(`(?:draw|create|generate|make)\\s+(?:me\\s+)?(?:an?\\s+)?${IMAGE_NOUNS}`),
+    weight: 0.95,
+    reason: 'explicit image creation request',
+  },
+  { pattern: /(?:image|picture|photo)\s+of/, weight: 0.9, reason: '"<image> of" phrasing' },
+  {
+    pattern: /(?:show|give)\s+me\s+(?:an?\s+)?(?:image|picture|photo)/,
+    weight: 0.9,
+    reason: 'asked to be shown an image',
+  },
+  { pattern: /^(?:draw|paint|sketch)\s/, weight: 0.9, reason: 'starts with a drawing verb' },
+  {
+    pattern: /^i\s+(?:want|need|would like)\s+(?:you\s+)?to\s+(?:draw|paint|sketch)/,
+    weight: 0.85,
+    reason: 'wants something drawn',
+  },
+  {
+    pattern: new RegExp(`^i\\s+(?:want|need|would like)\\s+(?:an?\\s+)?${IMAGE_NOUNS}`),
+    weight: 0.85,
+    reason: 'wants an image',
+  },
+  {
+    pattern: /^(?:create|generate|make)\s+(?:me|us)\s/,
+    weight: 0.75,
+    reason: '"make me ..." request',
+  },
+  { pattern: /^(?:create|generate|make)\s/, weight: 0.6, reason: 'starts with a creation verb' },
+  {
+    pattern: /^(?:create|generate|make)\s+(?:it|this|that|sure|sense)\b/,
+    weight: -0.4,
+    reason: 'creation verb refers to the conversation, not an image',
+  },
+];
+
+// Edit instructions only count when there is an image to edit (see scoreImageEdit)
+const imageEditRules = [
+  {
+    pattern: /^(?:make|turn|change|convert)\s+(?:it|this|that|him|her|them|the\s+\w+)\b/,
+    weight: 0.85,
+    reason: 'asks to change the image',
+  },
+  {
+    pattern: /\binto\s+(?:an?\s+)?(?:cartoon|anime|painting|sketch|drawing|pixel art|watercolou?r)/,
+    weight: 0.9,
+    reason: 'style change',
+  },
+  { pattern: /\b(?:edit|inpaint|retouch|recolou?r)\b/, weight: 0.8, reason: 'edit verb' },
+  {
+    pattern: /^(?:add|remove|replace|erase|put)\s/,
+    weight: 0.75,
+    reason: 'add/remove something',
+  },
+  {
+    pattern: /\b(?:at night|night\s*time|day\s*time|black and white|in the style of)\b/,
+    weight: 0.6,
+    reason: 'scene or style change',
+  },
+];
+
+const scoreImageEditRules = createRuleScorer(imageEditRules);
+
+/**
+ * Score edit instructions for messages that carry an image or reply to one.
+ * A reply to a message without an image still falls back to conversation in
+ * the handler.
+ */
+function scoreImageEdit(content, context = {}) {
+  if (!context.hasImage && !context.isReply) {
+    return { score: 0, reason: 'no image attached or replied to' };
+  }
+  return scoreImageEditRules(content);
+}
+
+const weatherRules = [
+  { pattern: /(?:weather|forecast|temperature)/, weight: 0.85, reason: 'weather keyword' },
+  {
+    pattern: /(?:is it|will it)\s+(?:rain|snow|sunny|hot|cold)\w*\s+(?:in|at)\s/,
+    weight: 0.7,
+    reason: 'asks about conditions somewhere',
+  },
+];
+
+const timeRules = [
+  {
+    // "what's the time in X", "time in X", "time for X"
+    pattern: /(?:what'?s|what\s+is|tell me)?\s*(?:the\s+)?time\s+(?:in|for|at|of)\s+(.+)/,
+    weight: 0.85,
+    reason: 'time in a location',
+  },
+  {
+    // "what time is it in X"
+    pattern: /what\s+time\s+is\s+it\s+(?:in|for|at|of)\s+(.+)/,
+    weight: 0.85,
+    reason: 'time in a location',
+  },
+  { pattern: /what\s+time\s+is\s+it/, weight: 0.8, reason: 'asks for the time' },
+];
+
+const quakeRules = [
+  {
+    pattern: /quake.*(?:stats|server)|(?:stats|server).*quake/,
+    weight: 0.9,
+    reason: 'quake server/stats request',
+  },
+];
+
+const knowledgeRules = [
+  // Explicit search/lookup requests
+  { pattern: /\b(?:search|look\s*up|google)\b/, weight: 0.8, reason: 'explicit search request' },
+  {
+    pattern: /\bfind\s+(?:me\s+)?(?:info|information|docs|documentation|out\s+about|the\s+latest)/,
+    weight: 0.75,
+    reason: 'asks to find information',
+  },
+  // Current events and trends need fresh data
+  {
+    pattern: /(?:current|latest|recent|new)\s+(?:trends|news|updates|developments|version|release)/,
+    weight: 0.8,
+    reason: 'current events',
+  },
+  { pattern: /\b(?:latest|today'?s|this\s+week'?s)\b/, weight: 0.55, reason: 'recency' },
+  { pattern: /(?:price|cost|value)\s+of/, weight: 0.7, reason: 'price lookup' },
+  {
+    pattern: /(?:tutorial|guide|example|docs|documentation)\s+(?:for|on|about)/,
+    weight: 0.75,
+    reason: 'documentation request',
+  },
+  { pattern: /pocketflow/, weight: 0.8, reason: 'pocketflow documentation' },
+  // Fact checking
+  { pattern: /is\s+(?:it\s+)?true\s+that/, weight: 0.6, reason: 'fact check' },
+  { pattern: /can\s+you\s+(?:confirm|verify)/, weight: 0.6, reason: 'fact check' },
+  // Generic questions are weak signals - plain chat handles opinions like "what is the best pizza"
+  { pattern: /^(?:what|who|where|when|why|how)\b/, weight: 0.35, reason: 'general question' },
+  { pattern: /tell\s+me\s+about|explain\s+/, weight: 0.4, reason: 'asks for an explanation' },
+];
+
+const techKeywords = [
+  'javascript',
+  'typescript',
+  'python',
+  'react',
+  'node',
+  'nodejs',
+  'programming',
+  'coding',
+  'api',
+  'library',
+  'framework',
+  'npm',
+];
+
+const conversationRules = [
+  {
+    pattern: /natural.*(?:response|conversation)/,
+    weight: 0.95,
+    reason: 'asked for a natural conversation',
+  },
+  {
+    pattern: /^(?:hi|hello|hey|yo|thanks|thank you|lol|haha)\b/,
+    weight: 0.6,
+    reason: 'greeting or small talk',
+  },
+  { pattern: /how\s+are\s+you/, weight: 0.7, reason: 'small talk' },
+];
+
+/**
+ * Build the built-in intent definitions in routing-priority order.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.knowledgeEnabled=false] - Whether to include the knowledge intent
+ * @returns {Array<{name: string, scorers: Array<Function>}>} Intent definitions
+ */
+function createBuiltinIntents(options = {}) {
+  const intents = [
+    { name: 'imageEdit', scorers: [scoreImageEdit] },
+    { name: 'image', scorers: [createRuleScorer(imageRules)] },
+    { name: 'weather', scorers: [createRuleScorer(weatherRules)] },
+    { name: 'time', scorers: [createRuleScorer(timeRules)] },
+    { name: 'quake', scorers: [createRuleScorer(quakeRules)] },
+  ];
+
+  if (options.knowledgeEnabled) {
+    intents.push({
+      name: 'knowledge',
+      scorers: [
+        createRuleScorer(knowledgeRules),
+        createKeywordScorer(techKeywords, { weight: 0.6, max: 0.7 }),
+      ],
+    });
+  }
+
+  intents.push({ name: 'conversation', scorers: [createRuleScorer(conversationRules)] });
+
+  return intents;
+}
+
+module.exports = {
+  createBuiltinIntents,
+};
@@ -0,0 +1,143 @@
+/**
+ * Intent Scorers
+ *
+ * Factories for the scorer functions consumed by IntentClassifier. A scorer
+ * receives the normalized message content plus a routing context and returns
+ * `{ score, reason }`, where score is a confidence between 0 and 1 and reason
+ * is a short human-readable explanation used in routing logs.
+ *
+ * @module IntentScorers
+ */
+
+const { resolveModel } = require('../../../services/modelRouter');
+
+/**
+ * @typedef {Object} IntentScore
+ * @property {number} score - Confidence between 0 and 1
+ * @property {string} reason - Why the scorer produced this confidence
+ *
+ * @typedef {Object} IntentRule
+ * @property {RegExp} pattern - Pattern tested against the normalized content
+ * @property {number} weight - Confidence when matched; negative weights act as penalties
+ * @property {string} [reason] - Label used in logs (defaults to the pattern source)
+ */
+
+function clampScore(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+/**
+ * Create a scorer from weighted regular expressions.
+ *
+ * The score is the strongest positive match, reduced by the strongest
+ * penalty match (rules with a negative weight). Avoid the `g` flag on
+ * patterns, since `RegExp#test` is stateful for global expressions.
+ *
+ * @param {Array<IntentRule>} rules - Weighted rules
+ * @returns {function(string): IntentScore} Rule-based scorer
+ */
+function createRuleScorer(rules) {
+  return content => {
+    let best = null;
+    let penalty = null;
+
+    for (const rule of rules) {
+      if (!rule.pattern.test(content)) continue;
+
+      if (rule.weight >= 0) {
+        if (!best || rule.weight > best.weight) best = rule;
+      } else if (!penalty || rule.weight < penalty.weight) {
+        penalty = rule;
+      }
+    }
+
+    if (!best) {
+      return { score: 0, reason: 'no rule matched' };
+    }
+
+    const label = rule => rule.reason || `/${rule.pattern.source}/`;
+    const score = clampScore(best.weight + (penalty ? penalty.weight : 0));
+
+    return {
+      score,
+      reason: penalty ? `${label(best)} (penalized: ${label(penalty)})` : label(best),
+    };
+  };
+}
+
+/**
+ * Create a scorer that counts keyword hits.
+ *
+ * Single words must match a whole word; multi-word keywords match as substrings.
+ *
+ * @param {Array<string>} keywords - Lower-case keywords or phrases
+ * @param {Object} [options]
+ * @param {number} [options.weight=0.3] - Confidence added per keyword hit
+ * @param {number} [options.max=0.9] - Upper bound for the score
+ * @returns {function(string): IntentScore} Keyword-based scorer
+ */
+function createKeywordScorer(keywords, options = {}) {
+  const { weight = 0.3, max = 0.9 } = options;
+
+  return content => {
+    const words = new Set(content.split(/[^a-z0-9']+/).filter(Boolean));
+    const hits = keywords.filter(keyword =>
+      keyword.includes(' ') ? content.includes(keyword) : words.has(keyword)
+    );
+
+    if (hits.length === 0) {
+      return { score: 0, reason: 'no keywords matched' };
+    }
+
+    return {
+      score: clampScore(Math.min(max, hits.length * weight)),
+      reason: `keywords: ${hits.join(', ')}`,
+    };
+  };
+}
+
+/**
+ * Create a scorer that asks the chat model to rate the message.
+ *
+ * This costs an API call per message, so it is best reserved for intents that
+ * rules cannot capture. A malformed reply scores 0 rather than throwing.
+ *
+ * @param {Object} openaiClient - OpenAI client instance
+ * @param {Object} options
+ * @param {string} options.intent - Intent name shown to the model
+ * @param {string} options.description - What a matching request looks like
+ * @param {string} [options.model] - Model used for scoring (defaults to the `intent` model route)
+ * @returns {function(string): Promise<IntentScore>} LLM-based scorer
+ */
+function createLLMScorer(openaiClient, options) {
+  const { intent, description } = options;
+
+  return async content => {
+    const route = resolveModel('intent');
+    const completion = await openaiClient.chat.completions.create({
+      model: options.model || route.model,
+      messages: [
+        {
+          role: 'system',
+          content: `You classify Discord chat messages. Reply with only a number between 0 and 1: how likely the message is a "${intent}" request (${description}).`,
+        },
+        { role: 'user', content },
+      ],
+      max_tokens: route.maxTokens ?? 5,
+      temperature: route.temperature ?? 0,
+    });
+
+    const score = parseFloat(completion.choices?.[0]?.message?.content);
+    if (isNaN(score)) {
+      return { score: 0, reason: 'LLM returned no score' };
+    }
+
+    return { score: clampScore(score), reason: `LLM rated ${score}` };
+  };
+}
+
+module.exports = {
+  createRuleScorer,
+  createKeywordScorer,
+  createLLMScorer,
+};
@@ -1,11 +1,38 @@
 const BaseConversationNode = require('./BaseNode');
-const { buildSystemPrompt } = require('../../../utils/systemPromptBuilder');
 const { createLogger } = require('../../../core/logger');
 const ImageGenerationFlow = require('../ImageGenerationFlow');
+const { resolveModel } = require('../../../services/modelRouter');
 const { storeUserLocation, normalizeLocation } = require('../../../utils/userLocationManager');
+const {
+  getBuiltinTools,
+  BUILTIN_TOOL_NAMES,
+  toToolSchema,
+} = require('../../../services/toolSchemas');
+const pluginManager = require('../../../plugins/pluginManager');
 
 const logger = createLogger('FunctionExecutorNode');
 
+// Tool results are sent back to the model, so keep them to a sensible size
+const MAX_TOOL_RESULT_CHARS = 4000;
+const UNSERIALIZED_RESULT_KEYS = ['raw', 'attachment', 'buffer'];
+
+/**
+ * Serialize a function result for a `tool` message, leaving out raw API
+ * payloads and binary data.
+ *
+ * @param {*} result - Function result
+ * @returns {string}
+ */
+function serializeToolResult(result) {
+  const json =
+    JSON.stringify(result ?? null, (key, value) =>
+      UNSERIALIZED_RESULT_KEYS.includes(key) ? undefined : value
+    ) || 'null';
+  return json.length > MAX_TOOL_RESULT_CHARS
+    ? `${json.substring(0, MAX_TOOL_RESULT_CHARS)}... (truncated)`
+    : json;
+}
+
 class FunctionExecutorNode extends BaseConversationNode {
   constructor(openaiClient, functionCallProcessor, options = {}) {
     const action = async (store, data) => {
@@ -21,6 +48,9 @@ class FunctionExecutorNode extends BaseConversationNode {
     this.openaiClient = openaiClient;
     this.functionCallProcessor = functionCallProcessor;
 
+    // Per-function overrides, called with (args, { message, store }) before the processor
+    this.toolHandlers = options.toolHandlers || {};
+
     // Initialize PocketFlow image generation
     this.imageGenerationFlow = new ImageGenerationFlow({
       enableStatusUpdates: true,
@@ -29,8 +59,9 @@ class FunctionExecutorNode extends BaseConversationNode {
     });
 
     this.config = {
-      model: 'gpt-4.1-nano',
+      model: resolveModel('default').model,
       maxRetries: 2,
+      maxToolRounds: 3,
       ...options.config,
     };
 
@@ -38,163 +69,21 @@ class FunctionExecutorNode extends BaseConversationNode {
   }
 
   initializeFunctionDefinitions() {
-    this.functions = [
-      {
-        type: 'function',
-        function: {
-          name: 'lookupTime',
-          description:
-            'Get the current local time for any location. Use this when users ask "what time is it?" or mention time. If the user has told you their location previously, use that location. Common locations: New Zealand cities (Auckland, Wellington, Christchurch), Australian cities (Sydney, Melbourne, Brisbane, Perth).',
-          parameters: {
-            type: 'object',
-            properties: {
-              location: {
-                type: 'string',
-                description:
-                  'The location name, e.g., "Auckland", "Sydney", "New York", "London". Can be a city name, country name, or region.',
-              },
-            },
-            required: ['location'],
-          },
-        },
-      },
-      {
-        type: 'function',
-        function: {
-          name: 'lookupWeather',
-          description: 'Get the current weather in a given location',
-          parameters: {
-            type: 'object',
-            properties: {
-              location: {
-                type: 'string',
-                description: 'The location, e.g., New York, NY',
-              },
-            },
-            required: ['location'],
-          },
-        },
-      },
-      {
-        type: 'function',
-        function: {
-          name: 'lookupExtendedForecast',
-          description: 'Get the extended weather forecast for a given location',
-          parameters: {
-            type: 'object',
-            properties: {
-              location: {
-                type: 'string',
-                description: 'The location, e.g., New York, NY',
-              },
-              days: {
-                type: 'integer',
-                description: 'Number of days to forecast (1-5)',
-                minimum: 1,
-                maximum: 5,
-              },
-            },
-            required: ['location'],
-          },
-        },
-      },
-      {
-        type: 'function',
-        function: {
-          name: 'quakeLookup',
-          description:
-            'Get current Quake Live server statistics and player information for active servers. Only use when specifically asked about Quake servers, server stats, or gaming server information.',
-          parameters: {
-            type: 'object',
-            properties: {
-              serverFilter: {
-                type: 'string',
-                description: 'Optional server name or IP to filter by',
-              },
-              eloMode: {
-                type: 'integer',
-                description: 'Optional ELO display mode (0=Off, 1=Categorized, 2=Actual value)',
-              },
-            },
-            required: [],
-          },
-        },
-      },
-      {
-        type: 'function',
-        function: {
-          name: 'getWolframShortAnswer',
-          description: 'Get a short answer from Wolfram Alpha for a given query',
-          parameters: {
-            type: 'object',
-            properties: {
-              query: {
-                type: 'string',
-                description: 'The question or query to send to Wolfram Alpha',
-              },
-            },
-            required: ['query'],
-          },
-        },
-      },
-      {
-        type: 'function',
-        function: {
-          name: 'generateImage',
-          description: 'Generate an image using AI based on a text description',
-          parameters: {
-            type: 'object',
-            properties: {
-              prompt: {
-                type: 'string',
-                description: 'The text description of the image to generate',
-              },
-              size: {
-                type: 'string',
-                description:
-                  'Image size: 1024x1024 (square), 1536x1024 (portrait), or 1024x1536 (landscape)',
-                enum: ['1024x1024', '1536x1024', '1024x1536'],
-              },
-              quality: {
-                type: 'string',
-                description: 'Image quality level',
-                enum: ['low', 'medium', 'high'],
-              },
-            },
-            required: ['prompt'],
-          },
-        },
-      },
-      {
-        type: 'function',
-        function: {
-          name: 'web_search',
-          description:
-            'Search the web for information using multiple search engines with intelligent fallback',
-          parameters: {
-            type: 'object',
-            properties: {
-              query: {
-                type: 'string',
-                description: 'The search query to look up',
-              },
-              max_results: {
-                type: 'integer',
-                description: 'Maximum number of search results to return (default: 5)',
-                minimum: 1,
-                maximum: 10,
-              },
-              search_type: {
-                type: 'string',
-                description: 'Type of search to perform',
-                enum: ['general', 'academic', 'news', 'current'],
-              },
-            },
-            required: ['query'],
-          },
-        },
-      },
-    ];
+    this.functions = getBuiltinTools();
+  }
+
+  /**
+   * Tool schemas offered to the model: the built-ins plus plugin functions
+   * that declare a description. Built-in names win over plugin functions.
+   *
+   * @returns {Array<Object>}
+   */
+  getTools() {
+    const pluginTools = pluginManager
+      .getToolFunctions()
+      .filter(func => !BUILTIN_TOOL_NAMES.includes(func.name))
+      .map(toToolSchema);
+    return [...this.functions, ...pluginTools];
   }
 
   async executeFunction(store, data) {
@@ -215,32 +104,29 @@ class FunctionExecutorNode extends BaseConversationNode {
         return await this.handleDirectImageRequest(store, message);
       }
 
-      const completion = await this.callOpenAI(context);
-
-      if (completion.choices[0].finish_reason === 'tool_calls') {
-        const toolCall = completion.choices[0].message.tool_calls[0];
-        const functionResult = await this.executeFunctionCall(toolCall, store, message);
-
-        const naturalResponse = await this.generateNaturalResponse(
-          context,
-          toolCall,
-          functionResult,
-          store
-        );
+      const outcome = await this.runToolLoop({
+        messages: context,
+        store,
+        message,
+        params: { model: this.config.model, temperature: 0.7, max_tokens: 150 },
+      });
 
+      if (outcome.toolCalls.length > 0) {
+        const [firstCall] = outcome.toolCalls;
         return {
           success: true,
           type: 'function_call',
-          functionName: toolCall.function.name,
-          functionResult: functionResult,
-          response: naturalResponse,
+          functionName: firstCall.name,
+          functionResult: firstCall.result,
+          toolCalls: outcome.toolCalls,
+          response: outcome.response,
           executionTime: Date.now() - startTime,
         };
       }
       return {
         success: true,
         type: 'direct_response',
-        response: completion.choices[0].message.content,
+        response: outcome.response,
         executionTime: Date.now() - startTime,
       };
     } catch (error) {
@@ -253,39 +139,95 @@ class FunctionExecutorNode extends BaseConversationNode {
     }
   }
 
-  async callOpenAI(context, includeTools = true) {
-    const requestData = {
-      model: this.config.model,
-      messages: context,
-      temperature: 0.7,
-      max_tokens: 150,
-    };
+  /**
+   * Let the model call functions until it answers in text. All tool calls in
+   * a round run in parallel and their results are fed back to the model; once
+   * maxToolRounds is reached the model has to answer without calling more.
+   *
+   * @param {Object} request
+   * @param {Array<Object>} request.messages - Chat messages so far
+   * @param {Object} request.store - Shared store
+   * @param {Object} request.message - Discord message being answered
+   * @param {Object} [request.params] - Other chat.completions parameters (model, max_tokens, temperature)
+   * @param {function(Object): Promise<Object>} [request.complete] - Runs a completion and
+   *   returns the assistant message (lets callers stream); defaults to a plain request
+   * @param {function(string): boolean} [request.allowTool] - Limits the tools offered (by name)
+   * @returns {Promise<{response: string, toolCalls: Array<{id: string, name: string, result: *}>, rounds: number}>}
+   */
+  async runToolLoop({ messages, store, message, params = {}, complete, allowTool }) {
+    const requestMessage =
+      complete ||
+      (async request => {
+        const completion = await this.openaiClient.chat.completions.create(request);
+        return completion.choices[0].message;
+      });
+
+    const tools = this.getTools().filter(tool => !allowTool || allowTool(tool.function.name));
+    const conversation = [...messages];
+    const toolCalls = [];
+
+    for (let round = 0; round < this.config.maxToolRounds; round++) {
+      const reply = await requestMessage({
+        ...params,
+        messages: conversation,
+        ...(tools.length > 0 ? { tools, tool_choice: 'auto' } : {}),
+      });
+
+      const calls = reply.tool_calls || [];
+      if (calls.length === 0) {
+        return { response: reply.content || '', toolCalls, rounds: round };
+      }
 
-    if (includeTools) {
-      requestData.tools = this.functions;
-      requestData.tool_choice = 'auto';
+      logger.debug(
+        { round, functions: calls.map(call => call.function.name) },
+        'Executing tool calls'
+      );
+
+      conversation.push({ role: 'assistant', content: reply.content || null, tool_calls: calls });
+      const results = await Promise.all(
+        calls.map(call =>
+          allowTool && !allowTool(call.function.name)
+            ? { success: false, error: `Function not available: ${call.function.name}` }
+            : this.executeFunctionCall(call, store, message)
+        )
+      );
+
+      calls.forEach((call, index) => {
+        toolCalls.push({ id: call.id, name: call.function.name, result: results[index] });
+        conversation.push({
+          role: 'tool',
+          tool_call_id: call.id,
+          content: serializeToolResult(results[index]),
+        });
+      });
     }
 
-    return await this.openaiClient.chat.completions.create(requestData);
+    logger.warn(
+      { rounds: this.config.maxToolRounds, toolCalls: toolCalls.length },
+      'Tool call limit reached, asking for a final answer'
+    );
+    const final = await requestMessage({
+      ...params,
+      messages: conversation,
+      tools,
+      tool_choice: 'none',
+    });
+    return { response: final.content || '', toolCalls, rounds: this.config.maxToolRounds };
   }
 
   async executeFunctionCall(toolCall, store, message) {
     try {
       const functionName = toolCall.function.name;
-      const functionArgs = JSON.parse(toolCall.function.arguments);
+      const functionArgs = JSON.parse(toolCall.function.arguments || '{}');
 
-      logger.debug(`Executing function: ${functionName}`, functionArgs);
+      logger.debug({ functionName, functionArgs }, 'Executing function');
 
-      const result = await this.functionCallProcessor.processFunction({
-        functionName,
-        functionArgs,
-        message,
-        store,
-      });
+      const result = await this.dispatchFunction(functionName, functionArgs, store, message);
 
-      // Store user location for time/weather functions
+      // Store user location for time/weather functions (ConversationStore only;
+      // SimpleChimpGPTFlow's SharedStore has no per-user context)
       const userId = message.author?.id;
-      if (userId && functionArgs.location) {
+      if (userId && functionArgs.location && typeof store.getUserContext === 'function') {
         if (
           functionName === 'lookupTime' ||
           functionName === 'lookupWeather' ||
@@ -323,39 +265,38 @@ class FunctionExecutorNode extends BaseConversationNode {
     }
   }
 
-  async generateNaturalResponse(context, toolCall, functionResult, store) {
-    try {
-      // Get bot personality from SharedStore if available with current date/time context
-      const botPersonality =
-        store?.get('botPersonality') ||
-        'You are a helpful AI assistant. Respond naturally and helpfully to user messages.';
-
-      const systemPrompt = buildSystemPrompt(botPersonality);
-
-      const responseContext = [
-        {
-          role: 'system',
-          content: systemPrompt,
-        },
-        ...context,
-        {
-          role: 'assistant',
-          content: null,
-          tool_calls: [toolCall],
-        },
-        {
-          role: 'tool',
-          tool_call_id: toolCall.id,
-          content: JSON.stringify(functionResult),
-        },
-      ];
+  /**
+   * Run one function: a tool handler override, then plugin functions, then the
+   * function call processor.
+   */
+  async dispatchFunction(functionName, functionArgs, store, message) {
+    const handler = this.toolHandlers[functionName];
+    if (handler) {
+      return await handler(functionArgs, { message, store });
+    }
 
-      const naturalCompletion = await this.callOpenAI(responseContext, false);
-      return naturalCompletion.choices[0].message.content;
-    } catch (error) {
-      logger.error({ error }, 'Error generating natural response:');
-      return `I executed the ${toolCall.function.name} function, but encountered an error generating a natural response: ${error.message}`;
+    const isPluginTool =
+      !BUILTIN_TOOL_NAMES.includes(functionName) &&
+      pluginManager.getToolFunctions().some(func => func.name === functionName);
+    if (isPluginTool) {
+      const outcome = await pluginManager.executeFunction(functionName, functionArgs, {
+        message,
+        store,
+      });
+      return outcome.success
+        ? { success: true, result: outcome.data, pluginId: outcome.pluginId }
+        : { success: false, error: outcome.error?.message, pluginId: outcome.pluginId };
     }
+
+    if (!this.functionCallProcessor) {
+      return { success: false, error: `Unknown function: ${functionName}`, functionName };
+    }
+    return await this.functionCallProcessor.processFunction({
+      functionName,
+      functionArgs,
+      message,
+      store,
+    });
   }
 
   detectImageRequest(content) {
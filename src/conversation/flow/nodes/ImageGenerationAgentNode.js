@@ -1,10 +1,12 @@
 const BaseConversationNode = require('./BaseNode');
 const { createLogger } = require('../../../core/logger');
-const { generateImage, enhanceImagePrompt } = require('../../../services/imageGeneration');
 const {
-  checkImageGenerationRateLimit,
-  constants: { IMAGE_GEN_POINTS },
-} = require('../../../middleware/rateLimiter');
+  generateImage,
+  enhanceImagePrompt,
+  extractImageCount,
+} = require('../../../services/imageGeneration');
+const { describeQueuePosition } = require('../../../utils/imageJobFeedback');
+const { checkImageGenerationRateLimit } = require('../../../middleware/rateLimiter');
 
 const logger = createLogger('ImageGenerationAgentNode');
 
@@ -134,9 +136,10 @@ class ImageGenerationAgentNode extends BaseConversationNode {
       await this.updatePhase(store, progressKey, 'initializing');
 
       const username = message.author?.username || 'Unknown User';
+      // One rate limit point per image
       const rateLimitResult = await checkImageGenerationRateLimit(
         message.author?.id || 'unknown',
-        IMAGE_GEN_POINTS
+        parameters.count
       );
 
       if (rateLimitResult.limited) {
@@ -171,8 +174,17 @@ class ImageGenerationAgentNode extends BaseConversationNode {
         model: parameters.model || 'chatgpt-image-latest',
         size: parameters.size || this.config.defaultSize,
         quality: parameters.quality || 'low',
+        // Fewer than asked for when the rate limit only has room for some
+        count: rateLimitResult.imageCount,
+        userId: message.author?.id,
         username,
+        guildId: message.guild?.id,
+        client: message.client,
         rateLimitInfo: rateLimitResult,
+        // The queue job is named after the message so ImageGenerationFlow can cancel it
+        jobId: message.id,
+        onQueueUpdate: position => this.setQueuePosition(store, progressKey, position),
+        ...store.get('imageJob')?.options,
       };
 
       logger.info('Starting image generation', {
@@ -181,6 +193,12 @@ class ImageGenerationAgentNode extends BaseConversationNode {
       });
 
       const imageResult = await generateImage(enhancedPrompt, imageOptions);
+      if (imageResult.isBudgetExceeded) {
+        throw Object.assign(new Error(imageResult.error), { isBudgetExceeded: true });
+      }
+      if (imageResult.cancelled) {
+        throw Object.assign(new Error(imageResult.error), { isCancelled: true });
+      }
 
       // Phase 4: Processing and downloading
       await this.updatePhase(store, progressKey, 'downloading');
@@ -234,6 +252,17 @@ class ImageGenerationAgentNode extends BaseConversationNode {
     logger.debug(`Image generation phase transition: ${newPhase}`);
   }
 
+  /**
+   * Record the request's place in the image queue (0 once it is running)
+   */
+  setQueuePosition(store, progressKey, position) {
+    const progress = store.get(progressKey);
+    if (progress) {
+      progress.queuePosition = position;
+      store.set(progressKey, progress);
+    }
+  }
+
   /**
    * Get dynamic status message for current phase
    * This provides variety in status updates to make the bot feel more dynamic
@@ -270,11 +299,15 @@ class ImageGenerationAgentNode extends BaseConversationNode {
       /^show (?:me |us )?(?:a |an |the )?(?:image|picture|photo) (?:of|for) /i,
     ];
 
-    let prompt = content;
+    let stripped = content;
     for (const phrase of imagePhrases) {
-      prompt = prompt.replace(phrase, '').trim();
+      stripped = stripped.replace(phrase, '').trim();
     }
 
+    // "draw 3 images of ..." asks for several images
+    const { count, prompt: countlessPrompt } = extractImageCount(stripped);
+    let prompt = countlessPrompt;
+
     // Extract size if specified
     let size = this.config.defaultSize;
     const sizeMatch = prompt.match(/(?:size|dimensions?)[:\s]+(\d+x\d+)/i);
@@ -289,6 +322,7 @@ class ImageGenerationAgentNode extends BaseConversationNode {
     return {
       prompt: prompt.trim(),
       size,
+      count,
       enhance: true, // Default to enhancing prompts
     };
   }
@@ -300,6 +334,8 @@ class ImageGenerationAgentNode extends BaseConversationNode {
     const result = {
       imageUrl: firstImage.url,
       imageData: firstImage.b64_json,
+      images: imageResult.images || [firstImage],
+      galleryIds: imageResult.galleryIds,
       revisedPrompt:
         firstImage.revisedPrompt || imageResult.revised_prompt || metadata.enhancedPrompt,
       metadata: {
@@ -323,7 +359,8 @@ class ImageGenerationAgentNode extends BaseConversationNode {
       responseText += `**Enhanced Prompt:** ${metadata.enhancedPrompt}\n`;
     }
 
-    responseText += `**Specifications:** ${metadata.size} • ${metadata.quality} quality\n`;
+    responseText += `**Specifications:** ${metadata.size} • ${metadata.quality} quality`;
+    responseText += result.images.length > 1 ? ` • ${result.images.length} images\n` : '\n';
     responseText += `**Creation Time:** ${timeFormatted}\n\n`;
     responseText += `✨ *Generated with AI artistic intelligence*`;
 
@@ -333,6 +370,12 @@ class ImageGenerationAgentNode extends BaseConversationNode {
   }
 
   getErrorMessage(error) {
+    if (error.isBudgetExceeded) {
+      return `💸 ${error.message}`;
+    }
+    if (error.isCancelled) {
+      return '🛑 Image request cancelled.';
+    }
     if (error.message?.includes('content_policy_violation')) {
       return "🚫 Your request violates OpenAI's content policy. Please try a different prompt.";
     } else if (error.message?.includes('rate_limit')) {
@@ -368,7 +411,10 @@ class ImageGenerationAgentNode extends BaseConversationNode {
         return;
       }
 
-      const statusMessage = this.getStatusMessage(progress.currentPhase, progress.completedPhases);
+      const statusMessage =
+        progress.queuePosition > 0
+          ? describeQueuePosition(progress.queuePosition)
+          : this.getStatusMessage(progress.currentPhase, progress.completedPhases);
 
       const elapsedTime = Date.now() - progress.startTime;
       const timeFormatted = this.formatElapsedTime(elapsedTime);
@@ -12,6 +12,8 @@ const { createLogger } = require('../core/logger');
 const { toPocketFlowMessage } = require('../utils/discordMessage');
 const { buildPocketFlowOptions, createMockCommandHandler } = require('./pocketFlowDefaults');
 const PocketFlowConversationManager = require('./flow/PocketFlowConversationManager');
+const { flushDefaultMemoryStore } = require('./flow/ConversationMemoryStore');
+const { getUserLocation } = require('../utils/userLocationManager');
 
 // Import existing services that PocketFlow needs
 const openaiConfig = require('../services/openaiConfig');
@@ -164,6 +166,56 @@ function clearConversation(userId) {
   }
 }
 
+/**
+ * Get the conversation stores of every PocketFlow flow. Empty until the
+ * manager has been initialized, in which case nothing has been stored yet.
+ * @returns {Array<Object>} ConversationStore instances
+ */
+function getFlowStores() {
+  if (!pocketFlowManager) {
+    return [];
+  }
+  return Object.values(pocketFlowManager.flows)
+    .map(flow => flow.getStore?.())
+    .filter(store => store && typeof store.getUserContext === 'function');
+}
+
+/**
+ * Get the location a user saved through weather/time lookups
+ * @param {string} userId - The user ID
+ * @returns {Object|null} `{location, timezone, updatedAt}` or null
+ */
+function getUserLocationData(userId) {
+  for (const store of getFlowStores()) {
+    // Check first: getUserContext creates an empty context as a side effect
+    if (store.get('userContexts')?.has(userId)) {
+      const location = getUserLocation(store, userId);
+      if (location) {
+        return location;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Remove a user's conversations and context (including saved location) from every flow
+ * @param {string} userId - The user ID
+ * @returns {number} Number of entries removed
+ */
+function forgetUser(userId) {
+  let removed = 0;
+  for (const store of getFlowStores()) {
+    if (store.get('conversations')?.delete(userId)) removed++;
+    if (store.get('userContexts')?.delete(userId)) removed++;
+    store.clearActiveFlow?.(userId);
+  }
+  if (removed > 0) {
+    logger.info(`Forgot PocketFlow context for user ${userId} (${removed} entries)`);
+  }
+  return removed;
+}
+
 /**
  * Remove a message by ID (compatibility function)
  * @param {string} channelId - The channel ID
@@ -265,6 +317,7 @@ async function saveConversationsToStorage() {
   try {
     const manager = initializePocketFlow();
     await manager.cleanup();
+    await flushDefaultMemoryStore();
     logger.info('PocketFlow state cleanup completed');
     return true;
   } catch (error) {
@@ -292,6 +345,9 @@ function stopPeriodicSaving() {
  */
 async function shutdown() {
   try {
+    // Persist any conversation turns still queued for disk
+    await flushDefaultMemoryStore();
+
     if (pocketFlowManager) {
       logger.info('Shutting down PocketFlow conversation manager');
       await pocketFlowManager.shutdown();
@@ -305,6 +361,8 @@ async function shutdown() {
 module.exports = {
   manageConversation,
   clearConversation,
+  getUserLocationData,
+  forgetUser,
   removeMessageById,
   updateMessageById,
   getActiveConversationCount,
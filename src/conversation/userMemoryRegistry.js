@@ -0,0 +1,131 @@
+/**
+ * User Memory Registry
+ *
+ * Single place that knows every store holding data about a user, so the
+ * /memory command can show, export and forget all of it. Each source provides
+ * `collect(userId)` (JSON-serializable data or null) and `forget(userId)`
+ * (number of items removed). Conversation history and saved locations are
+ * registered here; stores owned by other components (e.g. the knowledge cache
+ * inside KnowledgeFlow) register themselves when they are created.
+ *
+ * @module UserMemoryRegistry
+ */
+
+const { createLogger } = require('../core/logger');
+const logger = createLogger('userMemoryRegistry');
+
+/**
+ * @typedef {Object} MemorySource
+ * @property {string} description - Human-readable name shown to users
+ * @property {function(string): (Object|Array|null|Promise<Object|Array|null>)} collect - Data held for a user
+ * @property {function(string): (number|Promise<number>)} forget - Purge a user, returning items removed
+ */
+
+/** @type {Map<string, MemorySource>} */
+const sources = new Map();
+
+/**
+ * Register (or replace) a memory source.
+ *
+ * @param {string} name - Unique source name, used as the export key
+ * @param {MemorySource} source - Source implementation
+ */
+function registerMemorySource(name, source) {
+  if (!name || typeof source?.collect !== 'function' || typeof source?.forget !== 'function') {
+    throw new Error(`Memory source '${name}' must provide collect and forget functions`);
+  }
+  sources.set(name, source);
+  logger.debug({ source: name }, 'Registered memory source');
+}
+
+function unregisterMemorySource(name) {
+  return sources.delete(name);
+}
+
+/**
+ * Collect everything stored about a user, keyed by source name. A failing
+ * source is reported in `errors` rather than hiding the others.
+ *
+ * @param {string} userId - Discord user ID
+ * @returns {Promise<{userId: string, generatedAt: string, sources: Object, errors: Object}>}
+ */
+async function collectUserMemory(userId) {
+  const collected = {};
+  const errors = {};
+
+  for (const [name, source] of sources) {
+    try {
+      collected[name] = (await source.collect(userId)) ?? null;
+    } catch (error) {
+      logger.error({ error, source: name, userId }, 'Failed to collect user memory');
+      errors[name] = error.message;
+    }
+  }
+
+  return { userId, generatedAt: new Date().toISOString(), sources: collected, errors };
+}
+
+/**
+ * Purge a user from every registered source.
+ *
+ * @param {string} userId - Discord user ID
+ * @returns {Promise<{removed: Object<string, number>, errors: Object<string, string>}>}
+ */
+async function forgetUserMemory(userId) {
+  const removed = {};
+  const errors = {};
+
+  for (const [name, source] of sources) {
+    try {
+      removed[name] = (await source.forget(userId)) || 0;
+    } catch (error) {
+      logger.error({ error, source: name, userId }, 'Failed to forget user memory');
+      errors[name] = error.message;
+    }
+  }
+
+  logger.info({ userId, removed, errors }, 'Forgot user memory');
+  return { removed, errors };
+}
+
+function getMemorySources() {
+  return Array.from(sources, ([name, source]) => ({ name, description: source.description }));
+}
+
+// Built-in sources. Requires are deferred so this module can be loaded from
+// anywhere in the conversation stack without creating require cycles.
+registerMemorySource('conversations', {
+  description: 'Conversation history and long-term memory summary',
+  collect(userId) {
+    const { getDefaultMemoryStore } = require('./flow/ConversationMemoryStore');
+    const store = getDefaultMemoryStore();
+    const turns = store.getRecentTurns(userId);
+    const summary = store.getSummary(userId);
+    return turns.length > 0 || summary ? { turns, summary } : null;
+  },
+  async forget(userId) {
+    const { getDefaultMemoryStore } = require('./flow/ConversationMemoryStore');
+    const store = getDefaultMemoryStore();
+    const removed = store.forgetUser(userId);
+    await store.flush();
+    return removed;
+  },
+});
+
+registerMemorySource('location', {
+  description: 'Saved location and timezone',
+  collect(userId) {
+    return require('./pocketFlowAdapter').getUserLocationData(userId);
+  },
+  forget(userId) {
+    return require('./pocketFlowAdapter').forgetUser(userId);
+  },
+});
+
+module.exports = {
+  registerMemorySource,
+  unregisterMemorySource,
+  collectUserMemory,
+  forgetUserMemory,
+  getMemorySources,
+};
@@ -27,6 +27,10 @@
 // Import the logger
 const { createLogger } = require('./logger');
 const logger = createLogger('config');
+const { parseModelRoutes } = require('../services/modelRouter');
+const { parseProviderConfig } = require('../services/llmProviders');
+const { parsePersonaProfiles } = require('../services/personaRegistry');
+const { parseImageBudgets } = require('../services/imageBudget');
 
 /**
  * Configuration schema defining all environment variables, their requirements, and validation rules.
@@ -45,6 +49,55 @@ const CONFIG_SCHEMA = {
     description: 'OpenAI API Key',
     validate: value => typeof value === 'string' && value.length > 0,
   },
+  MODEL_ROUTES: {
+    required: false,
+    description:
+      'JSON mapping intents (and optionally guilds/channels) to a model, maxTokens and temperature',
+    default: '',
+    validate: value => {
+      try {
+        parseModelRoutes(value);
+        return true;
+      } catch (error) {
+        logger.error(error.message);
+        return false;
+      }
+    },
+    transform: parseModelRoutes,
+  },
+  LLM_PROVIDERS: {
+    required: false,
+    description:
+      'JSON array of extra OpenAI-compatible providers ({name, baseURL, apiKey?, model?, label?})',
+    default: '',
+    validate: value => {
+      try {
+        parseProviderConfig(value);
+        return true;
+      } catch (error) {
+        logger.error(error.message);
+        return false;
+      }
+    },
+    transform: parseProviderConfig,
+  },
+  LLM_PRIMARY_PROVIDER: {
+    required: false,
+    description:
+      'Provider tried first for chat completions ("openai" or a name from LLM_PROVIDERS)',
+    default: 'openai',
+    validate: value => typeof value === 'string' && /^[\w-]+$/.test(value),
+  },
+  LLM_HEALTH_CHECK_INTERVAL_MS: {
+    required: false,
+    description: 'Milliseconds between LLM provider health checks (0 disables them)',
+    default: '60000',
+    validate: value => {
+      const num = parseInt(value, 10);
+      return !isNaN(num) && (num === 0 || num >= 5000);
+    },
+    transform: value => parseInt(value, 10),
+  },
   CHANNEL_ID: {
     required: true,
     description: 'Channel IDs where the bot is allowed to respond',
@@ -169,6 +222,68 @@ const CONFIG_SCHEMA = {
     validate: value => typeof value === 'string', // Ensure it's a string from .env
     transform: value => value === 'true', // Convert to boolean
   },
+  IMAGE_BUDGETS: {
+    required: false,
+    description:
+      'JSON daily/monthly image spend limits ({user, guild, global, warnAt, onLimit}) in USD',
+    default: '',
+    validate: value => {
+      try {
+        parseImageBudgets(value);
+        return true;
+      } catch (error) {
+        logger.error(error.message);
+        return false;
+      }
+    },
+    transform: parseImageBudgets,
+  },
+  IMAGE_QUEUE_CONCURRENCY: {
+    required: false,
+    description: 'Image API requests run at once; the rest wait in the image queue',
+    default: '2',
+    validate: value => {
+      const num = parseInt(value, 10);
+      return !isNaN(num) && num >= 1 && num <= 10;
+    },
+    transform: value => parseInt(value, 10),
+  },
+  IMAGE_GALLERY_MAX_IMAGES: {
+    required: false,
+    description: 'Generated images kept in the gallery before the oldest are deleted (0 disables)',
+    default: '1000',
+    validate: value => {
+      const num = parseInt(value, 10);
+      return !isNaN(num) && num >= 0;
+    },
+    transform: value => parseInt(value, 10),
+  },
+  IMAGE_MODERATION_LEVEL: {
+    required: false,
+    description: 'Default image prompt pre-screen strictness; owners can override it per guild',
+    default: 'medium',
+    validate: value => ['off', 'low', 'medium', 'high'].includes(value.toLowerCase()),
+    transform: value => value.toLowerCase(),
+  },
+  IMAGE_MODERATION_BLOCKLIST: {
+    required: false,
+    description: 'Comma-separated extra words or phrases refused in image prompts',
+    default: '',
+    validate: value => typeof value === 'string',
+    transform: value =>
+      value
+        .split(',')
+        .map(term => term.trim())
+        .filter(Boolean),
+  },
+  PFP_REQUIRE_APPROVAL: {
+    required: false,
+    description:
+      'Whether new images wait for the owner to approve them before the avatar rotation uses them',
+    default: 'true',
+    validate: value => typeof value === 'string' && ['true', 'false'].includes(value.toLowerCase()),
+    transform: value => value.toLowerCase() === 'true',
+  },
   STATUS_RATE_LIMIT_POINTS: {
     required: false,
     description: 'Maximum number of requests allowed per client for the status page',
@@ -236,6 +351,18 @@ const CONFIG_SCHEMA = {
       return Number(value);
     },
   },
+  BLENDED_CONVERSATION_CHANNELS: {
+    required: false,
+    description:
+      'Comma-separated channel IDs that use blended group conversations by default (toggle per channel with /blended)',
+    default: '',
+    validate: value => typeof value === 'string',
+    transform: value =>
+      value
+        .split(',')
+        .map(id => id.trim())
+        .filter(Boolean),
+  },
 
   // PocketFlow Configuration - Now the only conversation system
   ENABLE_POCKETFLOW: {
@@ -362,6 +489,115 @@ const CONFIG_SCHEMA = {
       return parseFloat(value);
     },
   },
+  INTENT_CONFIDENCE_THRESHOLD: {
+    required: false,
+    description:
+      'Minimum confidence (0.0-1.0) an intent needs before SimpleChimpGPTFlow routes to it instead of plain conversation',
+    default: '0.5',
+    validate: value => {
+      const num = parseFloat(value);
+      return !isNaN(num) && num >= 0 && num <= 1;
+    },
+    transform: value => {
+      return parseFloat(value);
+    },
+  },
+  ENABLE_CONVERSATION_PERSISTENCE: {
+    required: false,
+    description: 'Persist per-user conversation history to data/conversation-memory.jsonl',
+    default: 'true',
+    validate: value => typeof value === 'string' && ['true', 'false'].includes(value.toLowerCase()),
+    transform: value => value.toLowerCase() === 'true',
+  },
+  CONVERSATION_RETENTION_DAYS: {
+    required: false,
+    description: 'Days of conversation history to keep before turns are pruned',
+    default: '30',
+    validate: value => {
+      const num = parseInt(value, 10);
+      return !isNaN(num) && num >= 1 && num <= 3650;
+    },
+    transform: value => parseInt(value, 10),
+  },
+  CONVERSATION_MAX_TURNS_PER_USER: {
+    required: false,
+    description: 'Maximum number of stored conversation turns per user (oldest are dropped)',
+    default: '200',
+    validate: value => {
+      const num = parseInt(value, 10);
+      return !isNaN(num) && num >= 2 && num <= 10000;
+    },
+    transform: value => parseInt(value, 10),
+  },
+  ENABLE_MEMORY_SUMMARY: {
+    required: false,
+    description:
+      'Condense conversation turns that fall out of the context window into a per-user memory summary',
+    default: 'true',
+    validate: value => typeof value === 'string' && ['true', 'false'].includes(value.toLowerCase()),
+    transform: value => value.toLowerCase() === 'true',
+  },
+  MEMORY_SUMMARY_MAX_TOKENS: {
+    required: false,
+    description: 'Token budget for a per-user memory summary injected into the system prompt',
+    default: '300',
+    validate: value => {
+      const num = parseInt(value, 10);
+      return !isNaN(num) && num >= 50 && num <= 2000;
+    },
+    transform: value => parseInt(value, 10),
+  },
+  ENABLE_STREAMING_RESPONSES: {
+    required: false,
+    description: 'Stream chat completions into the "Thinking..." message as they are generated',
+    default: 'true',
+    validate: value => typeof value === 'string' && ['true', 'false'].includes(value.toLowerCase()),
+    transform: value => value.toLowerCase() === 'true',
+  },
+  STREAMING_EDIT_INTERVAL_MS: {
+    required: false,
+    description: 'Minimum milliseconds between Discord edits while streaming a response',
+    default: '1500',
+    validate: value => {
+      const num = parseInt(value, 10);
+      return !isNaN(num) && num >= 500 && num <= 10000;
+    },
+    transform: value => parseInt(value, 10),
+  },
+  ENABLE_TOOL_CALLING: {
+    required: false,
+    description:
+      'Let the model call functions (weather, time, Quake, images, plugins) instead of keyword routing',
+    default: 'true',
+    validate: value => typeof value === 'string' && ['true', 'false'].includes(value.toLowerCase()),
+    transform: value => value.toLowerCase() === 'true',
+  },
+  TOOL_CALL_MAX_ROUNDS: {
+    required: false,
+    description: 'Maximum rounds of tool calls per message before the model must answer',
+    default: '3',
+    validate: value => {
+      const num = parseInt(value, 10);
+      return !isNaN(num) && num >= 1 && num <= 10;
+    },
+    transform: value => parseInt(value, 10),
+  },
+  PERSONA_PROFILES: {
+    required: false,
+    description:
+      'JSON object of persona profiles ({name, systemPrompt, temperature, emojiStyle, allowedIntents}) keyed by ID',
+    default: '',
+    validate: value => {
+      try {
+        parsePersonaProfiles(value);
+        return true;
+      } catch (error) {
+        logger.error(error.message);
+        return false;
+      }
+    },
+    transform: parsePersonaProfiles,
+  },
   POCKETFLOW_CONTEXT_MAX_TOKENS: {
     required: false,
     description: 'Maximum tokens for PocketFlow context management',
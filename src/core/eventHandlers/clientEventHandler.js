@@ -9,9 +9,15 @@ const { loadConversationsFromStorage } = require('../../conversation/conversatio
 const { initDebugSkip } = require('../../utils/debugSkipManager');
 const { initReactionDelete } = require('../../utils/reactionDeleteManager');
 const PFPManager = require('../../utils/pfpManager');
+const { getImageComparisons } = require('../../services/imageComparison');
+const { getScoreboardWatcher } = require('../../services/quakeScoreboardWatcher');
+const { getQuakeServerPoller } = require('../../services/quakeServerPoller');
+const { getQuakeAlerts } = require('../../services/quakeAlerts');
+const { getQuakeHistory } = require('../../services/quakeHistory');
 const commandHandler = require('../../commands/commandHandler');
 const { shouldDeploy, recordSuccessfulDeployment } = require('../../utils/deploymentManager');
 const { sendChannelGreeting } = require('../../utils/greetingManager');
+const { resumeInterruptedImageJobs } = require('../../utils/imageJobFeedback');
 const { stats: healthCheckStats } = require('../healthCheck');
 const statsStorage = require('../statsStorage');
 
@@ -156,7 +162,10 @@ class ClientEventHandler {
       pfpDir: path.join(__dirname, '../../../data/pfp'),
       maxImages: 50,
       rotateIntervalMs: 30 * 60 * 1000, // 30 minutes
+      requireApproval: this.config.PFP_REQUIRE_APPROVAL,
     });
+    // The /pfp command finds it here
+    this.client.pfpManager = pfpManager;
 
     // Initialize message event handler with PFPManager
     const _messageEventHandler = new MessageEventHandler(this.client, this.config, {
@@ -202,11 +211,18 @@ class ClientEventHandler {
 
     try {
       await pfpManager.startRotation();
+      pfpManager.startReviewReactions(this.config.OWNER_ID?.replace(/"/g, ''));
       discordLogger.info('PFP Manager initialized and rotation started');
     } catch (error) {
       discordLogger.error({ error }, 'Error initializing PFP Manager');
     }
 
+    // Pick up image requests that were waiting or running when the bot last stopped
+    // (not awaited: the jobs take their turn in the image queue)
+    resumeInterruptedImageJobs(this.client).catch(error => {
+      discordLogger.error({ error }, 'Error resuming interrupted image jobs');
+    });
+
     // Register command prefixes for traditional commands
     try {
       commandHandler.setPrefixes(['!', '?', '/']);
@@ -246,6 +262,33 @@ class ClientEventHandler {
       discordLogger.error({ error }, 'Error initializing debug skip functionality');
     }
 
+    // Count votes on posted image model comparisons
+    try {
+      getImageComparisons().startVoting(this.client);
+      discordLogger.info('Image comparison voting initialized');
+    } catch (error) {
+      discordLogger.error({ error }, 'Error initializing image comparison voting');
+    }
+
+    // Resume live Quake scoreboards that were updating when the bot last stopped
+    try {
+      getScoreboardWatcher().start(this.client);
+      discordLogger.info('Live Quake scoreboards initialized');
+    } catch (error) {
+      discordLogger.error({ error }, 'Error initializing live Quake scoreboards');
+    }
+
+    // Poll Quake servers in the background for population alerts and match history
+    try {
+      const quakePoller = getQuakeServerPoller();
+      getQuakeAlerts().start(this.client, quakePoller);
+      getQuakeHistory().start(quakePoller);
+      quakePoller.start();
+      discordLogger.info('Quake population alerts and history initialized');
+    } catch (error) {
+      discordLogger.error({ error }, 'Error initializing Quake population alerts and history');
+    }
+
     // Initialize global wastebasket reaction delete handler
     try {
       initReactionDelete(this.client, this.config);
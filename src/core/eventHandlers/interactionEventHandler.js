@@ -1,13 +1,42 @@
+const fs = require('fs');
 const { discord: discordLogger } = require('../logger');
 const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
 const commandHandler = require('../../commands/commandHandler');
-const { generateImage } = require('../../services/imageGeneration');
-const { downloadImage } = require('../../utils/imageDownloader');
+const imageGeneration = require('../../services/imageGeneration');
+const { getImageActionStore } = require('../../services/imageActionStore');
+const { getImageGallery } = require('../../services/imageGallery');
+const { checkImageGenerationRateLimit } = require('../../middleware/rateLimiter');
+const { downloadImage, imageAttachments } = require('../../utils/imageDownloader');
+const {
+  IMAGE_ACTIONS,
+  buildImageActionButtons,
+  buildImagePickRows,
+  parseImageActionId,
+  parseImagePickId,
+} = require('../../utils/imageActions');
+
+// Edit prompt behind the per-image Upscale button
+const UPSCALE_PROMPT =
+  'Recreate this exact image at higher fidelity: keep the composition, subjects, colours and style identical, and add fine detail and sharpness.';
 
 class InteractionEventHandler {
-  constructor(client, config) {
+  /**
+   * @param {import('discord.js').Client} client - Discord client
+   * @param {Object} config - Bot config
+   * @param {Object} [options]
+   * @param {{generateImage: Function, editImage: Function}} [options.imageService] - Image
+   *   service (tests inject one)
+   * @param {import('../../services/imageActionStore').ImageActionStore} [options.imageActionStore] -
+   *   Settings behind the image action buttons
+   * @param {import('../../services/imageGallery').ImageGallery} [options.imageGallery] - Where the
+   *   per-image buttons find their images
+   */
+  constructor(client, config, options = {}) {
     this.client = client;
     this.config = config;
+    this.imageService = options.imageService || imageGeneration;
+    this.imageActionStore = options.imageActionStore || getImageActionStore();
+    this.imageGallery = options.imageGallery || getImageGallery();
 
     this.setupEventHandlers();
   }
@@ -52,10 +81,229 @@ class InteractionEventHandler {
       return;
     }
 
+    const imageAction = parseImageActionId(customId);
+    if (imageAction) {
+      await this.handleImageAction(interaction, imageAction);
+      return;
+    }
+
+    const imagePick = parseImagePickId(customId);
+    if (imagePick) {
+      await this.handleImagePick(interaction, imagePick);
+      return;
+    }
+
     // Unknown button — ignore
     discordLogger.debug({ customId }, 'Unhandled button interaction');
   }
 
+  /**
+   * Re-roll, vary or re-size a generated image from its stored prompt and
+   * settings. The new image(s) are posted as a reply with their own buttons.
+   *
+   * @param {import('discord.js').ButtonInteraction} interaction - Button press
+   * @param {{action: string, recordId: string}} imageAction - Parsed button custom ID
+   */
+  async handleImageAction(interaction, { action, recordId }) {
+    const store = this.imageActionStore;
+    const record = store.get(recordId);
+    if (!record) {
+      await interaction.reply({
+        content: "⌛ I don't have the settings for this image anymore. Ask for a new one!",
+        ephemeral: true,
+      });
+      return;
+    }
+
+    const { label, count: requestedCount, size: newSize } = IMAGE_ACTIONS[action];
+    const rateLimit = await checkImageGenerationRateLimit(interaction.user.id, requestedCount);
+    if (rateLimit.limited) {
+      await interaction.reply({ content: `⏱️ ${rateLimit.message}`, ephemeral: true });
+      return;
+    }
+    const count = rateLimit.imageCount;
+
+    const size = newSize || record.size || imageGeneration.SIZES.SQUARE;
+    const { prompt } = record;
+    discordLogger.info(
+      { action, recordId, userId: interaction.user.id, promptPreview: prompt.substring(0, 60) },
+      'Image action requested'
+    );
+
+    await interaction.deferReply();
+
+    const startTime = Date.now();
+    const options = {
+      model: record.model,
+      quality: record.quality,
+      size,
+      style: record.style,
+      userId: interaction.user.id,
+      username: interaction.member?.displayName || interaction.user.username,
+      guildId: interaction.guildId,
+      client: interaction.client,
+    };
+    const results = await Promise.all(
+      Array.from({ length: count }, () => this.imageService.generateImage(prompt, options))
+    );
+    const elapsedSec = ((Date.now() - startTime) / 1000).toFixed(1);
+
+    const succeeded = results.filter(result => result.success);
+    const failed = results.find(result => !result.success);
+    if (succeeded.length === 0) {
+      await interaction.editReply(
+        failed.isBudgetExceeded ? `💸 ${failed.error}` : `⚠️ ${label} failed: ${failed.error}`
+      );
+      return;
+    }
+
+    const files = await Promise.all(
+      succeeded.map(async (result, index) => {
+        const image = result.images[0];
+        const buffer = image.b64_json
+          ? Buffer.from(image.b64_json, 'base64')
+          : await downloadImage(image.url);
+        return { attachment: buffer, name: `${action}_${index + 1}_${Date.now()}.png` };
+      })
+    );
+
+    const cost = succeeded.reduce((sum, result) => sum + (result.estimatedCost || 0), 0);
+    const metaParts = [
+      `${record.model || 'default'} (${record.quality || 'auto'})`,
+      size,
+      `${elapsedSec}s`,
+    ];
+    if (cost) {
+      metaParts.push(`$${cost.toFixed(4)}`);
+    }
+    const notes = [`_Model: ${metaParts.join(' · ')}_`];
+    if (rateLimit.notice) {
+      notes.push(`⏱️ ${rateLimit.notice}`);
+    }
+    if (failed) {
+      notes.push(`⚠️ ${count - succeeded.length} of ${count} failed: ${failed.error}`);
+    }
+    const budgetWarning = succeeded.find(result => result.budgetWarning)?.budgetWarning;
+    if (budgetWarning) {
+      notes.push(`⚠️ ${budgetWarning}`);
+    }
+
+    const galleryIds = succeeded.flatMap(result => result.galleryIds || []);
+    const newRecordId = store.add({
+      prompt,
+      model: record.model,
+      quality: record.quality,
+      size,
+      style: record.style,
+      galleryIds,
+      userId: interaction.user.id,
+      guildId: interaction.guildId,
+    });
+
+    const reply = await interaction.editReply({
+      content: `${label} — ${prompt.substring(0, 100)}${prompt.length > 100 ? '...' : ''}\n${notes.join('\n')}`,
+      files,
+      components: [
+        new ActionRowBuilder().addComponents(buildImageActionButtons(newRecordId, size)),
+        // Per-image buttons need every image in the gallery
+        ...buildImagePickRows(newRecordId, galleryIds.length === files.length ? files.length : 0),
+      ],
+    });
+
+    this.imageGallery.linkMessage(galleryIds, reply);
+
+    discordLogger.info(
+      { action, recordId: newRecordId, images: files.length },
+      'Image action completed'
+    );
+  }
+
+  /**
+   * Upscale or save one image of a multi-image post. Upscaling edits the image at
+   * high quality, charged to whoever pressed the button; saving DMs them a copy.
+   *
+   * @param {import('discord.js').ButtonInteraction} interaction - Button press
+   * @param {{pick: string, recordId: string, index: number}} imagePick - Parsed button custom ID
+   */
+  async handleImagePick(interaction, { pick, recordId, index }) {
+    const record = this.imageActionStore.get(recordId);
+    const galleryId = record?.galleryIds?.[index];
+    const entry = galleryId ? this.imageGallery.get(galleryId) : null;
+    if (!entry) {
+      await interaction.reply({
+        content: "⌛ I don't have this image anymore. Ask for a new one!",
+        ephemeral: true,
+      });
+      return;
+    }
+
+    const buffer = await fs.promises.readFile(this.imageGallery.getFilePath(entry));
+    const { prompt } = record;
+    const promptPreview = `${prompt.substring(0, 100)}${prompt.length > 100 ? '...' : ''}`;
+    discordLogger.info(
+      { pick, recordId, index, userId: interaction.user.id },
+      'Image pick requested'
+    );
+
+    if (pick === 'save') {
+      try {
+        await interaction.user.send({
+          content: `💾 Image ${index + 1} — ${promptPreview}${entry.messageLink ? `\n${entry.messageLink}` : ''}`,
+          files: [{ attachment: buffer, name: entry.file }],
+        });
+        await interaction.reply({ content: '💾 Sent you a copy in DMs.', ephemeral: true });
+      } catch (error) {
+        discordLogger.warn({ error, userId: interaction.user.id }, 'Could not DM saved image');
+        await interaction.reply({
+          content: "❌ I couldn't DM you. Check that you allow DMs from server members.",
+          ephemeral: true,
+        });
+      }
+      return;
+    }
+
+    const rateLimit = await checkImageGenerationRateLimit(interaction.user.id);
+    if (rateLimit.limited) {
+      await interaction.reply({ content: `⏱️ ${rateLimit.message}`, ephemeral: true });
+      return;
+    }
+
+    await interaction.deferReply();
+
+    const startTime = Date.now();
+    const result = await this.imageService.editImage(
+      UPSCALE_PROMPT,
+      { buffer, name: entry.file },
+      {
+        quality: imageGeneration.QUALITY.HIGH,
+        userId: interaction.user.id,
+        username: interaction.member?.displayName || interaction.user.username,
+        guildId: interaction.guildId,
+        client: interaction.client,
+      }
+    );
+    const elapsedSec = ((Date.now() - startTime) / 1000).toFixed(1);
+
+    if (!result.success) {
+      await interaction.editReply(
+        result.isBudgetExceeded ? `💸 ${result.error}` : `⚠️ Upscale failed: ${result.error}`
+      );
+      return;
+    }
+
+    const metaParts = [`${elapsedSec}s`];
+    if (result.estimatedCost) {
+      metaParts.push(`$${result.estimatedCost.toFixed(4)}`);
+    }
+    const reply = await interaction.editReply({
+      content: `🔍 Upscaled image ${index + 1} — ${promptPreview}\n_${metaParts.join(' · ')}_${result.budgetWarning ? `\n⚠️ ${result.budgetWarning}` : ''}`,
+      files: await imageAttachments(result.images, 'upscaled'),
+    });
+    this.imageGallery.linkMessage(result.galleryIds, reply);
+
+    discordLogger.info({ recordId, index }, 'Image upscale completed');
+  }
+
   async handleHdUpgrade(interaction) {
     // Extract the original prompt from the customId
     const encodedPrompt = interaction.customId.slice('hd_upgrade:'.length);
@@ -100,10 +348,14 @@ class InteractionEventHandler {
 
       // Generate HD image: chatgpt-image-latest (points to best available model), 1024×1024, high quality
       const hdGenStart = Date.now();
-      const imageResult = await generateImage(originalPrompt, {
+      const imageResult = await this.imageService.generateImage(originalPrompt, {
         model: 'chatgpt-image-latest',
         size: '1024x1024',
         quality: 'high',
+        userId: interaction.user.id,
+        username: interaction.member?.displayName || interaction.user.username,
+        guildId: interaction.guildId,
+        client: interaction.client,
       });
       const hdElapsedSec = ((Date.now() - hdGenStart) / 1000).toFixed(1);
 
@@ -138,7 +390,7 @@ class InteractionEventHandler {
       }
 
       const fileName = `hd_image_${Date.now()}.png`;
-      const hdMetaLine = `\n_Model: chatgpt-image-latest (high) · ${hdElapsedSec}s_`;
+      const hdMetaLine = `\n_Model: chatgpt-image-latest (high) · ${hdElapsedSec}s_${imageResult.budgetWarning ? `\n⚠️ ${imageResult.budgetWarning}` : ''}`;
 
       // Edit the original message to remove the button, keep original image intact
       await interaction.editReply({
@@ -147,10 +399,11 @@ class InteractionEventHandler {
       });
 
       // Post HD image as a new follow-up so users can compare
-      await interaction.followUp({
+      const hdMessage = await interaction.followUp({
         content: `🖼️ **HD Version** — ${originalPrompt.substring(0, 100)}${originalPrompt.length > 100 ? '...' : ''}${hdMetaLine}`,
         files: [{ attachment: imageBuffer, name: fileName }],
       });
+      getImageGallery().linkMessage(imageResult.galleryIds, hdMessage);
 
       discordLogger.info(
         { messageId: interaction.message.id, bufferSize: imageBuffer.length },
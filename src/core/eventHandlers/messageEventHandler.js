@@ -15,6 +15,11 @@ const { processVersionQuery } = require('../../utils/versionSelfQuery');
 const commandHandler = require('../../commands/commandHandler');
 const pluginManager = require('../../plugins/pluginManager');
 const SimpleChimpGPTFlow = require('../../conversation/flow/SimpleChimpGPTFlow');
+const { StreamingReply } = require('../../utils/streamingReply');
+const { getImageActionStore } = require('../../services/imageActionStore');
+const { getImageGallery } = require('../../services/imageGallery');
+const { buildImageActionButtons, buildImagePickRows } = require('../../utils/imageActions');
+const { getProviderPool } = require('../../services/llmProviders');
 const {
   updateMessageById,
   saveConversationsToStorage,
@@ -35,8 +40,10 @@ class MessageEventHandler {
     // Initialize message relationships map for legacy compatibility
     this.messageRelationships = new Map();
 
-    // Initialize PocketFlow for conversation processing with PFPManager
-    this.pocketFlow = new SimpleChimpGPTFlow(this.openai, this.pfpManager);
+    // Initialize PocketFlow for conversation processing with PFPManager. Chat
+    // completions go through the provider pool so they can fail over to a
+    // local OpenAI-compatible server.
+    this.pocketFlow = new SimpleChimpGPTFlow(getProviderPool(this.openai).client, this.pfpManager);
 
     // Pre-compiled image-request detection patterns (hoisted from handleMessageCreate hot path
     // so the RegExp objects are created once per handler instance, not on every message).
@@ -63,6 +70,19 @@ class MessageEventHandler {
       ); // Clean up every hour
     }
 
+    // Apply the conversation memory retention policy
+    this.memoryCleanupInterval = setInterval(
+      () => {
+        try {
+          this.pocketFlow.cleanup();
+        } catch (error) {
+          discordLogger.warn({ error }, 'Error during conversation memory cleanup');
+        }
+      },
+      60 * 60 * 1000
+    );
+    this.memoryCleanupInterval.unref();
+
     this.setupEventHandlers();
   }
 
@@ -116,6 +136,7 @@ class MessageEventHandler {
 
     // Initialize timer variable
     let messageTimerId = null;
+    let streamingReply = null;
 
     // Add a debug object to track timing of each step
     const timings = {
@@ -445,8 +466,11 @@ class MessageEventHandler {
       // Use PocketFlow for conversation processing
       addTiming('before_pocketflow_processing');
 
-      // Process message with PocketFlow
-      const flowResult = await this.pocketFlow.processMessage(message);
+      // Process message with PocketFlow, streaming text answers into the feedback message
+      streamingReply = new StreamingReply(feedbackMessage, {
+        editIntervalMs: this.config.STREAMING_EDIT_INTERVAL_MS,
+      });
+      const flowResult = await this.pocketFlow.processMessage(message, { stream: streamingReply });
       addTiming('after_pocketflow_processing', {
         success: flowResult.success,
         type: flowResult.type,
@@ -516,6 +540,8 @@ class MessageEventHandler {
           // Check if this is an image response with attachment
           if (flowResult.type === 'image' && flowResult.attachment) {
             discordLogger.debug('Processing image attachment for Discord');
+            // Any text streamed before the model called generateImage is replaced by the image
+            await streamingReply.cancel();
 
             // Validate attachment buffer before sending
             if (!flowResult.attachment.buffer) {
@@ -591,6 +617,33 @@ class MessageEventHandler {
                     .setStyle(ButtonStyle.Secondary)
                 );
 
+                const imageFiles = (flowResult.attachments || [flowResult.attachment]).map(
+                  file => ({ attachment: file.buffer, name: file.name })
+                );
+                const galleryIds = flowResult.imageMetadata?.galleryIds || [];
+
+                // Re-roll / Variations / aspect buttons; edits aren't re-run from their prompt.
+                // Multi-image posts also get per-image Upscale / Save rows.
+                const pickRows = [];
+                if (flowResult.imageMetadata && !flowResult.imageMetadata.edited) {
+                  const recordId = getImageActionStore().add({
+                    prompt: strippedForButton,
+                    model: flowResult.imageMetadata.model,
+                    quality: flowResult.imageMetadata.quality,
+                    size: flowResult.imageMetadata.size,
+                    style: flowResult.imageMetadata.style,
+                    galleryIds,
+                    userId: message.author.id,
+                    guildId: message.guild?.id,
+                  });
+                  hdRow.addComponents(
+                    buildImageActionButtons(recordId, flowResult.imageMetadata.size)
+                  );
+                  if (galleryIds.length === imageFiles.length) {
+                    pickRows.push(...buildImagePickRows(recordId, imageFiles.length));
+                  }
+                }
+
                 // Build metadata footer line
                 let metaLine = '';
                 if (flowResult.imageMetadata) {
@@ -608,14 +661,12 @@ class MessageEventHandler {
 
                 await feedbackMessage.edit({
                   content: (flowResult.response || '🎨 Here you go!') + metaLine,
-                  files: [
-                    {
-                      attachment: flowResult.attachment.buffer,
-                      name: flowResult.attachment.name,
-                    },
-                  ],
-                  components: [hdRow],
+                  files: imageFiles,
+                  components: [hdRow, ...pickRows],
                 });
+                getImageGallery().linkMessage(galleryIds, feedbackMessage);
+                // The owner can review the avatar candidate by reacting here
+                this.pfpManager?.linkMessage(flowResult.imageMetadata?.pfpFile, feedbackMessage);
 
                 discordLogger.info('Successfully edited thinking message with image:', {
                   messageId: feedbackMessage.id,
@@ -686,21 +737,25 @@ class MessageEventHandler {
             }
             addTiming('after_image_attachment_message');
           } else {
-            // Non-image response - standard text edit
+            // Non-image response - render the final text over whatever was streamed,
+            // rolling over into follow-up messages past Discord's length limit
             try {
               discordLogger.info('Attempting to edit message with standard response:', {
                 messageId: feedbackMessage.id,
                 channelId: feedbackMessage.channelId,
                 contentLength: flowResult.response.length,
                 responseType: flowResult.type || 'unknown',
+                streamed: streamingReply.started,
               });
 
-              await feedbackMessage.edit(flowResult.response);
+              const replyMessages = await streamingReply.finish(flowResult.response);
 
               discordLogger.info('Successfully edited message with standard response:', {
                 messageId: feedbackMessage.id,
                 operation: 'edit_with_text_response',
                 responseType: flowResult.type || 'unknown',
+                messageCount: replyMessages.length,
+                streamEdits: streamingReply.edits,
               });
             } catch (editError) {
               discordLogger.error('Failed to edit message with standard response:', {
@@ -821,6 +876,7 @@ class MessageEventHandler {
     } finally {
       // Always clear the in-progress flag when done
       this.inProgressOperations.delete(message.channelId);
+      await streamingReply?.cancel();
 
       // Always stop the timer if it was started and hasn't been stopped yet
       if (messageTimerId) {
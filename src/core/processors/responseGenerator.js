@@ -1,5 +1,6 @@
 const { openai: openaiLogger } = require('../logger');
 const { trackApiCall, trackError } = require('../healthCheck');
+const { resolveModel } = require('../../services/modelRouter');
 
 /**
  * Generates a natural language response based on function results
@@ -132,7 +133,7 @@ async function generateNaturalResponse(
 
     const response = await Promise.race([
       openai.chat.completions.create({
-        model: 'gpt-4.1-nano', // Using faster model for better responsiveness
+        model: resolveModel('default').model,
         messages: messages,
       }),
       timeoutPromise,
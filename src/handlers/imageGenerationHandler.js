@@ -1,9 +1,7 @@
 const { discord: discordLogger } = require('../core/logger');
 const { generateImage, enhanceImagePrompt } = require('../services/imageGeneration');
-const {
-  checkImageGenerationRateLimit,
-  constants: { IMAGE_GEN_POINTS },
-} = require('../middleware/rateLimiter');
+const { resolveModel } = require('../services/modelRouter');
+const { checkImageGenerationRateLimit } = require('../middleware/rateLimiter');
 const { trackApiCall, trackError, handleStatsCommand } = require('../core/healthCheck');
 const {
   processImageStream,
@@ -247,7 +245,15 @@ async function handleImageGeneration(
       }
 
       // Extract and validate parameters
-      const { prompt, model = 'gpt-image-1-mini', size = '1024x1024', enhance = true } = parameters;
+      const {
+        prompt,
+        model = resolveModel('image', {
+          guildId: message.guild?.id,
+          channelId: message.channel?.id,
+        }).model,
+        size = '1024x1024',
+        enhance = true,
+      } = parameters;
 
       if (!prompt || prompt.trim() === '') {
         await feedbackMessage.edit(
@@ -263,11 +269,8 @@ async function handleImageGeneration(
         message.author?.username ||
         'Unknown User';
 
-      // Use high point cost for image generation
-      const rateLimitResult = await checkImageGenerationRateLimit(
-        message.author?.id || 'unknown',
-        IMAGE_GEN_POINTS
-      );
+      // One rate limit point for the single image this makes
+      const rateLimitResult = await checkImageGenerationRateLimit(message.author?.id || 'unknown');
 
       if (rateLimitResult.limited) {
         await feedbackMessage.edit(`⏱️ ${rateLimitResult.message}`);
@@ -334,10 +337,19 @@ async function handleImageGeneration(
       const imageResult = await generateImage(enhancedPrompt, {
         model,
         size,
+        userId: message.author?.id,
         username,
+        guildId: message.guild?.id,
+        client: message.client,
         rateLimitInfo: rateLimitResult,
       });
 
+      if (imageResult.isBudgetExceeded) {
+        clearInterval(progressUpdater);
+        await feedbackMessage.edit(`💸 ${imageResult.error}`);
+        return;
+      }
+
       // Move to uploading phase
       updateProgress('uploading');
 
@@ -9,6 +9,10 @@ let discordClient = null;
 const pendingRequests = [];
 let breakerOpen = false;
 
+// Named circuits for individual upstream services (e.g. LLM providers), so one
+// failing provider can be skipped without stopping everything else
+const circuits = new Map();
+
 function setDiscordClient(client) {
   discordClient = client;
 }
@@ -62,6 +66,23 @@ function isBreakerOpen() {
 function resetBreaker() {
   breakerOpen = false;
   pendingRequests.length = 0;
+  circuits.clear();
+}
+
+function openCircuit(name, reason) {
+  circuits.set(name, { open: true, openedAt: Date.now(), reason });
+}
+
+function closeCircuit(name) {
+  circuits.delete(name);
+}
+
+function isCircuitOpen(name) {
+  return circuits.get(name)?.open === true;
+}
+
+function getCircuit(name) {
+  return circuits.get(name) || null;
 }
 
 module.exports = {
@@ -73,4 +94,8 @@ module.exports = {
   setBreakerOpen,
   isBreakerOpen,
   resetBreaker,
+  openCircuit,
+  closeCircuit,
+  isCircuitOpen,
+  getCircuit,
 };
@@ -46,7 +46,7 @@ const DEFAULT_DURATION = 30; // Time period in seconds (30 seconds)
 const COOLDOWN_TIME = 1; // Cooldown time in seconds after hitting limit
 
 // Specific rate limit for image generation
-const IMAGE_GEN_POINTS = 3; // Allow 3 image generations
+const IMAGE_GEN_POINTS = 3; // Allow 3 images, whether asked for one at a time or together
 const IMAGE_GEN_DURATION = 60; // Per minute
 
 /**
@@ -155,16 +155,34 @@ function createRateLimiter(options = {}) {
 /**
  * Check if a user has exceeded their image generation rate limit.
  *
- * Specialized function for checking image generation rate limits (3 per minute).
+ * Specialized function for checking image generation rate limits (3 images per minute).
+ * Each image costs a point; a request for more images than the user has points
+ * left is cut down to what's left rather than refused.
  *
  * @param {string} userId - Discord user ID
- * @returns {Promise<RateLimitResult>} Result object with rate limit information
+ * @param {number} [imageCount=1] - Images the request asks for
+ * @returns {Promise<RateLimitResult & {imageCount: number, notice?: string}>} Result object
+ *   with rate limit information, how many images to make and, when that's fewer than
+ *   asked for, a notice saying so
  */
-async function checkImageGenerationRateLimit(userId) {
-  return checkUserRateLimit(userId, 1, {
-    points: IMAGE_GEN_POINTS,
-    duration: IMAGE_GEN_DURATION,
-  });
+async function checkImageGenerationRateLimit(userId, imageCount = 1) {
+  const options = { points: IMAGE_GEN_POINTS, duration: IMAGE_GEN_DURATION };
+  const used = await getUserLimiter(userId, options).get(userId);
+  const remaining = used ? used.remainingPoints : IMAGE_GEN_POINTS;
+  const allowed = Math.max(1, Math.min(imageCount, remaining));
+
+  const result = await checkUserRateLimit(userId, allowed, options);
+  if (result.limited) {
+    return { ...result, imageCount: 0 };
+  }
+  return {
+    ...result,
+    imageCount: allowed,
+    notice:
+      allowed < imageCount
+        ? `Only ${allowed} of the ${imageCount} images fit in the rate limit (${IMAGE_GEN_POINTS} a minute).`
+        : undefined,
+  };
 }
 
 /**
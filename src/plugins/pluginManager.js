@@ -8,6 +8,8 @@
  * @property {Array<PluginCommand>} [commands] - Array of plugin commands
  * @property {Object.<string, PluginFunction>} [functions] - Map of plugin functions
  * @property {Object.<string, PluginHook>} [hooks] - Map of plugin hooks
+ * @property {Array<PluginIntent>} [intents] - Array of conversation intents
+ * @property {Array<PluginImageStyle>} [imageStyles] - Array of image style presets
  *
  * @typedef {Object} PluginCommand
  * @property {string} name - Command name
@@ -17,12 +19,32 @@
  * @typedef {Object} PluginFunction
  * @property {string} name - Function name
  * @property {Function} execute - Function execution logic
+ * @property {string} [description] - Tool description; when set the model can call the function
+ * @property {Object} [parameters] - JSON schema for the tool call arguments
  * @property {string} pluginId - Owning plugin ID
  *
  * @typedef {Object} PluginHook
  * @property {string} name - Hook name
  * @property {Function} execute - Hook execution logic
  * @property {string} pluginId - Owning plugin ID
+ *
+ * @typedef {Object} PluginIntent
+ * @property {string} name - Intent name (must not clash with a built-in intent)
+ * @property {Function} handler - Called with (message, context); returns a response string or object
+ * @property {Array<RegExp|{pattern: RegExp, weight: number}>} [patterns] - Rule scorer patterns
+ * @property {Array<string>} [keywords] - Keyword scorer keywords
+ * @property {Function} [score] - Custom scorer returning { score, reason }
+ * @property {string} pluginId - Owning plugin ID
+ *
+ * @typedef {Object} PluginImageStyle
+ * @property {string} name - Style name (built-in styles win over plugin ones)
+ * @property {string} template - Prompt template; {prompt} is replaced with the user's prompt
+ * @property {string} [description] - Shown when listing styles
+ * @property {Array<string>} [aliases] - Other names the style can be picked by
+ * @property {string} [size] - Default image size
+ * @property {string} [quality] - Default image quality
+ * @property {string} [background] - Default background (opaque, transparent)
+ * @property {string} pluginId - Owning plugin ID
  */
 /**
  * ChimpGPT Plugin Manager
@@ -48,6 +70,8 @@ const plugins = {
   commands: {},
   functions: {},
   hooks: {},
+  intents: {},
+  imageStyles: {},
   metadata: {},
 };
 
@@ -191,9 +215,14 @@ function registerPlugin(plugin) {
     // Register functions
     if (plugin.functions && typeof plugin.functions === 'object') {
       Object.keys(plugin.functions).forEach(functionName => {
-        if (typeof plugin.functions[functionName] === 'function') {
+        const definition = plugin.functions[functionName];
+        // Object form ({ execute, description, parameters }) also offers the function as a tool
+        const execute = typeof definition === 'function' ? definition : definition?.execute;
+        if (typeof execute === 'function') {
           plugins.functions[functionName] = {
-            execute: plugin.functions[functionName],
+            execute,
+            description: definition.description,
+            parameters: definition.parameters,
             pluginId: plugin.id,
           };
           logger.debug(
@@ -245,6 +274,70 @@ function registerPlugin(plugin) {
       });
     }
 
+    // Register conversation intents
+    if (plugin.intents && Array.isArray(plugin.intents)) {
+      plugin.intents.forEach(intent => {
+        const hasScorer =
+          Array.isArray(intent?.patterns) ||
+          Array.isArray(intent?.keywords) ||
+          typeof intent?.score === 'function';
+
+        if (!intent || !intent.name || typeof intent.handler !== 'function' || !hasScorer) {
+          logger.warn({ pluginId: plugin.id, intent: intent?.name }, 'Invalid intent structure');
+          return;
+        }
+
+        if (plugins.intents[intent.name]) {
+          const existingPluginId = plugins.intents[intent.name].pluginId;
+          logger.warn(
+            { pluginId: plugin.id, intentName: intent.name, existingPluginId },
+            `Intent name conflict: '${intent.name}' already registered by plugin '${existingPluginId}'`
+          );
+          trackPluginConflict(plugin.id, 'intent', intent.name, existingPluginId);
+          return;
+        }
+
+        plugins.intents[intent.name] = {
+          ...intent,
+          pluginId: plugin.id,
+        };
+        logger.debug({ pluginId: plugin.id, intentName: intent.name }, 'Registered intent');
+      });
+    }
+
+    // Register image style presets
+    if (plugin.imageStyles && Array.isArray(plugin.imageStyles)) {
+      plugin.imageStyles.forEach(style => {
+        if (
+          !style ||
+          !style.name ||
+          typeof style.template !== 'string' ||
+          !style.template.includes('{prompt}')
+        ) {
+          logger.warn({ pluginId: plugin.id, style: style?.name }, 'Invalid image style structure');
+          return;
+        }
+
+        const styleName = style.name.toLowerCase();
+        if (plugins.imageStyles[styleName]) {
+          const existingPluginId = plugins.imageStyles[styleName].pluginId;
+          logger.warn(
+            { pluginId: plugin.id, styleName, existingPluginId },
+            `Image style conflict: '${styleName}' already registered by plugin '${existingPluginId}'`
+          );
+          trackPluginConflict(plugin.id, 'imageStyle', styleName, existingPluginId);
+          return;
+        }
+
+        plugins.imageStyles[styleName] = {
+          ...style,
+          name: styleName,
+          pluginId: plugin.id,
+        };
+        logger.debug({ pluginId: plugin.id, styleName }, 'Registered image style');
+      });
+    }
+
     return true;
   } catch (error) {
     logger.error(
@@ -377,6 +470,47 @@ function getAllCommands() {
   return plugins.commands;
 }
 
+/**
+ * Get all intents registered by enabled plugins
+ *
+ * @returns {Array<PluginIntent>} Intents whose plugin is currently enabled
+ */
+function getAllIntents() {
+  return Object.values(plugins.intents).filter(
+    intent => plugins.metadata[intent.pluginId]?.enabled !== false
+  );
+}
+
+/**
+ * Get all image styles registered by enabled plugins
+ *
+ * @returns {Array<PluginImageStyle>} Image styles whose plugin is currently enabled
+ */
+function getAllImageStyles() {
+  return Object.values(plugins.imageStyles).filter(
+    style => plugins.metadata[style.pluginId]?.enabled !== false
+  );
+}
+
+/**
+ * Get the functions enabled plugins offer to the model as tools
+ *
+ * @returns {Array<{name: string, description: string, parameters: Object, pluginId: string}>}
+ */
+function getToolFunctions() {
+  return Object.entries(plugins.functions)
+    .filter(
+      ([, func]) =>
+        typeof func.description === 'string' && plugins.metadata[func.pluginId]?.enabled !== false
+    )
+    .map(([name, func]) => ({
+      name,
+      description: func.description,
+      parameters: func.parameters,
+      pluginId: func.pluginId,
+    }));
+}
+
 /**
  * Execute a function from a plugin
  *
@@ -756,6 +890,9 @@ module.exports = {
   executeHook,
   executeFunction,
   getAllCommands,
+  getAllIntents,
+  getAllImageStyles,
+  getToolFunctions,
   getPluginMetadata,
   enablePlugin,
   disablePlugin,
@@ -0,0 +1,148 @@
+/**
+ * Blocked Prompt Log
+ *
+ * Keeps the image prompts that moderation refused (by the pre-screen or by the
+ * API's own safety system) so owners can review them on the status dashboard.
+ *
+ * Stored in data/blocked-prompts.json as `{ "entries": [...] }`, oldest first;
+ * the oldest entries are dropped once there are more than maxEntries.
+ *
+ * @module BlockedPromptLog
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('../core/logger');
+const { JsonFileStore } = require('../utils/jsonFileStore');
+
+const logger = createLogger('blockedPromptLog');
+
+const DEFAULT_LOG_FILE = path.join(__dirname, '..', '..', 'data', 'blocked-prompts.json');
+const DEFAULT_MAX_ENTRIES = 500;
+const DEFAULT_LIST_LIMIT = 50;
+
+/**
+ * @typedef {Object} BlockedPrompt
+ * @property {string} id - Entry ID
+ * @property {string} prompt - The refused prompt
+ * @property {'rules'|'moderation'|'api'} source - What refused it
+ * @property {string} [reason] - Why (matched rule or moderation categories)
+ * @property {string[]} [categories] - Moderation categories that matched
+ * @property {string} [level] - Strictness the prompt was screened at
+ * @property {string} [type] - generation or edit
+ * @property {string} [userId] - Who sent it
+ * @property {string} [username] - Their display name at the time
+ * @property {string} [guildId] - Guild it was sent in
+ * @property {string} timestamp - ISO timestamp
+ */
+
+class BlockedPromptLog {
+  /**
+   * @param {Object} [options]
+   * @param {string|null} [options.filePath] - JSON file path; null keeps entries in memory only
+   * @param {number} [options.maxEntries=500] - Entries kept before the oldest are dropped
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath === undefined ? DEFAULT_LOG_FILE : options.filePath;
+    this.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+    this.entries = [];
+    this.file = new JsonFileStore(this.filePath, {
+      logger,
+      description: 'blocked prompt log',
+    });
+
+    if (this.filePath) {
+      this.loadFromDisk();
+    }
+  }
+
+  loadFromDisk() {
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.entries = Array.isArray(saved.entries) ? saved.entries : [];
+      logger.info({ entries: this.entries.length }, 'Loaded blocked prompt log');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn({ error, filePath: this.filePath }, 'Could not read blocked prompt log');
+      }
+    }
+  }
+
+  /**
+   * Record a refused prompt.
+   *
+   * @param {Omit<BlockedPrompt, 'id'|'timestamp'>} details - The prompt and why it was refused
+   * @returns {BlockedPrompt} The stored entry
+   */
+  add(details) {
+    const entry = {
+      id: crypto.randomBytes(6).toString('hex'),
+      ...details,
+      timestamp: new Date().toISOString(),
+    };
+    this.entries.push(entry);
+    this.entries.splice(0, Math.max(0, this.entries.length - this.maxEntries));
+
+    this.save();
+    return entry;
+  }
+
+  /**
+   * Recent refused prompts, newest first.
+   *
+   * @param {Object} [query]
+   * @param {string} [query.userId] - Only this user's prompts
+   * @param {string} [query.guildId] - Only prompts from this guild
+   * @param {string} [query.source] - Only prompts refused by this source
+   * @param {number} [query.limit=50] - Most entries to return
+   * @returns {{entries: BlockedPrompt[], total: number}}
+   */
+  list(query = {}) {
+    const matches = this.entries
+      .filter(
+        entry =>
+          (!query.userId || entry.userId === query.userId) &&
+          (!query.guildId || entry.guildId === query.guildId) &&
+          (!query.source || entry.source === query.source)
+      )
+      .reverse();
+
+    return {
+      entries: matches.slice(0, Math.max(1, query.limit || DEFAULT_LIST_LIMIT)),
+      total: matches.length,
+    };
+  }
+
+  save() {
+    this.file.write({ entries: this.entries });
+  }
+
+  /**
+   * Wait for pending writes to reach disk.
+   *
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.file.flush();
+  }
+}
+
+let defaultLog = null;
+
+/**
+ * Get the shared log backed by data/blocked-prompts.json.
+ *
+ * @returns {BlockedPromptLog}
+ */
+function getBlockedPromptLog() {
+  if (!defaultLog) {
+    defaultLog = new BlockedPromptLog();
+  }
+  return defaultLog;
+}
+
+module.exports = {
+  BlockedPromptLog,
+  getBlockedPromptLog,
+};
@@ -0,0 +1,130 @@
+/**
+ * Image Action Store
+ *
+ * Remembers the prompt and settings behind each generated image so the Re-roll,
+ * Variations and aspect buttons on it keep working after a restart. Button custom
+ * IDs only carry the short record ID, since Discord caps them at 100 characters.
+ *
+ * Stored in data/image-actions.json as `{ "records": { "<id>": { prompt, ... } } }`;
+ * the oldest records are dropped once there are more than maxRecords.
+ *
+ * @module ImageActionStore
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('../core/logger');
+const { JsonFileStore } = require('../utils/jsonFileStore');
+
+const logger = createLogger('imageActions');
+
+const DEFAULT_ACTIONS_FILE = path.join(__dirname, '..', '..', 'data', 'image-actions.json');
+const DEFAULT_MAX_RECORDS = 1000;
+
+/**
+ * @typedef {Object} ImageActionRecord
+ * @property {string} prompt - Prompt the image was generated from
+ * @property {string} [model] - Image model used
+ * @property {string} [quality] - Image quality used
+ * @property {string} [size] - Image size used
+ * @property {string} [style] - Style preset used (applied again on re-runs)
+ * @property {string[]} [galleryIds] - Gallery entries of the post's images, in attachment order
+ *   (for the per-image buttons)
+ * @property {string} [userId] - User who asked for the image
+ * @property {string} [guildId] - Guild the image was posted in
+ * @property {string} createdAt - ISO timestamp
+ */
+
+class ImageActionStore {
+  /**
+   * @param {Object} [options]
+   * @param {string|null} [options.filePath] - JSON file path; null keeps records in memory only
+   * @param {number} [options.maxRecords=1000] - Records kept before the oldest are dropped
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath === undefined ? DEFAULT_ACTIONS_FILE : options.filePath;
+    this.maxRecords = options.maxRecords || DEFAULT_MAX_RECORDS;
+    this.records = {};
+    this.file = new JsonFileStore(this.filePath, {
+      logger,
+      description: 'image action records',
+    });
+
+    if (this.filePath) {
+      this.loadFromDisk();
+    }
+  }
+
+  loadFromDisk() {
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.records = saved.records || {};
+      logger.info({ records: Object.keys(this.records).length }, 'Loaded image action records');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn({ error, filePath: this.filePath }, 'Could not read image action records');
+      }
+    }
+  }
+
+  /**
+   * Remember the settings behind a generated image.
+   *
+   * @param {Omit<ImageActionRecord, 'createdAt'>} details - Prompt and settings
+   * @returns {string} Record ID to put in the image's button custom IDs
+   */
+  add(details) {
+    const id = crypto.randomBytes(6).toString('hex');
+    this.records[id] = { ...details, createdAt: new Date().toISOString() };
+
+    // Records are added in time order, so the first keys are the oldest
+    const ids = Object.keys(this.records);
+    for (const oldId of ids.slice(0, Math.max(0, ids.length - this.maxRecords))) {
+      delete this.records[oldId];
+    }
+
+    this.save();
+    return id;
+  }
+
+  /**
+   * @param {string} id - Record ID
+   * @returns {ImageActionRecord|null}
+   */
+  get(id) {
+    return this.records[id] || null;
+  }
+
+  save() {
+    this.file.write({ records: this.records });
+  }
+
+  /**
+   * Wait for pending writes to reach disk.
+   *
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.file.flush();
+  }
+}
+
+let defaultStore = null;
+
+/**
+ * Get the shared store backed by data/image-actions.json.
+ *
+ * @returns {ImageActionStore}
+ */
+function getImageActionStore() {
+  if (!defaultStore) {
+    defaultStore = new ImageActionStore();
+  }
+  return defaultStore;
+}
+
+module.exports = {
+  ImageActionStore,
+  getImageActionStore,
+};
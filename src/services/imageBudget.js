@@ -0,0 +1,440 @@
+/**
+ * Image Budget
+ *
+ * Dollar budgets for image generation, per user, per guild and for the whole
+ * bot, each with optional daily and monthly limits. Spend is summed from the
+ * image usage history (imageUsageTracker), so every tracked generation and
+ * edit counts, and checked against the estimated cost of the next request.
+ *
+ * Configured with IMAGE_BUDGETS:
+ *
+ * ```json
+ * { "user": { "daily": 0.5, "monthly": 5 }, "guild": { "monthly": 20 }, "global": { "monthly": 50 },
+ *   "warnAt": 0.8, "onLimit": "approve" }
+ * ```
+ *
+ * Past `warnAt` of any limit the reply carries a warning. At a limit the
+ * request is refused, or with `onLimit: "approve"` the owner is asked through
+ * the human circuit breaker; an approval lets that user make one more request
+ * within the hour. Days and months are UTC.
+ *
+ * Spend only reaches the usage history once a request has been made, so each
+ * allowed request holds its estimated cost until then. Decisions are made one
+ * at a time and count the held costs, so requests running side by side can't
+ * all fit under a limit that only has room for one.
+ *
+ * @module ImageBudget
+ */
+
+const { createLogger } = require('../core/logger');
+const imageUsageTracker = require('./imageUsageTracker');
+const humanCircuitBreaker = require('../utils/humanCircuitBreaker');
+
+const logger = createLogger('imageBudget');
+
+const BUDGET_SCOPES = ['user', 'guild', 'global'];
+const BUDGET_PERIODS = ['daily', 'monthly'];
+const LIMIT_ACTIONS = ['refuse', 'approve'];
+const DEFAULT_WARN_AT = 0.8;
+const OVERRIDE_TTL_MS = 60 * 60 * 1000;
+
+const SCOPE_LABELS = {
+  user: 'your',
+  guild: "this server's",
+  global: "the bot's",
+};
+
+/**
+ * @typedef {Object} BudgetConfig
+ * @property {{daily?: number, monthly?: number}} [user] - Limits per user
+ * @property {{daily?: number, monthly?: number}} [guild] - Limits per guild
+ * @property {{daily?: number, monthly?: number}} [global] - Limits for all requests
+ * @property {number} warnAt - Fraction of a limit at which to warn (0-1)
+ * @property {'refuse'|'approve'} onLimit - What happens at a limit
+ *
+ * @typedef {Object} BudgetStatus
+ * @property {'user'|'guild'|'global'} scope
+ * @property {'daily'|'monthly'} period
+ * @property {number} limit - Limit in USD
+ * @property {number} spent - Spend so far this period in USD
+ * @property {number} remaining - limit - spent (- held), never below 0
+ * @property {number} [held] - Costs held by requests still running (from check)
+ *
+ * @typedef {Object} BudgetDecision
+ * @property {boolean} allowed - Whether the request may go ahead
+ * @property {string|null} warning - Soft warning for the reply, when near a limit
+ * @property {string} [message] - Why the request was refused
+ * @property {boolean} [approvalRequested] - Whether the owner was asked to approve
+ * @property {BudgetStatus[]} exceeded - Limits the request would go over
+ * @property {function(): Promise<void>} [release] - On allowed decisions: drops the held
+ *   cost; call once the request's usage has been tracked, or when it failed
+ */
+
+/**
+ * Parse and validate the IMAGE_BUDGETS JSON.
+ *
+ * @param {string} value - Raw env value (empty means no budgets)
+ * @returns {BudgetConfig}
+ * @throws {Error} Describing the first invalid setting
+ */
+function parseImageBudgets(value) {
+  const budgets = { warnAt: DEFAULT_WARN_AT, onLimit: 'refuse' };
+  if (!value || value.trim() === '') {
+    return budgets;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch (error) {
+    throw new Error(`IMAGE_BUDGETS is not valid JSON: ${error.message}`);
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('IMAGE_BUDGETS must be a JSON object');
+  }
+
+  for (const [key, setting] of Object.entries(parsed)) {
+    if (key === 'warnAt') {
+      if (typeof setting !== 'number' || setting <= 0 || setting > 1) {
+        throw new Error('IMAGE_BUDGETS.warnAt must be a number between 0 and 1');
+      }
+      budgets.warnAt = setting;
+    } else if (key === 'onLimit') {
+      if (!LIMIT_ACTIONS.includes(setting)) {
+        throw new Error(`IMAGE_BUDGETS.onLimit must be one of ${LIMIT_ACTIONS.join(', ')}`);
+      }
+      budgets.onLimit = setting;
+    } else if (BUDGET_SCOPES.includes(key)) {
+      if (!setting || typeof setting !== 'object' || Array.isArray(setting)) {
+        throw new Error(`IMAGE_BUDGETS.${key} must be an object`);
+      }
+      for (const [period, limit] of Object.entries(setting)) {
+        if (!BUDGET_PERIODS.includes(period)) {
+          throw new Error(
+            `IMAGE_BUDGETS.${key} has unknown period '${period}' (expected ${BUDGET_PERIODS.join(', ')})`
+          );
+        }
+        if (typeof limit !== 'number' || limit <= 0) {
+          throw new Error(`IMAGE_BUDGETS.${key}.${period} must be a positive dollar amount`);
+        }
+      }
+      budgets[key] = { ...setting };
+    } else {
+      throw new Error(
+        `IMAGE_BUDGETS has unknown key '${key}' (expected ${[...BUDGET_SCOPES, 'warnAt', 'onLimit'].join(', ')})`
+      );
+    }
+  }
+
+  return budgets;
+}
+
+/**
+ * Start of the current UTC day or month.
+ *
+ * @param {'daily'|'monthly'} period
+ * @param {Date} now
+ * @returns {Date}
+ */
+function periodStart(period, now) {
+  return period === 'daily'
+    ? new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()))
+    : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+}
+
+/**
+ * Describe a limit, e.g. "your daily image budget ($0.45 of $0.50 used)".
+ *
+ * @param {BudgetStatus} status
+ * @returns {string}
+ */
+function describeLimit(status) {
+  return `${SCOPE_LABELS[status.scope]} ${status.period} image budget ($${status.spent.toFixed(2)} of $${status.limit.toFixed(2)} used)`;
+}
+
+/**
+ * Which usage entries (or held costs) count toward each scope's limits for a requester.
+ *
+ * @param {{userId: string, guildId?: string}} requester
+ * @returns {Object<string, function({userId?: string, guildId?: string}): boolean>}
+ */
+function scopeMatchers({ userId, guildId }) {
+  return {
+    user: entry => entry.userId === userId,
+    guild: entry => entry.guildId === guildId,
+    global: () => true,
+  };
+}
+
+class ImageBudget {
+  /**
+   * @param {BudgetConfig} [budgets] - Parsed IMAGE_BUDGETS
+   * @param {Object} [options]
+   * @param {function(Date): Promise<Array<Object>>} [options.getUsageEntries] - Usage entries
+   *   since a date (imageUsageTracker.getUsageEntries by default)
+   * @param {function(Object, Function, Function, Object): Promise<string>} [options.requestHumanApproval] -
+   *   Owner approval (humanCircuitBreaker.requestHumanApproval by default)
+   * @param {function(): Date} [options.now] - Clock
+   */
+  constructor(budgets = parseImageBudgets(''), options = {}) {
+    this.budgets = budgets;
+    this.getUsageEntries = options.getUsageEntries || imageUsageTracker.getUsageEntries;
+    this.requestHumanApproval =
+      options.requestHumanApproval || humanCircuitBreaker.requestHumanApproval;
+    this.now = options.now || (() => new Date());
+    /** @type {Map<string, number>} userId -> override expiry */
+    this.overrides = new Map();
+    /** @type {Set<string>} Users with an approval request waiting on the owner */
+    this.pendingApprovals = new Set();
+    /** @type {Map<number, {userId: string, guildId?: string, cost: number}>} Costs held by
+     *  allowed requests that aren't in the usage history yet */
+    this.holds = new Map();
+    this.nextHoldId = 1;
+    this.decisionQueue = Promise.resolve();
+  }
+
+  /**
+   * Whether any limit is configured
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return BUDGET_SCOPES.some(scope => this.budgets[scope]);
+  }
+
+  /**
+   * Spend and remaining budget for each limit that applies to a requester.
+   *
+   * @param {{userId: string, guildId?: string}} requester
+   * @returns {Promise<BudgetStatus[]>}
+   */
+  async getStatus({ userId, guildId }) {
+    const limits = [];
+    for (const scope of BUDGET_SCOPES) {
+      if (!this.budgets[scope] || (scope === 'guild' && !guildId)) {
+        continue;
+      }
+      for (const period of BUDGET_PERIODS) {
+        if (this.budgets[scope][period]) {
+          limits.push({ scope, period, limit: this.budgets[scope][period] });
+        }
+      }
+    }
+    if (limits.length === 0) {
+      return [];
+    }
+
+    const now = this.now();
+    const entries = await this.getUsageEntries(periodStart('monthly', now));
+    const dayStart = periodStart('daily', now);
+    const matches = scopeMatchers({ userId, guildId });
+
+    return limits.map(({ scope, period, limit }) => {
+      const spent = entries
+        .filter(entry => period === 'monthly' || new Date(entry.timestamp) >= dayStart)
+        .filter(matches[scope])
+        .reduce((sum, entry) => sum + (entry.cost || 0), 0);
+      return { scope, period, limit, spent, remaining: Math.max(0, limit - spent) };
+    });
+  }
+
+  /**
+   * Check whether a request fits the budgets, counting the costs held by
+   * requests still running, without side effects.
+   *
+   * @param {{userId: string, guildId?: string, cost: number}} request
+   * @returns {Promise<{exceeded: BudgetStatus[], warnings: BudgetStatus[]}>}
+   */
+  async check({ userId, guildId, cost }) {
+    const matches = scopeMatchers({ userId, guildId });
+    const statuses = (await this.getStatus({ userId, guildId })).map(status => {
+      const held = [...this.holds.values()]
+        .filter(matches[status.scope])
+        .reduce((sum, hold) => sum + hold.cost, 0);
+      return { ...status, held, remaining: Math.max(0, status.remaining - held) };
+    });
+    const after = status => status.spent + status.held + cost;
+    return {
+      exceeded: statuses.filter(status => after(status) > status.limit),
+      warnings: statuses.filter(
+        status =>
+          after(status) <= status.limit && after(status) >= status.limit * this.budgets.warnAt
+      ),
+    };
+  }
+
+  /**
+   * Decide on a request: allow it (with a warning near a limit), refuse it,
+   * or refuse it and ask the owner for approval.
+   *
+   * @param {Object} request
+   * @param {string} request.userId - Requesting user
+   * @param {string} [request.username] - Name shown to the owner
+   * @param {string} [request.guildId] - Guild the request was made in
+   * @param {number} request.cost - Estimated cost in USD
+   * @param {import('discord.js').Client} [request.client] - Discord client for the approval DM
+   * @returns {Promise<BudgetDecision>}
+   */
+  async enforce({ userId, username, guildId, cost, client }) {
+    if (!this.isEnabled()) {
+      return { allowed: true, warning: null, exceeded: [], release: () => Promise.resolve() };
+    }
+
+    const decision = await this.serialize(async () => {
+      const { exceeded, warnings } = await this.check({ userId, guildId, cost });
+      if (exceeded.length === 0) {
+        const warning = warnings.length
+          ? `Heads up: ${warnings.map(describeLimit).join('; ')}.`
+          : null;
+        return { allowed: true, warning, exceeded, release: this.hold({ userId, guildId, cost }) };
+      }
+
+      if (this.consumeOverride(userId)) {
+        logger.info({ userId, exceeded }, 'Image budget exceeded, allowed by owner approval');
+        return {
+          allowed: true,
+          warning: `Over ${describeLimit(exceeded[0])}, approved by the owner.`,
+          exceeded,
+          release: this.hold({ userId, guildId, cost }),
+        };
+      }
+      return { allowed: false, exceeded };
+    });
+    if (decision.allowed) {
+      return decision;
+    }
+
+    const { exceeded } = decision;
+    logger.info({ userId, guildId, cost, exceeded }, 'Image request over budget');
+    const reason = `This would go over ${describeLimit(exceeded[0])}.`;
+
+    if (this.budgets.onLimit !== 'approve') {
+      return { allowed: false, warning: null, message: reason, exceeded };
+    }
+
+    if (!this.pendingApprovals.has(userId)) {
+      await this.requestApproval({ userId, username, guildId, cost, exceeded }, client);
+    }
+    return {
+      allowed: false,
+      warning: null,
+      message: `${reason} I've asked the owner to approve it; try again once they have.`,
+      approvalRequested: true,
+      exceeded,
+    };
+  }
+
+  /**
+   * Hold an allowed request's cost until it has been tracked.
+   *
+   * @param {{userId: string, guildId?: string, cost: number}} request
+   * @returns {function(): Promise<void>} Drops the hold; later calls do nothing
+   */
+  hold({ userId, guildId, cost }) {
+    const id = this.nextHoldId++;
+    this.holds.set(id, { userId, guildId, cost });
+    let released = null;
+    return () => {
+      if (!released) {
+        // Queued behind any decision under way, which may have read the usage history
+        // before this request's usage was tracked
+        released = this.serialize(async () => {
+          this.holds.delete(id);
+        });
+      }
+      return released;
+    };
+  }
+
+  /**
+   * Run a budget decision or hold release after the ones before it.
+   *
+   * @template T
+   * @param {function(): Promise<T>} task
+   * @returns {Promise<T>}
+   */
+  serialize(task) {
+    const result = this.decisionQueue.then(task);
+    this.decisionQueue = result.catch(() => null);
+    return result;
+  }
+
+  /**
+   * Ask the owner to allow one request over budget.
+   *
+   * @param {Object} request - As for enforce, plus the exceeded limits
+   * @param {import('discord.js').Client} [client] - Discord client for the approval DM
+   */
+  async requestApproval({ userId, username, guildId, cost, exceeded }, client) {
+    this.pendingApprovals.add(userId);
+    try {
+      await this.requestHumanApproval(
+        {
+          type: humanCircuitBreaker.SENSITIVE_OPERATIONS.API_CALL,
+          user: username ? `${username} (${userId})` : userId,
+          context: `Image request over budget: ${exceeded.map(describeLimit).join('; ')}`,
+          metadata: {
+            estimatedCost: `$${cost.toFixed(3)}`,
+            ...(guildId ? { guildId } : {}),
+          },
+        },
+        () => {
+          this.pendingApprovals.delete(userId);
+          this.grantOverride(userId);
+          logger.info({ userId }, 'Owner approved an image request over budget');
+        },
+        () => {
+          this.pendingApprovals.delete(userId);
+          logger.info({ userId }, 'Owner denied an image request over budget');
+        },
+        client
+      );
+    } catch (error) {
+      this.pendingApprovals.delete(userId);
+      logger.error({ error, userId }, 'Failed to request budget approval');
+    }
+  }
+
+  /**
+   * Let a user make one request over budget within the next hour.
+   * @param {string} userId
+   */
+  grantOverride(userId) {
+    this.overrides.set(userId, this.now().getTime() + OVERRIDE_TTL_MS);
+  }
+
+  /**
+   * Use up a user's override, if they have one that has not expired.
+   * @param {string} userId
+   * @returns {boolean}
+   */
+  consumeOverride(userId) {
+    const expiresAt = this.overrides.get(userId);
+    this.overrides.delete(userId);
+    return expiresAt !== undefined && expiresAt > this.now().getTime();
+  }
+}
+
+let defaultBudget = null;
+
+/**
+ * Shared budget configured from IMAGE_BUDGETS.
+ *
+ * @returns {ImageBudget}
+ */
+function getImageBudget() {
+  if (!defaultBudget) {
+    // Required lazily: configValidator uses parseImageBudgets from this module
+    const config = require('../core/configValidator');
+    defaultBudget = new ImageBudget(config.IMAGE_BUDGETS);
+  }
+  return defaultBudget;
+}
+
+module.exports = {
+  ImageBudget,
+  getImageBudget,
+  parseImageBudgets,
+  describeLimit,
+  BUDGET_SCOPES,
+  BUDGET_PERIODS,
+};
@@ -0,0 +1,357 @@
+/**
+ * Image Model Comparisons
+ *
+ * Runs one prompt against two models (or two quality settings of one model) side
+ * by side, so owners can settle which is good enough. Each comparison keeps the
+ * cost and latency of both images, and anyone can vote for the better one by
+ * reacting 🅰️ or 🅱️ on the posted comparison. The totals per model and quality
+ * are shown on the status dashboard.
+ *
+ * Stored in data/image-comparisons.json as `{ "comparisons": [...] }`, oldest
+ * first; the oldest are dropped once there are more than maxEntries.
+ *
+ * @module ImageComparison
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('../core/logger');
+// Import the module as a whole instead of destructuring to avoid circular dependency issues
+const imageGeneration = require('./imageGeneration');
+const { JsonFileStore } = require('../utils/jsonFileStore');
+
+const logger = createLogger('imageComparison');
+
+const DEFAULT_FILE = path.join(__dirname, '..', '..', 'data', 'image-comparisons.json');
+const DEFAULT_MAX_ENTRIES = 200;
+const DEFAULT_RECENT = 10;
+
+/**
+ * Reaction for each side of a comparison
+ * @constant {Object<string, string>}
+ */
+const VOTE_EMOJIS = { A: '🅰️', B: '🅱️' };
+
+/**
+ * @typedef {Object} ComparisonVariant
+ * @property {string} label - A or B
+ * @property {string} model - Model used
+ * @property {string} quality - Quality used
+ * @property {string} [size] - Image size
+ * @property {boolean} success - Whether the image was made
+ * @property {string} [error] - Why it wasn't
+ * @property {number} cost - Estimated cost in USD (0 when it failed)
+ * @property {number} latencyMs - Time the API took (or the whole request, if it failed)
+ *
+ * @typedef {Object} Comparison
+ * @property {string} id - Comparison ID
+ * @property {string} prompt - Prompt both sides were made from
+ * @property {ComparisonVariant[]} variants - The two sides
+ * @property {Object<string, string>} votes - Label each voter picked, by user ID
+ * @property {string} [userId] - Owner who ran it
+ * @property {string} [guildId] - Guild it was posted in
+ * @property {string} [channelId] - Channel it was posted in
+ * @property {string} [messageId] - Message votes are counted on
+ * @property {string} createdAt - ISO timestamp
+ */
+
+class ImageComparisons {
+  /**
+   * @param {Object} [options]
+   * @param {string|null} [options.filePath] - JSON file path; null keeps comparisons in memory only
+   * @param {number} [options.maxEntries=200] - Comparisons kept before the oldest are dropped
+   * @param {function(string, Object): Promise<Object>} [options.generateImage] - Makes one side
+   *   (defaults to imageGeneration.generateImage)
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath === undefined ? DEFAULT_FILE : options.filePath;
+    this.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+    this.generateImage = options.generateImage || imageGeneration.generateImage;
+    /** @type {Comparison[]} */
+    this.comparisons = [];
+    this.file = new JsonFileStore(this.filePath, {
+      logger,
+      description: 'image comparisons',
+    });
+
+    if (this.filePath) {
+      this.loadFromDisk();
+    }
+  }
+
+  loadFromDisk() {
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.comparisons = Array.isArray(saved.comparisons) ? saved.comparisons : [];
+      logger.info({ comparisons: this.comparisons.length }, 'Loaded image comparisons');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn({ error, filePath: this.filePath }, 'Could not read image comparisons');
+      }
+    }
+  }
+
+  /**
+   * Make both sides of a comparison at once and record it.
+   *
+   * @param {string} prompt - Prompt for both images
+   * @param {Array<{model: string, quality?: string}>} sides - The two settings to compare
+   * @param {import('./imageGeneration').ImageGenerationOptions} [options] - Shared options
+   *   (size, style, userId, guildId, ...)
+   * @returns {Promise<{comparison: Comparison, results: Object[]}>} The recorded comparison and
+   *   each side's image service result, in the same order as sides
+   */
+  async run(prompt, sides, options = {}) {
+    // Each side is its own queue job with one image; a shared jobId would collide
+    const { jobId: _jobId, onQueueUpdate: _onQueueUpdate, ...shared } = options;
+
+    const runs = await Promise.all(
+      sides.map(async side => {
+        const startedAt = Date.now();
+        const result = await this.generateImage(prompt, { ...shared, ...side, count: 1 });
+        return { result, elapsedMs: Date.now() - startedAt };
+      })
+    );
+
+    const variants = runs.map(({ result, elapsedMs }, index) => {
+      // A failed side didn't say what it ran with; work it out the way the service would
+      const expected = imageGeneration.resolveImageOptions({ ...shared, ...sides[index] });
+      return {
+        label: Object.keys(VOTE_EMOJIS)[index],
+        model: result.model || expected.actualModel,
+        quality: result.quality || expected.quality,
+        size: result.size || expected.size,
+        success: !!result.success,
+        ...(result.success ? {} : { error: result.error }),
+        cost: result.success ? result.estimatedCost || 0 : 0,
+        latencyMs: result.apiCallDuration || elapsedMs,
+      };
+    });
+
+    const comparison = this.record({
+      prompt,
+      variants,
+      userId: options.userId,
+      guildId: options.guildId,
+    });
+    logger.info(
+      {
+        id: comparison.id,
+        variants: variants.map(({ label, model, quality, success }) => ({
+          label,
+          model,
+          quality,
+          success,
+        })),
+      },
+      'Image comparison finished'
+    );
+    return { comparison, results: runs.map(run => run.result) };
+  }
+
+  /**
+   * Store a finished comparison.
+   *
+   * @param {Omit<Comparison, 'id'|'votes'|'createdAt'>} details - Prompt, variants and who ran it
+   * @returns {Comparison}
+   */
+  record(details) {
+    const comparison = {
+      id: crypto.randomBytes(6).toString('hex'),
+      ...details,
+      votes: {},
+      createdAt: new Date().toISOString(),
+    };
+    this.comparisons.push(comparison);
+    this.comparisons.splice(0, Math.max(0, this.comparisons.length - this.maxEntries));
+
+    this.save();
+    return comparison;
+  }
+
+  /**
+   * @param {string} id - Comparison ID
+   * @returns {Comparison|null}
+   */
+  get(id) {
+    return this.comparisons.find(comparison => comparison.id === id) || null;
+  }
+
+  /**
+   * Record the message a comparison was posted in; votes are reactions on it.
+   *
+   * @param {string} id - Comparison ID
+   * @param {import('discord.js').Message} message - Posted comparison
+   */
+  linkMessage(id, message) {
+    const comparison = this.get(id);
+    if (!comparison || !message) return;
+
+    comparison.messageId = message.id;
+    comparison.channelId = message.channelId;
+    this.save();
+  }
+
+  /**
+   * Count a vote reaction being added or removed. A voter's latest pick counts,
+   * so reacting 🅱️ after 🅰️ moves their vote.
+   *
+   * @param {import('discord.js').MessageReaction} reaction - Reaction added or removed
+   * @param {import('discord.js').User} user - Who reacted
+   * @param {boolean} added - False when the reaction was removed
+   * @returns {Comparison|null} The comparison voted on, when the vote changed
+   */
+  handleReaction(reaction, user, added) {
+    if (user.bot) return null;
+
+    const label = Object.keys(VOTE_EMOJIS).find(key => VOTE_EMOJIS[key] === reaction.emoji.name);
+    const comparison =
+      label && this.comparisons.find(entry => entry.messageId === reaction.message.id);
+    if (!comparison) return null;
+
+    if (added) {
+      if (comparison.votes[user.id] === label) return null;
+      comparison.votes[user.id] = label;
+    } else {
+      if (comparison.votes[user.id] !== label) return null;
+      delete comparison.votes[user.id];
+    }
+    this.save();
+    logger.debug({ id: comparison.id, userId: user.id, label, added }, 'Comparison vote counted');
+    return comparison;
+  }
+
+  /**
+   * Count votes from reactions on posted comparisons.
+   *
+   * @param {import('discord.js').Client} client - Discord client
+   */
+  startVoting(client) {
+    for (const [event, added] of [
+      ['messageReactionAdd', true],
+      ['messageReactionRemove', false],
+    ]) {
+      client.on(event, (reaction, user) => {
+        try {
+          this.handleReaction(reaction, user, added);
+        } catch (error) {
+          logger.error({ error }, 'Error counting comparison vote');
+        }
+      });
+    }
+  }
+
+  /**
+   * Votes for each side of a comparison.
+   *
+   * @param {Comparison} comparison
+   * @returns {Object<string, number>} Vote count by label
+   */
+  tally(comparison) {
+    const counts = Object.fromEntries(Object.keys(VOTE_EMOJIS).map(label => [label, 0]));
+    for (const label of Object.values(comparison.votes)) {
+      counts[label] = (counts[label] || 0) + 1;
+    }
+    return counts;
+  }
+
+  /**
+   * Results per model and quality across every comparison, most wins first, and
+   * the most recent comparisons with their vote counts.
+   *
+   * A side wins a comparison when it has more votes than the other side.
+   *
+   * @param {Object} [query]
+   * @param {number} [query.recent=10] - Recent comparisons to include
+   * @returns {{totals: Object[], recent: Object[], comparisons: number, votes: number}}
+   */
+  summary(query = {}) {
+    const totals = new Map();
+    let votes = 0;
+
+    for (const comparison of this.comparisons) {
+      const counts = this.tally(comparison);
+      const top = Math.max(...Object.values(counts));
+      const winners = Object.keys(counts).filter(label => counts[label] === top);
+      votes += Object.values(comparison.votes).length;
+
+      for (const variant of comparison.variants) {
+        const key = `${variant.model} (${variant.quality})`;
+        const total = totals.get(key) || {
+          key,
+          model: variant.model,
+          quality: variant.quality,
+          comparisons: 0,
+          failures: 0,
+          votes: 0,
+          wins: 0,
+          totalCost: 0,
+          totalLatencyMs: 0,
+        };
+        total.comparisons++;
+        total.votes += counts[variant.label] || 0;
+        if (top > 0 && winners.length === 1 && winners[0] === variant.label) total.wins++;
+        if (variant.success) {
+          total.totalCost += variant.cost;
+          total.totalLatencyMs += variant.latencyMs;
+        } else {
+          total.failures++;
+        }
+        totals.set(key, total);
+      }
+    }
+
+    return {
+      comparisons: this.comparisons.length,
+      votes,
+      totals: [...totals.values()]
+        .map(({ totalCost, totalLatencyMs, ...total }) => {
+          const made = total.comparisons - total.failures;
+          return {
+            ...total,
+            avgCost: made > 0 ? totalCost / made : 0,
+            avgLatencyMs: made > 0 ? Math.round(totalLatencyMs / made) : 0,
+          };
+        })
+        .sort((a, b) => b.wins - a.wins || b.votes - a.votes),
+      recent: this.comparisons
+        .slice(-(query.recent || DEFAULT_RECENT))
+        .reverse()
+        .map(comparison => ({ ...comparison, tally: this.tally(comparison) })),
+    };
+  }
+
+  save() {
+    this.file.write({ comparisons: this.comparisons });
+  }
+
+  /**
+   * Wait for pending writes to reach disk.
+   *
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.file.flush();
+  }
+}
+
+let defaultComparisons = null;
+
+/**
+ * Get the shared comparisons backed by data/image-comparisons.json.
+ *
+ * @returns {ImageComparisons}
+ */
+function getImageComparisons() {
+  if (!defaultComparisons) {
+    defaultComparisons = new ImageComparisons();
+  }
+  return defaultComparisons;
+}
+
+module.exports = {
+  ImageComparisons,
+  getImageComparisons,
+  VOTE_EMOJIS,
+};
@@ -0,0 +1,249 @@
+/**
+ * Image Gallery
+ *
+ * Keeps every image generated or edited for a user: the file itself plus its
+ * prompt, revised prompt, model, size, cost, user, guild and (once posted) a
+ * link to the Discord message. The status server's /api/images routes and the
+ * /gallery command browse it.
+ *
+ * Files live in data/gallery/<id>.<ext> next to an index.json of metadata,
+ * newest last. Past IMAGE_GALLERY_MAX_IMAGES the oldest images are deleted; 0
+ * turns the gallery off.
+ *
+ * @module ImageGallery
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('../core/logger');
+const { JsonFileStore } = require('../utils/jsonFileStore');
+
+const logger = createLogger('imageGallery');
+
+const DEFAULT_GALLERY_DIR = path.join(__dirname, '..', '..', 'data', 'gallery');
+const DEFAULT_MAX_IMAGES = 1000;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * @typedef {Object} GalleryImage
+ * @property {string} id - Gallery ID
+ * @property {string} file - File name inside the gallery directory
+ * @property {string} prompt - Prompt sent to the API
+ * @property {string} [revisedPrompt] - Prompt as revised by the model
+ * @property {string} [model] - Model that made the image
+ * @property {string} [size] - Image size
+ * @property {string} [quality] - Image quality
+ * @property {string} [style] - Style preset the prompt was wrapped in
+ * @property {number} [cost] - Estimated cost in USD
+ * @property {boolean} [edited] - Whether this was an edit of another image
+ * @property {string} userId - User the image was made for
+ * @property {string} [username] - Their display name at the time
+ * @property {string} [guildId] - Guild the request came from
+ * @property {string} [channelId] - Channel the image was posted in
+ * @property {string} [messageId] - Message the image was posted in
+ * @property {string} [messageLink] - Link to that message
+ * @property {string} createdAt - ISO timestamp
+ */
+
+/**
+ * @typedef {Object} GalleryQuery
+ * @property {string} [userId] - Only this user's images
+ * @property {string} [guildId] - Only images from this guild
+ * @property {string} [model] - Only images from this model
+ * @property {string} [search] - Text the prompt or revised prompt must contain (case-insensitive)
+ * @property {string|number|Date} [since] - Only images made at or after this time
+ * @property {string|number|Date} [until] - Only images made before this time
+ * @property {number} [page=1] - 1-based page
+ * @property {number} [pageSize=20] - Images per page (at most 100)
+ */
+
+class ImageGallery {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dir] - Directory for image files and index.json
+   * @param {number} [options.maxImages=1000] - Images kept before the oldest are deleted; 0
+   *   stores nothing
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || DEFAULT_GALLERY_DIR;
+    this.indexPath = path.join(this.dir, 'index.json');
+    this.maxImages = options.maxImages ?? DEFAULT_MAX_IMAGES;
+    this.images = [];
+    this.file = new JsonFileStore(this.indexPath, { logger, description: 'image gallery index' });
+
+    this.loadFromDisk();
+  }
+
+  loadFromDisk() {
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.indexPath, 'utf8'));
+      this.images = Array.isArray(saved.images) ? saved.images : [];
+      logger.info({ images: this.images.length }, 'Loaded image gallery');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn({ error, indexPath: this.indexPath }, 'Could not read image gallery index');
+      }
+    }
+  }
+
+  /**
+   * @returns {boolean} Whether images are being kept
+   */
+  isEnabled() {
+    return this.maxImages > 0;
+  }
+
+  /**
+   * Store an image and its metadata.
+   *
+   * @param {Buffer} buffer - Image bytes
+   * @param {Omit<GalleryImage, 'id'|'file'|'createdAt'> & {format?: string}} details - Metadata;
+   *   format is the file extension (default png)
+   * @returns {Promise<GalleryImage|null>} The stored entry, or null when the gallery is off
+   */
+  async add(buffer, details) {
+    if (!this.isEnabled()) return null;
+
+    const { format = 'png', ...metadata } = details;
+    const id = crypto.randomBytes(8).toString('hex');
+    const file = `${id}.${format === 'jpeg' ? 'jpg' : format}`;
+
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    await fs.promises.writeFile(path.join(this.dir, file), buffer);
+
+    const entry = { id, file, ...metadata, createdAt: new Date().toISOString() };
+    this.images.push(entry);
+
+    const pruned = this.images.splice(0, Math.max(0, this.images.length - this.maxImages));
+    this.save();
+
+    await Promise.all(
+      pruned.map(old =>
+        fs.promises.unlink(path.join(this.dir, old.file)).catch(error => {
+          logger.warn({ error, file: old.file }, 'Failed to delete old gallery image');
+        })
+      )
+    );
+    return entry;
+  }
+
+  /**
+   * Record the Discord message gallery images were posted in.
+   *
+   * @param {string|string[]} ids - Gallery IDs
+   * @param {import('discord.js').Message} message - Message carrying the images
+   */
+  linkMessage(ids, message) {
+    const wanted = new Set([].concat(ids || []));
+    if (!message || wanted.size === 0) return;
+
+    const guildId = message.guildId || message.guild?.id;
+    const channelId = message.channelId || message.channel?.id;
+    let changed = false;
+    for (const entry of this.images) {
+      if (!wanted.has(entry.id)) continue;
+      Object.assign(entry, {
+        channelId,
+        messageId: message.id,
+        messageLink:
+          message.url ||
+          `https://discord.com/channels/${guildId || '@me'}/${channelId}/${message.id}`,
+      });
+      changed = true;
+    }
+
+    if (changed) this.save();
+  }
+
+  /**
+   * @param {string} id - Gallery ID
+   * @returns {GalleryImage|null}
+   */
+  get(id) {
+    return this.images.find(entry => entry.id === id) || null;
+  }
+
+  /**
+   * @param {GalleryImage} entry - Gallery entry
+   * @returns {string} Absolute path of its file
+   */
+  getFilePath(entry) {
+    return path.join(this.dir, entry.file);
+  }
+
+  /**
+   * Find images, newest first.
+   *
+   * @param {GalleryQuery} [query]
+   * @returns {{images: GalleryImage[], page: number, pageSize: number, total: number,
+   *   totalPages: number}}
+   */
+  list(query = {}) {
+    const search = query.search?.toLowerCase();
+    const since = query.since ? new Date(query.since).getTime() : null;
+    const until = query.until ? new Date(query.until).getTime() : null;
+
+    const matches = this.images
+      .filter(entry => {
+        if (query.userId && entry.userId !== query.userId) return false;
+        if (query.guildId && entry.guildId !== query.guildId) return false;
+        if (query.model && entry.model !== query.model) return false;
+        if (search) {
+          const text = `${entry.prompt} ${entry.revisedPrompt || ''}`.toLowerCase();
+          if (!text.includes(search)) return false;
+        }
+        const createdAt = new Date(entry.createdAt).getTime();
+        if (since !== null && createdAt < since) return false;
+        if (until !== null && createdAt >= until) return false;
+        return true;
+      })
+      .reverse();
+
+    const pageSize = Math.min(Math.max(1, query.pageSize || DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE);
+    const totalPages = Math.max(1, Math.ceil(matches.length / pageSize));
+    const page = Math.min(Math.max(1, query.page || 1), totalPages);
+
+    return {
+      images: matches.slice((page - 1) * pageSize, page * pageSize),
+      page,
+      pageSize,
+      total: matches.length,
+      totalPages,
+    };
+  }
+
+  save() {
+    this.file.write({ images: this.images });
+  }
+
+  /**
+   * Wait for pending index writes to reach disk.
+   *
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.file.flush();
+  }
+}
+
+let defaultGallery = null;
+
+/**
+ * Get the shared gallery in data/gallery, sized by IMAGE_GALLERY_MAX_IMAGES.
+ *
+ * @returns {ImageGallery}
+ */
+function getImageGallery() {
+  if (!defaultGallery) {
+    const config = require('../core/configValidator');
+    defaultGallery = new ImageGallery({ maxImages: config.IMAGE_GALLERY_MAX_IMAGES });
+  }
+  return defaultGallery;
+}
+
+module.exports = {
+  ImageGallery,
+  getImageGallery,
+};
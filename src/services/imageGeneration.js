@@ -5,17 +5,46 @@
  * @property {string} [quality] - Image quality (low, medium, high, auto)
  * @property {string} [format] - Output format (png, jpeg, webp)
  * @property {string} [background] - Background type (opaque, transparent)
+ * @property {string} [style] - Style preset (see services/imageStyles); wraps the prompt and
+ *   fills in size, quality and background when they aren't set
  * @property {number} [compression] - Compression level (0-100) for jpeg and webp
  * @property {boolean} [enhance] - Whether to enhance the prompt using GPT
+ * @property {number} [count=1] - Images to generate in one request (1-4; generation only). Budgets
+ *   are checked against the whole request and each image is tracked separately
+ * @property {string} [userId] - Discord user the request is for (recorded in usage tracking)
+ * @property {string} [username] - Display name recorded with userId
+ * @property {string} [guildId] - Guild the request was made in (guild budgets and tracking)
+ * @property {import('discord.js').Client} [client] - Discord client, for budget approval requests
+ * @property {string} [jobId] - Image queue job ID (defaults to a random one); pass it to
+ *   cancelImageJob to cancel the request
+ * @property {function(number): void} [onQueueUpdate] - Called with the request's queue position
+ *   while it waits, and with 0 when it starts
+ * @property {string} [channelId] - Channel of the progress message (resuming after a restart)
+ * @property {string} [progressMessageId] - Progress message a resumed request's result goes to
+ *
+ * @typedef {Object} ImageSource
+ * @property {Buffer} buffer - Image bytes
+ * @property {string} [name] - File name (the API uses its extension)
+ * @property {string} [contentType] - MIME type (image/png, image/jpeg or image/webp)
  *
  * @typedef {Object} ImageResult
  * @property {true} success
  * @property {Array<{ url: string, revisedPrompt: string }>} images
+ * @property {string} [model] - Model that made the images (after remapping deprecated models)
+ * @property {string} [quality] - Quality the images were made at
+ * @property {string} [size] - Size of the images
+ * @property {number} [estimatedCost] - Estimated cost of the whole request in USD
+ * @property {number} [costPerImage] - Estimated cost of each image in USD
+ * @property {string|null} [budgetWarning] - Set when the user is close to an image budget
+ * @property {string[]} [galleryIds] - Gallery entries for the images (see ImageGallery.linkMessage)
  *
  * @typedef {Object} ImageErrorResult
  * @property {false} success
  * @property {string} error
  * @property {string} prompt
+ * @property {boolean} [cancelled] - Set when the request was cancelled in the queue
+ * @property {boolean} [isContentPolicyViolation] - Set when moderation refused the prompt
+ * @property {'rules'|'moderation'|'api'} [blockedBy] - Which moderation stage refused it
  *
  * @typedef {Object} EnhancedPromptResult
  * @property {string} enhancedPrompt
@@ -32,7 +61,8 @@
  * @version 2.0.0
  */
 
-const { OpenAI } = require('openai');
+const crypto = require('crypto');
+const { OpenAI, toFile } = require('openai');
 const { createLogger } = require('../core/logger');
 const {
   ChimpError,
@@ -47,8 +77,15 @@ const logger = createLogger('image');
 const { trackApiCall, trackError } = require('../core/healthCheck');
 const functionResults = require('../core/functionResults');
 const config = require('../core/configValidator');
+const { resolveModel } = require('./modelRouter');
 const retryWithBreaker = require('../utils/retryWithBreaker');
 const breakerManager = require('../middleware/breakerManager');
+const imageUsageTracker = require('./imageUsageTracker');
+const { getImageBudget } = require('./imageBudget');
+const { getImageJobQueue } = require('./imageJobQueue');
+const { getImageGallery } = require('./imageGallery');
+const { getPromptModerator } = require('./promptModeration');
+const { getImageStyleRegistry } = require('./imageStyles');
 
 // Initialize OpenAI client.
 // Dedicated undici dispatcher (see ../core/openaiFetch) — avoids the node-fetch
@@ -95,8 +132,8 @@ const MODELS = {
 const SIZES = {
   // GPT Image-1 supported sizes (based on official API documentation)
   SQUARE: '1024x1024', // Square (default)
-  PORTRAIT: '1536x1024', // Portrait orientation
-  LANDSCAPE: '1024x1536', // Landscape orientation
+  PORTRAIT: '1024x1536', // Portrait orientation (taller than wide)
+  LANDSCAPE: '1536x1024', // Landscape orientation (wider than tall)
   AUTO: 'auto', // Let the API choose the best size
 };
 
@@ -130,17 +167,664 @@ const BACKGROUND = {
   TRANSPARENT: 'transparent',
 };
 
+/**
+ * Most images one generation request can ask for
+ * @constant {number}
+ */
+const MAX_IMAGES_PER_REQUEST = 4;
+
+// "3 images of ...", "two pictures of ..." at the start of a prompt
+const IMAGE_COUNT_PATTERN =
+  /^(2|3|4|two|three|four)\s+(?:different\s+)?(?:images|pictures|photos|versions|takes)\s+(?:of\s+)?/i;
+const COUNT_WORDS = { two: 2, three: 3, four: 4 };
+
+/**
+ * Image request timeout, shared by generation and edits
+ * @constant {number}
+ */
+const IMAGE_TIMEOUT_MS = 90000;
+
+/**
+ * Resolve the model (remapping deprecated DALL-E names), size and quality for a request.
+ *
+ * @param {ImageGenerationOptions} options - Requested options
+ * @returns {{requestedModel: string, actualModel: string, size: string, quality: string}}
+ */
+function resolveImageOptions(options) {
+  // Map model names — resolve legacy/deprecated models to current ones
+  const requestedModel = options.model || resolveModel('image').model;
+  let actualModel = requestedModel;
+
+  // Remap deprecated DALL-E models to current equivalents
+  if (requestedModel === MODELS.DALL_E_3) {
+    actualModel = MODELS.GPT_IMAGE_1_5;
+    logger.info('Remapping deprecated dall-e-3 to gpt-image-1.5');
+  } else if (requestedModel === MODELS.DALL_E_2) {
+    actualModel = MODELS.GPT_IMAGE_1_MINI;
+    logger.info('Remapping deprecated dall-e-2 to gpt-image-1-mini');
+  } else if (requestedModel === MODELS.GPT_IMAGE_1) {
+    // gpt-image-1 is still valid — use as-is
+    logger.debug('Using gpt-image-1 directly');
+  }
+
+  // Set default size to square if not specified
+  let size = options.size || SIZES.SQUARE;
+
+  // Validate the model and size combination based on OpenAI API documentation
+  // All current models (gpt-image-1, gpt-image-1.5, gpt-image-1-mini, chatgpt-image-latest)
+  // support square, portrait, landscape, and auto sizes
+  const validSizes = [SIZES.SQUARE, SIZES.PORTRAIT, SIZES.LANDSCAPE, SIZES.AUTO];
+
+  if (!validSizes.includes(size)) {
+    logger.warn(`Model ${actualModel} does not support ${size} size, falling back to square`);
+    size = SIZES.SQUARE;
+  }
+
+  // Set quality based on model capabilities
+  // All current models support: low, medium, high, auto
+  let quality = options.quality;
+  if (quality && !['low', 'medium', 'high', 'auto', 'standard', 'hd'].includes(quality)) {
+    logger.warn(`Invalid quality ${quality} for ${actualModel}, using 'auto'`);
+    quality = 'auto';
+  }
+  // Default quality per model
+  if (!quality) {
+    if (actualModel === MODELS.CHATGPT_IMAGE_LATEST || actualModel === MODELS.GPT_IMAGE_1_5) {
+      quality = 'high';
+    } else if (actualModel === MODELS.GPT_IMAGE_1_MINI) {
+      quality = 'medium';
+    } else {
+      quality = 'auto';
+    }
+  }
+  // DALL-E legacy quality values (standard/hd) — map to current equivalents
+  if (quality === 'standard') quality = 'medium';
+  if (quality === 'hd') quality = 'high';
+
+  return { requestedModel, actualModel, size, quality };
+}
+
+/**
+ * Number of images a request asks for, clamped to 1-MAX_IMAGES_PER_REQUEST.
+ *
+ * @param {ImageGenerationOptions} options - Requested options
+ * @returns {number}
+ */
+function resolveImageCount(options) {
+  const count = Math.floor(Number(options.count) || 1);
+  return Math.min(Math.max(count, 1), MAX_IMAGES_PER_REQUEST);
+}
+
+/**
+ * Split a leading image count off a prompt ("3 images of a cat" -> 3, "a cat").
+ *
+ * @param {string} prompt - Prompt text
+ * @returns {{count: number, prompt: string}} The count (1 when none was asked for) and the rest
+ *   of the prompt
+ */
+function extractImageCount(prompt) {
+  const match = prompt.match(IMAGE_COUNT_PATTERN);
+  const rest = match ? prompt.slice(match[0].length).trim() : '';
+  if (!rest) {
+    return { count: 1, prompt };
+  }
+  const word = match[1].toLowerCase();
+  return { count: COUNT_WORDS[word] || Number(word), prompt: rest };
+}
+
+/**
+ * Pre-screen a prompt with the guild's moderation settings before it is queued
+ * or costs anything.
+ *
+ * @param {'generation'|'edit'} type - Kind of request
+ * @param {string} prompt - Prompt to check
+ * @param {ImageGenerationOptions} options - Request options carrying userId/guildId/client
+ * @returns {Promise<ImageErrorResult|null>} Error result when the prompt is blocked
+ */
+async function screenPrompt(type, prompt, options) {
+  const verdict = await getPromptModerator().screen(prompt, {
+    type,
+    userId: options.userId,
+    username: options.username,
+    guildId: options.guildId,
+    client: options.client,
+  });
+  if (verdict.allowed) {
+    return null;
+  }
+
+  trackError('gptimage', new Error('Pre-moderation block'));
+
+  return {
+    success: false,
+    error: verdict.message,
+    isContentPolicyViolation: true,
+    blockedBy: verdict.source,
+    prompt,
+  };
+}
+
+/**
+ * Estimated cost of one image.
+ *
+ * @param {string} actualModel - Model after remapping
+ * @param {string} quality - Resolved quality
+ * @param {string} size - Resolved size
+ * @returns {number} Cost in USD
+ */
+function estimateImageCost(actualModel, quality, size) {
+  // Calculate cost based on current OpenAI pricing (April 2026)
+  // https://openai.com/pricing
+  let estimatedCost;
+
+  // Map size enum values to cost table keys
+  const sizeToKey = s => {
+    if (s === SIZES.PORTRAIT) return '1024x1536';
+    if (s === SIZES.LANDSCAPE) return '1536x1024';
+    if (s === SIZES.SQUARE) return '1024x1024';
+    return 'auto';
+  };
+
+  // gpt-image-1.5 and gpt-image-1 share the same pricing structure
+  const fullSizeCosts = {
+    low: { '1024x1024': 0.011, '1536x1024': 0.017, '1024x1536': 0.017, auto: 0.014 },
+    medium: { '1024x1024': 0.042, '1536x1024': 0.063, '1024x1536': 0.063, auto: 0.055 },
+    high: { '1024x1024': 0.167, '1536x1024': 0.25, '1024x1536': 0.25, auto: 0.2 },
+    auto: { '1024x1024': 0.042, '1536x1024': 0.063, '1024x1536': 0.063, auto: 0.055 },
+  };
+
+  // gpt-image-1-mini only supports square and auto sizes
+  const miniSizeCosts = {
+    low: { '1024x1024': 0.002, auto: 0.003 },
+    medium: { '1024x1024': 0.01, auto: 0.012 },
+    high: { '1024x1024': 0.04, auto: 0.048 },
+    auto: { '1024x1024': 0.01, auto: 0.012 },
+  };
+
+  const COST_TABLES = {
+    [MODELS.GPT_IMAGE_1_5]: fullSizeCosts,
+    [MODELS.CHATGPT_IMAGE_LATEST]: fullSizeCosts,
+    [MODELS.GPT_IMAGE_1]: fullSizeCosts,
+    [MODELS.GPT_IMAGE_1_MINI]: miniSizeCosts,
+  };
+
+  const DEFAULT_COSTS = { fullSize: 0.042, miniSize: 0.01 };
+
+  const costTable = COST_TABLES[actualModel];
+  const key = sizeToKey(size);
+  if (costTable) {
+    estimatedCost =
+      costTable[quality]?.[key] ||
+      costTable[quality]?.['1024x1024'] ||
+      costTable.auto?.['1024x1024'] ||
+      (costTable === miniSizeCosts ? DEFAULT_COSTS.miniSize : DEFAULT_COSTS.fullSize);
+  } else {
+    estimatedCost = DEFAULT_COSTS.fullSize;
+  }
+
+  // Log the cost calculation
+  logger.debug(
+    {
+      model: actualModel,
+      quality,
+      size,
+      exactCost: estimatedCost,
+    },
+    'Cost calculation for OpenAI image generation'
+  );
+
+  return estimatedCost;
+}
+
+/**
+ * Extract image URLs (or data URLs for base64 responses) from an Images API response.
+ *
+ * @param {Object} response - OpenAI images response
+ * @param {string} prompt - Prompt used, as the fallback revised prompt
+ * @returns {Array<{url: string, revisedPrompt: string, b64_json?: string}>}
+ * @throws {ChimpError} When no image could be extracted
+ */
+function extractImages(response, prompt) {
+  // Extract the image URLs based on the response structure
+  // GPT Image 1 returns images in a standard OpenAI format
+  let images = [];
+
+  try {
+    // Log response metadata without base64 data to save log space
+    const responseMetadata = {
+      dataCount: response?.data?.length || 0,
+      hasUrls: response?.data?.some(item => item.url) || false,
+      hasBase64: response?.data?.some(item => item.b64_json) || false,
+      totalBase64Size:
+        response?.data?.reduce((sum, item) => sum + (item.b64_json?.length || 0), 0) || 0,
+      estimatedFileSizeMB:
+        response?.data?.reduce((sum, item) => {
+          if (item.b64_json) {
+            // Base64 is ~33% larger than binary, so estimate actual image size
+            const estimatedBytes = (item.b64_json.length * 3) / 4;
+            return sum + estimatedBytes / 1024 / 1024;
+          }
+          return sum;
+        }, 0) || 0,
+      responseId: response?.id,
+    };
+    logger.info(responseMetadata, 'GPT Image 1 response metadata and file size estimation');
+
+    // Performance optimization: warn about large images that might impact Discord message limits
+    if (responseMetadata.estimatedFileSizeMB > 8) {
+      logger.warn(
+        {
+          estimatedFileSizeMB: responseMetadata.estimatedFileSizeMB,
+          discordLimit: '8MB',
+        },
+        'Generated image may exceed Discord file size limits'
+      );
+    }
+
+    // According to OpenAI's documentation, the response should have a data array
+    // Each item in the array can have either a url or b64_json property
+    if (response && response.data) {
+      // Handle the standard OpenAI v4 SDK response format
+      const dataArray = Array.isArray(response.data)
+        ? response.data
+        : response.data.data && Array.isArray(response.data.data)
+          ? response.data.data
+          : [response.data];
+
+      images = dataArray.map(img => {
+        // Handle base64 response format (requested via response_format: 'b64_json')
+        if (img.b64_json) {
+          // DALL-E returns PNG format for base64
+          const mimeType = 'image/png';
+          return {
+            url: `data:${mimeType};base64,${img.b64_json}`,
+            revisedPrompt: img.revised_prompt || prompt,
+            // Store the raw base64 data for direct file saving if needed
+            b64_json: img.b64_json,
+          };
+        } else if (img.url) {
+          // Handle URL response format
+          return {
+            url: img.url,
+            revisedPrompt: img.revised_prompt || prompt,
+          };
+        }
+        // Fallback for unexpected response format
+        logger.warn(
+          {
+            imgKeys: Object.keys(img),
+            hasB64: !!img.b64_json,
+            hasUrl: !!img.url,
+          },
+          'Unexpected image data format in response'
+        );
+        return {
+          url: null,
+          revisedPrompt: prompt,
+        };
+      });
+    }
+
+    // Ensure we have at least one image with a valid URL
+    if (images.length === 0 || !images.some(img => img.url)) {
+      // If we couldn't extract a URL, try to find any URL-like string in the response
+      // Only stringify non-base64 fields to avoid memory issues
+      const responseForSearch = {
+        ...response,
+        data: response.data?.map(item => ({
+          ...item,
+          b64_json: item.b64_json ? '[BASE64_DATA_REMOVED]' : undefined,
+        })),
+      };
+      const responseStr = JSON.stringify(responseForSearch);
+      const urlMatch = responseStr.match(/https?:\/\/[^"'\s]+/g);
+      if (urlMatch && urlMatch.length > 0) {
+        images = [
+          {
+            url: urlMatch[0],
+            revisedPrompt: prompt,
+          },
+        ];
+        logger.info({ extractedUrl: urlMatch[0] }, 'Extracted URL from response string');
+      } else {
+        throw new Error('No valid image URL found in the response');
+      }
+    }
+
+    // Log the extracted URLs
+    logger.debug(
+      {
+        extractedUrls: images.map(img => (img.url ? 'URL present' : 'URL missing')),
+      },
+      'Extracted image URLs'
+    );
+  } catch (error) {
+    const extractionError = enhanceError(error, {
+      operation: 'extract_image_urls',
+      category: ERROR_CATEGORIES.INTERNAL,
+      severity: ERROR_SEVERITY.HIGH,
+      context: {
+        hasResponse: !!response,
+        responseDataLength: response?.data?.length || 0,
+      },
+    });
+
+    logError(extractionError);
+    throw new ChimpError('Failed to extract image URL from response', {
+      category: ERROR_CATEGORIES.INTERNAL,
+      severity: ERROR_SEVERITY.HIGH,
+      operation: 'extract_image_urls',
+      originalError: error,
+    });
+  }
+
+  return images;
+}
+
+/**
+ * Reject when an API call takes longer than IMAGE_TIMEOUT_MS.
+ *
+ * @param {Promise<T>} promise - API call
+ * @param {string} message - Timeout error message
+ * @returns {Promise<T>}
+ * @template T
+ */
+function withTimeout(promise, message) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), IMAGE_TIMEOUT_MS);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Result for an Images API error the caller should report rather than throw:
+ * content policy rejections and an open circuit breaker.
+ *
+ * @param {Error} error - API error
+ * @param {string} prompt - Prompt used
+ * @param {'generation'|'edit'} type - Kind of request
+ * @param {ImageGenerationOptions} options - Request options carrying userId/guildId/client
+ * @returns {ImageErrorResult|null}
+ */
+function apiErrorResult(error, prompt, type, options) {
+  // Check for content policy violation
+  if (error.status === 400 && isModerationError(error)) {
+    const policyError = handleOpenAIError(error, {
+      prompt: prompt.substring(0, 100),
+      operation: 'image_generation_content_policy',
+    });
+
+    logError(policyError);
+    trackError('gptimage', error);
+    getPromptModerator().recordApiRejection(prompt, {
+      type,
+      userId: options.userId,
+      username: options.username,
+      guildId: options.guildId,
+      client: options.client,
+    });
+
+    // Return a specific error result for content policy violations
+    return {
+      success: false,
+      error: 'This image request was blocked by the safety system. Please try a different prompt.',
+      isContentPolicyViolation: true,
+      blockedBy: 'api',
+      prompt,
+    };
+  }
+
+  // Check for circuit breaker open state
+  if (error.message.includes('Circuit breaker is open')) {
+    const breakerError = new ChimpError('Image generation circuit breaker is open', {
+      category: ERROR_CATEGORIES.EXTERNAL_API,
+      severity: ERROR_SEVERITY.HIGH,
+      operation: 'image_generation_circuit_breaker',
+      context: { prompt: prompt.substring(0, 100) },
+    });
+
+    logError(breakerError);
+
+    // Circuit breaker is open — return error to caller instead of bypassing
+    return {
+      success: false,
+      error:
+        'Image generation service is temporarily unavailable. Please try again in a few minutes.',
+      isCircuitBreakerOpen: true,
+      prompt,
+    };
+  }
+  return null;
+}
+
+/**
+ * Store a successful result for the status page, without base64 image data
+ * to prevent unbounded file growth.
+ *
+ * @param {string} prompt - Prompt used
+ * @param {Object} details - Request details (model, size, ...)
+ * @param {Array<{url: string, revisedPrompt: string}>} images - Extracted images
+ * @param {number} estimatedCost - Cost in USD
+ */
+function storeImageResult(prompt, details, images, estimatedCost) {
+  const lightweightImages = images.map(img => ({
+    revisedPrompt: img.revisedPrompt,
+    // Only keep URL if it's a real URL (not a data URI with embedded base64)
+    ...(img.url && !img.url.startsWith('data:') ? { url: img.url } : {}),
+  }));
+
+  functionResults.storeResult(
+    'gptimage',
+    { prompt, ...details },
+    { success: true, images: lightweightImages, estimatedCost }
+  );
+}
+
+/**
+ * Record a request in the image usage history (cost tracking), one entry per
+ * image. Only requests made on behalf of a user (options.userId) are recorded.
+ *
+ * @param {'generation'|'edit'} type - Kind of request
+ * @param {string} prompt - Prompt used
+ * @param {{size: string, quality: string, cost: number, apiCallDuration: number}} usage - Cost
+ *   is per image
+ * @param {ImageGenerationOptions} options - Request options carrying userId/username
+ * @param {number} [imageCount=1] - Images the request produced
+ * @returns {Promise<void>} Settles once every entry is recorded; failures are logged
+ */
+function trackUsage(type, prompt, usage, options, imageCount = 1) {
+  if (!options.userId) {
+    return Promise.resolve();
+  }
+  const tracked = [];
+  for (let index = 0; index < imageCount; index++) {
+    const entry = imageUsageTracker
+      .trackImageGeneration({
+        type,
+        prompt,
+        ...usage,
+        ...(imageCount > 1 ? { imageIndex: index + 1, imageCount } : {}),
+        style: options.style,
+        userId: options.userId,
+        username: options.username,
+        guildId: options.guildId,
+      })
+      .catch(error => logger.warn({ error }, 'Failed to track image usage'));
+    tracked.push(entry);
+  }
+  return Promise.all(tracked).then(() => undefined);
+}
+
+/**
+ * Keep a request's images in the gallery. Like usage tracking, only requests made
+ * on behalf of a user (options.userId) are kept.
+ *
+ * @param {string} prompt - Prompt used
+ * @param {Array<{b64_json?: string, revisedPrompt: string}>} images - Extracted images
+ * @param {{model: string, size: string, quality: string, cost: number, edited?: boolean}} details
+ * @param {ImageGenerationOptions} options - Request options carrying userId/username/guildId
+ * @returns {Promise<string[]>} Gallery IDs of the stored images
+ */
+async function saveToGallery(prompt, images, details, options) {
+  const gallery = getImageGallery();
+  if (!options.userId || !gallery.isEnabled()) {
+    return [];
+  }
+
+  const ids = [];
+  for (const image of images) {
+    if (!image.b64_json) continue;
+    try {
+      const entry = await gallery.add(Buffer.from(image.b64_json, 'base64'), {
+        prompt,
+        revisedPrompt: image.revisedPrompt,
+        ...details,
+        style: options.style,
+        userId: options.userId,
+        username: options.username,
+        guildId: options.guildId,
+        format: options.format,
+      });
+      ids.push(entry.id);
+    } catch (error) {
+      logger.warn({ error }, 'Failed to save image to the gallery');
+    }
+  }
+  return ids;
+}
+
+/**
+ * Check a request against the image budgets (IMAGE_BUDGETS). Like usage
+ * tracking, only requests made on behalf of a user (options.userId) count.
+ *
+ * @param {string} prompt - Prompt used
+ * @param {number} estimatedCost - Estimated cost of the request in USD
+ * @param {ImageGenerationOptions} options - Request options carrying userId/guildId/client
+ * @returns {Promise<{error: ImageErrorResult|null, warning: string|null, release: function(): Promise<void>}>}
+ *   An error result when the request is over budget, otherwise a soft warning when close
+ *   to a limit. Call release once the request's usage is tracked (or it failed) so its
+ *   estimated cost stops being held against the budgets.
+ */
+async function checkBudget(prompt, estimatedCost, options) {
+  const release = () => Promise.resolve();
+  if (!options.userId) {
+    return { error: null, warning: null, release };
+  }
+
+  const decision = await getImageBudget().enforce({
+    userId: options.userId,
+    username: options.username,
+    guildId: options.guildId,
+    cost: estimatedCost,
+    client: options.client,
+  });
+  if (decision.allowed) {
+    return { error: null, warning: decision.warning, release: decision.release };
+  }
+
+  return {
+    error: {
+      success: false,
+      error: decision.message,
+      isBudgetExceeded: true,
+      approvalRequested: !!decision.approvalRequested,
+      prompt,
+    },
+    warning: null,
+    release,
+  };
+}
+
+// Options that are plain data, kept with queued jobs so they can be resumed after a restart
+const RESUMABLE_OPTIONS = [
+  'model',
+  'size',
+  'quality',
+  'format',
+  'background',
+  'compression',
+  'style',
+  'count',
+  'userId',
+  'username',
+  'guildId',
+];
+
+/**
+ * Pre-screen an image request, then run it through the shared image queue.
+ *
+ * @param {'generation'|'edit'} type - Kind of request
+ * @param {string} prompt - Image prompt
+ * @param {ImageGenerationOptions} options - Request options
+ * @param {function(): Promise<ImageResult|ImageErrorResult>} task - Makes the request
+ * @returns {Promise<ImageResult|ImageErrorResult>} The task's result, or a blocked or
+ *   cancelled result
+ */
+async function queueImageRequest(type, prompt, options, task) {
+  const blocked = await screenPrompt(type, prompt, options);
+  if (blocked) {
+    return blocked;
+  }
+
+  const resumable = {};
+  for (const key of RESUMABLE_OPTIONS) {
+    if (options[key] !== undefined) resumable[key] = options[key];
+  }
+
+  return getImageJobQueue().run(
+    {
+      id: options.jobId || crypto.randomUUID(),
+      type,
+      userId: options.userId || 'system',
+      username: options.username,
+      guildId: options.guildId,
+      channelId: options.channelId,
+      messageId: options.progressMessageId,
+      prompt,
+      options: resumable,
+    },
+    task,
+    { onUpdate: options.onQueueUpdate }
+  );
+}
+
+/**
+ * Cancel an image request that is waiting in the queue or running.
+ *
+ * @param {string} jobId - The jobId the request was made with
+ * @returns {boolean} Whether there was a request to cancel
+ */
+function cancelImageJob(jobId) {
+  return getImageJobQueue().cancel(jobId);
+}
+
 /**
  * Generate an image using OpenAI's GPT Image models.
  *
+ * Prompts are pre-screened (see services/promptModeration), then wait their turn in
+ * the image queue (IMAGE_QUEUE_CONCURRENCY at a time). A style preset is applied as the
+ * request runs, so queued jobs keep the user's own prompt and resume with the same style.
  * Standardized error handling: always returns either an ImageResult or ImageErrorResult.
  * Errors are always logged with stack trace and context.
  *
  * @param {string} prompt - The text prompt to generate an image from
- * @param {Object} options - Additional options for image generation
+ * @param {ImageGenerationOptions} options - Additional options for image generation
  * @returns {Promise<ImageResult | ImageErrorResult>} The generated image or an error
  */
 async function generateImage(prompt, options = {}) {
+  let styled;
+  try {
+    styled = getImageStyleRegistry().apply(prompt, options);
+  } catch (error) {
+    return { success: false, error: error.message, prompt };
+  }
+  return queueImageRequest('generation', prompt, styled.options, () =>
+    runGeneration(styled.prompt, styled.options)
+  );
+}
+
+async function runGeneration(prompt, options) {
   // Check if image generation is enabled - get the latest value from process.env
   const isEnabled =
     process.env.ENABLE_IMAGE_GENERATION === 'true' || config.ENABLE_IMAGE_GENERATION === true;
@@ -181,64 +865,23 @@ async function generateImage(prompt, options = {}) {
     },
     'Image generation configuration check'
   );
+  // The budget holds the request's cost until its usage is tracked
+  let budget = null;
+  let tracked = null;
   try {
-    // Map model names — resolve legacy/deprecated models to current ones
-    const requestedModel = options.model || MODELS.GPT_IMAGE_1_MINI;
-    let actualModel = requestedModel;
-
-    // Remap deprecated DALL-E models to current equivalents
-    if (requestedModel === MODELS.DALL_E_3) {
-      actualModel = MODELS.GPT_IMAGE_1_5;
-      logger.info('Remapping deprecated dall-e-3 to gpt-image-1.5');
-    } else if (requestedModel === MODELS.DALL_E_2) {
-      actualModel = MODELS.GPT_IMAGE_1_MINI;
-      logger.info('Remapping deprecated dall-e-2 to gpt-image-1-mini');
-    } else if (requestedModel === MODELS.GPT_IMAGE_1) {
-      // gpt-image-1 is still valid — use as-is
-      logger.debug('Using gpt-image-1 directly');
-    }
-
-    // Set default size to square if not specified
-    let size = options.size || SIZES.SQUARE;
-
-    // Validate the model and size combination based on OpenAI API documentation
-    // All current models (gpt-image-1, gpt-image-1.5, gpt-image-1-mini, chatgpt-image-latest)
-    // support square, portrait, landscape, and auto sizes
-    const validSizes = [SIZES.SQUARE, SIZES.PORTRAIT, SIZES.LANDSCAPE, SIZES.AUTO];
-
-    if (!validSizes.includes(size)) {
-      logger.warn(`Model ${actualModel} does not support ${size} size, falling back to square`);
-      size = SIZES.SQUARE;
-    }
-
-    // Set quality based on model capabilities
-    // All current models support: low, medium, high, auto
-    let quality = options.quality;
-    if (quality && !['low', 'medium', 'high', 'auto', 'standard', 'hd'].includes(quality)) {
-      logger.warn(`Invalid quality ${quality} for ${actualModel}, using 'auto'`);
-      quality = 'auto';
-    }
-    // Default quality per model
-    if (!quality) {
-      if (actualModel === MODELS.CHATGPT_IMAGE_LATEST || actualModel === MODELS.GPT_IMAGE_1_5) {
-        quality = 'high';
-      } else if (actualModel === MODELS.GPT_IMAGE_1_MINI) {
-        quality = 'medium';
-      } else {
-        quality = 'auto';
-      }
-    }
-    // DALL-E legacy quality values (standard/hd) — map to current equivalents
-    if (quality === 'standard') quality = 'medium';
-    if (quality === 'hd') quality = 'high';
+    const { requestedModel, actualModel, size, quality } = resolveImageOptions(options);
+    const count = resolveImageCount(options);
 
     // Build the image parameters object according to OpenAI API standards
     const imageParams = {
       model: actualModel,
       prompt,
       size,
-      n: 1, // Generate 1 image
+      n: count,
     };
+    if (options.background) {
+      imageParams.background = options.background;
+    }
 
     // response_format: gpt-image-1/1.5/1-mini and chatgpt-image-latest always return base64
     // and do NOT accept response_format. Only legacy DALL-E models needed it.
@@ -260,37 +903,11 @@ async function generateImage(prompt, options = {}) {
       'Generating image with OpenAI API'
     );
 
-    // Pre-check for potentially problematic content with quick client-side check
-    // This helps provide immediate feedback for obvious cases
-    const problematicPatterns = [
-      /\bbikini\b/i,
-      /\bswimsuit\b/i,
-      /\bunderwear\b/i,
-      /\blingerie\b/i,
-      /\bnude\b/i,
-      /\bnaked\b/i,
-      /\bnsfw\b/i,
-      /\bprovocative\b/i,
-      /\bseductive\b/i,
-      /\bsensual\b/i,
-      /\bintimate\b/i,
-      /\berotic\b/i,
-    ];
-
-    const containsProblematicContent = problematicPatterns.some(pattern => pattern.test(prompt));
-
-    if (containsProblematicContent) {
-      logger.info({ prompt }, 'Pre-moderation: Potentially problematic content detected');
-      trackError('gptimage', new Error('Pre-moderation block'));
-
-      // Return immediately without calling OpenAI
-      return {
-        success: false,
-        error:
-          "This request may contain content that violates our content policy. Please try a different prompt that doesn't include references to swimwear, nudity, or suggestive content.",
-        isContentPolicyViolation: true,
-        prompt,
-      };
+    // Budgets are checked against every image the request asks for
+    const costPerImage = estimateImageCost(actualModel, quality, size);
+    budget = await checkBudget(prompt, costPerImage * count, options);
+    if (budget.error) {
+      return budget.error;
     }
 
     let response;
@@ -305,15 +922,10 @@ async function generateImage(prompt, options = {}) {
       response = await retryWithBreaker(async () => {
         const callStart = Date.now();
 
-        // Create a timeout promise with increased timeout for image generation
-        const timeoutPromise = new Promise((_, reject) => {
-          setTimeout(() => {
-            reject(new Error('Image generation request timed out after 90 seconds'));
-          }, 90000); // 90 second timeout (increased from 60)
-        });
-
-        // Race between the API call and timeout
-        const result = await Promise.race([openai.images.generate(imageParams), timeoutPromise]);
+        const result = await withTimeout(
+          openai.images.generate(imageParams),
+          'Image generation request timed out after 90 seconds'
+        );
 
         apiCallDuration = Date.now() - callStart;
         logger.info({ apiCallDuration }, 'OpenAI image generation API call completed');
@@ -363,45 +975,9 @@ async function generateImage(prompt, options = {}) {
         'Image generation API call failed'
       );
 
-      // Check for content policy violation
-      if (error.status === 400 && isModerationError(error)) {
-        const policyError = handleOpenAIError(error, {
-          prompt: prompt.substring(0, 100),
-          operation: 'image_generation_content_policy',
-        });
-
-        logError(policyError);
-        trackError('gptimage', error);
-
-        // Return a specific error result for content policy violations
-        return {
-          success: false,
-          error:
-            'This image request was blocked by the safety system. Please try a different prompt.',
-          isContentPolicyViolation: true,
-          prompt,
-        };
-      }
-
-      // Check for circuit breaker open state
-      if (error.message.includes('Circuit breaker is open')) {
-        const breakerError = new ChimpError('Image generation circuit breaker is open', {
-          category: ERROR_CATEGORIES.EXTERNAL_API,
-          severity: ERROR_SEVERITY.HIGH,
-          operation: 'image_generation_circuit_breaker',
-          context: { prompt: prompt.substring(0, 100) },
-        });
-
-        logError(breakerError);
-
-        // Circuit breaker is open — return error to caller instead of bypassing
-        return {
-          success: false,
-          error:
-            'Image generation service is temporarily unavailable. Please try again in a few minutes.',
-          isCircuitBreakerOpen: true,
-          prompt,
-        };
+      const handled = apiErrorResult(error, prompt, 'generation', options);
+      if (handled) {
+        return handled;
       }
       // For other errors, re-throw to be handled by the outer try-catch
       throw error;
@@ -426,222 +1002,27 @@ async function generateImage(prompt, options = {}) {
       'Successfully generated images'
     );
 
-    // Calculate cost based on current OpenAI pricing (April 2026)
-    // https://openai.com/pricing
-    let estimatedCost;
-
-    // Map size enum values to cost table keys
-    const sizeToKey = s => {
-      if (s === SIZES.PORTRAIT) return '1536x1024';
-      if (s === SIZES.LANDSCAPE) return '1024x1536';
-      if (s === SIZES.SQUARE) return '1024x1024';
-      return 'auto';
-    };
-
-    // gpt-image-1.5 and gpt-image-1 share the same pricing structure
-    const fullSizeCosts = {
-      low: { '1024x1024': 0.011, '1536x1024': 0.017, '1024x1536': 0.017, auto: 0.014 },
-      medium: { '1024x1024': 0.042, '1536x1024': 0.063, '1024x1536': 0.063, auto: 0.055 },
-      high: { '1024x1024': 0.167, '1536x1024': 0.25, '1024x1536': 0.25, auto: 0.2 },
-      auto: { '1024x1024': 0.042, '1536x1024': 0.063, '1024x1536': 0.063, auto: 0.055 },
-    };
-
-    // gpt-image-1-mini only supports square and auto sizes
-    const miniSizeCosts = {
-      low: { '1024x1024': 0.002, auto: 0.003 },
-      medium: { '1024x1024': 0.01, auto: 0.012 },
-      high: { '1024x1024': 0.04, auto: 0.048 },
-      auto: { '1024x1024': 0.01, auto: 0.012 },
-    };
-
-    const COST_TABLES = {
-      [MODELS.GPT_IMAGE_1_5]: fullSizeCosts,
-      [MODELS.CHATGPT_IMAGE_LATEST]: fullSizeCosts,
-      [MODELS.GPT_IMAGE_1]: fullSizeCosts,
-      [MODELS.GPT_IMAGE_1_MINI]: miniSizeCosts,
-    };
-
-    const DEFAULT_COSTS = { fullSize: 0.042, miniSize: 0.01 };
-
-    const costTable = COST_TABLES[actualModel];
-    const key = sizeToKey(size);
-    if (costTable) {
-      estimatedCost =
-        costTable[quality]?.[key] ||
-        costTable[quality]?.['1024x1024'] ||
-        costTable.auto?.['1024x1024'] ||
-        (costTable === miniSizeCosts ? DEFAULT_COSTS.miniSize : DEFAULT_COSTS.fullSize);
-    } else {
-      estimatedCost = DEFAULT_COSTS.fullSize;
-    }
+    const images = extractImages(response, prompt);
+    const estimatedCost = costPerImage * images.length;
 
-    // Log the cost calculation
-    logger.debug(
-      {
-        model: actualModel,
-        quality,
-        size,
-        exactCost: estimatedCost,
-      },
-      'Cost calculation for OpenAI image generation'
+    storeImageResult(
+      prompt,
+      { model: actualModel, size, enhance: options.enhance || false },
+      images,
+      estimatedCost
     );
-
-    // Extract the image URLs based on the response structure
-    // GPT Image 1 returns images in a standard OpenAI format
-    let images = [];
-
-    try {
-      // Log response metadata without base64 data to save log space
-      const responseMetadata = {
-        dataCount: response?.data?.length || 0,
-        hasUrls: response?.data?.some(item => item.url) || false,
-        hasBase64: response?.data?.some(item => item.b64_json) || false,
-        totalBase64Size:
-          response?.data?.reduce((sum, item) => sum + (item.b64_json?.length || 0), 0) || 0,
-        estimatedFileSizeMB:
-          response?.data?.reduce((sum, item) => {
-            if (item.b64_json) {
-              // Base64 is ~33% larger than binary, so estimate actual image size
-              const estimatedBytes = (item.b64_json.length * 3) / 4;
-              return sum + estimatedBytes / 1024 / 1024;
-            }
-            return sum;
-          }, 0) || 0,
-        responseId: response?.id,
-      };
-      logger.info(responseMetadata, 'GPT Image 1 response metadata and file size estimation');
-
-      // Performance optimization: warn about large images that might impact Discord message limits
-      if (responseMetadata.estimatedFileSizeMB > 8) {
-        logger.warn(
-          {
-            estimatedFileSizeMB: responseMetadata.estimatedFileSizeMB,
-            discordLimit: '8MB',
-          },
-          'Generated image may exceed Discord file size limits'
-        );
-      }
-
-      // According to OpenAI's documentation, the response should have a data array
-      // Each item in the array can have either a url or b64_json property
-      if (response && response.data) {
-        // Handle the standard OpenAI v4 SDK response format
-        const dataArray = Array.isArray(response.data)
-          ? response.data
-          : response.data.data && Array.isArray(response.data.data)
-            ? response.data.data
-            : [response.data];
-
-        images = dataArray.map(img => {
-          // Handle base64 response format (requested via response_format: 'b64_json')
-          if (img.b64_json) {
-            // DALL-E returns PNG format for base64
-            const mimeType = 'image/png';
-            return {
-              url: `data:${mimeType};base64,${img.b64_json}`,
-              revisedPrompt: img.revised_prompt || prompt,
-              // Store the raw base64 data for direct file saving if needed
-              b64_json: img.b64_json,
-            };
-          } else if (img.url) {
-            // Handle URL response format
-            return {
-              url: img.url,
-              revisedPrompt: img.revised_prompt || prompt,
-            };
-          }
-          // Fallback for unexpected response format
-          logger.warn(
-            {
-              imgKeys: Object.keys(img),
-              hasB64: !!img.b64_json,
-              hasUrl: !!img.url,
-            },
-            'Unexpected image data format in response'
-          );
-          return {
-            url: null,
-            revisedPrompt: prompt,
-          };
-        });
-      }
-
-      // Ensure we have at least one image with a valid URL
-      if (images.length === 0 || !images.some(img => img.url)) {
-        // If we couldn't extract a URL, try to find any URL-like string in the response
-        // Only stringify non-base64 fields to avoid memory issues
-        const responseForSearch = {
-          ...response,
-          data: response.data?.map(item => ({
-            ...item,
-            b64_json: item.b64_json ? '[BASE64_DATA_REMOVED]' : undefined,
-          })),
-        };
-        const responseStr = JSON.stringify(responseForSearch);
-        const urlMatch = responseStr.match(/https?:\/\/[^"'\s]+/g);
-        if (urlMatch && urlMatch.length > 0) {
-          images = [
-            {
-              url: urlMatch[0],
-              revisedPrompt: prompt,
-            },
-          ];
-          logger.info({ extractedUrl: urlMatch[0] }, 'Extracted URL from response string');
-        } else {
-          throw new Error('No valid image URL found in the response');
-        }
-      }
-
-      // Log the extracted URLs
-      logger.debug(
-        {
-          extractedUrls: images.map(img => (img.url ? 'URL present' : 'URL missing')),
-        },
-        'Extracted image URLs'
-      );
-    } catch (error) {
-      const extractionError = enhanceError(error, {
-        operation: 'extract_image_urls',
-        category: ERROR_CATEGORIES.INTERNAL,
-        severity: ERROR_SEVERITY.HIGH,
-        context: {
-          hasResponse: !!response,
-          responseDataLength: response?.data?.length || 0,
-        },
-      });
-
-      logError(extractionError);
-      throw new ChimpError('Failed to extract image URL from response', {
-        category: ERROR_CATEGORIES.INTERNAL,
-        severity: ERROR_SEVERITY.HIGH,
-        operation: 'extract_image_urls',
-        originalError: error,
-      });
-    }
-
-    // Store the function result for the status page
-    // Strip base64 image data to prevent unbounded file growth
-    const lightweightImages = images.map(img => ({
-      revisedPrompt: img.revisedPrompt,
-      // Only keep URL if it's a real URL (not a data URI with embedded base64)
-      ...(img.url && !img.url.startsWith('data:') ? { url: img.url } : {}),
-    }));
-    const result = {
-      success: true,
-      images: lightweightImages,
-      estimatedCost: estimatedCost,
-    };
-
-    // Store the result in the function results storage
-    functionResults.storeResult(
-      'gptimage',
-      {
-        prompt,
-        model: actualModel,
-        size,
-        enhance: options.enhance || false,
-      },
-      result
+    tracked = trackUsage(
+      'generation',
+      prompt,
+      { size, quality, cost: costPerImage, apiCallDuration },
+      options,
+      images.length
+    );
+    const galleryIds = await saveToGallery(
+      prompt,
+      images,
+      { model: actualModel, size, quality, cost: costPerImage },
+      options
     );
 
     // Return the successful result with API call timing information
@@ -650,7 +1031,13 @@ async function generateImage(prompt, options = {}) {
       images,
       prompt,
       revisedPrompt: images[0].revisedPrompt,
+      model: actualModel,
+      quality,
+      size,
       estimatedCost,
+      costPerImage,
+      budgetWarning: budget.warning,
+      galleryIds,
       apiCallDuration: apiCallDuration || null, // Time in ms for the API call
       totalProcessingTime: Date.now() - apiCallStartTime, // Total time including processing
     };
@@ -708,6 +1095,149 @@ async function generateImage(prompt, options = {}) {
       error: error.message,
       prompt,
     };
+  } finally {
+    if (budget) {
+      Promise.resolve(tracked).then(budget.release);
+    }
+  }
+}
+
+/**
+ * Edit an image with OpenAI's GPT Image models, optionally limited to the
+ * transparent area of a mask (inpainting).
+ *
+ * Shares model remapping, pre-moderation, the circuit breaker, cost estimates,
+ * budgets, usage tracking and the image queue with generateImage. Size defaults to auto so the result
+ * keeps the source's aspect ratio.
+ *
+ * @param {string} prompt - What to change
+ * @param {ImageSource} image - Image to edit
+ * @param {ImageGenerationOptions & {mask?: ImageSource}} [options] - Options; the mask must
+ *   be a PNG the same size as the image
+ * @returns {Promise<ImageResult | ImageErrorResult>} The edited image or an error
+ */
+function editImage(prompt, image, options = {}) {
+  return queueImageRequest('edit', prompt, options, () => runEdit(prompt, image, options));
+}
+
+async function runEdit(prompt, image, options) {
+  const isEnabled =
+    process.env.ENABLE_IMAGE_GENERATION === 'true' || config.ENABLE_IMAGE_GENERATION === true;
+
+  if (!isEnabled) {
+    logger.warn('Image generation is currently disabled');
+    return { success: false, error: 'Image generation is currently disabled', prompt };
+  }
+
+  let budget = null;
+  let tracked = null;
+  try {
+    const { actualModel, size, quality } = resolveImageOptions({
+      size: SIZES.AUTO,
+      ...options,
+    });
+    const estimatedCost = estimateImageCost(actualModel, quality, size);
+    budget = await checkBudget(prompt, estimatedCost, options);
+    if (budget.error) {
+      return budget.error;
+    }
+
+    const editParams = {
+      model: actualModel,
+      prompt,
+      size,
+      quality,
+      n: 1,
+      image: await toFile(image.buffer, image.name || 'image.png', {
+        type: image.contentType || 'image/png',
+      }),
+    };
+    if (options.mask) {
+      editParams.mask = await toFile(options.mask.buffer, options.mask.name || 'mask.png', {
+        type: 'image/png',
+      });
+    }
+
+    logger.info(
+      {
+        model: actualModel,
+        size,
+        quality,
+        hasMask: !!options.mask,
+        imageBytes: image.buffer.length,
+      },
+      'Editing image with OpenAI API'
+    );
+
+    let response;
+    let apiCallDuration;
+    try {
+      response = await retryWithBreaker(async () => {
+        const callStart = Date.now();
+        const result = await withTimeout(
+          openai.images.edit(editParams),
+          'Image edit request timed out after 90 seconds'
+        );
+        apiCallDuration = Date.now() - callStart;
+        return result;
+      }, IMAGE_BREAKER_CONFIG);
+      trackApiCall('gptimage');
+    } catch (error) {
+      logger.error(
+        { error: { message: error.message, status: error.status, code: error.code } },
+        'Image edit API call failed'
+      );
+      const handled = apiErrorResult(error, prompt, 'edit', options);
+      if (handled) {
+        return handled;
+      }
+      throw error;
+    }
+
+    const images = extractImages(response, prompt);
+
+    storeImageResult(prompt, { model: actualModel, size, edit: true }, images, estimatedCost);
+    tracked = trackUsage(
+      'edit',
+      prompt,
+      { size, quality, cost: estimatedCost, apiCallDuration },
+      options
+    );
+    const galleryIds = await saveToGallery(
+      prompt,
+      images,
+      { model: actualModel, size, quality, cost: estimatedCost, edited: true },
+      options
+    );
+
+    return {
+      success: true,
+      images,
+      prompt,
+      revisedPrompt: images[0].revisedPrompt,
+      estimatedCost,
+      budgetWarning: budget.warning,
+      galleryIds,
+      apiCallDuration: apiCallDuration || null,
+    };
+  } catch (error) {
+    const standardizedError = error.status
+      ? handleOpenAIError(error, { prompt: prompt.substring(0, 100), operation: 'edit_image' })
+      : enhanceError(error, {
+          operation: 'edit_image',
+          category: ERROR_CATEGORIES.EXTERNAL_API,
+          severity: ERROR_SEVERITY.HIGH,
+          context: { prompt: prompt.substring(0, 100) },
+        });
+
+    logError(standardizedError);
+    trackError('gptimage');
+
+    return { success: false, error: error.message, prompt };
+  } finally {
+    if (budget) {
+      Promise.resolve(tracked).then(budget.release);
+    }
   }
 }
 
@@ -729,8 +1259,9 @@ async function enhanceImagePrompt(basicPrompt) {
 
     logger.info({ basicPrompt }, 'Enhancing image prompt');
 
+    const route = resolveModel('default');
     const response = await openai.chat.completions.create({
-      model: 'gpt-4.1-nano',
+      model: route.model,
       messages: [
         {
           role: 'system',
@@ -746,7 +1277,8 @@ async function enhanceImagePrompt(basicPrompt) {
           content: `Please enhance this basic image prompt for GPT Image-1: "${basicPrompt}"`,
         },
       ],
-      max_completion_tokens: 300,
+      max_completion_tokens: route.maxTokens ?? 300,
+      temperature: route.temperature,
     });
 
     const enhancedPrompt = response.choices[0].message.content.trim();
@@ -789,7 +1321,12 @@ async function enhanceImagePrompt(basicPrompt) {
 // Export as a single object to avoid circular dependency issues
 const imageGenerationModule = {
   generateImage,
+  editImage,
+  cancelImageJob,
   enhanceImagePrompt,
+  extractImageCount,
+  resolveImageOptions,
+  MAX_IMAGES_PER_REQUEST,
   MODELS,
   SIZES,
   QUALITY,
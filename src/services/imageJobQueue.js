@@ -0,0 +1,300 @@
+/**
+ * Image Job Queue
+ *
+ * Runs image API requests a few at a time instead of all at once, so a burst of
+ * requests waits its turn rather than tripping the provider's rate limits.
+ *
+ * Waiting jobs are started round-robin across users (each user's own jobs in the
+ * order they asked), so one person queueing several images can't starve everyone
+ * else. Callers get position updates while they wait and can cancel a job until it
+ * finishes; a cancelled job that is already running has its result discarded.
+ *
+ * The queue is mirrored to data/image-queue.json so jobs cut off by a restart can
+ * be picked up again (see takeInterrupted).
+ *
+ * @module ImageJobQueue
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('../core/logger');
+const { JsonFileStore } = require('../utils/jsonFileStore');
+
+const logger = createLogger('imageQueue');
+
+const DEFAULT_QUEUE_FILE = path.join(__dirname, '..', '..', 'data', 'image-queue.json');
+const DEFAULT_CONCURRENCY = 2;
+
+const CANCELLED_ERROR = 'Image request cancelled';
+
+/**
+ * @typedef {Object} ImageJob
+ * @property {string} id - Job ID (the request's message ID where there is one)
+ * @property {'generation'|'edit'} type - Kind of image request
+ * @property {string} userId - User the job is for (fairness is per user)
+ * @property {string} [username] - Display name, for logs
+ * @property {string} [guildId] - Guild the request was made in
+ * @property {string} [channelId] - Channel of the progress message
+ * @property {string} [messageId] - Progress message the result is delivered to
+ * @property {string} prompt - Image prompt
+ * @property {Object} [options] - JSON-safe request options, for resuming after a restart
+ * @property {'queued'|'running'} status - Where the job is
+ * @property {number} enqueuedAt - When the job was queued (ms since epoch)
+ */
+
+class ImageJobQueue {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.concurrency] - Jobs allowed to run at once
+   * @param {string|null} [options.filePath] - JSON file path; null keeps the queue in memory only
+   */
+  constructor(options = {}) {
+    this.concurrency = Math.max(1, options.concurrency || DEFAULT_CONCURRENCY);
+    this.filePath = options.filePath === undefined ? DEFAULT_QUEUE_FILE : options.filePath;
+    this.jobs = new Map();
+    this.interrupted = [];
+    this.file = new JsonFileStore(this.filePath, { logger, description: 'image queue' });
+
+    if (this.filePath) {
+      this.loadFromDisk();
+    }
+  }
+
+  loadFromDisk() {
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.interrupted = Array.isArray(saved.jobs) ? saved.jobs : [];
+      if (this.interrupted.length > 0) {
+        logger.info({ jobs: this.interrupted.length }, 'Found image jobs interrupted by a restart');
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn({ error, filePath: this.filePath }, 'Could not read image queue');
+      }
+    }
+  }
+
+  /**
+   * Run an image request when a slot is free.
+   *
+   * @template T
+   * @param {Omit<ImageJob, 'status'|'enqueuedAt'>} job - Job details
+   * @param {function(): Promise<T>} task - Makes the request
+   * @param {Object} [hooks]
+   * @param {function(number): void} [hooks.onUpdate] - Called with the job's queue position
+   *   whenever it changes, and with 0 when the job starts
+   * @returns {Promise<T|{success: false, cancelled: true, error: string, prompt: string}>}
+   *   The task's result, or a cancelled result
+   */
+  run(job, task, { onUpdate } = {}) {
+    if (this.jobs.has(job.id)) {
+      return Promise.reject(new Error(`Image job ${job.id} is already queued`));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.jobs.set(job.id, {
+        record: { ...job, status: 'queued', enqueuedAt: Date.now() },
+        task,
+        onUpdate,
+        resolve,
+        reject,
+        cancelled: false,
+        position: null,
+      });
+      logger.debug({ jobId: job.id, userId: job.userId }, 'Image job queued');
+
+      this.pump();
+      this.save();
+    });
+  }
+
+  /**
+   * Cancel a queued or running job.
+   *
+   * @param {string} jobId - Job ID
+   * @returns {boolean} Whether there was a job to cancel
+   */
+  cancel(jobId) {
+    const entry = this.jobs.get(jobId);
+    if (!entry || entry.cancelled) {
+      return false;
+    }
+
+    entry.cancelled = true;
+    entry.resolve(this.cancelledResult(entry.record));
+    logger.info({ jobId, status: entry.record.status }, 'Image job cancelled');
+
+    if (entry.record.status === 'queued') {
+      this.jobs.delete(jobId);
+      this.notifyPositions();
+      this.save();
+    }
+    return true;
+  }
+
+  cancelledResult(record) {
+    return { success: false, cancelled: true, error: CANCELLED_ERROR, prompt: record.prompt };
+  }
+
+  /**
+   * @param {string} jobId - Job ID
+   * @returns {number|null} 1-based position among waiting jobs, 0 if running, null if unknown
+   */
+  getPosition(jobId) {
+    const entry = this.jobs.get(jobId);
+    if (!entry || entry.cancelled) return null;
+    if (entry.record.status === 'running') return 0;
+    return this.fairOrder().indexOf(entry) + 1;
+  }
+
+  /**
+   * @returns {{running: ImageJob[], queued: ImageJob[]}} Jobs in start order
+   */
+  getSnapshot() {
+    return {
+      running: this.entries('running').map(entry => entry.record),
+      queued: this.fairOrder().map(entry => entry.record),
+    };
+  }
+
+  /**
+   * Jobs that were queued or running when the previous process stopped. Each is
+   * returned once; after that they are forgotten.
+   *
+   * @returns {ImageJob[]}
+   */
+  takeInterrupted() {
+    const jobs = this.interrupted;
+    this.interrupted = [];
+    if (jobs.length > 0) {
+      this.save();
+    }
+    return jobs;
+  }
+
+  // Cancelled jobs that are still running keep their slot until the request returns
+  entries(status) {
+    return [...this.jobs.values()].filter(entry => entry.record.status === status);
+  }
+
+  /**
+   * Waiting jobs in the order they will start: one job per user per round, users
+   * without a running job first, then whoever has waited longest.
+   */
+  fairOrder() {
+    const runningPerUser = new Map();
+    for (const entry of this.entries('running')) {
+      const { userId } = entry.record;
+      runningPerUser.set(userId, (runningPerUser.get(userId) || 0) + 1);
+    }
+
+    const waitingPerUser = new Map();
+    for (const entry of this.entries('queued')) {
+      const { userId } = entry.record;
+      if (!waitingPerUser.has(userId)) waitingPerUser.set(userId, []);
+      waitingPerUser.get(userId).push(entry);
+    }
+
+    const users = [...waitingPerUser.keys()].sort(
+      (a, b) =>
+        (runningPerUser.get(a) || 0) - (runningPerUser.get(b) || 0) ||
+        waitingPerUser.get(a)[0].record.enqueuedAt - waitingPerUser.get(b)[0].record.enqueuedAt
+    );
+
+    const waiting = [...waitingPerUser.values()].reduce((sum, jobs) => sum + jobs.length, 0);
+    const order = [];
+    for (let round = 0; order.length < waiting; round++) {
+      for (const userId of users) {
+        const entry = waitingPerUser.get(userId)[round];
+        if (entry) order.push(entry);
+      }
+    }
+    return order;
+  }
+
+  pump() {
+    while (this.entries('running').length < this.concurrency) {
+      const [next] = this.fairOrder();
+      if (!next) break;
+      this.start(next);
+    }
+    this.notifyPositions();
+  }
+
+  start(entry) {
+    entry.record.status = 'running';
+    this.report(entry, 0);
+    logger.debug({ jobId: entry.record.id }, 'Image job started');
+
+    Promise.resolve()
+      .then(entry.task)
+      .then(
+        result => {
+          if (!entry.cancelled) entry.resolve(result);
+        },
+        error => {
+          if (!entry.cancelled) entry.reject(error);
+        }
+      )
+      .finally(() => {
+        this.jobs.delete(entry.record.id);
+        this.pump();
+        this.save();
+      });
+  }
+
+  notifyPositions() {
+    this.fairOrder().forEach((entry, index) => this.report(entry, index + 1));
+  }
+
+  report(entry, position) {
+    if (entry.position === position) return;
+    entry.position = position;
+    if (!entry.onUpdate) return;
+
+    try {
+      entry.onUpdate(position);
+    } catch (error) {
+      logger.warn({ error, jobId: entry.record.id }, 'Image job update callback failed');
+    }
+  }
+
+  save() {
+    const jobs = [
+      ...this.interrupted,
+      ...[...this.jobs.values()].filter(entry => !entry.cancelled).map(entry => entry.record),
+    ];
+    this.file.write({ jobs });
+  }
+
+  /**
+   * Wait for pending writes to reach disk.
+   *
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.file.flush();
+  }
+}
+
+let defaultQueue = null;
+
+/**
+ * Get the shared image queue, sized by IMAGE_QUEUE_CONCURRENCY and backed by
+ * data/image-queue.json.
+ *
+ * @returns {ImageJobQueue}
+ */
+function getImageJobQueue() {
+  if (!defaultQueue) {
+    const config = require('../core/configValidator');
+    defaultQueue = new ImageJobQueue({ concurrency: config.IMAGE_QUEUE_CONCURRENCY });
+  }
+  return defaultQueue;
+}
+
+module.exports = {
+  ImageJobQueue,
+  getImageJobQueue,
+  CANCELLED_ERROR,
+};
@@ -0,0 +1,238 @@
+/**
+ * Image Style Presets
+ *
+ * Named styles wrap the user's prompt in a template and supply default size,
+ * quality and background, so "a castle" in pixel-art style becomes a fully
+ * worded pixel-art prompt at the right size. Options the user sets themselves
+ * always win over a style's defaults.
+ *
+ * Built-in styles are below; plugins add more through their `imageStyles` array
+ * (see src/plugins/README.md). A plugin style with the same name as a built-in
+ * one is ignored.
+ *
+ * @module ImageStyles
+ */
+
+const { createLogger } = require('../core/logger');
+
+const logger = createLogger('imageStyles');
+
+/**
+ * @typedef {Object} ImageStyle
+ * @property {string} name - Style name
+ * @property {string} template - Prompt template; {prompt} is replaced with the user's prompt
+ * @property {string} [description] - Shown when listing styles
+ * @property {string[]} [aliases] - Other names the style can be picked by
+ * @property {string} [size] - Default image size
+ * @property {string} [quality] - Default image quality
+ * @property {string} [background] - Default background (opaque, transparent)
+ * @property {string} [pluginId] - Plugin that added the style
+ */
+
+/** @type {ImageStyle[]} */
+const BUILTIN_STYLES = [
+  {
+    name: 'pixel-art',
+    description: 'Retro 16-bit game sprite look',
+    aliases: ['pixel', 'pixelart', '16-bit', '8-bit'],
+    template:
+      '{prompt}, as crisp 16-bit pixel art with a limited colour palette, hard pixel edges and no anti-aliasing',
+    size: '1024x1024',
+    quality: 'medium',
+    background: 'opaque',
+  },
+  {
+    name: 'watercolor',
+    description: 'Soft watercolour painting on textured paper',
+    aliases: ['watercolour', 'watercolor-painting'],
+    template:
+      'A watercolour painting of {prompt}, with loose brush strokes, soft bleeding washes and visible paper texture',
+    size: '1024x1536',
+    quality: 'high',
+    background: 'opaque',
+  },
+  {
+    name: 'quake-map-concept',
+    description: 'Quake III Arena map concept art',
+    aliases: ['quake-map', 'quake-concept', 'quake'],
+    template:
+      'Concept art for a Quake III Arena map: {prompt}. Gothic-industrial architecture, jump pads, weapon pickups and moody coloured lighting, shown as a wide establishing shot',
+    size: '1536x1024',
+    quality: 'high',
+    background: 'opaque',
+  },
+  {
+    name: 'avatar',
+    description: 'Centred profile picture that reads well when small',
+    aliases: ['pfp', 'profile-picture', 'icon'],
+    template:
+      'A profile picture of {prompt}: centred, bold and simple so it reads well at small sizes, on a plain background',
+    size: '1024x1024',
+    quality: 'medium',
+    background: 'opaque',
+  },
+];
+
+/**
+ * Normalise a style name or alias for lookups ("Pixel Art" -> "pixel-art").
+ *
+ * @param {string} name - Style name or alias
+ * @returns {string}
+ */
+function normalizeName(name) {
+  return String(name)
+    .trim()
+    .toLowerCase()
+    .replace(/[\s_]+/g, '-');
+}
+
+class ImageStyleRegistry {
+  /**
+   * @param {Object} [options]
+   * @param {ImageStyle[]} [options.builtins] - Built-in styles (defaults to BUILTIN_STYLES)
+   * @param {function(): ImageStyle[]} [options.pluginStyles] - Returns the styles enabled plugins
+   *   offer (defaults to pluginManager.getAllImageStyles)
+   */
+  constructor(options = {}) {
+    this.builtins = options.builtins || BUILTIN_STYLES;
+    this.pluginStyles =
+      options.pluginStyles || (() => require('../plugins/pluginManager').getAllImageStyles());
+    this.warnedClashes = new Set();
+  }
+
+  /**
+   * All styles, built-ins first. Plugins can be enabled and disabled at runtime,
+   * so their styles are looked up on every call.
+   *
+   * @returns {ImageStyle[]}
+   */
+  list() {
+    const builtinNames = new Set(this.builtins.map(style => normalizeName(style.name)));
+    const added = this.pluginStyles().filter(style => {
+      const name = normalizeName(style.name);
+      if (!builtinNames.has(name)) return true;
+
+      if (!this.warnedClashes.has(name)) {
+        this.warnedClashes.add(name);
+        logger.warn(
+          { style: name, pluginId: style.pluginId },
+          'Plugin image style clashes with a built-in style and was ignored'
+        );
+      }
+      return false;
+    });
+    return [...this.builtins, ...added];
+  }
+
+  /**
+   * @param {string} [nameOrAlias] - Style name or alias (case, spaces and underscores ignored)
+   * @returns {ImageStyle|null}
+   */
+  get(nameOrAlias) {
+    if (!nameOrAlias) return null;
+    const wanted = normalizeName(nameOrAlias);
+    return (
+      this.list().find(
+        style =>
+          normalizeName(style.name) === wanted ||
+          (style.aliases || []).some(alias => normalizeName(alias) === wanted)
+      ) || null
+    );
+  }
+
+  /**
+   * Apply options.style to a prompt: wrap it in the style's template and fill in
+   * size, quality and background where the request left them unset.
+   *
+   * @param {string} prompt - User's prompt
+   * @param {Object} options - Image request options; options.style picks the style
+   * @returns {{prompt: string, options: Object}} Prompt and options to send, with options.style
+   *   set to the style's canonical name
+   * @throws {Error} When options.style isn't a known style
+   */
+  apply(prompt, options) {
+    if (!options.style) {
+      return { prompt, options };
+    }
+
+    const style = this.get(options.style);
+    if (!style) {
+      throw new Error(
+        `Unknown image style '${options.style}'. Available styles: ${this.list()
+          .map(entry => entry.name)
+          .join(', ')}`
+      );
+    }
+
+    return {
+      prompt: style.template.split('{prompt}').join(prompt),
+      options: {
+        ...options,
+        style: style.name,
+        size: options.size || style.size,
+        quality: options.quality || style.quality,
+        background: options.background || style.background,
+      },
+    };
+  }
+
+  /**
+   * Find a style asked for in plain text ("a castle in pixel-art style", "me as a
+   * watercolor") and remove the request for it from the prompt.
+   *
+   * @param {string} text - Prompt text
+   * @returns {{style: ImageStyle, prompt: string}|null} The style and the remaining prompt
+   */
+  detect(text) {
+    const names = this.list()
+      .flatMap(style => [style.name, ...(style.aliases || [])].map(name => ({ name, style })))
+      .sort((a, b) => b.name.length - a.name.length);
+    const namePattern = names
+      .map(({ name }) =>
+        normalizeName(name)
+          .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+          .replace(/-/g, '[\\s_-]*')
+      )
+      .join('|');
+
+    const phrasings = [
+      `\\s*,?\\s*\\b(?:in|with)\\s+(?:an?\\s+|the\\s+)?(${namePattern})[\\s-]+style\\b`,
+      `\\s*,?\\s*\\bas\\s+(?:an?\\s+)?(${namePattern})\\b`,
+      `\\b(${namePattern})[\\s-]+style\\s+(?:of\\s+)?`,
+    ];
+    for (const phrasing of phrasings) {
+      const match = text.match(new RegExp(phrasing, 'i'));
+      if (!match) continue;
+
+      const style = this.get(match[1]);
+      const prompt = `${text.slice(0, match.index)} ${text.slice(match.index + match[0].length)}`
+        .replace(/\s+/g, ' ')
+        .replace(/\s+([,.!?])/g, '$1')
+        .trim();
+      if (style && prompt) {
+        return { style, prompt };
+      }
+    }
+    return null;
+  }
+}
+
+let defaultRegistry = null;
+
+/**
+ * Get the shared registry of built-in and plugin styles.
+ *
+ * @returns {ImageStyleRegistry}
+ */
+function getImageStyleRegistry() {
+  if (!defaultRegistry) {
+    defaultRegistry = new ImageStyleRegistry();
+  }
+  return defaultRegistry;
+}
+
+module.exports = {
+  BUILTIN_STYLES,
+  ImageStyleRegistry,
+  getImageStyleRegistry,
+};
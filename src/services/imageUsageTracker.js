@@ -23,6 +23,9 @@ const logger = createLogger('imageUsage');
 // Path to the usage history file
 const USAGE_HISTORY_FILE = path.join(__dirname, '..', '..', 'data', 'image_usage_history.json');
 
+// Pending trackImageGeneration writes
+let trackQueue = Promise.resolve();
+
 // Ensure the data directory exists
 async function ensureDataDirectory() {
   const dataDir = path.join(__dirname, '..', '..', 'data');
@@ -127,16 +130,29 @@ async function saveUsageHistory(history) {
  * Track a new image generation request
  *
  * @param {Object} usageData - Data about the image generation request
+ * @param {string} [usageData.type='generation'] - Kind of request ("generation" or "edit")
  * @param {string} usageData.prompt - The prompt used for generation
  * @param {string} usageData.size - Image size (e.g., "1024x1024")
  * @param {string} usageData.quality - Image quality (e.g., "standard", "hd")
  * @param {number} usageData.cost - Estimated cost in USD
  * @param {number} usageData.apiCallDuration - Time taken for the API call in ms
+ * @param {string} [usageData.style] - Style preset used (see services/imageStyles)
+ * @param {number} [usageData.imageIndex] - Which image of a multi-image request this is (1-based)
+ * @param {number} [usageData.imageCount] - How many images that request produced
  * @param {string} usageData.userId - Discord user ID who requested the image
  * @param {string} usageData.username - Discord username who requested the image
+ * @param {string} [usageData.guildId] - Guild the request was made in (for guild budgets)
  * @returns {Object} The updated usage history
  */
-async function trackImageGeneration(usageData) {
+function trackImageGeneration(usageData) {
+  // Each call reads and rewrites the whole history, so calls run one at a time
+  // (a multi-image request tracks several entries at once)
+  const tracked = trackQueue.then(() => recordImageGeneration(usageData));
+  trackQueue = tracked;
+  return tracked;
+}
+
+async function recordImageGeneration(usageData) {
   try {
     // Load the current history
     const history = await loadUsageHistory();
@@ -144,13 +160,19 @@ async function trackImageGeneration(usageData) {
     // Create a new entry
     const entry = {
       timestamp: new Date().toISOString(),
+      type: usageData.type || 'generation',
       prompt: usageData.prompt,
       size: usageData.size,
       quality: usageData.quality,
       cost: usageData.cost,
       apiCallDuration: usageData.apiCallDuration,
+      style: usageData.style,
+      ...(usageData.imageCount
+        ? { imageIndex: usageData.imageIndex, imageCount: usageData.imageCount }
+        : {}),
       userId: usageData.userId,
       username: usageData.username,
+      guildId: usageData.guildId,
     };
 
     // Add the entry to history
@@ -191,7 +213,7 @@ async function trackImageGeneration(usageData) {
  * @param {string} options.userId - Filter by user ID (optional)
  * @param {string} options.startDate - Start date in ISO format (optional)
  * @param {string} options.endDate - End date in ISO format (optional)
- * @returns {Object} Usage statistics for the specified period
+ * @returns {Object} Usage statistics for the specified period, including requests per style
  */
 async function getUsageStats(options = {}) {
   const history = await loadUsageHistory();
@@ -218,6 +240,14 @@ async function getUsageStats(options = {}) {
   const totalRequests = filteredEntries.length;
   const averageCost = totalRequests > 0 ? totalCost / totalRequests : 0;
 
+  // Requests per style preset
+  const styles = {};
+  for (const entry of filteredEntries) {
+    if (entry.style) {
+      styles[entry.style] = (styles[entry.style] || 0) + 1;
+    }
+  }
+
   // Get the most recent entries (last 10)
   const recentEntries = filteredEntries
     .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
@@ -227,6 +257,7 @@ async function getUsageStats(options = {}) {
     totalCost,
     totalRequests,
     averageCost,
+    styles,
     recentEntries,
     period: {
       start: options.startDate || history.entries[0]?.timestamp || new Date().toISOString(),
@@ -235,6 +266,17 @@ async function getUsageStats(options = {}) {
   };
 }
 
+/**
+ * Usage entries recorded at or after a date, for spend checks
+ *
+ * @param {Date} since - Earliest timestamp to include
+ * @returns {Promise<Array<Object>>} Matching entries
+ */
+async function getUsageEntries(since) {
+  const history = await loadUsageHistory();
+  return history.entries.filter(entry => new Date(entry.timestamp) >= since);
+}
+
 /**
  * Get a formatted report of image generation usage
  *
@@ -251,13 +293,18 @@ async function getUsageReport(options = {}) {
   report += `**Total Cost:** $${stats.totalCost.toFixed(4)}\n`;
   report += `**Average Cost per Request:** $${stats.averageCost.toFixed(4)}\n\n`;
 
+  const styleCounts = Object.entries(stats.styles).sort((a, b) => b[1] - a[1]);
+  if (styleCounts.length > 0) {
+    report += `**Styles:** ${styleCounts.map(([style, count]) => `${style} (${count})`).join(', ')}\n\n`;
+  }
+
   if (stats.recentEntries.length > 0) {
     report += '## Recent Requests\n\n';
 
     stats.recentEntries.forEach((entry, index) => {
       report += `### ${index + 1}. ${new Date(entry.timestamp).toLocaleString()}\n`;
       report += `**Prompt:** "${entry.prompt}"\n`;
-      report += `**Size:** ${entry.size} | **Quality:** ${entry.quality}\n`;
+      report += `**Type:** ${entry.type || 'generation'} | **Size:** ${entry.size} | **Quality:** ${entry.quality}${entry.style ? ` | **Style:** ${entry.style}` : ''}\n`;
       report += `**Cost:** $${entry.cost.toFixed(4)} | **API Time:** ${(entry.apiCallDuration / 1000).toFixed(1)}s\n`;
       report += `**User:** ${entry.username} (${entry.userId})\n\n`;
     });
@@ -269,5 +316,6 @@ async function getUsageReport(options = {}) {
 module.exports = {
   trackImageGeneration,
   getUsageStats,
+  getUsageEntries,
   getUsageReport,
 };
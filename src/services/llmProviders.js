@@ -0,0 +1,441 @@
+/**
+ * LLM Providers
+ *
+ * Chat completions can be served by OpenAI or by any server that speaks the
+ * OpenAI API (llama.cpp server, Ollama, vLLM, ...). Providers are tried in
+ * order - LLM_PRIMARY_PROVIDER first - and each one has its own named circuit
+ * in the breakerManager: after repeated failures the circuit opens and
+ * requests fail over to the next provider until the cooldown passes or a
+ * health check sees the provider answering again.
+ *
+ * Extra providers come from LLM_PROVIDERS, a JSON array:
+ *
+ * ```json
+ * [{ "name": "local", "baseURL": "http://localhost:11434/v1", "model": "llama3.1:8b" }]
+ * ```
+ *
+ * `model` replaces whatever model the route asked for (local servers don't
+ * know OpenAI model names); `apiKey` is optional for servers that ignore it.
+ *
+ * @module LLMProviders
+ */
+
+const OpenAI = require('openai');
+const { createLogger } = require('../core/logger');
+const { openaiFetch } = require('../core/openaiFetch');
+const breakerManager = require('../middleware/breakerManager');
+
+const logger = createLogger('llmProviders');
+
+const OPENAI_PROVIDER = 'openai';
+const PROVIDER_FIELDS = ['name', 'baseURL', 'apiKey', 'model', 'label'];
+
+/**
+ * Parse and validate the LLM_PROVIDERS JSON.
+ *
+ * @param {string} value - Raw env value (empty means OpenAI only)
+ * @returns {Array<{name: string, baseURL: string, apiKey?: string, model?: string, label?: string}>}
+ * @throws {Error} Describing the first invalid entry
+ */
+function parseProviderConfig(value) {
+  if (!value || value.trim() === '') {
+    return [];
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch (error) {
+    throw new Error(`LLM_PROVIDERS is not valid JSON: ${error.message}`);
+  }
+
+  if (!Array.isArray(parsed)) {
+    throw new Error('LLM_PROVIDERS must be a JSON array');
+  }
+
+  const names = new Set([OPENAI_PROVIDER]);
+  return parsed.map((provider, index) => {
+    const where = `LLM_PROVIDERS[${index}]`;
+    if (!provider || typeof provider !== 'object' || Array.isArray(provider)) {
+      throw new Error(`${where} must be an object`);
+    }
+    for (const field of Object.keys(provider)) {
+      if (!PROVIDER_FIELDS.includes(field)) {
+        throw new Error(`${where} has unknown field '${field}'`);
+      }
+    }
+    if (typeof provider.name !== 'string' || !/^[\w-]+$/.test(provider.name)) {
+      throw new Error(`${where}.name must be letters, digits, '-' or '_'`);
+    }
+    if (names.has(provider.name)) {
+      throw new Error(`${where}.name '${provider.name}' is already used`);
+    }
+    names.add(provider.name);
+
+    try {
+      const url = new URL(provider.baseURL);
+      if (!['http:', 'https:'].includes(url.protocol)) throw new Error('bad protocol');
+    } catch {
+      throw new Error(`${where}.baseURL must be an http(s) URL`);
+    }
+
+    for (const field of ['apiKey', 'model', 'label']) {
+      if (provider[field] !== undefined && typeof provider[field] !== 'string') {
+        throw new Error(`${where}.${field} must be a string`);
+      }
+    }
+
+    return provider;
+  });
+}
+
+/**
+ * Whether an error means the provider itself is unavailable (worth failing
+ * over), as opposed to a problem with this particular request.
+ *
+ * @param {Error} error - Error from the OpenAI SDK
+ * @returns {boolean}
+ */
+function isProviderFailure(error) {
+  const status = error?.status;
+  if (status === undefined || status === null) {
+    // Connection refused, DNS, timeouts - no HTTP response at all
+    return true;
+  }
+  return status >= 500 || [401, 403, 408, 429].includes(status);
+}
+
+class LLMProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Unique provider name
+   * @param {Object} options.client - OpenAI SDK client (or compatible) for this provider
+   * @param {string} [options.baseURL] - Base URL, for display
+   * @param {string} [options.model] - Model that replaces the requested one
+   * @param {string} [options.label] - Display name
+   */
+  constructor({ name, client, baseURL, model, label }) {
+    this.name = name;
+    this.client = client;
+    this.baseURL = baseURL || 'https://api.openai.com/v1';
+    this.model = model || null;
+    this.label = label || name;
+    this.failures = 0;
+    this.health = { status: 'unknown', latencyMs: null, lastChecked: null, error: null };
+  }
+
+  get circuitName() {
+    return `llm:${this.name}`;
+  }
+
+  /**
+   * @param {Object} params - chat.completions.create parameters
+   * @returns {Promise<Object>} Completion (or stream when params.stream is set)
+   */
+  createChatCompletion(params) {
+    return this.client.chat.completions.create(
+      this.model ? { ...params, model: this.model } : params
+    );
+  }
+
+  /**
+   * Probe the provider's /models endpoint.
+   *
+   * @param {number} timeoutMs - Request timeout
+   * @returns {Promise<Object>} Updated health record
+   */
+  async checkHealth(timeoutMs) {
+    const started = Date.now();
+    try {
+      await this.client.models.list({ timeout: timeoutMs, maxRetries: 0 });
+      this.health = {
+        status: 'online',
+        latencyMs: Date.now() - started,
+        lastChecked: new Date().toISOString(),
+        error: null,
+      };
+    } catch (error) {
+      this.health = {
+        status: 'offline',
+        latencyMs: null,
+        lastChecked: new Date().toISOString(),
+        error: error.message,
+      };
+    }
+    return this.health;
+  }
+}
+
+class LLMProviderPool {
+  /**
+   * @param {LLMProvider[]} providers - Providers in failover order
+   * @param {Object} [options]
+   * @param {number} [options.breakerLimit=3] - Consecutive failures before a provider's circuit opens
+   * @param {number} [options.cooldownMs=120000] - How long an open circuit skips the provider
+   * @param {number} [options.healthTimeoutMs=5000] - Timeout for each health probe
+   */
+  constructor(providers, options = {}) {
+    if (providers.length === 0) {
+      throw new Error('At least one LLM provider is required');
+    }
+    this.providers = providers;
+    this.breakerLimit = options.breakerLimit ?? 3;
+    this.cooldownMs = options.cooldownMs ?? 120000;
+    this.healthTimeoutMs = options.healthTimeoutMs ?? 5000;
+    this.activeProvider = providers[0];
+    this.healthTimer = null;
+
+    // Drop-in replacement for an OpenAI client's chat API
+    this.client = {
+      chat: {
+        completions: {
+          create: params => this.createChatCompletion(params),
+        },
+      },
+    };
+  }
+
+  isAvailable(provider) {
+    const circuit = breakerManager.getCircuit(provider.circuitName);
+    if (!circuit) return true;
+
+    if (Date.now() - circuit.openedAt >= this.cooldownMs) {
+      // Cooldown over - let the next request try it again
+      breakerManager.closeCircuit(provider.circuitName);
+      provider.failures = 0;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Run a chat completion on the first available provider, failing over to
+   * the next one when a provider is down. Request errors (bad parameters,
+   * content policy) are thrown straight away.
+   *
+   * @param {Object} params - chat.completions.create parameters
+   * @returns {Promise<Object>}
+   */
+  async createChatCompletion(params) {
+    const available = this.providers.filter(provider => this.isAvailable(provider));
+    // With every circuit open, trying is better than refusing outright
+    const candidates = available.length > 0 ? available : this.providers;
+    let lastError = null;
+
+    for (const provider of candidates) {
+      try {
+        const result = await provider.createChatCompletion(params);
+        this.recordSuccess(provider);
+        return result;
+      } catch (error) {
+        if (!isProviderFailure(error)) {
+          throw error;
+        }
+        lastError = error;
+        this.recordFailure(provider, error);
+      }
+    }
+
+    throw lastError;
+  }
+
+  recordSuccess(provider) {
+    provider.failures = 0;
+    if (this.activeProvider !== provider) {
+      logger.info(
+        { from: this.activeProvider.name, to: provider.name },
+        'LLM requests now served by a different provider'
+      );
+      this.activeProvider = provider;
+    }
+  }
+
+  recordFailure(provider, error) {
+    provider.failures++;
+    logger.warn(
+      { provider: provider.name, failures: provider.failures, error: error.message },
+      'LLM provider request failed'
+    );
+
+    if (
+      provider.failures >= this.breakerLimit &&
+      !breakerManager.isCircuitOpen(provider.circuitName)
+    ) {
+      breakerManager.openCircuit(provider.circuitName, error.message);
+      logger.error(
+        { provider: provider.name, cooldownMs: this.cooldownMs },
+        'LLM provider circuit opened, failing over'
+      );
+      breakerManager.notifyOwnerBreakerTriggered(
+        `LLM provider "${provider.label}" failed ${provider.failures} times: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Probe every provider. A provider whose circuit is open is brought back as
+   * soon as it answers again.
+   *
+   * @returns {Promise<Object[]>} Provider status list
+   */
+  async checkHealth() {
+    await Promise.all(
+      this.providers.map(async provider => {
+        const health = await provider.checkHealth(this.healthTimeoutMs);
+        if (health.status === 'online' && breakerManager.isCircuitOpen(provider.circuitName)) {
+          breakerManager.closeCircuit(provider.circuitName);
+          provider.failures = 0;
+          logger.info({ provider: provider.name }, 'LLM provider recovered');
+        }
+      })
+    );
+    return this.getStatus().providers;
+  }
+
+  /**
+   * Check provider health periodically. The timer doesn't keep the process alive.
+   *
+   * @param {number} intervalMs - Interval between checks (0 disables)
+   */
+  startHealthChecks(intervalMs) {
+    this.stopHealthChecks();
+    if (!intervalMs) return;
+
+    const run = () =>
+      this.checkHealth().catch(error => {
+        logger.error({ error }, 'LLM provider health check failed');
+      });
+    run();
+    this.healthTimer = setInterval(run, intervalMs);
+    this.healthTimer.unref?.();
+  }
+
+  stopHealthChecks() {
+    if (this.healthTimer) {
+      clearInterval(this.healthTimer);
+      this.healthTimer = null;
+    }
+  }
+
+  /**
+   * Provider that would serve the next request.
+   *
+   * @returns {LLMProvider}
+   */
+  getActiveProvider() {
+    return this.providers.find(provider => this.isAvailable(provider)) || this.activeProvider;
+  }
+
+  /**
+   * @returns {{active: Object, providers: Object[]}} Status for health endpoints
+   */
+  getStatus() {
+    const active = this.getActiveProvider();
+    return {
+      active: {
+        name: active.name,
+        label: active.label,
+        baseURL: active.baseURL,
+        model: active.model,
+      },
+      providers: this.providers.map(provider => ({
+        name: provider.name,
+        label: provider.label,
+        baseURL: provider.baseURL,
+        model: provider.model,
+        circuitOpen: breakerManager.isCircuitOpen(provider.circuitName),
+        failures: provider.failures,
+        ...provider.health,
+      })),
+    };
+  }
+}
+
+/**
+ * Build the provider pool from config: OpenAI plus LLM_PROVIDERS, with
+ * LLM_PRIMARY_PROVIDER moved to the front.
+ *
+ * @param {Object} config - Validated config
+ * @param {Object} [openaiClient] - Existing OpenAI client to reuse
+ * @returns {LLMProviderPool}
+ */
+function createProviderPool(config, openaiClient) {
+  const providers = [
+    new LLMProvider({
+      name: OPENAI_PROVIDER,
+      label: 'OpenAI',
+      client: openaiClient || new OpenAI({ apiKey: config.OPENAI_API_KEY, fetch: openaiFetch }),
+    }),
+    ...config.LLM_PROVIDERS.map(
+      ({ name, baseURL, apiKey, model, label }) =>
+        new LLMProvider({
+          name,
+          baseURL,
+          model,
+          label,
+          client: new OpenAI({
+            baseURL,
+            // The SDK requires a key; local servers generally ignore it
+            apiKey: apiKey || 'not-needed',
+            fetch: openaiFetch,
+            maxRetries: 1,
+          }),
+        })
+    ),
+  ];
+
+  const primaryIndex = providers.findIndex(
+    provider => provider.name === config.LLM_PRIMARY_PROVIDER
+  );
+  if (primaryIndex > 0) {
+    providers.unshift(...providers.splice(primaryIndex, 1));
+  } else if (primaryIndex === -1) {
+    logger.warn(
+      { primary: config.LLM_PRIMARY_PROVIDER },
+      'LLM_PRIMARY_PROVIDER does not match any provider, using OpenAI first'
+    );
+  }
+
+  return new LLMProviderPool(providers);
+}
+
+let defaultPool = null;
+
+/**
+ * Get the shared provider pool, creating it (and starting health checks) on first use.
+ *
+ * @param {Object} [openaiClient] - OpenAI client to use for the OpenAI provider
+ * @returns {LLMProviderPool}
+ */
+function getProviderPool(openaiClient) {
+  if (!defaultPool) {
+    // Required lazily: configValidator uses parseProviderConfig from this module
+    const config = require('../core/configValidator');
+    defaultPool = createProviderPool(config, openaiClient);
+    defaultPool.startHealthChecks(config.LLM_HEALTH_CHECK_INTERVAL_MS);
+    logger.info(
+      { providers: defaultPool.providers.map(provider => provider.name) },
+      'LLM provider pool ready'
+    );
+  }
+  return defaultPool;
+}
+
+/**
+ * Status of the shared pool, or null if nothing has used it yet.
+ *
+ * @returns {Object|null}
+ */
+function getProviderStatus() {
+  return defaultPool ? defaultPool.getStatus() : null;
+}
+
+module.exports = {
+  LLMProvider,
+  LLMProviderPool,
+  createProviderPool,
+  getProviderPool,
+  getProviderStatus,
+  parseProviderConfig,
+  isProviderFailure,
+};
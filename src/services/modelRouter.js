@@ -0,0 +1,228 @@
+/**
+ * Model Router
+ *
+ * Decides which model (and max tokens / temperature) each kind of request
+ * uses, so owners can change models - globally, per guild or per channel -
+ * through the MODEL_ROUTES env var instead of editing code.
+ *
+ * MODEL_ROUTES is JSON:
+ *
+ * ```json
+ * {
+ *   "intents": { "conversation": { "model": "gpt-4o", "maxTokens": 1500 } },
+ *   "guilds": { "<guildId>": { "*": { "model": "gpt-4.1-nano" } } },
+ *   "channels": { "<channelId>": { "conversation": { "model": "gpt-4.1-nano", "temperature": 0.5 } } }
+ * }
+ * ```
+ *
+ * Routes are merged field by field, later winning: built-in default, `intents`,
+ * guild `*`, guild intent, channel `*`, channel intent. `*` applies to every
+ * chat intent but never to `image`, which needs an image model.
+ *
+ * @module ModelRouter
+ */
+
+const { createLogger } = require('../core/logger');
+
+const logger = createLogger('modelRouter');
+
+/**
+ * Built-in routes, matching the models the bot used before routing existed.
+ * Fields left out fall back to the call site's own limits.
+ *
+ * @type {Object<string, ModelRoute>}
+ */
+const BUILTIN_ROUTES = {
+  // Legacy function-calling pipeline (openaiConfig), prompt enhancement and the version self-report
+  default: { model: 'gpt-4.1-nano' },
+  conversation: { model: 'gpt-4o-mini', temperature: 0.7 },
+  weather: { model: 'gpt-4o-mini', maxTokens: 500, temperature: 0.7 },
+  time: { model: 'gpt-4o-mini', maxTokens: 300, temperature: 0.7 },
+  knowledge: { model: 'gpt-4o-mini', maxTokens: 1500, temperature: 0.7 },
+  quake: { model: 'gpt-4.1-nano', maxTokens: 150 },
+  memory: { model: 'gpt-4o-mini' },
+  // LLM intent scorers, which ask the model to rate a message
+  intent: { model: 'gpt-4o-mini' },
+  image: { model: 'gpt-image-1-mini' },
+};
+
+const ROUTE_INTENTS = Object.keys(BUILTIN_ROUTES);
+const WILDCARD = '*';
+const ROUTE_FIELDS = ['model', 'maxTokens', 'temperature'];
+
+/**
+ * @typedef {Object} ModelRoute
+ * @property {string} [model] - Model name
+ * @property {number} [maxTokens] - Maximum completion tokens
+ * @property {number} [temperature] - Sampling temperature (0-2)
+ */
+
+function validateRoute(route, where) {
+  if (!route || typeof route !== 'object' || Array.isArray(route)) {
+    throw new Error(`${where} must be an object`);
+  }
+
+  for (const [field, value] of Object.entries(route)) {
+    if (!ROUTE_FIELDS.includes(field)) {
+      throw new Error(
+        `${where} has unknown field '${field}' (expected ${ROUTE_FIELDS.join(', ')})`
+      );
+    }
+    if (field === 'model' && (typeof value !== 'string' || value.trim() === '')) {
+      throw new Error(`${where}.model must be a non-empty string`);
+    }
+    if (field === 'maxTokens' && (!Number.isInteger(value) || value < 1 || value > 128000)) {
+      throw new Error(`${where}.maxTokens must be an integer between 1 and 128000`);
+    }
+    if (field === 'temperature' && (typeof value !== 'number' || value < 0 || value > 2)) {
+      throw new Error(`${where}.temperature must be a number between 0 and 2`);
+    }
+  }
+}
+
+function validateIntentMap(routes, where, allowWildcard) {
+  if (!routes || typeof routes !== 'object' || Array.isArray(routes)) {
+    throw new Error(`${where} must be an object`);
+  }
+
+  for (const [intent, route] of Object.entries(routes)) {
+    const known = ROUTE_INTENTS.includes(intent) || (allowWildcard && intent === WILDCARD);
+    if (!known) {
+      throw new Error(
+        `${where} has unknown intent '${intent}' (expected ${ROUTE_INTENTS.join(', ')}${allowWildcard ? " or '*'" : ''})`
+      );
+    }
+    validateRoute(route, `${where}.${intent}`);
+  }
+}
+
+/**
+ * Parse and validate the MODEL_ROUTES JSON.
+ *
+ * @param {string} value - Raw env value (empty means no overrides)
+ * @returns {{intents: Object, guilds: Object, channels: Object}} Normalized routes
+ * @throws {Error} Describing the first invalid entry
+ */
+function parseModelRoutes(value) {
+  const routes = { intents: {}, guilds: {}, channels: {} };
+  if (!value || value.trim() === '') {
+    return routes;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch (error) {
+    throw new Error(`MODEL_ROUTES is not valid JSON: ${error.message}`);
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('MODEL_ROUTES must be a JSON object');
+  }
+
+  for (const key of Object.keys(parsed)) {
+    if (!(key in routes)) {
+      throw new Error(`MODEL_ROUTES has unknown key '${key}' (expected intents, guilds, channels)`);
+    }
+  }
+
+  if (parsed.intents) {
+    validateIntentMap(parsed.intents, 'MODEL_ROUTES.intents', false);
+    routes.intents = parsed.intents;
+  }
+
+  for (const scope of ['guilds', 'channels']) {
+    if (!parsed[scope]) continue;
+    if (typeof parsed[scope] !== 'object' || Array.isArray(parsed[scope])) {
+      throw new Error(`MODEL_ROUTES.${scope} must be an object keyed by ID`);
+    }
+    for (const [id, intents] of Object.entries(parsed[scope])) {
+      validateIntentMap(intents, `MODEL_ROUTES.${scope}.${id}`, true);
+    }
+    routes[scope] = parsed[scope];
+  }
+
+  return routes;
+}
+
+class ModelRouter {
+  /**
+   * @param {Object} [routes] - Routes as returned by parseModelRoutes
+   */
+  constructor(routes = {}) {
+    this.routes = { intents: {}, guilds: {}, channels: {}, ...routes };
+  }
+
+  /**
+   * Resolve the model settings for a request.
+   *
+   * @param {string} intent - One of ROUTE_INTENTS
+   * @param {{guildId?: string, channelId?: string}} [location] - Where the request came from
+   * @returns {ModelRoute & {model: string}} Effective route
+   */
+  resolve(intent, { guildId, channelId } = {}) {
+    let name = intent;
+    if (!BUILTIN_ROUTES[name]) {
+      logger.warn({ intent }, 'Unknown model route intent, using default');
+      name = 'default';
+    }
+
+    const guild = (guildId && this.routes.guilds[guildId]) || {};
+    const channel = (channelId && this.routes.channels[channelId]) || {};
+    const useWildcard = name !== 'image';
+
+    return Object.assign(
+      {},
+      BUILTIN_ROUTES[name],
+      this.routes.intents[name],
+      useWildcard ? guild[WILDCARD] : undefined,
+      guild[name],
+      useWildcard ? channel[WILDCARD] : undefined,
+      channel[name]
+    );
+  }
+
+  /**
+   * Effective global route for every intent (for status displays).
+   *
+   * @returns {Object<string, ModelRoute>}
+   */
+  describe() {
+    return Object.fromEntries(ROUTE_INTENTS.map(intent => [intent, this.resolve(intent)]));
+  }
+}
+
+let defaultRouter = null;
+
+/**
+ * Get the router built from the validated MODEL_ROUTES config.
+ *
+ * @returns {ModelRouter}
+ */
+function getModelRouter() {
+  if (!defaultRouter) {
+    // Required lazily: configValidator uses parseModelRoutes from this module
+    const config = require('../core/configValidator');
+    defaultRouter = new ModelRouter(config.MODEL_ROUTES);
+  }
+  return defaultRouter;
+}
+
+/**
+ * Resolve a route with the default router.
+ *
+ * @param {string} intent - One of ROUTE_INTENTS
+ * @param {{guildId?: string, channelId?: string}} [location] - Where the request came from
+ * @returns {ModelRoute & {model: string}}
+ */
+function resolveModel(intent, location) {
+  return getModelRouter().resolve(intent, location);
+}
+
+module.exports = {
+  ModelRouter,
+  getModelRouter,
+  resolveModel,
+  parseModelRoutes,
+  ROUTE_INTENTS,
+};
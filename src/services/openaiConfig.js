@@ -5,6 +5,19 @@
 const OpenAI = require('openai');
 const apiKeyManager = require('../utils/apiKeyManager');
 const { openai: openaiLogger } = require('../core/logger');
+const { resolveModel } = require('./modelRouter');
+const { getBuiltinTools } = require('./toolSchemas');
+
+// Functions the legacy pipeline (chimpGPT.js) knows how to execute
+const LEGACY_TOOLS = getBuiltinTools([
+  'lookupTime',
+  'lookupWeather',
+  'lookupExtendedForecast',
+  'quakeLookup',
+  'getWolframShortAnswer',
+  'getVersion',
+  'generateImage',
+]);
 
 // Get the API key with fallback to environment variable if needed
 let apiKey;
@@ -243,6 +256,7 @@ async function processMessage(userMessage, conversationLog) {
     if (sanitizedMessage !== userMessage) {
       openaiLogger.warn('User message was sanitized before processing');
     }
+    const route = resolveModel('default');
     const completion = await retryWithBreaker(
       async () => {
         try {
@@ -251,157 +265,11 @@ async function processMessage(userMessage, conversationLog) {
             'Using new tool calling format with tools array and tool_choice parameter'
           );
           return await openaiWithLogging.chat.completions.create({
-            model: 'gpt-4.1-nano', // Using faster model for better responsiveness
+            model: route.model,
             messages: filteredLog,
-            max_completion_tokens: 512, // Limit token usage (optional)
-            tools: [
-              {
-                type: 'function',
-                function: {
-                  name: 'lookupTime',
-                  description:
-                    'Get the current local time for any location. Use this when users ask "what time is it?" or mention time. If the user has told you their location previously, use that location. Common locations: New Zealand cities (Auckland, Wellington, Christchurch), Australian cities (Sydney, Melbourne, Brisbane, Perth).',
-                  parameters: {
-                    type: 'object',
-                    properties: {
-                      location: {
-                        type: 'string',
-                        description:
-                          'The location name, e.g., "Auckland", "Sydney", "New York", "London". Can be a city name, country name, or region.',
-                      },
-                    },
-                    required: ['location'],
-                  },
-                },
-              },
-              {
-                type: 'function',
-                function: {
-                  name: 'lookupWeather',
-                  description: 'get the current weather in a given location',
-                  parameters: {
-                    type: 'object',
-                    properties: {
-                      location: {
-                        type: 'string',
-                        description: 'The location, e.g., New York, NY',
-                      },
-                    },
-                    required: ['location'],
-                  },
-                },
-              },
-              {
-                type: 'function',
-                function: {
-                  name: 'lookupExtendedForecast',
-                  description: 'get the extended weather forecast for a given location',
-                  parameters: {
-                    type: 'object',
-                    properties: {
-                      location: {
-                        type: 'string',
-                        description: 'The location, e.g., New York, NY',
-                      },
-                      days: {
-                        type: 'integer',
-                        description: 'Number of days to forecast (1-5)',
-                      },
-                    },
-                    required: ['location'],
-                  },
-                },
-              },
-              {
-                type: 'function',
-                function: {
-                  name: 'quakeLookup',
-                  description:
-                    'Get current Quake Live server statistics and player information for active servers. Only use when specifically asked about Quake servers, server stats, or gaming server information.',
-                  parameters: {
-                    type: 'object',
-                    properties: {
-                      serverFilter: {
-                        type: 'string',
-                        description: 'Optional server name or IP to filter by',
-                      },
-                      eloMode: {
-                        type: 'integer',
-                        description:
-                          'Optional ELO display mode (0=Off, 1=Categorized, 2=Actual value)',
-                      },
-                    },
-                  },
-                },
-              },
-              {
-                type: 'function',
-                function: {
-                  name: 'getWolframShortAnswer',
-                  description: 'get a short answer from Wolfram Alpha for a given query',
-                  parameters: {
-                    type: 'object',
-                    properties: {
-                      query: {
-                        type: 'string',
-                        description: 'The question or query to send to Wolfram Alpha',
-                      },
-                    },
-                    required: ['query'],
-                  },
-                },
-              },
-              {
-                type: 'function',
-                function: {
-                  name: 'getVersion',
-                  description: "Get information about the bot's version and system details",
-                  parameters: {
-                    type: 'object',
-                    properties: {
-                      detailed: {
-                        type: 'boolean',
-                        description: 'Whether to include detailed system information',
-                      },
-                      technical: {
-                        type: 'boolean',
-                        description:
-                          'Whether to include technical details like memory usage and uptime',
-                      },
-                    },
-                    required: [],
-                  },
-                },
-              },
-              {
-                type: 'function',
-                function: {
-                  name: 'generateImage',
-                  description: 'Generate an image using AI based on a text description',
-                  parameters: {
-                    type: 'object',
-                    properties: {
-                      prompt: {
-                        type: 'string',
-                        description: 'The text description of the image to generate',
-                      },
-                      size: {
-                        type: 'string',
-                        description:
-                          'Image size: 1024x1024 (square), 1536x1024 (portrait), or 1024x1536 (landscape)',
-                        enum: ['1024x1024', '1536x1024', '1024x1536'],
-                      },
-                      quality: {
-                        type: 'string',
-                        description: 'Image quality level',
-                        enum: ['low', 'medium', 'high'],
-                      },
-                    },
-                    required: ['prompt'],
-                  },
-                },
-              },
-            ],
+            max_completion_tokens: route.maxTokens ?? 512, // Limit token usage (optional)
+            temperature: route.temperature,
+            tools: LEGACY_TOOLS,
             tool_choice: 'auto',
           });
         } catch (error) {
@@ -477,13 +345,15 @@ async function generateResponse(functionResult, conversationLog) {
   openaiLogger.debug({ conversationLog }, 'Conversation log before generating response');
 
   // Create a completion with OpenAI, including the updated conversation log
+  const route = resolveModel('default');
   const completion = await retryWithBreaker(
     async () => {
       try {
         return await openaiWithLogging.chat.completions.create({
-          model: 'gpt-4.1-nano', // Using faster model for better responsiveness
+          model: route.model,
           messages: conversationLog,
-          max_completion_tokens: 256,
+          max_completion_tokens: route.maxTokens ?? 256,
+          temperature: route.temperature,
         });
       } catch (error) {
         // Record API key error for monitoring
@@ -512,7 +382,7 @@ async function generateResponse(functionResult, conversationLog) {
  * @returns {string} The model name
  */
 function getOpenAIModel() {
-  return 'gpt-4.1-nano'; // Using faster model for better responsiveness
+  return resolveModel('default').model;
 }
 
 // openaiConfig.js
@@ -0,0 +1,265 @@
+/**
+ * Persona Registry
+ *
+ * Persona profiles change the bot's tone per guild or channel without touching
+ * BOT_PERSONALITY, which stays the base prompt every persona builds on. A
+ * profile has a display name, extra system prompt, temperature, emoji style
+ * and (optionally) the intents it may handle.
+ *
+ * Built-in profiles can be overridden and more added with PERSONA_PROFILES:
+ *
+ * ```json
+ * { "pirate": { "name": "Pirate", "systemPrompt": "Talk like a pirate.", "temperature": 0.9, "emojiStyle": "heavy" } }
+ * ```
+ *
+ * The active persona is stored per guild and per channel in the scoped
+ * settings (`persona` key); a channel's choice wins over its guild's.
+ *
+ * @module PersonaRegistry
+ */
+
+const { createLogger } = require('../core/logger');
+const { getScopedSettings } = require('../utils/scopedSettings');
+
+const logger = createLogger('personaRegistry');
+
+const DEFAULT_PERSONA = 'default';
+const SETTING_KEY = 'persona';
+const EMOJI_STYLES = ['none', 'light', 'heavy'];
+const PERSONA_FIELDS = [
+  'name',
+  'description',
+  'systemPrompt',
+  'temperature',
+  'emojiStyle',
+  'allowedIntents',
+];
+
+/**
+ * @typedef {Object} PersonaProfile
+ * @property {string} id - Profile ID used in commands and settings
+ * @property {string} name - Display name
+ * @property {string} [description] - Short description for /persona list
+ * @property {string} [systemPrompt] - Instructions added to the base prompt
+ * @property {number} [temperature] - Sampling temperature for chat replies (0-2)
+ * @property {'none'|'light'|'heavy'} [emojiStyle] - How much emoji to use
+ * @property {string[]} [allowedIntents] - Intents this persona may handle (all when omitted)
+ */
+
+/** @type {Object<string, Omit<PersonaProfile, 'id'>>} */
+const BUILTIN_PERSONAS = {
+  default: {
+    name: 'Default',
+    description: 'The base BOT_PERSONALITY with nothing added',
+  },
+  concise: {
+    name: 'Concise',
+    description: 'Short, direct answers',
+    systemPrompt:
+      'Keep answers short and to the point: one or two sentences unless the user asks for detail.',
+    temperature: 0.4,
+    emojiStyle: 'none',
+  },
+  playful: {
+    name: 'Playful',
+    description: 'Witty and light-hearted',
+    systemPrompt: 'Be playful and witty, with light-hearted jokes where they fit the conversation.',
+    temperature: 0.9,
+    emojiStyle: 'heavy',
+  },
+  professional: {
+    name: 'Professional',
+    description: 'Neutral tone for work servers, no images or game stats',
+    systemPrompt:
+      'Use a professional, neutral tone suitable for a work server. Avoid slang, jokes and memes.',
+    temperature: 0.5,
+    emojiStyle: 'none',
+    allowedIntents: ['conversation', 'weather', 'time', 'knowledge'],
+  },
+};
+
+function validateProfile(profile, where) {
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    throw new Error(`${where} must be an object`);
+  }
+
+  for (const [field, value] of Object.entries(profile)) {
+    if (!PERSONA_FIELDS.includes(field)) {
+      throw new Error(
+        `${where} has unknown field '${field}' (expected ${PERSONA_FIELDS.join(', ')})`
+      );
+    }
+    if (['name', 'description', 'systemPrompt'].includes(field) && typeof value !== 'string') {
+      throw new Error(`${where}.${field} must be a string`);
+    }
+    if (field === 'temperature' && (typeof value !== 'number' || value < 0 || value > 2)) {
+      throw new Error(`${where}.temperature must be a number between 0 and 2`);
+    }
+    if (field === 'emojiStyle' && !EMOJI_STYLES.includes(value)) {
+      throw new Error(`${where}.emojiStyle must be one of ${EMOJI_STYLES.join(', ')}`);
+    }
+    if (
+      field === 'allowedIntents' &&
+      (!Array.isArray(value) || value.some(intent => typeof intent !== 'string' || !intent))
+    ) {
+      throw new Error(`${where}.allowedIntents must be an array of intent names`);
+    }
+  }
+}
+
+/**
+ * Parse and validate the PERSONA_PROFILES JSON.
+ *
+ * @param {string} value - Raw env value (empty means built-in personas only)
+ * @returns {Object<string, Object>} Profiles keyed by ID
+ * @throws {Error} Describing the first invalid profile
+ */
+function parsePersonaProfiles(value) {
+  if (!value || value.trim() === '') {
+    return {};
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch (error) {
+    throw new Error(`PERSONA_PROFILES is not valid JSON: ${error.message}`);
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('PERSONA_PROFILES must be a JSON object keyed by persona ID');
+  }
+
+  for (const [id, profile] of Object.entries(parsed)) {
+    if (!/^[a-z0-9_-]+$/.test(id)) {
+      throw new Error(`PERSONA_PROFILES key '${id}' must be lowercase letters, digits, '-' or '_'`);
+    }
+    validateProfile(profile, `PERSONA_PROFILES.${id}`);
+  }
+
+  return parsed;
+}
+
+class PersonaRegistry {
+  /**
+   * @param {Object<string, Object>} [profiles] - Extra/overriding profiles from parsePersonaProfiles
+   * @param {Object} [options]
+   * @param {import('../utils/scopedSettings').ScopedSettingsStore} [options.settingsStore] -
+   *   Where active personas are stored
+   */
+  constructor(profiles = {}, options = {}) {
+    this.settings = options.settingsStore || getScopedSettings();
+    this.profiles = {};
+
+    for (const [id, profile] of Object.entries({ ...BUILTIN_PERSONAS, ...profiles })) {
+      // Configured profiles override built-ins field by field
+      this.profiles[id] = { id, name: id, ...BUILTIN_PERSONAS[id], ...profile };
+    }
+  }
+
+  /**
+   * @returns {PersonaProfile[]} Every profile, default first
+   */
+  list() {
+    return Object.values(this.profiles);
+  }
+
+  /**
+   * @param {string} id - Persona ID
+   * @returns {PersonaProfile|null}
+   */
+  get(id) {
+    return this.profiles[id] || null;
+  }
+
+  /**
+   * Active persona for a message location. A stored persona that no longer
+   * exists (removed from PERSONA_PROFILES) falls back to the default.
+   *
+   * @param {{guildId?: string, channelId?: string}} [location]
+   * @returns {PersonaProfile}
+   */
+  resolve(location = {}) {
+    const id = this.settings.resolve(location, SETTING_KEY, DEFAULT_PERSONA);
+    const persona = this.profiles[id];
+    if (!persona) {
+      logger.warn({ persona: id, ...location }, 'Unknown persona selected, using default');
+      return this.profiles[DEFAULT_PERSONA];
+    }
+    return persona;
+  }
+
+  /**
+   * Select the persona for a guild or channel. Choosing the default clears
+   * the override at that scope, so a channel goes back to its guild's persona.
+   *
+   * @param {'guild'|'channel'} scope - Settings scope
+   * @param {string} id - Guild or channel ID
+   * @param {string} personaId - Persona to use
+   * @returns {PersonaProfile} The persona now active at that scope
+   */
+  setActive(scope, id, personaId) {
+    if (!this.profiles[personaId]) {
+      throw new Error(`Unknown persona '${personaId}'`);
+    }
+    this.settings.set(
+      scope,
+      id,
+      SETTING_KEY,
+      personaId === DEFAULT_PERSONA ? undefined : personaId
+    );
+    return this.profiles[personaId];
+  }
+
+  /**
+   * Persona stored directly at a scope (not inherited).
+   *
+   * @param {'guild'|'channel'} scope - Settings scope
+   * @param {string} id - Guild or channel ID
+   * @returns {string|undefined} Persona ID
+   */
+  getStored(scope, id) {
+    return this.settings.get(scope, id, SETTING_KEY);
+  }
+
+  /**
+   * Whether a persona may handle an intent. Conversation is always allowed
+   * so there is somewhere to fall back to.
+   *
+   * @param {PersonaProfile} persona
+   * @param {string} intent - Intent name
+   * @returns {boolean}
+   */
+  static allowsIntent(persona, intent) {
+    return (
+      intent === 'conversation' ||
+      !Array.isArray(persona?.allowedIntents) ||
+      persona.allowedIntents.includes(intent)
+    );
+  }
+}
+
+let defaultRegistry = null;
+
+/**
+ * Get the registry built from the validated PERSONA_PROFILES config.
+ *
+ * @returns {PersonaRegistry}
+ */
+function getPersonaRegistry() {
+  if (!defaultRegistry) {
+    // Required lazily: configValidator uses parsePersonaProfiles from this module
+    const config = require('../core/configValidator');
+    defaultRegistry = new PersonaRegistry(config.PERSONA_PROFILES);
+  }
+  return defaultRegistry;
+}
+
+module.exports = {
+  PersonaRegistry,
+  getPersonaRegistry,
+  parsePersonaProfiles,
+  BUILTIN_PERSONAS,
+  DEFAULT_PERSONA,
+  EMOJI_STYLES,
+};
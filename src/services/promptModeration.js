@@ -0,0 +1,303 @@
+/**
+ * Image Prompt Moderation
+ *
+ * Screens image prompts before any money is spent on them, using a local rule
+ * list and OpenAI's (free) moderation endpoint. How strict the screen is can be
+ * set per guild:
+ *
+ * - off: nothing is screened (the image API's own safety system still applies)
+ * - low: only the IMAGE_MODERATION_BLOCKLIST terms and severe moderation categories
+ * - medium: also the built-in suggestive-content rules and anything the endpoint flags
+ * - high: also prompts that score even moderately in any moderation category
+ *
+ * Every refused prompt, including ones the image API rejects itself, goes to the
+ * blocked prompt log for the dashboard and counts against the user in
+ * maliciousUserManager.
+ *
+ * @module PromptModeration
+ */
+
+const { OpenAI } = require('openai');
+const { createLogger } = require('../core/logger');
+const { getScopedSettings } = require('../utils/scopedSettings');
+const { getBlockedPromptLog } = require('./blockedPromptLog');
+
+const logger = createLogger('promptModeration');
+
+const LEVELS = ['off', 'low', 'medium', 'high'];
+const DEFAULT_LEVEL = 'medium';
+const SETTING_KEY = 'imageModerationLevel';
+const MODERATION_MODEL = 'omni-moderation-latest';
+const MODERATION_TIMEOUT_MS = 10000;
+
+// Category score that blocks a prompt at high strictness even when the endpoint doesn't flag it
+const HIGH_SCORE_THRESHOLD = 0.2;
+
+// Flagged categories that are blocked even at low strictness
+const SEVERE_CATEGORIES = [
+  'sexual/minors',
+  'self-harm/instructions',
+  'violence/graphic',
+  'hate/threatening',
+  'harassment/threatening',
+  'illicit/violent',
+];
+
+// Suggestive-content terms the image API reliably refuses (medium and high)
+const SUGGESTIVE_PATTERNS = [
+  /\bbikini\b/i,
+  /\bswimsuit\b/i,
+  /\bunderwear\b/i,
+  /\blingerie\b/i,
+  /\bnude\b/i,
+  /\bnaked\b/i,
+  /\bnsfw\b/i,
+  /\bprovocative\b/i,
+  /\bseductive\b/i,
+  /\bsensual\b/i,
+  /\bintimate\b/i,
+  /\berotic\b/i,
+];
+
+const RULES_MESSAGE =
+  "This request may contain content that violates our content policy. Please try a different prompt that doesn't include references to swimwear, nudity, or suggestive content.";
+
+/**
+ * @typedef {Object} ModerationVerdict
+ * @property {boolean} allowed - Whether the prompt may be sent to the image API
+ * @property {string} level - Strictness it was screened at
+ * @property {'rules'|'moderation'} [source] - What refused it
+ * @property {string} [reason] - Matched term or moderation categories
+ * @property {string[]} [categories] - Moderation categories that matched
+ * @property {string} [message] - What to tell the user
+ */
+
+/**
+ * @typedef {Object} ModerationContext
+ * @property {string} [userId] - Who sent the prompt
+ * @property {string} [username] - Their display name
+ * @property {string} [guildId] - Guild it was sent in (picks the strictness)
+ * @property {'generation'|'edit'} [type] - Kind of image request
+ * @property {import('discord.js').Client} [client] - Discord client, for block approvals
+ */
+
+/**
+ * Build a case-insensitive whole-word pattern for a blocklist term.
+ *
+ * @param {string} term - Word or phrase
+ * @returns {RegExp}
+ */
+function termPattern(term) {
+  const escaped = term.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`\\b${escaped.replace(/\s+/g, '\\s+')}\\b`, 'i');
+}
+
+class PromptModerator {
+  /**
+   * @param {Object} [options]
+   * @param {function(string): Promise<Object|null>} [options.moderate] - Returns the moderation
+   *   endpoint's result for a prompt (`{flagged, categories, category_scores}`); defaults to
+   *   calling OpenAI
+   * @param {import('../utils/scopedSettings').ScopedSettingsStore} [options.settings] - Where
+   *   per-guild strictness is kept
+   * @param {import('./blockedPromptLog').BlockedPromptLog} [options.blockLog] - Refused prompt log
+   * @param {{recordPolicyViolation: Function}} [options.userManager] - Gets each refusal
+   *   (defaults to utils/maliciousUserManager)
+   * @param {string} [options.defaultLevel='medium'] - Strictness for guilds without a setting
+   * @param {string[]} [options.blocklist] - Extra terms refused at low strictness and above
+   */
+  constructor(options = {}) {
+    this.moderate = options.moderate || createOpenAIModerate();
+    this.settings = options.settings || getScopedSettings();
+    this.blockLog = options.blockLog || getBlockedPromptLog();
+    this.userManager = options.userManager || require('../utils/maliciousUserManager');
+    this.defaultLevel = LEVELS.includes(options.defaultLevel)
+      ? options.defaultLevel
+      : DEFAULT_LEVEL;
+    this.blocklist = (options.blocklist || []).filter(term => term.trim()).map(termPattern);
+  }
+
+  /**
+   * @param {string} [guildId] - Guild ID (DMs use the default)
+   * @returns {string} Strictness for the guild
+   */
+  getLevel(guildId) {
+    return (guildId && this.settings.get('guild', guildId, SETTING_KEY)) || this.defaultLevel;
+  }
+
+  /**
+   * Set a guild's strictness.
+   *
+   * @param {string} guildId - Guild ID
+   * @param {string|null} level - One of LEVELS, or null to go back to the default
+   */
+  setLevel(guildId, level) {
+    if (level !== null && !LEVELS.includes(level)) {
+      throw new Error(`Unknown moderation level '${level}' (expected ${LEVELS.join(', ')})`);
+    }
+    this.settings.set('guild', guildId, SETTING_KEY, level === null ? undefined : level);
+  }
+
+  /**
+   * Check a prompt before it's sent to the image API. Refusals are logged and
+   * reported to maliciousUserManager.
+   *
+   * @param {string} prompt - Image prompt
+   * @param {ModerationContext} [context]
+   * @returns {Promise<ModerationVerdict>}
+   */
+  async screen(prompt, context = {}) {
+    const level = this.getLevel(context.guildId);
+    if (level === 'off') {
+      return { allowed: true, level };
+    }
+
+    const verdict = this.checkRules(prompt, level) || (await this.checkModeration(prompt, level));
+    if (!verdict) {
+      return { allowed: true, level };
+    }
+
+    logger.info(
+      { userId: context.userId, guildId: context.guildId, level, source: verdict.source },
+      'Image prompt blocked by pre-screen'
+    );
+    this.recordBlock(prompt, { ...verdict, level }, context);
+    return { allowed: false, level, ...verdict };
+  }
+
+  /**
+   * Record a prompt the image API itself refused, so it counts like a pre-screen block.
+   *
+   * @param {string} prompt - Image prompt
+   * @param {ModerationContext} [context]
+   */
+  recordApiRejection(prompt, context = {}) {
+    this.recordBlock(
+      prompt,
+      { source: 'api', reason: 'Rejected by the image API safety system', categories: [] },
+      context
+    );
+  }
+
+  /**
+   * @returns {Omit<ModerationVerdict, 'allowed'|'level'>|null}
+   */
+  checkRules(prompt, level) {
+    const patterns = level === 'low' ? this.blocklist : [...this.blocklist, ...SUGGESTIVE_PATTERNS];
+    const match = patterns.find(pattern => pattern.test(prompt));
+    if (!match) return null;
+
+    return {
+      source: 'rules',
+      reason: `Matched "${prompt.match(match)[0]}"`,
+      categories: [],
+      message: RULES_MESSAGE,
+    };
+  }
+
+  /**
+   * @returns {Promise<Omit<ModerationVerdict, 'allowed'|'level'>|null>}
+   */
+  async checkModeration(prompt, level) {
+    let result;
+    try {
+      result = await this.moderate(prompt);
+    } catch (error) {
+      // The image API still has its own safety system, so fail open
+      logger.warn({ error }, 'Moderation check failed; allowing prompt');
+      return null;
+    }
+    if (!result) return null;
+
+    const flagged = Object.keys(result.categories || {}).filter(name => result.categories[name]);
+    let categories = [];
+    if (level === 'low') {
+      categories = flagged.filter(name => SEVERE_CATEGORIES.includes(name));
+    } else if (result.flagged) {
+      categories = flagged;
+    }
+    if (level === 'high') {
+      const scored = Object.entries(result.category_scores || {})
+        .filter(([name, score]) => score >= HIGH_SCORE_THRESHOLD && !categories.includes(name))
+        .map(([name]) => name);
+      categories = [...categories, ...scored];
+    }
+    if (categories.length === 0) return null;
+
+    return {
+      source: 'moderation',
+      reason: `Flagged for ${categories.join(', ')}`,
+      categories,
+      message: `This request was stopped by the safety check (${categories.join(', ')}). Please try a different prompt.`,
+    };
+  }
+
+  recordBlock(prompt, verdict, context) {
+    this.blockLog.add({
+      prompt,
+      source: verdict.source,
+      reason: verdict.reason,
+      categories: verdict.categories,
+      level: verdict.level,
+      type: context.type,
+      userId: context.userId,
+      username: context.username,
+      guildId: context.guildId,
+    });
+
+    if (context.userId && context.userId !== 'system') {
+      this.userManager.recordPolicyViolation(
+        context.userId,
+        {
+          prompt,
+          source: verdict.source,
+          categories: verdict.categories,
+          guildId: context.guildId,
+        },
+        context.client
+      );
+    }
+  }
+}
+
+/**
+ * @returns {function(string): Promise<Object|null>} Calls OpenAI's moderation endpoint
+ */
+function createOpenAIModerate() {
+  let openai = null;
+  return async prompt => {
+    if (!openai) {
+      const { openaiFetch } = require('../core/openaiFetch');
+      openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY, fetch: openaiFetch });
+    }
+    const response = await openai.moderations.create(
+      { model: MODERATION_MODEL, input: prompt },
+      { timeout: MODERATION_TIMEOUT_MS, maxRetries: 1 }
+    );
+    return response.results?.[0] || null;
+  };
+}
+
+let defaultModerator = null;
+
+/**
+ * Get the shared moderator, using IMAGE_MODERATION_LEVEL and IMAGE_MODERATION_BLOCKLIST.
+ *
+ * @returns {PromptModerator}
+ */
+function getPromptModerator() {
+  if (!defaultModerator) {
+    const config = require('../core/configValidator');
+    defaultModerator = new PromptModerator({
+      defaultLevel: config.IMAGE_MODERATION_LEVEL,
+      blocklist: config.IMAGE_MODERATION_BLOCKLIST,
+    });
+  }
+  return defaultModerator;
+}
+
+module.exports = {
+  LEVELS,
+  PromptModerator,
+  getPromptModerator,
+};
@@ -0,0 +1,279 @@
+/**
+ * Quake 3 / Quake Live Server Query
+ *
+ * Asks game servers for their status directly over UDP with the Quake 3
+ * connectionless protocol, so server stats still work when ql.syncore.org is
+ * down. Every packet starts with four 0xFF bytes:
+ *
+ * - `getstatus` answers with `statusResponse`, the server's info string
+ *   (`\key\value\...`) and one `score ping "name"` line per player
+ * - `getinfo` answers with `infoResponse` and a shorter info string, including
+ *   how many of the players are human (`g_humanplayers`)
+ *
+ * Results come back in the same shape as the syncore servers API
+ * (`{ address, info, rules, players }`), so quakeLookup can treat both alike.
+ *
+ * @module Quake3Query
+ */
+
+const dgram = require('dgram');
+const { quake: quakeLogger } = require('../core/logger');
+
+const PACKET_PREFIX = Buffer.from([0xff, 0xff, 0xff, 0xff]);
+const DEFAULT_PORT = 27960;
+const DEFAULT_TIMEOUT_MS = 2000;
+
+/**
+ * Quake Live g_gametype values
+ * @constant {Object<number, {name: string, short: string}>}
+ */
+const GAME_TYPES = {
+  0: { name: 'Free for All', short: 'FFA' },
+  1: { name: 'Duel', short: 'DUEL' },
+  2: { name: 'Race', short: 'RACE' },
+  3: { name: 'Team Deathmatch', short: 'TDM' },
+  4: { name: 'Clan Arena', short: 'CA' },
+  5: { name: 'Capture the Flag', short: 'CTF' },
+  6: { name: 'One Flag CTF', short: '1FCTF' },
+  8: { name: 'Harvester', short: 'HAR' },
+  9: { name: 'Freeze Tag', short: 'FT' },
+  10: { name: 'Domination', short: 'DOM' },
+  11: { name: 'Attack and Defend', short: 'AD' },
+  12: { name: 'Red Rover', short: 'RR' },
+};
+
+/**
+ * @typedef {Object} QueriedServer
+ * @property {string} address - host:port
+ * @property {Object} info - serverName, map, players, maxPlayers, gameType, gameTypeShort
+ * @property {Object<string, string|number>} rules - Server cvars; scores and limits as numbers
+ * @property {Array<{name: string, score: number, ping: number, team?: number}>} players
+ */
+
+/**
+ * Split "host:port" (port optional) into its parts.
+ *
+ * @param {string} address - Server address
+ * @returns {{host: string, port: number}}
+ * @throws {Error} When the port isn't a valid port number
+ */
+function parseAddress(address) {
+  const [host, portText] = address.trim().split(':');
+  const port = portText === undefined ? DEFAULT_PORT : Number(portText);
+  if (!host || !Number.isInteger(port) || port < 1 || port > 65535) {
+    throw new Error(`Invalid Quake server address '${address}'`);
+  }
+  return { host, port };
+}
+
+/**
+ * Read a `\key\value\key\value` info string.
+ *
+ * @param {string} text - Info string
+ * @returns {Object<string, string>}
+ */
+function parseInfoString(text) {
+  const parts = text.replace(/^\\/, '').split('\\');
+  const values = {};
+  for (let index = 0; index + 1 < parts.length; index += 2) {
+    values[parts[index]] = parts[index + 1];
+  }
+  return values;
+}
+
+/**
+ * Read a reply packet.
+ *
+ * @param {Buffer} packet - Packet received
+ * @returns {{type: string, rules: Object<string, string>, players: Array<Object>}|null} Null
+ *   when it isn't a Quake 3 reply
+ */
+function parseResponse(packet) {
+  if (packet.length <= PACKET_PREFIX.length || !packet.subarray(0, 4).equals(PACKET_PREFIX)) {
+    return null;
+  }
+
+  // Player names may contain any byte, so keep them as latin1 rather than mangling them as UTF-8
+  const [type, infoString = '', ...playerLines] = packet
+    .subarray(PACKET_PREFIX.length)
+    .toString('latin1')
+    .split('\n');
+
+  const players = [];
+  for (const line of playerLines) {
+    const match = line.match(/^(-?\d+)\s+(-?\d+)\s+"(.*)"$/);
+    if (match) {
+      players.push({ score: Number(match[1]), ping: Number(match[2]), name: match[3] });
+    }
+  }
+
+  return { type: type.trim(), rules: parseInfoString(infoString), players };
+}
+
+/**
+ * Send one connectionless command and wait for its reply.
+ *
+ * @param {string} address - host:port
+ * @param {'getstatus'|'getinfo'} command - Command to send
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs=2000] - How long to wait for the reply
+ * @returns {Promise<{type: string, rules: Object<string, string>, players: Array<Object>}>}
+ * @throws {Error} When the server doesn't answer in time
+ */
+function sendCommand(address, command, { timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  const { host, port } = parseAddress(address);
+  const expected = command === 'getstatus' ? 'statusResponse' : 'infoResponse';
+
+  return new Promise((resolve, reject) => {
+    const socket = dgram.createSocket('udp4');
+    let timer = null;
+    let settled = false;
+    // A duplicate reply, a send error and the timeout can all arrive after the
+    // first outcome; closing the socket twice throws
+    const finish = (error, result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      socket.close();
+      if (error) reject(error);
+      else resolve(result);
+    };
+    timer = setTimeout(
+      () => finish(new Error(`No ${expected} from ${address} within ${timeoutMs}ms`)),
+      timeoutMs
+    );
+
+    socket.on('error', error => finish(error));
+    socket.on('message', packet => {
+      const response = parseResponse(packet);
+      // Ignore anything that isn't the reply we asked for
+      if (response?.type === expected) {
+        finish(null, response);
+      }
+    });
+
+    const request = Buffer.concat([PACKET_PREFIX, Buffer.from(`${command}\n`, 'latin1')]);
+    socket.send(request, port, host, error => {
+      if (error) finish(error);
+    });
+  });
+}
+
+/**
+ * Number-valued cvars the stats display compares and does arithmetic with.
+ *
+ * @param {Object<string, string>} rules - Raw cvars
+ * @returns {Object<string, string|number>}
+ */
+function normalizeRules(rules) {
+  const normalized = { ...rules };
+  for (const key of ['g_redScore', 'g_blueScore', 'roundlimit', 'fraglimit', 'capturelimit']) {
+    if (rules[key] !== undefined && rules[key] !== '') {
+      normalized[key] = Number(rules[key]) || 0;
+    }
+  }
+  return normalized;
+}
+
+/**
+ * Teams from the Players_Red / Players_Blue cvars some servers publish (1-based
+ * positions in the player list); players in neither list are spectating.
+ *
+ * @param {Array<Object>} players - Players from the status reply
+ * @param {Object<string, string>} rules - Raw cvars
+ * @returns {Array<Object>} Players, with team set where it's known
+ */
+function assignTeams(players, rules) {
+  const slots = key => new Set((rules[key] || '').trim().split(/\s+/).filter(Boolean).map(Number));
+  const red = slots('Players_Red');
+  const blue = slots('Players_Blue');
+  if (red.size === 0 && blue.size === 0) {
+    return players;
+  }
+  return players.map((player, index) => ({
+    ...player,
+    team: red.has(index + 1) ? 1 : blue.has(index + 1) ? 2 : 3,
+  }));
+}
+
+/**
+ * Query a server's full status.
+ *
+ * @param {string} address - host:port (the port defaults to 27960)
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs=2000] - How long to wait for each reply
+ * @returns {Promise<QueriedServer>}
+ * @throws {Error} When the server doesn't answer getstatus
+ */
+async function queryServer(address, options = {}) {
+  // getinfo only adds the human player count, so it's allowed to fail
+  const [status, info] = await Promise.all([
+    sendCommand(address, 'getstatus', options),
+    sendCommand(address, 'getinfo', options).catch(() => null),
+  ]);
+
+  const { rules } = status;
+  const gameType = GAME_TYPES[Number(rules.g_gametype)] || {
+    name: rules.g_gametypestring || `Gametype ${rules.g_gametype ?? '?'}`,
+    short: '',
+  };
+  const humans = Number(info?.rules.g_humanplayers);
+  const serverName = rules.sv_hostname || info?.rules.hostname || address;
+
+  return {
+    address,
+    info: {
+      serverName,
+      name: serverName,
+      map: rules.mapname || info?.rules.mapname || 'unknown',
+      players: Number.isInteger(humans) ? humans : status.players.length,
+      maxPlayers: Number(rules.sv_maxclients || info?.rules.sv_maxclients) || 0,
+      gameType: gameType.name,
+      gameTypeShort: gameType.short,
+    },
+    rules: normalizeRules(rules),
+    players: assignTeams(status.players, rules),
+  };
+}
+
+/**
+ * Query several servers at once; servers that don't answer are left out.
+ *
+ * @param {string[]} addresses - host:port addresses
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs=2000] - How long to wait for each server
+ * @returns {Promise<QueriedServer[]>} Servers that answered, in the order given
+ */
+async function queryServers(addresses, options = {}) {
+  const results = await Promise.allSettled(addresses.map(address => queryServer(address, options)));
+  return results
+    .map((result, index) => {
+      if (result.status === 'fulfilled') return result.value;
+      quakeLogger.warn(
+        { address: addresses[index], error: result.reason?.message },
+        'Quake server did not answer a direct query'
+      );
+      return null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Servers to query directly, from QUAKE_SERVERS (comma-separated host:port).
+ *
+ * @returns {string[]}
+ */
+function getConfiguredServers() {
+  return (process.env.QUAKE_SERVERS || '')
+    .split(',')
+    .map(address => address.trim())
+    .filter(Boolean);
+}
+
+module.exports = {
+  queryServer,
+  queryServers,
+  getConfiguredServers,
+  parseResponse,
+  GAME_TYPES,
+};
@@ -0,0 +1,361 @@
+/**
+ * Quake Population Alerts
+ *
+ * Lets people know when a pickup game is forming. `/quake notify` subscribes to
+ * a server (matched by name or address, like /serverstats) and a player count;
+ * when the server's population goes from below the count to at least the count,
+ * the subscriber gets a DM, or a role is pinged in the channel the alert was set
+ * up in.
+ *
+ * An alert won't fire again until its cooldown has passed, and never during its
+ * quiet hours (in the subscriber's time zone). The server list comes from the
+ * shared Quake server poller, which only polls while there are subscriptions,
+ * and only the regions they're in.
+ *
+ * Stored in data/quake-alerts.json as `{ "subscriptions": [...] }`.
+ *
+ * Environment:
+ * - QUAKE_ALERT_COOLDOWN_MINUTES - Default cooldown between alerts (default 60)
+ *
+ * @module QuakeAlerts
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { quake: quakeLogger } = require('../core/logger');
+const quakeLookup = require('./quakeLookup');
+const { JsonFileStore } = require('../utils/jsonFileStore');
+
+const DEFAULT_FILE = path.join(__dirname, '..', '..', 'data', 'quake-alerts.json');
+const DEFAULT_COOLDOWN_MINUTES = 60;
+const MIN_COOLDOWN_MINUTES = 5;
+const MAX_SUBSCRIPTIONS_PER_USER = 10;
+
+/**
+ * @typedef {Object} QuietHours
+ * @property {number} start - Hour they start (0-23)
+ * @property {number} end - Hour they end (0-23, exclusive)
+ * @property {string} timeZone - IANA time zone the hours are in
+ *
+ * @typedef {Object} AlertSubscription
+ * @property {string} id - Subscription ID
+ * @property {string} userId - Who set it up
+ * @property {string|null} guildId - Guild it was set up in (null in DMs)
+ * @property {string} channelId - Channel it was set up in; role pings go here
+ * @property {string} server - Server name or address to match
+ * @property {string} [region] - Region the server is in (the lookup's default region when
+ *   missing)
+ * @property {number} minPlayers - Player count to alert at
+ * @property {string|null} roleId - Role to ping instead of a DM
+ * @property {number} cooldownMinutes - Least time between alerts
+ * @property {QuietHours|null} quietHours - Hours not to alert in
+ * @property {boolean} above - Whether the server was at or over the count at the last poll
+ * @property {string|null} lastAlertAt - ISO timestamp of the last alert sent
+ * @property {string} createdAt - ISO timestamp
+ */
+
+/**
+ * Whether a string is a time zone Intl knows.
+ *
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    return !!new Intl.DateTimeFormat('en-US', { timeZone }).resolvedOptions().timeZone;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Whether a time falls in the quiet hours. Hours that wrap past midnight
+ * (23 to 7) work; equal start and end hours mean no quiet hours.
+ *
+ * @param {QuietHours|null} quietHours
+ * @param {number} at - Time to check (ms)
+ * @returns {boolean}
+ */
+function isQuietTime(quietHours, at) {
+  if (!quietHours || quietHours.start === quietHours.end) return false;
+
+  const hour = Number(
+    new Intl.DateTimeFormat('en-US', {
+      hour: 'numeric',
+      hourCycle: 'h23',
+      timeZone: quietHours.timeZone,
+    }).format(at)
+  );
+  const { start, end } = quietHours;
+  return start < end ? hour >= start && hour < end : hour >= start || hour < end;
+}
+
+class QuakeAlerts {
+  /**
+   * @param {Object} [options]
+   * @param {string|null} [options.filePath] - JSON file path; null keeps subscriptions in memory
+   *   only
+   * @param {number} [options.cooldownMinutes] - Default cooldown between alerts
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath === undefined ? DEFAULT_FILE : options.filePath;
+    this.defaultCooldownMinutes =
+      options.cooldownMinutes ||
+      parseInt(process.env.QUAKE_ALERT_COOLDOWN_MINUTES, 10) ||
+      DEFAULT_COOLDOWN_MINUTES;
+    /** @type {AlertSubscription[]} */
+    this.subscriptions = [];
+    this.client = null;
+    this.file = new JsonFileStore(this.filePath, {
+      logger: quakeLogger,
+      description: 'Quake population alerts',
+    });
+
+    if (this.filePath) {
+      this.loadFromDisk();
+    }
+  }
+
+  loadFromDisk() {
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.subscriptions = Array.isArray(saved.subscriptions) ? saved.subscriptions : [];
+      quakeLogger.info(
+        { subscriptions: this.subscriptions.length },
+        'Loaded Quake population alerts'
+      );
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        quakeLogger.warn(
+          { error, filePath: this.filePath },
+          'Could not read Quake population alerts'
+        );
+      }
+    }
+  }
+
+  /**
+   * Check subscriptions against each poll of the shared server poller.
+   *
+   * @param {import('discord.js').Client} client - Discord client, to send alerts
+   * @param {import('./quakeServerPoller').QuakeServerPoller} poller - Server poller
+   */
+  start(client, poller) {
+    this.client = client;
+    poller.register({
+      name: 'alerts',
+      isActive: () => this.subscriptions.length > 0,
+      regions: () => this.regions(),
+      handleServers: (servers, polledAt) => this.handleServers(servers, polledAt),
+    });
+  }
+
+  /**
+   * Add a subscription.
+   *
+   * @param {Object} details
+   * @param {string} details.userId - Who is subscribing
+   * @param {string|null} [details.guildId] - Guild it's set up in
+   * @param {string} details.channelId - Channel it's set up in
+   * @param {string} details.server - Server name or address to match
+   * @param {string} [details.region] - Region the server is in (default the lookup's default)
+   * @param {number} details.minPlayers - Player count to alert at
+   * @param {string|null} [details.roleId] - Role to ping instead of a DM (guilds only)
+   * @param {number} [details.cooldownMinutes] - Least time between alerts
+   * @param {QuietHours|null} [details.quietHours] - Hours not to alert in
+   * @returns {{success: true, subscription: AlertSubscription}|{success: false, error: string}}
+   */
+  subscribe(details) {
+    if (!Number.isInteger(details.minPlayers) || details.minPlayers < 1) {
+      return { success: false, error: 'The player count must be at least 1.' };
+    }
+    if (details.roleId && !details.guildId) {
+      return { success: false, error: 'Role pings can only be set up in a server.' };
+    }
+    if (details.quietHours && !isValidTimeZone(details.quietHours.timeZone)) {
+      return {
+        success: false,
+        error: `Unknown time zone "${details.quietHours.timeZone}". Use a name like Europe/London.`,
+      };
+    }
+    if (this.list(details.userId).length >= MAX_SUBSCRIPTIONS_PER_USER) {
+      return {
+        success: false,
+        error: `You already have ${MAX_SUBSCRIPTIONS_PER_USER} alerts. Remove one with /quake unnotify first.`,
+      };
+    }
+
+    const subscription = {
+      id: crypto.randomBytes(4).toString('hex'),
+      userId: details.userId,
+      guildId: details.guildId || null,
+      channelId: details.channelId,
+      server: details.server,
+      region: details.region || quakeLookup.resolveDisplayOptions().region,
+      minPlayers: details.minPlayers,
+      roleId: details.roleId || null,
+      cooldownMinutes: Math.max(
+        MIN_COOLDOWN_MINUTES,
+        details.cooldownMinutes || this.defaultCooldownMinutes
+      ),
+      quietHours: details.quietHours || null,
+      above: false,
+      lastAlertAt: null,
+      createdAt: new Date().toISOString(),
+    };
+    this.subscriptions.push(subscription);
+    this.save();
+
+    quakeLogger.info(
+      { id: subscription.id, userId: subscription.userId, server: subscription.server },
+      'Quake population alert added'
+    );
+    return { success: true, subscription };
+  }
+
+  /**
+   * @returns {string[]} Regions that have subscriptions, for the poller to fetch
+   */
+  regions() {
+    const defaultRegion = quakeLookup.resolveDisplayOptions().region;
+    return [
+      ...new Set(this.subscriptions.map(subscription => subscription.region || defaultRegion)),
+    ];
+  }
+
+  /**
+   * @param {string} userId - User ID
+   * @returns {AlertSubscription[]} The user's subscriptions
+   */
+  list(userId) {
+    return this.subscriptions.filter(subscription => subscription.userId === userId);
+  }
+
+  /**
+   * Remove one of a user's subscriptions.
+   *
+   * @param {string} userId - User ID
+   * @param {string} id - Subscription ID
+   * @returns {boolean} Whether it was theirs and was removed
+   */
+  unsubscribe(userId, id) {
+    const index = this.subscriptions.findIndex(
+      subscription => subscription.id === id && subscription.userId === userId
+    );
+    if (index === -1) return false;
+
+    this.subscriptions.splice(index, 1);
+    this.save();
+    return true;
+  }
+
+  /**
+   * Check every subscription against a poll's servers and send the alerts due.
+   *
+   * @param {Array<Object>} servers - Servers in the servers API shape
+   * @param {number} [polledAt=Date.now()] - When they were fetched (ms)
+   * @returns {Promise<Array<{subscription: AlertSubscription, server: Object}>>} Alerts sent
+   */
+  async handleServers(servers, polledAt = Date.now()) {
+    const due = [];
+    let changed = false;
+
+    for (const subscription of this.subscriptions) {
+      const [busiest] = quakeLookup.findActiveServers(servers, subscription.server);
+      const above = (busiest?.info.players || 0) >= subscription.minPlayers;
+      if (above === subscription.above) continue;
+
+      subscription.above = above;
+      changed = true;
+      if (!above) continue;
+
+      const lastAlertAt = subscription.lastAlertAt ? Date.parse(subscription.lastAlertAt) : 0;
+      if (polledAt - lastAlertAt < subscription.cooldownMinutes * 60 * 1000) {
+        quakeLogger.debug({ id: subscription.id }, 'Quake alert skipped: cooling down');
+        continue;
+      }
+      if (isQuietTime(subscription.quietHours, polledAt)) {
+        quakeLogger.debug({ id: subscription.id }, 'Quake alert skipped: quiet hours');
+        continue;
+      }
+
+      subscription.lastAlertAt = new Date(polledAt).toISOString();
+      due.push({ subscription, server: busiest });
+    }
+
+    if (changed) {
+      this.save();
+    }
+    await Promise.all(due.map(({ subscription, server }) => this.deliver(subscription, server)));
+    return due;
+  }
+
+  /**
+   * Send one alert, by DM or as a role ping.
+   *
+   * @param {AlertSubscription} subscription
+   * @param {Object} server - Server that crossed the count
+   * @returns {Promise<void>}
+   */
+  async deliver(subscription, server) {
+    const { info } = server;
+    const text = [
+      `🎯 **${quakeLookup.stripColorCodes(info.serverName || info.name)}** has ${info.players}/${info.maxPlayers} players (alert at ${subscription.minPlayers}+)`,
+      `🗺️ ${info.map} · ${info.gameType}`,
+      `Join: steam://connect/${server.address}`,
+    ].join('\n');
+
+    try {
+      if (subscription.roleId) {
+        const channel = await this.client.channels.fetch(subscription.channelId);
+        await channel.send({
+          content: `<@&${subscription.roleId}> ${text}`,
+          allowedMentions: { roles: [subscription.roleId] },
+        });
+      } else {
+        const user = await this.client.users.fetch(subscription.userId);
+        await user.send(text);
+      }
+      quakeLogger.info(
+        { id: subscription.id, address: server.address, players: info.players },
+        'Quake population alert sent'
+      );
+    } catch (error) {
+      quakeLogger.warn({ error, id: subscription.id }, 'Could not send Quake population alert');
+    }
+  }
+
+  save() {
+    this.file.write({ subscriptions: this.subscriptions });
+  }
+
+  /**
+   * Wait for pending writes to reach disk.
+   *
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.file.flush();
+  }
+}
+
+let defaultAlerts = null;
+
+/**
+ * Get the shared alerts backed by data/quake-alerts.json.
+ *
+ * @returns {QuakeAlerts}
+ */
+function getQuakeAlerts() {
+  if (!defaultAlerts) {
+    defaultAlerts = new QuakeAlerts();
+  }
+  return defaultAlerts;
+}
+
+module.exports = {
+  QuakeAlerts,
+  getQuakeAlerts,
+  isQuietTime,
+};
@@ -0,0 +1,410 @@
+/**
+ * Quake Match and Player History
+ *
+ * Records what the background Quake server poller sees, so stats outlive the
+ * one /serverstats reply they used to be shown in:
+ * - Matches: each stretch a server spends on one map (a new level start or map
+ *   ends it, as does the server emptying), with the final team scores
+ * - Players: when they were last seen and where, how many matches they've
+ *   played on which maps, and their rating over time (ratings come from
+ *   QLStats.net, so only when ENABLE_QLSTATS_NET_SCRAPING is on)
+ *
+ * `/quake player` and `/quake leaderboard` read from it.
+ *
+ * Stored in data/quake-history.json as `{ "servers": {...}, "matches": [...],
+ * "players": {...} }`. The newest matches are kept, and players who haven't
+ * been seen for 90 days are dropped.
+ *
+ * Environment:
+ * - ENABLE_QUAKE_HISTORY - Set to true to record polls (default false). While it's
+ *   on, the poller keeps polling even when there are no alert subscriptions.
+ *
+ * @module QuakeHistory
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { quake: quakeLogger } = require('../core/logger');
+const quakeLookup = require('./quakeLookup');
+const { JsonFileStore } = require('../utils/jsonFileStore');
+
+const DEFAULT_FILE = path.join(__dirname, '..', '..', 'data', 'quake-history.json');
+const DEFAULT_MAX_MATCHES = 1000;
+const MAX_RATINGS_PER_PLAYER = 200;
+const RETENTION_MS = 90 * 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+const TEAM_GAME_TYPES = new Set([
+  'Clan Arena',
+  'Team Deathmatch',
+  'Capture the Flag',
+  'Freeze Tag',
+]);
+
+/**
+ * @typedef {Object} MatchRecord
+ * @property {string} address - Server address
+ * @property {string} serverName - Server name, without color codes
+ * @property {string} map - Map played
+ * @property {string} gameType - Game type
+ * @property {string|null} levelStartTime - The server's g_levelStartTime for the match
+ * @property {string} startedAt - ISO timestamp it was first seen
+ * @property {string} lastSeenAt - ISO timestamp it was last seen
+ * @property {{red: number, blue: number, winner: 'red'|'blue'|'draw'}|null} result - Final
+ *   team scores (team game types only)
+ * @property {string[]} players - Keys of the players who played in it
+ *
+ * @typedef {Object} PlayerRecord
+ * @property {string} name - Name as last seen, without color codes
+ * @property {string} firstSeenAt - ISO timestamp
+ * @property {string} lastSeenAt - ISO timestamp
+ * @property {string} lastServer - Server they were last seen on
+ * @property {number} matches - Matches played
+ * @property {Object<string, number>} maps - Matches played per map
+ * @property {Array<{at: string, rating: number}>} ratings - Rating each time it changed
+ */
+
+/**
+ * Key a player is stored under: their name without color codes, lowercased.
+ *
+ * @param {string} name - Player name
+ * @returns {string}
+ */
+function playerKey(name) {
+  return quakeLookup.stripColorCodes(name).trim().toLowerCase();
+}
+
+/**
+ * The winner of a team match from its scores.
+ *
+ * @param {{red: number, blue: number}} teamScores
+ * @returns {{red: number, blue: number, winner: 'red'|'blue'|'draw'}}
+ */
+function matchResult({ red, blue }) {
+  const redScore = Number(red) || 0;
+  const blueScore = Number(blue) || 0;
+  return {
+    red: redScore,
+    blue: blueScore,
+    winner: redScore > blueScore ? 'red' : blueScore > redScore ? 'blue' : 'draw',
+  };
+}
+
+class QuakeHistory {
+  /**
+   * @param {Object} [options]
+   * @param {string|null} [options.filePath] - JSON file path; null keeps history in memory only
+   * @param {number} [options.maxMatches=1000] - Finished matches kept
+   * @param {function(Object): Promise<Object>} [options.getSnapshot] - Reads one server (defaults
+   *   to quakeLookup.getServerSnapshot)
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath === undefined ? DEFAULT_FILE : options.filePath;
+    this.maxMatches = options.maxMatches || DEFAULT_MAX_MATCHES;
+    this.getSnapshot = options.getSnapshot || quakeLookup.getServerSnapshot;
+    /** @type {Object<string, MatchRecord>} Match in progress, by server address */
+    this.servers = {};
+    /** @type {MatchRecord[]} Finished matches, oldest first */
+    this.matches = [];
+    /** @type {Object<string, PlayerRecord>} */
+    this.players = {};
+    this.file = new JsonFileStore(this.filePath, {
+      logger: quakeLogger,
+      description: 'Quake history',
+    });
+
+    if (this.filePath) {
+      this.loadFromDisk();
+    }
+  }
+
+  loadFromDisk() {
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.servers = saved.servers || {};
+      this.matches = Array.isArray(saved.matches) ? saved.matches : [];
+      this.players = saved.players || {};
+      quakeLogger.info(
+        { matches: this.matches.length, players: Object.keys(this.players).length },
+        'Loaded Quake history'
+      );
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        quakeLogger.warn({ error, filePath: this.filePath }, 'Could not read Quake history');
+      }
+    }
+  }
+
+  /**
+   * Record every poll of the shared server poller, if ENABLE_QUAKE_HISTORY is true.
+   *
+   * @param {import('./quakeServerPoller').QuakeServerPoller} poller - Server poller
+   */
+  start(poller) {
+    if (process.env.ENABLE_QUAKE_HISTORY !== 'true') {
+      quakeLogger.info('Quake history disabled (set ENABLE_QUAKE_HISTORY=true to record it)');
+      return;
+    }
+    poller.register({
+      name: 'history',
+      handleServers: (servers, polledAt) => this.recordPoll(servers, polledAt),
+    });
+  }
+
+  /**
+   * Record one poll: read each server with players, then update its match and
+   * its players. Servers that have emptied since the last poll end their match.
+   *
+   * @param {Array<Object>} servers - Servers from fetchServers
+   * @param {number} [polledAt=Date.now()] - When they were fetched (ms)
+   * @returns {Promise<void>}
+   */
+  async recordPoll(servers, polledAt = Date.now()) {
+    const active = quakeLookup.findActiveServers(servers);
+    const snapshots = await Promise.all(
+      active.map(server =>
+        this.getSnapshot(server).catch(error => {
+          quakeLogger.warn(
+            { address: server.address, message: error.message },
+            'Could not read Quake server for history'
+          );
+          return null;
+        })
+      )
+    );
+
+    const at = new Date(polledAt).toISOString();
+    const seen = new Set();
+    for (const snapshot of snapshots.filter(Boolean)) {
+      seen.add(snapshot.address);
+      this.recordServer(snapshot, at);
+    }
+    for (const address of Object.keys(this.servers)) {
+      if (!seen.has(address)) {
+        this.finishMatch(address);
+      }
+    }
+
+    this.prune(polledAt);
+    this.save();
+  }
+
+  /**
+   * @param {Object} snapshot - From getServerSnapshot
+   * @param {string} at - ISO timestamp of the poll
+   */
+  recordServer(snapshot, at) {
+    let match = this.servers[snapshot.address];
+    if (
+      match &&
+      (match.map !== snapshot.currentMap || match.levelStartTime !== snapshot.levelStartTime)
+    ) {
+      this.finishMatch(snapshot.address);
+      match = null;
+    }
+    if (!match) {
+      match = {
+        address: snapshot.address,
+        serverName: quakeLookup.stripColorCodes(snapshot.serverName),
+        map: snapshot.currentMap,
+        gameType: snapshot.gameType,
+        levelStartTime: snapshot.levelStartTime,
+        startedAt: at,
+        lastSeenAt: at,
+        result: null,
+        players: [],
+      };
+      this.servers[snapshot.address] = match;
+    }
+
+    match.lastSeenAt = at;
+    if (TEAM_GAME_TYPES.has(match.gameType) && snapshot.teamScores) {
+      match.result = matchResult(snapshot.teamScores);
+    }
+
+    for (const player of snapshot.players) {
+      const key = playerKey(player.name);
+      if (!key) continue;
+
+      const record = this.players[key] || {
+        name: quakeLookup.stripColorCodes(player.name).trim(),
+        firstSeenAt: at,
+        matches: 0,
+        maps: {},
+        ratings: [],
+      };
+      record.name = quakeLookup.stripColorCodes(player.name).trim();
+      record.lastSeenAt = at;
+      record.lastServer = match.serverName;
+
+      if (!match.players.includes(key)) {
+        match.players.push(key);
+        record.matches++;
+        record.maps[match.map] = (record.maps[match.map] || 0) + 1;
+      }
+
+      const lastRating = record.ratings[record.ratings.length - 1];
+      if (Number.isFinite(player.rating) && lastRating?.rating !== player.rating) {
+        record.ratings.push({ at, rating: player.rating });
+        record.ratings.splice(0, Math.max(0, record.ratings.length - MAX_RATINGS_PER_PLAYER));
+      }
+      this.players[key] = record;
+    }
+  }
+
+  /**
+   * Move a server's match in progress to the finished matches.
+   *
+   * @param {string} address - Server address
+   */
+  finishMatch(address) {
+    const match = this.servers[address];
+    delete this.servers[address];
+    if (!match?.players.length) return;
+
+    this.matches.push(match);
+    this.matches.splice(0, Math.max(0, this.matches.length - this.maxMatches));
+    quakeLogger.debug(
+      { address, map: match.map, players: match.players.length, result: match.result },
+      'Quake match recorded'
+    );
+  }
+
+  /**
+   * Drop players who haven't been seen for 90 days.
+   *
+   * @param {number} now - Current time (ms)
+   */
+  prune(now) {
+    for (const [key, record] of Object.entries(this.players)) {
+      if (now - Date.parse(record.lastSeenAt) > RETENTION_MS) {
+        delete this.players[key];
+      }
+    }
+  }
+
+  /**
+   * Find a player by name (color codes and case ignored), falling back to the
+   * most active player whose name contains it.
+   *
+   * @param {string} name - Name to look for
+   * @param {number} [now=Date.now()] - Current time (ms), for the weekly rating change
+   * @returns {(PlayerRecord & {key: string, rating: number|null, weekChange: number|null,
+   *   favouriteMaps: Array<{map: string, matches: number}>})|null}
+   */
+  getPlayer(name, now = Date.now()) {
+    const search = playerKey(name);
+    if (!search) return null;
+
+    let key = this.players[search] ? search : null;
+    if (!key) {
+      key =
+        Object.keys(this.players)
+          .filter(candidate => candidate.includes(search))
+          .sort((a, b) => this.players[b].matches - this.players[a].matches)[0] || null;
+    }
+    if (!key) return null;
+
+    const record = this.players[key];
+    return {
+      key,
+      ...record,
+      rating: record.ratings[record.ratings.length - 1]?.rating ?? null,
+      weekChange: this.ratingChange(record, now - WEEK_MS),
+      favouriteMaps: Object.entries(record.maps)
+        .map(([map, matches]) => ({ map, matches }))
+        .sort((a, b) => b.matches - a.matches)
+        .slice(0, 3),
+    };
+  }
+
+  /**
+   * How much a player's rating has changed since a time: from the last rating
+   * before it (or the first one after it) to the latest.
+   *
+   * @param {PlayerRecord} record
+   * @param {number} since - Time (ms)
+   * @returns {number|null} Null without two ratings to compare
+   */
+  ratingChange(record, since) {
+    const { ratings } = record;
+    if (ratings.length < 2) return null;
+
+    const laterIndex = ratings.findIndex(entry => Date.parse(entry.at) >= since);
+    if (laterIndex === -1) return 0;
+    const baseline = ratings[Math.max(0, laterIndex - 1)];
+    return ratings[ratings.length - 1].rating - baseline.rating;
+  }
+
+  /**
+   * Most active players and biggest rating gains over the last week.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.limit=5] - Players in each list
+   * @param {number} [options.now=Date.now()] - Current time (ms)
+   * @returns {{mostActive: Array<{name: string, matches: number}>,
+   *   ratingGains: Array<{name: string, gain: number, rating: number}>, matches: number}}
+   */
+  leaderboard({ limit = 5, now = Date.now() } = {}) {
+    const since = now - WEEK_MS;
+    const weekMatches = [...this.matches, ...Object.values(this.servers)].filter(
+      match => Date.parse(match.lastSeenAt) >= since
+    );
+
+    const counts = new Map();
+    for (const match of weekMatches) {
+      for (const key of match.players) {
+        counts.set(key, (counts.get(key) || 0) + 1);
+      }
+    }
+
+    const mostActive = [...counts.entries()]
+      .filter(([key]) => this.players[key])
+      .map(([key, matches]) => ({ name: this.players[key].name, matches }))
+      .sort((a, b) => b.matches - a.matches)
+      .slice(0, limit);
+
+    const ratingGains = Object.values(this.players)
+      .map(record => ({
+        name: record.name,
+        gain: this.ratingChange(record, since),
+        rating: record.ratings[record.ratings.length - 1]?.rating,
+      }))
+      .filter(entry => entry.gain > 0)
+      .sort((a, b) => b.gain - a.gain)
+      .slice(0, limit);
+
+    return { mostActive, ratingGains, matches: weekMatches.length };
+  }
+
+  save() {
+    this.file.write({ servers: this.servers, matches: this.matches, players: this.players });
+  }
+
+  /**
+   * Wait for pending writes to reach disk.
+   *
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.file.flush();
+  }
+}
+
+let defaultHistory = null;
+
+/**
+ * Get the shared history backed by data/quake-history.json.
+ *
+ * @returns {QuakeHistory}
+ */
+function getQuakeHistory() {
+  if (!defaultHistory) {
+    defaultHistory = new QuakeHistory();
+  }
+  return defaultHistory;
+}
+
+module.exports = {
+  QuakeHistory,
+  getQuakeHistory,
+};
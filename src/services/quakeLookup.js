@@ -5,6 +5,14 @@
  * @property {boolean} showTeamEmojis - Whether to show team emojis next to player names
  * @property {boolean} showServerStatsEmojis - Whether to show emojis in server stats output
  *
+ * @typedef {Object} QuakeDisplayOptions - Display options for one lookup; any left out (or null)
+ *   fall back to CONFIG
+ * @property {number} [eloMode] - ELO display mode: 0=Off, 1=Categorized, 2=Actual value
+ * @property {number} [maxServers] - Maximum number of servers to display
+ * @property {string} [region] - Servers API region (one of QUAKE_REGIONS)
+ * @property {boolean} [showTeamEmojis] - Whether to show team emojis next to player names
+ * @property {boolean} [showServerStatsEmojis] - Whether to show emojis in server stats output
+ *
  * @typedef {Object} Player
  * @property {string} name - Player's name
  * @property {number} [score] - Player's score
@@ -39,7 +47,7 @@
  *
  * @typedef {Promise<string>|string} AISummaryResult
  *
- * @typedef {function(string=, number=): Promise<string>} LookupQuakeServerFn
+ * @typedef {function(string=, number=, QuakeDisplayOptions=): Promise<string>} LookupQuakeServerFn
  * @typedef {function(boolean=): Promise<string>} TestOpenAISummaryFn
  *
  * @typedef {Object} QuakeLookupAPI
@@ -70,6 +78,8 @@ const OpenAI = require('openai');
 const { openaiFetch } = require('../core/openaiFetch');
 const { getServerDetails } = require('./qlSyncoreScraper');
 const { getEnhancedServerData } = require('./qlstatsScraper');
+const { getConfiguredServers, queryServers } = require('./quake3Query');
+const { resolveModel } = require('./modelRouter');
 
 /**
  * OpenAI client instance for AI-powered summaries
@@ -215,14 +225,25 @@ const DEFAULT_PARAMS = {
 };
 const DISCORD_CHAR_LIMIT = 2000;
 const BUFFER_SPACE = 100;
+// Regions the servers API can filter by; 'All' leaves the filter off
+const QUAKE_REGIONS = [
+  'All',
+  'Africa',
+  'Asia',
+  'Europe',
+  'North America',
+  'Oceania',
+  'South America',
+];
 
 /**
- * Module configuration
+ * Module configuration. These are only the defaults: a lookup's own settings
+ * are passed in as QuakeDisplayOptions, so one request can't change another's.
  * @typedef {Object} QuakeConfig
  * @property {number} eloMode - ELO display mode: 0=Off, 1=Categorized, 2=Actual value
  * @property {number} maxServers - Maximum number of servers to display
  */
-const CONFIG = {
+const CONFIG = Object.freeze({
   // ELO display mode:
   // 0 = Off (don't show ELO)
   // 1 = Categorized (Scrub/Mid/Pro)
@@ -236,7 +257,23 @@ const CONFIG = {
   showServerStatsEmojis:
     process.env.SHOW_SERVER_STATS_EMOJIS === 'true' ||
     process.env.SHOW_SERVER_STATS_EMOJIS === undefined, // Default to true unless explicitly set to false
-};
+});
+
+/**
+ * Fill in the display options a lookup didn't set from CONFIG.
+ *
+ * @param {QuakeDisplayOptions} [options={}] - Options for this lookup
+ * @returns {Required<QuakeDisplayOptions>} Options with every value set
+ */
+function resolveDisplayOptions(options = {}) {
+  const resolved = { ...CONFIG, region: DEFAULT_PARAMS.regions };
+  for (const [key, value] of Object.entries(options)) {
+    if (key in resolved && value !== null && value !== undefined) {
+      resolved[key] = value;
+    }
+  }
+  return resolved;
+}
 
 // Configuration loaded - debug logging removed for production
 
@@ -476,9 +513,10 @@ function getEloCategory(rating) {
  *
  * @param {Player} player - Player data
  * @param {boolean} [isSpectator=false] - Whether player is a spectator
+ * @param {number} [eloMode=CONFIG.eloMode] - ELO display mode
  * @returns {string} Formatted player line for display
  */
-function formatPlayerLine(player, isSpectator = false) {
+function formatPlayerLine(player, isSpectator = false, eloMode = CONFIG.eloMode) {
   const cleanName = stripColorCodes(player.name).padEnd(20);
 
   // For spectators, only show name to save space
@@ -486,15 +524,15 @@ function formatPlayerLine(player, isSpectator = false) {
     return `${cleanName}`;
   }
 
-  // For active players, show score and ELO based on config
+  // For active players, show score and ELO based on the display mode
   const score = `${String(player.score || 0).padStart(3)}`;
 
   // Handle different ELO display modes
   let eloDisplay = '';
-  if (CONFIG.eloMode === 1 && player.rating) {
+  if (eloMode === 1 && player.rating) {
     // Mode 1: Show category (Scrub/Mid/Pro)
     eloDisplay = `(${getEloCategory(player.rating)})`;
-  } else if (CONFIG.eloMode === 2 && player.rating) {
+  } else if (eloMode === 2 && player.rating) {
     // Mode 2: Show actual ELO value
     eloDisplay = `(${String(player.rating).padStart(4)})`;
   }
@@ -513,9 +551,12 @@ function formatPlayerLine(player, isSpectator = false) {
  * @param {Array<Player>} players - Player data array
  * @param {Array<Player>} basicPlayers - Basic player data from server stats
  * @param {ServerStats|null} serverStats - Server stats object
+ * @param {QuakeDisplayOptions} [options={}] - Display options (ELO mode and team emojis are used)
  * @returns {string} Formatted player list string
  */
-function formatPlayerList(players, basicPlayers = [], serverStats = null) {
+function formatPlayerList(players, basicPlayers = [], serverStats = null, options = {}) {
+  const display = resolveDisplayOptions(options);
+
   // Debug log for player data
   quakeLogger.info(
     {
@@ -525,7 +566,7 @@ function formatPlayerList(players, basicPlayers = [], serverStats = null) {
       basicPlayers: basicPlayers
         ? JSON.stringify(basicPlayers.map(p => ({ name: p.name, score: p.score })))
         : 'No basic players',
-      eloMode: CONFIG.eloMode,
+      eloMode: display.eloMode,
     },
     'formatPlayerList debug info'
   );
@@ -572,7 +613,7 @@ function formatPlayerList(players, basicPlayers = [], serverStats = null) {
   }
 
   const sortFn =
-    isWarmup && CONFIG.eloMode > 0
+    isWarmup && display.eloMode > 0
       ? (a, b) => (b.rating || 0) - (a.rating || 0)
       : (a, b) => (b.score || 0) - (a.score || 0);
 
@@ -600,8 +641,8 @@ function formatPlayerList(players, basicPlayers = [], serverStats = null) {
     }
   }
 
-  // Use emojis for team headings based on config setting
-  const teamLabels = CONFIG.showTeamEmojis
+  // Use emojis for team headings based on the display options
+  const teamLabels = display.showTeamEmojis
     ? {
         red: '🔴',
         blue: '🔵',
@@ -620,7 +661,7 @@ function formatPlayerList(players, basicPlayers = [], serverStats = null) {
     lines.push(`${teamLabels.red} RED TEAM (${redScore})`);
     lines.push('─────────────────────────────────────');
     teams.red.forEach(p => {
-      lines.push(formatPlayerLine(p));
+      lines.push(formatPlayerLine(p, false, display.eloMode));
     });
 
     // Add a separator line if there's also a blue team
@@ -633,7 +674,7 @@ function formatPlayerList(players, basicPlayers = [], serverStats = null) {
     lines.push(`${teamLabels.blue} BLUE TEAM (${blueScore})`);
     lines.push('─────────────────────────────────────');
     teams.blue.forEach(p => {
-      lines.push(formatPlayerLine(p));
+      lines.push(formatPlayerLine(p, false, display.eloMode));
     });
 
     // Add a separator line if there are other players
@@ -658,7 +699,7 @@ function formatPlayerList(players, basicPlayers = [], serverStats = null) {
         lines.push(`${teamLabels.red} RED TEAM (${redScore})`);
         lines.push('─────────────────────────────────────');
         tempRed.forEach(p => {
-          lines.push(formatPlayerLine(p));
+          lines.push(formatPlayerLine(p, false, display.eloMode));
         });
 
         if (tempBlue.length) {
@@ -670,7 +711,7 @@ function formatPlayerList(players, basicPlayers = [], serverStats = null) {
         lines.push(`${teamLabels.blue} BLUE TEAM (${blueScore})`);
         lines.push('─────────────────────────────────────');
         tempBlue.forEach(p => {
-          lines.push(formatPlayerLine(p));
+          lines.push(formatPlayerLine(p, false, display.eloMode));
         });
       }
     } else {
@@ -678,7 +719,7 @@ function formatPlayerList(players, basicPlayers = [], serverStats = null) {
       lines.push(`${teamLabels.other} OTHER PLAYERS`);
       lines.push('─────────────────────────────────────');
       teams.other.forEach(p => {
-        lines.push(formatPlayerLine(p));
+        lines.push(formatPlayerLine(p, false, display.eloMode));
       });
     }
 
@@ -741,6 +782,32 @@ function extractServerStats(server) {
   };
 }
 
+/**
+ * Labels for the server stats lines, emojis or words depending on the emoji setting.
+ *
+ * @param {Required<QuakeDisplayOptions>} display - Resolved display options
+ * @returns {{server: string, map: string, status: string, players: string, uptime: string, rating: string}}
+ */
+function serverStatsLabels(display) {
+  return display.showServerStatsEmojis
+    ? {
+        server: '🎮',
+        map: '🗺️',
+        status: '🎯',
+        players: '👥',
+        uptime: '⏱️',
+        rating: '📊',
+      }
+    : {
+        server: 'Server:',
+        map: 'Map:',
+        status: 'Status:',
+        players: 'Players:',
+        uptime: 'Uptime:',
+        rating: 'Avg Rating:',
+      };
+}
+
 /**
  * Format server response for display.
  *
@@ -748,9 +815,11 @@ function extractServerStats(server) {
  *
  * @param {ServerStats} serverStats - Server stats object
  * @param {QLStatsData} qlstatsData - QLStats data object
+ * @param {QuakeDisplayOptions} [options={}] - Display options
  * @returns {FormattedServerResponse} Formatted server response object
  */
-function formatServerResponse(serverStats, qlstatsData) {
+function formatServerResponse(serverStats, qlstatsData, options = {}) {
+  const display = resolveDisplayOptions(options);
   // const steamLink = `steam://connect/${serverStats.address}`;
 
   // Debug log for qlstatsData and player info
@@ -758,7 +827,7 @@ function formatServerResponse(serverStats, qlstatsData) {
     {
       hasQlstatsData: !!qlstatsData,
       rankedPlayersCount: qlstatsData?.rankedPlayers?.length || 0,
-      eloMode: CONFIG.eloMode,
+      eloMode: display.eloMode,
       basicPlayersCount: serverStats.players?.length || 0,
     },
     'formatServerResponse debug info'
@@ -766,31 +835,14 @@ function formatServerResponse(serverStats, qlstatsData) {
 
   // Check if qlstatsData exists and has rankedPlayers before accessing properties
   const avgRating =
-    CONFIG.eloMode > 0 &&
+    display.eloMode > 0 &&
     qlstatsData &&
     qlstatsData.rankedPlayers &&
     qlstatsData.rankedPlayers.length > 0
       ? `Avg Rating: ${Math.round(qlstatsData.avg)}`
       : '';
 
-  // Choose labels based on emoji setting
-  const labels = CONFIG.showServerStatsEmojis
-    ? {
-        server: '🎮',
-        map: '🗺️',
-        status: '🎯',
-        players: '👥',
-        uptime: '⏱️',
-        rating: '📊',
-      }
-    : {
-        server: 'Server:',
-        map: 'Map:',
-        status: 'Status:',
-        players: 'Players:',
-        uptime: 'Uptime:',
-        rating: 'Avg Rating:',
-      };
+  const labels = serverStatsLabels(display);
 
   return {
     formatted: [
@@ -804,7 +856,7 @@ function formatServerResponse(serverStats, qlstatsData) {
       `${labels.uptime} ${serverStats.uptime}`,
       avgRating ? `${labels.rating} ${Math.round(qlstatsData.avg)}` : '',
       '───────────────────────────────────────',
-      formatPlayerList(qlstatsData?.rankedPlayers || [], serverStats.players, serverStats),
+      formatPlayerList(qlstatsData?.rankedPlayers || [], serverStats.players, serverStats, display),
       '═══════════════════════════════════════',
       '```',
     ]
@@ -813,6 +865,50 @@ function formatServerResponse(serverStats, qlstatsData) {
   };
 }
 
+/**
+ * Format a live scoreboard for a message that is edited as the match goes on.
+ *
+ * Like formatServerResponse without the ELO ratings, with a line underneath
+ * saying when it was last updated and when the updates stop (or that they have).
+ *
+ * @param {ServerStats} serverStats - Server stats object
+ * @param {Object} [options] - QuakeDisplayOptions, and:
+ * @param {number} [options.updatedAt=Date.now()] - When the stats were fetched (ms)
+ * @param {number} [options.endsAt] - When the updates stop (ms)
+ * @param {string} [options.endedReason] - Why the updates have stopped, once they have
+ * @returns {string} Scoreboard message
+ */
+function formatScoreboard(serverStats, options = {}) {
+  const { updatedAt = Date.now(), endsAt, endedReason } = options;
+  const display = resolveDisplayOptions(options);
+  const labels = serverStatsLabels(display);
+  const toUnix = ms => Math.floor(ms / 1000);
+
+  const footer = endedReason
+    ? `⏹️ Live updates ended: ${endedReason} · last updated <t:${toUnix(updatedAt)}:R>`
+    : [
+        `🔴 Live · updated <t:${toUnix(updatedAt)}:R>`,
+        endsAt ? `stops <t:${toUnix(endsAt)}:R>` : '',
+      ]
+        .filter(Boolean)
+        .join(' · ');
+
+  return [
+    '```',
+    `${labels.server} ${serverStats.serverName}`,
+    [
+      `${labels.map} ${serverStats.currentMap}`,
+      `${labels.players} ${serverStats.playerCount}`,
+      `${labels.uptime} ${serverStats.uptime}`,
+    ].join(' · '),
+    `${labels.status} ${formatGameStatus(serverStats)}`,
+    '───────────────────────────────────────',
+    formatPlayerList([], serverStats.players, serverStats, display),
+    '```',
+    footer,
+  ].join('\n');
+}
+
 /**
  * Process server stats with AI to create a concise summary.
  *
@@ -927,10 +1023,11 @@ async function processServerStatsWithAI(serverResponses, allServerStats) {
       const openaiClient = initializeOpenAI();
 
       quakeLogger.debug('Using retryWithBreaker for OpenAI API request');
+      const route = resolveModel('quake');
       const aiResponse = await retryWithBreaker(async () => {
         quakeLogger.debug('Making OpenAI API request for server summary');
         return await openaiClient.chat.completions.create({
-          model: 'gpt-4.1-nano', // Using GPT-4.1-nano for cost efficiency and adequate performance
+          model: route.model,
           messages: [
             {
               role: 'system',
@@ -942,7 +1039,8 @@ async function processServerStatsWithAI(serverResponses, allServerStats) {
               content: `Summarize these additional Quake Live servers in a very brief format: ${JSON.stringify(serverSummaries)}`,
             },
           ],
-          max_completion_tokens: 150, // Limiting response length to ensure it fits within Discord's character limits
+          max_completion_tokens: route.maxTokens, // Keep the summary short enough for Discord's character limit
+          temperature: route.temperature,
         });
       }, OPENAI_BREAKER_CONFIG);
 
@@ -1002,16 +1100,170 @@ async function processServerStatsWithAI(serverResponses, allServerStats) {
   }
 }
 
+/**
+ * Get the server list from the servers API.
+ *
+ * @param {string} [region=DEFAULT_PARAMS.regions] - Region to list (one of QUAKE_REGIONS)
+ * @returns {Promise<Array<Object>>} Servers from the API
+ * @throws {Error} When the API can't be reached or its response isn't usable (invalidResponse
+ *   is set on the error in that case)
+ */
+async function fetchApiServers(region = DEFAULT_PARAMS.regions) {
+  const params = { ...DEFAULT_PARAMS, regions: region };
+  if (region === 'All') {
+    delete params.regions;
+  }
+
+  // Use retryWithBreaker to handle retries and circuit breaking
+  quakeLogger.debug('Using retryWithBreaker for Quake servers API request');
+  const response = await retryWithBreaker(async () => {
+    quakeLogger.debug('Making Quake servers API request');
+    return await axios.get(SERVERS_API_URL, {
+      params,
+      timeout: 5000,
+    });
+  }, QUAKE_BREAKER_CONFIG);
+
+  // Validate the server response
+  const validationResult = validateServerResponse(response);
+  if (!validationResult.isValid) {
+    quakeLogger.error({ error: validationResult.error }, 'Invalid server response');
+    const error = new Error(validationResult.error);
+    error.invalidResponse = true;
+    throw error;
+  }
+  return response.data.servers;
+}
+
+/**
+ * Ask the QUAKE_SERVERS servers for their status directly over UDP, for when the
+ * servers API is down. Not wrapped in retryWithBreaker: the API's failures open
+ * that breaker, which would block this fallback too.
+ *
+ * @returns {Promise<Array<Object>|null>} Servers that answered, or null when none are
+ *   configured or none answered
+ */
+async function queryConfiguredServers() {
+  const addresses = getConfiguredServers();
+  if (!addresses.length) {
+    return null;
+  }
+
+  const servers = await queryServers(addresses);
+  quakeLogger.info(
+    { configured: addresses.length, answered: servers.length },
+    'Queried Quake servers directly'
+  );
+  return servers.length ? servers : null;
+}
+
+/**
+ * Get the server list, from the servers API or, when it's down, by querying the
+ * QUAKE_SERVERS servers directly.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.region] - Region to list from the API; the QUAKE_SERVERS fallback
+ *   ignores it
+ * @returns {Promise<Array<Object>>} Servers
+ * @throws {Error} When the API failed and no configured server answered
+ */
+async function fetchServers(options = {}) {
+  try {
+    return await fetchApiServers(options.region);
+  } catch (error) {
+    const servers = await queryConfiguredServers();
+    if (!servers) {
+      throw error;
+    }
+    quakeLogger.warn(
+      { message: error.message, servers: servers.length },
+      'Quake servers API unavailable, using direct server queries'
+    );
+    return servers;
+  }
+}
+
+/**
+ * Servers with players on them, optionally only those whose name or address
+ * contains the filter, busiest first.
+ *
+ * @param {Array<Object>} servers - Servers from fetchServers
+ * @param {string|null} [serverFilter=null] - Server name or IP to match
+ * @returns {Array<Object>}
+ */
+function findActiveServers(servers, serverFilter = null) {
+  let activeServers = servers.filter(server => server?.info?.players > 0);
+
+  if (serverFilter) {
+    const serverFilterLower = serverFilter.toLowerCase();
+    activeServers = activeServers.filter(server => {
+      const serverName = stripColorCodes(server.info.name || '').toLowerCase();
+      const serverAddress = (server.address || '').toLowerCase();
+      return serverName.includes(serverFilterLower) || serverAddress.includes(serverFilterLower);
+    });
+  }
+
+  return activeServers.sort((a, b) => b.info.players - a.info.players);
+}
+
+/**
+ * Stats for the servers that currently have players, busiest first, without the
+ * ELO lookups or formatting lookupQuakeServer does. Used by the live scoreboard.
+ *
+ * @param {string|null} [serverFilter=null] - Server name or IP to match
+ * @param {Object} [options]
+ * @param {string} [options.region] - Region to list servers from
+ * @returns {Promise<ServerStats[]>}
+ * @throws {Error} When no server list could be fetched
+ */
+async function getServerStats(serverFilter = null, options = {}) {
+  const servers = await fetchServers({ region: options.region });
+  return findActiveServers(servers, serverFilter).map(extractServerStats);
+}
+
+/**
+ * What a server looked like at one poll, for the match and player history:
+ * its stats, plus the players' ratings when QLStats.net scraping is enabled.
+ *
+ * @param {Object} server - Server from fetchServers
+ * @returns {Promise<ServerStats & {levelStartTime: string|null, players: Array<{name: string, score: number, team: number, rating: number|null}>}>}
+ */
+async function getServerSnapshot(server) {
+  const serverStats = extractServerStats(server);
+
+  let ratedPlayers = [];
+  if (server.address && process.env.ENABLE_QLSTATS_NET_SCRAPING === 'true') {
+    const enhancedData = await getEnhancedServerData(server.address, serverStats);
+    if (enhancedData?.enhanced) {
+      ratedPlayers = enhancedData.mergedPlayers.filter(p => p.hasQLStatsData);
+    }
+  }
+
+  return {
+    ...serverStats,
+    levelStartTime: server.rules?.g_levelStartTime ?? null,
+    players: mergePlayerData(serverStats.players || [], ratedPlayers).map(player => ({
+      name: player.name,
+      score: player.score,
+      team: player.team,
+      rating: player.rating ?? null,
+    })),
+  };
+}
+
 /**
  * Look up Quake Live server statistics.
  *
  * Main function that retrieves server information, player stats, and formats the data for display in Discord. If the formatted output would exceed Discord's character limit, it uses AI to create a condensed summary.
+ * When the servers API is unavailable, the servers listed in QUAKE_SERVERS are queried directly.
  *
  * @param {string|null} [serverFilter=null] - Optional server name or IP to filter by
  * @param {number|null} [eloMode=null] - Optional ELO display mode override (0=Off, 1=Categorized, 2=Actual value)
+ * @param {QuakeDisplayOptions} [options={}] - Display options for this lookup, such as a guild's
+ *   defaults; eloMode takes precedence over options.eloMode
  * @returns {Promise<string>} Formatted server statistics for display in Discord
  */
-async function lookupQuakeServer(serverFilter = null, eloMode = null) {
+async function lookupQuakeServer(serverFilter = null, eloMode = null, options = {}) {
   // Sanitize server filter input first
   if (serverFilter !== null && serverFilter !== undefined) {
     const sanitizedServerFilter = sanitizeQuery(serverFilter);
@@ -1045,48 +1297,27 @@ async function lookupQuakeServer(serverFilter = null, eloMode = null) {
   );
 
   try {
-    // Apply ELO mode override if provided
-    if (validatedEloMode.value !== null) {
-      CONFIG.eloMode = validatedEloMode.value;
-      quakeLogger.info({ eloMode: CONFIG.eloMode }, 'ELO mode set');
-    }
-
-    // Use retryWithBreaker to handle retries and circuit breaking
-    quakeLogger.debug('Using retryWithBreaker for Quake servers API request');
-    const response = await retryWithBreaker(async () => {
-      quakeLogger.debug('Making Quake servers API request');
-      return await axios.get(SERVERS_API_URL, {
-        params: DEFAULT_PARAMS,
-        timeout: 5000,
-      });
-    }, QUAKE_BREAKER_CONFIG);
+    // Apply the ELO mode override, if provided, to this lookup only
+    const display = resolveDisplayOptions({ ...options, eloMode: validatedEloMode.value });
 
-    // Validate the server response
-    const validationResult = validateServerResponse(response);
-    if (!validationResult.isValid) {
-      quakeLogger.error({ error: validationResult.error }, 'Invalid server response');
-      return `# 🎯 Quake Live Server Status\n\n> ⚠️ Error: ${validationResult.error}`;
+    let servers;
+    try {
+      servers = await fetchServers({ region: display.region });
+    } catch (error) {
+      if (error.invalidResponse) {
+        return `# 🎯 Quake Live Server Status\n\n> ⚠️ Error: ${error.message}`;
+      }
+      throw error;
     }
 
-    if (!response.data?.servers?.length) {
+    if (!servers.length) {
       return '# 🎯 Quake Live Server Status\n\n> 🚫 No active servers found.';
     }
 
-    // Filter servers by name/IP if provided
-    let filteredServers = response.data.servers.filter(server => server?.info?.players > 0);
-
-    if (validatedServer.value) {
-      const serverFilterLower = validatedServer.value.toLowerCase();
-      filteredServers = filteredServers.filter(server => {
-        const serverName = stripColorCodes(server.info.name || '').toLowerCase();
-        const serverAddress = (server.address || '').toLowerCase();
-        return serverName.includes(serverFilterLower) || serverAddress.includes(serverFilterLower);
-      });
-    }
-
-    const sortedServers = filteredServers
-      .sort((a, b) => b.info.players - a.info.players)
-      .slice(0, CONFIG.maxServers);
+    const sortedServers = findActiveServers(servers, validatedServer.value).slice(
+      0,
+      display.maxServers
+    );
 
     if (!sortedServers.length) {
       const noServersMessage = serverFilter
@@ -1109,7 +1340,7 @@ async function lookupQuakeServer(serverFilter = null, eloMode = null) {
       let qlstatsData = null;
 
       // First try QLStats API if enabled
-      if (CONFIG.eloMode > 0 && server.address && process.env.ENABLE_QLSTATS === 'true') {
+      if (display.eloMode > 0 && server.address && process.env.ENABLE_QLSTATS === 'true') {
         try {
           qlstatsData = await getQLStatsData(server.address);
         } catch (error) {
@@ -1126,7 +1357,7 @@ async function lookupQuakeServer(serverFilter = null, eloMode = null) {
       // If QLStats failed or disabled, try web scraper for enhanced data
       if (
         !qlstatsData &&
-        CONFIG.eloMode > 0 &&
+        display.eloMode > 0 &&
         server.address &&
         process.env.ENABLE_SYNCORE_SCRAPING === 'true'
       ) {
@@ -1159,7 +1390,7 @@ async function lookupQuakeServer(serverFilter = null, eloMode = null) {
       // If still no QLStats data, try QLStats.net scraping for enhanced player data
       if (
         !qlstatsData &&
-        CONFIG.eloMode > 0 &&
+        display.eloMode > 0 &&
         server.address &&
         process.env.ENABLE_QLSTATS_NET_SCRAPING === 'true'
       ) {
@@ -1195,7 +1426,7 @@ async function lookupQuakeServer(serverFilter = null, eloMode = null) {
 
       // Log if all methods are disabled
       if (
-        CONFIG.eloMode > 0 &&
+        display.eloMode > 0 &&
         process.env.ENABLE_QLSTATS !== 'true' &&
         process.env.ENABLE_SYNCORE_SCRAPING !== 'true' &&
         process.env.ENABLE_QLSTATS_NET_SCRAPING !== 'true'
@@ -1209,7 +1440,7 @@ async function lookupQuakeServer(serverFilter = null, eloMode = null) {
       }
 
       // Format the server response with optional QLStats data
-      const formattedResponse = formatServerResponse(serverStats, qlstatsData);
+      const formattedResponse = formatServerResponse(serverStats, qlstatsData, display);
       serverResponses.push(formattedResponse.formatted);
     }
 
@@ -1385,7 +1616,20 @@ async function testOpenAISummary(options = {}) {
  *
  * @type {QuakeLookupAPI}
  */
-module.exports = Object.assign(lookupQuakeServer, { testOpenAISummary });
+module.exports = Object.assign(lookupQuakeServer, {
+  testOpenAISummary,
+  extractServerStats,
+  formatServerResponse,
+  formatPlayerList,
+  resolveDisplayOptions,
+  QUAKE_REGIONS,
+  getServerStats,
+  formatScoreboard,
+  fetchServers,
+  findActiveServers,
+  stripColorCodes,
+  getServerSnapshot,
+});
 
 // Allow direct testing
 if (require.main === module) {
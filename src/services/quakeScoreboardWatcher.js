@@ -0,0 +1,405 @@
+/**
+ * Live Quake Scoreboards
+ *
+ * `/serverstats watch` posts one scoreboard message and keeps editing it with the
+ * server's latest stats while the match goes on. Each channel has at most one
+ * live scoreboard; starting another replaces it. Updates stop by themselves when
+ * the server empties or the time limit is reached, and the message is left
+ * showing the last stats and why it stopped.
+ *
+ * The watched messages are stored in data/quake-watches.json as
+ * `{ "watches": [...] }`, so the updates pick up where they left off after a
+ * restart. Each watch keeps the region and emoji settings its guild had in
+ * `/quake settings` when it started.
+ *
+ * Environment:
+ * - QUAKE_WATCH_INTERVAL_SECONDS - Seconds between edits (default 30, at least 15)
+ * - QUAKE_WATCH_MAX_MINUTES - Longest a scoreboard stays live (default 120)
+ *
+ * @module QuakeScoreboardWatcher
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { quake: quakeLogger } = require('../core/logger');
+const quakeLookup = require('./quakeLookup');
+const { JsonFileStore } = require('../utils/jsonFileStore');
+
+const DEFAULT_FILE = path.join(__dirname, '..', '..', 'data', 'quake-watches.json');
+const DEFAULT_INTERVAL_SECONDS = 30;
+const MIN_INTERVAL_SECONDS = 15;
+const DEFAULT_MAX_MINUTES = 120;
+// Lookups that fail in a row before the scoreboard gives up
+const MAX_FAILURES = 5;
+// Discord error codes for a message or channel that no longer exists
+const GONE_ERROR_CODES = new Set([10003, 10008]);
+
+/**
+ * @typedef {Object} ScoreboardWatch
+ * @property {string} channelId - Channel the scoreboard is in
+ * @property {string} messageId - Scoreboard message being edited
+ * @property {string|null} guildId - Guild it's in (null in DMs)
+ * @property {string} address - Address of the server being watched
+ * @property {string} serverName - Server name when the watch started
+ * @property {string} [userId] - Who started it
+ * @property {ScoreboardDisplay} [display] - Guild display options when the watch started
+ * @property {string} startedAt - ISO timestamp
+ * @property {string} endsAt - ISO timestamp the updates stop at
+ */
+
+/**
+ * The parts of the guild's `/quake settings` a scoreboard uses. Unset values fall
+ * back to quakeLookup's defaults.
+ *
+ * @typedef {Object} ScoreboardDisplay
+ * @property {string} [region] - Region to look the server up in
+ * @property {boolean} [showTeamEmojis] - Whether team headings use emojis
+ * @property {boolean} [showServerStatsEmojis] - Whether the stats lines use emojis
+ */
+
+class QuakeScoreboardWatcher {
+  /**
+   * @param {Object} [options]
+   * @param {string|null} [options.filePath] - JSON file path; null keeps watches in memory only
+   * @param {function(string|null, {region?: string}): Promise<Object[]>} [options.getServerStats] -
+   *   Looks up active servers (defaults to quakeLookup.getServerStats)
+   * @param {number} [options.intervalSeconds] - Seconds between edits
+   * @param {number} [options.maxMinutes] - Longest a scoreboard stays live
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath === undefined ? DEFAULT_FILE : options.filePath;
+    this.getServerStats = options.getServerStats || quakeLookup.getServerStats;
+    this.intervalSeconds = Math.max(
+      MIN_INTERVAL_SECONDS,
+      options.intervalSeconds ||
+        parseInt(process.env.QUAKE_WATCH_INTERVAL_SECONDS, 10) ||
+        DEFAULT_INTERVAL_SECONDS
+    );
+    this.maxMinutes =
+      options.maxMinutes ||
+      parseInt(process.env.QUAKE_WATCH_MAX_MINUTES, 10) ||
+      DEFAULT_MAX_MINUTES;
+
+    /** @type {Map<string, ScoreboardWatch>} by channel ID */
+    this.watches = new Map();
+    // Not persisted: timers, fetched messages, the latest stats and failure counts
+    this.timers = new Map();
+    this.messages = new Map();
+    this.lastStats = new Map();
+    this.failures = new Map();
+    this.client = null;
+    this.file = new JsonFileStore(this.filePath, {
+      logger: quakeLogger,
+      description: 'live Quake scoreboards',
+    });
+
+    if (this.filePath) {
+      this.loadFromDisk();
+    }
+  }
+
+  loadFromDisk() {
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      for (const watch of Array.isArray(saved.watches) ? saved.watches : []) {
+        this.watches.set(watch.channelId, watch);
+      }
+      quakeLogger.info({ watches: this.watches.size }, 'Loaded live Quake scoreboards');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        quakeLogger.warn(
+          { error, filePath: this.filePath },
+          'Could not read live Quake scoreboards'
+        );
+      }
+    }
+  }
+
+  /**
+   * Resume the scoreboards that were live when the bot last stopped.
+   *
+   * @param {import('discord.js').Client} client - Discord client, to find their messages
+   */
+  start(client) {
+    this.client = client;
+    for (const channelId of this.watches.keys()) {
+      this.schedule(channelId, 0);
+    }
+    if (this.watches.size) {
+      quakeLogger.info({ watches: this.watches.size }, 'Resumed live Quake scoreboards');
+    }
+  }
+
+  /**
+   * Turn a posted message into a live scoreboard for the busiest server matching
+   * the filter, replacing any scoreboard already live in that channel.
+   *
+   * @param {import('discord.js').Message} message - Bot message to keep editing
+   * @param {Object} [options]
+   * @param {string|null} [options.serverFilter] - Server name or IP to match
+   * @param {number} [options.minutes] - How long to stay live (capped at the maximum)
+   * @param {string} [options.userId] - Who started it
+   * @param {import('./quakeLookup').QuakeDisplayOptions} [options.display] - The guild's
+   *   display options; the region and emoji settings are kept with the watch
+   * @returns {Promise<ScoreboardWatch|null>} The watch, or null when no matching server has
+   *   players
+   * @throws {Error} When no server list could be fetched
+   */
+  async watch(message, options = {}) {
+    const { region, showTeamEmojis, showServerStatsEmojis } = options.display || {};
+    const display = { region, showTeamEmojis, showServerStatsEmojis };
+    const [stats] = await this.getServerStats(options.serverFilter || null, { region });
+    if (!stats) {
+      return null;
+    }
+
+    const minutes = Math.min(options.minutes || this.maxMinutes, this.maxMinutes);
+    const now = Date.now();
+    const watch = {
+      channelId: message.channelId,
+      messageId: message.id,
+      guildId: message.guildId || null,
+      address: stats.address,
+      serverName: stats.serverName,
+      userId: options.userId,
+      display,
+      startedAt: new Date(now).toISOString(),
+      endsAt: new Date(now + minutes * 60 * 1000).toISOString(),
+    };
+
+    if (this.watches.has(watch.channelId)) {
+      await this.stop(watch.channelId, 'a new scoreboard was started');
+    }
+    this.watches.set(watch.channelId, watch);
+    this.messages.set(watch.channelId, message);
+    this.save();
+
+    if (await this.render(watch, stats, now)) {
+      this.schedule(watch.channelId);
+    }
+    quakeLogger.info(
+      { channelId: watch.channelId, address: watch.address, minutes },
+      'Live Quake scoreboard started'
+    );
+    return watch;
+  }
+
+  /**
+   * @param {string} channelId - Channel ID
+   * @returns {ScoreboardWatch|null} The scoreboard live in the channel
+   */
+  get(channelId) {
+    return this.watches.get(channelId) || null;
+  }
+
+  /**
+   * Refresh a scoreboard, or stop it when its time is up, the server has
+   * emptied, or its message is gone.
+   *
+   * @param {string} channelId - Channel ID
+   * @returns {Promise<void>}
+   */
+  async tick(channelId) {
+    const watch = this.watches.get(channelId);
+    if (!watch) return;
+
+    if (Date.now() >= Date.parse(watch.endsAt)) {
+      await this.stop(channelId, 'time limit reached');
+      return;
+    }
+
+    let stats;
+    try {
+      stats = await this.getServerStats(watch.address, { region: watch.display?.region });
+    } catch (error) {
+      const failures = (this.failures.get(channelId) || 0) + 1;
+      this.failures.set(channelId, failures);
+      quakeLogger.warn(
+        { channelId, address: watch.address, failures, message: error.message },
+        'Live Quake scoreboard lookup failed'
+      );
+      if (failures >= MAX_FAILURES) {
+        await this.stop(channelId, 'server stats unavailable');
+      } else if (this.watches.get(channelId) === watch) {
+        this.schedule(channelId);
+      }
+      return;
+    }
+    // Stopped or replaced while the lookup was running
+    if (this.watches.get(channelId) !== watch) return;
+    this.failures.delete(channelId);
+
+    const serverStats = stats.find(server => server.address === watch.address);
+    if (!serverStats) {
+      await this.stop(channelId, 'the server emptied');
+      return;
+    }
+
+    if (await this.render(watch, serverStats, Date.now())) {
+      this.schedule(channelId);
+    }
+  }
+
+  /**
+   * Stop a channel's scoreboard and leave its message showing why.
+   *
+   * @param {string} channelId - Channel ID
+   * @param {string} [reason='stopped'] - Shown on the message
+   * @returns {Promise<boolean>} Whether a scoreboard was live there
+   */
+  async stop(channelId, reason = 'stopped') {
+    const watch = this.watches.get(channelId);
+    if (!watch) return false;
+
+    const last = this.lastStats.get(channelId);
+    const cached = this.messages.get(channelId);
+    this.forget(channelId);
+    this.save();
+
+    const content = last
+      ? quakeLookup.formatScoreboard(last.stats, {
+          ...watch.display,
+          updatedAt: last.updatedAt,
+          endedReason: reason,
+        })
+      : `⏹️ Live updates for ${watch.serverName} ended: ${reason}`;
+    try {
+      const message = await this.fetchMessage(watch, cached);
+      await message.edit(content);
+    } catch (error) {
+      quakeLogger.debug({ error, channelId }, 'Could not mark live Quake scoreboard as ended');
+    }
+
+    quakeLogger.info(
+      { channelId, address: watch.address, reason },
+      'Live Quake scoreboard stopped'
+    );
+    return true;
+  }
+
+  /**
+   * Stop every timer without ending the scoreboards, so they resume on the next start.
+   */
+  close() {
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+  }
+
+  /**
+   * Edit the scoreboard message with new stats.
+   *
+   * @param {ScoreboardWatch} watch
+   * @param {Object} stats - ServerStats from quakeLookup
+   * @param {number} updatedAt - When the stats were fetched (ms)
+   * @returns {Promise<boolean>} False when the message is gone and the watch was dropped
+   */
+  async render(watch, stats, updatedAt) {
+    this.lastStats.set(watch.channelId, { stats, updatedAt });
+    const content = quakeLookup.formatScoreboard(stats, {
+      ...watch.display,
+      updatedAt,
+      endsAt: Date.parse(watch.endsAt),
+    });
+
+    try {
+      const message = await this.fetchMessage(watch, this.messages.get(watch.channelId));
+      await message.edit(content);
+      if (this.watches.get(watch.channelId) === watch) {
+        this.messages.set(watch.channelId, message);
+      }
+      return true;
+    } catch (error) {
+      if (GONE_ERROR_CODES.has(error.code)) {
+        quakeLogger.info(
+          { channelId: watch.channelId },
+          'Live Quake scoreboard message was deleted, stopping'
+        );
+        this.forget(watch.channelId);
+        this.save();
+        return false;
+      }
+      quakeLogger.warn({ error, channelId: watch.channelId }, 'Could not update Quake scoreboard');
+      return true;
+    }
+  }
+
+  /**
+   * @param {ScoreboardWatch} watch
+   * @param {import('discord.js').Message} [cached] - Message fetched earlier
+   * @returns {Promise<import('discord.js').Message>}
+   */
+  async fetchMessage(watch, cached) {
+    if (cached?.id === watch.messageId) {
+      return cached;
+    }
+    if (!this.client) {
+      throw new Error('Scoreboard watcher has not been started');
+    }
+
+    const channel = await this.client.channels.fetch(watch.channelId);
+    return channel.messages.fetch(watch.messageId);
+  }
+
+  /**
+   * @param {string} channelId - Channel ID
+   * @param {number} [delayMs] - Delay before the next refresh (defaults to the interval)
+   */
+  schedule(channelId, delayMs = this.intervalSeconds * 1000) {
+    clearTimeout(this.timers.get(channelId));
+    this.timers.set(
+      channelId,
+      setTimeout(() => {
+        this.timers.delete(channelId);
+        this.tick(channelId).catch(error => {
+          quakeLogger.error({ error, channelId }, 'Error refreshing live Quake scoreboard');
+        });
+      }, delayMs)
+    );
+  }
+
+  /**
+   * Drop a watch and everything kept in memory for it.
+   *
+   * @param {string} channelId - Channel ID
+   */
+  forget(channelId) {
+    clearTimeout(this.timers.get(channelId));
+    for (const map of [this.timers, this.watches, this.messages, this.lastStats, this.failures]) {
+      map.delete(channelId);
+    }
+  }
+
+  save() {
+    this.file.write({ watches: [...this.watches.values()] });
+  }
+
+  /**
+   * Wait for pending writes to reach disk.
+   *
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.file.flush();
+  }
+}
+
+let defaultWatcher = null;
+
+/**
+ * Get the shared scoreboard watcher backed by data/quake-watches.json.
+ *
+ * @returns {QuakeScoreboardWatcher}
+ */
+function getScoreboardWatcher() {
+  if (!defaultWatcher) {
+    defaultWatcher = new QuakeScoreboardWatcher();
+  }
+  return defaultWatcher;
+}
+
+module.exports = {
+  QuakeScoreboardWatcher,
+  getScoreboardWatcher,
+};
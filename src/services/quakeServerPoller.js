@@ -0,0 +1,173 @@
+/**
+ * Quake Server Poller
+ *
+ * Fetches the Quake Live server list in the background for the features that
+ * watch servers over time (population alerts and the match history). It uses the same fetch
+ * as /serverstats, so requests to the servers API go through retryWithBreaker
+ * and fall back to the QUAKE_SERVERS direct queries. When a poll fails the next
+ * one waits twice as long, up to 30 minutes, so a failing API isn't kept busy.
+ *
+ * Nothing is fetched while none of the registered listeners has anything to do.
+ * Each poll fetches every region an active listener asks for, once, and gives
+ * each listener the servers from its own regions.
+ *
+ * Environment:
+ * - QUAKE_POLL_INTERVAL_SECONDS - Seconds between polls (default 120, at least 30)
+ *
+ * @module QuakeServerPoller
+ */
+
+const { quake: quakeLogger } = require('../core/logger');
+const quakeLookup = require('./quakeLookup');
+
+const DEFAULT_INTERVAL_SECONDS = 120;
+const MIN_INTERVAL_SECONDS = 30;
+const MAX_BACKOFF_MS = 30 * 60 * 1000;
+
+/**
+ * @typedef {Object} PollListener
+ * @property {string} name - Name for the logs
+ * @property {function(Array<Object>, number): Promise<void>|void} handleServers - Called with
+ *   the servers and the time they were fetched (ms) after each successful poll
+ * @property {function(): boolean} [isActive] - Whether it needs servers right now (default
+ *   always)
+ * @property {function(): string[]} [regions] - Regions it needs servers from (default the
+ *   lookup's default region)
+ */
+
+class QuakeServerPoller {
+  /**
+   * @param {Object} [options]
+   * @param {function({region: string}): Promise<Array<Object>>} [options.fetchServers] - Gets
+   *   one region's server list (defaults to quakeLookup.fetchServers)
+   * @param {number} [options.intervalSeconds] - Seconds between polls
+   */
+  constructor(options = {}) {
+    this.fetchServers = options.fetchServers || quakeLookup.fetchServers;
+    this.intervalMs =
+      Math.max(
+        MIN_INTERVAL_SECONDS,
+        options.intervalSeconds ||
+          parseInt(process.env.QUAKE_POLL_INTERVAL_SECONDS, 10) ||
+          DEFAULT_INTERVAL_SECONDS
+      ) * 1000;
+    /** @type {PollListener[]} */
+    this.listeners = [];
+    this.failures = 0;
+    this.timer = null;
+  }
+
+  /**
+   * @param {PollListener} listener
+   */
+  register(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * Start polling, if it hasn't started already.
+   */
+  start() {
+    if (this.timer) return;
+    this.schedule(this.intervalMs);
+    quakeLogger.info({ intervalMs: this.intervalMs }, 'Quake server poller started');
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * How long to wait before the next poll: the interval, doubled for each poll
+   * that has failed in a row.
+   *
+   * @returns {number} Milliseconds
+   */
+  nextDelayMs() {
+    return Math.min(this.intervalMs * 2 ** this.failures, MAX_BACKOFF_MS);
+  }
+
+  /**
+   * Fetch the servers once and hand them to the listeners that want them.
+   *
+   * @returns {Promise<boolean|null>} Whether the fetch worked, or null when no listener needed it
+   */
+  async poll() {
+    const active = this.listeners.filter(listener => !listener.isActive || listener.isActive());
+    if (!active.length) {
+      return null;
+    }
+
+    const defaultRegion = quakeLookup.resolveDisplayOptions().region;
+    const wanted = active.map(listener => listener.regions?.() || [defaultRegion]);
+    const fetched = new Map();
+    try {
+      for (const region of new Set(wanted.flat())) {
+        fetched.set(region, await this.fetchServers({ region }));
+      }
+    } catch (error) {
+      this.failures++;
+      quakeLogger.warn(
+        { failures: this.failures, nextPollMs: this.nextDelayMs(), message: error.message },
+        'Quake server poll failed, backing off'
+      );
+      return false;
+    }
+
+    this.failures = 0;
+    const polledAt = Date.now();
+    for (const [index, listener] of active.entries()) {
+      // 'All' overlaps the other regions, so a server can come back twice
+      const servers = new Map();
+      for (const region of wanted[index]) {
+        for (const server of fetched.get(region)) {
+          servers.set(server.address, server);
+        }
+      }
+      try {
+        await listener.handleServers([...servers.values()], polledAt);
+      } catch (error) {
+        quakeLogger.error({ error, listener: listener.name }, 'Quake poll listener failed');
+      }
+    }
+    return true;
+  }
+
+  /**
+   * @param {number} delayMs - Delay before the next poll
+   */
+  schedule(delayMs) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(async () => {
+      try {
+        await this.poll();
+      } catch (error) {
+        quakeLogger.error({ error }, 'Error polling Quake servers');
+      }
+      // Unless stop() was called while it ran
+      if (this.timer) {
+        this.schedule(this.nextDelayMs());
+      }
+    }, delayMs);
+  }
+}
+
+let defaultPoller = null;
+
+/**
+ * Get the shared poller.
+ *
+ * @returns {QuakeServerPoller}
+ */
+function getQuakeServerPoller() {
+  if (!defaultPoller) {
+    defaultPoller = new QuakeServerPoller();
+  }
+  return defaultPoller;
+}
+
+module.exports = {
+  QuakeServerPoller,
+  getQuakeServerPoller,
+};
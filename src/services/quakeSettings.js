@@ -0,0 +1,193 @@
+/**
+ * Quake Guild Settings
+ *
+ * Each guild's defaults for how Quake server stats are shown: the ELO display
+ * mode, how many servers to list, which region to list them from and whether
+ * to use emojis. `/quake settings` shows and changes them; /serverstats passes
+ * them to lookupQuakeServer as display options, so a guild's choices (or one
+ * user's `elomode:`) never change what anyone else sees.
+ *
+ * Kept in the scoped settings store, one guild setting per option. Options a
+ * guild hasn't changed aren't stored, so they follow the bot's defaults.
+ *
+ * @module QuakeSettings
+ */
+
+const { quake: quakeLogger } = require('../core/logger');
+const { getScopedSettings } = require('../utils/scopedSettings');
+const quakeLookup = require('./quakeLookup');
+
+const SETTING_KEYS = {
+  eloMode: 'quakeEloMode',
+  maxServers: 'quakeMaxServers',
+  region: 'quakeRegion',
+  emojis: 'quakeEmojis',
+};
+const MAX_SERVERS = 5;
+
+/**
+ * @typedef {Object} GuildQuakeSettings
+ * @property {number} [eloMode] - ELO display mode: 0=Off, 1=Categorized, 2=Actual value
+ * @property {number} [maxServers] - Servers to list (1-5)
+ * @property {string} [region] - Region to list servers from (one of QUAKE_REGIONS)
+ * @property {boolean} [emojis] - Whether to use emojis in server stats and team headings
+ */
+
+/**
+ * The region a name refers to, ignoring case, spaces and punctuation, so
+ * "north-america" works from a text command.
+ *
+ * @param {string} name - Region name
+ * @returns {string|null} The region as the servers API spells it
+ */
+function findRegion(name) {
+  const normalise = value =>
+    String(value)
+      .toLowerCase()
+      .replace(/[^a-z]/g, '');
+  return quakeLookup.QUAKE_REGIONS.find(region => normalise(region) === normalise(name)) || null;
+}
+
+/**
+ * Check one setting's value.
+ *
+ * @param {string} key - One of the GuildQuakeSettings names
+ * @param {*} value - Value to store
+ * @returns {{value: *}|{error: string}} The value to store, or why it can't be
+ */
+function validateSetting(key, value) {
+  switch (key) {
+    case 'eloMode':
+      return [0, 1, 2].includes(value)
+        ? { value }
+        : { error: 'The ELO mode must be 0 (off), 1 (categories) or 2 (values).' };
+    case 'maxServers':
+      return Number.isInteger(value) && value >= 1 && value <= MAX_SERVERS
+        ? { value }
+        : { error: `The server count must be from 1 to ${MAX_SERVERS}.` };
+    case 'region': {
+      const region = findRegion(value);
+      return region
+        ? { value: region }
+        : {
+            error: `Unknown region "${value}". Use one of: ${quakeLookup.QUAKE_REGIONS.join(', ')}.`,
+          };
+    }
+    case 'emojis':
+      return typeof value === 'boolean' ? { value } : { error: 'Emojis must be on or off.' };
+    default:
+      return { error: `Unknown setting "${key}".` };
+  }
+}
+
+class QuakeSettings {
+  /**
+   * @param {Object} [options]
+   * @param {import('../utils/scopedSettings').ScopedSettingsStore} [options.settings] - Where
+   *   the guild settings are kept
+   */
+  constructor(options = {}) {
+    this.settings = options.settings || getScopedSettings();
+  }
+
+  /**
+   * @param {string|null} guildId - Guild ID
+   * @returns {GuildQuakeSettings} The settings the guild has changed (none for DMs)
+   */
+  get(guildId) {
+    const stored = {};
+    if (!guildId) return stored;
+
+    for (const [name, key] of Object.entries(SETTING_KEYS)) {
+      const value = this.settings.get('guild', guildId, key);
+      if (value !== undefined) {
+        stored[name] = value;
+      }
+    }
+    return stored;
+  }
+
+  /**
+   * The guild's settings as display options for lookupQuakeServer. Settings it
+   * hasn't changed are left out, so the lookup uses its own defaults.
+   *
+   * @param {string|null} guildId - Guild ID
+   * @returns {import('./quakeLookup').QuakeDisplayOptions}
+   */
+  getDisplayOptions(guildId) {
+    const { eloMode, maxServers, region, emojis } = this.get(guildId);
+    return {
+      eloMode,
+      maxServers,
+      region,
+      showTeamEmojis: emojis,
+      showServerStatsEmojis: emojis,
+    };
+  }
+
+  /**
+   * Change some of a guild's settings. Nothing is changed if any value is invalid.
+   *
+   * @param {string} guildId - Guild ID
+   * @param {Object} changes - Settings to change; null or undefined values are left alone
+   * @param {number} [changes.eloMode] - 0, 1 or 2
+   * @param {number} [changes.maxServers] - 1 to 5
+   * @param {string} [changes.region] - Region name
+   * @param {boolean} [changes.emojis] - Whether to use emojis
+   * @returns {{success: true, settings: GuildQuakeSettings}|{success: false, error: string}}
+   */
+  update(guildId, changes) {
+    const updates = {};
+    for (const [key, value] of Object.entries(changes)) {
+      if (value === null || value === undefined) continue;
+
+      const result = validateSetting(key, value);
+      if (result.error) {
+        return { success: false, error: result.error };
+      }
+      updates[key] = result.value;
+    }
+    if (Object.keys(updates).length === 0) {
+      return { success: false, error: 'No settings were given to change.' };
+    }
+
+    for (const [key, value] of Object.entries(updates)) {
+      this.settings.set('guild', guildId, SETTING_KEYS[key], value);
+    }
+    quakeLogger.info({ guildId, changes: updates }, 'Quake guild settings changed');
+    return { success: true, settings: this.get(guildId) };
+  }
+
+  /**
+   * Put a guild back on the defaults.
+   *
+   * @param {string} guildId - Guild ID
+   */
+  reset(guildId) {
+    for (const key of Object.values(SETTING_KEYS)) {
+      if (this.settings.get('guild', guildId, key) !== undefined) {
+        this.settings.set('guild', guildId, key, undefined);
+      }
+    }
+    quakeLogger.info({ guildId }, 'Quake guild settings reset');
+  }
+}
+
+let defaultSettings = null;
+
+/**
+ * Get the shared Quake settings, kept in the shared scoped settings store.
+ *
+ * @returns {QuakeSettings}
+ */
+function getQuakeSettings() {
+  if (!defaultSettings) {
+    defaultSettings = new QuakeSettings();
+  }
+  return defaultSettings;
+}
+
+module.exports = {
+  QuakeSettings,
+  getQuakeSettings,
+};
@@ -0,0 +1,244 @@
+/**
+ * Tool Schemas
+ *
+ * OpenAI function-calling schemas for the built-in functions. Shared by the
+ * legacy openaiConfig pipeline and FunctionExecutorNode so both offer the
+ * model the same definitions.
+ *
+ * @module ToolSchemas
+ */
+
+/**
+ * @typedef {Object} ToolSchema
+ * @property {'function'} type
+ * @property {{name: string, description: string, parameters: Object}} function
+ */
+
+/** @type {ToolSchema[]} */
+const BUILTIN_TOOLS = [
+  {
+    type: 'function',
+    function: {
+      name: 'lookupTime',
+      description:
+        'Get the current local time for any location. Use this when users ask "what time is it?" or mention time. If the user has told you their location previously, use that location. Common locations: New Zealand cities (Auckland, Wellington, Christchurch), Australian cities (Sydney, Melbourne, Brisbane, Perth).',
+      parameters: {
+        type: 'object',
+        properties: {
+          location: {
+            type: 'string',
+            description:
+              'The location name, e.g., "Auckland", "Sydney", "New York", "London". Can be a city name, country name, or region.',
+          },
+        },
+        required: ['location'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'lookupWeather',
+      description: 'Get the current weather in a given location',
+      parameters: {
+        type: 'object',
+        properties: {
+          location: {
+            type: 'string',
+            description: 'The location, e.g., New York, NY',
+          },
+        },
+        required: ['location'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'lookupExtendedForecast',
+      description: 'Get the extended weather forecast for a given location',
+      parameters: {
+        type: 'object',
+        properties: {
+          location: {
+            type: 'string',
+            description: 'The location, e.g., New York, NY',
+          },
+          days: {
+            type: 'integer',
+            description: 'Number of days to forecast (1-5)',
+            minimum: 1,
+            maximum: 5,
+          },
+        },
+        required: ['location'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'quakeLookup',
+      description:
+        'Get current Quake Live server statistics and player information for active servers. Only use when specifically asked about Quake servers, server stats, or gaming server information.',
+      parameters: {
+        type: 'object',
+        properties: {
+          serverFilter: {
+            type: 'string',
+            description: 'Optional server name or IP to filter by',
+          },
+          eloMode: {
+            type: 'integer',
+            description: 'Optional ELO display mode (0=Off, 1=Categorized, 2=Actual value)',
+          },
+        },
+        required: [],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'getWolframShortAnswer',
+      description: 'Get a short answer from Wolfram Alpha for a given query',
+      parameters: {
+        type: 'object',
+        properties: {
+          query: {
+            type: 'string',
+            description: 'The question or query to send to Wolfram Alpha',
+          },
+        },
+        required: ['query'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'getVersion',
+      description: "Get information about the bot's version and system details",
+      parameters: {
+        type: 'object',
+        properties: {
+          detailed: {
+            type: 'boolean',
+            description: 'Whether to include detailed system information',
+          },
+          technical: {
+            type: 'boolean',
+            description: 'Whether to include technical details like memory usage and uptime',
+          },
+        },
+        required: [],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'generateImage',
+      description: 'Generate an image using AI based on a text description',
+      parameters: {
+        type: 'object',
+        properties: {
+          prompt: {
+            type: 'string',
+            description: 'The text description of the image to generate',
+          },
+          size: {
+            type: 'string',
+            description:
+              'Image size: 1024x1024 (square), 1024x1536 (portrait), or 1536x1024 (landscape)',
+            enum: ['1024x1024', '1536x1024', '1024x1536'],
+          },
+          quality: {
+            type: 'string',
+            description: 'Image quality level',
+            enum: ['low', 'medium', 'high'],
+          },
+          style: {
+            type: 'string',
+            description:
+              'Optional style preset such as pixel-art, watercolor, quake-map-concept or avatar; it sets the look and a default size',
+          },
+          count: {
+            type: 'integer',
+            description:
+              'How many images to generate (1-4); only ask for more than 1 when the user wants several',
+            minimum: 1,
+            maximum: 4,
+          },
+        },
+        required: ['prompt'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'web_search',
+      description:
+        'Search the web for information using multiple search engines with intelligent fallback',
+      parameters: {
+        type: 'object',
+        properties: {
+          query: {
+            type: 'string',
+            description: 'The search query to look up',
+          },
+          max_results: {
+            type: 'integer',
+            description: 'Maximum number of search results to return (default: 5)',
+            minimum: 1,
+            maximum: 10,
+          },
+          search_type: {
+            type: 'string',
+            description: 'Type of search to perform',
+            enum: ['general', 'academic', 'news', 'current'],
+          },
+        },
+        required: ['query'],
+      },
+    },
+  },
+];
+
+const BUILTIN_TOOL_NAMES = BUILTIN_TOOLS.map(tool => tool.function.name);
+
+/**
+ * Built-in tool schemas, optionally limited to some names.
+ *
+ * @param {string[]} [names] - Tool names to include (all when omitted)
+ * @returns {ToolSchema[]}
+ */
+function getBuiltinTools(names) {
+  return names ? BUILTIN_TOOLS.filter(tool => names.includes(tool.function.name)) : BUILTIN_TOOLS;
+}
+
+/**
+ * Schema for a plugin function that declares a description. Plugin functions
+ * without one are not offered to the model.
+ *
+ * @param {{name: string, description: string, parameters?: Object}} pluginFunction
+ * @returns {ToolSchema}
+ */
+function toToolSchema({ name, description, parameters }) {
+  return {
+    type: 'function',
+    function: {
+      name,
+      description,
+      parameters: parameters || { type: 'object', properties: {}, required: [] },
+    },
+  };
+}
+
+module.exports = {
+  BUILTIN_TOOLS,
+  BUILTIN_TOOL_NAMES,
+  getBuiltinTools,
+  toToolSchema,
+};
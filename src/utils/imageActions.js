@@ -0,0 +1,119 @@
+/**
+ * Image Action Buttons
+ *
+ * Re-roll, Variations and aspect buttons shown under generated images. Each button's
+ * custom ID is `image_action:<action>:<recordId>`, where the record in the image
+ * action store holds the prompt and settings; InteractionEventHandler runs them.
+ *
+ * Posts with several images also get numbered Upscale and Save buttons for each
+ * image, with custom IDs `image_pick:<pick>:<recordId>:<index>`; the record's
+ * galleryIds say which gallery image each index is.
+ *
+ * @module ImageActions
+ */
+
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { SIZES } = require('../services/imageGeneration');
+
+const CUSTOM_ID_PREFIX = 'image_action:';
+const PICK_ID_PREFIX = 'image_pick:';
+const VARIATION_COUNT = 3;
+
+/**
+ * What each button does: a new take on the prompt (variations makes several at
+ * once), optionally at a different size.
+ */
+const IMAGE_ACTIONS = {
+  reroll: { label: '🎲 Re-roll', count: 1 },
+  variations: { label: `🖼️ ${VARIATION_COUNT} Variations`, count: VARIATION_COUNT },
+  portrait: { label: '📱 Portrait', count: 1, size: SIZES.PORTRAIT },
+  landscape: { label: '🖥️ Landscape', count: 1, size: SIZES.LANDSCAPE },
+};
+
+/**
+ * What the per-image buttons do with the image they're for: an edit at high
+ * quality, or a copy sent to the presser's DMs.
+ */
+const IMAGE_PICKS = {
+  upscale: { label: '🔍 Upscale' },
+  save: { label: '💾 Save' },
+};
+
+/**
+ * Buttons for an image whose settings are stored under recordId. The aspect
+ * button for the image's current size is left out.
+ *
+ * @param {string} recordId - Image action store record ID
+ * @param {string} [size] - Size the image was generated at
+ * @returns {ButtonBuilder[]}
+ */
+function buildImageActionButtons(recordId, size) {
+  return Object.entries(IMAGE_ACTIONS)
+    .filter(([, action]) => !action.size || action.size !== size)
+    .map(([name, action]) =>
+      new ButtonBuilder()
+        .setCustomId(`${CUSTOM_ID_PREFIX}${name}:${recordId}`)
+        .setLabel(action.label)
+        .setStyle(ButtonStyle.Secondary)
+    );
+}
+
+/**
+ * @param {string} customId - Button custom ID
+ * @returns {{action: string, recordId: string}|null} The action, or null if this
+ *   isn't a known image action button
+ */
+function parseImageActionId(customId) {
+  if (!customId.startsWith(CUSTOM_ID_PREFIX)) return null;
+
+  const [action, recordId] = customId.slice(CUSTOM_ID_PREFIX.length).split(':');
+  if (!IMAGE_ACTIONS[action] || !recordId) return null;
+  return { action, recordId };
+}
+
+/**
+ * Per-image Upscale and Save buttons for a post with several images: one row per
+ * kind, with a button numbered for each image in attachment order.
+ *
+ * @param {string} recordId - Image action store record ID (its galleryIds list the images)
+ * @param {number} imageCount - Images in the post
+ * @returns {ActionRowBuilder[]} No rows for a single image
+ */
+function buildImagePickRows(recordId, imageCount) {
+  if (imageCount < 2) return [];
+
+  return Object.entries(IMAGE_PICKS).map(([name, pick]) =>
+    new ActionRowBuilder().addComponents(
+      Array.from({ length: imageCount }, (_, index) =>
+        new ButtonBuilder()
+          .setCustomId(`${PICK_ID_PREFIX}${name}:${recordId}:${index}`)
+          .setLabel(`${pick.label} ${index + 1}`)
+          .setStyle(ButtonStyle.Secondary)
+      )
+    )
+  );
+}
+
+/**
+ * @param {string} customId - Button custom ID
+ * @returns {{pick: string, recordId: string, index: number}|null} The pick, or null if this
+ *   isn't a known per-image button
+ */
+function parseImagePickId(customId) {
+  if (!customId.startsWith(PICK_ID_PREFIX)) return null;
+
+  const [pick, recordId, index] = customId.slice(PICK_ID_PREFIX.length).split(':');
+  if (!IMAGE_PICKS[pick] || !recordId || !/^\d+$/.test(index || '')) return null;
+  return { pick, recordId, index: Number(index) };
+}
+
+module.exports = {
+  CUSTOM_ID_PREFIX,
+  PICK_ID_PREFIX,
+  IMAGE_ACTIONS,
+  IMAGE_PICKS,
+  buildImageActionButtons,
+  buildImagePickRows,
+  parseImageActionId,
+  parseImagePickId,
+};
@@ -0,0 +1,93 @@
+/**
+ * Image Dimensions
+ *
+ * Reads the width and height of a PNG, JPEG, GIF or WebP image from its header,
+ * without decoding the image.
+ *
+ * @module imageDimensions
+ */
+
+/**
+ * @typedef {Object} ImageDimensions
+ * @property {number} width - Width in pixels
+ * @property {number} height - Height in pixels
+ * @property {'png'|'jpeg'|'gif'|'webp'} format - Image format
+ */
+
+/**
+ * JPEG dimensions come from the first start-of-frame segment.
+ *
+ * @param {Buffer} buffer - JPEG bytes
+ * @returns {ImageDimensions|null}
+ */
+function readJpegDimensions(buffer) {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+
+    const marker = buffer[offset + 1];
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return {
+        width: buffer.readUInt16BE(offset + 7),
+        height: buffer.readUInt16BE(offset + 5),
+        format: 'jpeg',
+      };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+/**
+ * @param {Buffer} buffer - WebP bytes
+ * @returns {ImageDimensions|null}
+ */
+function readWebpDimensions(buffer) {
+  const chunk = buffer.toString('ascii', 12, 16);
+  if (chunk === 'VP8 ' && buffer.length >= 30) {
+    return {
+      width: buffer.readUInt16LE(26) & 0x3fff,
+      height: buffer.readUInt16LE(28) & 0x3fff,
+      format: 'webp',
+    };
+  }
+  if (chunk === 'VP8L' && buffer.length >= 25) {
+    const bits = buffer.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1, format: 'webp' };
+  }
+  if (chunk === 'VP8X' && buffer.length >= 30) {
+    return {
+      width: buffer.readUIntLE(24, 3) + 1,
+      height: buffer.readUIntLE(27, 3) + 1,
+      format: 'webp',
+    };
+  }
+  return null;
+}
+
+/**
+ * Read an image's dimensions from its header.
+ *
+ * @param {Buffer} buffer - Image bytes
+ * @returns {ImageDimensions|null} Null when the format isn't recognised or the header is cut short
+ */
+function readImageDimensions(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 24) return null;
+
+  if (buffer.readUInt32BE(0) === 0x89504e47 && buffer.toString('ascii', 12, 16) === 'IHDR') {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20), format: 'png' };
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    return readJpegDimensions(buffer);
+  }
+  if (buffer.toString('ascii', 0, 3) === 'GIF') {
+    return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8), format: 'gif' };
+  }
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return readWebpDimensions(buffer);
+  }
+  return null;
+}
+
+module.exports = { readImageDimensions };
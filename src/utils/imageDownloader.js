@@ -67,4 +67,23 @@ function downloadImage(url, { timeout = DEFAULT_TIMEOUT_MS, maxSize = DEFAULT_MA
   });
 }
 
-module.exports = { downloadImage };
+/**
+ * Discord attachments for the images in an image service result, decoding
+ * base64 images and downloading the rest.
+ *
+ * @param {Array<{b64_json?: string, url?: string}>} images - Result images
+ * @param {string} baseName - File name prefix; files are named <baseName>_<n>.png
+ * @returns {Promise<Array<{attachment: Buffer, name: string}>>}
+ */
+function imageAttachments(images, baseName) {
+  return Promise.all(
+    images.map(async (image, index) => ({
+      attachment: image.b64_json
+        ? Buffer.from(image.b64_json, 'base64')
+        : await downloadImage(image.url),
+      name: `${baseName}_${index + 1}.png`,
+    }))
+  );
+}
+
+module.exports = { downloadImage, imageAttachments };
@@ -0,0 +1,200 @@
+/**
+ * Image Job Feedback
+ *
+ * Discord side of the image queue: shows a request's place in line in its
+ * progress message, lets the requester cancel it by reacting ❌, and picks up
+ * jobs that were cut off by a restart.
+ *
+ * @module ImageJobFeedback
+ */
+
+const { createLogger } = require('../core/logger');
+const { getImageJobQueue } = require('../services/imageJobQueue');
+const { getImageGallery } = require('../services/imageGallery');
+const { imageAttachments } = require('./imageDownloader');
+
+const logger = createLogger('imageJobFeedback');
+
+const CANCEL_EMOJI = '❌';
+// Give up listening for ❌ on requests that somehow never finish
+const CANCEL_WINDOW_MS = 15 * 60 * 1000;
+
+/**
+ * @param {number} position - 1-based queue position
+ * @returns {string} Status line for a waiting request
+ */
+function describeQueuePosition(position) {
+  return `🕒 You're #${position} in the image queue. React ${CANCEL_EMOJI} to cancel.`;
+}
+
+/**
+ * Connect an image request to the Discord message that shows its progress.
+ *
+ * While the request waits, its position is edited into the message (or passed to
+ * onPosition) and a ❌ reaction is added; the requester's ❌ cancels the request.
+ *
+ * @param {Object} request
+ * @param {string} request.jobId - Image queue job ID for the request
+ * @param {string} request.userId - Requester; only their ❌ counts
+ * @param {import('discord.js').Message} [request.progressMessage] - Bot message showing progress
+ * @param {function(number): void} [request.onPosition] - Shows position changes instead of
+ *   editing progressMessage (0 once the request starts)
+ * @param {function(): boolean} [request.cancel] - Cancels the request; defaults to cancelling
+ *   the queue job
+ * @param {import('../services/imageJobQueue').ImageJobQueue} [request.queue] - Queue the job is in
+ * @returns {{options: Object, stop: function(): void}} Options to pass to generateImage or
+ *   editImage, and a function to call once the request is done
+ */
+function trackImageJob({
+  jobId,
+  userId,
+  progressMessage,
+  onPosition,
+  cancel,
+  queue = getImageJobQueue(),
+}) {
+  const cancelJob = cancel || (() => queue.cancel(jobId));
+  let collector = null;
+  let cancelReaction = null;
+  let waited = false;
+  let stopped = false;
+
+  const removeCancelReaction = () => {
+    cancelReaction?.users?.remove().catch(error => {
+      logger.debug({ error, jobId }, 'Could not remove cancel reaction');
+    });
+    cancelReaction = null;
+  };
+
+  const watchForCancel = async () => {
+    if (collector || !progressMessage?.createReactionCollector) return;
+
+    collector = progressMessage.createReactionCollector({
+      filter: (reaction, user) => reaction.emoji.name === CANCEL_EMOJI && user.id === userId,
+      max: 1,
+      time: CANCEL_WINDOW_MS,
+    });
+    collector.on('collect', () => {
+      logger.info({ jobId, userId }, 'Image request cancelled by reaction');
+      cancelJob();
+    });
+
+    try {
+      cancelReaction = await progressMessage.react(CANCEL_EMOJI);
+    } catch (error) {
+      logger.debug({ error, jobId }, 'Could not add cancel reaction');
+    }
+    if (stopped) removeCancelReaction();
+  };
+
+  const onQueueUpdate = position => {
+    if (position > 0) {
+      waited = true;
+      watchForCancel();
+    }
+
+    if (onPosition) {
+      onPosition(position);
+    } else if (progressMessage && (position > 0 || waited)) {
+      const content =
+        position > 0 ? describeQueuePosition(position) : '🎨 Your turn! Creating your image...';
+      progressMessage.edit(content).catch(error => {
+        logger.debug({ error, jobId }, 'Could not update queue position');
+      });
+    }
+  };
+
+  return {
+    options: {
+      jobId,
+      onQueueUpdate,
+      channelId: progressMessage?.channel?.id || progressMessage?.channelId,
+      progressMessageId: progressMessage?.id,
+    },
+    stop() {
+      stopped = true;
+      collector?.stop('done');
+      removeCancelReaction();
+    },
+  };
+}
+
+/**
+ * Deliver a resumed job's result to its progress message.
+ */
+async function resumeJob(client, job, { queue, imageService }) {
+  const channel = await client.channels.fetch(job.channelId);
+  const progressMessage = await channel.messages.fetch(job.messageId);
+
+  // Edit sources aren't kept with the job, so an interrupted edit can't be redone
+  if (job.type !== 'generation') {
+    await progressMessage.edit('⚠️ A restart interrupted this image edit. Please ask again.');
+    return;
+  }
+
+  await progressMessage.edit('🔄 Picking your image request back up after a restart...');
+  const tracker = trackImageJob({ jobId: job.id, userId: job.userId, progressMessage, queue });
+  try {
+    const result = await imageService.generateImage(job.prompt, {
+      ...job.options,
+      ...tracker.options,
+      client,
+    });
+
+    if (!result.success) {
+      await progressMessage.edit(
+        result.cancelled ? '🛑 Image request cancelled.' : `❌ ${result.error}`
+      );
+      return;
+    }
+
+    const prompt = job.prompt.length > 100 ? `${job.prompt.substring(0, 100)}...` : job.prompt;
+    await progressMessage.edit({
+      content: `Here's your generated ${result.images.length > 1 ? 'images' : 'image'} for: "${prompt}"`,
+      files: await imageAttachments(result.images, `generated_image_${Date.now()}`),
+    });
+    getImageGallery().linkMessage(result.galleryIds, progressMessage);
+  } finally {
+    tracker.stop();
+  }
+}
+
+/**
+ * Restart the image jobs that were queued or running when the bot last stopped,
+ * delivering each result to the job's original progress message.
+ *
+ * @param {import('discord.js').Client} client - Ready Discord client
+ * @param {Object} [options]
+ * @param {import('../services/imageJobQueue').ImageJobQueue} [options.queue] - Queue to resume
+ * @param {{generateImage: Function}} [options.imageService] - Image service (defaults to
+ *   services/imageGeneration)
+ * @returns {Promise<number>} How many jobs were resumed
+ */
+async function resumeInterruptedImageJobs(client, options = {}) {
+  const queue = options.queue || getImageJobQueue();
+  const imageService = options.imageService || require('../services/imageGeneration');
+
+  const jobs = queue.takeInterrupted().filter(job => {
+    if (job.channelId && job.messageId) return true;
+    logger.info({ jobId: job.id }, 'Dropping interrupted image job with no progress message');
+    return false;
+  });
+  if (jobs.length === 0) return 0;
+
+  logger.info({ jobs: jobs.length }, 'Resuming interrupted image jobs');
+  await Promise.all(
+    jobs.map(job =>
+      resumeJob(client, job, { queue, imageService }).catch(error => {
+        logger.warn({ error, jobId: job.id }, 'Failed to resume image job');
+      })
+    )
+  );
+  return jobs.length;
+}
+
+module.exports = {
+  CANCEL_EMOJI,
+  describeQueuePosition,
+  trackImageJob,
+  resumeInterruptedImageJobs,
+};
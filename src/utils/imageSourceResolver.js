@@ -0,0 +1,119 @@
+/**
+ * Image Source Resolver
+ *
+ * Finds the image a user wants edited: an image attached to their message,
+ * or one on the message they replied to (typically an image the bot
+ * generated earlier). An attachment with "mask" in its file name is used as
+ * the inpainting mask.
+ *
+ * @module ImageSourceResolver
+ */
+
+const path = require('path');
+const { createLogger } = require('../core/logger');
+const { downloadImage } = require('./imageDownloader');
+const { resolveReference } = require('../conversation/messageReferenceResolver');
+
+const logger = createLogger('imageSource');
+
+const IMAGE_EXTENSIONS = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+};
+
+/**
+ * @typedef {Object} ResolvedImageSource
+ * @property {import('../services/imageGeneration').ImageSource} image - Image to edit
+ * @property {import('../services/imageGeneration').ImageSource} [mask] - Inpainting mask
+ * @property {'attachment'|'reply'} origin - Where the image came from
+ * @property {string} url - Discord CDN URL of the image
+ */
+
+function contentTypeOf(attachment) {
+  const type = attachment.contentType?.split(';')[0];
+  if (type && Object.values(IMAGE_EXTENSIONS).includes(type)) {
+    return type;
+  }
+  const extension = path.extname((attachment.name || '').split('?')[0]).toLowerCase();
+  return IMAGE_EXTENSIONS[extension] || null;
+}
+
+/**
+ * Image attachments (PNG, JPEG or WebP) on a message.
+ *
+ * @param {import('discord.js').Message} message - Discord message
+ * @returns {Array<import('discord.js').Attachment>}
+ */
+function getImageAttachments(message) {
+  if (!message?.attachments) {
+    return [];
+  }
+  return [...message.attachments.values()].filter(attachment => contentTypeOf(attachment));
+}
+
+/**
+ * Download an attachment as an image source for editImage.
+ *
+ * @param {import('discord.js').Attachment} attachment - Discord attachment
+ * @returns {Promise<import('../services/imageGeneration').ImageSource>}
+ */
+async function downloadAttachment(attachment) {
+  return {
+    buffer: await downloadImage(attachment.url),
+    name: attachment.name || 'image.png',
+    contentType: contentTypeOf(attachment),
+  };
+}
+
+/**
+ * Find and download the image to edit for a message.
+ *
+ * @param {import('discord.js').Message} message - Message asking for the edit
+ * @param {Object} [options]
+ * @param {function(import('discord.js').Message): Promise<import('discord.js').Message|null>} [options.resolveReference] -
+ *   Fetches the replied-to message (messageReferenceResolver.resolveReference by default)
+ * @returns {Promise<ResolvedImageSource|null>} Null when there is no image to edit
+ */
+async function resolveImageSource(message, options = {}) {
+  const isMask = attachment => /mask/i.test(attachment.name || '');
+  const attachments = getImageAttachments(message);
+  let maskAttachment = attachments.find(isMask);
+  let imageAttachment = attachments.find(attachment => !isMask(attachment));
+  let origin = 'attachment';
+
+  if (!imageAttachment && message?.reference?.messageId) {
+    const referenced = await (options.resolveReference || resolveReference)(message);
+    imageAttachment = getImageAttachments(referenced).find(attachment => !isMask(attachment));
+    origin = 'reply';
+  }
+
+  if (!imageAttachment && maskAttachment) {
+    // A lone image that happens to be called "mask" is the image itself
+    imageAttachment = maskAttachment;
+    maskAttachment = undefined;
+    origin = 'attachment';
+  }
+  if (!imageAttachment) {
+    return null;
+  }
+
+  logger.debug(
+    { origin, image: imageAttachment.name, mask: maskAttachment?.name },
+    'Resolved image to edit'
+  );
+
+  return {
+    image: await downloadAttachment(imageAttachment),
+    ...(maskAttachment ? { mask: await downloadAttachment(maskAttachment) } : {}),
+    origin,
+    url: imageAttachment.url,
+  };
+}
+
+module.exports = {
+  downloadAttachment,
+  getImageAttachments,
+  resolveImageSource,
+};
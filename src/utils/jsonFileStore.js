@@ -0,0 +1,88 @@
+/**
+ * JSON File Store
+ *
+ * The write side of the stores that keep their state in a single file. Writes
+ * are queued so they reach disk in the order they were made, and each one goes
+ * to a temp file that is renamed over the real one, so a crash mid-write leaves
+ * the previous version instead of a truncated file. Reading stays with each
+ * store, which loads its file synchronously when it's constructed.
+ *
+ * @module JsonFileStore
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Replace a file's contents (temp file + rename), creating its directory if needed.
+ *
+ * @param {string} filePath - File to replace
+ * @param {string} contents - New contents
+ * @returns {Promise<void>}
+ */
+async function replaceFile(filePath, contents) {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.tmp`;
+  await fs.promises.writeFile(tempPath, contents, 'utf8');
+  await fs.promises.rename(tempPath, filePath);
+}
+
+class JsonFileStore {
+  /**
+   * @param {string|null} filePath - JSON file path; null writes nothing
+   * @param {Object} options
+   * @param {import('pino').Logger} options.logger - Where failed writes are logged
+   * @param {string} options.description - What the file holds, for the logs
+   */
+  constructor(filePath, options) {
+    this.filePath = filePath;
+    this.logger = options.logger;
+    this.description = options.description;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Queue a write of the whole file. The data is serialized straight away, so
+   * changes made after this call wait for the next write.
+   *
+   * @param {*} data - JSON-serializable contents
+   * @returns {Promise<void>} Settles once written; failures are logged, not thrown
+   */
+  write(data) {
+    if (!this.filePath) return this.writeQueue;
+
+    const contents = JSON.stringify(data, null, 2);
+    return this.enqueue(
+      () => replaceFile(this.filePath, contents),
+      `Failed to save ${this.description}`
+    );
+  }
+
+  /**
+   * Queue some other operation on the file behind the pending writes.
+   *
+   * @param {function(): Promise<void>} task - File operation
+   * @param {string} failureMessage - Logged if it fails
+   * @returns {Promise<void>} Settles once done; failures are logged, not thrown
+   */
+  enqueue(task, failureMessage) {
+    this.writeQueue = this.writeQueue.then(task).catch(error => {
+      this.logger.error({ error, filePath: this.filePath }, failureMessage);
+    });
+    return this.writeQueue;
+  }
+
+  /**
+   * Wait for pending writes to reach disk.
+   *
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.writeQueue;
+  }
+}
+
+module.exports = {
+  JsonFileStore,
+  replaceFile,
+};
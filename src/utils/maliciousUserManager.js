@@ -56,6 +56,9 @@ const DETECTION_CONFIG = {
   // Bulk deletion thresholds for enhanced management
   BULK_DELETION_THRESHOLD: 2,
   BULK_DELETION_WINDOW_MS: 10 * 60 * 1000, // 10 minutes
+
+  // Image prompts blocked by moderation (pre-screen or the API's own filter)
+  MAX_POLICY_VIOLATIONS_PER_DAY: 3,
 };
 
 // File paths
@@ -68,6 +71,7 @@ const DELETED_MESSAGES_FILE = path.join(DATA_DIR, 'deletedMessages.json');
 let blockedUsers = new Set();
 let deletionHistory = new Map(); // userId -> array of deletion timestamps
 let rapidDeletions = new Map(); // userId -> array of rapid deletion events
+let policyViolations = new Map(); // userId -> array of blocked image prompt events
 let deletedMessages = new Map(); // messageId -> full deletion record for WebUI
 
 /**
@@ -158,11 +162,17 @@ async function loadDeletionHistory() {
       rapidDeletions.set(userId, events);
     }
 
+    policyViolations = new Map();
+    for (const [userId, events] of Object.entries(history.policyViolations || {})) {
+      policyViolations.set(userId, events);
+    }
+
     logger.info({ userCount: deletionHistory.size }, 'Loaded deletion history');
   } catch (error) {
     if (error.code === 'ENOENT') {
       deletionHistory = new Map();
       rapidDeletions = new Map();
+      policyViolations = new Map();
       logger.info('No deletion history file found, starting fresh');
     } else {
       logger.error({ error }, 'Error loading deletion history');
@@ -179,6 +189,7 @@ async function saveDeletionHistory() {
     const data = {
       deletions: Object.fromEntries(deletionHistory),
       rapidDeletions: Object.fromEntries(rapidDeletions),
+      policyViolations: Object.fromEntries(policyViolations),
       lastUpdated: new Date().toISOString(),
     };
     await fs.writeFile(DELETION_HISTORY_FILE, JSON.stringify(data, null, 2));
@@ -388,6 +399,40 @@ async function recordDeletion(
   }
 }
 
+/**
+ * Record an image prompt that moderation blocked. Repeated hits count as
+ * suspicious behavior, like frequent deletions do.
+ * @param {string} userId - User who sent the prompt
+ * @param {Object} [details]
+ * @param {string} [details.prompt] - The blocked prompt (first 100 chars are kept)
+ * @param {string} [details.source] - What blocked it: rules, moderation or api
+ * @param {string[]} [details.categories] - Moderation categories that matched
+ * @param {string} [details.guildId] - Guild the prompt was sent in
+ * @param {Object} [client] - Discord client, for block approval requests
+ */
+async function recordPolicyViolation(userId, details = {}, client = null) {
+  try {
+    if (!policyViolations.has(userId)) {
+      policyViolations.set(userId, []);
+    }
+
+    policyViolations.get(userId).push({
+      prompt: details.prompt ? details.prompt.substring(0, 100) : '',
+      source: details.source,
+      categories: details.categories || [],
+      guildId: details.guildId,
+      timestamp: Date.now(),
+    });
+
+    await checkForSuspiciousBehavior(userId, client);
+    await saveDeletionHistory();
+
+    logger.debug({ userId, source: details.source }, 'Recorded image policy violation');
+  } catch (error) {
+    logger.error({ error, userId }, 'Error recording policy violation');
+  }
+}
+
 /**
  * Check if user behavior is suspicious and take action
  * @param {string} userId - User to check
@@ -413,6 +458,10 @@ async function checkForSuspiciousBehavior(userId, client = null) {
       d => now - d.timestamp < DETECTION_CONFIG.HOUR_MS
     ).length;
 
+    const policyViolationsLastDay = (policyViolations.get(userId) || []).filter(
+      v => now - v.timestamp < DETECTION_CONFIG.DAY_MS
+    ).length;
+
     // Use different thresholds for owners vs regular users
     const hourlyLimit = userIsOwner
       ? DETECTION_CONFIG.OWNER_MAX_DELETIONS_PER_HOUR
@@ -442,6 +491,13 @@ async function checkForSuspiciousBehavior(userId, client = null) {
       reasons.push(`${rapidDeletionsLastHour} rapid deletions in last hour`);
     }
 
+    if (policyViolationsLastDay >= DETECTION_CONFIG.MAX_POLICY_VIOLATIONS_PER_DAY) {
+      isSuspicious = true;
+      reasons.push(
+        `${policyViolationsLastDay} blocked image prompts in last day (limit: ${DETECTION_CONFIG.MAX_POLICY_VIOLATIONS_PER_DAY})`
+      );
+    }
+
     if (isSuspicious) {
       const logLevel = userIsOwner ? 'info' : 'warn';
       logger[logLevel](
@@ -451,6 +507,7 @@ async function checkForSuspiciousBehavior(userId, client = null) {
           deletionsLastHour,
           deletionsLastDay,
           rapidDeletionsLastHour,
+          policyViolationsLastDay,
           hourlyLimit,
           dailyLimit,
           reasons,
@@ -486,13 +543,14 @@ async function requestBlockApproval(userId, reasons, client) {
     const details = {
       type: 'USER_BLOCK',
       user: userId,
-      context: `User showing suspicious deletion behavior: ${reasons.join(', ')}`,
+      context: `User showing suspicious behavior: ${reasons.join(', ')}`,
       metadata: {
         reasons,
         deletionStats: {
           total: deletionHistory.get(userId)?.length || 0,
           rapid: rapidDeletions.get(userId)?.length || 0,
         },
+        policyViolations: policyViolations.get(userId)?.length || 0,
       },
     };
 
@@ -582,6 +640,7 @@ function getUserStats(userId) {
     deletionsLastHour: userDeletions.filter(d => now - d.timestamp < DETECTION_CONFIG.HOUR_MS)
       .length,
     deletionsLastDay: userDeletions.filter(d => now - d.timestamp < DETECTION_CONFIG.DAY_MS).length,
+    policyViolations: (policyViolations.get(userId) || []).length,
     isBlocked: blockedUsers.has(userId),
     recentDeletions: userDeletions.slice(-5), // Last 5 deletions
   };
@@ -620,6 +679,19 @@ async function cleanupOldData() {
       }
     }
 
+    // Clean up policy violations
+    for (const [userId, events] of policyViolations.entries()) {
+      const filtered = events.filter(v => v.timestamp > cutoffTime);
+      if (filtered.length !== events.length) {
+        cleanedCount += events.length - filtered.length;
+        if (filtered.length > 0) {
+          policyViolations.set(userId, filtered);
+        } else {
+          policyViolations.delete(userId);
+        }
+      }
+    }
+
     // Clean up deleted messages for WebUI
     for (const [messageId, messageInfo] of deletedMessages.entries()) {
       if (messageInfo.timestamp < cutoffTime) {
@@ -1177,6 +1249,7 @@ function getReprocessingStats(requestingUserId) {
 module.exports = {
   init,
   recordDeletion,
+  recordPolicyViolation,
   blockUser,
   unblockUser,
   isUserBlocked,
@@ -1,6 +1,30 @@
+/**
+ * PFP Manager
+ *
+ * Rotates the bot's avatar through images saved from image generation. New
+ * images are candidates until the owner approves them (by reacting ✅ on the
+ * image's message or with `/pfp approve`); rejected ones (🚫 or `/pfp reject`)
+ * are deleted. Images that don't make a usable avatar (too small, too far from
+ * square, too large a file, or not an image) never enter the pool.
+ *
+ * Approved images can be given a theme. While a schedule of the same name is
+ * active (on given weekdays or dates), rotation only uses that theme's images;
+ * otherwise it uses the images without a theme. Every avatar change goes into a
+ * history that `/pfp rollback` steps back through.
+ *
+ * Curation state lives in data/pfp-state.json; image files in data/pfp that
+ * have no state yet (saved before curation existed) count as approved.
+ *
+ * @module PFPManager
+ */
+
+const crypto = require('crypto');
+const fsSync = require('fs');
 const fs = require('fs').promises;
 const path = require('path');
 const { sanitizePath } = require('./inputSanitizer');
+const { readImageDimensions } = require('./imageDimensions');
+const { JsonFileStore } = require('./jsonFileStore');
 
 // Logger setup
 let logger;
@@ -18,11 +42,94 @@ try {
   };
 }
 
+const DEFAULT_STATE_FILE = path.join(__dirname, '../../data/pfp-state.json');
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif'];
+const DEFAULT_HISTORY_LIMIT = 20;
+
+const APPROVE_EMOJI = '✅';
+const REJECT_EMOJI = '🚫';
+
+/**
+ * Limits an image must meet to enter the pool. Discord avatars are at least
+ * 128px, shown as a circle (so far-from-square images crop badly) and capped
+ * in upload size.
+ */
+const DEFAULT_GUARD = {
+  minSize: 128,
+  maxAspectRatio: 1.25,
+  maxBytes: 8 * 1024 * 1024,
+};
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MONTH_DAY_PATTERN = /^(\d{2})-(\d{2})$/;
+
+/**
+ * @typedef {Object} PfpImage
+ * @property {string} id - Short ID used by /pfp approve and reject
+ * @property {string} file - File name in the PFP directory
+ * @property {'pending'|'approved'} status - Whether the owner has approved it
+ * @property {string} addedAt - ISO timestamp
+ * @property {number} [width] - Width in pixels
+ * @property {number} [height] - Height in pixels
+ * @property {string} [prompt] - Prompt the image was generated from
+ * @property {string} [theme] - Schedule the image belongs to
+ * @property {string} [messageId] - Message the image was posted in (for review reactions)
+ * @property {string} [reviewedAt] - When the owner approved it
+ */
+
+/**
+ * @typedef {Object} PfpSchedule
+ * @property {string} name - Theme name; approved images with this theme are used while active
+ * @property {number[]} days - Weekdays it is active on (0 = Sunday)
+ * @property {string[]} dates - MM-DD dates or MM-DD..MM-DD ranges it is active on
+ */
+
+/**
+ * @param {string} value - MM-DD
+ * @returns {boolean}
+ */
+function isMonthDay(value) {
+  const match = value.match(MONTH_DAY_PATTERN);
+  return !!match && match[1] >= '01' && match[1] <= '12' && match[2] >= '01' && match[2] <= '31';
+}
+
+/**
+ * Whether a schedule is active on a date. Date schedules (holidays) are checked
+ * before weekday ones by getActiveSchedule.
+ *
+ * @param {PfpSchedule} schedule - Schedule
+ * @param {Date} date - Date to check (local time)
+ * @returns {boolean}
+ */
+function scheduleMatches(schedule, date) {
+  if (schedule.days.includes(date.getDay())) return true;
+
+  const today = `${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  return schedule.dates.some(spec => {
+    const [from, to = from] = spec.split('..');
+    // Ranges may wrap over the new year (12-20..01-05)
+    return from <= to ? today >= from && today <= to : today >= from || today <= to;
+  });
+}
+
 class PFPManager {
+  /**
+   * @param {import('discord.js').Client} client - Discord client
+   * @param {Object} [options]
+   * @param {string} [options.pfpDir] - Directory the images are kept in
+   * @param {number} [options.maxImages=50] - Images kept before the oldest are deleted
+   * @param {number} [options.maxPending=10] - Candidates kept waiting for approval before the
+   *   oldest are deleted
+   * @param {string|null} [options.stateFile] - Curation state JSON file; null keeps it in memory
+   * @param {boolean} [options.requireApproval=true] - Whether new images wait for the owner
+   * @param {Partial<typeof DEFAULT_GUARD>} [options.guard] - Limits images must meet
+   * @param {number} [options.historyLimit=20] - Past avatars kept for rollback
+   */
   constructor(client, options = {}) {
     this.client = client;
     this.pfpDir = options.pfpDir || path.join(__dirname, '../../data/pfp');
     this.maxImages = options.maxImages || 50;
+    this.maxPending = options.maxPending || 10;
     this.rotationInterval = options.rotationInterval || 30 * 60 * 1000; // 30 minutes by default
     this.minUpdateInterval = options.minUpdateInterval || 30 * 60 * 1000; // 30 minutes minimum between updates
     this.rotationTimer = null;
@@ -30,6 +137,24 @@ class PFPManager {
     this.lastUpdateTime = 0; // Timestamp of last successful update
     this.lastAttemptTime = 0; // Timestamp of last attempt (successful or not)
     this.updateInProgress = false; // Flag to prevent concurrent updates
+    this.stateFile = options.stateFile === undefined ? DEFAULT_STATE_FILE : options.stateFile;
+    this.requireApproval = options.requireApproval ?? true;
+    this.guard = { ...DEFAULT_GUARD, ...options.guard };
+    this.historyLimit = options.historyLimit || DEFAULT_HISTORY_LIMIT;
+    this.stateStore = new JsonFileStore(this.stateFile, {
+      logger,
+      description: 'PFP curation state',
+    });
+
+    /** @type {{images: Object<string, PfpImage>, history: Array<{file: string, setAt: string}>, schedules: PfpSchedule[]}} */
+    this.state = { images: {}, history: [], schedules: [] };
+    if (this.stateFile) {
+      this.loadState();
+    }
+    const lastAvatar = this.state.history[this.state.history.length - 1];
+    if (lastAvatar) {
+      this.currentPfp = path.join(this.pfpDir, lastAvatar.file);
+    }
 
     // Ensure the directory exists
     fs.mkdir(this.pfpDir, { recursive: true }).catch(err => {
@@ -37,13 +162,78 @@ class PFPManager {
     });
   }
 
+  loadState() {
+    try {
+      const saved = JSON.parse(fsSync.readFileSync(this.stateFile, 'utf8'));
+      this.state = {
+        images: saved.images || {},
+        history: Array.isArray(saved.history) ? saved.history : [],
+        schedules: Array.isArray(saved.schedules) ? saved.schedules : [],
+      };
+      logger.info({ images: Object.keys(this.state.images).length }, 'Loaded PFP curation state');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn({ error, stateFile: this.stateFile }, 'Could not read PFP curation state');
+      }
+    }
+  }
+
+  saveState() {
+    this.stateStore.write(this.state);
+  }
+
+  /**
+   * Wait for pending state writes to reach disk.
+   *
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.stateStore.flush();
+  }
+
+  /**
+   * Check that an image makes a usable avatar.
+   *
+   * @param {Buffer} buffer - Image bytes
+   * @returns {{ok: boolean, reason?: string, width?: number, height?: number}}
+   */
+  checkImage(buffer) {
+    const dimensions = readImageDimensions(buffer);
+    if (!dimensions) {
+      return { ok: false, reason: 'not a PNG, JPEG, GIF or WebP image' };
+    }
+
+    const { width, height } = dimensions;
+    const { minSize, maxAspectRatio, maxBytes } = this.guard;
+    let reason = null;
+    if (buffer.length > maxBytes) {
+      reason = `file is ${(buffer.length / 1024 / 1024).toFixed(1)} MB (limit ${(maxBytes / 1024 / 1024).toFixed(1)} MB)`;
+    } else if (Math.min(width, height) < minSize) {
+      reason = `${width}x${height} is smaller than ${minSize}x${minSize}`;
+    } else if (Math.max(width, height) / Math.min(width, height) > maxAspectRatio) {
+      reason = `${width}x${height} is too far from square`;
+    }
+    return reason ? { ok: false, reason, width, height } : { ok: true, width, height };
+  }
+
   /**
-   * Add a new image to the PFP rotation
+   * Add a new image to the PFP rotation. It waits for the owner's approval
+   * unless requireApproval is off.
    * @param {Buffer} imageBuffer - The image buffer to add
    * @param {string} [filename] - Optional custom filename (without extension)
+   * @param {{prompt?: string}} [details] - Where the image came from
    * @returns {Promise<string>} The path to the saved image
+   * @throws {Error} With code PFP_GUARD when the image doesn't make a usable avatar
    */
-  async addImage(buffer, filename) {
+  async addImage(buffer, filename, details = {}) {
+    const check = this.checkImage(buffer);
+    if (!check.ok) {
+      logger.info({ filename, reason: check.reason }, 'Image kept out of PFP rotation');
+      const error = new Error(`Image can't be used as a profile picture: ${check.reason}`);
+      error.code = 'PFP_GUARD';
+      throw error;
+    }
+
     try {
       logger.info('Attempting to add image to PFP rotation', {
         filename,
@@ -66,8 +256,20 @@ class PFPManager {
       await fs.writeFile(fullPath, buffer);
       logger.info('Image saved successfully', { fullPath });
 
-      // Clean up old images if we have too many
-      await this.cleanupOldImages();
+      const file = path.basename(fullPath);
+      this.state.images[file] = {
+        id: crypto.randomBytes(4).toString('hex'),
+        file,
+        status: this.requireApproval ? 'pending' : 'approved',
+        addedAt: new Date().toISOString(),
+        width: check.width,
+        height: check.height,
+        ...(details.prompt ? { prompt: details.prompt.substring(0, 200) } : {}),
+      };
+      this.saveState();
+
+      // Clean up old images if we have too many, never the one just added
+      await this.cleanupOldImages(fullPath);
 
       return fullPath;
     } catch (error) {
@@ -85,26 +287,319 @@ class PFPManager {
   }
 
   /**
-   * Get a random image from the PFP directory
-   * @returns {Promise<string|null>} Path to a random image or null if none found
+   * Bring the curation state in line with the PFP directory: files without
+   * state (saved before curation) count as approved, and state for deleted
+   * files is dropped.
+   *
+   * @returns {Promise<PfpImage[]>} Every image, newest first
    */
-  async getRandomImage() {
+  async syncImages() {
+    let files = [];
     try {
-      const files = await fs.readdir(this.pfpDir);
-      const imageFiles = files.filter(file =>
-        ['.png', '.jpg', '.jpeg', '.gif'].includes(path.extname(file).toLowerCase())
+      files = (await fs.readdir(this.pfpDir)).filter(file =>
+        IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase())
       );
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
 
-      if (imageFiles.length === 0) return null;
+    const present = new Set(files);
+    let changed = false;
+    for (const file of files) {
+      if (this.state.images[file]) continue;
+      const stats = await fs.stat(path.join(this.pfpDir, file));
+      this.state.images[file] = {
+        id: crypto.randomBytes(4).toString('hex'),
+        file,
+        status: 'approved',
+        addedAt: stats.mtime.toISOString(),
+      };
+      changed = true;
+    }
+    for (const file of Object.keys(this.state.images)) {
+      if (!present.has(file)) {
+        delete this.state.images[file];
+        changed = true;
+      }
+    }
+    if (changed) this.saveState();
+
+    return Object.values(this.state.images).sort((a, b) => b.addedAt.localeCompare(a.addedAt));
+  }
+
+  /**
+   * @param {'pending'|'approved'} [status] - Only images with this status
+   * @returns {Promise<PfpImage[]>} Images, newest first
+   */
+  async listImages(status) {
+    const images = await this.syncImages();
+    return status ? images.filter(image => image.status === status) : images;
+  }
+
+  /**
+   * @param {string} idOrFile - Image ID or file name
+   * @returns {PfpImage|null}
+   */
+  findImage(idOrFile) {
+    return (
+      this.state.images[idOrFile] ||
+      Object.values(this.state.images).find(image => image.id === idOrFile) ||
+      null
+    );
+  }
+
+  /**
+   * Let an image into the rotation.
+   *
+   * @param {string} idOrFile - Image ID or file name
+   * @param {string|null} [theme] - Schedule the image belongs to; null for everyday rotation
+   * @returns {PfpImage|null} The image, or null when there's no such image
+   */
+  approve(idOrFile, theme = null) {
+    const image = this.findImage(idOrFile);
+    if (!image) return null;
+
+    image.status = 'approved';
+    image.reviewedAt = new Date().toISOString();
+    if (theme) {
+      image.theme = theme.toLowerCase();
+    } else {
+      delete image.theme;
+    }
+    this.saveState();
+    logger.info({ file: image.file, theme: image.theme }, 'PFP image approved');
+    return image;
+  }
+
+  /**
+   * Delete an image from the pool.
+   *
+   * @param {string} idOrFile - Image ID or file name
+   * @returns {Promise<PfpImage|null>} The removed image, or null when there's no such image
+   */
+  async reject(idOrFile) {
+    const image = this.findImage(idOrFile);
+    if (!image) return null;
+
+    delete this.state.images[image.file];
+    this.saveState();
+    await fs.unlink(path.join(this.pfpDir, image.file)).catch(error => {
+      if (error.code !== 'ENOENT') {
+        logger.warn({ error, file: image.file }, 'Failed to delete rejected PFP image');
+      }
+    });
+    logger.info({ file: image.file }, 'PFP image rejected');
+    return image;
+  }
+
+  /**
+   * Record the message a candidate image was posted in, so the owner can review
+   * it by reacting there.
+   *
+   * @param {string} [file] - Image file name (as returned by addImage)
+   * @param {import('discord.js').Message} message - Message showing the image
+   */
+  linkMessage(file, message) {
+    const image = file && this.state.images[path.basename(file)];
+    if (!image || !message) return;
 
-      const randomIndex = Math.floor(Math.random() * imageFiles.length);
-      return path.join(this.pfpDir, imageFiles[randomIndex]);
+    image.messageId = message.id;
+    this.saveState();
+  }
+
+  /**
+   * Approve (✅) or reject (🚫) the candidate image on a message the owner
+   * reacted to.
+   *
+   * @param {import('discord.js').MessageReaction} reaction - Reaction added
+   * @param {import('discord.js').User} user - Who reacted
+   * @param {string} ownerId - Bot owner's user ID
+   * @returns {Promise<PfpImage|null>} The image reviewed, if any
+   */
+  async handleReviewReaction(reaction, user, ownerId) {
+    const emoji = reaction.emoji.name;
+    if (user.id !== ownerId || (emoji !== APPROVE_EMOJI && emoji !== REJECT_EMOJI)) {
+      return null;
+    }
+
+    const image = Object.values(this.state.images).find(
+      entry => entry.messageId === reaction.message.id && entry.status === 'pending'
+    );
+    if (!image) return null;
+
+    return emoji === APPROVE_EMOJI ? this.approve(image.file) : await this.reject(image.file);
+  }
+
+  /**
+   * Listen for the owner's review reactions on candidate images.
+   *
+   * @param {string} ownerId - Bot owner's user ID
+   */
+  startReviewReactions(ownerId) {
+    this.client.on('messageReactionAdd', async (reaction, user) => {
+      try {
+        if (reaction.partial) {
+          await reaction.fetch();
+        }
+        await this.handleReviewReaction(reaction, user, ownerId);
+      } catch (error) {
+        logger.error({ error }, 'Error handling PFP review reaction');
+      }
+    });
+  }
+
+  /**
+   * Add or replace a theme schedule.
+   *
+   * @param {Object} schedule
+   * @param {string} schedule.name - Theme name
+   * @param {string[]} [schedule.days] - Weekday names (sat, sunday, ...)
+   * @param {string[]} [schedule.dates] - MM-DD dates or MM-DD..MM-DD ranges
+   * @returns {PfpSchedule} The stored schedule
+   * @throws {Error} When a day or date can't be read, or neither is given
+   */
+  setSchedule({ name, days = [], dates = [] }) {
+    const weekdays = days.map(day => {
+      const index = WEEKDAYS.indexOf(day.trim().toLowerCase().substring(0, 3));
+      if (index === -1) {
+        throw new Error(`Unknown weekday '${day}'`);
+      }
+      return index;
+    });
+    const ranges = dates.map(spec => spec.trim());
+    for (const spec of ranges) {
+      if (!spec.split('..').every(isMonthDay) || spec.split('..').length > 2) {
+        throw new Error(`Dates must look like 12-25 or 12-20..12-31, not '${spec}'`);
+      }
+    }
+    if (weekdays.length === 0 && ranges.length === 0) {
+      throw new Error('A schedule needs at least one weekday or date');
+    }
+
+    const schedule = { name: name.trim().toLowerCase(), days: weekdays, dates: ranges };
+    this.state.schedules = [
+      ...this.state.schedules.filter(existing => existing.name !== schedule.name),
+      schedule,
+    ];
+    this.saveState();
+    return schedule;
+  }
+
+  /**
+   * @param {string} name - Schedule name
+   * @returns {boolean} Whether there was such a schedule
+   */
+  removeSchedule(name) {
+    const before = this.state.schedules.length;
+    this.state.schedules = this.state.schedules.filter(
+      schedule => schedule.name !== name.trim().toLowerCase()
+    );
+    this.saveState();
+    return this.state.schedules.length < before;
+  }
+
+  /**
+   * @returns {PfpSchedule[]}
+   */
+  getSchedules() {
+    return this.state.schedules;
+  }
+
+  /**
+   * The schedule in effect on a date; schedules with dates win over weekday-only ones.
+   *
+   * @param {Date} [date] - Date to check (defaults to now)
+   * @returns {PfpSchedule|null}
+   */
+  getActiveSchedule(date = new Date()) {
+    const matching = this.state.schedules.filter(schedule => scheduleMatches(schedule, date));
+    return (
+      matching.find(schedule => schedule.dates.length > 0) ||
+      matching.find(schedule => schedule.days.includes(date.getDay())) ||
+      null
+    );
+  }
+
+  /**
+   * Approved images rotation can use right now: the active schedule's theme,
+   * or the images without a theme when there is none (or it has no images).
+   *
+   * @param {Date} [date] - Date to check (defaults to now)
+   * @returns {Promise<PfpImage[]>}
+   */
+  async getRotationPool(date = new Date()) {
+    const approved = await this.listImages('approved');
+    const schedule = this.getActiveSchedule(date);
+    const themed = schedule ? approved.filter(image => image.theme === schedule.name) : [];
+    return themed.length > 0 ? themed : approved.filter(image => !image.theme);
+  }
+
+  /**
+   * Get a random image from the rotation pool
+   * @returns {Promise<string|null>} Path to a random image or null if none found
+   */
+  async getRandomImage() {
+    try {
+      const pool = await this.getRotationPool();
+      if (pool.length === 0) return null;
+
+      const randomIndex = Math.floor(Math.random() * pool.length);
+      return path.join(this.pfpDir, pool[randomIndex].file);
     } catch (error) {
       logger.error({ error }, 'Failed to get random PFP image');
       return null;
     }
   }
 
+  /**
+   * Past avatars, most recent (the current one) first.
+   *
+   * @returns {Array<{file: string, setAt: string}>}
+   */
+  getHistory() {
+    return [...this.state.history].reverse();
+  }
+
+  /**
+   * Go back to an earlier avatar, dropping the newer ones from the history.
+   *
+   * @param {number} [steps=1] - How many avatars to go back
+   * @returns {Promise<{success: boolean, error?: string, ratelimited?: boolean, newAvatarURL?: string}>}
+   */
+  async rollback(steps = 1) {
+    const { history } = this.state;
+    const target = history[history.length - 1 - steps];
+    if (!target) {
+      return {
+        success: false,
+        error: `There ${history.length === 1 ? 'is' : 'are'} only ${history.length} avatar${history.length === 1 ? '' : 's'} in the history.`,
+      };
+    }
+    if (this.updateInProgress) {
+      return { success: false, error: 'An avatar update is already in progress.' };
+    }
+
+    const imagePath = path.join(this.pfpDir, target.file);
+    try {
+      await fs.access(imagePath);
+    } catch {
+      return { success: false, error: `${target.file} has been deleted since it was used.` };
+    }
+
+    this.lastAttemptTime = Date.now();
+    this.updateInProgress = true;
+    try {
+      const result = await this.applyAvatar(imagePath, { recordHistory: false });
+      if (result.success) {
+        this.state.history = history.slice(0, history.length - steps);
+        this.saveState();
+      }
+      return result;
+    } finally {
+      this.updateInProgress = false;
+    }
+  }
+
   /**
    * Update the bot's profile picture to a random image
    * @returns {Promise<boolean>} True if successful, false otherwise
@@ -173,6 +668,21 @@ class PFPManager {
         return { success: false, error: 'Selected image is the same as current PFP.' };
       }
 
+      return await this.applyAvatar(imagePath);
+    } finally {
+      this.updateInProgress = false;
+    }
+  }
+
+  /**
+   * Set the avatar to an image file and record it in the history.
+   *
+   * @param {string} imagePath - Image path
+   * @param {{recordHistory?: boolean}} [options]
+   * @returns {Promise<{success: boolean, error?: string, ratelimited?: boolean, newAvatarURL?: string}>}
+   */
+  async applyAvatar(imagePath, { recordHistory = true } = {}) {
+    try {
       logger.debug('Reading image file', { imagePath });
       const imageBuffer = await fs.readFile(imagePath);
 
@@ -185,6 +695,14 @@ class PFPManager {
 
       this.currentPfp = imagePath;
       this.lastUpdateTime = Date.now(); // Mark successful update time
+      if (recordHistory) {
+        this.state.history.push({
+          file: path.basename(imagePath),
+          setAt: new Date().toISOString(),
+        });
+        this.state.history.splice(0, Math.max(0, this.state.history.length - this.historyLimit));
+        this.saveState();
+      }
 
       logger.info(`Updated bot PFP to: ${path.basename(imagePath)}`);
       return { success: true, newAvatarURL: imagePath }; // Assuming imagePath can be somewhat representative
@@ -213,15 +731,18 @@ class PFPManager {
         errorMessage = `An unexpected error occurred: ${error.message}`;
       }
       return { success: false, error: errorMessage, ratelimited };
-    } finally {
-      this.updateInProgress = false;
     }
   }
 
   /**
-   * Remove old images to maintain the maximum limit
+   * Remove old images to maintain the maximum limit. Candidates waiting for
+   * review (up to maxPending of them) are kept ahead of approved images, so a
+   * full directory makes room by losing its oldest approved image rather than
+   * every new candidate.
+   *
+   * @param {string} [keepPath] - Image to keep whatever its age, such as one just added
    */
-  async cleanupOldImages() {
+  async cleanupOldImages(keepPath) {
     try {
       const files = await fs.readdir(this.pfpDir);
 
@@ -260,6 +781,7 @@ class PFPManager {
                 name: file,
                 path: filePath,
                 time: stats.mtime.getTime(),
+                pending: this.state.images[file]?.status === 'pending',
               };
             } catch (err) {
               logger.warn({ error: err, file }, 'Failed to get file stats');
@@ -268,11 +790,26 @@ class PFPManager {
           })
       );
 
-      // Filter out any null entries and sort by time (newest first)
-      const imageFiles = fileStats.filter(Boolean).sort((a, b) => b.time - a.time);
+      // Keep the current avatar and keepPath above all, then the newest
+      // candidates, then approved images newest first
+      const kept = new Set([this.currentPfp, keepPath].filter(Boolean));
+      const keptFiles = fileStats.filter(file => file && kept.has(file.path));
+      const others = fileStats
+        .filter(file => file && !kept.has(file.path))
+        .sort((a, b) => b.time - a.time);
+      const pending = others.filter(file => file.pending);
+      const pendingRoom = Math.max(
+        0,
+        this.maxPending - keptFiles.filter(file => file.pending).length
+      );
+      const keepOrder = [
+        ...keptFiles,
+        ...pending.slice(0, pendingRoom),
+        ...others.filter(file => !file.pending),
+      ];
 
-      // Remove oldest images if we're over the limit
-      const toRemove = imageFiles.slice(this.maxImages);
+      // Remove the candidates over maxPending, then the oldest images if we're over the limit
+      const toRemove = [...pending.slice(pendingRoom), ...keepOrder.slice(this.maxImages)];
 
       if (toRemove.length > 0) {
         logger.debug(`Cleaning up ${toRemove.length} old PFP images`);
@@ -282,12 +819,14 @@ class PFPManager {
           toRemove.map(async file => {
             try {
               await fs.unlink(file.path);
+              delete this.state.images[file.name];
               logger.debug(`Removed old PFP: ${file.name}`);
             } catch (err) {
               logger.error({ error: err }, `Failed to remove old PFP: ${file.name}`);
             }
           })
         );
+        this.saveState();
       }
     } catch (error) {
       logger.error({ error }, 'Failed to clean up old PFP images');
@@ -342,3 +881,5 @@ class PFPManager {
 }
 
 module.exports = PFPManager;
+module.exports.APPROVE_EMOJI = APPROVE_EMOJI;
+module.exports.REJECT_EMOJI = REJECT_EMOJI;
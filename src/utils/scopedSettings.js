@@ -0,0 +1,170 @@
+/**
+ * Scoped Settings
+ *
+ * Small persistent key/value store for per-guild and per-channel settings that
+ * admins change at runtime (e.g. whether a channel uses blended group
+ * conversations). Channel values override guild values, which override the
+ * caller's fallback (usually the env config).
+ *
+ * Stored in data/scoped-settings.json as
+ * `{ "guild": { "<id>": { key: value } }, "channel": { "<id>": { key: value } } }`.
+ *
+ * @module ScopedSettings
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('../core/logger');
+const { JsonFileStore } = require('./jsonFileStore');
+
+const logger = createLogger('scopedSettings');
+
+const DEFAULT_SETTINGS_FILE = path.join(__dirname, '..', '..', 'data', 'scoped-settings.json');
+const SCOPES = ['guild', 'channel'];
+
+class ScopedSettingsStore {
+  /**
+   * @param {Object} [options]
+   * @param {string|null} [options.filePath] - JSON file path; null keeps settings in memory only
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath === undefined ? DEFAULT_SETTINGS_FILE : options.filePath;
+    this.settings = { guild: {}, channel: {} };
+    this.file = new JsonFileStore(this.filePath, {
+      logger,
+      description: 'scoped settings',
+    });
+
+    if (this.filePath) {
+      this.loadFromDisk();
+    }
+  }
+
+  loadFromDisk() {
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      for (const scope of SCOPES) {
+        this.settings[scope] = saved[scope] || {};
+      }
+      logger.info(
+        {
+          guilds: Object.keys(this.settings.guild).length,
+          channels: Object.keys(this.settings.channel).length,
+        },
+        'Loaded scoped settings'
+      );
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn({ error, filePath: this.filePath }, 'Could not read scoped settings');
+      }
+    }
+  }
+
+  validateScope(scope) {
+    if (!SCOPES.includes(scope)) {
+      throw new Error(`Unknown settings scope '${scope}' (expected ${SCOPES.join(' or ')})`);
+    }
+  }
+
+  /**
+   * @param {'guild'|'channel'} scope - Settings scope
+   * @param {string} id - Guild or channel ID
+   * @param {string} key - Setting name
+   * @returns {*} The stored value, or undefined
+   */
+  get(scope, id, key) {
+    this.validateScope(scope);
+    return id ? this.settings[scope][id]?.[key] : undefined;
+  }
+
+  /**
+   * @param {'guild'|'channel'} scope - Settings scope
+   * @param {string} id - Guild or channel ID
+   * @returns {Object} All settings for that guild or channel
+   */
+  getAll(scope, id) {
+    this.validateScope(scope);
+    return { ...(this.settings[scope][id] || {}) };
+  }
+
+  /**
+   * Store a setting and persist it. Passing `undefined` removes the override.
+   *
+   * @param {'guild'|'channel'} scope - Settings scope
+   * @param {string} id - Guild or channel ID
+   * @param {string} key - Setting name
+   * @param {*} value - JSON-serializable value
+   */
+  set(scope, id, key, value) {
+    this.validateScope(scope);
+    if (!id) {
+      throw new Error(`A ${scope} ID is required`);
+    }
+
+    const entry = this.settings[scope][id] || {};
+    if (value === undefined) {
+      delete entry[key];
+    } else {
+      entry[key] = value;
+    }
+
+    if (Object.keys(entry).length > 0) {
+      this.settings[scope][id] = entry;
+    } else {
+      delete this.settings[scope][id];
+    }
+
+    logger.info({ scope, id, key, value }, 'Updated scoped setting');
+    this.save();
+  }
+
+  /**
+   * Resolve a setting for a message location: channel, then guild, then fallback.
+   *
+   * @param {{guildId?: string, channelId?: string}} location - Where the setting applies
+   * @param {string} key - Setting name
+   * @param {*} [fallback] - Value when neither scope overrides it
+   * @returns {*} The effective value
+   */
+  resolve({ guildId, channelId } = {}, key, fallback) {
+    const channelValue = this.get('channel', channelId, key);
+    if (channelValue !== undefined) return channelValue;
+
+    const guildValue = this.get('guild', guildId, key);
+    if (guildValue !== undefined) return guildValue;
+
+    return fallback;
+  }
+
+  save() {
+    this.file.write(this.settings);
+  }
+
+  /**
+   * Wait for pending writes to reach disk.
+   *
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.file.flush();
+  }
+}
+
+let defaultStore = null;
+
+/**
+ * Get the shared settings store backed by data/scoped-settings.json.
+ *
+ * @returns {ScopedSettingsStore}
+ */
+function getScopedSettings() {
+  if (!defaultStore) {
+    defaultStore = new ScopedSettingsStore();
+  }
+  return defaultStore;
+}
+
+module.exports = {
+  ScopedSettingsStore,
+  getScopedSettings,
+};
@@ -0,0 +1,219 @@
+/**
+ * Streaming Reply
+ *
+ * Progressively renders a streamed OpenAI completion into Discord messages,
+ * starting with the "Thinking..." feedback message. Edits are throttled so a
+ * fast token stream doesn't trip Discord's per-channel edit rate limit, and
+ * text past Discord's 2000-character limit rolls over into follow-up messages
+ * in the same channel.
+ *
+ * @module StreamingReply
+ */
+
+const { createLogger } = require('../core/logger');
+
+const logger = createLogger('streamingReply');
+
+const DISCORD_MESSAGE_LIMIT = 2000;
+const STREAMING_CURSOR = ' ▌';
+// Discord rejects empty message content
+const ZERO_WIDTH_SPACE = '\u200b';
+
+/**
+ * Split text into chunks that fit in a Discord message, preferring to break
+ * at a newline, then a space, and only cutting mid-word as a last resort.
+ * Splitting is greedy from the start, so a prefix of the text always splits
+ * the same way as it grows - already-sent chunks never need to change.
+ *
+ * @param {string} text - Text to split
+ * @param {number} [maxLength=2000] - Maximum characters per chunk
+ * @returns {string[]} Chunks (at least one, possibly empty)
+ */
+function splitDiscordMessage(text, maxLength = DISCORD_MESSAGE_LIMIT) {
+  const chunks = [];
+  let remaining = text || '';
+
+  while (remaining.length > maxLength) {
+    const window = remaining.slice(0, maxLength + 1);
+    let cut = window.lastIndexOf('\n');
+    if (cut <= 0) cut = window.lastIndexOf(' ');
+    if (cut <= 0) cut = maxLength;
+
+    chunks.push(remaining.slice(0, cut));
+    remaining = remaining.slice(cut).replace(/^[\n ]/, '');
+  }
+
+  chunks.push(remaining);
+  return chunks;
+}
+
+class StreamingReply {
+  /**
+   * @param {import('discord.js').Message} message - Bot message to stream into (the feedback message)
+   * @param {Object} [options]
+   * @param {number} [options.editIntervalMs=1500] - Minimum time between edits of the stream
+   * @param {number} [options.maxLength=2000] - Characters per Discord message
+   * @param {function(string): Promise<import('discord.js').Message>} [options.sendFollowUp] - Sends
+   *   an overflow message; defaults to a new message in the same channel
+   */
+  constructor(message, options = {}) {
+    this.editIntervalMs = options.editIntervalMs ?? 1500;
+    // Reserve room for the cursor so chunk boundaries don't move when it is removed
+    this.chunkLength = (options.maxLength || DISCORD_MESSAGE_LIMIT) - STREAMING_CURSOR.length;
+    this.sendFollowUp = options.sendFollowUp || (content => message.channel.send(content));
+
+    this.messages = [message];
+    this.rendered = [message.content];
+    this.text = '';
+    this.timer = null;
+    this.lastRenderAt = 0;
+    this.renderQueue = Promise.resolve();
+    this.finished = false;
+    this.edits = 0;
+  }
+
+  /**
+   * Whether any streamed text has been received.
+   *
+   * @returns {boolean}
+   */
+  get started() {
+    return this.text.length > 0;
+  }
+
+  /**
+   * Add streamed text. The Discord messages are updated on the next throttled render.
+   *
+   * @param {string} delta - New text from the stream
+   */
+  append(delta) {
+    if (this.finished || !delta) return;
+    this.text += delta;
+    this.scheduleRender();
+  }
+
+  /**
+   * Discard streamed text, e.g. when the stream failed and the answer will be
+   * regenerated without streaming. Already-rendered messages are corrected by
+   * the next render or by finish().
+   */
+  reset() {
+    this.text = '';
+    this.clearTimer();
+  }
+
+  scheduleRender() {
+    if (this.timer || this.finished) return;
+
+    const wait = Math.max(0, this.lastRenderAt + this.editIntervalMs - Date.now());
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.enqueueRender(false).catch(error => {
+        // Intermediate edits are best effort; finish() renders the final text again
+        logger.warn({ error, messageId: this.messages[0].id }, 'Failed to update streamed reply');
+      });
+    }, wait);
+    this.timer.unref?.();
+  }
+
+  clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  enqueueRender(final) {
+    const run = this.renderQueue.then(() => this.render(final));
+    // Keep the queue alive after a failed render; the caller handles the error
+    this.renderQueue = run.catch(() => undefined);
+    return run;
+  }
+
+  /**
+   * Bring the Discord messages in line with the current text, editing only
+   * messages whose content changed and sending follow-ups for overflow.
+   *
+   * @param {boolean} final - Whether this is the last render (no cursor, trim extra messages)
+   */
+  async render(final) {
+    this.lastRenderAt = Date.now();
+
+    const chunks = splitDiscordMessage(this.text, this.chunkLength);
+    if (!final) {
+      chunks[chunks.length - 1] += STREAMING_CURSOR;
+    }
+
+    for (let i = 0; i < chunks.length; i++) {
+      const content = chunks[i] || ZERO_WIDTH_SPACE;
+
+      if (i >= this.messages.length) {
+        this.messages.push(await this.sendFollowUp(content));
+        this.rendered.push(content);
+      } else if (this.rendered[i] !== content) {
+        await this.messages[i].edit(content);
+        this.rendered[i] = content;
+        this.edits++;
+      }
+    }
+
+    // A regenerated answer can be shorter than what was streamed before the failure
+    if (final) {
+      await this.deleteMessagesFrom(chunks.length);
+    }
+  }
+
+  /**
+   * Delete the overflow messages from an index on.
+   *
+   * @param {number} index - First message to delete (at least 1; the first is never deleted)
+   */
+  async deleteMessagesFrom(index) {
+    for (const extra of this.messages.splice(index)) {
+      await extra.delete().catch(error => {
+        logger.warn({ error, messageId: extra.id }, 'Failed to delete unused overflow message');
+      });
+    }
+    this.rendered.length = this.messages.length;
+  }
+
+  /**
+   * Render the complete reply and stop streaming.
+   *
+   * @param {string} [finalText] - Full response; defaults to the streamed text
+   * @returns {Promise<import('discord.js').Message[]>} Every Discord message holding the reply
+   */
+  async finish(finalText) {
+    this.clearTimer();
+    this.finished = true;
+    if (typeof finalText === 'string') {
+      this.text = finalText;
+    }
+
+    await this.enqueueRender(true);
+    return this.messages;
+  }
+
+  /**
+   * Stop streaming without rendering a reply, e.g. when the answer is an image.
+   * Waits for a render in progress, then deletes the overflow messages it sent,
+   * leaving the first message for the caller to reuse. Does nothing once
+   * finish() has rendered the reply.
+   *
+   * @returns {Promise<void>}
+   */
+  async cancel() {
+    if (this.finished) return;
+    this.finished = true;
+    this.clearTimer();
+
+    await this.renderQueue;
+    await this.deleteMessagesFrom(1);
+  }
+}
+
+module.exports = {
+  StreamingReply,
+  splitDiscordMessage,
+  DISCORD_MESSAGE_LIMIT,
+};
@@ -15,11 +15,29 @@ function formatDateTimeForZone(date, timeZone) {
   }).format(date);
 }
 
+const EMOJI_INSTRUCTIONS = {
+  none: 'Do not use emoji.',
+  light: 'Use emoji sparingly, at most one per message.',
+  heavy: 'Use plenty of expressive emoji.',
+};
+
+function buildPersonaContext(persona) {
+  if (!persona) {
+    return '';
+  }
+  const lines = [persona.systemPrompt, EMOJI_INSTRUCTIONS[persona.emojiStyle]].filter(Boolean);
+  return lines.length > 0 ? `\n\nPersona (${persona.name}):\n${lines.join('\n')}` : '';
+}
+
 function buildSystemPrompt(personality, options = {}) {
   const basePersonality =
     personality || 'You are Solvis, a helpful Discord assistant for the Chimp-GPT project.';
+  const personaContext = buildPersonaContext(options.persona);
   const now = options.now || new Date();
   const userContextInfo = options.userContextInfo || '';
+  const memoryContext = options.memorySummary
+    ? `\n\nWhat you remember about this user from earlier conversations:\n${options.memorySummary}`
+    : '';
 
   const timeContext = [
     `Current UTC date and time: ${now.toISOString()}`,
@@ -33,9 +51,15 @@ function buildSystemPrompt(personality, options = {}) {
     'Sunrise/sunset handling: Do not invent sunrise or sunset times. If exact astronomical data is not available from tools/context, say you need a location/date or a weather/search lookup and provide the best qualified answer.',
     'Error handling: If you previously gave an incorrect time or location-sensitive answer, briefly acknowledge the likely source of error, correct it with tool-backed/current context, and avoid over-apologising.',
     'Discord style: Be concise, useful, and conversational. Prefer short bullets for steps. Do not claim that your system prompt/instructions were updated unless the running code or configuration was actually changed.',
-  ].join('\n');
+  ];
+
+  if (options.groupChat) {
+    operatingInstructions.push(
+      "Group chat: This channel is a shared conversation between several people. Each user message starts with the speaker's name; keep track of who said what and address people by name when replying to one of them."
+    );
+  }
 
-  return `${basePersonality}\n\n${timeContext}${userContextInfo}\n\n${operatingInstructions}`;
+  return `${basePersonality}${personaContext}\n\n${timeContext}${userContextInfo}${memoryContext}\n\n${operatingInstructions.join('\n')}`;
 }
 
 module.exports = { buildSystemPrompt };
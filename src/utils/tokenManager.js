@@ -52,6 +52,37 @@ class TokenManager {
     return Math.ceil(contentLength / TOKEN_CONFIG.CHARS_PER_TOKEN) + roleTokens;
   }
 
+  /**
+   * Estimate tokens for plain text (no role overhead)
+   * @param {string} text - Text to estimate
+   * @returns {number} Estimated token count
+   */
+  static estimateTextTokens(text) {
+    if (typeof text !== 'string') {
+      return 0;
+    }
+
+    return Math.ceil(text.length / TOKEN_CONFIG.CHARS_PER_TOKEN);
+  }
+
+  /**
+   * Trim text so it fits within a token budget, cutting at a word boundary
+   * @param {string} text - Text to trim
+   * @param {number} maxTokens - Token budget
+   * @returns {string} The text, shortened if it exceeded the budget
+   */
+  static truncateToTokenBudget(text, maxTokens) {
+    if (typeof text !== 'string' || this.estimateTextTokens(text) <= maxTokens) {
+      return text;
+    }
+
+    const maxChars = Math.max(0, maxTokens * TOKEN_CONFIG.CHARS_PER_TOKEN - 1);
+    const cut = text.slice(0, maxChars);
+    const lastSpace = cut.lastIndexOf(' ');
+
+    return `${lastSpace > maxChars / 2 ? cut.slice(0, lastSpace) : cut}…`;
+  }
+
   /**
    * Estimate tokens for an array of messages (conversation)
    * @param {Array} messages - Array of message objects
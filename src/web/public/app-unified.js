@@ -136,6 +136,8 @@ function loadTabData(tab) {
     case 'functions':
       fetchFunctionResults();
       fetchBlockedUsers();
+      fetchBlockedPrompts();
+      fetchImageComparisons();
       break;
     case 'settings':
       fetchSettings();
@@ -447,6 +449,63 @@ async function fetchBlockedUsers() {
   }
 }
 
+// The owner token, once entered, is kept for this tab so owner-only panels can load
+function ownerTokenHeaders() {
+  const token = sessionStorage.getItem('ownerToken');
+  return token ? { 'X-Owner-Token': token } : {};
+}
+
+// Image tags can't send headers, so gallery files get the token in the query
+function withOwnerToken(url) {
+  const token = sessionStorage.getItem('ownerToken');
+  if (!token || !url?.startsWith('/api/images/')) return url;
+  return `${url}?token=${encodeURIComponent(token)}`;
+}
+
+function askForOwnerToken() {
+  const token = prompt('Enter owner token:');
+  if (token) {
+    sessionStorage.setItem('ownerToken', token);
+  }
+  return token;
+}
+
+async function fetchBlockedPrompts() {
+  try {
+    const response = await fetch('/api/moderation/blocked-prompts?limit=20', {
+      headers: ownerTokenHeaders(),
+    });
+    if (response.status === 403) {
+      showOwnerTokenNeeded('blocked-prompts-container', fetchBlockedPrompts);
+      return;
+    }
+    const data = await response.json();
+
+    updateBlockedPrompts(data);
+    logDebug('Blocked prompts updated', 'info');
+  } catch (error) {
+    logDebug(`Error fetching blocked prompts: ${error.message}`, 'error');
+  }
+}
+
+async function fetchImageComparisons() {
+  try {
+    const response = await fetch('/api/images/comparisons?recent=5', {
+      headers: ownerTokenHeaders(),
+    });
+    if (response.status === 403) {
+      showOwnerTokenNeeded('image-comparisons-container', fetchImageComparisons);
+      return;
+    }
+    const data = await response.json();
+
+    updateImageComparisons(data);
+    logDebug('Image comparisons updated', 'info');
+  } catch (error) {
+    logDebug(`Error fetching image comparisons: ${error.message}`, 'error');
+  }
+}
+
 async function fetchSettings() {
   try {
     const response = await fetch('/settings');
@@ -610,7 +669,13 @@ function updateLLMProvidersDisplay(data) {
     const primaryStatus = document.getElementById('primaryLLMStatus');
 
     if (primaryModel) primaryModel.textContent = primary.model || 'Unknown Model';
-    if (primaryProvider) primaryProvider.textContent = primary.provider || 'Unknown Provider';
+    if (primaryProvider) {
+      primaryProvider.textContent = primary.provider || 'Unknown Provider';
+      // Failover order and state of every chat provider
+      primaryProvider.title = (data.llmProviders.providers || [])
+        .map(p => `${p.label}: ${p.circuitOpen ? 'circuit open' : p.status}`)
+        .join('\n');
+    }
     if (primaryStatus) {
       primaryStatus.textContent = '●';
       primaryStatus.className = `llm-status ${getHealthStatusClass(primary.status)}`;
@@ -952,6 +1017,97 @@ function updateBlockedUsers(data) {
   }
 }
 
+function showOwnerTokenNeeded(containerId, retry) {
+  const container = document.getElementById(containerId);
+  container.innerHTML = '<p class="text-center">Owner token required</p>';
+
+  const button = document.createElement('button');
+  button.className = 'btn btn-warning';
+  button.textContent = 'Enter owner token';
+  button.onclick = () => {
+    if (askForOwnerToken()) retry();
+  };
+  container.appendChild(button);
+}
+
+function updateBlockedPrompts(data) {
+  const container = document.getElementById('blocked-prompts-container');
+  container.innerHTML = '';
+
+  if (!data.entries || data.entries.length === 0) {
+    container.innerHTML = '<p class="text-center">No blocked prompts</p>';
+    return;
+  }
+
+  data.entries.forEach(entry => {
+    const div = document.createElement('div');
+    div.className = 'result-item';
+
+    const header = document.createElement('strong');
+    header.textContent = `${entry.username || entry.userId || 'Unknown user'} · ${entry.source}${entry.level ? ` (${entry.level})` : ''}`;
+
+    const prompt = document.createElement('div');
+    prompt.textContent = entry.prompt;
+
+    const details = document.createElement('small');
+    details.textContent = `${new Date(entry.timestamp).toLocaleString()} — ${entry.reason || ''}`;
+
+    div.append(header, prompt, details);
+    container.appendChild(div);
+  });
+}
+
+function updateImageComparisons(data) {
+  const container = document.getElementById('image-comparisons-container');
+  container.innerHTML = '';
+
+  if (!data.totals || data.totals.length === 0) {
+    container.innerHTML = '<p class="text-center">No image comparisons yet</p>';
+    return;
+  }
+
+  const overview = document.createElement('small');
+  overview.textContent = `${data.comparisons} comparisons, ${data.votes} votes`;
+  container.appendChild(overview);
+
+  // Totals per model and quality, most wins first
+  data.totals.forEach(total => {
+    const div = document.createElement('div');
+    div.className = 'result-item';
+
+    const header = document.createElement('strong');
+    header.textContent = `${total.model} (${total.quality})`;
+
+    const results = document.createElement('div');
+    results.textContent = `${total.wins} wins · ${total.votes} votes in ${total.comparisons} comparisons`;
+
+    const details = document.createElement('small');
+    details.textContent = `avg $${total.avgCost.toFixed(4)} · avg ${(total.avgLatencyMs / 1000).toFixed(1)}s${total.failures ? ` · ${total.failures} failed` : ''}`;
+
+    div.append(header, results, details);
+    container.appendChild(div);
+  });
+
+  data.recent.forEach(comparison => {
+    const div = document.createElement('div');
+    div.className = 'result-item';
+
+    const prompt = document.createElement('div');
+    prompt.textContent = comparison.prompt;
+
+    const votes = document.createElement('small');
+    votes.textContent = `${new Date(comparison.createdAt).toLocaleString()} — ${comparison.variants
+      .map(
+        variant =>
+          `${variant.label}: ${variant.model} (${variant.quality}) ${comparison.tally[variant.label] || 0}`
+      )
+      .join(' vs ')}`;
+
+    div.append(prompt, votes);
+    container.appendChild(div);
+  });
+}
+
 function updateSettingsDisplay(data) {
   // Update summary
   const summary = document.getElementById('settings-summary');
@@ -1065,7 +1221,7 @@ async function resetStats() {
 }
 
 async function unblockUser(userId) {
-  const token = prompt('Enter owner token:');
+  const token = askForOwnerToken();
   if (!token) return;
 
   try {
@@ -1157,6 +1313,18 @@ function filterSettings(filter) {
 
 async function loadFunctionDetails(func) {
   try {
+    // Images come from the gallery, which keeps the files past the API's expiring URLs
+    if (func === 'images' || func === 'gptimage') {
+      const galleryResponse = await fetch('/api/images?pageSize=12', {
+        headers: ownerTokenHeaders(),
+      });
+      const gallery = galleryResponse.ok ? await galleryResponse.json() : null;
+      if (gallery?.images?.length) {
+        updateImageGallery(gallery.images);
+        return;
+      }
+    }
+
     const response = await fetch(`/function-results?limit=10`);
     const data = await response.json();
 
@@ -1166,7 +1334,7 @@ async function loadFunctionDetails(func) {
 
     // If it's images, update the gallery
     if ((func === 'images' || func === 'gptimage') && (data.images || data.gptimage)) {
-      updateImageGallery(data.images || data.gptimage);
+      updateImageGallery((data.images || data.gptimage).slice(-12).reverse());
     } else if (func === 'weather' && data.weather) {
       updateWeatherResults(data.weather);
     }
@@ -1184,14 +1352,13 @@ function updateImageGallery(images) {
     return;
   }
 
-  // Show latest 12 images
-  const recentImages = images.slice(-12).reverse();
-  recentImages.forEach(img => {
+  // Images arrive newest first
+  images.forEach(img => {
     const item = document.createElement('div');
     item.className = 'gallery-item';
 
     // Extract image URL and prompt from the correct data structure
-    const imageUrl = img.result?.images?.[0]?.url || img.url;
+    const imageUrl = withOwnerToken(img.result?.images?.[0]?.url || img.url);
     const imagePrompt = img.params?.prompt || img.prompt || 'Generated image';
 
     if (imageUrl) {
@@ -152,6 +152,15 @@ function createRouter(deps) {
       const llmProviders = detectLLMProviders();
       const serviceHealth = await getServiceHealth(null);
       const envConfig = getEnvironmentConfig();
+      const activeProvider = llmProviders.chatProviders.find(
+        provider => provider.name === llmProviders.primary.providerName
+      );
+      const primaryStatus =
+        !llmProviders.primary.configured ||
+        activeProvider?.status === 'offline' ||
+        activeProvider?.circuitOpen
+          ? 'offline'
+          : 'online';
 
       const memUsed = Math.round(memoryUsage.heapUsed / 1024 / 1024);
       const memTotal = Math.round(memoryUsage.heapTotal / 1024 / 1024);
@@ -189,10 +198,12 @@ function createRouter(deps) {
         llmProviders: {
           primary: {
             ...llmProviders.primary,
-            status: llmProviders.primary.configured ? 'online' : 'offline',
-            health: llmProviders.primary.configured ? 100 : 0,
-            color: llmProviders.primary.configured ? 'green' : 'red',
+            status: primaryStatus,
+            health: primaryStatus === 'offline' ? 0 : 100,
+            color: primaryStatus === 'offline' ? 'red' : 'green',
           },
+          // Chat providers in failover order, with health-check and circuit state
+          providers: llmProviders.chatProviders,
           imageGeneration: {
             ...llmProviders.imageGeneration,
             status: llmProviders.imageGeneration.configured ? 'online' : 'offline',
@@ -0,0 +1,99 @@
+/**
+ * Image Gallery Routes
+ * GET /api/images, /api/images/:id, /api/images/:id/file
+ * GET /api/images/comparisons
+ * All need the owner token; the dashboard passes it as ?token= for image files.
+ */
+
+const { Router } = require('express');
+const { createLogger } = require('../../core/logger');
+const { getImageGallery } = require('../../services/imageGallery');
+const { getImageComparisons } = require('../../services/imageComparison');
+
+const logger = createLogger('imageRoutes');
+
+/**
+ * Gallery entry as served to the dashboard, with a URL for its file.
+ */
+function toApiImage(entry) {
+  return { ...entry, url: `/api/images/${entry.id}/file` };
+}
+
+/**
+ * @param {{
+ *   requireOwnerToken: Function,
+ *   imageGallery?: import('../../services/imageGallery').ImageGallery,
+ *   imageComparisons?: import('../../services/imageComparison').ImageComparisons
+ * }} deps
+ */
+function createRouter(deps = {}) {
+  const { requireOwnerToken } = deps;
+  const gallery = () => deps.imageGallery || getImageGallery();
+  const comparisons = () => deps.imageComparisons || getImageComparisons();
+  const router = Router();
+
+  // GET /api/images?userId=&guildId=&model=&q=&since=&until=&page=&pageSize=
+  router.get('/api/images', requireOwnerToken, (req, res) => {
+    try {
+      const { userId, guildId, model, since, until } = req.query;
+      for (const [name, value] of Object.entries({ since, until })) {
+        if (value && isNaN(new Date(value).getTime())) {
+          return res.status(400).json({ success: false, error: `Invalid ${name} date` });
+        }
+      }
+
+      const result = gallery().list({
+        userId,
+        guildId,
+        model,
+        search: req.query.q || req.query.search,
+        since,
+        until,
+        page: parseInt(req.query.page, 10) || 1,
+        pageSize: parseInt(req.query.pageSize || req.query.limit, 10) || undefined,
+      });
+      return res.json({ success: true, ...result, images: result.images.map(toApiImage) });
+    } catch (error) {
+      logger.error({ error }, 'Error listing gallery images');
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // GET /api/images/comparisons?recent=
+  router.get('/api/images/comparisons', requireOwnerToken, (req, res) => {
+    try {
+      const recent = Math.min(parseInt(req.query.recent, 10) || 10, 50);
+      res.json({ success: true, ...comparisons().summary({ recent }) });
+    } catch (error) {
+      logger.error({ error }, 'Error summarising image comparisons');
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // GET /api/images/:id
+  router.get('/api/images/:id', requireOwnerToken, (req, res) => {
+    const entry = gallery().get(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ success: false, error: 'Image not found' });
+    }
+    return res.json({ success: true, image: toApiImage(entry) });
+  });
+
+  // GET /api/images/:id/file
+  router.get('/api/images/:id/file', requireOwnerToken, (req, res) => {
+    const entry = gallery().get(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ success: false, error: 'Image not found' });
+    }
+    return res.sendFile(gallery().getFilePath(entry), error => {
+      if (error && !res.headersSent) {
+        logger.warn({ error, id: entry.id }, 'Gallery image file missing');
+        res.status(404).json({ success: false, error: 'Image file not found' });
+      }
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createRouter };
@@ -0,0 +1,40 @@
+/**
+ * Moderation Routes
+ * GET /api/moderation/blocked-prompts (owner token required)
+ */
+
+const { Router } = require('express');
+const { createLogger } = require('../../core/logger');
+const { getBlockedPromptLog } = require('../../services/blockedPromptLog');
+
+const logger = createLogger('moderationRoutes');
+
+const MAX_LIMIT = 200;
+
+/**
+ * @param {{
+ *   requireOwnerToken: Function,
+ *   blockedPromptLog?: import('../../services/blockedPromptLog').BlockedPromptLog
+ * }} deps
+ */
+function createRouter(deps = {}) {
+  const { requireOwnerToken } = deps;
+  const blockLog = () => deps.blockedPromptLog || getBlockedPromptLog();
+  const router = Router();
+
+  // GET /api/moderation/blocked-prompts?userId=&guildId=&source=&limit=
+  router.get('/api/moderation/blocked-prompts', requireOwnerToken, (req, res) => {
+    try {
+      const { userId, guildId, source } = req.query;
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_LIMIT);
+      res.json({ success: true, ...blockLog().list({ userId, guildId, source, limit }) });
+    } catch (error) {
+      logger.error({ error }, 'Error listing blocked prompts');
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createRouter };
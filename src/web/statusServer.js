@@ -130,7 +130,7 @@ const OWNER_TOKEN = process.env.OWNER_TOKEN || 'changeme';
 
 // This function is exported for use in future protected endpoints
 function requireOwnerToken(req, res, next) {
-  const token = req.headers['x-owner-token'] || req.query.token || req.body.token;
+  const token = req.headers['x-owner-token'] || req.query.token || req.body?.token;
   if (token !== OWNER_TOKEN) {
     return res.status(403).json({ error: 'Forbidden' });
   }
@@ -437,6 +437,8 @@ function initStatusServer(options = {}) {
     app.use('/', require('./routes/adminRoutes').createRouter(routeDeps));
     app.use('/', require('./routes/discoveryRoutes').createRouter());
     app.use('/', require('./routes/deletedMessagesRoutes').createRouter(routeDeps));
+    app.use('/', require('./routes/imageRoutes').createRouter(routeDeps));
+    app.use('/', require('./routes/moderationRoutes').createRouter(routeDeps));
     // ─────────────────────────────────────────────────────────────────────────────
     // Check if this is a secondary deployment
     const _isSecondaryDeployment = process.env.SECONDARY_DEPLOYMENT === 'true';
@@ -14,6 +14,28 @@ const fs = require('fs').promises;
 const { testSimpleChimpGPTFlow } = require('./unit/simpleChimpGPTFlowTest');
 const { testImageGeneration } = require('./unit/imageGenerationTest');
 const { testCommandProcessing } = require('./unit/commandProcessingTest');
+const { testIntentClassifier } = require('./unit/intentClassifierTest');
+const { testConversationMemoryStore } = require('./unit/conversationMemoryStoreTest');
+const { testUserMemoryRegistry } = require('./unit/userMemoryRegistryTest');
+const { testStreamingReply } = require('./unit/streamingReplyTest');
+const { testModelRouter } = require('./unit/modelRouterTest');
+const { testLLMProviders } = require('./unit/llmProvidersTest');
+const { testToolCalling } = require('./unit/toolCallingTest');
+const { testPersonas } = require('./unit/personaTest');
+const { testImageEdit } = require('./unit/imageEditTest');
+const { testImageBudget } = require('./unit/imageBudgetTest');
+const { testImageJobQueue } = require('./unit/imageJobQueueTest');
+const { testImageActions } = require('./unit/imageActionsTest');
+const { testImageGallery } = require('./unit/imageGalleryTest');
+const { testPromptModeration } = require('./unit/promptModerationTest');
+const { testImageStyles } = require('./unit/imageStylesTest');
+const { testPfpCuration } = require('./unit/pfpCurationTest');
+const { testImageComparison } = require('./unit/imageComparisonTest');
+const { testQuake3Query } = require('./unit/quake3QueryTest');
+const { testQuakeScoreboard } = require('./unit/quakeScoreboardTest');
+const { testQuakeAlerts } = require('./unit/quakeAlertsTest');
+const { testQuakeHistory } = require('./unit/quakeHistoryTest');
+const { testQuakeSettings } = require('./unit/quakeSettingsTest');
 const { testMessageHandlingIntegration } = require('./integration/messageHandlingIntegrationTest');
 const { testWeatherAPIIntegration } = require('./integration/weatherApiIntegrationTest');
 
@@ -116,6 +138,206 @@ const testSuites = {
     covers: ['src/handlers/imageGenerationHandler.js', 'src/services/imageGeneration.js'],
   },
 
+  'Intent Classifier': {
+    category: 'Unit',
+    priority: 'High',
+    fn: testIntentClassifier,
+    covers: [
+      'src/conversation/flow/intents/IntentClassifier.js',
+      'src/conversation/flow/intents/builtinIntents.js',
+      'src/conversation/flow/intents/scorers.js',
+    ],
+  },
+
+  'Conversation Memory Store': {
+    category: 'Unit',
+    priority: 'High',
+    fn: testConversationMemoryStore,
+    covers: ['src/conversation/flow/ConversationMemoryStore.js'],
+  },
+
+  'User Memory Registry': {
+    category: 'Unit',
+    priority: 'Medium',
+    fn: testUserMemoryRegistry,
+    covers: [
+      'src/conversation/userMemoryRegistry.js',
+      'src/conversation/flow/PersistentSharedStore.js',
+      'src/commands/modules/memory.js',
+    ],
+  },
+
+  'Streaming Reply': {
+    category: 'Unit',
+    priority: 'Medium',
+    fn: testStreamingReply,
+    covers: ['src/utils/streamingReply.js', 'src/core/eventHandlers/messageEventHandler.js'],
+  },
+
+  'Model Router': {
+    category: 'Unit',
+    priority: 'High',
+    fn: testModelRouter,
+    covers: ['src/services/modelRouter.js', 'src/core/configValidator.js'],
+  },
+
+  'LLM Providers': {
+    category: 'Unit',
+    priority: 'High',
+    fn: testLLMProviders,
+    covers: ['src/services/llmProviders.js', 'src/middleware/breakerManager.js'],
+  },
+
+  'Tool Calling': {
+    category: 'Unit',
+    priority: 'High',
+    fn: testToolCalling,
+    covers: [
+      'src/conversation/flow/nodes/FunctionExecutorNode.js',
+      'src/services/toolSchemas.js',
+      'src/plugins/pluginManager.js',
+    ],
+  },
+
+  Personas: {
+    category: 'Unit',
+    priority: 'Medium',
+    fn: testPersonas,
+    covers: [
+      'src/services/personaRegistry.js',
+      'src/utils/systemPromptBuilder.js',
+      'src/conversation/flow/SimpleChimpGPTFlow.js',
+    ],
+  },
+
+  'Image Edit': {
+    category: 'Unit',
+    priority: 'Medium',
+    fn: testImageEdit,
+    covers: [
+      'src/utils/imageSourceResolver.js',
+      'src/conversation/flow/intents/builtinIntents.js',
+      'src/conversation/flow/SimpleChimpGPTFlow.js',
+    ],
+  },
+
+  'Image Budget': {
+    category: 'Unit',
+    priority: 'Medium',
+    fn: testImageBudget,
+    covers: ['src/services/imageBudget.js'],
+  },
+
+  'Image Job Queue': {
+    category: 'Unit',
+    priority: 'Medium',
+    fn: testImageJobQueue,
+    covers: ['src/services/imageJobQueue.js', 'src/utils/imageJobFeedback.js'],
+  },
+
+  'Image Actions': {
+    category: 'Unit',
+    priority: 'Medium',
+    fn: testImageActions,
+    covers: [
+      'src/services/imageActionStore.js',
+      'src/utils/imageActions.js',
+      'src/core/eventHandlers/interactionEventHandler.js',
+    ],
+  },
+  'Image Gallery': {
+    category: 'Unit',
+    priority: 'Medium',
+    fn: testImageGallery,
+    covers: [
+      'src/services/imageGallery.js',
+      'src/web/routes/imageRoutes.js',
+      'src/commands/modules/gallery.js',
+    ],
+  },
+  'Prompt Moderation': {
+    category: 'Unit',
+    priority: 'Medium',
+    fn: testPromptModeration,
+    covers: [
+      'src/services/promptModeration.js',
+      'src/services/blockedPromptLog.js',
+      'src/web/routes/moderationRoutes.js',
+    ],
+  },
+
+  'Image Styles': {
+    category: 'Unit',
+    priority: 'Medium',
+    fn: testImageStyles,
+    covers: ['src/services/imageStyles.js', 'src/plugins/pluginManager.js'],
+  },
+
+  'PFP Curation': {
+    category: 'Unit',
+    priority: 'Medium',
+    fn: testPfpCuration,
+    covers: [
+      'src/utils/pfpManager.js',
+      'src/utils/imageDimensions.js',
+      'src/commands/modules/pfp.js',
+    ],
+  },
+
+  'Image Comparison': {
+    category: 'Unit',
+    priority: 'Medium',
+    fn: testImageComparison,
+    covers: [
+      'src/services/imageComparison.js',
+      'src/commands/modules/compare.js',
+      'src/web/routes/imageRoutes.js',
+    ],
+  },
+
+  'Quake 3 Query': {
+    category: 'Unit',
+    priority: 'Medium',
+    fn: testQuake3Query,
+    covers: ['src/services/quake3Query.js', 'src/services/quakeLookup.js'],
+  },
+
+  'Quake Scoreboard': {
+    category: 'Unit',
+    priority: 'Medium',
+    fn: testQuakeScoreboard,
+    covers: ['src/services/quakeScoreboardWatcher.js', 'src/services/quakeLookup.js'],
+  },
+
+  'Quake Alerts': {
+    category: 'Unit',
+    priority: 'Medium',
+    fn: testQuakeAlerts,
+    covers: [
+      'src/services/quakeAlerts.js',
+      'src/services/quakeServerPoller.js',
+      'src/commands/modules/quake.js',
+    ],
+  },
+
+  'Quake History': {
+    category: 'Unit',
+    priority: 'Medium',
+    fn: testQuakeHistory,
+    covers: ['src/services/quakeHistory.js', 'src/commands/modules/quake.js'],
+  },
+
+  'Quake Settings': {
+    category: 'Unit',
+    priority: 'Medium',
+    fn: testQuakeSettings,
+    covers: [
+      'src/services/quakeSettings.js',
+      'src/services/quakeLookup.js',
+      'src/commands/modules/quake.js',
+    ],
+  },
+
   'Command Processing': {
     category: 'Unit',
     priority: 'Medium',
@@ -0,0 +1,309 @@
+/**
+ * Conversation Memory Store Tests
+ *
+ * Tests for the persistent per-user conversation history:
+ * - Turns survive a reload from the JSONL file
+ * - Retention and per-user turn limits
+ * - Forgetting a user removes their turns from disk
+ * - Rolling memory summaries
+ * - Interleaved channel history for blended conversations
+ * - Malformed lines are skipped on load
+ *
+ * @module ConversationMemoryStoreTest
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLogger } = require('../../src/core/logger');
+const logger = createLogger('conversationMemoryStoreTest');
+
+const ConversationMemoryStore = require('../../src/conversation/flow/ConversationMemoryStore');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function createTempFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chimp-memory-'));
+  return path.join(dir, 'conversation-memory.jsonl');
+}
+
+function removeTempFile(filePath) {
+  fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+}
+
+/**
+ * Test that turns are reloaded from disk with user, channel and timestamp
+ */
+async function testPersistenceReload() {
+  logger.info('Test 1: Persistence across reload');
+
+  const filePath = createTempFile();
+  try {
+    const store = new ConversationMemoryStore({ filePath });
+    store.appendTurn('user1', { role: 'user', content: 'my name is Alice', channelId: 'c1' });
+    store.appendTurn('user1', { role: 'assistant', content: 'Hi Alice!', channelId: 'c1' });
+    store.appendTurn('user2', { role: 'user', content: 'hello', channelId: 'c2' });
+    await store.flush();
+
+    const reloaded = new ConversationMemoryStore({ filePath });
+    const turns = reloaded.getRecentTurns('user1');
+    const stats = reloaded.getStats();
+
+    const checks = {
+      turnsReloaded: turns.length === 2 && turns[0].content === 'my name is Alice',
+      channelKept: turns[0].channelId === 'c1',
+      timestampKept: typeof turns[0].timestamp === 'number',
+      orderKept: turns[1].role === 'assistant',
+      statsCorrect: stats.totalConversations === 2 && stats.totalMessages === 3,
+      limitApplied: reloaded.getRecentTurns('user1', 1)[0].content === 'Hi Alice!',
+    };
+
+    return { success: Object.values(checks).every(Boolean), details: checks };
+  } finally {
+    removeTempFile(filePath);
+  }
+}
+
+/**
+ * Test retention window and per-user turn cap
+ */
+async function testRetention() {
+  logger.info('Test 2: Retention policies');
+
+  const filePath = createTempFile();
+  try {
+    const old = Date.now() - 10 * DAY_MS;
+    const store = new ConversationMemoryStore({ filePath, retentionDays: 7, maxTurnsPerUser: 3 });
+    store.appendTurn('stale', { role: 'user', content: 'old news', timestamp: old });
+    store.appendTurn('fresh', { role: 'user', content: 'old turn', timestamp: old });
+    for (let i = 1; i <= 4; i++) {
+      store.appendTurn('fresh', { role: 'user', content: `message ${i}` });
+    }
+
+    const cappedTo3 = store.getRecentTurns('fresh').length === 3;
+    const removed = store.prune();
+    await store.flush();
+
+    const reloaded = new ConversationMemoryStore({ filePath, retentionDays: 7 });
+    const freshTurns = reloaded.getRecentTurns('fresh');
+
+    const checks = {
+      cappedTo3,
+      staleConversationRemoved: removed === 1 && reloaded.getRecentTurns('stale').length === 0,
+      oldestDropped: freshTurns.length === 3 && freshTurns[0].content === 'message 2',
+      fileCompacted: fs.readFileSync(filePath, 'utf8').trim().split('\n').length === 3,
+    };
+
+    return { success: Object.values(checks).every(Boolean), details: checks };
+  } finally {
+    removeTempFile(filePath);
+  }
+}
+
+/**
+ * Test that forgetting a user survives a reload
+ */
+async function testForgetUser() {
+  logger.info('Test 3: Forget user');
+
+  const filePath = createTempFile();
+  try {
+    const store = new ConversationMemoryStore({ filePath });
+    store.appendTurn('user1', { role: 'user', content: 'remember this' });
+    store.appendTurn('user2', { role: 'user', content: 'keep me' });
+    const removed = store.forgetUser('user1');
+    await store.flush();
+
+    const contents = fs.readFileSync(filePath, 'utf8');
+    const reloaded = new ConversationMemoryStore({ filePath });
+
+    const checks = {
+      removedCount: removed === 1,
+      goneAfterReload: reloaded.getRecentTurns('user1').length === 0,
+      otherUserKept: reloaded.getRecentTurns('user2').length === 1,
+      purgedFromDisk: !contents.includes('remember this'),
+      forgetUnknownUser: store.forgetUser('nobody') === 0,
+    };
+
+    return { success: Object.values(checks).every(Boolean), details: checks };
+  } finally {
+    removeTempFile(filePath);
+  }
+}
+
+/**
+ * Test that summaries replace each other, survive reload and are forgotten with the user
+ */
+async function testSummaryPersistence() {
+  logger.info('Test 4: Memory summaries');
+
+  const filePath = createTempFile();
+  try {
+    const store = new ConversationMemoryStore({ filePath });
+    store.appendTurn('user1', { role: 'user', content: 'I live in Wellington' });
+    store.setSummary('user1', { text: 'Lives somewhere', coveredUntil: 1 });
+    store.setSummary('user1', { text: 'Lives in Wellington', coveredUntil: 2 });
+    store.appendTurn('user2', { role: 'user', content: 'hi' });
+    store.setSummary('user2', { text: 'Says hi', coveredUntil: 3 });
+    await store.flush();
+
+    const reloaded = new ConversationMemoryStore({ filePath });
+    const summary = reloaded.getSummary('user1');
+    reloaded.forgetUser('user2');
+    await reloaded.flush();
+
+    const checks = {
+      latestSummaryKept: summary?.text === 'Lives in Wellington' && summary.coveredUntil === 2,
+      statsCountSummaries:
+        new ConversationMemoryStore({ filePath }).getStats().totalSummaries === 1,
+      forgottenWithUser: !fs.readFileSync(filePath, 'utf8').includes('Says hi'),
+      noSummaryForUnknownUser: reloaded.getSummary('nobody') === null,
+    };
+
+    return { success: Object.values(checks).every(Boolean), details: checks };
+  } finally {
+    removeTempFile(filePath);
+  }
+}
+
+/**
+ * Test interleaving a channel's turns with a per-user cap
+ */
+async function testChannelTurns() {
+  logger.info('Test 5: Channel turns');
+
+  const store = new ConversationMemoryStore({ filePath: null });
+  let timestamp = Date.now() - 1000;
+  const add = (userId, role, content, channelId = 'c1') =>
+    store.appendTurn(userId, {
+      role,
+      content,
+      channelId,
+      userName: userId,
+      timestamp: timestamp++,
+    });
+
+  add('alice', 'user', 'a1');
+  add('alice', 'assistant', 'reply a1');
+  add('bob', 'user', 'b1');
+  add('alice', 'user', 'a2');
+  add('alice', 'assistant', 'reply a2');
+  add('carol', 'user', 'elsewhere', 'c2');
+  add('bob', 'user', 'b2');
+
+  const all = store.getChannelTurns('c1');
+  const capped = store.getChannelTurns('c1', { maxPerUser: 1 });
+  const limited = store.getChannelTurns('c1', { limit: 2 });
+
+  const checks = {
+    interleavedInOrder: all.map(turn => turn.content).join(',') === 'a1,reply a1,b1,a2,reply a2,b2',
+    otherChannelExcluded: !all.some(turn => turn.content === 'elsewhere'),
+    ownerAndNameKept: all[2].userId === 'bob' && all[2].userName === 'bob',
+    perUserCap: capped.map(turn => turn.content).join(',') === 'a2,reply a2,b2',
+    totalLimit: limited.map(turn => turn.content).join(',') === 'reply a2,b2',
+  };
+
+  return { success: Object.values(checks).every(Boolean), details: checks };
+}
+
+/**
+ * Test that malformed lines are skipped and memory-only stores never touch disk
+ */
+async function testMalformedAndMemoryOnly() {
+  logger.info('Test 6: Malformed lines and memory-only mode');
+
+  const filePath = createTempFile();
+  try {
+    const turn = { type: 'turn', userId: 'u', role: 'user', content: 'ok', timestamp: Date.now() };
+    fs.writeFileSync(filePath, `${JSON.stringify(turn)}\n{not json\n`);
+
+    const store = new ConversationMemoryStore({ filePath });
+    const memoryOnly = new ConversationMemoryStore({ filePath: null });
+    memoryOnly.appendTurn('u', { role: 'user', content: 'ephemeral' });
+    await Promise.all([store.flush(), memoryOnly.flush()]);
+
+    const checks = {
+      validLineLoaded: store.getRecentTurns('u').length === 1,
+      malformedLineCompactedAway: !fs.readFileSync(filePath, 'utf8').includes('{not json'),
+      memoryOnlyWorks: memoryOnly.getRecentTurns('u').length === 1,
+      memoryOnlyNotPersistent: memoryOnly.getStats().persistent === false,
+    };
+
+    return { success: Object.values(checks).every(Boolean), details: checks };
+  } finally {
+    removeTempFile(filePath);
+  }
+}
+
+/**
+ * Main test runner for the conversation memory store
+ */
+async function testConversationMemoryStore() {
+  logger.info('Starting conversation memory store tests...');
+
+  const tests = [
+    { name: 'Persistence Reload', fn: testPersistenceReload },
+    { name: 'Retention', fn: testRetention },
+    { name: 'Forget User', fn: testForgetUser },
+    { name: 'Summary Persistence', fn: testSummaryPersistence },
+    { name: 'Channel Turns', fn: testChannelTurns },
+    { name: 'Malformed Lines and Memory-only', fn: testMalformedAndMemoryOnly },
+  ];
+
+  const results = [];
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      const result = await test.fn();
+      results.push({ name: test.name, ...result });
+
+      if (result.success) {
+        passed++;
+        logger.info(`✅ ${test.name}: PASSED`);
+      } else {
+        failed++;
+        logger.warn(`❌ ${test.name}: FAILED - ${result.error || 'See details'}`);
+      }
+    } catch (error) {
+      failed++;
+      results.push({ name: test.name, success: false, error: error.message });
+      logger.error(`❌ ${test.name}: ERROR - ${error.message}`);
+    }
+  }
+
+  logger.info(`Conversation memory store tests completed: ${passed} passed, ${failed} failed`);
+
+  return {
+    success: failed === 0,
+    details: {
+      passed,
+      failed,
+      total: tests.length,
+      results,
+    },
+  };
+}
+
+module.exports = {
+  testConversationMemoryStore,
+};
+
+// Allow running directly
+if (require.main === module) {
+  testConversationMemoryStore()
+    .then(result => {
+      console.log('\n=== Conversation Memory Store Test Results ===');
+      console.log(`Success: ${result.success}`);
+      console.log(`Passed: ${result.details.passed}/${result.details.total}`);
+      if (result.details.failed > 0) {
+        console.log(JSON.stringify(result.details.results, null, 2));
+      }
+      process.exit(result.success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test runner error:', error);
+      process.exit(1);
+    });
+}
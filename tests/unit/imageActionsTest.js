@@ -0,0 +1,383 @@
+/**
+ * Image Actions Tests
+ *
+ * Tests for the Re-roll, Variations and aspect buttons on generated images:
+ * - Persisting the prompt and settings behind each image
+ * - Building and parsing the button custom IDs
+ * - InteractionEventHandler running each action
+ * - Per-image Upscale and Save buttons on multi-image posts
+ * - Multi-image requests and Variations cut down to the points left in the rate limit
+ *
+ * @module ImageActionsTest
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLogger } = require('../../src/core/logger');
+const logger = createLogger('imageActionsTest');
+
+const { ImageActionStore } = require('../../src/services/imageActionStore');
+const {
+  buildImageActionButtons,
+  buildImagePickRows,
+  parseImageActionId,
+  parseImagePickId,
+} = require('../../src/utils/imageActions');
+const { ImageGallery } = require('../../src/services/imageGallery');
+const { SIZES, extractImageCount } = require('../../src/services/imageGeneration');
+const InteractionEventHandler = require('../../src/core/eventHandlers/interactionEventHandler');
+const {
+  checkImageGenerationRateLimit,
+  constants: { IMAGE_GEN_POINTS },
+} = require('../../src/middleware/rateLimiter');
+
+const customIds = buttons => buttons.map(button => button.data.custom_id);
+
+/**
+ * Test saving, reloading and pruning image records
+ */
+async function testStore() {
+  logger.info('Test 1: Image action store');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'image-actions-'));
+  const filePath = path.join(dir, 'image-actions.json');
+
+  try {
+    const store = new ImageActionStore({ filePath, maxRecords: 2 });
+    const first = store.add({ prompt: 'a red fox', model: 'gpt-image-1', size: SIZES.SQUARE });
+    const second = store.add({ prompt: 'a blue whale' });
+    await store.flush();
+    const reloaded = new ImageActionStore({ filePath, maxRecords: 2 });
+    const third = reloaded.add({ prompt: 'a green frog' });
+
+    const checks = {
+      shortIds: /^[0-9a-f]{12}$/.test(first) && first !== second,
+      settingsKept:
+        store.get(first)?.prompt === 'a red fox' && store.get(first)?.model === 'gpt-image-1',
+      timestamped: !isNaN(Date.parse(store.get(first)?.createdAt)),
+      survivesRestart: reloaded.get(second)?.prompt === 'a blue whale',
+      oldestPruned: reloaded.get(first) === null && reloaded.get(third)?.prompt === 'a green frog',
+      unknownIsNull: store.get('missing') === null,
+    };
+
+    return { success: Object.values(checks).every(Boolean), details: checks };
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test the buttons and their custom IDs
+ */
+async function testButtons() {
+  logger.info('Test 2: Action buttons');
+
+  const square = customIds(buildImageActionButtons('abc123', SIZES.SQUARE));
+  const portrait = customIds(buildImageActionButtons('abc123', SIZES.PORTRAIT));
+
+  const checks = {
+    allActionsForSquare:
+      square.join() ===
+      'image_action:reroll:abc123,image_action:variations:abc123,image_action:portrait:abc123,image_action:landscape:abc123',
+    currentAspectLeftOut:
+      !portrait.includes('image_action:portrait:abc123') && portrait.length === 3,
+    fitsDiscordLimit: square.every(id => id.length <= 100),
+    parsed:
+      parseImageActionId('image_action:variations:abc123')?.action === 'variations' &&
+      parseImageActionId('image_action:variations:abc123')?.recordId === 'abc123',
+    unknownAction: parseImageActionId('image_action:explode:abc123') === null,
+    otherButtons: parseImageActionId('hd_upgrade:a%20cat') === null,
+    portraitIsTall: SIZES.PORTRAIT === '1024x1536' && SIZES.LANDSCAPE === '1536x1024',
+  };
+
+  return { success: Object.values(checks).every(Boolean), details: checks };
+}
+
+/**
+ * Test InteractionEventHandler running the actions
+ */
+async function testHandler() {
+  logger.info('Test 3: Running actions from button presses');
+
+  const requests = [];
+  const imageService = {
+    generateImage: async (prompt, options) => {
+      requests.push({ prompt, options });
+      return {
+        success: true,
+        images: [{ b64_json: Buffer.from(`image-${requests.length}`).toString('base64') }],
+        estimatedCost: 0.01,
+      };
+    },
+  };
+  const store = new ImageActionStore({ filePath: null });
+  const recordId = store.add({
+    prompt: 'a lighthouse at dusk',
+    model: 'gpt-image-1',
+    quality: 'medium',
+    size: SIZES.SQUARE,
+  });
+  const handler = new InteractionEventHandler(
+    { on: () => {} },
+    {},
+    {
+      imageService,
+      imageActionStore: store,
+    }
+  );
+
+  const press = async (customId, userId) => {
+    const interaction = {
+      customId,
+      isButton: () => true,
+      user: { id: userId, username: 'Tester' },
+      guildId: 'guild-1',
+      client: {},
+      replies: [],
+      edits: [],
+      reply: async payload => interaction.replies.push(payload),
+      deferReply: async () => {
+        interaction.deferred = true;
+      },
+      editReply: async payload => interaction.edits.push(payload),
+    };
+    await handler.handleInteractionCreate(interaction);
+    return interaction;
+  };
+
+  const stamp = Date.now();
+  const reroll = await press(`image_action:reroll:${recordId}`, `reroll-${stamp}`);
+  const rerollRequests = requests.splice(0);
+  const variations = await press(`image_action:variations:${recordId}`, `variations-${stamp}`);
+  const variationRequests = requests.splice(0);
+  const landscape = await press(`image_action:landscape:${recordId}`, `landscape-${stamp}`);
+  const landscapeRequests = requests.splice(0);
+  const expired = await press('image_action:reroll:gone', `expired-${stamp}`);
+
+  // Two of the three points spent, so Variations only gets one image
+  const lowUser = `variations-low-${stamp}`;
+  await checkImageGenerationRateLimit(lowUser, 2);
+  const lowVariations = await press(`image_action:variations:${recordId}`, lowUser);
+  const lowRequests = requests.splice(0);
+  const afterLow = await checkImageGenerationRateLimit(lowUser);
+
+  const rerollReply = reroll.edits[0];
+  const newButtons = rerollReply?.components?.[0].components.map(button => button.data.custom_id);
+  const newRecordId = parseImageActionId(newButtons?.[0] || '')?.recordId;
+  const landscapeButtons = landscape.edits[0]?.components?.[0].components.map(
+    button => button.data.custom_id
+  );
+
+  const checks = {
+    rerollSamePrompt:
+      rerollRequests.length === 1 &&
+      rerollRequests[0].prompt === 'a lighthouse at dusk' &&
+      rerollRequests[0].options.model === 'gpt-image-1' &&
+      rerollRequests[0].options.size === SIZES.SQUARE,
+    chargedToPresser: rerollRequests[0]?.options.userId === `reroll-${stamp}`,
+    rerollPosted:
+      rerollReply?.files.length === 1 &&
+      /Re-roll — a lighthouse at dusk/.test(rerollReply.content) &&
+      /\$0\.0100/.test(rerollReply.content),
+    newImageHasButtons: newRecordId && newRecordId !== recordId && !!store.get(newRecordId),
+    variationsGallery: variationRequests.length === 3 && variations.edits[0]?.files.length === 3,
+    variationsCutToPointsLeft:
+      lowRequests.length === 1 &&
+      lowVariations.edits[0]?.files.length === 1 &&
+      /Only 1 of the 3 images/.test(lowVariations.edits[0].content) &&
+      afterLow.limited,
+    landscapeSize:
+      landscapeRequests[0]?.options.size === SIZES.LANDSCAPE &&
+      !landscapeButtons?.some(id => id.startsWith('image_action:landscape:')),
+    expiredExplained: expired.replies[0]?.ephemeral && /anymore/.test(expired.replies[0].content),
+  };
+
+  return { success: Object.values(checks).every(Boolean), details: checks };
+}
+
+/**
+ * Test the per-image buttons on multi-image posts
+ */
+async function testPicks() {
+  logger.info('Test 4: Per-image Upscale and Save buttons');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'image-picks-'));
+  const edits = [];
+  const imageService = {
+    editImage: async (prompt, image, options) => {
+      edits.push({ prompt, image, options });
+      return {
+        success: true,
+        images: [{ b64_json: Buffer.from('upscaled').toString('base64') }],
+        estimatedCost: 0.25,
+      };
+    },
+  };
+
+  try {
+    const gallery = new ImageGallery({ dir });
+    const first = await gallery.add(Buffer.from('first image'), { prompt: 'a castle' });
+    const second = await gallery.add(Buffer.from('second image'), { prompt: 'a castle' });
+    const store = new ImageActionStore({ filePath: null });
+    const recordId = store.add({ prompt: 'a castle', galleryIds: [first.id, second.id] });
+    const handler = new InteractionEventHandler(
+      { on: () => {} },
+      {},
+      { imageService, imageActionStore: store, imageGallery: gallery }
+    );
+
+    const press = async (customId, userId, dmsOpen = true) => {
+      const interaction = {
+        customId,
+        isButton: () => true,
+        user: {
+          id: userId,
+          username: 'Tester',
+          dms: [],
+          send: async payload => {
+            if (!dmsOpen) throw new Error('Cannot send messages to this user');
+            interaction.user.dms.push(payload);
+          },
+        },
+        guildId: 'guild-1',
+        client: {},
+        replies: [],
+        edits: [],
+        reply: async payload => interaction.replies.push(payload),
+        deferReply: async () => {
+          interaction.deferred = true;
+        },
+        editReply: async payload => interaction.edits.push(payload),
+      };
+      await handler.handleInteractionCreate(interaction);
+      return interaction;
+    };
+
+    const stamp = Date.now();
+    const rows = buildImagePickRows(recordId, 2);
+    const rowIds = rows.map(row => row.components.map(button => button.data.custom_id));
+    const saved = await press(`image_pick:save:${recordId}:1`, `save-${stamp}`);
+    const closedDms = await press(`image_pick:save:${recordId}:0`, `closed-${stamp}`, false);
+    const upscaled = await press(`image_pick:upscale:${recordId}:0`, `upscale-${stamp}`);
+    const missing = await press(`image_pick:save:${recordId}:3`, `missing-${stamp}`);
+
+    const limitedUser = `picks-limit-${stamp}`;
+    const single = await checkImageGenerationRateLimit(limitedUser);
+    const cutDown = await checkImageGenerationRateLimit(limitedUser, 4);
+    const overLimit = await checkImageGenerationRateLimit(limitedUser, 2);
+
+    const checks = {
+      noRowsForOneImage: buildImagePickRows(recordId, 1).length === 0,
+      rowPerPick:
+        rowIds.length === 2 &&
+        rowIds[0].join() === `image_pick:upscale:${recordId}:0,image_pick:upscale:${recordId}:1` &&
+        rowIds[1][1] === `image_pick:save:${recordId}:1`,
+      parsed:
+        parseImagePickId(`image_pick:save:${recordId}:1`)?.index === 1 &&
+        parseImagePickId(`image_pick:explode:${recordId}:1`) === null &&
+        parseImageActionId(`image_pick:save:${recordId}:1`) === null,
+      saveDmsRightImage:
+        saved.user.dms[0]?.files[0].attachment.toString() === 'second image' &&
+        saved.replies[0]?.ephemeral,
+      closedDmsExplained:
+        closedDms.replies[0]?.ephemeral && /couldn't DM/.test(closedDms.replies[0].content),
+      upscaleEditsImage:
+        edits.length === 1 &&
+        edits[0].image.buffer.toString() === 'first image' &&
+        edits[0].options.quality === 'high' &&
+        edits[0].options.userId === `upscale-${stamp}`,
+      upscalePosted:
+        upscaled.edits[0]?.files.length === 1 && /Upscaled image 1/.test(upscaled.edits[0].content),
+      missingExplained: /anymore/.test(missing.replies[0]?.content),
+      rateLimitStaysThreeAMinute:
+        IMAGE_GEN_POINTS === 3 &&
+        single.imageCount === 1 &&
+        !single.notice &&
+        cutDown.imageCount === 2 &&
+        /Only 2 of the 4 images/.test(cutDown.notice) &&
+        overLimit.limited &&
+        overLimit.imageCount === 0,
+      countFromPrompt:
+        extractImageCount('4 images of a red fox').count === 4 &&
+        extractImageCount('three different pictures of a castle').prompt === 'a castle' &&
+        extractImageCount('2 cats on a sofa').count === 1,
+    };
+    await gallery.flush();
+
+    return { success: Object.values(checks).every(Boolean), details: checks };
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Main test runner for image actions
+ */
+async function testImageActions() {
+  logger.info('Starting image action tests...');
+
+  const tests = [
+    { name: 'Store', fn: testStore },
+    { name: 'Buttons', fn: testButtons },
+    { name: 'Handler', fn: testHandler },
+    { name: 'Picks', fn: testPicks },
+  ];
+
+  const results = [];
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      const result = await test.fn();
+      results.push({ name: test.name, ...result });
+
+      if (result.success) {
+        passed++;
+        logger.info(`✅ ${test.name}: PASSED`);
+      } else {
+        failed++;
+        logger.warn(`❌ ${test.name}: FAILED - ${result.error || 'See details'}`);
+      }
+    } catch (error) {
+      failed++;
+      results.push({ name: test.name, success: false, error: error.message });
+      logger.error(`❌ ${test.name}: ERROR - ${error.message}`);
+    }
+  }
+
+  logger.info(`Image action tests completed: ${passed} passed, ${failed} failed`);
+
+  return {
+    success: failed === 0,
+    details: {
+      passed,
+      failed,
+      total: tests.length,
+      results,
+    },
+  };
+}
+
+module.exports = {
+  testImageActions,
+};
+
+// Allow running directly
+if (require.main === module) {
+  testImageActions()
+    .then(result => {
+      console.log('\n=== Image Action Test Results ===');
+      console.log(`Success: ${result.success}`);
+      console.log(`Passed: ${result.details.passed}/${result.details.total}`);
+      if (result.details.failed > 0) {
+        console.log(JSON.stringify(result.details.results, null, 2));
+      }
+      process.exit(result.success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test runner error:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,261 @@
+/**
+ * Image Budget Tests
+ *
+ * Tests for image spend budgets:
+ * - Validating the IMAGE_BUDGETS config
+ * - Summing spend per user, guild and overall for the day and month
+ * - Warning near a limit, and refusing or asking for approval at one
+ * - Holding the cost of running requests so concurrent ones can't overshoot a limit
+ *
+ * @module ImageBudgetTest
+ */
+
+const { createLogger } = require('../../src/core/logger');
+const logger = createLogger('imageBudgetTest');
+
+const { ImageBudget, parseImageBudgets } = require('../../src/services/imageBudget');
+
+const NOW = new Date('2026-03-15T12:00:00Z');
+
+// Spend this month: alice $0.30 today and $0.50 earlier in the month, bob $0.20 today
+const ENTRIES = [
+  { timestamp: '2026-03-15T09:00:00Z', userId: 'alice', guildId: 'guild-1', cost: 0.3 },
+  { timestamp: '2026-03-02T09:00:00Z', userId: 'alice', guildId: 'guild-1', cost: 0.5 },
+  { timestamp: '2026-03-15T10:00:00Z', userId: 'bob', guildId: 'guild-2', cost: 0.2 },
+];
+
+function parseError(value) {
+  try {
+    parseImageBudgets(value);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+function createBudget(config, options = {}) {
+  return new ImageBudget(parseImageBudgets(JSON.stringify(config)), {
+    getUsageEntries: async since => ENTRIES.filter(entry => new Date(entry.timestamp) >= since),
+    now: () => NOW,
+    ...options,
+  });
+}
+
+/**
+ * Test validation of IMAGE_BUDGETS
+ */
+async function testConfigValidation() {
+  logger.info('Test 1: IMAGE_BUDGETS validation');
+
+  const parsed = parseImageBudgets('{"user":{"daily":0.5},"onLimit":"approve","warnAt":0.9}');
+
+  const checks = {
+    emptyMeansNoLimits: !new ImageBudget(parseImageBudgets('')).isEnabled(),
+    defaults: parseImageBudgets('').warnAt === 0.8 && parseImageBudgets('').onLimit === 'refuse',
+    validParsed: parsed.user.daily === 0.5 && parsed.onLimit === 'approve' && parsed.warnAt === 0.9,
+    notObject: /JSON object/.test(parseError('[]')),
+    unknownScope: /unknown key 'team'/.test(parseError('{"team":{"daily":1}}')),
+    unknownPeriod: /unknown period 'weekly'/.test(parseError('{"user":{"weekly":1}}')),
+    badLimit: /positive dollar amount/.test(parseError('{"guild":{"daily":-1}}')),
+    badWarnAt: /warnAt/.test(parseError('{"warnAt":1.5}')),
+    badOnLimit: /onLimit/.test(parseError('{"onLimit":"ignore"}')),
+  };
+
+  return { success: Object.values(checks).every(Boolean), details: checks };
+}
+
+/**
+ * Test spend per scope and period
+ */
+async function testSpend() {
+  logger.info('Test 2: Spend per scope and period');
+
+  const budget = createBudget({
+    user: { daily: 1, monthly: 2 },
+    guild: { monthly: 5 },
+    global: { daily: 10 },
+  });
+  const statuses = await budget.getStatus({ userId: 'alice', guildId: 'guild-1' });
+  const find = (scope, period) => statuses.find(s => s.scope === scope && s.period === period);
+  const dmStatuses = await budget.getStatus({ userId: 'alice' });
+
+  const checks = {
+    userDailyOnlyToday: Math.abs(find('user', 'daily').spent - 0.3) < 1e-9,
+    userMonthly: Math.abs(find('user', 'monthly').spent - 0.8) < 1e-9,
+    guildMonthly: Math.abs(find('guild', 'monthly').spent - 0.8) < 1e-9,
+    globalDaily: Math.abs(find('global', 'daily').spent - 0.5) < 1e-9,
+    remaining: Math.abs(find('user', 'daily').remaining - 0.7) < 1e-9,
+    unsetLimitsSkipped: statuses.length === 4,
+    noGuildLimitInDms: !dmStatuses.some(s => s.scope === 'guild'),
+  };
+
+  return { success: Object.values(checks).every(Boolean), details: checks };
+}
+
+/**
+ * Test warnings, refusals and owner approval
+ */
+async function testEnforcement() {
+  logger.info('Test 3: Warnings, refusals and approval');
+
+  const refusing = createBudget({ user: { daily: 0.5 }, warnAt: 0.8 });
+  const fits = await refusing.enforce({ userId: 'bob', cost: 0.1 });
+  const nearLimit = await refusing.enforce({ userId: 'alice', cost: 0.15 });
+  const overLimit = await refusing.enforce({ userId: 'alice', cost: 0.25 });
+
+  const approvals = [];
+  const approving = createBudget(
+    { user: { daily: 0.5 }, onLimit: 'approve' },
+    {
+      requestHumanApproval: async (details, onApprove, onDeny) => {
+        approvals.push({ details, onApprove, onDeny });
+        return `approval-${approvals.length}`;
+      },
+    }
+  );
+  const asked = await approving.enforce({ userId: 'alice', username: 'Alice', cost: 0.25 });
+  const askedAgain = await approving.enforce({ userId: 'alice', cost: 0.25 });
+  const approvalsWhilePending = approvals.length;
+  approvals[0]?.onApprove();
+  const afterApproval = await approving.enforce({ userId: 'alice', cost: 0.25 });
+  const overrideUsedUp = await approving.enforce({ userId: 'alice', cost: 0.25 });
+
+  const checks = {
+    allowedQuietly: fits.allowed && fits.warning === null,
+    warnsNearLimit: nearLimit.allowed && /your daily image budget/.test(nearLimit.warning),
+    refusedAtLimit:
+      !overLimit.allowed &&
+      /\$0\.30 of \$0\.50/.test(overLimit.message) &&
+      !overLimit.approvalRequested,
+    approvalRequested:
+      !asked.allowed &&
+      asked.approvalRequested &&
+      /asked the owner/.test(asked.message) &&
+      approvals[0]?.details.user === 'Alice (alice)',
+    oneRequestWhilePending: !askedAgain.allowed && approvalsWhilePending === 1,
+    allowedOnceAfterApproval:
+      afterApproval.allowed && /approved by the owner/.test(afterApproval.warning),
+    overrideSingleUse: !overrideUsedUp.allowed && approvals.length === 2,
+  };
+
+  return { success: Object.values(checks).every(Boolean), details: checks };
+}
+
+/**
+ * Test that requests running side by side can't all fit under one limit
+ */
+async function testConcurrentRequests() {
+  logger.info('Test 4: Concurrent requests');
+
+  // Usage history read when the budget asks and handed back a little later, like the file
+  const history = [];
+  const budget = createBudget(
+    { user: { daily: 0.5 } },
+    {
+      getUsageEntries: async () => {
+        const entries = [...history];
+        await new Promise(resolve => setTimeout(resolve, 10));
+        return entries;
+      },
+    }
+  );
+  const request = { userId: 'carol', cost: 0.3 };
+
+  const [first, second] = await Promise.all([budget.enforce(request), budget.enforce(request)]);
+  const allowed = [first, second].find(decision => decision.allowed);
+
+  // A decision that reads the history before the allowed request is tracked, and
+  // finishes after the request released its hold
+  const duringRelease = budget.enforce(request);
+  history.push({ timestamp: NOW.toISOString(), userId: 'carol', cost: 0.3 });
+  await allowed.release();
+  const sawHold = await duringRelease;
+  const afterTracking = await budget.enforce(request);
+
+  const failing = createBudget({ user: { daily: 0.5 } });
+  const failed = await failing.enforce(request);
+  await failed.release();
+  await failed.release();
+  const afterFailure = await failing.enforce(request);
+
+  const checks = {
+    onlyOneAllowed: first.allowed !== second.allowed,
+    secondRefused: /your daily image budget/.test((first.allowed ? second : first).message),
+    holdKeptDuringDecision: !sawHold.allowed,
+    trackedSpendCounts: !afterTracking.allowed && budget.holds.size === 0,
+    failedRequestFreesBudget: afterFailure.allowed,
+  };
+
+  return { success: Object.values(checks).every(Boolean), details: checks };
+}
+
+/**
+ * Main test runner for image budgets
+ */
+async function testImageBudget() {
+  logger.info('Starting image budget tests...');
+
+  const tests = [
+    { name: 'Config Validation', fn: testConfigValidation },
+    { name: 'Spend', fn: testSpend },
+    { name: 'Enforcement', fn: testEnforcement },
+    { name: 'Concurrent Requests', fn: testConcurrentRequests },
+  ];
+
+  const results = [];
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      const result = await test.fn();
+      results.push({ name: test.name, ...result });
+
+      if (result.success) {
+        passed++;
+        logger.info(`✅ ${test.name}: PASSED`);
+      } else {
+        failed++;
+        logger.warn(`❌ ${test.name}: FAILED - ${result.error || 'See details'}`);
+      }
+    } catch (error) {
+      failed++;
+      results.push({ name: test.name, success: false, error: error.message });
+      logger.error(`❌ ${test.name}: ERROR - ${error.message}`);
+    }
+  }
+
+  logger.info(`Image budget tests completed: ${passed} passed, ${failed} failed`);
+
+  return {
+    success: failed === 0,
+    details: {
+      passed,
+      failed,
+      total: tests.length,
+      results,
+    },
+  };
+}
+
+module.exports = {
+  testImageBudget,
+};
+
+// Allow running directly
+if (require.main === module) {
+  testImageBudget()
+    .then(result => {
+      console.log('\n=== Image Budget Test Results ===');
+      console.log(`Success: ${result.success}`);
+      console.log(`Passed: ${result.details.passed}/${result.details.total}`);
+      if (result.details.failed > 0) {
+        console.log(JSON.stringify(result.details.results, null, 2));
+      }
+      process.exit(result.success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test runner error:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,287 @@
+/**
+ * Image Comparison Tests
+ *
+ * Tests for owner A/B comparisons of image models:
+ * - Running both sides at once with their cost and latency
+ * - Reaction votes (one per user, moved by voting again)
+ * - Totals per model and quality, on disk and on the dashboard route
+ * - Reading model[:quality] arguments in the text command
+ *
+ * @module ImageComparisonTest
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const express = require('express');
+const { createLogger } = require('../../src/core/logger');
+const logger = createLogger('imageComparisonTest');
+
+const { ImageComparisons, VOTE_EMOJIS } = require('../../src/services/imageComparison');
+const { createRouter } = require('../../src/web/routes/imageRoutes');
+const compareCommand = require('../../src/commands/modules/compare');
+
+const COSTS = { 'gpt-image-1-mini': 0.011, 'gpt-image-1.5': 0.133 };
+
+/**
+ * Stands in for generateImage: the mini model answers fast, 1.5 slowly, and a
+ * prompt containing "fail" fails on 1.5.
+ */
+const fakeGenerate = calls => async (prompt, options) => {
+  calls.push(options);
+  if (prompt.includes('fail') && options.model === 'gpt-image-1.5') {
+    return { success: false, error: 'The image service timed out', prompt };
+  }
+  return {
+    success: true,
+    images: [{ b64_json: 'aW1hZ2U=', revisedPrompt: prompt }],
+    model: options.model,
+    quality: options.quality || (options.model === 'gpt-image-1.5' ? 'high' : 'medium'),
+    size: options.size || '1024x1024',
+    estimatedCost: COSTS[options.model],
+    apiCallDuration: options.model === 'gpt-image-1.5' ? 20000 : 8000,
+  };
+};
+
+const SIDES = [{ model: 'gpt-image-1-mini' }, { model: 'gpt-image-1.5' }];
+
+const react = (messageId, label, userId, bot = false) => [
+  { emoji: { name: VOTE_EMOJIS[label] || label }, message: { id: messageId } },
+  { id: userId, bot },
+];
+
+/**
+ * Test running both sides of a comparison
+ */
+async function testRun() {
+  logger.info('Test 1: Running a comparison');
+
+  const calls = [];
+  const comparisons = new ImageComparisons({ filePath: null, generateImage: fakeGenerate(calls) });
+  const { comparison, results } = await comparisons.run('a castle', SIDES, {
+    size: '1536x1024',
+    userId: 'owner',
+    guildId: 'g1',
+    jobId: 'shared-job',
+    count: 3,
+  });
+  const failed = await comparisons.run('fail a castle', SIDES, { userId: 'owner' });
+  const [a, b] = comparison.variants;
+
+  const checks = {
+    bothSidesRun: calls.length === 4 && results.length === 2 && results.every(r => r.success),
+    sharedOptionsPassed: calls[0].size === '1536x1024' && calls[1].userId === 'owner',
+    oneImageEach: calls.every(call => call.count === 1),
+    noSharedJobId: calls.every(call => call.jobId === undefined),
+    labelled: a.label === 'A' && b.label === 'B',
+    modelAndQuality: a.model === 'gpt-image-1-mini' && b.quality === 'high',
+    costAndLatency: a.cost === 0.011 && b.cost === 0.133 && b.latencyMs === 20000,
+    recorded: comparisons.get(comparison.id)?.guildId === 'g1',
+    failureKept:
+      !failed.comparison.variants[1].success &&
+      failed.comparison.variants[1].error === 'The image service timed out' &&
+      failed.comparison.variants[1].cost === 0,
+  };
+
+  return { success: Object.values(checks).every(Boolean), details: checks };
+}
+
+/**
+ * Test counting votes from reactions
+ */
+async function testVoting() {
+  logger.info('Test 2: Reaction votes');
+
+  const comparisons = new ImageComparisons({ filePath: null, generateImage: fakeGenerate([]) });
+  const { comparison } = await comparisons.run('a castle', SIDES);
+  comparisons.linkMessage(comparison.id, { id: 'm1', channelId: 'c1' });
+
+  const client = new EventEmitter();
+  comparisons.startVoting(client);
+
+  client.emit('messageReactionAdd', ...react('m1', 'A', 'u1'));
+  client.emit('messageReactionAdd', ...react('m1', 'B', 'u2'));
+  client.emit('messageReactionAdd', ...react('m1', 'A', 'u3'));
+  const afterVotes = comparisons.tally(comparison);
+
+  // u1 changes their mind, then takes back the old reaction
+  client.emit('messageReactionAdd', ...react('m1', 'B', 'u1'));
+  client.emit('messageReactionRemove', ...react('m1', 'A', 'u1'));
+  const afterSwitch = comparisons.tally(comparison);
+
+  client.emit('messageReactionRemove', ...react('m1', 'A', 'u3'));
+  const afterRemove = comparisons.tally(comparison);
+
+  const checks = {
+    linked: comparison.messageId === 'm1' && comparison.channelId === 'c1',
+    counted: afterVotes.A === 2 && afterVotes.B === 1,
+    voteMoved: afterSwitch.A === 1 && afterSwitch.B === 2,
+    voteRemoved: afterRemove.A === 0 && afterRemove.B === 2,
+    botIgnored: comparisons.handleReaction(...react('m1', 'A', 'bot', true), true) === null,
+    otherEmojiIgnored: comparisons.handleReaction(...react('m1', '👍', 'u4'), true) === null,
+    otherMessageIgnored: comparisons.handleReaction(...react('m2', 'A', 'u4'), true) === null,
+    repeatIgnored: comparisons.handleReaction(...react('m1', 'B', 'u2'), true) === null,
+  };
+
+  return { success: Object.values(checks).every(Boolean), details: checks };
+}
+
+/**
+ * Test the totals, persistence and dashboard route
+ */
+async function testSummary() {
+  logger.info('Test 3: Totals and /api/images/comparisons');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'image-comparisons-'));
+  const filePath = path.join(dir, 'image-comparisons.json');
+  let server;
+  try {
+    const comparisons = new ImageComparisons({ filePath, generateImage: fakeGenerate([]) });
+    const vote = (messageId, votes) =>
+      Object.entries(votes).forEach(([userId, label]) =>
+        comparisons.handleReaction(...react(messageId, label, userId), true)
+      );
+
+    for (const [index, prompt] of ['a castle', 'a fox', 'a tie', 'fail an owl'].entries()) {
+      const { comparison } = await comparisons.run(prompt, SIDES);
+      comparisons.linkMessage(comparison.id, { id: `m${index}` });
+    }
+    vote('m0', { u1: 'A', u2: 'A', u3: 'B' });
+    vote('m1', { u1: 'A' });
+    vote('m2', { u1: 'A', u2: 'B' });
+    await comparisons.flush();
+
+    const reloaded = new ImageComparisons({ filePath, generateImage: fakeGenerate([]) });
+    const summary = reloaded.summary({ recent: 2 });
+    const [mini, flagship] = summary.totals;
+
+    const app = express();
+    app.use(
+      '/',
+      createRouter({ imageComparisons: reloaded, requireOwnerToken: (req, res, next) => next() })
+    );
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    const route = await new Promise((resolve, reject) => {
+      http
+        .get(`http://127.0.0.1:${server.address().port}/api/images/comparisons?recent=1`, res => {
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => resolve(JSON.parse(Buffer.concat(chunks).toString())));
+        })
+        .on('error', reject);
+    });
+
+    const checks = {
+      survivesRestart: summary.comparisons === 4 && summary.votes === 6,
+      mostWinsFirst: mini.key === 'gpt-image-1-mini (medium)' && mini.wins === 2,
+      tiesWinNothing: flagship.wins === 0 && flagship.votes === 2,
+      votesPerSide: mini.votes === 4,
+      failuresCounted: flagship.failures === 1 && mini.failures === 0,
+      averagesSkipFailures: flagship.avgCost === 0.133 && flagship.avgLatencyMs === 20000,
+      recentNewestFirst:
+        summary.recent.map(c => c.prompt).join() === 'fail an owl,a tie' &&
+        summary.recent[1].tally.A === 1,
+      route: route.success && route.totals.length === 2 && route.recent.length === 1,
+    };
+
+    return { success: Object.values(checks).every(Boolean), details: checks };
+  } finally {
+    if (server) await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test the text command's model[:quality] arguments
+ */
+async function testCommandArgs() {
+  logger.info('Test 4: Compare command arguments');
+
+  const { parseSide } = compareCommand;
+  const checks = {
+    model: JSON.stringify(parseSide('gpt-image-1.5')) === '{"model":"gpt-image-1.5"}',
+    modelAndQuality:
+      JSON.stringify(parseSide('GPT-IMAGE-1-MINI:low')) ===
+      '{"model":"gpt-image-1-mini","quality":"low"}',
+    promptWord: parseSide('castle') === null,
+    deprecatedModel: parseSide('dall-e-3') === null,
+    badQuality: parseSide('gpt-image-1:ultra') === null,
+    ownerOnly: compareCommand.ownerOnly === true,
+  };
+
+  return { success: Object.values(checks).every(Boolean), details: checks };
+}
+
+/**
+ * Main test runner for image comparisons
+ */
+async function testImageComparison() {
+  logger.info('Starting image comparison tests...');
+
+  const tests = [
+    { name: 'Run', fn: testRun },
+    { name: 'Voting', fn: testVoting },
+    { name: 'Summary', fn: testSummary },
+    { name: 'Command Args', fn: testCommandArgs },
+  ];
+
+  const results = [];
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      const result = await test.fn();
+      results.push({ name: test.name, ...result });
+
+      if (result.success) {
+        passed++;
+        logger.info(`✅ ${test.name}: PASSED`);
+      } else {
+        failed++;
+        logger.warn(`❌ ${test.name}: FAILED - ${result.error || 'See details'}`);
+      }
+    } catch (error) {
+      failed++;
+      results.push({ name: test.name, success: false, error: error.message });
+      logger.error(`❌ ${test.name}: ERROR - ${error.message}`);
+    }
+  }
+
+  logger.info(`Image comparison tests completed: ${passed} passed, ${failed} failed`);
+
+  return {
+    success: failed === 0,
+    details: {
+      passed,
+      failed,
+      total: tests.length,
+      results,
+    },
+  };
+}
+
+module.exports = {
+  testImageComparison,
+};
+
+// Allow running directly
+if (require.main === module) {
+  testImageComparison()
+    .then(result => {
+      console.log('\n=== Image Comparison Test Results ===');
+      console.log(`Success: ${result.success}`);
+      console.log(`Passed: ${result.details.passed}/${result.details.total}`);
+      if (result.details.failed > 0) {
+        console.log(JSON.stringify(result.details.results, null, 2));
+      }
+      process.exit(result.success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test runner error:', error);
+      process.exit(1);
+    });
+}
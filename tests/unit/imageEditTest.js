@@ -0,0 +1,308 @@
+/**
+ * Image Edit Tests
+ *
+ * Tests for editing images:
+ * - Finding the image (and mask) from attachments and replies
+ * - Edit intent scoring only when an image is attached or replied to
+ * - SimpleChimpGPTFlow routing edits to the image service with rate limiting
+ *
+ * @module ImageEditTest
+ */
+
+const http = require('http');
+const { createLogger } = require('../../src/core/logger');
+const logger = createLogger('imageEditTest');
+
+const { resolveImageSource } = require('../../src/utils/imageSourceResolver');
+const IntentClassifier = require('../../src/conversation/flow/intents/IntentClassifier');
+const { createBuiltinIntents } = require('../../src/conversation/flow/intents/builtinIntents');
+const ConversationMemoryStore = require('../../src/conversation/flow/ConversationMemoryStore');
+const { ScopedSettingsStore } = require('../../src/utils/scopedSettings');
+const { IMAGE_GEN_POINTS } = require('../../src/middleware/rateLimiter').constants;
+
+const IMAGES = {
+  '/photo.png': Buffer.from('photo-bytes'),
+  '/mask.png': Buffer.from('mask-bytes'),
+  '/generated.png': Buffer.from('generated-bytes'),
+};
+
+/**
+ * Serve the test images on a local port
+ * @returns {Promise<{server: http.Server, baseUrl: string}>}
+ */
+function startImageServer() {
+  return new Promise(resolve => {
+    const server = http.createServer((req, res) => {
+      const body = IMAGES[req.url];
+      if (!body) {
+        res.writeHead(404);
+        res.end();
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'image/png', 'Content-Length': body.length });
+      res.end(body);
+    });
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, baseUrl: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+function attachment(baseUrl, name, contentType = 'image/png') {
+  return { id: name, name, contentType, url: `${baseUrl}/${name}` };
+}
+
+function attachments(...items) {
+  return new Map(items.map(item => [item.id, item]));
+}
+
+/**
+ * Test resolving the image from attachments, replies and masks
+ */
+async function testSourceResolution(baseUrl) {
+  logger.info('Test 1: Image source resolution');
+
+  const generated = { attachments: attachments(attachment(baseUrl, 'generated.png')) };
+  const resolveReference = async () => generated;
+
+  const attached = await resolveImageSource({
+    attachments: attachments(attachment(baseUrl, 'photo.png'), attachment(baseUrl, 'mask.png')),
+  });
+  const replied = await resolveImageSource(
+    { attachments: attachments(), reference: { messageId: '1' } },
+    { resolveReference }
+  );
+  const repliedWithMask = await resolveImageSource(
+    { attachments: attachments(attachment(baseUrl, 'mask.png')), reference: { messageId: '1' } },
+    { resolveReference }
+  );
+  const loneMask = await resolveImageSource({
+    attachments: attachments(attachment(baseUrl, 'mask.png')),
+  });
+  const notAnImage = await resolveImageSource({
+    attachments: attachments(attachment(baseUrl, 'notes.txt', 'text/plain')),
+  });
+  const replyWithoutImage = await resolveImageSource(
+    { attachments: attachments(), reference: { messageId: '1' } },
+    { resolveReference: async () => ({ attachments: attachments() }) }
+  );
+
+  const checks = {
+    attachmentUsed:
+      attached.origin === 'attachment' && attached.image.buffer.equals(IMAGES['/photo.png']),
+    maskFromAttachment: attached.mask?.buffer.equals(IMAGES['/mask.png']),
+    contentTypeKept: attached.image.contentType === 'image/png',
+    replyUsed: replied.origin === 'reply' && replied.image.buffer.equals(IMAGES['/generated.png']),
+    maskWithReply:
+      repliedWithMask.image.buffer.equals(IMAGES['/generated.png']) &&
+      repliedWithMask.mask?.buffer.equals(IMAGES['/mask.png']),
+    loneMaskIsImage: loneMask.image.buffer.equals(IMAGES['/mask.png']) && !loneMask.mask,
+    nonImageIgnored: notAnImage === null,
+    replyWithoutImageIsNull: replyWithoutImage === null,
+  };
+
+  return { success: Object.values(checks).every(Boolean), details: checks };
+}
+
+/**
+ * Test that edit instructions only win when there is an image
+ */
+async function testEditIntent() {
+  logger.info('Test 2: Edit intent scoring');
+
+  const classifier = new IntentClassifier({ threshold: 0.5 });
+  for (const { name, scorers } of createBuiltinIntents({ knowledgeEnabled: true })) {
+    classifier.register(name, { scorers });
+  }
+  const classify = async (content, context) => (await classifier.classify(content, context)).intent;
+
+  const checks = {
+    cartoonWithImage:
+      (await classify('make it look like a cartoon', { hasImage: true })) === 'imageEdit',
+    removeOnReply: (await classify('remove the background', { isReply: true })) === 'imageEdit',
+    styleOnReply: (await classify('turn this into anime', { isReply: true })) === 'imageEdit',
+    noImageNoEdit: (await classify('make it look like a cartoon', {})) !== 'imageEdit',
+    drawStillImage: (await classify('draw an image of a cat', { hasImage: true })) === 'image',
+    chatWithImage: (await classify('hello, how are you?', { hasImage: true })) === 'conversation',
+  };
+
+  return { success: Object.values(checks).every(Boolean), details: checks };
+}
+
+/**
+ * Test the flow sending edits to the image service
+ */
+async function testFlowEdit(baseUrl) {
+  logger.info('Test 3: Image edit in SimpleChimpGPTFlow');
+
+  const client = {
+    chat: {
+      completions: {
+        create: async () => ({
+          choices: [{ message: { role: 'assistant', content: 'Nothing to edit there.' } }],
+        }),
+      },
+    },
+  };
+  const edits = [];
+  const imageService = {
+    generateImage: async () => ({ success: false, error: 'not expected' }),
+    editImage: async (prompt, image, options) => {
+      edits.push({ prompt, image, options });
+      return {
+        success: true,
+        images: [{ b64_json: Buffer.from('edited-bytes').toString('base64') }],
+        prompt,
+        estimatedCost: 0.04,
+      };
+    },
+  };
+
+  const SimpleChimpGPTFlow = require('../../src/conversation/flow/SimpleChimpGPTFlow');
+  const flow = new SimpleChimpGPTFlow(client, null, {
+    memoryStore: new ConversationMemoryStore({ filePath: null }),
+    settingsStore: new ScopedSettingsStore({ filePath: null }),
+    enableMemorySummary: false,
+    enableStreaming: false,
+    enableToolCalling: false,
+    imageService,
+  });
+
+  const userId = `image-edit-user-${Date.now()}`;
+  let messageCount = 0;
+  const message = (content, extra = {}) => ({
+    id: `edit-msg-${++messageCount}`,
+    content,
+    author: { id: userId, username: 'EditTester' },
+    guild: { id: 'edit-guild' },
+    channel: { id: 'edit-channel' },
+    attachments: attachments(),
+    ...extra,
+  });
+
+  const withMask = await flow.processMessage(
+    message('<@123> make it look like a cartoon', {
+      attachments: attachments(attachment(baseUrl, 'photo.png'), attachment(baseUrl, 'mask.png')),
+    })
+  );
+  const firstEdit = edits[0];
+
+  const replyWithoutImage = await flow.processMessage(
+    message('remove the background', {
+      reference: { messageId: 'no-image' },
+      channel: {
+        id: 'edit-channel',
+        messages: { fetch: async () => ({ id: 'no-image', attachments: attachments() }) },
+      },
+    })
+  );
+
+  const editsAfterReply = edits.length;
+
+  // The first edit already used a point, so the last of these is over the limit
+  const replies = [];
+  for (let i = 0; i < IMAGE_GEN_POINTS; i++) {
+    replies.push(
+      await flow.processMessage(
+        message('turn this into anime', {
+          attachments: attachments(attachment(baseUrl, 'photo.png')),
+        })
+      )
+    );
+  }
+
+  const checks = {
+    editedImageReturned:
+      withMask.success &&
+      withMask.type === 'image' &&
+      withMask.attachment?.buffer.equals(Buffer.from('edited-bytes')) &&
+      withMask.imageMetadata?.edited === true,
+    promptWithoutMention: firstEdit?.prompt === 'make it look like a cartoon',
+    sourcePassed: firstEdit?.image.buffer.equals(IMAGES['/photo.png']),
+    maskPassed: firstEdit?.options.mask?.buffer.equals(IMAGES['/mask.png']),
+    userTracked: firstEdit?.options.userId === userId,
+    replyWithoutImageIsConversation:
+      replyWithoutImage.response === 'Nothing to edit there.' && editsAfterReply === 1,
+    rateLimited:
+      edits.length === IMAGE_GEN_POINTS &&
+      replies.at(-1).success === false &&
+      replies.at(-1).response.startsWith('⏱️'),
+  };
+
+  return { success: Object.values(checks).every(Boolean), details: checks };
+}
+
+/**
+ * Main test runner for image editing
+ */
+async function testImageEdit() {
+  logger.info('Starting image edit tests...');
+
+  const { server, baseUrl } = await startImageServer();
+  const tests = [
+    { name: 'Source Resolution', fn: testSourceResolution },
+    { name: 'Edit Intent', fn: testEditIntent },
+    { name: 'Flow Edit', fn: testFlowEdit },
+  ];
+
+  const results = [];
+  let passed = 0;
+  let failed = 0;
+
+  try {
+    for (const test of tests) {
+      try {
+        const result = await test.fn(baseUrl);
+        results.push({ name: test.name, ...result });
+
+        if (result.success) {
+          passed++;
+          logger.info(`✅ ${test.name}: PASSED`);
+        } else {
+          failed++;
+          logger.warn(`❌ ${test.name}: FAILED - ${result.error || 'See details'}`);
+        }
+      } catch (error) {
+        failed++;
+        results.push({ name: test.name, success: false, error: error.message });
+        logger.error(`❌ ${test.name}: ERROR - ${error.message}`);
+      }
+    }
+  } finally {
+    server.close();
+  }
+
+  logger.info(`Image edit tests completed: ${passed} passed, ${failed} failed`);
+
+  return {
+    success: failed === 0,
+    details: {
+      passed,
+      failed,
+      total: tests.length,
+      results,
+    },
+  };
+}
+
+module.exports = {
+  testImageEdit,
+};
+
+// Allow running directly
+if (require.main === module) {
+  testImageEdit()
+    .then(result => {
+      console.log('\n=== Image Edit Test Results ===');
+      console.log(`Success: ${result.success}`);
+      console.log(`Passed: ${result.details.passed}/${result.details.total}`);
+      if (result.details.failed > 0) {
+        console.log(JSON.stringify(result.details.results, null, 2));
+      }
+      process.exit(result.success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test runner error:', error);
+      process.exit(1);
+    });
+}
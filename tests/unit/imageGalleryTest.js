@@ -0,0 +1,304 @@
+/**
+ * Image Gallery Tests
+ *
+ * Tests for the gallery of generated images:
+ * - Storing files and metadata, pruning and linking posted messages
+ * - Filtering and paging with list()
+ * - The /api/images routes
+ * - The /gallery command's pages
+ *
+ * @module ImageGalleryTest
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { createLogger } = require('../../src/core/logger');
+const logger = createLogger('imageGalleryTest');
+
+const { ImageGallery } = require('../../src/services/imageGallery');
+const { createRouter } = require('../../src/web/routes/imageRoutes');
+const galleryCommand = require('../../src/commands/modules/gallery');
+
+const withGalleryDir = async fn => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'image-gallery-'));
+  try {
+    return await fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+const addImages = async (gallery, entries) => {
+  const added = [];
+  for (const entry of entries) {
+    added.push(await gallery.add(Buffer.from(entry.prompt), entry));
+  }
+  return added;
+};
+
+/**
+ * Test storing, pruning, reloading and linking images
+ */
+async function testStore() {
+  logger.info('Test 1: Gallery store');
+
+  return withGalleryDir(async dir => {
+    const gallery = new ImageGallery({ dir, maxImages: 2 });
+    const [first, second, third] = await addImages(gallery, [
+      { prompt: 'a red fox', model: 'gpt-image-1', userId: 'u1', cost: 0.04 },
+      { prompt: 'a blue whale', userId: 'u1', format: 'jpeg' },
+      { prompt: 'a green frog', userId: 'u2', guildId: 'g1' },
+    ]);
+    const firstFileGone = !fs.existsSync(path.join(dir, first.file));
+
+    gallery.linkMessage([third.id], {
+      id: 'm1',
+      channelId: 'c1',
+      guildId: 'g1',
+      url: 'https://discord.com/channels/g1/c1/m1',
+    });
+    await gallery.flush();
+    const reloaded = new ImageGallery({ dir, maxImages: 2 });
+
+    const checks = {
+      fileWritten: fs.readFileSync(gallery.getFilePath(third), 'utf8') === 'a green frog',
+      jpegExtension: second.file.endsWith('.jpg'),
+      metadataKept: first.model === 'gpt-image-1' && first.cost === 0.04 && !!first.createdAt,
+      oldestPruned: gallery.get(first.id) === null && firstFileGone,
+      messageLinked:
+        reloaded.get(third.id)?.messageLink === 'https://discord.com/channels/g1/c1/m1' &&
+        reloaded.get(third.id)?.channelId === 'c1',
+      survivesRestart: reloaded.get(second.id)?.prompt === 'a blue whale',
+      disabledStoresNothing:
+        (await new ImageGallery({ dir, maxImages: 0 }).add(Buffer.from('x'), {
+          prompt: 'x',
+        })) === null,
+    };
+
+    return { success: Object.values(checks).every(Boolean), details: checks };
+  });
+}
+
+/**
+ * Test filtering and paging
+ */
+async function testList() {
+  logger.info('Test 2: Filtering and paging');
+
+  return withGalleryDir(async dir => {
+    const gallery = new ImageGallery({ dir });
+    await addImages(gallery, [
+      { prompt: 'sunset over the sea', userId: 'u1', guildId: 'g1', model: 'gpt-image-1' },
+      { prompt: 'a cat in a hat', userId: 'u1', guildId: 'g2', model: 'dall-e-3' },
+      { prompt: 'city at night', revisedPrompt: 'A neon SUNSET city', userId: 'u2' },
+      { prompt: 'mountain lake', userId: 'u1', guildId: 'g1', model: 'gpt-image-1' },
+    ]);
+    gallery.images[0].createdAt = '2024-01-01T00:00:00.000Z';
+
+    const firstPage = gallery.list({ userId: 'u1', pageSize: 2 });
+    const lastPage = gallery.list({ userId: 'u1', pageSize: 2, page: 9 });
+
+    const checks = {
+      newestFirst:
+        firstPage.images.map(entry => entry.prompt).join() === 'mountain lake,a cat in a hat',
+      paged: firstPage.total === 3 && firstPage.totalPages === 2,
+      pageClamped: lastPage.page === 2 && lastPage.images[0]?.prompt === 'sunset over the sea',
+      byGuild: gallery.list({ guildId: 'g1' }).total === 2,
+      byModel: gallery.list({ model: 'dall-e-3' }).images[0]?.prompt === 'a cat in a hat',
+      searchesRevisedPrompt: gallery.list({ search: 'sunset' }).total === 2,
+      byDate:
+        gallery.list({ since: '2025-01-01' }).total === 3 &&
+        gallery.list({ until: '2025-01-01' }).images[0]?.prompt === 'sunset over the sea',
+    };
+    await gallery.flush();
+
+    return { success: Object.values(checks).every(Boolean), details: checks };
+  });
+}
+
+/**
+ * Test the status server routes
+ */
+async function testRoutes() {
+  logger.info('Test 3: /api/images routes');
+
+  return withGalleryDir(async dir => {
+    const gallery = new ImageGallery({ dir });
+    const [fox, whale] = await addImages(gallery, [
+      { prompt: 'a red fox', userId: 'u1' },
+      { prompt: 'a blue whale', userId: 'u2' },
+    ]);
+
+    const requireOwnerToken = (req, res, next) =>
+      (req.headers['x-owner-token'] || req.query.token) === 'owner'
+        ? next()
+        : res.status(403).json({ error: 'Forbidden' });
+
+    const app = express();
+    app.use('/', createRouter({ imageGallery: gallery, requireOwnerToken }));
+    const server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    const { port } = server.address();
+
+    const get = (urlPath, token = 'owner') =>
+      new Promise((resolve, reject) => {
+        const headers = token ? { 'X-Owner-Token': token } : {};
+        http
+          .get(`http://127.0.0.1:${port}${urlPath}`, { headers }, res => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, body: Buffer.concat(chunks) }));
+          })
+          .on('error', reject);
+      });
+    const getJson = async (urlPath, token) => {
+      const { status, body } = await get(urlPath, token);
+      return { status, json: JSON.parse(body.toString()) };
+    };
+
+    try {
+      const all = await getJson('/api/images');
+      const filtered = await getJson('/api/images?userId=u1&q=FOX&pageSize=1');
+      const one = await getJson(`/api/images/${whale.id}`);
+      const file = await get(`/api/images/${fox.id}/file`);
+      const missing = await getJson('/api/images/nope');
+      const badDate = await getJson('/api/images?since=notadate');
+      const unauthorised = await Promise.all([
+        getJson('/api/images', null),
+        getJson(`/api/images/${whale.id}`, null),
+        get(`/api/images/${fox.id}/file`, null),
+      ]);
+      const fileByQuery = await get(`/api/images/${fox.id}/file?token=owner`, null);
+
+      const checks = {
+        listsNewestFirst:
+          all.json.success &&
+          all.json.images.map(image => image.prompt).join() === 'a blue whale,a red fox',
+        fileUrls: all.json.images[0]?.url === `/api/images/${whale.id}/file`,
+        filters: filtered.json.total === 1 && filtered.json.images[0]?.id === fox.id,
+        pageSize: filtered.json.pageSize === 1,
+        metadata: one.json.image?.prompt === 'a blue whale',
+        servesFile: file.status === 200 && file.body.toString() === 'a red fox',
+        notFound: missing.status === 404,
+        rejectsBadDates: badDate.status === 400,
+        needsOwnerToken: unauthorised.every(response => response.status === 403),
+        fileTokenInQuery: fileByQuery.status === 200,
+      };
+
+      return { success: Object.values(checks).every(Boolean), details: checks };
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+      await gallery.flush();
+    }
+  });
+}
+
+/**
+ * Test the pages the /gallery command shows
+ */
+async function testCommand() {
+  logger.info('Test 4: /gallery pages');
+
+  return withGalleryDir(async dir => {
+    const gallery = new ImageGallery({ dir });
+    const prompts = Array.from({ length: 6 }, (_, i) => ({ prompt: `robot ${i}`, userId: 'u1' }));
+    const images = await addImages(gallery, [...prompts, { prompt: 'someone else', userId: 'u2' }]);
+    gallery.linkMessage(images[5].id, { id: 'm5', channelId: 'c1', url: 'https://x/m5' });
+
+    const firstPage = galleryCommand.buildGalleryPage({ userId: 'u1', gallery });
+    const secondPage = galleryCommand.buildGalleryPage({ userId: 'u1', page: 2, gallery });
+    const noMatch = galleryCommand.buildGalleryPage({ userId: 'u1', search: 'dragon', gallery });
+    const empty = galleryCommand.buildGalleryPage({ userId: 'u3', gallery });
+
+    const checks = {
+      fivePerPage: firstPage.embeds.length === 5 && firstPage.files.length === 5,
+      onlyOwnImages: !firstPage.embeds.some(embed => embed.data.description === 'someone else'),
+      newestFirstWithLink:
+        firstPage.embeds[0].data.description === 'robot 5' &&
+        firstPage.embeds[0].data.url === 'https://x/m5',
+      attachmentsMatchEmbeds:
+        firstPage.embeds[0].data.image?.url === `attachment://${firstPage.files[0].name}`,
+      nextPageHint: /page 1\/2/.test(firstPage.content) && /page:2/.test(firstPage.content),
+      lastPage: secondPage.embeds.length === 1 && !/page:3/.test(secondPage.content),
+      noMatch: noMatch.embeds.length === 0 && /dragon/.test(noMatch.content),
+      empty: empty.embeds.length === 0 && /haven't made any/.test(empty.content),
+    };
+    await gallery.flush();
+
+    return { success: Object.values(checks).every(Boolean), details: checks };
+  });
+}
+
+/**
+ * Main test runner for the image gallery
+ */
+async function testImageGallery() {
+  logger.info('Starting image gallery tests...');
+
+  const tests = [
+    { name: 'Store', fn: testStore },
+    { name: 'List', fn: testList },
+    { name: 'Routes', fn: testRoutes },
+    { name: 'Command', fn: testCommand },
+  ];
+
+  const results = [];
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      const result = await test.fn();
+      results.push({ name: test.name, ...result });
+
+      if (result.success) {
+        passed++;
+        logger.info(`✅ ${test.name}: PASSED`);
+      } else {
+        failed++;
+        logger.warn(`❌ ${test.name}: FAILED - ${result.error || 'See details'}`);
+      }
+    } catch (error) {
+      failed++;
+      results.push({ name: test.name, success: false, error: error.message });
+      logger.error(`❌ ${test.name}: ERROR - ${error.message}`);
+    }
+  }
+
+  logger.info(`Image gallery tests completed: ${passed} passed, ${failed} failed`);
+
+  return {
+    success: failed === 0,
+    details: {
+      passed,
+      failed,
+      total: tests.length,
+      results,
+    },
+  };
+}
+
+module.exports = {
+  testImageGallery,
+};
+
+// Allow running directly
+if (require.main === module) {
+  testImageGallery()
+    .then(result => {
+      console.log('\n=== Image Gallery Test Results ===');
+      console.log(`Success: ${result.success}`);
+      console.log(`Passed: ${result.details.passed}/${result.details.total}`);
+      if (result.details.failed > 0) {
+        console.log(JSON.stringify(result.details.results, null, 2));
+      }
+      process.exit(result.success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test runner error:', error);
+      process.exit(1);
+    });
+}
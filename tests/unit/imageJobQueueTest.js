@@ -0,0 +1,435 @@
+/**
+ * Image Job Queue Tests
+ *
+ * Tests for the image request queue:
+ * - Concurrency limit, per-user fair ordering and position updates
+ * - Cancelling waiting and running jobs
+ * - Persisting jobs so they can be resumed after a restart
+ * - Position messages, ❌ cancellation and resuming in Discord
+ *
+ * @module ImageJobQueueTest
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { createLogger } = require('../../src/core/logger');
+const logger = createLogger('imageJobQueueTest');
+
+const { ImageJobQueue } = require('../../src/services/imageJobQueue');
+const { trackImageJob, resumeInterruptedImageJobs } = require('../../src/utils/imageJobFeedback');
+
+/**
+ * A task whose result the test decides
+ */
+function deferredTask() {
+  const task = { started: false };
+  task.run = () => {
+    task.started = true;
+    return new Promise(resolve => {
+      task.finish = value => resolve(value);
+    });
+  };
+  return task;
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Bot message stand-in that records edits and reactions
+ */
+function fakeProgressMessage(id = 'progress-1') {
+  const message = {
+    id,
+    channel: { id: 'channel-1' },
+    edits: [],
+    reactions: [],
+    removedReactions: 0,
+    collector: null,
+    edit: async content => {
+      message.edits.push(content);
+      return message;
+    },
+    react: async emoji => {
+      message.reactions.push(emoji);
+      return {
+        users: {
+          remove: async () => {
+            message.removedReactions++;
+          },
+        },
+      };
+    },
+    createReactionCollector: options => {
+      message.collector = Object.assign(new EventEmitter(), {
+        options,
+        stopped: false,
+        stop: () => {
+          message.collector.stopped = true;
+        },
+      });
+      return message.collector;
+    },
+  };
+  return message;
+}
+
+/**
+ * Test the concurrency limit, fair order and position updates
+ */
+async function testFairOrdering() {
+  logger.info('Test 1: Concurrency and fair ordering');
+
+  const queue = new ImageJobQueue({ concurrency: 2, filePath: null });
+  const tasks = {};
+  const updates = {};
+  const results = {};
+  let running = 0;
+  let maxRunning = 0;
+
+  const enqueue = (id, userId) => {
+    tasks[id] = deferredTask();
+    updates[id] = [];
+    const task = async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      try {
+        return await tasks[id].run();
+      } finally {
+        running--;
+      }
+    };
+    queue
+      .run({ id, type: 'generation', userId, prompt: id }, task, {
+        onUpdate: position => updates[id].push(position),
+      })
+      .then(result => {
+        results[id] = result;
+      });
+  };
+
+  enqueue('a1', 'alice');
+  enqueue('a2', 'alice');
+  enqueue('a3', 'alice');
+  enqueue('b1', 'bob');
+  enqueue('c1', 'carol');
+  await tick();
+
+  const startOrder = queue.getSnapshot().queued.map(job => job.id);
+  const positionsWhileWaiting = ['b1', 'c1', 'a3'].map(id => queue.getPosition(id));
+
+  tasks.a1.finish({ success: true, id: 'a1' });
+  tasks.a1.done = true;
+  await tick();
+  await tick();
+  const startedAfterFirst = tasks.b1.started && !tasks.a3.started;
+
+  // Finish each remaining job as soon as it starts
+  for (let i = 0; i < 50 && Object.keys(results).length < 5; i++) {
+    for (const [id, task] of Object.entries(tasks)) {
+      if (task.started && !task.done) {
+        task.done = true;
+        task.finish({ success: true, id });
+      }
+    }
+    await tick();
+  }
+
+  const checks = {
+    concurrencyLimited: maxRunning === 2,
+    firstTwoStarted: updates.a1[0] === 0 && updates.a2[0] === 0,
+    otherUsersFirst: startOrder.join() === 'b1,c1,a3',
+    positions: positionsWhileWaiting.join() === '1,2,3',
+    positionUpdates: updates.a3.slice(0, 4).join() === '1,2,3,2' && updates.a3.at(-1) === 0,
+    nextUserStartsWhenSlotFrees: startedAfterFirst,
+    allResolved: ['a1', 'a2', 'a3', 'b1', 'c1'].every(id => results[id]?.id === id),
+    queueEmptied: queue.getSnapshot().running.length === 0 && queue.jobs.size === 0,
+  };
+
+  return { success: Object.values(checks).every(Boolean), details: checks };
+}
+
+/**
+ * Test cancelling waiting and running jobs
+ */
+async function testCancellation() {
+  logger.info('Test 2: Cancelling jobs');
+
+  const queue = new ImageJobQueue({ concurrency: 1, filePath: null });
+  const running = deferredTask();
+  const waiting = deferredTask();
+  const behind = deferredTask();
+  const updates = [];
+
+  const runningResult = queue.run(
+    { id: 'running', type: 'generation', userId: 'alice', prompt: 'a fox' },
+    running.run
+  );
+  const waitingResult = queue.run(
+    { id: 'waiting', type: 'generation', userId: 'bob', prompt: 'a cat' },
+    waiting.run
+  );
+  const behindResult = queue.run(
+    { id: 'behind', type: 'generation', userId: 'carol', prompt: 'a dog' },
+    behind.run,
+    { onUpdate: position => updates.push(position) }
+  );
+  await tick();
+
+  const cancelledWaiting = queue.cancel('waiting');
+  const waitingOutcome = await waitingResult;
+  const behindMovedUp = queue.getPosition('behind') === 1;
+
+  const cancelledRunning = queue.cancel('running');
+  const runningOutcome = await runningResult;
+  await tick();
+  const slotHeldUntilDone = !behind.started;
+
+  running.finish({ success: true });
+  await tick();
+  await tick();
+  const behindStarted = behind.started;
+  behind.finish({ success: true, id: 'behind' });
+  const behindOutcome = await behindResult;
+
+  const checks = {
+    waitingCancelled:
+      cancelledWaiting &&
+      waitingOutcome.cancelled === true &&
+      waitingOutcome.success === false &&
+      waitingOutcome.prompt === 'a cat',
+    waitingNeverRan: !waiting.started,
+    behindMovedUp: behindMovedUp && updates.join() === '2,1,0',
+    runningCancelled: cancelledRunning && runningOutcome.cancelled === true,
+    slotHeldUntilDone,
+    nextStartsAfterCancelledFinishes: behindStarted && behindOutcome.id === 'behind',
+    unknownJob: queue.cancel('missing') === false && queue.getPosition('missing') === null,
+    cancelOnlyOnce: queue.cancel('running') === false,
+  };
+
+  return { success: Object.values(checks).every(Boolean), details: checks };
+}
+
+/**
+ * Test that jobs survive a restart through the queue file
+ */
+async function testPersistence() {
+  logger.info('Test 3: Persisting jobs across restarts');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'image-queue-'));
+  const filePath = path.join(dir, 'image-queue.json');
+
+  try {
+    const before = new ImageJobQueue({ concurrency: 1, filePath });
+    const job = (id, userId) => ({
+      id,
+      type: 'generation',
+      userId,
+      prompt: `prompt ${id}`,
+      channelId: 'channel-1',
+      messageId: `progress-${id}`,
+      options: { size: '1024x1024', userId },
+    });
+    before.run(job('first', 'alice'), () => new Promise(() => {}));
+    before.run(job('second', 'bob'), () => new Promise(() => {}));
+    await before.flush();
+
+    const after = new ImageJobQueue({ concurrency: 1, filePath });
+    const interrupted = after.takeInterrupted();
+    const takenAgain = after.takeInterrupted();
+    await after.flush();
+    const savedAfterTake = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+    const checks = {
+      bothJobsSaved: interrupted.map(saved => saved.id).join() === 'first,second',
+      statusKept: interrupted[0]?.status === 'running' && interrupted[1]?.status === 'queued',
+      resumeDetailsKept:
+        interrupted[1]?.messageId === 'progress-second' &&
+        interrupted[1]?.options.size === '1024x1024',
+      takenOnce: takenAgain.length === 0,
+      fileCleared: savedAfterTake.jobs.length === 0,
+      memoryOnlyHasNoFile: new ImageJobQueue({ filePath: null }).takeInterrupted().length === 0,
+    };
+
+    return { success: Object.values(checks).every(Boolean), details: checks };
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test position messages, ❌ cancellation and resuming jobs in Discord
+ */
+async function testDiscordFeedback() {
+  logger.info('Test 4: Position messages, reaction cancel and resume');
+
+  const queue = new ImageJobQueue({ concurrency: 1, filePath: null });
+  const blocker = deferredTask();
+  queue.run({ id: 'blocker', type: 'generation', userId: 'bob', prompt: 'x' }, blocker.run);
+
+  const progressMessage = fakeProgressMessage();
+  const tracker = trackImageJob({ jobId: 'waiting', userId: 'alice', progressMessage, queue });
+  const waiting = deferredTask();
+  const outcome = queue.run(
+    { id: 'waiting', type: 'generation', userId: 'alice', prompt: 'a fox' },
+    waiting.run,
+    { onUpdate: tracker.options.onQueueUpdate }
+  );
+  await tick();
+
+  const filter = progressMessage.collector?.options.filter;
+  const ownCancelCounts = filter?.({ emoji: { name: '❌' } }, { id: 'alice' });
+  const othersIgnored = !filter?.({ emoji: { name: '❌' } }, { id: 'bob' });
+  progressMessage.collector?.emit('collect');
+  const cancelled = await outcome;
+  tracker.stop();
+  await tick();
+
+  // Resume: a generation is redone into its message, an edit can't be
+  const resumeFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'image-resume-')), 'q.json');
+  fs.writeFileSync(
+    resumeFile,
+    JSON.stringify({
+      jobs: [
+        {
+          id: 'gen',
+          type: 'generation',
+          userId: 'alice',
+          prompt: 'a lighthouse',
+          channelId: 'channel-1',
+          messageId: 'gen-progress',
+          options: { size: '1024x1024' },
+        },
+        {
+          id: 'edit',
+          type: 'edit',
+          userId: 'bob',
+          prompt: 'make it blue',
+          channelId: 'channel-1',
+          messageId: 'edit-progress',
+        },
+        { id: 'orphan', type: 'generation', userId: 'carol', prompt: 'lost' },
+      ],
+    })
+  );
+  const resumeQueue = new ImageJobQueue({ concurrency: 1, filePath: resumeFile });
+  const messages = {
+    'gen-progress': fakeProgressMessage('gen-progress'),
+    'edit-progress': fakeProgressMessage('edit-progress'),
+  };
+  const client = {
+    channels: {
+      fetch: async () => ({ messages: { fetch: async id => messages[id] } }),
+    },
+  };
+  const requests = [];
+  const imageService = {
+    generateImage: (prompt, options) =>
+      resumeQueue.run(
+        { id: options.jobId, type: 'generation', userId: 'alice', prompt },
+        async () => {
+          requests.push({ prompt, options });
+          return { success: true, images: [{ b64_json: Buffer.from('png').toString('base64') }] };
+        }
+      ),
+  };
+  const resumed = await resumeInterruptedImageJobs(client, { queue: resumeQueue, imageService });
+  await resumeQueue.flush();
+  fs.rmSync(path.dirname(resumeFile), { recursive: true, force: true });
+  const delivered = messages['gen-progress'].edits.at(-1);
+
+  const checks = {
+    positionShown: /#1 in the image queue/.test(progressMessage.edits[0]),
+    cancelReactionAdded: progressMessage.reactions.join() === '❌',
+    onlyRequesterCancels: ownCancelCounts === true && othersIgnored,
+    reactionCancels: cancelled.cancelled === true && !waiting.started,
+    cleanedUp: progressMessage.collector?.stopped && progressMessage.removedReactions === 1,
+    resumedWithMessages: resumed === 2,
+    generationRedone:
+      requests.length === 1 &&
+      requests[0].prompt === 'a lighthouse' &&
+      requests[0].options.size === '1024x1024' &&
+      requests[0].options.jobId === 'gen',
+    resultDelivered:
+      /a lighthouse/.test(delivered?.content) &&
+      delivered?.files[0].attachment.equals(Buffer.from('png')),
+    editReportedInterrupted: /interrupted this image edit/.test(
+      messages['edit-progress'].edits.at(-1)
+    ),
+  };
+
+  blocker.finish({ success: true });
+  return { success: Object.values(checks).every(Boolean), details: checks };
+}
+
+/**
+ * Main test runner for the image job queue
+ */
+async function testImageJobQueue() {
+  logger.info('Starting image job queue tests...');
+
+  const tests = [
+    { name: 'Fair Ordering', fn: testFairOrdering },
+    { name: 'Cancellation', fn: testCancellation },
+    { name: 'Persistence', fn: testPersistence },
+    { name: 'Discord Feedback', fn: testDiscordFeedback },
+  ];
+
+  const results = [];
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      const result = await test.fn();
+      results.push({ name: test.name, ...result });
+
+      if (result.success) {
+        passed++;
+        logger.info(`✅ ${test.name}: PASSED`);
+      } else {
+        failed++;
+        logger.warn(`❌ ${test.name}: FAILED - ${result.error || 'See details'}`);
+      }
+    } catch (error) {
+      failed++;
+      results.push({ name: test.name, success: false, error: error.message });
+      logger.error(`❌ ${test.name}: ERROR - ${error.message}`);
+    }
+  }
+
+  logger.info(`Image job queue tests completed: ${passed} passed, ${failed} failed`);
+
+  return {
+    success: failed === 0,
+    details: {
+      passed,
+      failed,
+      total: tests.length,
+      results,
+    },
+  };
+}
+
+module.exports = {
+  testImageJobQueue,
+};
+
+// Allow running directly
+if (require.main === module) {
+  testImageJobQueue()
+    .then(result => {
+      console.log('\n=== Image Job Queue Test Results ===');
+      console.log(`Success: ${result.success}`);
+      console.log(`Passed: ${result.details.passed}/${result.details.total}`);
+      if (result.details.failed > 0) {
+        console.log(JSON.stringify(result.details.results, null, 2));
+      }
+      process.exit(result.success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test runner error:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,242 @@
+/**
+ * Image Styles Tests
+ *
+ * Tests for image style presets:
+ * - Looking styles up by name and alias
+ * - Wrapping prompts and filling in size, quality and background
+ * - Spotting a style asked for in plain text
+ * - Styles added by plugins
+ *
+ * @module ImageStylesTest
+ */
+
+const { createLogger } = require('../../src/core/logger');
+const logger = createLogger('imageStylesTest');
+
+const { BUILTIN_STYLES, ImageStyleRegistry } = require('../../src/services/imageStyles');
+const pluginManager = require('../../src/plugins/pluginManager');
+
+const createRegistry = (pluginStyles = []) =>
+  new ImageStyleRegistry({ pluginStyles: () => pluginStyles });
+
+/**
+ * Test listing and looking up styles
+ */
+async function testRegistry() {
+  logger.info('Test 1: Style lookup');
+
+  const registry = createRegistry([
+    { name: 'blueprint', template: 'A blueprint of {prompt}', pluginId: 'p1' },
+    { name: 'watercolor', template: 'Not the built-in {prompt}', pluginId: 'p1' },
+  ]);
+  const names = registry.list().map(style => style.name);
+
+  const checks = {
+    builtinsListed: ['pixel-art', 'watercolor', 'quake-map-concept', 'avatar'].every(name =>
+      names.includes(name)
+    ),
+    pluginStyleListed: names.includes('blueprint'),
+    builtinWinsClash:
+      names.filter(name => name === 'watercolor').length === 1 &&
+      registry.get('watercolor').template === BUILTIN_STYLES[1].template,
+    byName: registry.get('quake-map-concept')?.name === 'quake-map-concept',
+    loosely: registry.get('Pixel Art')?.name === 'pixel-art',
+    byAlias: registry.get('watercolour')?.name === 'watercolor',
+    unknown: registry.get('cubism') === null && registry.get(undefined) === null,
+  };
+
+  return { success: Object.values(checks).every(Boolean), details: checks };
+}
+
+/**
+ * Test applying a style to a request
+ */
+async function testApply() {
+  logger.info('Test 2: Applying styles');
+
+  const registry = createRegistry();
+  const plain = registry.apply('a cat', { size: '1024x1536' });
+  const styled = registry.apply('a castle', { style: 'Quake Map', userId: 'u1' });
+  const overridden = registry.apply('a cat', {
+    style: 'avatar',
+    size: '1024x1536',
+    quality: 'low',
+  });
+
+  const checks = {
+    noStyleUnchanged: plain.prompt === 'a cat' && plain.options.size === '1024x1536',
+    wrapsPrompt: /^Concept art for a Quake III Arena map: a castle\./.test(styled.prompt),
+    canonicalName: styled.options.style === 'quake-map-concept',
+    fillsDefaults:
+      styled.options.size === '1536x1024' &&
+      styled.options.quality === 'high' &&
+      styled.options.background === 'opaque',
+    keepsOtherOptions: styled.options.userId === 'u1',
+    explicitOptionsWin:
+      overridden.options.size === '1024x1536' &&
+      overridden.options.quality === 'low' &&
+      overridden.options.background === 'opaque',
+    unknownThrows: (() => {
+      try {
+        registry.apply('a cat', { style: 'cubism' });
+        return false;
+      } catch (error) {
+        return /Unknown image style 'cubism'.*pixel-art/.test(error.message);
+      }
+    })(),
+  };
+
+  return { success: Object.values(checks).every(Boolean), details: checks };
+}
+
+/**
+ * Test spotting a style in a prompt
+ */
+async function testDetect() {
+  logger.info('Test 3: Detecting styles in text');
+
+  const registry = createRegistry();
+  const detect = text => {
+    const found = registry.detect(text);
+    return found ? `${found.style.name}|${found.prompt}` : null;
+  };
+
+  const checks = {
+    inStyle: detect('a castle on a hill in pixel-art style') === 'pixel-art|a castle on a hill',
+    inSpacedStyle: detect('a castle, in Pixel Art style') === 'pixel-art|a castle',
+    asA: detect('my dog as a watercolor') === 'watercolor|my dog',
+    leadingStyle:
+      detect('watercolour style lighthouse at dusk') === 'watercolor|lighthouse at dusk',
+    midSentence:
+      detect('a lava fortress in the quake-map-concept style with two towers') ===
+      'quake-map-concept|a lava fortress with two towers',
+    alias: detect('a chimp wearing a crown as an avatar') === 'avatar|a chimp wearing a crown',
+    noStyle: detect('a cat in a hat') === null,
+    notWholeWord: detect('a watercolorist at work') === null,
+    needsAPrompt: detect('in pixel-art style') === null,
+  };
+
+  return { success: Object.values(checks).every(Boolean), details: checks };
+}
+
+/**
+ * Test styles registered through the plugin manager
+ */
+async function testPlugins() {
+  logger.info('Test 4: Plugin styles');
+
+  const registered = pluginManager.registerPlugin({
+    id: 'image-style-test-plugin',
+    name: 'Image Style Test Plugin',
+    version: '1.0.0',
+    imageStyles: [
+      { name: 'Blueprint', template: 'A technical blueprint of {prompt}', size: '1536x1024' },
+      { name: 'broken', template: 'no placeholder here' },
+    ],
+  });
+  pluginManager.registerPlugin({
+    id: 'image-style-rival-plugin',
+    name: 'Image Style Rival Plugin',
+    version: '1.0.0',
+    imageStyles: [{ name: 'blueprint', template: 'Another blueprint of {prompt}' }],
+  });
+
+  const registry = new ImageStyleRegistry();
+  const applied = registry.apply('a rocket', { style: 'blueprint' });
+  const pluginNames = () =>
+    pluginManager
+      .getAllImageStyles()
+      .filter(style => style.pluginId.startsWith('image-style-'))
+      .map(style => style.name);
+  const registeredNames = pluginNames();
+
+  pluginManager.disablePlugin('image-style-test-plugin');
+  const hiddenWhenDisabled = registry.get('blueprint') === null;
+  pluginManager.enablePlugin('image-style-test-plugin');
+
+  const checks = {
+    registered,
+    onlyValidStyles: registeredNames.join() === 'blueprint',
+    firstPluginWins: applied.prompt === 'A technical blueprint of a rocket',
+    conflictTracked: !!pluginManager
+      .getPluginMetadata()
+      ['image-style-rival-plugin']?.conflicts?.some(conflict => conflict.type === 'imageStyle'),
+    pluginDefaults: applied.options.size === '1536x1024',
+    detectable:
+      registry.detect('a rocket in blueprint style')?.style.pluginId === 'image-style-test-plugin',
+    hiddenWhenDisabled,
+  };
+
+  return { success: Object.values(checks).every(Boolean), details: checks };
+}
+
+/**
+ * Main test runner for image style
+ */
+async function testImageStyles() {
+  logger.info('Starting image style tests...');
+
+  const tests = [
+    { name: 'Registry', fn: testRegistry },
+    { name: 'Apply', fn: testApply },
+    { name: 'Detect', fn: testDetect },
+    { name: 'Plugins', fn: testPlugins },
+  ];
+
+  const results = [];
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      const result = await test.fn();
+      results.push({ name: test.name, ...result });
+
+      if (result.success) {
+        passed++;
+        logger.info(`✅ ${test.name}: PASSED`);
+      } else {
+        failed++;
+        logger.warn(`❌ ${test.name}: FAILED - ${result.error || 'See details'}`);
+      }
+    } catch (error) {
+      failed++;
+      results.push({ name: test.name, success: false, error: error.message });
+      logger.error(`❌ ${test.name}: ERROR - ${error.message}`);
+    }
+  }
+
+  logger.info(`Image style tests completed: ${passed} passed, ${failed} failed`);
+
+  return {
+    success: failed === 0,
+    details: {
+      passed,
+      failed,
+      total: tests.length,
+      results,
+    },
+  };
+}
+
+module.exports = {
+  testImageStyles,
+};
+
+// Allow running directly
+if (require.main === module) {
+  testImageStyles()
+    .then(result => {
+      console.log('\n=== Image Styles Test Results ===');
+      console.log(`Success: ${result.success}`);
+      console.log(`Passed: ${result.details.passed}/${result.details.total}`);
+      if (result.details.failed > 0) {
+        console.log(JSON.stringify(result.details.results, null, 2));
+      }
+      process.exit(result.success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test runner error:', error);
+      process.exit(1);
+    });
+}
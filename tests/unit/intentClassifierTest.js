@@ -0,0 +1,285 @@
+/**
+ * Intent Classifier Tests
+ *
+ * Tests for the scored intent classifier used by SimpleChimpGPTFlow:
+ * - Built-in intent routing (including regressions from the old regex router)
+ * - Threshold fallback to conversation
+ * - Scorer factories and failing scorers
+ * - Plugin intent registration
+ *
+ * @module IntentClassifierTest
+ */
+
+const { createLogger } = require('../../src/core/logger');
+const logger = createLogger('intentClassifierTest');
+
+const IntentClassifier = require('../../src/conversation/flow/intents/IntentClassifier');
+const { createBuiltinIntents } = require('../../src/conversation/flow/intents/builtinIntents');
+const {
+  createRuleScorer,
+  createKeywordScorer,
+  createLLMScorer,
+} = require('../../src/conversation/flow/intents/scorers');
+const { resolveModel } = require('../../src/services/modelRouter');
+
+function createBuiltinClassifier() {
+  const classifier = new IntentClassifier({ threshold: 0.5 });
+  for (const { name, scorers } of createBuiltinIntents({ knowledgeEnabled: true })) {
+    classifier.register(name, { scorers });
+  }
+  return classifier;
+}
+
+/**
+ * Test routing of built-in intents
+ */
+async function testBuiltinRouting() {
+  logger.info('Test 1: Built-in intent routing');
+
+  const classifier = createBuiltinClassifier();
+  const cases = [
+    { content: 'draw an image of a cat', expected: 'image' },
+    { content: 'i want a picture of a sunset', expected: 'image' },
+    { content: 'what is the weather in tokyo?', expected: 'weather' },
+    { content: 'what time is it in tokyo?', expected: 'time' },
+    { content: 'show me quake server stats', expected: 'quake' },
+    { content: 'search for the latest node release', expected: 'knowledge' },
+    { content: 'hello, how are you?', expected: 'conversation' },
+    // Regressions from the regex router
+    { content: 'what is the best pizza', expected: 'conversation' },
+    { content: 'i want to know why the sky is blue', expected: 'conversation' },
+    { content: 'make sure you remember my name', expected: 'conversation' },
+  ];
+
+  const results = [];
+  for (const testCase of cases) {
+    const classification = await classifier.classify(testCase.content);
+    results.push({
+      name: testCase.content,
+      success: classification.intent === testCase.expected,
+      expected: testCase.expected,
+      actual: classification.intent,
+      confidence: classification.confidence,
+      reason: classification.reason,
+    });
+  }
+
+  const passed = results.filter(r => r.success).length;
+  return {
+    success: passed === results.length,
+    details: { passed, total: results.length, results },
+  };
+}
+
+/**
+ * Test threshold handling and fallback reporting
+ */
+async function testThresholdFallback() {
+  logger.info('Test 2: Threshold fallback');
+
+  const classifier = new IntentClassifier({ threshold: 0.7 });
+  classifier.register('weak', { scorers: [() => ({ score: 0.6, reason: 'weak signal' })] });
+
+  const classification = await classifier.classify('anything');
+  const success =
+    classification.intent === 'conversation' &&
+    classification.fallback === true &&
+    classification.reason.includes('weak') &&
+    classification.scores.length === 1;
+
+  return { success, details: { classification } };
+}
+
+/**
+ * Test scorer factories and resilience to failing scorers
+ */
+async function testScorers() {
+  logger.info('Test 3: Scorer factories');
+
+  const rule = createRuleScorer([
+    { pattern: /cat/, weight: 0.8, reason: 'cat' },
+    { pattern: /not/, weight: -0.5, reason: 'negated' },
+  ]);
+  const keyword = createKeywordScorer(['quake', 'frag count'], { weight: 0.3 });
+  const llmRequests = [];
+  const llmClient = {
+    chat: {
+      completions: {
+        create: async request => {
+          llmRequests.push(request);
+          return { choices: [{ message: { content: '0.9' } }] };
+        },
+      },
+    },
+  };
+  const llm = createLLMScorer(llmClient, { intent: 'test', description: 'a test' });
+  const pinnedLlm = createLLMScorer(llmClient, {
+    intent: 'test',
+    description: 'a test',
+    model: 'gpt-4.1-nano',
+  });
+
+  const classifier = new IntentClassifier({ threshold: 0.5 });
+  classifier.register('broken', {
+    scorers: [
+      () => {
+        throw new Error('scorer failure');
+      },
+    ],
+  });
+  classifier.register('llm', { scorers: [llm] });
+
+  const checks = {
+    ruleMatch: rule('a cat').score === 0.8,
+    rulePenalty: Math.abs(rule('not a cat').score - 0.3) < 1e-9,
+    ruleMiss: rule('a dog').score === 0,
+    keywordWholeWord: keyword('quaker oats').score === 0,
+    keywordPhrase: Math.abs(keyword('my quake frag count').score - 0.6) < 1e-9,
+    llmScore: (await llm('hi')).score === 0.9,
+    llmModelFromRoute: llmRequests[0]?.model === resolveModel('intent').model,
+    llmModelOverride: (await pinnedLlm('hi')) && llmRequests[1]?.model === 'gpt-4.1-nano',
+    brokenScorerIgnored: (await classifier.classify('hi')).intent === 'llm',
+  };
+
+  return {
+    success: Object.values(checks).every(Boolean),
+    details: checks,
+  };
+}
+
+/**
+ * Test plugin intent registration through the plugin manager
+ */
+async function testPluginIntents() {
+  logger.info('Test 4: Plugin intents');
+
+  const pluginManager = require('../../src/plugins/pluginManager');
+  const registered = pluginManager.registerPlugin({
+    id: 'intent-test-plugin',
+    name: 'Intent Test Plugin',
+    version: '1.0.0',
+    intents: [
+      {
+        name: 'dice',
+        patterns: [/\broll\s+(?:a\s+)?d\d+/],
+        handler: async () => 'You rolled a 4',
+      },
+      { name: 'invalid-no-handler', keywords: ['nope'] },
+    ],
+  });
+
+  const intents = pluginManager.getAllIntents();
+  const dice = intents.find(intent => intent.name === 'dice');
+  const invalidSkipped = !intents.some(intent => intent.name === 'invalid-no-handler');
+
+  pluginManager.registerPlugin({
+    id: 'intent-clash-test-plugin',
+    name: 'Intent Clash Test Plugin',
+    version: '1.0.0',
+    intents: [{ name: 'weather', keywords: ['forecast'], handler: async () => 'Sunny' }],
+  });
+
+  // The flow keeps its classifier in step with the enabled plugins
+  const SimpleChimpGPTFlow = require('../../src/conversation/flow/SimpleChimpGPTFlow');
+  const flow = { intentClassifier: createBuiltinClassifier(), warnedIntentClashes: new Set() };
+  const sync = () => SimpleChimpGPTFlow.prototype.registerPluginIntents.call(flow);
+  sync();
+  const addedToFlow = flow.intentClassifier.get('dice')?.source === 'intent-test-plugin';
+  const builtinKept = flow.intentClassifier.get('weather')?.source === 'builtin';
+  sync();
+  const clashWarnedOnce = [...flow.warnedIntentClashes].join() === 'weather';
+
+  pluginManager.disablePlugin('intent-test-plugin');
+  const hiddenWhenDisabled = !pluginManager.getAllIntents().some(i => i.name === 'dice');
+  sync();
+  const removedFromFlow = !flow.intentClassifier.has('dice');
+  pluginManager.enablePlugin('intent-test-plugin');
+  sync();
+  const restoredInFlow = flow.intentClassifier.has('dice');
+  pluginManager.disablePlugin('intent-clash-test-plugin');
+
+  const checks = {
+    registered,
+    hasDice: !!dice && dice.pluginId === 'intent-test-plugin',
+    invalidSkipped,
+    hiddenWhenDisabled,
+    addedToFlow,
+    builtinKept,
+    clashWarnedOnce,
+    removedFromFlow,
+    restoredInFlow,
+  };
+
+  return { success: Object.values(checks).every(Boolean), details: checks };
+}
+
+/**
+ * Main test runner for the intent classifier
+ */
+async function testIntentClassifier() {
+  logger.info('Starting intent classifier tests...');
+
+  const tests = [
+    { name: 'Built-in Routing', fn: testBuiltinRouting },
+    { name: 'Threshold Fallback', fn: testThresholdFallback },
+    { name: 'Scorers', fn: testScorers },
+    { name: 'Plugin Intents', fn: testPluginIntents },
+  ];
+
+  const results = [];
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      const result = await test.fn();
+      results.push({ name: test.name, ...result });
+
+      if (result.success) {
+        passed++;
+        logger.info(`✅ ${test.name}: PASSED`);
+      } else {
+        failed++;
+        logger.warn(`❌ ${test.name}: FAILED - ${result.error || 'See details'}`);
+      }
+    } catch (error) {
+      failed++;
+      results.push({ name: test.name, success: false, error: error.message });
+      logger.error(`❌ ${test.name}: ERROR - ${error.message}`);
+    }
+  }
+
+  logger.info(`Intent classifier tests completed: ${passed} passed, ${failed} failed`);
+
+  return {
+    success: failed === 0,
+    details: {
+      passed,
+      failed,
+      total: tests.length,
+      results,
+    },
+  };
+}
+
+module.exports = {
+  testIntentClassifier,
+};
+
+// Allow running directly
+if (require.main === module) {
+  testIntentClassifier()
+    .then(result => {
+      console.log('\n=== Intent Classifier Test Results ===');
+      console.log(`Success: ${result.success}`);
+      console.log(`Passed: ${result.details.passed}/${result.details.total}`);
+      if (result.details.failed > 0) {
+        console.log(JSON.stringify(result.details.results, null, 2));
+      }
+      process.exit(result.success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test runner error:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,213 @@
+/**
+ * Model Router Tests
+ *
+ * Tests for MODEL_ROUTES handling:
+ * - Validating the JSON config
+ * - Precedence of intent, guild and channel routes
+ * - SimpleChimpGPTFlow using the routed model for a channel
+ *
+ * @module ModelRouterTest
+ */
+
+const { createLogger } = require('../../src/core/logger');
+const logger = createLogger('modelRouterTest');
+
+const { ModelRouter, parseModelRoutes } = require('../../src/services/modelRouter');
+const ConversationMemoryStore = require('../../src/conversation/flow/ConversationMemoryStore');
+
+function parseError(value) {
+  try {
+    parseModelRoutes(value);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Test validation of the MODEL_ROUTES JSON
+ */
+async function testValidation() {
+  logger.info('Test 1: MODEL_ROUTES validation');
+
+  const valid = parseModelRoutes(
+    JSON.stringify({
+      intents: { conversation: { model: 'gpt-4o', maxTokens: 800 } },
+      channels: { 123: { '*': { model: 'gpt-4.1-nano', temperature: 0.2 } } },
+    })
+  );
+
+  const checks = {
+    emptyMeansNoOverrides: Object.keys(parseModelRoutes('').intents).length === 0,
+    validParsed: valid.intents.conversation.model === 'gpt-4o' && !!valid.channels['123'],
+    badJson: /not valid JSON/.test(parseError('{intents:')),
+    unknownTopLevelKey: /unknown key 'models'/.test(parseError('{"models":{}}')),
+    unknownIntent: /unknown intent 'chat'/.test(parseError('{"intents":{"chat":{"model":"x"}}}')),
+    wildcardOnlyForScopes: /unknown intent '\*'/.test(
+      parseError('{"intents":{"*":{"model":"x"}}}')
+    ),
+    badMaxTokens: /maxTokens/.test(parseError('{"intents":{"conversation":{"maxTokens":-5}}}')),
+    badTemperature: /temperature/.test(
+      parseError('{"guilds":{"1":{"weather":{"temperature":3}}}}')
+    ),
+    unknownField: /unknown field 'top_p'/.test(
+      parseError('{"intents":{"conversation":{"top_p":1}}}')
+    ),
+  };
+
+  return { success: Object.values(checks).every(Boolean), details: checks };
+}
+
+/**
+ * Test how routes are merged for a request
+ */
+async function testPrecedence() {
+  logger.info('Test 2: Route precedence');
+
+  const router = new ModelRouter(
+    parseModelRoutes(
+      JSON.stringify({
+        intents: { conversation: { model: 'gpt-4o', maxTokens: 1200 } },
+        guilds: { g1: { '*': { model: 'guild-cheap' }, weather: { maxTokens: 200 } } },
+        channels: { c1: { conversation: { model: 'channel-model' } } },
+      })
+    )
+  );
+
+  const global = router.resolve('conversation');
+  const inGuild = router.resolve('conversation', { guildId: 'g1', channelId: 'other' });
+  const inChannel = router.resolve('conversation', { guildId: 'g1', channelId: 'c1' });
+  const guildWeather = router.resolve('weather', { guildId: 'g1' });
+  const guildImage = router.resolve('image', { guildId: 'g1' });
+
+  const checks = {
+    builtinDefaults: new ModelRouter().resolve('quake').model === 'gpt-4.1-nano',
+    intentOverride: global.model === 'gpt-4o' && global.maxTokens === 1200,
+    builtinFieldsKept: global.temperature === 0.7,
+    guildWildcard: inGuild.model === 'guild-cheap' && inGuild.maxTokens === 1200,
+    channelWins: inChannel.model === 'channel-model',
+    fieldLevelMerge: guildWeather.model === 'guild-cheap' && guildWeather.maxTokens === 200,
+    wildcardSkipsImage: guildImage.model === 'gpt-image-1-mini',
+    unknownIntentUsesDefault: router.resolve('nonsense').model === 'gpt-4.1-nano',
+    describeCoversIntents: router.describe().memory.model === 'gpt-4o-mini',
+  };
+
+  return { success: Object.values(checks).every(Boolean), details: checks };
+}
+
+/**
+ * Test that the flow sends the routed model for the message's channel
+ */
+async function testFlowRouting() {
+  logger.info('Test 3: Flow uses routed models');
+
+  const requests = [];
+  const recordingClient = {
+    chat: {
+      completions: {
+        create: async params => {
+          requests.push(params);
+          return { choices: [{ message: { content: 'ok' } }] };
+        },
+      },
+    },
+  };
+
+  const SimpleChimpGPTFlow = require('../../src/conversation/flow/SimpleChimpGPTFlow');
+  const flow = new SimpleChimpGPTFlow(recordingClient, null, {
+    memoryStore: new ConversationMemoryStore({ filePath: null }),
+    enableMemorySummary: false,
+    modelRouter: new ModelRouter(
+      parseModelRoutes(
+        '{"channels":{"cheap-channel":{"*":{"model":"gpt-4.1-nano","maxTokens":300}}}}'
+      )
+    ),
+  });
+
+  const message = channelId => ({
+    id: `m-${channelId}`,
+    content: 'hello there, how are you doing today?',
+    author: { id: 'u1', username: 'Tester' },
+    channel: { id: channelId },
+  });
+
+  await flow.processMessage(message('cheap-channel'));
+  await flow.processMessage(message('normal-channel'));
+
+  const checks = {
+    channelRouted: requests[0].model === 'gpt-4.1-nano' && requests[0].max_tokens === 300,
+    otherChannelDefault: requests[1].model === 'gpt-4o-mini' && requests[1].max_tokens === 2000,
+  };
+
+  return { success: Object.values(checks).every(Boolean), details: checks };
+}
+
+/**
+ * Main test runner for the model router
+ */
+async function testModelRouter() {
+  logger.info('Starting model router tests...');
+
+  const tests = [
+    { name: 'Validation', fn: testValidation },
+    { name: 'Precedence', fn: testPrecedence },
+    { name: 'Flow Routing', fn: testFlowRouting },
+  ];
+
+  const results = [];
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      const result = await test.fn();
+      results.push({ name: test.name, ...result });
+
+      if (result.success) {
+        passed++;
+        logger.info(`✅ ${test.name}: PASSED`);
+      } else {
+        failed++;
+        logger.warn(`❌ ${test.name}: FAILED - ${result.error || 'See details'}`);
+      }
+    } catch (error) {
+      failed++;
+      results.push({ name: test.name, success: false, error: error.message });
+      logger.error(`❌ ${test.name}: ERROR - ${error.message}`);
+    }
+  }
+
+  logger.info(`Model router tests completed: ${passed} passed, ${failed} failed`);
+
+  return {
+    success: failed === 0,
+    details: {
+      passed,
+      failed,
+      total: tests.length,
+      results,
+    },
+  };
+}
+
+module.exports = {
+  testModelRouter,
+};
+
+// Allow running directly
+if (require.main === module) {
+  testModelRouter()
+    .then(result => {
+      console.log('\n=== Model Router Test Results ===');
+      console.log(`Success: ${result.success}`);
+      console.log(`Passed: ${result.details.passed}/${result.details.total}`);
+      if (result.details.failed > 0) {
+        console.log(JSON.stringify(result.details.results, null, 2));
+      }
+      process.exit(result.success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test runner error:', error);
+      process.exit(1);
+    });
+}
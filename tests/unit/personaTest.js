@@ -0,0 +1,296 @@
+/**
+ * Persona Tests
+ *
+ * Tests for persona profiles:
+ * - Validating the PERSONA_PROFILES config
+ * - Resolving the active persona per guild and channel
+ * - Composing a persona with the base system prompt
+ * - SimpleChimpGPTFlow applying persona temperature and allowed intents
+ *
+ * @module PersonaTest
+ */
+
+const { createLogger } = require('../../src/core/logger');
+const logger = createLogger('personaTest');
+
+const { PersonaRegistry, parsePersonaProfiles } = require('../../src/services/personaRegistry');
+const { ScopedSettingsStore } = require('../../src/utils/scopedSettings');
+const { buildSystemPrompt } = require('../../src/utils/systemPromptBuilder');
+const ConversationMemoryStore = require('../../src/conversation/flow/ConversationMemoryStore');
+
+function parseError(value) {
+  try {
+    parsePersonaProfiles(value);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+const PROFILES = {
+  pirate: {
+    name: 'Pirate',
+    systemPrompt: 'Talk like a pirate.',
+    temperature: 0.2,
+    emojiStyle: 'light',
+    allowedIntents: ['conversation', 'time'],
+  },
+  concise: { temperature: 0.1 },
+};
+
+function createRegistry() {
+  return new PersonaRegistry(PROFILES, {
+    settingsStore: new ScopedSettingsStore({ filePath: null }),
+  });
+}
+
+/**
+ * Test validation of PERSONA_PROFILES
+ */
+async function testConfigValidation() {
+  logger.info('Test 1: PERSONA_PROFILES validation');
+
+  const valid = parsePersonaProfiles(JSON.stringify(PROFILES));
+
+  const checks = {
+    emptyMeansBuiltinsOnly: Object.keys(parsePersonaProfiles('')).length === 0,
+    validParsed: valid.pirate.temperature === 0.2,
+    notObject: /JSON object/.test(parseError('[]')),
+    badId: /key 'Pirate Mode'/.test(parseError('{"Pirate Mode":{}}')),
+    badTemperature: /temperature/.test(parseError('{"hot":{"temperature":3}}')),
+    badEmojiStyle: /emojiStyle/.test(parseError('{"a":{"emojiStyle":"lots"}}')),
+    badIntents: /allowedIntents/.test(parseError('{"a":{"allowedIntents":"conversation"}}')),
+    unknownField: /unknown field 'prompt'/.test(parseError('{"a":{"prompt":"hi"}}')),
+  };
+
+  return { success: Object.values(checks).every(Boolean), details: checks };
+}
+
+/**
+ * Test channel > guild > default resolution and built-in overrides
+ */
+async function testScopeResolution() {
+  logger.info('Test 2: Scope resolution');
+
+  const registry = createRegistry();
+  const location = { guildId: 'guild-1', channelId: 'channel-1' };
+  const otherChannel = { guildId: 'guild-1', channelId: 'channel-2' };
+
+  const initial = registry.resolve(location).id;
+  registry.setActive('guild', 'guild-1', 'playful');
+  const guildWide = registry.resolve(otherChannel).id;
+  registry.setActive('channel', 'channel-1', 'pirate');
+  const channelOverride = registry.resolve(location).id;
+  const otherUnaffected = registry.resolve(otherChannel).id;
+  registry.setActive('channel', 'channel-1', 'default');
+  const clearedToGuild = registry.resolve(location).id;
+
+  registry.settings.set('guild', 'guild-1', 'persona', 'removed-persona');
+  const unknownFallsBack = registry.resolve(location).id;
+
+  let unknownRejected = false;
+  try {
+    registry.setActive('guild', 'guild-1', 'nope');
+  } catch {
+    unknownRejected = true;
+  }
+
+  const concise = registry.get('concise');
+  const checks = {
+    defaultFirst: initial === 'default' && registry.list()[0].id === 'default',
+    guildApplies: guildWide === 'playful',
+    channelWins: channelOverride === 'pirate',
+    otherChannelKeepsGuild: otherUnaffected === 'playful',
+    defaultClearsOverride:
+      clearedToGuild === 'playful' && registry.getStored('channel', 'channel-1') === undefined,
+    unknownFallsBack: unknownFallsBack === 'default',
+    unknownRejected,
+    builtinOverriddenByField: concise.temperature === 0.1 && concise.name === 'Concise',
+    customAdded: registry.get('pirate')?.name === 'Pirate',
+    intentsRestricted:
+      PersonaRegistry.allowsIntent(registry.get('pirate'), 'time') &&
+      !PersonaRegistry.allowsIntent(registry.get('pirate'), 'weather') &&
+      PersonaRegistry.allowsIntent({ allowedIntents: [] }, 'conversation') &&
+      PersonaRegistry.allowsIntent(registry.get('playful'), 'image'),
+  };
+
+  return { success: Object.values(checks).every(Boolean), details: checks };
+}
+
+/**
+ * Test composing a persona with the base prompt
+ */
+async function testPromptComposition() {
+  logger.info('Test 3: Prompt composition');
+
+  const registry = createRegistry();
+  const now = new Date('2026-01-01T00:00:00Z');
+  const base = buildSystemPrompt('You are Solvis.', { now });
+  const pirate = buildSystemPrompt('You are Solvis.', { now, persona: registry.get('pirate') });
+  const withDefault = buildSystemPrompt('You are Solvis.', {
+    now,
+    persona: registry.get('default'),
+  });
+
+  const checks = {
+    baseKeptFirst: pirate.startsWith('You are Solvis.\n\nPersona (Pirate):'),
+    personaPromptAdded: pirate.includes('Talk like a pirate.'),
+    emojiStyleAdded: pirate.includes('Use emoji sparingly'),
+    operatingInstructionsKept: pirate.includes('Identity: You are Solvis'),
+    defaultAddsNothing: withDefault === base,
+  };
+
+  return { success: Object.values(checks).every(Boolean), details: checks };
+}
+
+/**
+ * Test the flow applying persona temperature, prompt and allowed intents
+ */
+async function testFlowPersona() {
+  logger.info('Test 4: Persona in SimpleChimpGPTFlow');
+
+  const requests = [];
+  const client = {
+    chat: {
+      completions: {
+        create: async params => {
+          requests.push(params);
+          return { choices: [{ message: { role: 'assistant', content: 'Arr, ahoy!' } }] };
+        },
+      },
+    },
+  };
+  const imageRequests = [];
+  const imageService = {
+    generateImage: async prompt => {
+      imageRequests.push(prompt);
+      return { success: false, error: 'not expected' };
+    },
+  };
+  const message = (content, channelId) => ({
+    id: `msg-${Date.now()}`,
+    content,
+    author: { id: 'persona-user', username: 'PersonaTester' },
+    guild: { id: 'persona-guild' },
+    channel: { id: channelId },
+  });
+
+  const registry = createRegistry();
+  registry.setActive('channel', 'pirate-channel', 'pirate');
+
+  const SimpleChimpGPTFlow = require('../../src/conversation/flow/SimpleChimpGPTFlow');
+  const options = {
+    memoryStore: new ConversationMemoryStore({ filePath: null }),
+    settingsStore: new ScopedSettingsStore({ filePath: null }),
+    personaRegistry: registry,
+    enableMemorySummary: false,
+    enableStreaming: false,
+    imageService,
+  };
+  const toolFlow = new SimpleChimpGPTFlow(client, null, { ...options, enableToolCalling: true });
+  const keywordFlow = new SimpleChimpGPTFlow(client, null, {
+    ...options,
+    enableToolCalling: false,
+  });
+
+  const pirateReply = await toolFlow.processMessage(
+    message('What is the weather in Tokyo?', 'pirate-channel')
+  );
+  const pirateRequest = requests[0];
+  const offeredTools = pirateRequest.tools.map(tool => tool.function.name);
+
+  const defaultReply = await toolFlow.processMessage(message('Hello there', 'plain-channel'));
+  const defaultRequest = requests[1];
+
+  const drawReply = await keywordFlow.processMessage(
+    message('draw a picture of a ship', 'pirate-channel')
+  );
+
+  const checks = {
+    personaTemperature: pirateRequest.temperature === 0.2,
+    personaPrompt: pirateRequest.messages[0].content.includes('Talk like a pirate.'),
+    disallowedToolsWithheld:
+      !offeredTools.includes('lookupWeather') && !offeredTools.includes('generateImage'),
+    allowedToolsOffered: offeredTools.includes('lookupTime') && offeredTools.includes('getVersion'),
+    pirateAnswered: pirateReply.success && pirateReply.response === 'Arr, ahoy!',
+    defaultPersonaElsewhere:
+      !defaultRequest.messages[0].content.includes('Persona (') &&
+      defaultRequest.tools.some(tool => tool.function.name === 'lookupWeather') &&
+      defaultReply.success,
+    disallowedIntentUsesConversation:
+      imageRequests.length === 0 && drawReply.type === 'conversation',
+  };
+
+  return { success: Object.values(checks).every(Boolean), details: checks };
+}
+
+/**
+ * Main test runner for personas
+ */
+async function testPersonas() {
+  logger.info('Starting persona tests...');
+
+  const tests = [
+    { name: 'Config Validation', fn: testConfigValidation },
+    { name: 'Scope Resolution', fn: testScopeResolution },
+    { name: 'Prompt Composition', fn: testPromptComposition },
+    { name: 'Flow Persona', fn: testFlowPersona },
+  ];
+
+  const results = [];
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      const result = await test.fn();
+      results.push({ name: test.name, ...result });
+
+      if (result.success) {
+        passed++;
+        logger.info(`✅ ${test.name}: PASSED`);
+      } else {
+        failed++;
+        logger.warn(`❌ ${test.name}: FAILED - ${result.error || 'See details'}`);
+      }
+    } catch (error) {
+      failed++;
+      results.push({ name: test.name, success: false, error: error.message });
+      logger.error(`❌ ${test.name}: ERROR - ${error.message}`);
+    }
+  }
+
+  logger.info(`Persona tests completed: ${passed} passed, ${failed} failed`);
+
+  return {
+    success: failed === 0,
+    details: {
+      passed,
+      failed,
+      total: tests.length,
+      results,
+    },
+  };
+}
+
+module.exports = {
+  testPersonas,
+};
+
+// Allow running directly
+if (require.main === module) {
+  testPersonas()
+    .then(result => {
+      console.log('\n=== Persona Test Results ===');
+      console.log(`Success: ${result.success}`);
+      console.log(`Passed: ${result.details.passed}/${result.details.total}`);
+      if (result.details.failed > 0) {
+        console.log(JSON.stringify(result.details.results, null, 2));
+      }
+      process.exit(result.success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test runner error:', error);
+      process.exit(1);
+    });
+}
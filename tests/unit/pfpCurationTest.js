@@ -0,0 +1,370 @@
+/**
+ * PFP Curation Tests
+ *
+ * Tests for the avatar rotation's curation:
+ * - Reading image dimensions and the aspect/size guard
+ * - Candidates waiting for approval, by command or review reaction
+ * - Themed schedules picking the rotation pool
+ * - Avatar history and rollback
+ *
+ * @module PfpCurationTest
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLogger } = require('../../src/core/logger');
+const logger = createLogger('pfpCurationTest');
+
+const PFPManager = require('../../src/utils/pfpManager');
+const { readImageDimensions } = require('../../src/utils/imageDimensions');
+
+/**
+ * Just enough of a PNG for its header to be read.
+ */
+const png = (width, height) => {
+  const buffer = Buffer.alloc(33);
+  buffer.writeUInt32BE(0x89504e47, 0);
+  buffer.writeUInt32BE(0x0d0a1a0a, 4);
+  buffer.writeUInt32BE(13, 8);
+  buffer.write('IHDR', 12, 'ascii');
+  buffer.writeUInt32BE(width, 16);
+  buffer.writeUInt32BE(height, 20);
+  return buffer;
+};
+
+const createManager = (dir, options = {}) => {
+  const avatars = [];
+  const client = {
+    user: { setAvatar: async buffer => avatars.push(buffer) },
+    on: () => {},
+  };
+  const manager = new PFPManager(client, {
+    pfpDir: path.join(dir, 'pfp'),
+    stateFile: null,
+    ...options,
+  });
+  return { manager, avatars };
+};
+
+const throwsGuard = async promise => {
+  try {
+    await promise;
+    return false;
+  } catch (error) {
+    return error.code === 'PFP_GUARD';
+  }
+};
+
+/**
+ * Test reading dimensions and the guard
+ */
+async function testGuard() {
+  logger.info('Test 1: Image dimensions and guard');
+
+  const jpeg = Buffer.from([
+    0xff, 0xd8, 0xff, 0xe0, 0x00, 0x04, 0x00, 0x00, 0xff, 0xc0, 0x00, 0x11, 0x08, 0x02, 0x00, 0x03,
+    0x00, 0x03, 0x01, 0x22, 0x00, 0x02, 0x11, 0x01, 0x03, 0x11, 0x01,
+  ]);
+  const gif = Buffer.concat([Buffer.from('GIF89a'), Buffer.from([0x40, 0x01, 0xf0, 0x00])]);
+  const webp = Buffer.alloc(30);
+  webp.write('RIFF', 0, 'ascii');
+  webp.write('WEBPVP8X', 8, 'ascii');
+  webp.writeUIntLE(255, 24, 3);
+  webp.writeUIntLE(127, 27, 3);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pfp-guard-'));
+  try {
+    const { manager } = createManager(dir, { guard: { maxBytes: 1000 } });
+    const dimensions = buffer => readImageDimensions(Buffer.concat([buffer, Buffer.alloc(24)]));
+
+    const checks = {
+      png:
+        JSON.stringify(readImageDimensions(png(1024, 1536))) ===
+        '{"width":1024,"height":1536,"format":"png"}',
+      jpeg: dimensions(jpeg)?.width === 768 && dimensions(jpeg)?.height === 512,
+      gif: dimensions(gif)?.width === 320 && dimensions(gif)?.height === 240,
+      webp: readImageDimensions(webp)?.width === 256 && readImageDimensions(webp)?.height === 128,
+      unknownFormat: readImageDimensions(Buffer.from('definitely not an image at all')) === null,
+      squareAccepted: manager.checkImage(png(1024, 1024)).ok,
+      nearSquareAccepted: manager.checkImage(png(1024, 1200)).ok,
+      portraitRefused: /too far from square/.test(manager.checkImage(png(1024, 1536)).reason),
+      tinyRefused: /smaller than 128x128/.test(manager.checkImage(png(64, 64)).reason),
+      largeFileRefused: /MB/.test(
+        manager.checkImage(Buffer.concat([png(512, 512), Buffer.alloc(2000)])).reason
+      ),
+      nonImageRefused: /not a PNG/.test(manager.checkImage(Buffer.from('hello')).reason),
+      refusedNeverSaved:
+        (await throwsGuard(manager.addImage(png(1024, 1536), 'portrait'))) &&
+        !fs.existsSync(path.join(dir, 'pfp', 'portrait.png')),
+    };
+
+    return { success: Object.values(checks).every(Boolean), details: checks };
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test candidates, approval and rejection
+ */
+async function testCuration() {
+  logger.info('Test 2: Candidates, approval and review reactions');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pfp-curation-'));
+  try {
+    const { manager } = createManager(dir, { maxImages: 3 });
+    const pfpDir = path.join(dir, 'pfp');
+    await fs.promises.mkdir(pfpDir, { recursive: true });
+    // Saved before curation existed
+    await fs.promises.writeFile(path.join(pfpDir, 'legacy.png'), png(512, 512));
+
+    const castle = path.basename(
+      await manager.addImage(png(1024, 1024), 'castle', { prompt: 'a castle' })
+    );
+    const fox = path.basename(await manager.addImage(png(1024, 1024), 'fox'));
+    const pendingBefore = (await manager.listImages('pending')).map(image => image.file);
+    const legacyApproved = manager.findImage('legacy.png')?.status === 'approved';
+
+    const owner = { id: 'owner-1' };
+    const reactOn = (messageId, emoji, user = owner) =>
+      manager.handleReviewReaction(
+        { emoji: { name: emoji }, message: { id: messageId } },
+        user,
+        'owner-1'
+      );
+    manager.linkMessage(castle, { id: 'message-castle' });
+    manager.linkMessage(fox, { id: 'message-fox' });
+
+    const strangerIgnored =
+      (await reactOn('message-castle', PFPManager.APPROVE_EMOJI, { id: 'x' })) === null;
+    const otherEmojiIgnored = (await reactOn('message-castle', '👍')) === null;
+    const approved = await reactOn('message-castle', PFPManager.APPROVE_EMOJI);
+    const rejected = await reactOn('message-fox', PFPManager.REJECT_EMOJI);
+    const reviewedAgain = await reactOn('message-castle', PFPManager.REJECT_EMOJI);
+
+    // A full directory makes room by losing its oldest approved image
+    const owl = await manager.addImage(png(1024, 1024), 'owl');
+    const anHourAgo = new Date(Date.now() - 60 * 60 * 1000);
+    await fs.promises.utimes(owl, anHourAgo, anHourAgo);
+    const newt = await manager.addImage(png(1024, 1024), 'newt');
+    const files = (await fs.promises.readdir(pfpDir)).sort();
+
+    // Candidates over maxPending go oldest first, never the one just added
+    const { manager: capped } = createManager(path.join(dir, 'capped'), { maxPending: 1 });
+    const first = await capped.addImage(png(1024, 1024), 'first');
+    await fs.promises.utimes(first, anHourAgo, anHourAgo);
+    const second = await capped.addImage(png(1024, 1024), 'second');
+
+    const checks = {
+      candidatesPending: pendingBefore.sort().join() === 'castle.png,fox.png',
+      promptKept: manager.findImage(castle)?.prompt === 'a castle',
+      legacyApproved,
+      strangerIgnored,
+      otherEmojiIgnored,
+      approvedByReaction:
+        approved?.file === castle && manager.findImage(castle).status === 'approved',
+      rejectedDeleted: rejected?.file === fox && !fs.existsSync(path.join(pfpDir, fox)),
+      onlyPendingReviewed: reviewedAgain === null,
+      candidatesKeptOverOldestApproved: files.join() === 'castle.png,newt.png,owl.png',
+      addedImageExists: fs.existsSync(newt),
+      pendingCapped: !fs.existsSync(first) && fs.existsSync(second),
+      approveById:
+        manager.approve(manager.findImage('newt.png').id, 'Halloween')?.theme === 'halloween',
+      unknownId: manager.approve('nope') === null && (await manager.reject('nope')) === null,
+      autoApprove:
+        (
+          await (async () => {
+            const { manager: open } = createManager(dir, { requireApproval: false });
+            return open.findImage(path.basename(await open.addImage(png(256, 256), 'open')));
+          })()
+        )?.status === 'approved',
+    };
+
+    return { success: Object.values(checks).every(Boolean), details: checks };
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test schedules choosing the rotation pool
+ */
+async function testSchedules() {
+  logger.info('Test 3: Themed schedules');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pfp-schedules-'));
+  try {
+    const { manager } = createManager(dir);
+    for (const name of ['everyday', 'weekend', 'xmas']) {
+      await manager.addImage(png(512, 512), name);
+    }
+    manager.approve('everyday.png');
+    manager.approve('weekend.png', 'weekend');
+    manager.approve('xmas.png', 'xmas');
+
+    manager.setSchedule({ name: 'Weekend', days: ['sat', 'Sunday'] });
+    manager.setSchedule({ name: 'xmas', dates: ['12-24..12-26'] });
+    manager.setSchedule({ name: 'new-year', dates: ['12-31..01-01'] });
+
+    const poolOn = async date =>
+      (await manager.getRotationPool(date)).map(image => image.file).join();
+    const errorFrom = schedule => {
+      try {
+        manager.setSchedule(schedule);
+        return null;
+      } catch (error) {
+        return error.message;
+      }
+    };
+
+    const monday = new Date(2026, 9, 19);
+    const saturday = new Date(2026, 9, 17);
+    const boxingDay = new Date(2026, 11, 26); // A Saturday
+    const newYear = new Date(2027, 0, 1);
+
+    const checks = {
+      weekdayUsesUntagged:
+        (await poolOn(monday)) === 'everyday.png' && !manager.getActiveSchedule(monday),
+      weekendUsesTheme: (await poolOn(saturday)) === 'weekend.png',
+      datesBeatWeekdays:
+        manager.getActiveSchedule(boxingDay)?.name === 'xmas' &&
+        (await poolOn(boxingDay)) === 'xmas.png',
+      rangeWrapsNewYear: manager.getActiveSchedule(newYear)?.name === 'new-year',
+      emptyThemeFallsBack: (await poolOn(newYear)) === 'everyday.png',
+      replacedByName:
+        manager.setSchedule({ name: 'weekend', days: ['sun'] }) &&
+        manager.getSchedules().filter(schedule => schedule.name === 'weekend').length === 1 &&
+        !manager.getActiveSchedule(saturday),
+      badDay: /Unknown weekday/.test(errorFrom({ name: 'x', days: ['someday'] })),
+      badDate: /12-25/.test(errorFrom({ name: 'x', dates: ['25/12'] })),
+      needsWhen: /at least one/.test(errorFrom({ name: 'x' })),
+      removed: manager.removeSchedule('XMAS') && !manager.removeSchedule('xmas'),
+    };
+
+    return { success: Object.values(checks).every(Boolean), details: checks };
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test the avatar history and rollback, and that they survive a restart
+ */
+async function testHistory() {
+  logger.info('Test 4: Avatar history and rollback');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pfp-history-'));
+  const stateFile = path.join(dir, 'pfp-state.json');
+  try {
+    const { manager, avatars } = createManager(dir, { stateFile, requireApproval: false });
+    const paths = [];
+    for (const [index, name] of ['one', 'two', 'three'].entries()) {
+      paths.push(await manager.addImage(png(256 + index, 256 + index), name));
+      await manager.applyAvatar(paths[index]);
+    }
+    const historyBefore = manager.getHistory().map(entry => entry.file);
+
+    const rolledBack = await manager.rollback(1);
+    const tooFar = await manager.rollback(5);
+    await manager.flush();
+
+    const restarted = createManager(dir, { stateFile }).manager;
+    await fs.promises.unlink(paths[0]);
+    const deletedTarget = await restarted.rollback(1);
+
+    const checks = {
+      newestFirst: historyBefore.join() === 'three.png,two.png,one.png',
+      rolledBack:
+        rolledBack.success &&
+        avatars.at(-1).equals(fs.readFileSync(paths[1])) &&
+        manager.currentPfp === paths[1],
+      newerDropped:
+        manager
+          .getHistory()
+          .map(entry => entry.file)
+          .join() === 'two.png,one.png',
+      tooFarExplained: !tooFar.success && /only 2 avatars/.test(tooFar.error),
+      survivesRestart:
+        restarted.getHistory().length === 2 &&
+        restarted.currentPfp === paths[1] &&
+        restarted.findImage('one.png')?.status === 'approved',
+      deletedTargetExplained: !deletedTarget.success && /deleted/.test(deletedTarget.error),
+    };
+
+    return { success: Object.values(checks).every(Boolean), details: checks };
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Main test runner for PFP curation
+ */
+async function testPfpCuration() {
+  logger.info('Starting PFP curation tests...');
+
+  const tests = [
+    { name: 'Guard', fn: testGuard },
+    { name: 'Curation', fn: testCuration },
+    { name: 'Schedules', fn: testSchedules },
+    { name: 'History', fn: testHistory },
+  ];
+
+  const results = [];
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      const result = await test.fn();
+      results.push({ name: test.name, ...result });
+
+      if (result.success) {
+        passed++;
+        logger.info(`✅ ${test.name}: PASSED`);
+      } else {
+        failed++;
+        logger.warn(`❌ ${test.name}: FAILED - ${result.error || 'See details'}`);
+      }
+    } catch (error) {
+      failed++;
+      results.push({ name: test.name, success: false, error: error.message });
+      logger.error(`❌ ${test.name}: ERROR - ${error.message}`);
+    }
+  }
+
+  logger.info(`PFP curation tests completed: ${passed} passed, ${failed} failed`);
+
+  return {
+    success: failed === 0,
+    details: {
+      passed,
+      failed,
+      total: tests.length,
+      results,
+    },
+  };
+}
+
+module.exports = {
+  testPfpCuration,
+};
+
+// Allow running directly
+if (require.main === module) {
+  testPfpCuration()
+    .then(result => {
+      console.log('\n=== PFP Curation Test Results ===');
+      console.log(`Success: ${result.success}`);
+      console.log(`Passed: ${result.details.passed}/${result.details.total}`);
+      if (result.details.failed > 0) {
+        console.log(JSON.stringify(result.details.results, null, 2));
+      }
+      process.exit(result.success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test runner error:', error);
+      process.exit(1);
+    });
+}
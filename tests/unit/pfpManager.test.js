@@ -53,6 +53,8 @@ describe('PFP Manager', function () {
       pfpDir: testDir,
       maxImages: 3, // Use a small number for testing
       rotationInterval: 1000, // 1 second for testing
+      stateFile: null, // Keep curation state in memory
+      requireApproval: false, // Rotate new images straight away
     });
   });
 
@@ -0,0 +1,281 @@
+/**
+ * Prompt Moderation Tests
+ *
+ * Tests for pre-screening image prompts:
+ * - What each strictness level refuses, and per-guild overrides
+ * - Logging refusals and reporting them to maliciousUserManager
+ * - The dashboard's blocked prompt route
+ *
+ * @module PromptModerationTest
+ */
+
+const http = require('http');
+const express = require('express');
+const { createLogger } = require('../../src/core/logger');
+const logger = createLogger('promptModerationTest');
+
+const { PromptModerator } = require('../../src/services/promptModeration');
+const { BlockedPromptLog } = require('../../src/services/blockedPromptLog');
+const { ScopedSettingsStore } = require('../../src/utils/scopedSettings');
+const { createRouter } = require('../../src/web/routes/moderationRoutes');
+
+// Moderation endpoint results keyed by prompt; anything else comes back clean
+const MODERATION_RESULTS = {
+  'a gory battlefield': {
+    flagged: true,
+    categories: { 'violence/graphic': true, violence: true },
+    category_scores: { 'violence/graphic': 0.9, violence: 0.95 },
+  },
+  'an insulting cartoon': {
+    flagged: true,
+    categories: { harassment: true },
+    category_scores: { harassment: 0.7 },
+  },
+  'a tense boxing match': {
+    flagged: false,
+    categories: {},
+    category_scores: { violence: 0.35 },
+  },
+};
+
+const createModerator = (options = {}) => {
+  const violations = [];
+  const moderator = new PromptModerator({
+    moderate: async prompt =>
+      MODERATION_RESULTS[prompt] || { flagged: false, categories: {}, category_scores: {} },
+    settings: new ScopedSettingsStore({ filePath: null }),
+    blockLog: new BlockedPromptLog({ filePath: null }),
+    userManager: {
+      recordPolicyViolation: async (userId, details) => violations.push({ userId, ...details }),
+    },
+    blocklist: ['dragon slayer'],
+    ...options,
+  });
+  return { moderator, violations };
+};
+
+/**
+ * Test what each level refuses
+ */
+async function testLevels() {
+  logger.info('Test 1: Strictness levels');
+
+  const { moderator } = createModerator();
+  const allowedAt = async (level, prompt) => {
+    moderator.setLevel('guild-1', level);
+    return (await moderator.screen(prompt, { guildId: 'guild-1' })).allowed;
+  };
+  const outcomes = async prompt => ({
+    off: await allowedAt('off', prompt),
+    low: await allowedAt('low', prompt),
+    medium: await allowedAt('medium', prompt),
+    high: await allowedAt('high', prompt),
+  });
+  const matches = (actual, expected) => JSON.stringify(actual) === JSON.stringify(expected);
+
+  const clean = await outcomes('a lighthouse at dusk');
+  const suggestive = await outcomes('a woman in a bikini');
+  const blocklisted = await outcomes('the Dragon  Slayer returns');
+  const severe = await outcomes('a gory battlefield');
+  const flagged = await outcomes('an insulting cartoon');
+  const borderline = await outcomes('a tense boxing match');
+
+  moderator.setLevel('guild-1', null);
+  const ruleVerdict = await moderator.screen('nsfw art', { guildId: 'guild-1' });
+  const moderationVerdict = await moderator.screen('a gory battlefield', {});
+
+  const failing = createModerator({
+    moderate: async () => {
+      throw new Error('moderation endpoint down');
+    },
+  }).moderator;
+
+  const checks = {
+    cleanAlwaysAllowed: matches(clean, { off: true, low: true, medium: true, high: true }),
+    suggestiveFromMedium: matches(suggestive, { off: true, low: true, medium: false, high: false }),
+    blocklistFromLow: matches(blocklisted, { off: true, low: false, medium: false, high: false }),
+    severeFromLow: matches(severe, { off: true, low: false, medium: false, high: false }),
+    flaggedFromMedium: matches(flagged, { off: true, low: true, medium: false, high: false }),
+    borderlineOnlyHigh: matches(borderline, { off: true, low: true, medium: true, high: false }),
+    resetToDefault: moderator.getLevel('guild-1') === 'medium' && ruleVerdict.source === 'rules',
+    dmsUseDefault: moderationVerdict.level === 'medium' && !moderationVerdict.allowed,
+    categoriesExplained:
+      moderationVerdict.categories.includes('violence/graphic') &&
+      /violence\/graphic/.test(moderationVerdict.message),
+    failsOpen: (await failing.screen('a lighthouse at dusk')).allowed,
+    rejectsUnknownLevel: (() => {
+      try {
+        moderator.setLevel('guild-1', 'extreme');
+        return false;
+      } catch (error) {
+        return /Unknown moderation level/.test(error.message);
+      }
+    })(),
+  };
+
+  return { success: Object.values(checks).every(Boolean), details: checks };
+}
+
+/**
+ * Test that refusals are logged and reported
+ */
+async function testReporting() {
+  logger.info('Test 2: Logging and reporting refusals');
+
+  const { moderator, violations } = createModerator();
+  const context = { userId: 'user-1', username: 'Tester', guildId: 'guild-1', type: 'generation' };
+
+  await moderator.screen('a lighthouse at dusk', context);
+  await moderator.screen('a woman in a bikini', context);
+  await moderator.screen('an insulting cartoon', { ...context, guildId: 'guild-2' });
+  moderator.recordApiRejection('something the API refused', { ...context, type: 'edit' });
+  await moderator.screen('nsfw art', { userId: 'system' });
+
+  const { entries, total } = moderator.blockLog.list();
+
+  const checks = {
+    everyRefusalLogged: total === 4,
+    newestFirst: entries[0].prompt === 'nsfw art' && entries[3].prompt === 'a woman in a bikini',
+    sourcesRecorded: entries.map(entry => entry.source).join() === 'rules,api,moderation,rules',
+    detailsRecorded:
+      entries[3].userId === 'user-1' &&
+      entries[3].level === 'medium' &&
+      entries[3].type === 'generation' &&
+      /bikini/.test(entries[3].reason),
+    filtersByGuild: moderator.blockLog.list({ guildId: 'guild-2' }).total === 1,
+    reportedToUserManager:
+      violations.length === 3 &&
+      violations.every(violation => violation.userId === 'user-1') &&
+      violations[1].categories.includes('harassment'),
+    apiRejectionsCount: violations[2]?.source === 'api',
+  };
+
+  return { success: Object.values(checks).every(Boolean), details: checks };
+}
+
+/**
+ * Test the dashboard route
+ */
+async function testRoutes() {
+  logger.info('Test 3: Blocked prompt route');
+
+  const blockLog = new BlockedPromptLog({ filePath: null });
+  blockLog.add({ prompt: 'first', source: 'rules', userId: 'u1', guildId: 'g1' });
+  blockLog.add({ prompt: 'second', source: 'api', userId: 'u2', guildId: 'g1' });
+  blockLog.add({ prompt: 'third', source: 'moderation', userId: 'u1', guildId: 'g2' });
+
+  const requireOwnerToken = (req, res, next) =>
+    req.headers['x-owner-token'] === 'owner'
+      ? next()
+      : res.status(403).json({ error: 'Forbidden' });
+
+  const app = express();
+  app.use('/', createRouter({ blockedPromptLog: blockLog, requireOwnerToken }));
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  const { port } = server.address();
+
+  const getJson = (urlPath, token = 'owner') =>
+    new Promise((resolve, reject) => {
+      const headers = token ? { 'X-Owner-Token': token } : {};
+      http
+        .get(`http://127.0.0.1:${port}${urlPath}`, { headers }, res => {
+          let body = '';
+          res.on('data', chunk => (body += chunk));
+          res.on('end', () => resolve({ status: res.statusCode, ...JSON.parse(body) }));
+        })
+        .on('error', reject);
+    });
+
+  try {
+    const all = await getJson('/api/moderation/blocked-prompts');
+    const limited = await getJson('/api/moderation/blocked-prompts?limit=1');
+    const byUser = await getJson('/api/moderation/blocked-prompts?userId=u1&guildId=g1');
+    const bySource = await getJson('/api/moderation/blocked-prompts?source=api');
+    const noToken = await getJson('/api/moderation/blocked-prompts', null);
+    const wrongToken = await getJson('/api/moderation/blocked-prompts', 'guess');
+
+    const checks = {
+      needsOwnerToken: noToken.status === 403 && wrongToken.status === 403 && !noToken.entries,
+      listsNewestFirst:
+        all.success && all.entries.map(entry => entry.prompt).join() === 'third,second,first',
+      limit: limited.entries.length === 1 && limited.total === 3,
+      filters: byUser.total === 1 && byUser.entries[0].prompt === 'first',
+      bySource: bySource.total === 1 && bySource.entries[0].prompt === 'second',
+    };
+
+    return { success: Object.values(checks).every(Boolean), details: checks };
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+/**
+ * Main test runner for prompt moderation
+ */
+async function testPromptModeration() {
+  logger.info('Starting prompt moderation tests...');
+
+  const tests = [
+    { name: 'Levels', fn: testLevels },
+    { name: 'Reporting', fn: testReporting },
+    { name: 'Routes', fn: testRoutes },
+  ];
+
+  const results = [];
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      const result = await test.fn();
+      results.push({ name: test.name, ...result });
+
+      if (result.success) {
+        passed++;
+        logger.info(`✅ ${test.name}: PASSED`);
+      } else {
+        failed++;
+        logger.warn(`❌ ${test.name}: FAILED - ${result.error || 'See details'}`);
+      }
+    } catch (error) {
+      failed++;
+      results.push({ name: test.name, success: false, error: error.message });
+      logger.error(`❌ ${test.name}: ERROR - ${error.message}`);
+    }
+  }
+
+  logger.info(`Prompt moderation tests completed: ${passed} passed, ${failed} failed`);
+
+  return {
+    success: failed === 0,
+    details: {
+      passed,
+      failed,
+      total: tests.length,
+      results,
+    },
+  };
+}
+
+module.exports = {
+  testPromptModeration,
+};
+
+// Allow running directly
+if (require.main === module) {
+  testPromptModeration()
+    .then(result => {
+      console.log('\n=== Prompt Moderation Test Results ===');
+      console.log(`Success: ${result.success}`);
+      console.log(`Passed: ${result.details.passed}/${result.details.total}`);
+      if (result.details.failed > 0) {
+        console.log(JSON.stringify(result.details.results, null, 2));
+      }
+      process.exit(result.success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test runner error:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,269 @@
+/**
+ * Quake 3 Query Tests
+ *
+ * Tests for querying Quake 3 / Quake Live servers directly over UDP, against a
+ * fake server on localhost:
+ * - getstatus / getinfo replies read into the servers API shape
+ * - The serverStats that /serverstats formats from them
+ * - Servers that don't answer, or only answer getstatus
+ *
+ * @module Quake3QueryTest
+ */
+
+const dgram = require('dgram');
+const { createLogger } = require('../../src/core/logger');
+const logger = createLogger('quake3QueryTest');
+
+const { queryServer, queryServers, parseResponse } = require('../../src/services/quake3Query');
+const { extractServerStats, formatServerResponse } = require('../../src/services/quakeLookup');
+
+const PREFIX = Buffer.from([0xff, 0xff, 0xff, 0xff]);
+
+const STATUS_RULES = {
+  sv_hostname: '  ^1Sydney   ^7Clan Arena  ',
+  mapname: 'campgrounds',
+  g_gametype: '4',
+  sv_maxclients: '16',
+  g_redScore: '7',
+  g_blueScore: '5',
+  roundlimit: '10',
+  Players_Red: '1 3',
+  Players_Blue: '2',
+};
+
+const STATUS_PLAYERS = [
+  '23 48 "^1Rail^7Gun"',
+  '-5 60 "say \\"hi\\""',
+  '11 0 "Bot"',
+  '0 80 "Watcher"',
+];
+
+/**
+ * Answer getstatus and getinfo like a Quake Live server would.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.answerInfo=true] - Whether to answer getinfo
+ * @param {boolean} [options.silent=false] - Never answer anything
+ * @returns {Promise<{address: string, requests: string[], close: function(): Promise<void>}>}
+ */
+function startFakeServer({ answerInfo = true, silent = false } = {}) {
+  const socket = dgram.createSocket('udp4');
+  const requests = [];
+  const rules = { ...STATUS_RULES, g_levelStartTime: String(Math.floor(Date.now() / 1000) - 125) };
+
+  socket.on('message', (packet, remote) => {
+    const command = packet.subarray(4).toString('latin1').trim();
+    requests.push(command);
+    if (silent) return;
+
+    let body = null;
+    if (command === 'getstatus') {
+      const infoString = Object.entries(rules)
+        .map(([key, value]) => `\\${key}\\${value}`)
+        .join('');
+      body = ['statusResponse', infoString, ...STATUS_PLAYERS, ''].join('\n');
+    } else if (command === 'getinfo' && answerInfo) {
+      body = 'infoResponse\n\\hostname\\Sydney CA\\g_humanplayers\\3\\sv_maxclients\\16';
+    }
+    if (body) {
+      // A stray packet first: replies that aren't for this query are ignored
+      socket.send(Buffer.from('not a quake packet'), remote.port, remote.address);
+      socket.send(
+        Buffer.concat([PREFIX, Buffer.from(body, 'latin1')]),
+        remote.port,
+        remote.address
+      );
+    }
+  });
+
+  return new Promise(resolve => {
+    socket.bind(0, '127.0.0.1', () => {
+      resolve({
+        address: `127.0.0.1:${socket.address().port}`,
+        requests,
+        close: () => new Promise(done => socket.close(done)),
+      });
+    });
+  });
+}
+
+/**
+ * Test reading getstatus and getinfo replies
+ */
+async function testQuery() {
+  logger.info('Test 1: getstatus and getinfo');
+
+  const server = await startFakeServer();
+  try {
+    const result = await queryServer(server.address, { timeoutMs: 1000 });
+    const [railgun, quoted, bot, watcher] = result.players;
+
+    const checks = {
+      bothCommandsSent: server.requests.sort().join() === 'getinfo,getstatus',
+      address: result.address === server.address,
+      serverName: result.info.serverName === STATUS_RULES.sv_hostname,
+      map: result.info.map === 'campgrounds',
+      gameType: result.info.gameType === 'Clan Arena' && result.info.gameTypeShort === 'CA',
+      humansFromGetinfo: result.info.players === 3 && result.info.maxPlayers === 16,
+      scoresAreNumbers:
+        result.rules.g_redScore === 7 &&
+        result.rules.g_blueScore === 5 &&
+        result.rules.roundlimit === 10,
+      otherRulesKept: result.rules.mapname === 'campgrounds',
+      players:
+        result.players.length === 4 &&
+        railgun.name === '^1Rail^7Gun' &&
+        railgun.score === 23 &&
+        railgun.ping === 48,
+      quotedName: quoted.name === 'say \\"hi\\"' && quoted.score === -5,
+      teams: railgun.team === 1 && quoted.team === 2 && bot.team === 1 && watcher.team === 3,
+      notQuake: parseResponse(Buffer.from('hello world')) === null,
+    };
+
+    return { success: Object.values(checks).every(Boolean), details: checks };
+  } finally {
+    await server.close();
+  }
+}
+
+/**
+ * Test that a queried server gives the serverStats /serverstats formats
+ */
+async function testServerStats() {
+  logger.info('Test 2: serverStats shape');
+
+  const server = await startFakeServer();
+  try {
+    const stats = extractServerStats(await queryServer(server.address, { timeoutMs: 1000 }));
+    const { formatted } = formatServerResponse(stats, null);
+
+    const checks = {
+      serverName: stats.serverName === '^1Sydney ^7Clan Arena',
+      currentMap: stats.currentMap === 'campgrounds',
+      playerCount: stats.playerCount === '3/16',
+      gameType: stats.gameType === 'Clan Arena',
+      teamScores: stats.teamScores.red === 7 && stats.teamScores.blue === 5,
+      roundLimit: stats.roundLimit === 10,
+      uptime: /^00:0[23]:\d\d$/.test(stats.uptime),
+      address: stats.address === server.address,
+      formattedStatus: formatted.includes('RED leading (First to 10)'),
+      formattedTeams: formatted.includes('RED TEAM (7)') && formatted.includes('BLUE TEAM (5)'),
+      formattedPlayers: formatted.includes('RailGun') && formatted.includes('SPECTATORS: Watcher'),
+    };
+
+    return { success: Object.values(checks).every(Boolean), details: checks };
+  } finally {
+    await server.close();
+  }
+}
+
+/**
+ * Test servers that don't answer
+ */
+async function testUnanswered() {
+  logger.info('Test 3: Servers that do not answer');
+
+  const answering = await startFakeServer();
+  const silent = await startFakeServer({ silent: true });
+  const statusOnly = await startFakeServer({ answerInfo: false });
+  try {
+    let timeoutError = null;
+    try {
+      await queryServer(silent.address, { timeoutMs: 200 });
+    } catch (error) {
+      timeoutError = error.message;
+    }
+    let addressError = null;
+    try {
+      await queryServer('127.0.0.1:99999');
+    } catch (error) {
+      addressError = error.message;
+    }
+
+    const answered = await queryServers([silent.address, answering.address], { timeoutMs: 300 });
+    const withoutInfo = await queryServer(statusOnly.address, { timeoutMs: 200 });
+
+    const checks = {
+      timesOut: /No statusResponse from .* within 200ms/.test(timeoutError),
+      badAddress: /Invalid Quake server address/.test(addressError),
+      silentLeftOut: answered.length === 1 && answered[0].address === answering.address,
+      statusIsEnough:
+        withoutInfo.info.players === STATUS_PLAYERS.length &&
+        withoutInfo.info.serverName === STATUS_RULES.sv_hostname,
+    };
+
+    return { success: Object.values(checks).every(Boolean), details: checks };
+  } finally {
+    await Promise.all([answering.close(), silent.close(), statusOnly.close()]);
+  }
+}
+
+/**
+ * Main test runner for the Quake 3 query client
+ */
+async function testQuake3Query() {
+  logger.info('Starting Quake 3 query tests...');
+
+  const tests = [
+    { name: 'Query', fn: testQuery },
+    { name: 'Server Stats', fn: testServerStats },
+    { name: 'Unanswered', fn: testUnanswered },
+  ];
+
+  const results = [];
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      const result = await test.fn();
+      results.push({ name: test.name, ...result });
+
+      if (result.success) {
+        passed++;
+        logger.info(`✅ ${test.name}: PASSED`);
+      } else {
+        failed++;
+        logger.warn(`❌ ${test.name}: FAILED - ${result.error || 'See details'}`);
+      }
+    } catch (error) {
+      failed++;
+      results.push({ name: test.name, success: false, error: error.message });
+      logger.error(`❌ ${test.name}: ERROR - ${error.message}`);
+    }
+  }
+
+  logger.info(`Quake 3 query tests completed: ${passed} passed, ${failed} failed`);
+
+  return {
+    success: failed === 0,
+    details: {
+      passed,
+      failed,
+      total: tests.length,
+      results,
+    },
+  };
+}
+
+module.exports = {
+  testQuake3Query,
+};
+
+// Allow running directly
+if (require.main === module) {
+  testQuake3Query()
+    .then(result => {
+      console.log('\n=== Quake 3 Query Test Results ===');
+      console.log(`Success: ${result.success}`);
+      console.log(`Passed: ${result.details.passed}/${result.details.total}`);
+      if (result.details.failed > 0) {
+        console.log(JSON.stringify(result.details.results, null, 2));
+      }
+      process.exit(result.success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test runner error:', error);
+      process.exit(1);
+    });
+}
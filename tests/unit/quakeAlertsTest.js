@@ -0,0 +1,413 @@
+/**
+ * Quake Alerts Tests
+ *
+ * Tests for Quake server population alerts:
+ * - Alerting when a server's population crosses the count, by DM or role ping
+ * - Cooldowns, quiet hours and what can't be subscribed to
+ * - The background poller backing off while fetches fail
+ * - The /quake notify, alerts and unnotify subcommands, and persistence
+ *
+ * @module QuakeAlertsTest
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLogger } = require('../../src/core/logger');
+const logger = createLogger('quakeAlertsTest');
+
+const { QuakeAlerts, isQuietTime } = require('../../src/services/quakeAlerts');
+const { QuakeServerPoller } = require('../../src/services/quakeServerPoller');
+const { runSubcommand } = require('../../src/commands/modules/quake');
+
+const MINUTE = 60 * 1000;
+// 2026-03-02 12:00 UTC
+const NOON = Date.UTC(2026, 2, 2, 12, 0, 0);
+
+/**
+ * A server in the servers API shape.
+ */
+function server(name, players, address = '203.0.113.7:27960') {
+  return {
+    address,
+    info: {
+      serverName: name,
+      name,
+      map: 'campgrounds',
+      players,
+      maxPlayers: 16,
+      gameType: 'Clan Arena',
+    },
+  };
+}
+
+/**
+ * A client that records DMs and channel messages instead of sending them.
+ */
+function fakeClient() {
+  const sent = { dms: [], channel: [] };
+  return {
+    sent,
+    users: {
+      fetch: async userId => ({ send: async content => sent.dms.push({ userId, content }) }),
+    },
+    channels: {
+      fetch: async channelId => ({
+        send: async message => sent.channel.push({ channelId, ...message }),
+      }),
+    },
+  };
+}
+
+/**
+ * Test alerts firing when the population crosses the count
+ */
+async function testThresholds() {
+  logger.info('Test 1: Crossing the player count');
+
+  const alerts = new QuakeAlerts({ filePath: null });
+  const client = fakeClient();
+  alerts.client = client;
+
+  alerts.subscribe({ userId: 'u1', channelId: 'c1', server: 'sydney', minPlayers: 4 });
+  const role = alerts.subscribe({
+    userId: 'u2',
+    guildId: 'g1',
+    channelId: 'c2',
+    server: '203.0.113',
+    minPlayers: 6,
+    roleId: 'r1',
+  }).subscription;
+
+  const poll = (players, at) =>
+    alerts.handleServers([server('^1Sydney ^7CA', players), server('Other', 12, '10.0.0.1')], at);
+
+  const below = await poll(2, NOON);
+  const crossed = await poll(5, NOON + 2 * MINUTE);
+  const stillAbove = await poll(5, NOON + 4 * MINUTE);
+  const roleCrossed = await poll(7, NOON + 6 * MINUTE);
+  await poll(1, NOON + 8 * MINUTE);
+  const coolingDown = await poll(5, NOON + 10 * MINUTE);
+  await poll(0, NOON + 70 * MINUTE);
+  const afterCooldown = await poll(4, NOON + 72 * MINUTE);
+
+  const [dm] = client.sent.dms;
+  const [ping] = client.sent.channel;
+
+  const checks = {
+    belowIsQuiet: below.length === 0,
+    crossingAlerts: crossed.length === 1 && crossed[0].subscription.userId === 'u1',
+    onlyOnCrossing: stillAbove.length === 0,
+    matchedByAddress: roleCrossed.length === 1 && roleCrossed[0].subscription === role,
+    cooldownHolds: coolingDown.length === 0,
+    firesAfterCooldown: afterCooldown.length === 1 && client.sent.dms.length === 2,
+    dmContent:
+      dm.userId === 'u1' &&
+      dm.content.includes('**Sydney CA** has 5/16 players (alert at 4+)') &&
+      dm.content.includes('steam://connect/203.0.113.7:27960'),
+    rolePing:
+      ping.channelId === 'c2' &&
+      ping.content.startsWith('<@&r1> ') &&
+      ping.allowedMentions.roles[0] === 'r1',
+    lastAlertRecorded: role.lastAlertAt === new Date(NOON + 6 * MINUTE).toISOString(),
+  };
+
+  return { success: Object.values(checks).every(Boolean), details: checks };
+}
+
+/**
+ * Test quiet hours and what can't be subscribed to
+ */
+async function testQuietHoursAndLimits() {
+  logger.info('Test 2: Quiet hours and limits');
+
+  const night = { start: 23, end: 7, timeZone: 'UTC' };
+  const lunch = { start: 12, end: 13, timeZone: 'UTC' };
+  // 12:00 UTC is 01:00 the next day in Auckland (NZDT, UTC+13)
+  const auckland = { start: 0, end: 6, timeZone: 'Pacific/Auckland' };
+
+  const alerts = new QuakeAlerts({ filePath: null });
+  alerts.client = fakeClient();
+  alerts.subscribe({
+    userId: 'u1',
+    channelId: 'c1',
+    server: 'sydney',
+    minPlayers: 2,
+    quietHours: lunch,
+  });
+  const quiet = await alerts.handleServers([server('Sydney', 3)], NOON + 30 * MINUTE);
+
+  const invalid = [
+    alerts.subscribe({ userId: 'u1', channelId: 'c1', server: 'x', minPlayers: 0 }),
+    alerts.subscribe({ userId: 'u1', channelId: 'c1', server: 'x', minPlayers: 2, roleId: 'r1' }),
+    alerts.subscribe({
+      userId: 'u1',
+      channelId: 'c1',
+      server: 'x',
+      minPlayers: 2,
+      quietHours: { start: 1, end: 2, timeZone: 'Mars/Olympus' },
+    }),
+  ];
+  for (let count = 1; count < 10; count++) {
+    alerts.subscribe({ userId: 'u3', channelId: 'c1', server: `s${count}`, minPlayers: 2 });
+  }
+  const tenth = alerts.subscribe({ userId: 'u3', channelId: 'c1', server: 's10', minPlayers: 2 });
+  const eleventh = alerts.subscribe({ userId: 'u3', channelId: 'c1', server: 's', minPlayers: 2 });
+  const shortCooldown = alerts.subscribe({
+    userId: 'u4',
+    channelId: 'c1',
+    server: 'x',
+    minPlayers: 2,
+    cooldownMinutes: 1,
+  });
+
+  const checks = {
+    wrapsMidnight:
+      isQuietTime(night, Date.UTC(2026, 2, 2, 23, 30)) &&
+      isQuietTime(night, Date.UTC(2026, 2, 2, 6, 59)) &&
+      !isQuietTime(night, Date.UTC(2026, 2, 2, 7, 0)),
+    sameDay: isQuietTime(lunch, NOON) && !isQuietTime(lunch, NOON + 60 * MINUTE),
+    timeZone: isQuietTime(auckland, NOON) && !isQuietTime({ ...auckland, timeZone: 'UTC' }, NOON),
+    noQuietHours: !isQuietTime(null, NOON) && !isQuietTime({ ...lunch, end: 12 }, NOON),
+    quietSkipsAlert: quiet.length === 0 && alerts.subscriptions[0].above === true,
+    badCount: !invalid[0].success && /at least 1/.test(invalid[0].error),
+    roleNeedsGuild: !invalid[1].success && /only be set up in a server/.test(invalid[1].error),
+    badTimeZone: !invalid[2].success && /Unknown time zone "Mars\/Olympus"/.test(invalid[2].error),
+    tenAllowed: tenth.success,
+    elevenNot: !eleventh.success && /already have 10 alerts/.test(eleventh.error),
+    cooldownFloor: shortCooldown.subscription.cooldownMinutes === 5,
+  };
+
+  return { success: Object.values(checks).every(Boolean), details: checks };
+}
+
+/**
+ * Test the poller's backoff and listeners
+ */
+async function testPoller() {
+  logger.info('Test 3: Background poller');
+
+  let failing = true;
+  let fetches = 0;
+  const poller = new QuakeServerPoller({
+    intervalSeconds: 60,
+    fetchServers: async () => {
+      fetches++;
+      if (failing) throw new Error('Circuit breaker is open. Try again in 90s');
+      return [server('Sydney', 4)];
+    },
+  });
+
+  let wanted = false;
+  const received = [];
+  poller.register({
+    name: 'test',
+    isActive: () => wanted,
+    handleServers: (servers, polledAt) => received.push({ servers, polledAt }),
+  });
+  poller.register({
+    name: 'broken',
+    handleServers: () => {
+      throw new Error('listener bug');
+    },
+  });
+
+  // Only the always-active broken listener wants servers at first
+  const delays = [];
+  for (let attempt = 0; attempt < 7; attempt++) {
+    await poller.poll();
+    delays.push(poller.nextDelayMs() / 1000);
+  }
+  failing = false;
+  wanted = true;
+  const succeeded = await poller.poll();
+
+  const idle = new QuakeServerPoller({
+    fetchServers: async () => {
+      throw new Error('should not be called');
+    },
+  });
+  idle.register({ name: 'idle', isActive: () => false, handleServers: () => {} });
+
+  // Each region is fetched once, and listeners only get their own regions' servers
+  const fetchedRegions = [];
+  const regional = new QuakeServerPoller({
+    fetchServers: async ({ region }) => {
+      fetchedRegions.push(region);
+      return region === 'Europe'
+        ? [server('London', 6, '198.51.100.1:27960')]
+        : [server('Sydney', 4)];
+    },
+  });
+  const byListener = {};
+  const listen = (name, regions) =>
+    regional.register({
+      name,
+      regions: regions && (() => regions),
+      handleServers: servers => (byListener[name] = servers.map(s => s.info.name).join()),
+    });
+  listen('europe', ['Europe']);
+  listen('both', ['Oceania', 'Europe']);
+  listen('default');
+  await regional.poll();
+
+  const checks = {
+    backsOff: delays.slice(0, 5).join() === '120,240,480,960,1800',
+    capped: delays[6] === 1800,
+    resetsOnSuccess: succeeded === true && poller.nextDelayMs() === 60000,
+    listenerErrorsContained: received.length === 1 && received[0].servers[0].info.players === 4,
+    idleSkipsFetch: (await idle.poll()) === null && fetches === 8,
+    minimumInterval: new QuakeServerPoller({ intervalSeconds: 5 }).intervalMs === 30000,
+    eachRegionFetchedOnce: fetchedRegions.join() === 'Europe,Oceania',
+    serversByRegion:
+      byListener.europe === 'London' &&
+      byListener.both === 'Sydney,London' &&
+      byListener.default === 'Sydney',
+  };
+
+  return { success: Object.values(checks).every(Boolean), details: checks };
+}
+
+/**
+ * Test the /quake subcommands and that subscriptions are kept on disk
+ */
+async function testCommands() {
+  logger.info('Test 4: /quake notify, alerts and unnotify');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'quake-alerts-'));
+  const filePath = path.join(dir, 'quake-alerts.json');
+  try {
+    const alerts = new QuakeAlerts({ filePath });
+    const run = (subcommand, request) =>
+      runSubcommand(subcommand, {
+        alerts,
+        userId: 'u1',
+        guildId: 'g1',
+        channelId: 'c1',
+        ...request,
+      });
+
+    const created = await run('notify', {
+      server: 'sydney',
+      minPlayers: 6,
+      quietStart: 23,
+      quietEnd: 7,
+      timeZone: 'Europe/London',
+    });
+    const roleDenied = await run('notify', { server: 'sydney', minPlayers: 6, roleId: 'r1' });
+    const roleAllowed = await run('notify', {
+      server: 'sydney',
+      minPlayers: 8,
+      roleId: 'r1',
+      canPingRoles: true,
+    });
+    const halfQuiet = await run('notify', { server: 'sydney', minPlayers: 6, quietStart: 23 });
+    const inEurope = await run('notify', { server: 'london', minPlayers: 4, region: 'Europe' });
+    const europeRegions = alerts.regions();
+    alerts.unsubscribe('u1', alerts.list('u1').pop().id);
+    const badServer = await run('notify', { server: 'a;b', minPlayers: 6 });
+    const listed = await run('alerts', {});
+    const [first] = alerts.list('u1');
+    const othersId = await runSubcommand('unnotify', { alerts, userId: 'u2', id: first.id });
+    const removed = await run('unnotify', { id: first.id });
+    const nothingLeft = await runSubcommand('alerts', { alerts, userId: 'u9' });
+    await alerts.flush();
+
+    const reloaded = new QuakeAlerts({ filePath });
+
+    const checks = {
+      created:
+        created.startsWith('🔔 Alert set:') &&
+        created.includes('**sydney** (Oceania) at 6+ players · by DM · cooldown 60m') &&
+        created.includes('quiet 23:00–07:00 Europe/London'),
+      roleNeedsPermission: /Manage Roles/.test(roleDenied),
+      rolePing: roleAllowed.includes('pings <@&r1>'),
+      quietNeedsBoth: /both a start and an end/.test(halfQuiet),
+      regionPolled: inEurope.includes('(Europe)') && europeRegions.join() === 'Oceania,Europe',
+      serverValidated: /valid server name/.test(badServer),
+      listed: listed.startsWith('🔔 **Your Quake alerts**:') && listed.split('\n').length === 3,
+      onlyOwnRemoved: /no alert with ID/.test(othersId),
+      removed: removed === `🔕 Alert \`${first.id}\` removed.`,
+      emptyList: /You have no Quake alerts/.test(nothingLeft),
+      persisted:
+        reloaded.subscriptions.length === 1 &&
+        reloaded.subscriptions[0].roleId === 'r1' &&
+        reloaded.subscriptions[0].minPlayers === 8,
+    };
+
+    return { success: Object.values(checks).every(Boolean), details: checks };
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Main test runner for Quake population alerts
+ */
+async function testQuakeAlerts() {
+  logger.info('Starting Quake alerts tests...');
+
+  const tests = [
+    { name: 'Thresholds', fn: testThresholds },
+    { name: 'Quiet Hours and Limits', fn: testQuietHoursAndLimits },
+    { name: 'Poller', fn: testPoller },
+    { name: 'Commands', fn: testCommands },
+  ];
+
+  const results = [];
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      const result = await test.fn();
+      results.push({ name: test.name, ...result });
+
+      if (result.success) {
+        passed++;
+        logger.info(`✅ ${test.name}: PASSED`);
+      } else {
+        failed++;
+        logger.warn(`❌ ${test.name}: FAILED - ${result.error || 'See details'}`);
+      }
+    } catch (error) {
+      failed++;
+      results.push({ name: test.name, success: false, error: error.message });
+      logger.error(`❌ ${test.name}: ERROR - ${error.message}`);
+    }
+  }
+
+  logger.info(`Quake alerts tests completed: ${passed} passed, ${failed} failed`);
+
+  return {
+    success: failed === 0,
+    details: {
+      passed,
+      failed,
+      total: tests.length,
+      results,
+    },
+  };
+}
+
+module.exports = {
+  testQuakeAlerts,
+};
+
+// Allow running directly
+if (require.main === module) {
+  testQuakeAlerts()
+    .then(result => {
+      console.log('\n=== Quake Alerts Test Results ===');
+      console.log(`Success: ${result.success}`);
+      console.log(`Passed: ${result.details.passed}/${result.details.total}`);
+      if (result.details.failed > 0) {
+        console.log(JSON.stringify(result.details.results, null, 2));
+      }
+      process.exit(result.success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test runner error:', error);
+      process.exit(1);
+    });
+}
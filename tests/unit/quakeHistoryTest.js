@@ -0,0 +1,368 @@
+/**
+ * Quake History Tests
+ *
+ * Tests for the Quake match and player history:
+ * - Matches split by map and level start, ended when the server empties
+ * - Player appearances, favourite maps and ratings over time
+ * - /quake player and /quake leaderboard
+ * - Persistence, pruning and turning recording on
+ *
+ * @module QuakeHistoryTest
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLogger } = require('../../src/core/logger');
+const logger = createLogger('quakeHistoryTest');
+
+const { QuakeHistory } = require('../../src/services/quakeHistory');
+const { QuakeServerPoller } = require('../../src/services/quakeServerPoller');
+const { getServerSnapshot } = require('../../src/services/quakeLookup');
+const { runSubcommand } = require('../../src/commands/modules/quake');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const NOW = Date.UTC(2026, 2, 20, 12, 0, 0);
+
+/**
+ * A Clan Arena server in the servers API shape; players are [name, score, rating].
+ */
+function server({ map = 'campgrounds', level = '100', red = 0, blue = 0, players = [] } = {}) {
+  return {
+    address: '203.0.113.7:27960',
+    info: {
+      serverName: '^1Sydney ^7CA',
+      name: '^1Sydney ^7CA',
+      map,
+      players: players.length,
+      maxPlayers: 16,
+      gameType: 'Clan Arena',
+      gameTypeShort: 'CA',
+    },
+    rules: { g_levelStartTime: level, g_redScore: red, g_blueScore: blue, roundlimit: 10 },
+    players: players.map(([name, score, rating]) => ({ name, score, team: 1, rating })),
+  };
+}
+
+/**
+ * Stands in for getServerSnapshot without any scraping: the ratings ride along
+ * on the fake servers' players.
+ */
+async function fakeSnapshot(raw) {
+  return {
+    address: raw.address,
+    serverName: raw.info.serverName,
+    currentMap: raw.info.map,
+    gameType: raw.info.gameType,
+    teamScores: { red: raw.rules.g_redScore, blue: raw.rules.g_blueScore },
+    levelStartTime: raw.rules.g_levelStartTime,
+    players: raw.players,
+  };
+}
+
+/**
+ * Test splitting polls into matches and players
+ */
+async function testRecording() {
+  logger.info('Test 1: Matches and players');
+
+  const history = new QuakeHistory({ filePath: null, getSnapshot: fakeSnapshot });
+  const polls = [
+    server({
+      red: 1,
+      players: [
+        ['^1Rail^7Gun', 5, 1500],
+        ['Rocket', 2, 1400],
+      ],
+    }),
+    server({
+      red: 5,
+      blue: 3,
+      players: [
+        ['^1Rail^7Gun', 30, 1500],
+        ['Rocket', 12, 1400],
+        ['Plasma', 4, null],
+      ],
+    }),
+    server({ map: 'bloodrun', level: '200', players: [['RAILGUN', 0, 1512]] }),
+    server({ map: 'bloodrun', level: '300', blue: 2, players: [['railgun', 8, 1512]] }),
+  ];
+  for (const [index, poll] of polls.entries()) {
+    await history.recordPoll([poll], NOW + index * HOUR);
+  }
+  const inProgress = history.servers['203.0.113.7:27960'];
+  await history.recordPoll([server({ players: [] })], NOW + 4 * HOUR);
+
+  const [first, second, third] = history.matches;
+  const railgun = history.players.railgun;
+
+  const checks = {
+    matchesSplit: history.matches.length === 3 && Object.keys(history.servers).length === 0,
+    byMapChange: first.map === 'campgrounds' && second.map === 'bloodrun',
+    byLevelStart: second.levelStartTime === '200' && third.levelStartTime === '300',
+    inProgressTracked: inProgress?.map === 'bloodrun' && inProgress.levelStartTime === '300',
+    result:
+      first.result.red === 5 &&
+      first.result.blue === 3 &&
+      first.result.winner === 'red' &&
+      third.result.winner === 'blue',
+    matchPlayers: first.players.join() === 'railgun,rocket,plasma',
+    timing:
+      first.startedAt === new Date(NOW).toISOString() &&
+      first.lastSeenAt === new Date(NOW + HOUR).toISOString(),
+    namesMerged: Object.keys(history.players).sort().join() === 'plasma,railgun,rocket',
+    appearances: railgun.matches === 3 && history.players.rocket.matches === 1,
+    maps: railgun.maps.campgrounds === 1 && railgun.maps.bloodrun === 2,
+    latestName: railgun.name === 'railgun' && railgun.lastServer === 'Sydney CA',
+    ratingsOnChange:
+      railgun.ratings.map(entry => entry.rating).join() === '1500,1512' &&
+      history.players.plasma.ratings.length === 0,
+  };
+
+  return { success: Object.values(checks).every(Boolean), details: checks };
+}
+
+/**
+ * Test the snapshot quakeLookup gives the history
+ */
+async function testSnapshot() {
+  logger.info('Test 2: Server snapshot');
+
+  const scraping = process.env.ENABLE_QLSTATS_NET_SCRAPING;
+  process.env.ENABLE_QLSTATS_NET_SCRAPING = 'false';
+  try {
+    const raw = server({
+      red: 2,
+      blue: 1,
+      players: [
+        ['^1Rail^7Gun', 5],
+        ['Rocket', -1],
+      ],
+    });
+    raw.players[1].team = 2;
+    const snapshot = await getServerSnapshot(raw);
+
+    const checks = {
+      stats: snapshot.currentMap === 'campgrounds' && snapshot.gameType === 'Clan Arena',
+      scores: snapshot.teamScores.red === 2 && snapshot.teamScores.blue === 1,
+      levelStartTime: snapshot.levelStartTime === '100',
+      players:
+        snapshot.players.length === 2 &&
+        snapshot.players[0].name === '^1Rail^7Gun' &&
+        snapshot.players[1].team === 2,
+      noRatingsWithoutScraping: snapshot.players.every(player => player.rating === null),
+    };
+
+    return { success: Object.values(checks).every(Boolean), details: checks };
+  } finally {
+    if (scraping === undefined) delete process.env.ENABLE_QLSTATS_NET_SCRAPING;
+    else process.env.ENABLE_QLSTATS_NET_SCRAPING = scraping;
+  }
+}
+
+/**
+ * Test player lookups and the weekly leaderboard
+ */
+async function testPlayersAndLeaderboard() {
+  logger.info('Test 3: Players and leaderboard');
+
+  const history = new QuakeHistory({ filePath: null, getSnapshot: fakeSnapshot });
+  const play = (at, level, players, map = 'campgrounds') =>
+    history.recordPoll([server({ map, level, red: 3, blue: 1, players })], at);
+
+  // Before this week
+  await play(NOW - 100 * DAY, '1', [['Ghost', 1, 1000]]);
+  await play(NOW - 10 * DAY, '2', [
+    ['RailGun', 1, 1500],
+    ['Rocket', 1, 1450],
+  ]);
+  // This week
+  await play(NOW - 3 * DAY, '3', [
+    ['RailGun', 1, 1520],
+    ['Rocket', 1, 1440],
+    ['Plasma', 1, 1300],
+  ]);
+  await play(
+    NOW - 2 * DAY,
+    '4',
+    [
+      ['RailGun', 1, 1540],
+      ['Plasma', 1, 1380],
+    ],
+    'bloodrun'
+  );
+  await play(NOW - DAY, '5', [['RailGun', 1, 1535]], 'bloodrun');
+  await play(NOW, '6', [['RailGun', 1, 1535]], 'bloodrun');
+
+  const railgun = history.getPlayer('railgun', NOW);
+  const partial = history.getPlayer('plas', NOW);
+  const board = history.leaderboard({ now: NOW });
+
+  const checks = {
+    pruned: history.getPlayer('ghost', NOW) === null,
+    found: railgun.name === 'RailGun' && railgun.key === 'railgun',
+    colorCodesIgnored: history.getPlayer('^1RAIL^7gun', NOW)?.key === 'railgun',
+    partialName: partial?.name === 'Plasma',
+    unknown: history.getPlayer('nobody', NOW) === null && history.getPlayer('^1', NOW) === null,
+    rating: railgun.rating === 1535 && railgun.weekChange === 35,
+    favouriteMaps:
+      railgun.favouriteMaps[0].map === 'bloodrun' && railgun.favouriteMaps[0].matches === 3,
+    newPlayerChange: partial.weekChange === 80,
+    weekMatches: board.matches === 4,
+    mostActive:
+      board.mostActive.map(entry => `${entry.name}:${entry.matches}`).join() ===
+      'RailGun:4,Plasma:2,Rocket:1',
+    ratingGains:
+      board.ratingGains.map(entry => `${entry.name}:${entry.gain}`).join() ===
+        'Plasma:80,RailGun:35' && board.ratingGains[0].rating === 1380,
+  };
+
+  return { success: Object.values(checks).every(Boolean), details: checks };
+}
+
+/**
+ * Test the /quake player and leaderboard replies, persistence and turning it on
+ */
+async function testCommandsAndStorage() {
+  logger.info('Test 4: Commands and storage');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'quake-history-'));
+  const filePath = path.join(dir, 'quake-history.json');
+  const enabled = process.env.ENABLE_QUAKE_HISTORY;
+  try {
+    const empty = new QuakeHistory({ filePath: null, getSnapshot: fakeSnapshot });
+    const noMatches = await runSubcommand('leaderboard', { history: empty });
+
+    const history = new QuakeHistory({ filePath, getSnapshot: fakeSnapshot });
+    await history.recordPoll(
+      [
+        server({
+          red: 4,
+          blue: 2,
+          players: [
+            ['^1Rail^7Gun', 9, 1500],
+            ['Rocket', 3, 1400],
+          ],
+        }),
+      ],
+      Date.now() - 2 * HOUR
+    );
+    await history.recordPoll(
+      [server({ level: '200', players: [['RailGun', 2, 1525]] })],
+      Date.now() - HOUR
+    );
+    await history.flush();
+
+    const reloaded = new QuakeHistory({ filePath, getSnapshot: fakeSnapshot });
+    const player = await runSubcommand('player', { history: reloaded, name: 'railgun' });
+    const missing = await runSubcommand('player', { history: reloaded, name: 'nobody' });
+    const noName = await runSubcommand('player', { history: reloaded, name: '  ' });
+    const board = await runSubcommand('leaderboard', { history: reloaded });
+
+    const poller = new QuakeServerPoller({ fetchServers: async () => [] });
+    delete process.env.ENABLE_QUAKE_HISTORY;
+    reloaded.start(poller);
+    const disabledListeners = poller.listeners.length;
+    process.env.ENABLE_QUAKE_HISTORY = 'true';
+    reloaded.start(poller);
+
+    const checks = {
+      persisted:
+        reloaded.matches.length === 1 &&
+        Object.keys(reloaded.servers).length === 1 &&
+        reloaded.players.railgun.matches === 2,
+      playerReply:
+        player.startsWith('🎮 **RailGun**') &&
+        player.includes('on Sydney CA') &&
+        player.includes('Matches: 2 · Favourite maps: campgrounds (2)') &&
+        player.includes('Rating: 1525 (+25 this week) ▁█'),
+      missingPlayer: /No player matching "nobody"/.test(missing),
+      nameRequired: /give a player name/.test(noName),
+      emptyLeaderboard: /No matches have been recorded/.test(noMatches),
+      leaderboardReply:
+        board.includes('(2 matches)') &&
+        board.includes('1. RailGun: 2 matches') &&
+        board.includes('2. Rocket: 1 match\n') &&
+        board.includes('1. RailGun: +25 (1525)'),
+      optIn: disabledListeners === 0 && poller.listeners.length === 1,
+    };
+
+    return { success: Object.values(checks).every(Boolean), details: checks };
+  } finally {
+    if (enabled === undefined) delete process.env.ENABLE_QUAKE_HISTORY;
+    else process.env.ENABLE_QUAKE_HISTORY = enabled;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Main test runner for the Quake history
+ */
+async function testQuakeHistory() {
+  logger.info('Starting Quake history tests...');
+
+  const tests = [
+    { name: 'Recording', fn: testRecording },
+    { name: 'Snapshot', fn: testSnapshot },
+    { name: 'Players and Leaderboard', fn: testPlayersAndLeaderboard },
+    { name: 'Commands and Storage', fn: testCommandsAndStorage },
+  ];
+
+  const results = [];
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      const result = await test.fn();
+      results.push({ name: test.name, ...result });
+
+      if (result.success) {
+        passed++;
+        logger.info(`✅ ${test.name}: PASSED`);
+      } else {
+        failed++;
+        logger.warn(`❌ ${test.name}: FAILED - ${result.error || 'See details'}`);
+      }
+    } catch (error) {
+      failed++;
+      results.push({ name: test.name, success: false, error: error.message });
+      logger.error(`❌ ${test.name}: ERROR - ${error.message}`);
+    }
+  }
+
+  logger.info(`Quake history tests completed: ${passed} passed, ${failed} failed`);
+
+  return {
+    success: failed === 0,
+    details: {
+      passed,
+      failed,
+      total: tests.length,
+      results,
+    },
+  };
+}
+
+module.exports = {
+  testQuakeHistory,
+};
+
+// Allow running directly
+if (require.main === module) {
+  testQuakeHistory()
+    .then(result => {
+      console.log('\n=== Quake History Test Results ===');
+      console.log(`Success: ${result.success}`);
+      console.log(`Passed: ${result.details.passed}/${result.details.total}`);
+      if (result.details.failed > 0) {
+        console.log(JSON.stringify(result.details.results, null, 2));
+      }
+      process.exit(result.success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test runner error:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,476 @@
+/**
+ * Quake Scoreboard Tests
+ *
+ * Tests for the live scoreboards posted by `/serverstats watch`:
+ * - The scoreboard message, while live and once ended
+ * - Starting, refreshing and replacing a channel's scoreboard
+ * - Stopping when the server empties, time runs out, lookups keep failing or
+ *   the message is deleted
+ * - Picking the scoreboards back up after a restart
+ * - Looking servers up and formatting with the guild's region and emoji settings
+ * - The `!serverstats watch [server] [minutes]` arguments
+ *
+ * @module QuakeScoreboardTest
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLogger } = require('../../src/core/logger');
+const logger = createLogger('quakeScoreboardTest');
+
+const { QuakeScoreboardWatcher } = require('../../src/services/quakeScoreboardWatcher');
+const { extractServerStats, formatScoreboard } = require('../../src/services/quakeLookup');
+const serverstats = require('../../src/commands/modules/serverstats');
+
+const ADDRESS = '203.0.113.7:27960';
+
+/**
+ * A Clan Arena server in the servers API shape.
+ */
+function caServer({ red = 3, blue = 2, players = 4, address = ADDRESS } = {}) {
+  return {
+    address,
+    info: {
+      serverName: '^1Sydney  ^7CA',
+      map: 'campgrounds',
+      players,
+      maxPlayers: 16,
+      gameType: 'Clan Arena',
+      gameTypeShort: 'CA',
+    },
+    rules: {
+      g_levelStartTime: String(Math.floor(Date.now() / 1000) - 600),
+      g_redScore: red,
+      g_blueScore: blue,
+      roundlimit: 10,
+    },
+    players: [
+      { name: '^1Rail^7Gun', score: 20, team: 1 },
+      { name: 'Rocket', score: 12, team: 2 },
+    ],
+  };
+}
+
+/**
+ * Stands in for quakeLookup.getServerStats: returns whatever servers are set
+ * (or throws the set error), after the same filtering by name or address.
+ */
+function fakeLookup() {
+  const state = { servers: [caServer()], error: null, calls: [], regions: [] };
+  state.getServerStats = async (filter, options = {}) => {
+    state.calls.push(filter);
+    state.regions.push(options.region);
+    if (state.error) throw state.error;
+    return state.servers
+      .filter(server => server.info.players > 0)
+      .filter(server => !filter || server.address.includes(filter))
+      .map(extractServerStats);
+  };
+  return state;
+}
+
+/**
+ * A posted bot message that records its edits.
+ */
+function fakeMessage(id, channelId = 'c1', { editError = null } = {}) {
+  return {
+    id,
+    channelId,
+    guildId: 'g1',
+    edits: [],
+    async edit(content) {
+      if (editError) throw editError;
+      this.edits.push(content);
+      return this;
+    },
+  };
+}
+
+const lastEdit = message => message.edits[message.edits.length - 1] || '';
+
+/**
+ * Test the scoreboard message
+ */
+async function testFormat() {
+  logger.info('Test 1: Scoreboard message');
+
+  const stats = extractServerStats(caServer({ red: 8, blue: 5 }));
+  const updatedAt = Date.UTC(2026, 0, 1, 12, 0, 0);
+  const emojis = { showServerStatsEmojis: true };
+  const live = formatScoreboard(stats, {
+    ...emojis,
+    updatedAt,
+    endsAt: updatedAt + 60 * 60 * 1000,
+  });
+  const ended = formatScoreboard(stats, {
+    ...emojis,
+    updatedAt,
+    endedReason: 'the server emptied',
+  });
+
+  const checks = {
+    codeBlock: live.startsWith('```') && live.split('```').length === 3,
+    serverAndMap: live.includes('^1Sydney ^7CA') && live.includes('campgrounds'),
+    players: live.includes('4/16') && live.includes('RailGun') && live.includes('Rocket'),
+    uptime: /⏱️ 00:1[01]:\d\d/.test(live),
+    gameStatus: live.includes('🔥 🔴 RED leading (First to 10)'),
+    liveFooter:
+      live.includes(`updated <t:${updatedAt / 1000}:R>`) &&
+      live.includes(`stops <t:${updatedAt / 1000 + 3600}:R>`),
+    endedFooter:
+      ended.includes('⏹️ Live updates ended: the server emptied') && !ended.includes('stops'),
+  };
+
+  return { success: Object.values(checks).every(Boolean), details: checks };
+}
+
+/**
+ * Test starting, refreshing and replacing scoreboards
+ */
+async function testWatch() {
+  logger.info('Test 2: Starting and refreshing a scoreboard');
+
+  const lookup = fakeLookup();
+  const watcher = new QuakeScoreboardWatcher({
+    filePath: null,
+    getServerStats: lookup.getServerStats,
+    maxMinutes: 60,
+  });
+  try {
+    const first = fakeMessage('m1');
+    const watch = await watcher.watch(first, { serverFilter: '203.0.113', userId: 'u1' });
+    const startedWith = lastEdit(first);
+
+    lookup.servers = [caServer({ red: 9, blue: 5 })];
+    await watcher.tick('c1');
+    const refreshed = lastEdit(first);
+
+    const minutes = (Date.parse(watch.endsAt) - Date.parse(watch.startedAt)) / 60000;
+    const capped = await watcher.watch(fakeMessage('m2'), { minutes: 500 });
+    const cappedMinutes = (Date.parse(capped.endsAt) - Date.parse(capped.startedAt)) / 60000;
+
+    const noMatch = await watcher.watch(fakeMessage('m3', 'c2'), { serverFilter: '198.51.100' });
+
+    const checks = {
+      watched:
+        watch.address === ADDRESS &&
+        watch.messageId === 'm1' &&
+        watch.serverName === '^1Sydney ^7CA',
+      filterUsed: lookup.calls[0] === '203.0.113',
+      postedAtOnce: startedWith.includes('⚔️ 🔴 RED leading') && startedWith.includes('🔴 Live'),
+      refreshedByAddress: lookup.calls[1] === ADDRESS && refreshed.includes('🔥 🔴 RED leading'),
+      defaultsToMaximum: minutes === 60,
+      minutesCapped: cappedMinutes === 60,
+      oneScoreboardPerChannel:
+        watcher.get('c1').messageId === 'm2' &&
+        lastEdit(first).includes('Live updates ended: a new scoreboard was started'),
+      timerScheduled: watcher.timers.has('c1'),
+      noActiveServer: noMatch === null && watcher.get('c2') === null,
+    };
+
+    return { success: Object.values(checks).every(Boolean), details: checks };
+  } finally {
+    watcher.close();
+  }
+}
+
+/**
+ * Test the ways a scoreboard stops by itself
+ */
+async function testAutoStop() {
+  logger.info('Test 3: Stopping by itself');
+
+  const lookup = fakeLookup();
+  const watcher = new QuakeScoreboardWatcher({
+    filePath: null,
+    getServerStats: lookup.getServerStats,
+  });
+  try {
+    // The server empties
+    const emptied = fakeMessage('m1', 'c1');
+    await watcher.watch(emptied);
+    lookup.servers = [caServer({ players: 0 })];
+    await watcher.tick('c1');
+
+    // Time runs out
+    lookup.servers = [caServer()];
+    const expired = fakeMessage('m2', 'c2');
+    const expiring = await watcher.watch(expired, { minutes: 5 });
+    expiring.endsAt = new Date(Date.now() - 1000).toISOString();
+    const callsBefore = lookup.calls.length;
+    await watcher.tick('c2');
+    const lookedUpWhenExpired = lookup.calls.length !== callsBefore;
+
+    // The lookup keeps failing
+    const failing = fakeMessage('m3', 'c3');
+    await watcher.watch(failing);
+    lookup.error = new Error('Service unavailable');
+    for (let attempt = 1; attempt < 5; attempt++) {
+      await watcher.tick('c3');
+    }
+    const aliveAfterFour = watcher.get('c3') !== null;
+    await watcher.tick('c3');
+    lookup.error = null;
+
+    // The message is deleted
+    const gone = Object.assign(new Error('Unknown Message'), { code: 10008 });
+    await watcher.watch(fakeMessage('m4', 'c4', { editError: gone }));
+
+    // Stopped by hand
+    await watcher.watch(fakeMessage('m5', 'c5'));
+    const stopped = await watcher.stop('c5', 'stopped by u1');
+    const stoppedAgain = await watcher.stop('c5');
+
+    const checks = {
+      emptied:
+        watcher.get('c1') === null &&
+        lastEdit(emptied).includes('Live updates ended: the server emptied') &&
+        lastEdit(emptied).includes('RailGun'),
+      timedOut:
+        watcher.get('c2') === null &&
+        lastEdit(expired).includes('Live updates ended: time limit reached') &&
+        !lookedUpWhenExpired,
+      survivesBriefOutages: aliveAfterFour,
+      givesUpAfterFailures:
+        watcher.get('c3') === null &&
+        lastEdit(failing).includes('Live updates ended: server stats unavailable'),
+      deletedMessageDropped: watcher.get('c4') === null && !watcher.timers.has('c4'),
+      stoppedByHand: stopped === true && stoppedAgain === false && watcher.get('c5') === null,
+      noTimersLeft: watcher.timers.size === 0,
+    };
+
+    return { success: Object.values(checks).every(Boolean), details: checks };
+  } finally {
+    watcher.close();
+  }
+}
+
+/**
+ * Test that scoreboards carry on after a restart
+ */
+async function testRestart() {
+  logger.info('Test 4: Resuming after a restart');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'quake-watches-'));
+  const filePath = path.join(dir, 'quake-watches.json');
+  const lookup = fakeLookup();
+  let resumed;
+  try {
+    const before = new QuakeScoreboardWatcher({ filePath, getServerStats: lookup.getServerStats });
+    await before.watch(fakeMessage('m1', 'c1'), { userId: 'u1' });
+    await before.watch(fakeMessage('m2', 'c2'));
+    await before.stop('c2');
+    before.close();
+    await before.flush();
+
+    // After the restart the message is found through the client
+    const fetched = fakeMessage('m1', 'c1');
+    const lookedUp = [];
+    const client = {
+      channels: {
+        fetch: async channelId => {
+          lookedUp.push(channelId);
+          return {
+            messages: {
+              fetch: async messageId => {
+                lookedUp.push(messageId);
+                return fetched;
+              },
+            },
+          };
+        },
+      },
+    };
+
+    resumed = new QuakeScoreboardWatcher({ filePath, getServerStats: lookup.getServerStats });
+    const restored = resumed.get('c1');
+    resumed.start(client);
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    lookup.servers = [];
+    await resumed.tick('c1');
+    await resumed.flush();
+    const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+    const checks = {
+      persisted: restored?.messageId === 'm1' && restored.address === ADDRESS,
+      stoppedNotPersisted: resumed.get('c2') === null,
+      messageFetched: lookedUp.join() === 'c1,m1',
+      editedAfterRestart: fetched.edits.length === 2 && fetched.edits[0].includes('🔴 Live'),
+      endedAfterRestart: lastEdit(fetched).includes('Live updates ended: the server emptied'),
+      removedFromDisk: saved.watches.length === 0,
+    };
+
+    return { success: Object.values(checks).every(Boolean), details: checks };
+  } finally {
+    resumed?.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test how the text command splits the server from the duration
+ */
+async function testTextArguments() {
+  logger.info('Test 5: Text command arguments');
+
+  const started = [];
+  const replies = [];
+  const command = {
+    ...serverstats,
+    startWatch: async (scoreboard, server, minutes) => started.push({ server, minutes }),
+  };
+  const message = {
+    author: { id: 'u1', username: 'tester' },
+    channelId: 'c1',
+    reply: async content => {
+      replies.push(content);
+      return { id: `m${replies.length}` };
+    },
+  };
+  const watch = args => command.executeWatch(message, 'watch', args);
+
+  await watch(['30']);
+  await watch(['203.0.113.7:27960', '15']);
+  await watch(['sydney']);
+  await watch([]);
+  await watch(['sydney', 'ca', '10']);
+
+  const checks = {
+    minutesOnly: started[0]?.server === null && started[0].minutes === 30,
+    serverAndMinutes: started[1]?.server === ADDRESS && started[1].minutes === 15,
+    serverOnly: started[2]?.server === 'sydney' && started[2].minutes === null,
+    noArguments: started[3]?.server === null && started[3].minutes === null,
+    spacedNameRejected: started.length === 4 && replies[replies.length - 1].startsWith('⚠️'),
+  };
+
+  return { success: Object.values(checks).every(Boolean), details: checks };
+}
+
+/**
+ * Test that a scoreboard keeps its guild's region and emoji settings
+ */
+async function testGuildDisplay() {
+  logger.info("Test 6: Guild's region and emoji settings");
+
+  const lookup = fakeLookup();
+  const watcher = new QuakeScoreboardWatcher({
+    filePath: null,
+    getServerStats: lookup.getServerStats,
+  });
+  try {
+    const plain = fakeMessage('m1');
+    const watch = await watcher.watch(plain, {
+      display: {
+        eloMode: 2,
+        region: 'Europe',
+        showTeamEmojis: false,
+        showServerStatsEmojis: false,
+      },
+    });
+    await watcher.tick('c1');
+    const refreshed = lastEdit(plain);
+
+    const fancy = fakeMessage('m2', 'c2');
+    await watcher.watch(fancy, {
+      display: { showTeamEmojis: true, showServerStatsEmojis: true },
+    });
+    await watcher.stop('c2');
+
+    const checks = {
+      keptOnWatch:
+        watch.display.region === 'Europe' &&
+        watch.display.showTeamEmojis === false &&
+        !('eloMode' in watch.display),
+      regionLookedUp: lookup.regions[0] === 'Europe' && lookup.regions[1] === 'Europe',
+      defaultRegion: lookup.regions[2] === undefined,
+      noEmojis:
+        refreshed.includes('Server: ^1Sydney ^7CA') &&
+        refreshed.includes('Map: campgrounds') &&
+        refreshed.includes('\n RED TEAM'),
+      emojis:
+        fancy.edits[0].includes('🎮 ^1Sydney ^7CA') &&
+        fancy.edits[0].includes('🔴 RED TEAM') &&
+        lastEdit(fancy).includes('🔵 BLUE TEAM') &&
+        lastEdit(fancy).includes('Live updates ended'),
+    };
+
+    return { success: Object.values(checks).every(Boolean), details: checks };
+  } finally {
+    watcher.close();
+  }
+}
+
+/**
+ * Main test runner for live Quake scoreboards
+ */
+async function testQuakeScoreboard() {
+  logger.info('Starting Quake scoreboard tests...');
+
+  const tests = [
+    { name: 'Format', fn: testFormat },
+    { name: 'Watch', fn: testWatch },
+    { name: 'Auto Stop', fn: testAutoStop },
+    { name: 'Restart', fn: testRestart },
+    { name: 'Text Arguments', fn: testTextArguments },
+    { name: 'Guild Display', fn: testGuildDisplay },
+  ];
+
+  const results = [];
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      const result = await test.fn();
+      results.push({ name: test.name, ...result });
+
+      if (result.success) {
+        passed++;
+        logger.info(`✅ ${test.name}: PASSED`);
+      } else {
+        failed++;
+        logger.warn(`❌ ${test.name}: FAILED - ${result.error || 'See details'}`);
+      }
+    } catch (error) {
+      failed++;
+      results.push({ name: test.name, success: false, error: error.message });
+      logger.error(`❌ ${test.name}: ERROR - ${error.message}`);
+    }
+  }
+
+  logger.info(`Quake scoreboard tests completed: ${passed} passed, ${failed} failed`);
+
+  return {
+    success: failed === 0,
+    details: {
+      passed,
+      failed,
+      total: tests.length,
+      results,
+    },
+  };
+}
+
+module.exports = {
+  testQuakeScoreboard,
+};
+
+// Allow running directly
+if (require.main === module) {
+  testQuakeScoreboard()
+    .then(result => {
+      console.log('\n=== Quake Scoreboard Test Results ===');
+      console.log(`Success: ${result.success}`);
+      console.log(`Passed: ${result.details.passed}/${result.details.total}`);
+      if (result.details.failed > 0) {
+        console.log(JSON.stringify(result.details.results, null, 2));
+      }
+      process.exit(result.success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test runner error:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,302 @@
+/**
+ * Quake Settings Tests
+ *
+ * Tests for per-request Quake display options and per-guild defaults:
+ * - ELO mode and emojis passed to the formatters for one call only
+ * - lookupQuakeServer's ELO mode, server count and region not outliving the call
+ * - Guild settings validated and kept in the scoped settings store
+ * - /quake settings
+ *
+ * @module QuakeSettingsTest
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const { createLogger } = require('../../src/core/logger');
+const logger = createLogger('quakeSettingsTest');
+
+const lookupQuakeServer = require('../../src/services/quakeLookup');
+const { QuakeSettings } = require('../../src/services/quakeSettings');
+const { ScopedSettingsStore } = require('../../src/utils/scopedSettings');
+const { runSubcommand } = require('../../src/commands/modules/quake');
+
+const { formatServerResponse, formatPlayerList, resolveDisplayOptions } = lookupQuakeServer;
+
+/**
+ * A Clan Arena server in the servers API shape.
+ */
+function server(index) {
+  return {
+    address: `203.0.113.${index}:27960`,
+    info: {
+      serverName: `Server ${index}`,
+      name: `Server ${index}`,
+      map: 'campgrounds',
+      players: 10 - index,
+      maxPlayers: 16,
+      gameType: 'Clan Arena',
+      gameTypeShort: 'CA',
+    },
+    rules: { g_levelStartTime: '0', g_redScore: 1, g_blueScore: 0, roundlimit: 10 },
+    players: [
+      { name: `Red${index}`, score: 5, team: 1 },
+      { name: `Blue${index}`, score: 3, team: 2 },
+    ],
+  };
+}
+
+/**
+ * Test that display options apply to the one call they're passed to
+ */
+async function testDisplayOptions() {
+  logger.info('Test 1: Display options');
+
+  const stats = lookupQuakeServer.extractServerStats(server(1));
+  const ratings = {
+    rankedPlayers: [
+      { name: 'Red1', team: 1, rating: 1500 },
+      { name: 'Blue1', team: 2, rating: 700 },
+    ],
+    avg: 1100,
+  };
+  const defaults = resolveDisplayOptions();
+
+  const values = formatServerResponse(stats, ratings, {
+    eloMode: 2,
+    showServerStatsEmojis: true,
+    showTeamEmojis: true,
+  }).formatted;
+  const categories = formatServerResponse(stats, ratings, { eloMode: 1 }).formatted;
+  const off = formatServerResponse(stats, ratings, {
+    eloMode: 0,
+    showServerStatsEmojis: false,
+    showTeamEmojis: false,
+  }).formatted;
+
+  const checks = {
+    values: values.includes('(1500)') && values.includes('( 700)'),
+    categories: categories.includes('(Pro)') && categories.includes('(Scrub)'),
+    off: !/\((1500|Pro)\)/.test(off) && !off.includes('Avg Rating'),
+    emojis: values.includes('🎮 Server 1') && values.includes('🔴 RED TEAM'),
+    noEmojis:
+      off.includes('Server: Server 1') &&
+      off.includes('\n RED TEAM') &&
+      !off.includes('🔴 RED TEAM'),
+    playerList: formatPlayerList(ratings.rankedPlayers, stats.players, stats, {
+      eloMode: 2,
+    }).includes('(1500)'),
+    nullsUseDefaults: resolveDisplayOptions({ eloMode: null, maxServers: undefined }).eloMode === 1,
+    defaultsUnchanged: JSON.stringify(resolveDisplayOptions()) === JSON.stringify(defaults),
+  };
+
+  return { success: Object.values(checks).every(Boolean), details: checks };
+}
+
+/**
+ * Test that lookupQuakeServer's options don't outlive the call
+ */
+async function testLookup() {
+  logger.info('Test 2: Lookups');
+
+  const originalGet = axios.get;
+  const sources = ['ENABLE_QLSTATS', 'ENABLE_SYNCORE_SCRAPING', 'ENABLE_QLSTATS_NET_SCRAPING'];
+  const savedEnv = sources.map(name => process.env[name]);
+  const requests = [];
+  axios.get = async (url, config) => {
+    requests.push(config.params);
+    return { status: 200, data: { servers: [1, 2, 3, 4, 5].map(server) } };
+  };
+  sources.forEach(name => (process.env[name] = 'false'));
+
+  try {
+    const countServers = text => (text.match(/RED TEAM/g) || []).length;
+    const europe = await lookupQuakeServer(null, 2, { maxServers: 2, region: 'Europe' });
+    const everywhere = await lookupQuakeServer(null, null, { region: 'All', eloMode: 0 });
+    const plain = await lookupQuakeServer();
+
+    const checks = {
+      serverCount: countServers(europe) === 2 && countServers(plain) === 3,
+      region: requests[0].regions === 'Europe' && requests[0].hasPlayers === true,
+      allRegions: requests.length === 3 && !('regions' in requests[1]),
+      defaultRegion: requests[2].regions === 'Oceania',
+      eloModeNotKept: resolveDisplayOptions().eloMode === 1,
+      everywhereFormatted: everywhere.includes('Server 1'),
+    };
+
+    return { success: Object.values(checks).every(Boolean), details: checks };
+  } finally {
+    axios.get = originalGet;
+    sources.forEach((name, index) => {
+      if (savedEnv[index] === undefined) delete process.env[name];
+      else process.env[name] = savedEnv[index];
+    });
+  }
+}
+
+/**
+ * Test validating and storing guild settings
+ */
+async function testGuildSettings() {
+  logger.info('Test 3: Guild settings');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'quake-settings-'));
+  const filePath = path.join(dir, 'scoped-settings.json');
+  try {
+    const store = new ScopedSettingsStore({ filePath });
+    const settings = new QuakeSettings({ settings: store });
+
+    const invalid = settings.update('guild-1', { eloMode: 2, region: 'Mars' });
+    const unknown = settings.update('guild-1', { colour: 'red' });
+    const nothing = settings.update('guild-1', { eloMode: null });
+    const tooMany = settings.update('guild-1', { maxServers: 6 });
+    const badEmojis = settings.update('guild-1', { emojis: 'maybe' });
+    const nothingStored = Object.keys(settings.get('guild-1')).length === 0;
+
+    const updated = settings.update('guild-1', {
+      eloMode: 0,
+      region: 'north-america',
+      emojis: false,
+    });
+    settings.update('guild-2', { maxServers: 1 });
+    await store.flush();
+
+    const reloaded = new QuakeSettings({ settings: new ScopedSettingsStore({ filePath }) });
+    const options = reloaded.getDisplayOptions('guild-1');
+    reloaded.reset('guild-1');
+
+    const checks = {
+      invalidRejected: !invalid.success && /Unknown region "Mars"/.test(invalid.error),
+      unknownRejected: !unknown.success && /Unknown setting "colour"/.test(unknown.error),
+      emptyRejected: !nothing.success && !tooMany.success && !badEmojis.success,
+      allOrNothing: nothingStored,
+      updated:
+        updated.success &&
+        updated.settings.eloMode === 0 &&
+        updated.settings.region === 'North America' &&
+        updated.settings.emojis === false,
+      persisted: reloaded.get('guild-2').maxServers === 1,
+      displayOptions:
+        options.eloMode === 0 &&
+        options.region === 'North America' &&
+        options.showTeamEmojis === false &&
+        options.showServerStatsEmojis === false &&
+        options.maxServers === undefined,
+      perGuild: reloaded.get('guild-2').eloMode === undefined,
+      dms: Object.keys(reloaded.get(null)).length === 0,
+      reset:
+        Object.keys(reloaded.get('guild-1')).length === 0 &&
+        reloaded.settings.getAll('guild', 'guild-1').quakeEloMode === undefined,
+    };
+
+    return { success: Object.values(checks).every(Boolean), details: checks };
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test the /quake settings replies
+ */
+async function testSettingsCommand() {
+  logger.info('Test 4: /quake settings');
+
+  const settings = new QuakeSettings({ settings: new ScopedSettingsStore({ filePath: null }) });
+  const run = request =>
+    runSubcommand('settings', { settings, guildId: 'guild-1', userId: 'user-1', ...request });
+
+  const shown = await run({});
+  const inDm = await run({ guildId: null });
+  const notAllowed = await run({ changes: { eloMode: 2 } });
+  const updated = await run({ changes: { eloMode: 2, maxServers: null }, canManageSettings: true });
+  const invalid = await run({ changes: { region: 'Mars' }, canManageSettings: true });
+  const afterUpdate = await run({});
+  const reset = await run({ reset: true, canManageSettings: true });
+
+  const checks = {
+    showsDefaults:
+      shown.includes('ELO mode: Categories (default)') &&
+      shown.includes('Servers listed: 3 (default)') &&
+      shown.includes('Region: Oceania (default)'),
+    guildOnly: /per server/.test(inDm),
+    needsManageServer: /Manage Server permission/.test(notAllowed),
+    updated: updated.startsWith('✅') && updated.includes('ELO mode: Values\n'),
+    invalid: invalid.startsWith('⚠️ Unknown region'),
+    shownAfterUpdate: afterUpdate.includes('ELO mode: Values\n'),
+    reset: reset.startsWith('♻️') && reset.includes('ELO mode: Categories (default)'),
+  };
+
+  return { success: Object.values(checks).every(Boolean), details: checks };
+}
+
+/**
+ * Main test runner for the Quake settings
+ */
+async function testQuakeSettings() {
+  logger.info('Starting Quake settings tests...');
+
+  const tests = [
+    { name: 'Display Options', fn: testDisplayOptions },
+    { name: 'Lookup', fn: testLookup },
+    { name: 'Guild Settings', fn: testGuildSettings },
+    { name: 'Settings Command', fn: testSettingsCommand },
+  ];
+
+  const results = [];
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      const result = await test.fn();
+      results.push({ name: test.name, ...result });
+
+      if (result.success) {
+        passed++;
+        logger.info(`✅ ${test.name}: PASSED`);
+      } else {
+        failed++;
+        logger.warn(`❌ ${test.name}: FAILED - ${result.error || 'See details'}`);
+      }
+    } catch (error) {
+      failed++;
+      results.push({ name: test.name, success: false, error: error.message });
+      logger.error(`❌ ${test.name}: ERROR - ${error.message}`);
+    }
+  }
+
+  logger.info(`Quake settings tests completed: ${passed} passed, ${failed} failed`);
+
+  return {
+    success: failed === 0,
+    details: {
+      passed,
+      failed,
+      total: tests.length,
+      results,
+    },
+  };
+}
+
+module.exports = {
+  testQuakeSettings,
+};
+
+// Allow running directly
+if (require.main === module) {
+  testQuakeSettings()
+    .then(result => {
+      console.log('\n=== Quake Settings Test Results ===');
+      console.log(`Success: ${result.success}`);
+      console.log(`Passed: ${result.details.passed}/${result.details.total}`);
+      if (result.details.failed > 0) {
+        console.log(JSON.stringify(result.details.results, null, 2));
+      }
+      process.exit(result.success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test runner error:', error);
+      process.exit(1);
+    });
+}
@@ -6,10 +6,14 @@
  * - Image generation handling
  * - Weather request handling
  * - Conversation management
+ * - Long-term memory summaries
+ * - Blended group conversations
+ * - Streamed completions with non-streaming fallback
  * - Error handling
  */
 
 const { createLogger } = require('../../src/core/logger');
+const ConversationMemoryStore = require('../../src/conversation/flow/ConversationMemoryStore');
 const logger = createLogger('simpleChimpGPTFlowTest');
 
 // Mock dependencies to isolate unit tests
@@ -108,9 +112,12 @@ async function testIntentDetection() {
   try {
     const SimpleChimpGPTFlow = require('../../src/conversation/flow/SimpleChimpGPTFlow');
     const flow = new SimpleChimpGPTFlow(mockOpenAIClient, mockPFPManager, {
+      memoryStore: new ConversationMemoryStore({ filePath: null }),
       maxConversationLength: 5,
       maxTokens: 500,
       imageService: mockImageService,
+      // Keyword routing is what runs when the provider has no tool support
+      enableToolCalling: false,
     });
 
     const testCases = [
@@ -139,6 +146,16 @@ async function testIntentDetection() {
         message: createMockMessage('Hello, how are you?'),
         expectedType: 'conversation',
       },
+      {
+        name: 'Opinion question stays conversational',
+        message: createMockMessage('what is the best pizza'),
+        expectedType: 'conversation',
+      },
+      {
+        name: '"I want" without an image noun stays conversational',
+        message: createMockMessage('I want to know how your day went'),
+        expectedType: 'conversation',
+      },
     ];
 
     const results = [];
@@ -201,6 +218,7 @@ async function testConversationMemory() {
   try {
     const SimpleChimpGPTFlow = require('../../src/conversation/flow/SimpleChimpGPTFlow');
     const flow = new SimpleChimpGPTFlow(mockOpenAIClient, mockPFPManager, {
+      memoryStore: new ConversationMemoryStore({ filePath: null }),
       maxConversationLength: 3,
       maxTokens: 500,
     });
@@ -279,6 +297,7 @@ async function testErrorHandling() {
 
     const SimpleChimpGPTFlow = require('../../src/conversation/flow/SimpleChimpGPTFlow');
     const flow = new SimpleChimpGPTFlow(mockErrorOpenAI, mockPFPManager, {
+      memoryStore: new ConversationMemoryStore({ filePath: null }),
       imageService: mockImageService,
     });
 
@@ -333,7 +352,9 @@ async function testFlowStats() {
 
   try {
     const SimpleChimpGPTFlow = require('../../src/conversation/flow/SimpleChimpGPTFlow');
-    const flow = new SimpleChimpGPTFlow(mockOpenAIClient, mockPFPManager);
+    const flow = new SimpleChimpGPTFlow(mockOpenAIClient, mockPFPManager, {
+      memoryStore: new ConversationMemoryStore({ filePath: null }),
+    });
 
     // Process some test messages
     await flow.processMessage(createMockMessage('Hello', 'user1'));
@@ -381,7 +402,9 @@ async function testConversationCleanup() {
 
   try {
     const SimpleChimpGPTFlow = require('../../src/conversation/flow/SimpleChimpGPTFlow');
-    const flow = new SimpleChimpGPTFlow(mockOpenAIClient, mockPFPManager);
+    const flow = new SimpleChimpGPTFlow(mockOpenAIClient, mockPFPManager, {
+      memoryStore: new ConversationMemoryStore({ filePath: null }),
+    });
 
     // Add some conversations
     await flow.processMessage(createMockMessage('Test message 1', 'user1'));
@@ -417,6 +440,262 @@ async function testConversationCleanup() {
   }
 }
 
+/**
+ * Test that evicted turns are summarized and injected into the system prompt
+ */
+async function testMemorySummary() {
+  logger.info('Test 6: Long-term memory summary');
+
+  try {
+    const systemPrompts = [];
+    const summaryClient = {
+      chat: {
+        completions: {
+          create: async params => {
+            const system = params.messages[0].content;
+            if (system.includes('long-term memory note')) {
+              // Deliberately longer than the budget to check it gets trimmed
+              return { choices: [{ message: { content: `User is Alice. ${'x '.repeat(400)}` } }] };
+            }
+            systemPrompts.push(system);
+            return { choices: [{ message: { content: 'Noted!' } }] };
+          },
+        },
+      },
+    };
+
+    const SimpleChimpGPTFlow = require('../../src/conversation/flow/SimpleChimpGPTFlow');
+    const TokenManager = require('../../src/utils/tokenManager');
+    const memory = new ConversationMemoryStore({ filePath: null });
+    const flow = new SimpleChimpGPTFlow(summaryClient, mockPFPManager, {
+      memoryStore: memory,
+      maxConversationLength: 2,
+      enableMemorySummary: true,
+      summaryBatchSize: 2,
+      summaryMaxTokens: 50,
+    });
+
+    const userId = 'summary-user';
+    await flow.processMessage(createMockMessage('hello, my name is Alice', userId));
+    await flow.processMessage(createMockMessage('nice to meet you', userId));
+    await Promise.all(flow.pendingSummaries.values());
+    await flow.processMessage(createMockMessage('do you remember me?', userId));
+
+    const summary = memory.getSummary(userId);
+
+    // Forgetting the user while a summary is being written must not bring one back
+    let finishSummary;
+    const slowClient = {
+      chat: {
+        completions: {
+          create: async params => {
+            if (params.messages[0].content.includes('long-term memory note')) {
+              await new Promise(resolve => (finishSummary = resolve));
+              return { choices: [{ message: { content: 'User is Bob.' } }] };
+            }
+            return { choices: [{ message: { content: 'Noted!' } }] };
+          },
+        },
+      },
+    };
+    const forgetMemory = new ConversationMemoryStore({ filePath: null });
+    const forgetFlow = new SimpleChimpGPTFlow(slowClient, mockPFPManager, {
+      memoryStore: forgetMemory,
+      maxConversationLength: 2,
+      enableMemorySummary: true,
+      summaryBatchSize: 2,
+    });
+    await forgetFlow.processMessage(createMockMessage('my name is Bob', 'forget-user'));
+    await forgetFlow.processMessage(createMockMessage('remember that', 'forget-user'));
+    const summarizing = Promise.all(forgetFlow.pendingSummaries.values());
+    forgetMemory.forgetUser('forget-user');
+    finishSummary();
+    await summarizing;
+
+    const checks = {
+      notResurrectedAfterForget:
+        forgetMemory.getSummary('forget-user') === null &&
+        forgetMemory.getRecentTurns('forget-user').length === 0,
+      summaryCreated: !!summary && summary.text.startsWith('User is Alice'),
+      withinBudget: !!summary && TokenManager.estimateTextTokens(summary.text) <= 50,
+      injectedIntoPrompt: systemPrompts[systemPrompts.length - 1].includes('User is Alice'),
+      notInjectedBeforeSummary: !systemPrompts[0].includes('User is Alice'),
+      statsReported: flow.getStats().memorySummaries === 1,
+    };
+
+    return {
+      success: Object.values(checks).every(Boolean),
+      details: checks,
+    };
+  } catch (error) {
+    logger.error('Error in memory summary test:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Test blended group conversations in a channel
+ */
+async function testBlendedChannel() {
+  logger.info('Test 7: Blended channel conversations');
+
+  try {
+    const requests = [];
+    const recordingClient = {
+      chat: {
+        completions: {
+          create: async params => {
+            requests.push(params.messages);
+            return { choices: [{ message: { content: 'Got it' } }] };
+          },
+        },
+      },
+    };
+
+    const SimpleChimpGPTFlow = require('../../src/conversation/flow/SimpleChimpGPTFlow');
+    const { ScopedSettingsStore } = require('../../src/utils/scopedSettings');
+    const settings = new ScopedSettingsStore({ filePath: null });
+    const flow = new SimpleChimpGPTFlow(recordingClient, mockPFPManager, {
+      memoryStore: new ConversationMemoryStore({ filePath: null }),
+      settingsStore: settings,
+      enableMemorySummary: false,
+    });
+
+    const groupMessage = (content, authorId, username) => ({
+      ...createMockMessage(content, authorId),
+      author: { id: authorId, username },
+      channel: { id: 'group-channel', isDMBased: () => false },
+      guild: { id: 'guild-1' },
+    });
+
+    // Individual mode by default: Bob doesn't see Alice's message
+    await flow.processMessage(groupMessage('I am bringing the snacks', 'alice', 'Alice'));
+    await flow.processMessage(groupMessage('who is bringing snacks?', 'bob', 'Bob'));
+    const individualContext = requests[requests.length - 1];
+
+    settings.set('channel', 'group-channel', 'blendedConversations', true);
+    const result = await flow.processMessage(groupMessage('who is bringing snacks?', 'bob', 'Bob'));
+    const blendedContext = requests[requests.length - 1];
+
+    // A guild-wide "off" doesn't override the channel setting
+    settings.set('guild', 'guild-1', 'blendedConversations', false);
+    const channelWins = flow.isBlendedChannel(groupMessage('hi', 'bob', 'Bob'));
+
+    const checks = {
+      individualIsolated: !individualContext.some(
+        m => m.content.includes('snacks') && m.content.includes('bringing the')
+      ),
+      blendedSeesOthers: blendedContext.some(m => m.content === 'Alice: I am bringing the snacks'),
+      speakerAttributed:
+        blendedContext[blendedContext.length - 1].content === 'Bob: who is bringing snacks?',
+      groupPrompt: blendedContext[0].content.includes('Group chat'),
+      modeReported: result.conversationMode === 'blended',
+      channelWins,
+      dmNeverBlended: !flow.isBlendedChannel({
+        ...createMockMessage('hi'),
+        channel: { id: 'group-channel', isDMBased: () => true },
+      }),
+    };
+
+    return {
+      success: Object.values(checks).every(Boolean),
+      details: checks,
+    };
+  } catch (error) {
+    logger.error('Error in blended channel test:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Test streamed completions and the non-streaming fallback
+ */
+async function testStreamingResponses() {
+  logger.info('Test 8: Streaming responses');
+
+  try {
+    const calls = [];
+    let failStream = false;
+    const streamingClient = {
+      chat: {
+        completions: {
+          create: async params => {
+            calls.push({ stream: !!params.stream });
+            if (!params.stream) {
+              return { choices: [{ message: { content: 'Complete answer' } }] };
+            }
+            return (async function* () {
+              yield { choices: [{ delta: { content: 'Streamed ' } }] };
+              if (failStream) {
+                throw new Error('connection reset');
+              }
+              yield { choices: [{ delta: { content: 'answer' } }] };
+            })();
+          },
+        },
+      },
+    };
+
+    const createSink = () => ({
+      deltas: [],
+      resets: 0,
+      append(delta) {
+        this.deltas.push(delta);
+      },
+      reset() {
+        this.resets++;
+      },
+    });
+
+    const SimpleChimpGPTFlow = require('../../src/conversation/flow/SimpleChimpGPTFlow');
+    const flow = new SimpleChimpGPTFlow(streamingClient, mockPFPManager, {
+      memoryStore: new ConversationMemoryStore({ filePath: null }),
+      enableMemorySummary: false,
+      enableStreaming: true,
+    });
+
+    const streamedSink = createSink();
+    const streamed = await flow.processMessage(createMockMessage('tell me a story', 'u1'), {
+      stream: streamedSink,
+    });
+
+    failStream = true;
+    const failedSink = createSink();
+    const recovered = await flow.processMessage(createMockMessage('tell me another', 'u1'), {
+      stream: failedSink,
+    });
+
+    calls.length = 0;
+    const unstreamed = await flow.processMessage(createMockMessage('and another', 'u1'));
+
+    const checks = {
+      deltasForwarded: streamedSink.deltas.join('') === 'Streamed answer',
+      streamedResponse: streamed.success && streamed.response === 'Streamed answer',
+      streamedTurnStored: flow.memory.getRecentTurns('u1')[1].content === 'Streamed answer',
+      fallbackAfterFailure: recovered.success && recovered.response === 'Complete answer',
+      partialTextReset: failedSink.resets === 1,
+      noStreamWithoutSink: unstreamed.success && calls.every(call => !call.stream),
+    };
+
+    return {
+      success: Object.values(checks).every(Boolean),
+      details: checks,
+    };
+  } catch (error) {
+    logger.error('Error in streaming test:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
 /**
  * Main test runner for SimpleChimpGPTFlow
  */
@@ -429,6 +708,9 @@ async function testSimpleChimpGPTFlow() {
     { name: 'Error Handling', fn: testErrorHandling },
     { name: 'Flow Statistics', fn: testFlowStats },
     { name: 'Conversation Cleanup', fn: testConversationCleanup },
+    { name: 'Memory Summary', fn: testMemorySummary },
+    { name: 'Blended Channel', fn: testBlendedChannel },
+    { name: 'Streaming Responses', fn: testStreamingResponses },
   ];
 
   const results = [];
@@ -0,0 +1,256 @@
+/**
+ * Streaming Reply Tests
+ *
+ * Tests for progressively rendering streamed responses into Discord messages:
+ * - Splitting text at Discord's message length limit
+ * - Throttled edits while the stream is running
+ * - Rolling over into follow-up messages
+ * - Replacing partial text after a failed stream
+ * - Cancelling, e.g. when the answer turns out to be an image
+ *
+ * @module StreamingReplyTest
+ */
+
+const { createLogger } = require('../../src/core/logger');
+const logger = createLogger('streamingReplyTest');
+
+const { StreamingReply, splitDiscordMessage } = require('../../src/utils/streamingReply');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Minimal stand-in for a discord.js Message that records edits
+ */
+function createFakeMessage(content, sent) {
+  const message = {
+    id: `msg-${sent.length}`,
+    content,
+    edits: [],
+    deleted: false,
+    async edit(newContent) {
+      message.content = newContent;
+      message.edits.push(newContent);
+      return message;
+    },
+    async delete() {
+      message.deleted = true;
+    },
+    channel: {
+      send: async followUp => createFakeMessage(followUp, sent),
+    },
+  };
+  sent.push(message);
+  return message;
+}
+
+/**
+ * Test splitting long text into Discord-sized chunks
+ */
+async function testSplitting() {
+  logger.info('Test 1: Message splitting');
+
+  const paragraphs = `${'a'.repeat(60)}\n${'b'.repeat(60)}`;
+  const words = Array.from({ length: 30 }, (_, i) => `word${i}`).join(' ');
+  const unbroken = 'x'.repeat(250);
+
+  const checks = {
+    shortTextUnchanged: splitDiscordMessage('hello', 100).join('|') === 'hello',
+    splitsAtNewline:
+      splitDiscordMessage(paragraphs, 100).join('|') === paragraphs.replace('\n', '|'),
+    splitsAtSpace: splitDiscordMessage(words, 50).every(chunk => !chunk.startsWith(' ')),
+    noChunkTooLong: splitDiscordMessage(words, 50).every(chunk => chunk.length <= 50),
+    hardCutWithoutBreaks:
+      splitDiscordMessage(unbroken, 100)
+        .map(c => c.length)
+        .join(',') === '100,100,50',
+    // Growing text never changes how an earlier prefix was split
+    prefixStable:
+      splitDiscordMessage(words.slice(0, 120), 50)[0] === splitDiscordMessage(words, 50)[0],
+  };
+
+  return { success: Object.values(checks).every(Boolean), details: checks };
+}
+
+/**
+ * Test throttled edits and rollover while streaming
+ */
+async function testThrottledRollover() {
+  logger.info('Test 2: Throttled edits and rollover');
+
+  const sent = [];
+  const thinking = createFakeMessage('⏳ Thinking...', sent);
+  const reply = new StreamingReply(thinking, { editIntervalMs: 40, maxLength: 50 });
+
+  for (let i = 0; i < 20; i++) {
+    reply.append(`token${i} `);
+    await sleep(5);
+  }
+  await sleep(60);
+  const editsWhileStreaming = thinking.edits.length;
+  const cursorShown = sent[sent.length - 1].content.endsWith('▌');
+
+  const finalText = Array.from({ length: 20 }, (_, i) => `token${i}`).join(' ');
+  const messages = await reply.finish(finalText);
+  const editsAtFinish = reply.edits;
+  reply.append('late token');
+  await sleep(60);
+
+  const checks = {
+    throttled: editsWhileStreaming > 0 && editsWhileStreaming < 10,
+    cursorShown,
+    rolledOver: messages.length === sent.length && messages.length > 1,
+    allWithinLimit: messages.every(message => message.content.length <= 50),
+    finalTextComplete: messages.map(message => message.content).join(' ') === finalText,
+    cursorRemoved: !messages.some(message => message.content.includes('▌')),
+    noEditsAfterFinish: reply.edits === editsAtFinish,
+  };
+
+  return { success: Object.values(checks).every(Boolean), details: checks };
+}
+
+/**
+ * Test replacing partial streamed text with a shorter regenerated answer
+ */
+async function testResetAfterFailure() {
+  logger.info('Test 3: Reset after a failed stream');
+
+  const sent = [];
+  const thinking = createFakeMessage('⏳ Thinking...', sent);
+  const reply = new StreamingReply(thinking, { editIntervalMs: 10, maxLength: 30 });
+
+  reply.append('partial text that spans more than one message');
+  await sleep(30);
+  const overflowSent = sent.length > 1;
+
+  reply.reset();
+  const messages = await reply.finish('Short answer');
+
+  const checks = {
+    overflowSent,
+    singleMessageLeft: messages.length === 1 && messages[0] === thinking,
+    finalContent: thinking.content === 'Short answer',
+    overflowDeleted: sent.slice(1).every(message => message.deleted),
+    emptyFinishSafe: await new StreamingReply(createFakeMessage('x', []), {})
+      .finish('')
+      .then(([message]) => message.content === '\u200b'),
+  };
+
+  return { success: Object.values(checks).every(Boolean), details: checks };
+}
+
+/**
+ * Test cancelling while a render is still sending an overflow message
+ */
+async function testCancel() {
+  logger.info('Test 4: Cancel');
+
+  const sent = [];
+  const thinking = createFakeMessage('⏳ Thinking...', sent);
+  let releaseFollowUp;
+  const reply = new StreamingReply(thinking, {
+    editIntervalMs: 10,
+    maxLength: 30,
+    sendFollowUp: async content => {
+      await new Promise(resolve => (releaseFollowUp = resolve));
+      return createFakeMessage(content, sent);
+    },
+  });
+
+  reply.append('streamed text that spans more than one message');
+  await sleep(30);
+  const cancelled = reply.cancel();
+  releaseFollowUp();
+  await cancelled;
+  const editsAfterCancel = thinking.edits.length;
+  reply.append(' and more');
+  await sleep(30);
+
+  // Cancelling after finish() leaves the reply alone
+  const finishedSent = [];
+  const finished = new StreamingReply(createFakeMessage('⏳ Thinking...', finishedSent), {
+    maxLength: 30,
+  });
+  const finishedMessages = await finished.finish('a finished reply that needs two messages');
+  await finished.cancel();
+
+  const checks = {
+    overflowDeleted: sent.length === 2 && sent[1].deleted,
+    firstMessageKept: !thinking.deleted && reply.messages.length === 1,
+    noRendersAfterCancel: thinking.edits.length === editsAfterCancel,
+    finishedReplyKept:
+      finishedMessages.length === 2 && finishedSent.every(message => !message.deleted),
+  };
+
+  return { success: Object.values(checks).every(Boolean), details: checks };
+}
+
+/**
+ * Main test runner for streaming replies
+ */
+async function testStreamingReply() {
+  logger.info('Starting streaming reply tests...');
+
+  const tests = [
+    { name: 'Splitting', fn: testSplitting },
+    { name: 'Throttled Rollover', fn: testThrottledRollover },
+    { name: 'Reset After Failure', fn: testResetAfterFailure },
+    { name: 'Cancel', fn: testCancel },
+  ];
+
+  const results = [];
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      const result = await test.fn();
+      results.push({ name: test.name, ...result });
+
+      if (result.success) {
+        passed++;
+        logger.info(`✅ ${test.name}: PASSED`);
+      } else {
+        failed++;
+        logger.warn(`❌ ${test.name}: FAILED - ${result.error || 'See details'}`);
+      }
+    } catch (error) {
+      failed++;
+      results.push({ name: test.name, success: false, error: error.message });
+      logger.error(`❌ ${test.name}: ERROR - ${error.message}`);
+    }
+  }
+
+  logger.info(`Streaming reply tests completed: ${passed} passed, ${failed} failed`);
+
+  return {
+    success: failed === 0,
+    details: {
+      passed,
+      failed,
+      total: tests.length,
+      results,
+    },
+  };
+}
+
+module.exports = {
+  testStreamingReply,
+};
+
+// Allow running directly
+if (require.main === module) {
+  testStreamingReply()
+    .then(result => {
+      console.log('\n=== Streaming Reply Test Results ===');
+      console.log(`Success: ${result.success}`);
+      console.log(`Passed: ${result.details.passed}/${result.details.total}`);
+      if (result.details.failed > 0) {
+        console.log(JSON.stringify(result.details.results, null, 2));
+      }
+      process.exit(result.success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test runner error:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,408 @@
+/**
+ * Tool Calling Tests
+ *
+ * Tests for native tool calling through FunctionExecutorNode:
+ * - Parallel tool calls, including plugin functions with schemas
+ * - The per-message tool round limit
+ * - SimpleChimpGPTFlow reassembling streamed tool calls
+ * - Images generated through the generateImage tool
+ *
+ * @module ToolCallingTest
+ */
+
+const { createLogger } = require('../../src/core/logger');
+const logger = createLogger('toolCallingTest');
+
+const FunctionExecutorNode = require('../../src/conversation/flow/nodes/FunctionExecutorNode');
+const ConversationMemoryStore = require('../../src/conversation/flow/ConversationMemoryStore');
+const { SharedStore } = require('../../src/conversation/flow/PocketFlow');
+const pluginManager = require('../../src/plugins/pluginManager');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const toolCall = (id, name, args) => ({
+  id,
+  type: 'function',
+  function: { name, arguments: JSON.stringify(args) },
+});
+
+/**
+ * Client that answers each request with the next scripted assistant message
+ */
+function createScriptedClient(replies) {
+  const requests = [];
+  return {
+    requests,
+    chat: {
+      completions: {
+        create: async params => {
+          requests.push(params);
+          const reply = replies[Math.min(requests.length - 1, replies.length - 1)];
+          return { choices: [{ message: { role: 'assistant', ...reply } }] };
+        },
+      },
+    },
+  };
+}
+
+const createMockMessage = (content, authorId = 'tool-user') => ({
+  id: `msg-${Date.now()}`,
+  content,
+  author: { id: authorId, username: 'ToolTester' },
+  channel: { id: 'tool-channel' },
+});
+
+/**
+ * Test parallel execution of built-in and plugin tool calls
+ */
+async function testParallelToolCalls() {
+  logger.info('Test 1: Parallel tool calls');
+
+  const timeline = [];
+  const plugin = {
+    id: 'tool-test-plugin',
+    name: 'Tool Test Plugin',
+    version: '1.0.0',
+    functions: {
+      rollDice: {
+        description: 'Roll a die with the given number of sides',
+        parameters: {
+          type: 'object',
+          properties: { sides: { type: 'integer' } },
+          required: ['sides'],
+        },
+        execute: async ({ sides }) => {
+          timeline.push('dice');
+          return { rolled: sides };
+        },
+      },
+      // Plain functions stay internal and are not offered to the model
+      internalHelper: () => 'hidden',
+    },
+  };
+  pluginManager.registerPlugin(plugin) || pluginManager.enablePlugin(plugin.id);
+
+  const client = createScriptedClient([
+    {
+      content: null,
+      tool_calls: [
+        toolCall('call_time', 'lookupTime', { location: 'Auckland' }),
+        toolCall('call_dice', 'rollDice', { sides: 20 }),
+      ],
+    },
+    { content: 'It is 9am in Auckland and you rolled a 20.' },
+  ]);
+
+  const node = new FunctionExecutorNode(client, null, {
+    toolHandlers: {
+      lookupTime: async ({ location }) => {
+        timeline.push('time:start');
+        await sleep(30);
+        timeline.push('time:end');
+        return { success: true, formatted: `9:00 AM in ${location}` };
+      },
+    },
+  });
+
+  try {
+    const outcome = await node.runToolLoop({
+      messages: [{ role: 'user', content: 'What time is it in Auckland? Also roll a d20.' }],
+      store: new SharedStore(),
+      message: createMockMessage('What time is it in Auckland? Also roll a d20.'),
+      params: { model: 'test-model' },
+    });
+
+    const toolNames = client.requests[0].tools.map(tool => tool.function.name);
+    const followUp = client.requests[1].messages;
+    const toolMessages = followUp.filter(entry => entry.role === 'tool');
+    const diceResult = outcome.toolCalls.find(call => call.name === 'rollDice')?.result;
+
+    const checks = {
+      builtinSchemasOffered:
+        toolNames.includes('lookupWeather') && toolNames.includes('quakeLookup'),
+      pluginSchemaOffered: toolNames.includes('rollDice'),
+      plainPluginFunctionHidden: !toolNames.includes('internalHelper'),
+      bothExecuted: outcome.toolCalls.length === 2,
+      // The plugin call finished while lookupTime was still waiting
+      ranInParallel: timeline.join(',') === 'time:start,dice,time:end',
+      pluginResult: diceResult?.success === true && diceResult.result?.rolled === 20,
+      resultsFedBack:
+        toolMessages.map(entry => entry.tool_call_id).join(',') === 'call_time,call_dice' &&
+        toolMessages[0].content.includes('9:00 AM in Auckland'),
+      assistantTurnKept: followUp.some(entry => entry.role === 'assistant' && entry.tool_calls),
+      finalAnswer: outcome.response === 'It is 9am in Auckland and you rolled a 20.',
+      oneRound: outcome.rounds === 1,
+    };
+
+    return { success: Object.values(checks).every(Boolean), details: checks };
+  } finally {
+    pluginManager.disablePlugin(plugin.id);
+  }
+}
+
+/**
+ * Test that a model that keeps calling tools is made to answer
+ */
+async function testRoundLimit() {
+  logger.info('Test 2: Tool round limit');
+
+  let executions = 0;
+  const client = createScriptedClient([
+    { content: null, tool_calls: [toolCall('call_1', 'getWolframShortAnswer', { query: 'pi' })] },
+    { content: null, tool_calls: [toolCall('call_2', 'getWolframShortAnswer', { query: 'e' })] },
+    { content: 'Pi is about 3.14159.' },
+  ]);
+
+  const node = new FunctionExecutorNode(client, null, {
+    config: { maxToolRounds: 2 },
+    toolHandlers: {
+      getWolframShortAnswer: async ({ query }) => {
+        executions++;
+        return { success: true, answer: `${query} answer` };
+      },
+    },
+  });
+
+  const outcome = await node.runToolLoop({
+    messages: [{ role: 'user', content: 'what is pi' }],
+    store: new SharedStore(),
+    message: createMockMessage('what is pi'),
+  });
+
+  const unknown = await node.executeFunctionCall(
+    toolCall('call_x', 'doesNotExist', {}),
+    new SharedStore(),
+    createMockMessage('x')
+  );
+
+  const lastRequest = client.requests[client.requests.length - 1];
+  const checks = {
+    stoppedAtLimit: executions === 2 && client.requests.length === 3,
+    finalRequestForbidsTools: lastRequest.tool_choice === 'none',
+    earlierRequestsAllowTools: client.requests[0].tool_choice === 'auto',
+    answered: outcome.response === 'Pi is about 3.14159.' && outcome.rounds === 2,
+    unknownFunctionReported: unknown.success === false && /Unknown function/.test(unknown.error),
+  };
+
+  return { success: Object.values(checks).every(Boolean), details: checks };
+}
+
+/**
+ * Test that the flow sends lookups through tool calls, reassembling streamed deltas
+ */
+async function testStreamedFlowToolCalls() {
+  logger.info('Test 3: Streamed tool calls in SimpleChimpGPTFlow');
+
+  const requests = [];
+  const streamingClient = {
+    chat: {
+      completions: {
+        create: async params => {
+          requests.push(params);
+          const hasToolResult = params.messages.some(entry => entry.role === 'tool');
+          return (async function* () {
+            if (!hasToolResult) {
+              yield {
+                choices: [
+                  {
+                    delta: {
+                      tool_calls: [
+                        {
+                          index: 0,
+                          id: 'call_weather',
+                          function: { name: 'lookupWeather', arguments: '{"loca' },
+                        },
+                      ],
+                    },
+                  },
+                ],
+              };
+              yield {
+                choices: [
+                  {
+                    delta: {
+                      tool_calls: [{ index: 0, function: { arguments: 'tion":"Tokyo"}' } }],
+                    },
+                  },
+                ],
+              };
+              return;
+            }
+            yield { choices: [{ delta: { content: 'Sunny in Tokyo, ' } }] };
+            yield { choices: [{ delta: { content: '20°C.' } }] };
+          })();
+        },
+      },
+    },
+  };
+
+  const lookups = [];
+  const SimpleChimpGPTFlow = require('../../src/conversation/flow/SimpleChimpGPTFlow');
+  const flow = new SimpleChimpGPTFlow(streamingClient, null, {
+    memoryStore: new ConversationMemoryStore({ filePath: null }),
+    enableMemorySummary: false,
+    enableStreaming: true,
+    enableToolCalling: true,
+    toolHandlers: {
+      lookupWeather: async ({ location }) => {
+        lookups.push(location);
+        return { success: true, formatted: `Sunny, 20°C in ${location}` };
+      },
+    },
+  });
+
+  const sink = {
+    deltas: [],
+    append(delta) {
+      this.deltas.push(delta);
+    },
+    reset() {},
+  };
+
+  const result = await flow.processMessage(
+    createMockMessage('What is the weather in Tokyo?', 'weather-user'),
+    { stream: sink }
+  );
+  const turns = flow.memory.getRecentTurns('weather-user');
+
+  const checks = {
+    argumentsReassembled: lookups.join(',') === 'Tokyo',
+    toolsSentWithConversation:
+      Array.isArray(requests[0].tools) && !!requests[0].messages[0].content,
+    answerStreamed: sink.deltas.join('') === 'Sunny in Tokyo, 20°C.',
+    response: result.success && result.response === 'Sunny in Tokyo, 20°C.',
+    toolCallsReported: result.toolCalls?.join(',') === 'lookupWeather',
+    onlyUserAndAnswerStored:
+      turns.length === 2 && turns[1].role === 'assistant' && turns[1].content === result.response,
+  };
+
+  return { success: Object.values(checks).every(Boolean), details: checks };
+}
+
+/**
+ * Test that an image produced by the generateImage tool becomes the reply
+ */
+async function testImageTool() {
+  logger.info('Test 4: generateImage tool');
+
+  const TINY_PNG_B64 =
+    'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+  const imageRequests = [];
+  const imageService = {
+    generateImage: async (prompt, options) => {
+      imageRequests.push({ prompt, ...options });
+      return {
+        success: true,
+        images: [{ b64_json: TINY_PNG_B64, revisedPrompt: prompt }],
+        estimatedCost: 0.01,
+      };
+    },
+  };
+
+  const client = createScriptedClient([
+    {
+      content: null,
+      tool_calls: [
+        toolCall('call_img', 'generateImage', {
+          prompt: 'a lighthouse at dusk',
+          size: '1536x1024',
+        }),
+      ],
+    },
+    { content: 'Here is your lighthouse!' },
+  ]);
+
+  const SimpleChimpGPTFlow = require('../../src/conversation/flow/SimpleChimpGPTFlow');
+  const flow = new SimpleChimpGPTFlow(client, null, {
+    memoryStore: new ConversationMemoryStore({ filePath: null }),
+    enableMemorySummary: false,
+    enableToolCalling: true,
+    imageService,
+  });
+
+  const result = await flow.processMessage(
+    createMockMessage('I would love a calm lighthouse scene for my wall', 'image-user')
+  );
+  const toolMessage = client.requests[1].messages.find(entry => entry.role === 'tool');
+
+  const checks = {
+    toolArgumentsUsed:
+      imageRequests[0]?.prompt === 'a lighthouse at dusk' && imageRequests[0]?.size === '1536x1024',
+    imageReply: result.type === 'image' && Buffer.isBuffer(result.attachment?.buffer),
+    captionFromModel: result.response === 'Here is your lighthouse!',
+    bufferNotSentToModel: !!toolMessage && !toolMessage.content.includes('"buffer"'),
+  };
+
+  return { success: Object.values(checks).every(Boolean), details: checks };
+}
+
+/**
+ * Main test runner for tool calling
+ */
+async function testToolCalling() {
+  logger.info('Starting tool calling tests...');
+
+  const tests = [
+    { name: 'Parallel Tool Calls', fn: testParallelToolCalls },
+    { name: 'Round Limit', fn: testRoundLimit },
+    { name: 'Streamed Flow Tool Calls', fn: testStreamedFlowToolCalls },
+    { name: 'Image Tool', fn: testImageTool },
+  ];
+
+  const results = [];
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      const result = await test.fn();
+      results.push({ name: test.name, ...result });
+
+      if (result.success) {
+        passed++;
+        logger.info(`✅ ${test.name}: PASSED`);
+      } else {
+        failed++;
+        logger.warn(`❌ ${test.name}: FAILED - ${result.error || 'See details'}`);
+      }
+    } catch (error) {
+      failed++;
+      results.push({ name: test.name, success: false, error: error.message });
+      logger.error(`❌ ${test.name}: ERROR - ${error.message}`);
+    }
+  }
+
+  logger.info(`Tool calling tests completed: ${passed} passed, ${failed} failed`);
+
+  return {
+    success: failed === 0,
+    details: {
+      passed,
+      failed,
+      total: tests.length,
+      results,
+    },
+  };
+}
+
+module.exports = {
+  testToolCalling,
+};
+
+// Allow running directly
+if (require.main === module) {
+  testToolCalling()
+    .then(result => {
+      console.log('\n=== Tool Calling Test Results ===');
+      console.log(`Success: ${result.success}`);
+      console.log(`Passed: ${result.details.passed}/${result.details.total}`);
+      if (result.details.failed > 0) {
+        console.log(JSON.stringify(result.details.results, null, 2));
+      }
+      process.exit(result.success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test runner error:', error);
+      process.exit(1);
+    });
+}
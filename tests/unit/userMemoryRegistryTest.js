@@ -0,0 +1,243 @@
+/**
+ * User Memory Registry Tests
+ *
+ * Tests for the /memory data sources:
+ * - Collecting from every registered source, including failing ones
+ * - Forgetting a user across every source
+ * - Knowledge-cache entries attributed to users
+ * - The text command keeping stored data out of guild channels
+ *
+ * @module UserMemoryRegistryTest
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLogger } = require('../../src/core/logger');
+const logger = createLogger('userMemoryRegistryTest');
+
+const registry = require('../../src/conversation/userMemoryRegistry');
+const ConversationMemoryStore = require('../../src/conversation/flow/ConversationMemoryStore');
+const PersistentSharedStore = require('../../src/conversation/flow/PersistentSharedStore');
+const memoryCommand = require('../../src/commands/modules/memory');
+
+/**
+ * Test collecting and forgetting across sources
+ */
+async function testCollectAndForget() {
+  logger.info('Test 1: Collect and forget across sources');
+
+  // Swap the persistent conversation source for an in-memory one
+  const memory = new ConversationMemoryStore({ filePath: null });
+  memory.appendTurn('user1', { role: 'user', content: 'I like turtles', channelId: 'c1' });
+  memory.setSummary('user1', { text: 'Likes turtles', coveredUntil: Date.now() });
+  memory.appendTurn('user2', { role: 'user', content: 'hello' });
+
+  registry.registerMemorySource('conversations', {
+    description: 'Conversation history',
+    collect: userId => ({
+      turns: memory.getRecentTurns(userId),
+      summary: memory.getSummary(userId),
+    }),
+    forget: userId => memory.forgetUser(userId),
+  });
+  registry.registerMemorySource('broken', {
+    description: 'Always fails',
+    collect: () => {
+      throw new Error('store offline');
+    },
+    forget: () => {
+      throw new Error('store offline');
+    },
+  });
+
+  try {
+    const collected = await registry.collectUserMemory('user1');
+    const forgotten = await registry.forgetUserMemory('user1');
+    const afterForget = await registry.collectUserMemory('user1');
+
+    const checks = {
+      turnsCollected: collected.sources.conversations.turns.length === 1,
+      summaryCollected: collected.sources.conversations.summary.text === 'Likes turtles',
+      locationSourceRegistered: 'location' in collected.sources,
+      failingSourceReported: collected.errors.broken === 'store offline',
+      exportIsJson: typeof JSON.parse(JSON.stringify(collected)).generatedAt === 'string',
+      forgetCounted: forgotten.removed.conversations === 1,
+      forgetErrorReported: forgotten.errors.broken === 'store offline',
+      goneAfterForget: afterForget.sources.conversations.turns.length === 0,
+      otherUserKept: memory.getRecentTurns('user2').length === 1,
+    };
+
+    return { success: Object.values(checks).every(Boolean), details: checks };
+  } finally {
+    registry.unregisterMemorySource('broken');
+  }
+}
+
+/**
+ * Test that knowledge entries are attributed to users and forgotten correctly
+ */
+async function testKnowledgeAttribution() {
+  logger.info('Test 2: Knowledge cache attribution');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chimp-knowledge-'));
+  const store = new PersistentSharedStore(path.join(dir, 'knowledge-store.json'));
+
+  try {
+    // The store loads from disk asynchronously and skips saves until that finishes
+    while (store.isLoading) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+
+    store.cacheSearchResult('node release', { success: true }, 80, 'user1');
+    store.cacheSearchResult('shared topic', { success: true }, 70, 'user1');
+    store.cacheSearchResult('shared topic', { success: true }, 70, 'user2');
+
+    const before = store.getUserKnowledge('user1');
+    const removed = await store.forgetUser('user1');
+    const after = store.getUserKnowledge('user1');
+    const saved = JSON.parse(fs.readFileSync(path.join(dir, 'knowledge-store.json'), 'utf8'));
+
+    const checks = {
+      entriesAttributed: before.entries.length === 2 && before.searches.length === 2,
+      // node release entry + 2 searches; the shared entry stays for user2
+      removedCount: removed === 3,
+      userGone: after.entries.length === 0 && after.searches.length === 0,
+      sharedEntryKept: store.getUserKnowledge('user2').entries.length === 1,
+      persisted: !('node release' in saved.knowledgeCache),
+    };
+
+    return { success: Object.values(checks).every(Boolean), details: checks };
+  } finally {
+    await store.shutdown();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test that !memory view/export in a guild go by DM, not into the channel
+ */
+async function testTextCommandPrivacy() {
+  logger.info('Test 3: Text command privacy');
+
+  const memory = new ConversationMemoryStore({ filePath: null });
+  memory.appendTurn('user3', { role: 'user', content: 'my secret plans' });
+  registry.registerMemorySource('conversations', {
+    description: 'Conversation history',
+    collect: userId => ({
+      turns: memory.getRecentTurns(userId),
+      summary: memory.getSummary(userId),
+    }),
+    forget: userId => memory.forgetUser(userId),
+  });
+
+  const fakeMessage = ({ guildId, dmFails = false }) => {
+    const sent = { replies: [], dms: [] };
+    return {
+      sent,
+      guildId,
+      author: {
+        id: 'user3',
+        send: async reply => {
+          if (dmFails) throw new Error('Cannot send messages to this user');
+          sent.dms.push(reply);
+        },
+      },
+      reply: async reply => sent.replies.push(reply),
+    };
+  };
+
+  const inGuild = fakeMessage({ guildId: 'guild-1' });
+  await memoryCommand.execute(inGuild, ['export']);
+  const viewInGuild = fakeMessage({ guildId: 'guild-1' });
+  await memoryCommand.execute(viewInGuild, ['view']);
+  const dmsClosed = fakeMessage({ guildId: 'guild-1', dmFails: true });
+  await memoryCommand.execute(dmsClosed, ['export']);
+  const inDm = fakeMessage({ guildId: null });
+  await memoryCommand.execute(inDm, ['export']);
+
+  const checks = {
+    exportSentByDm: inGuild.sent.dms.length === 1 && inGuild.sent.dms[0].files?.length === 1,
+    channelOnlyPointer:
+      inGuild.sent.replies.length === 1 &&
+      typeof inGuild.sent.replies[0] === 'string' &&
+      !inGuild.sent.replies[0].includes('secret'),
+    viewSentByDm:
+      viewInGuild.sent.dms[0]?.embeds?.length === 1 && !viewInGuild.sent.replies[0].embeds,
+    nothingPostedWhenDmFails:
+      dmsClosed.sent.replies.length === 1 && /couldn't DM you/.test(dmsClosed.sent.replies[0]),
+    repliesInDms: inDm.sent.dms.length === 0 && inDm.sent.replies[0]?.files?.length === 1,
+  };
+
+  return { success: Object.values(checks).every(Boolean), details: checks };
+}
+
+/**
+ * Main test runner for the user memory registry
+ */
+async function testUserMemoryRegistry() {
+  logger.info('Starting user memory registry tests...');
+
+  const tests = [
+    { name: 'Collect and Forget', fn: testCollectAndForget },
+    { name: 'Knowledge Attribution', fn: testKnowledgeAttribution },
+    { name: 'Text Command Privacy', fn: testTextCommandPrivacy },
+  ];
+
+  const results = [];
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      const result = await test.fn();
+      results.push({ name: test.name, ...result });
+
+      if (result.success) {
+        passed++;
+        logger.info(`✅ ${test.name}: PASSED`);
+      } else {
+        failed++;
+        logger.warn(`❌ ${test.name}: FAILED - ${result.error || 'See details'}`);
+      }
+    } catch (error) {
+      failed++;
+      results.push({ name: test.name, success: false, error: error.message });
+      logger.error(`❌ ${test.name}: ERROR - ${error.message}`);
+    }
+  }
+
+  logger.info(`User memory registry tests completed: ${passed} passed, ${failed} failed`);
+
+  return {
+    success: failed === 0,
+    details: {
+      passed,
+      failed,
+      total: tests.length,
+      results,
+    },
+  };
+}
+
+module.exports = {
+  testUserMemoryRegistry,
+};
+
+// Allow running directly
+if (require.main === module) {
+  testUserMemoryRegistry()
+    .then(result => {
+      console.log('\n=== User Memory Registry Test Results ===');
+      console.log(`Success: ${result.success}`);
+      console.log(`Passed: ${result.details.passed}/${result.details.total}`);
+      if (result.details.failed > 0) {
+        console.log(JSON.stringify(result.details.results, null, 2));
+      }
+      process.exit(result.success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Test runner error:', error);
+      process.exit(1);
+    });
+}